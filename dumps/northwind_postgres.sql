@@ -0,0 +1,3508 @@
+SET client_encoding = 'UTF8';
+
+DROP TABLE IF EXISTS "Categories" CASCADE;
+DROP TABLE IF EXISTS "CustomerCustomerDemo" CASCADE;
+DROP TABLE IF EXISTS "CustomerDemographics" CASCADE;
+DROP TABLE IF EXISTS "Customers" CASCADE;
+DROP TABLE IF EXISTS "Employees" CASCADE;
+DROP TABLE IF EXISTS "EmployeeTerritories" CASCADE;
+DROP TABLE IF EXISTS "OrderDetails" CASCADE;
+DROP TABLE IF EXISTS "Orders" CASCADE;
+DROP TABLE IF EXISTS "Products" CASCADE;
+DROP TABLE IF EXISTS "Regions" CASCADE;
+DROP TABLE IF EXISTS "Shippers" CASCADE;
+DROP TABLE IF EXISTS "Suppliers" CASCADE;
+DROP TABLE IF EXISTS "Territories" CASCADE;
+
+CREATE TABLE "Categories" (
+    "CategoryID" INTEGER GENERATED BY DEFAULT AS IDENTITY (START WITH 9) PRIMARY KEY,
+    "CategoryName" VARCHAR(200),
+    "Description" VARCHAR(200),
+    "Picture" BYTEA
+);
+
+INSERT INTO "Categories" ("CategoryID", "CategoryName", "Description", "Picture") VALUES
+(1, 'Beverages', 'Soft drinks, coffees, teas, beers, and ales', decode('ffd8ffe000104a46494600010200006400640000ffec00114475636b7900010004000000500000ffee002641646f62650064c0000000010300150403060a0d00000a63000010e8000019f4000027a4ffdb0084000202020202020202020203020202030403020203040504040404040506050505050505060607070807070609090a0a09090c0c0c0c0c0c0c0c0c0c0c0c0c0c0c01030303050405090606090d0b090b0d0f0e0e0e0e0f0f0c0c0c0c0c0f0f0c0c0c0c0c0c0f0c0c0c0c0c0c0c0c0c0c0c0c0c0c0c0c0c0c0c0c0c0c0c0c0c0c0c0cffc2001108006e00af03011100021101031101ffc400e800000104030101000000000000000000000503040607000208010901000203010101000000000000000000000203000104050607100001040103030401030403000000000001000203041110120520211331221406303223154133250724341611000200030505040704080701000000000102001103213141120451712232131061810591a1425262231420c1723330f0b1e18292b234d1f1a2c2d24393241200000503040301000000000000000000003001112120403110501222410232611301000202020103030501010000000000010011213141516110718191a1b120f0c1d1e130f1ffda000c03010002110311000001ec3e66de66ce0ddb4fd476c69eaf0ba3dc4daf2fd20eb7ccd681e948badb53974ac46a2178f553de7280a568326f76e124494661f4b40eb6f59c9135685c38755faba9c89cdf6b267e0ed1dde21cdaf2e46c4a38fd872ee16ad54279ab85e414cac7b2dc09375dab54b507d17f65c6c9324f6e654c9324c93c93db952d3646dd3e4a6f194871f455fcb3d2ac5558049b308b10be88fa3bec39046eb24c9324c9324c93248e2df5bd6c96e958d160807263548f1db5ce178851b796a9d081e615c19fe86fb4875a87760a90fb2649a0db51646336ba8b27509efc8c0ca5ed134684408625b0cccf10323c12a5c7511c182d6e6f57a4bdaf375022d624ac5c4a6c251d53e148d7071d0b38263d0e72f6e91c3e77f3deba0187a8396ff4e1c359c66784ebf1b30e4a0c73d9d1feff00931a1b182d6744344c7d10d13640c771920808ed45a4eae69f29ee2969de1af3b08b14753a0711ca495b1f93b0f8dc4268be90f79c58c8d85ab130c551b084d166929c621ca1d9e37a6f6e2fa2e6de6fb001a9c91510b5d9ecc751ab6958b611135c7e1ec0e5bfaafe85e5a309b0b0c44b154c428db81e0b0d18dc5d0e7560bd7cefe57dfd757de62daf60eb77bdaf7259334ae6a885653290fa7feb3e62090c4c24696d4288229a285a9d11221b177e11ebdb42e0f4143f27d88cbd09332129180b5a1a3094848909bb067d5af5df1c6eb81e16956da44eae038f43923936851460ad2a87e57aa129d754a3a8c036b24696a7684192b33f869416134d3c6edcf45e14c02e1c6c36228541f4cf60c629e56a3d91894e6ae5fa5439fdad964bb89d184685ceae8f9e71cb60ccda0de9e6f64fa4f9f0c85bdd28337aa670811316a882dae2e87ddd358ba94ee0efadcceda39dcab45d315e4a484db2d8e4d72deef98ed4ebf8b1d716905ad8b4acb85ec01939094981b2bae47e37a28f67dc217d68a61ee3b30d2ebcba56eb6926fb3892eddc3fffda0008010100010502e4ebba4af3c4d134a3626f1b7ad55fb3f3527d6380e4677d2adf58e767fadde8e46cacd398693c7f2bf5be339f15db38adcb1cc1363717273c806d809b36147c86145cc4db9dcbe64c052d0a9391c5d04d63183ecdf5d83ec9c73ffd65f63649c7ff00abb90f99144d863d39899b5b89e3237c3c6fa2bb039e2ce4344b95238bdaf39779d4927664cf0bccd7b3f173c7f92b01f95929f1ef5cd52304afa16a479e3ee84fa3794adb109f2e136505794e20b50d8fc36ed3c36092bc6985ae6cf7638899ee58069ce5bcaf1b2432399b53da9966d5722f0b0aecd523745565f8fe786491b295bdbd05c0274ed0ae723142dbbcabac9a6cdd0fcf99d3c14618dbb8045cc538e3e512d0fad4a9fc07012a9fe94d9472fc1dde0a1e2299711186b677e248efcb126f30d4de56aafe56b27f2f50297ec15d8acfd8a7914966494c5dcdbe44f1bc4f154be1d7e4affc282ffda2e6e9b9fbb223c95b726f313b1b5ef58b0d8f92e4abafb0f3373937556889bb9591fb8f28bd3a44e94a7ca9d22dc98a11df903e4e545a6d6adccf2d35974b2b9c557af0cd44b1d2337cb5df07312b572ae8a49602d737b2b3fdc913d3d39393820144d55dae0b9d7fc4e67ec1c8358db5397b89d2ad975499f4e1b1c7efcbfe47b8b7cc38be4c2f3b0ab2c7191e14813da56c28b11620c5137bb61ab141f68a8db15b969e574af39450ee3d56e7b14514b3282fcf564e479417220f21cde4aeb5a62b4d5f24b5d6a932588420835d8a588b1ce8d062635548248e1e4a2f2d5e4f8e6d98ecd596bbd9812be230d9b354d4b73c12577c67f7266491b9ce696b46508c95e43e4b75c491536cac5256638fc5187578653244637c553728a0898bdf23dcd0e6d6b31be4b35da55ce132fbbc7d835f95dd2436ef41721a0dace2e8a32be0bedb7f847ee8b898990cac21ec76f6c9bd93319bd9fa4420992591813f3ba26fb429243bbec7567a9760e48588fdae921e56e51966e5ab4c1dff009f72af3f0555e79daea6e77909c44ef73642e6d86fee47278dd6a3de22f68dbb8c8cded7537b5c611b236e0cfda3970d64dcdc6fb17eaff1b71b3ee06c32478da578eb95e2aa9cc856435424cb21d8a6fd6ec23e877e5be74376fedf1d9e9ec526c530ade1e636fc993feac5b97fc8ce7945fe517f9343f9444dfc70da7fffda00080102000105027b501dc85e3241f63507ed39d4a2dce93fa3b5c223404ade74c2c68f6ee4617042158d4eae190f1aeed31a63f3ccc458578cad851042cacadc3f1176130e99d0b72a48f0b6e81c420fca700b0b2b3d594e916729be9958d328bdab31adb1946b829f096a7232649d3795bd7917911951712b1a37d1a148fda1f69c512e2b0b6ada50dc107922670eac2c2c6a11f42ec09642f2d1a6dd30b2bfa4c3ba3d47560ef22b32a637a0b7b2c2f453316111f80040613ca95843c74808144e85835731616163a1a148dece6870734b50eb3d18585844656106203a09c2d80a2d3a1282ce9b50c7e495b82e4c3dfca42f205b9ab73579423315940e47e3749dde308b70b72caecbb2256534171dbd87e1eda58fd43d0aecbdabdabdabdabdaa1c69ffda00080103000105020ed72a9d7f9123c6c6cf4d92b1c3074614c94847d51eac2c69959d2a5a3039bca4443f956e1cedc741ab7a31f9da350ec7463528fe26b328b71a06656d016421a616d0b6a965c20c2b6a2d58e9da99120cc27a6b517e98418e5e37ac3d79084e9bb451ac6bb178d78d788a1121181a15ea5ea18b798e9b536b342f105e208c61181855f8430b074e565656752a319219b9d5e00d40684f75ea8b17211f61f806af2a12a9c49add5c32b3dd654ac0f6ec20edeb1a651254632a9b83988a1ab8a2347b37af169840e9959e82ec985d8746e31ba199b202b2b3900a27567747034051d32b38595b913a8f468ca6592d4d91b96a6b709c1611700bcf84edc5dd27aaabfdad6a93f4981ae02b90836508b252be33936ab023d93863ac159e88e3f6c32640f70d8b0565cb2e432b6a79d80bfbfe1eebbaa9fa7fab33d76b3a7fffda0008010202063f02bc9de6445a458c55218d7b66b6936099136ac2475b8c0c0c0c1fc54a6b7fffda0008010302063f02a27081bd507e86a1bc1efa750fbcb20731d6b9d1ed518e62114e7219436c6e822d7920741dc669c8ea1d7263510aa83e87d09f65d64ce49929edff00ffda0008010101063f02af213f96d60dd19189a672d931057a641f695aede0c1a1a5a072e79a33599b74e293e9d65add44a969f35a158dac4ee851a14cd57ccf4dd4d66a5ad2e6a4f3485c251a02287d3e93cc55535d41adcc0192d559f1084a88668e26a7b754ea26f469b544dea2714bcd943e9fcd3a4b5343ad46e5696649a34d48f08a0baa75abaa14d46a2a2890679711037c0f81e09ecb3085cf5002e6437ec89e689030c0a4917dab2ddd0b3e5174ef9f666a9411985b3947f6a965b2944954281808fa3a953a1569b7534d5efcadde364044d4e9aa209f49c3b593ee2b6452ade6de614de8ab035169166632c26d284a4962531251dbe65a87e5a3a5aac7c14c79751a963d2d352471de1003d9552cc847cb18ce1e5788bee82b32b3f68586118db92d5ee3b62d11c17c4e766c31d49f0ada0e167e8e8793536969a9ba6a7ce1fe1539a9d1fe32267bb7f6ec30c40e0adcbbf18cf4b4954cc5ad90ca38a905dee9ff002832d3b34bdd21bfa498f9945d06d6523b2d1197d8c441e9939979e9ba9471bd5a47f42c9a66556f6f52dca9bb69fd7ba1a9d207206ccd50dacecdccec71262686621917e6d65136a6becf7b9b946f8f92b9a78a9e9d3ffd08cc7f844716a7a350f3350591fe66ccd07aaef59bd977626712ec26857a94bf0311046b34e959af1593e5d4f12a247c4422e89ea5466e7a751790ec983c5ea8ab51e7d52a4aa6339471f0554e47fdf16f177c5f2fb1699459c507ad5028f705f19138688b962a36218454d0689a597fbcd58ffafe04f8cfaa1465b14e614c998cdef19f337798b4c5ae137c65d45547118ef5631c1a8a94e7df04e87cc15fe178a9a9d52008cd955b34c16c251f52f6bbdab046d129c3458d31b23e62c620c7e718b6a93072a13b208a47a63ba26ed32604546a5fde6a9fa3a41f111cde114a9f33cf3d56c59cde6198101b02db60cab112d96448ea180f447e7b7a6245986c9e305a95504adea6c3135cfdf94ce3cbfcbead46e9062ec97714003012ec6fb17fd911e5fa76e5d321ad23f17f943ea585a01c820bd47b4f2ae0076bd6a673550b6a2cec6efb63a62b639a4c25ebb62f34dc6c895651506db8c7966ad4d932be9ba04bc7b1bf42ccab99c0f96bdf1a4aaf757d2b229c33a5a2134e9caa8334a0f6ad45b56ea94f065d915abe92a75594f569627bd0c677e3b78bbe32f4688960cb15180c8aa2765ca677c74ead8ebc2eb19834c6d86e13e8edba2efb0a2e04da611688e2b0b3fbde31a632e2a55785bd7f744ea5e40fb1283958a871c5237c37490d428b9980be0d4a8895e763ad6133677df6453a54687d2a4cb5645b98e18080f94671eddb05455b0de2422a4d81a865282b5e92d495f985b1f53a31f8e8ff00845a2dc62e8ca7c3ec67ac72ab7e521bf7c3fc0438f08b049af53df192aacb61c0ee84cdcb98669ec834aa83256b7bc40a2e66848937c2d069d4b089c2dac0319365be46f808c99325ca409c8da337ef85013295e669ce7d8632b5bb218e5f98a384e313b95b082c2c0701072fa4c0a4e264581b6435337a9946673946cc604904f69b626e730864373020f8c56f2cd59c95a9b1142b9bacdb0f475148348f123081f466d7325a2c71d818fdf0af5f4ef4355a4196b071cca310718f2fd4133cf472b6f1099f4d2d6280a6b86b0f843ad5d2d5d5b9e5a74c7ea60e97e9d69d336297cd5186dcac16174b4f474d0acb3eb29a939945d9719ed8bba482c0a6d7f1c22a2e2c84587f69869c03e9870703c3bb081ba0cf08cdb2f86c85733893d93f5f603d924c2f3035817e4d694aa0f785e0c04a9ce97137ca16466030fdb1528ad77e95362a00d80c7ff479669758cd633bd255697e2494717902a9f82bd61fee8ead0f2529545cdf5157d6271c3e55a7b394ba9a9fd64c65150504f769009fb2335462619828016f261a24794c4c732c2cf011286a23e58c76c364e24494df7c4b1dbd83dea8722fa270ce7d81387f2ef33a2ada1aeb26aa27359e319695515e81e3d36a05a194ee89f75b05b309b45f16d7ff00498fcf6fe58e0666f0946c85a69693eaef85a62ca62c9e3be1a38a5e3d965d1c3f741cdcd8c3fe2e3dd0deb8b21337bdc1be462af55c84ca736ef442db3e0fbcc0152c59fc86efc44196cb638413be2c53ea8b9e3db8b9e3e72f06315e5f992b7f0f67ffda0008010103013f21714b51fb3d4c67326cbef1b83452415903a0ab29bdd2b356b35e770e3e1085a8b4ed46afc434807986fd79e8b95555bd92f98bba73e2aaa97dc1f51e4337b47f12d9d3ab40c311abfba513c4768e80610af83e6e79921f6996bb971a6963d449038daca169f4816cae6d4ff260994d0e3504a8638ab3d0ce2ba9640195f634458a4b3a8716147caab3dc1d6715158bef30469805460ea466195c168c24a905a92368151bcd8f2b153558bf885fd0f58347abca1737c2f9860785afbe046a08c3ba578b25fcca5aab697c47cacbb5c76770d1ccc884b3e8743ce6160ddcd46c963dca0b6c793f30dfd7e69e4ff9b9e8519c7f7340e0f844b2732ce67668e6553d2cd55f4134ca823f252a7c2257b83344d337ec22740ffe449006a9f012f4c1e7995d0161c9fc54248abca4e9000f0d67fe261118b65cd3ede8e7b67e7325ab4b28cc3d77d303a4a50029626bc85ec3049da3297591f1bef287dd7abe2f4facbc196d72f0ae2677494dcc09dec7dc1958a3045de0be5df30cb3e3070561adedec9703a970c0e655d0d0b09666bf22563575dff507e3e0e3f468df733932f1afacecb53e5e18bb34c1cf5739cc07dabfd983ea3156fab30fd0ddcc4fdaf22e6d724f278a8d3c17a2294aaddea0903c86a9f0cd951d455b58c157f32808f087dca835647744d07c7136f659c03957cc283965ee8bf03f130fe412b065e522295fa2a94f0fcb3e8d5b9ef6133c5348cc40965ab301db3219e1bce5e0e7dea166b39e55b47b6292fc6665a0396288d74627ebb65824b603fca5a5a1cee64be20b36707ca2f10a721e63776dda7c444677f262d3c1708da294bcfb5fe0955c73d1ed25b2e975965f4841948345ac3f643a7608c550686240dd5c56012d15e3ab2d7cdebc4d009514dd55d204436356739e254f41ff00f197bf4aee88fd08cbd97411d23fb3f827283730b89607d05b8ad4e74e0d2f05f8ccb4f5edc8d7e6abe6534edacaa5b2caf9974dc38b996c6d410e9d1844ddce3822b726c16bd988212a2704305ed073c40a24117680067b87bd03412b9094b05ca3411607d72e89bce6291c349f68af3fa7a8e7d435ad41b68ee72a69e58738d7766804d40ce784aab3e92c2bcc507459c40500b5c01018a7c18074d6e3a544c800e436e7a9790745671db1fdaa1912682dd5b1a2007b364fbe6a5330e84caf6007e6036e1657c7b4b43f0020f1750162d63ca770238161c7bc6f5f23fdc55d22bb1d32ce21dc096524be33f02099bd43b7fd4be6ce9e4e4f91e49939b92c876a63f1ee46599524b29bb767b92e149ecab3ef4c20ed87ab1e3dca6301425fa7801ee4ba975894d032fed8950fce726d71a3e3d2088168b62f692a09e2e64dad1f4cd798237a79be5c6311485b72c02cbe58e8468dcf2c37c4ce6bdf9ae7e62d50bae4fea5f985bd8b3de535d4e15e7cc117e9d0a84e5d7d64c0fcf716c115c64e7fd817eac18178b4e7ff0052ce08815acd4f70cc91882f3dbf23f696bd8e3236b5db330e2bec1da58f8968e698ff0002293811e751d354b91814d1cbf339ee9217072f45ebed2bbe9686cdd16fd2bc4c5ce3f04ee5d7ba5d36aff7b3160f057de558f708a1682af795ac535127c1a651534e4967218e9a97980f90c7e0ded00aba0b57006b0ad278bc9e38e22d68cdf202feb2e983ed28aa7091f5717b5f2316759d0fd17284e2998ae4d92532abb023de1fda5ab1c552be24dac85db6ab0e8136378d1e63349d7e09903bfc7994657f70ea6233006bc11043973ed298d837e5e6c8301224c17c261991f7c6f1730155d37cd93f4198214bd3477027488144a5bc0f264dcb6ae6a9d99c2cd3050e0b57930c655b5a0f3f316e55d99fea7313c12fdbff00b8032bc581f99ccaf26234272de9caf69b93ef90ed799c6de3f04d35f0c2537c33372e9532bf547e604e057ddc399daea936d3e272d5fb07c5c5d94b25e39694028d0cf8c0ccf112799ea7ef89ec56f8453ed423c4fc7fa97ff9bfb9edfb62e0bf48cca391af8e66bd5539eff7dccdcfffda0008010203013f214cca3d16008e8a9858dee4a4bf5ed730824c2150bfa75d421b997713d149504d443132c107eac65f41823519494ced0952bf557a73fa2b62f8f458f0108210c7fc822cb611acb589ca343488ce4a0689b1a46ede8fccf385a5fe8b23246e5a4c58c10a7a248ddb15f49b2413319ce88be0f45a4a279cac4c5e3d38922a8e4837446a366cbf7070f48ad784254951f4a95ebbebc99840fa6809e95a851e8112ed136f8827fc07d609c5f40f42036f4bcb84a9622fea7d40188055ea38fa20a811f41f41080cc5545b2a5f72ccfab69e81e8f5996454be111af42a566a2543d70972a25c292929061772ddc125fa76a6a6447f8884327a5917a37a26d98698f4e7d398fab065fa25bc469ed0e0c0966c33f6d81ffa9d0237c4ca5c56a1e8465c2312557a1297a20aae25db217819ee97da0466b1027e88fa139fd0c4a4764f295e95454d7a1d1e9fffda0008010303013f21c5e970804f79e65ff840713123130c565b3d6866659e929a6a07307e83d11e8bf52e50e58ee5b1b3e20551bf31916df5dbd08b1e84a8454a951ff9d9fa20dca95e8a95e84113fe2914ea546cb886d7fb1e29484031f49e41156b71ebe85bf4541b118466d05382332a0e700874ca764e0210eb72d6db95a844195e25a5e10edf4ec7a130c5c7a3d6d4e1a07c45982d9372432e529257a8c20f4081fd114a901a251e8a67399881751bc17d350f425fea6395b2dce507ad08548cd4a7715734125b2117e87a0c3d171710c62d6ccc3c9c6fde11d1163d1f449949369dc054b2784af0cbf417972e5cd47a47d7d9dcb47d1c9e92d2f612e3d0dea370c62df3125115cbf45bd559000975997a7cd361a660ce3b8fc041b22af11fda7699163150b62225f0e883184d4dcd207a54a9505ed20b925eddc04a667e53269bed260dfb65d0645cfbca8a258393c423063e9703d47a3b7e12e70c650cc4944a389e296ee1056457f478988c37e998431693ac502d45f12fc4bf12fc4b62c6f51b9fffda000c0301000211031100001009cce8e3f307d1e02d403e0ec85ffd389b20492811fea747b60000000a04adfa45a74012ba857f0d683cb8ba68efcc5d152412fc91d53e7a0eccdf9c66610b29b3f92e6f081c5e9d2fc044b5ed24511e7b872c983ca1bbf3a258d77550407880d497c65e69c331486c1f53bbeec7a977dd41756fffda0008010103013f10af3bac2bcc40bcb84cbce7d470b25ad801aa235cc8c6b5aa655a8d4966dcd0102433d10f3332e738152a42d4bbb0a8cb3c50cd2ae2ed3e23686675c406cba1d695016607e8763f497f4f4bc317d49c35bb4c132f2a9b416694a9714f55ef8addaa50e23b88054ae01982e00bf1fe9666ac46c7564336042b4f4ca8df264d02b2d3c1d46ac5c84c0b7540283063de2ad256c8c0ab33deee36b8a4c05442aa2c46cabcc71ba2a8745800380dcad14294589d54a6c9db74c74d2b87183908bf9aa0b62c9c706b3a97cce0b25d5d01cd1034ca875772d4d8d64a4186b7c5e83adced5a77a56387a9cff4bf612156b9422242940e80e00c109cff0031f4a0a01b60be5507962116a6ec38dd384812ee5f62475199178426e3118c1acb7d5f35116f20b6d393b8ca6ad6104c135754f8814b7253891b2a8138bb993052ec36f66bef1e5052a8bd25d022b5759330cb003928ef7a7b4648df0a14b4dd598dea1a254afd15e95dfa2c09000b98315ea6f4d256a976b7cc5907447818589d55917ba6c141101c2e4f7943105c719c2e959583a2768540720e9127631b3ca915ed3740e15be930660ca40004a038d930b9ad31a3c2408ca1585e002e292edb3e78c12f4c9a4e9ca5383ff14c00e42c5882ac5aecb688e569e965ad01acbec514439d781ece11a47de27c309190d633414d8a2638a287f2de9d393bd653891aeed15bf69be88f14c883ab9ae193ff0066a5948df8c71328198ac22f4f2ca8108e30c6428da34b6d173ec4894395d6c05642d8c73014e0c559165a65ac13832eac3a87904ab30f22420e5855423b4295f8a848bd8511f59655de3d6ab35a00baeae04847656163b5fc5ca61d6215b8286f9ce894fb9b3926133f130eaa2bc17f1ee2007a3b442b2d73b443034228d736035f146d757044587542abe0332be32f2873485b15bfe4dbdd6f8f98a59ae01eabd94e7a82d3e85c94c675fa44d8e42cae97039388bdf9d32e9716250f97b8502e928a07409dbf06620e5e3e14e3afddcc9b49fc70d79995d08560f68d4a9f73f4bacf881566d8a93bc950da074d9f985507e08fcc35b8058a1c675d7503a11d65129b5a658f700adbbcb98d71c10beecd0098e83f600398754210451d5b651047a0021d0fee3c06621e105c26ecdd59c0d130cebe079abc9af68584c1d1001f632e91175bd942a1871be49562e38b8a5253c372b64230855c095531d420893a140a2ad10756cac5e06f556dfc4b735825544ccf2c11a73a894db097a3ab6a28abbae238732e29954b2ea37c7c67f88880e178317cf010b614a29701bae6bf11c19a67d3c81a1aad16cc0052d0b7ceddb056cac17c5a317b0b5b3031b4cc01938ccb28a38712a67f8000052b488c7c84060f794cbe9f32bb585adb3cd580e76c21b8e19c2ef3ef72c70ce2254ef9c88da55090ae30c438cc4ae630a73348c4a26db0d715ce416a55064a065669c903c220387b000aef36e7e222a1b754cb59d57b444ac58c952f008470d9ab30e623061a6b94a1938130360333c0a6540e6d4428ac68d4278b6d4141908366d6ae2714f0d00db05c295dcb40153c8559193da612eca50caaf550558ee21f111ad0a0d23c32c14c731380f058f2b4f76899b3319b2a103ca1db7344320a0dd198d96882068db4529bb28a87f562a5ad42a737c0cca680eb9a7f0163f1dc75194afbb1f352e11c8bb67dea2927d15aae0023fa06603114033a661a1294219a1180ace0eaecb382c182da3e11f215790573306ecce3a223e661935de19be4826df66d0889c37a090b2d41c0154b699c57de0aa957aba1d3dc63c9d8250348e5c3b3e4ea2ebf7b042c3a71ef2ec5274db3ee3ed0a6cd1ca0d617d9fd404a46d0d432510212235ad9774d7a39dfbd5896e2f91f1663ea984ab5481f08cde4ce23c71fe398e13be4d34c6c9500324173d9600015ef456d2f292dc35356156ab01f025f51358ece897b140f4c51d3026426a16894e3b949102d9a0aca8f9551c085ef001264aa011a0739bab949120131ea2e836b5c4b5a0c2d44ef2db5cccd3f9b978b90978ee3cb6459c85314df399822ca005e5abbe639ef5de614de28226b0b14d28c844b4225f106eb2809928039ad885e500ca0ce6dc7d0dc007112e404cabe26e162c9713073835c543ec88f685f66668e1e152fb004ae179c592e0323a855834dd6823d32f88ce85000053811ef7114054bd83cb8691036e750959e9091119767374aa35539393b032a2b2e2f78087278181c4a618a64f578c29284158ae186b42dd394157f448c2ee200de11b6d528d5e2f04716b345ad691995cf72b0649cf824152e357f8a1a68b30d60e1f6ee01a12ebc960fb7de7165f4945ea540382f263de0922a7305130f6ff70ba82038ae45e429311393014fd33f2445722d9eca4524511e95da42de40b38950c58a014cd0a3b35a6abc14fa9354341d8bb70c4a88012c145041a073097008a1083681a65b38e96cd2abf58e3bc0d62f80cfa41b9a06b7021ba582dab242e05e59c436303998d955ec82dcb02da2c2d6f79cc430c53884b8cb44bc97a85c9d54e03db8a7e6bf8877d0b136bbf8392509511e4d1b78b9bccb19c726ea55684d68e15c88c2d552d4946edbfbeaee0b05bfed435a99a19e9f88a84252762378a74450172a61752b51ee7fe64046c3bc0942ea559380118156bd32b39a0495556f6dad1c71d621265b402bdcaabe63789d13ed5fca00bf320fd6e57c8f855f787c05ab38ef367ed14e41d95f998bd3a0839a9c0b581d90ac6510bc656eaa8d4bf334c95f339fa4bab97fc21bb989df2dedceb31e1af5f7eb734372f371f15d54799b4c2b46bb6eaa02d06728305e1179bea06d57dbfc428b4b617ded7defcc36228b64111630670412b416296311c591074d9f09d4b6936b472e232537b5d77dcb6117918be369f796189c2d15b61eccaedc321cb1d2ff0062535d259bfd09dcdfbaaab4b9878c30f1789d97778f79ffda0008010203013f10441d09b2355562605a0ef98dce3f6ee146f365abb610746c7f304cc3e8f4c2987814ec40d17b978f129583300cb12e9326258da5f3e8ea381a437300ec259c1001896de200159dc7a2ac2504c20b750350d4711dc956512a67cfa490998a372a311b65323f4152a25c0a9e5e853487aaa2699454e07c7dc9d7fc4d923e22752cc4cd1ce28f787fc48be25b4884c42c36c601334f6ff63d957e58c36c26982614431be4298f2c70cae3f7ef299e1e7f873316a2a599257f425b609820b4b3d117e75d4a94b9ccfe21025cddb3000cdc54e3bf7f466e88af11c70fbc9fc10f298263e60b619430decc4ec4f0ca78333404f024b9b63065dbd4473e63a5e9032cb3b14194257bc5e9cc5a97e2368bc0f2c168ba890b99bc423094cc4c4c2620b52827022a8ae65c1d4adde2090082b7684495532ccf272a3787e8cb6eda0040c4da54a8912bd3020cd91198ca622d5fb4a123416ee008151d37150d903144ab9824517dfb7994d5ad8ce719622253e94d5c73895e9a80d5cac6911e434cef665767ac1531c7a08ea2992e50815363c8f10235a8d0c44dd0bf42748f84454c4b82ee1e20ece88bed660a6a79752807cf0c71a40974b95054d6e62381ad10a421551a546166a60120111328d2914ee39c304bd91c30d55e07f89b17cbfb99285625e45735f88035983c8b02e12bde526be522db3a3ae6098314dbcfa55425ca081f4f433c438961083b9d8286539fc251f5194b818fe305457fd23767de81ff00aa604a1e08a56b1b840dbf11d912e5b984f996aa87312344c706a34ccb708c97371c6d4c31a022ccbbcc214f28070dfa2486a263aaafacd3d6d79f4b71335bebd1ae655a78c1477516269c3fbcc05416e595dbf30e47f33c9f9876fe625709f7872e5fc7a7ffda0008010303013f102c23316a11f0c2458ae9e541e079654d08d0553bfa67af128b4a28c251a7b3c3abc6728e3494fc7ae01d301a0e6471cd3c7889b4d5b1e0971941e612ae524b4018a95208828a8a633a0a8765de3c91603748bf8cb7055e8a2807d97de6d24b7d7110d41701a9be62430a95e80fd0c6c7fcef5ba8fa22cc73613cd253b87942308311405e621ff17f24a8114302345cbfc1cce97f7fa344672af3fe46f204a24df7a0b061bf782eab9350d0b3df895159100d6225c7e813a26fb11d10f97f897edbdc775f13862d1dc49afdf83a3da5971b8bc02c6ec879775823291a20db1500a7a36d16ca8be9b9e32712a772651cb00189ac738131d12a0ab2f3043f282e0dfb4d30964a23f50d69f485681b7a25ae10875e8bc2b3be241b8a8970f8608e6770287cf70c4ba800d25d59220789908c45c0fcea1c4bb34f450a306c81515c19751ca8e600df224ca0cae3da1628c733191c855e18a1f11ffd111fc0c7bf0c34d129fefe626710109841b6714136f490b8c9619f187c4dc86039205625a24b72dcbb8473529021bbaea27bb5f7ea16050e6295efb97399472aa5afbb3683210b2187a12198341badc12f38facda93e83fb96bb3cad9e497ab08abcc08eca81771fbb96445da8ab2ab64b815580f2ad07cce62588103d5cb770159a858dcbc71965583304a9b33f481654429df997bc2531f59b79c0ff0024cae0f9cfb435ab98829cb8863083b6618375d626bf1d3c4465472ea521c44725e3ef2c20a60c4729b4cc4b92f47a611e908076fe88cab4f5c3012aa149032e037afc4fb0a24fa3308a9e521ba1ed8ecaf9afc45e8b792fe61a0ce5442be5858880732ac333835302e7225af3a8d246af88b507500ebdb886028d939d10558e222c54702afccf07eb07008ee562d709ad88fd1b98807a18e7713bcad1d4a6b18758b2a8a998eceae617cde498b4627171ff00f52fc0fb7f717d3ea45f4fa90e0227057c22f97fb3ffd900', 'hex')),
+(2, 'Condiments', 'Sweet and savory sauces, relishes, spreads, and seasonings', decode('ffd8ffe000104a46494600010200006400640000ffec00114475636b79000100040000004c0000ffee002641646f62650064c0000000010300150403060a0d00000ada000014ef0000202c00002f48ffdb0084000302020202020302020304030203040504030304050605050505050608060706060706080809090a0909080c0c0c0c0c0c0d0d0d0d0d0f0f0f0f0f0f0f0f0f0f010303030606060b08080b110d0b0d11140f0f0f0f14110f0f0f0f0f11110f0f0f0f0f0f110f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0fffc2001108006e00af03011100021101031101ffc400e2000001050101010000000000000000000005030406070802010001000203010101000000000000000000000203000104050607100001040201030402020202030000000001000203041105101213062021311441073023321522253324171100020102040403030905080300000000010203001121311204415122136171329142051081a1b1c15272231420e1f13324f0d16282b2c243155334061200020102050500000000000000000000401101002110203060225031510212130100030002020103050101010000000001001121314110516171819120f0a1b1c1d1e1f1ffda000c0301000211031100000173c2f4b7b75789588a72f1816510d68f3546422c165820fbb6c7527490268856cd164f69e5bd324b73ab1704332ea732cceef0b18713d36bcec79dc76275d8a5d85b375385d1191daecbd5b75417a289aed79400a5d6c616f35ea1867d0b1d2d7576fa8f285f4e7cf7c5f4377757898568632d5a351cd5965d380b2cab7237ec1eea831daf73d2bba355bbf21ebb959f77522e861b77d279afa4cf3c5f4369747958bef3340a44a99327722b7523cb1fac9ed5316c4a5b5b8d4e6ac1d90bf2dea11a8bdd5c5ea3cbc9f6e2fa4cd5c4f4461e88474789488c2f9ec468b72338213e8b2eaa01a6fe908a6087d0e85b8336faff00ccfa44a421bb2de3e9fca7d73e9333f17d141ecae2e97268598a027489c50612543c164339b0d0a1e56e84a678eda6b7ebe6081c3b9c133c16396a8cebe73c767c95c2f4d5a69072d0d70dc14a69e7d112be5dbe08c9956a739d02da9e6178b927616bd6d71cdecd47c9f620f2749b5c08e52cd4598de566ae9f218315cdd5ae0bbda2cabf2c3999a3e2b6d52b9aa8dae3e396e915f6c91de777e95f33f42571b1075b9457c31a6a4c5f767aefd078b4581c1070616f2a5b8b8f25bab125009bb322c4b516c131f42c734d05e4bea1c8db47d2e35dd4e8618c0bf6aa33edbc0547a690607163e5d4b40ad25d4be51395e8dc60595d2df651e525c9f4d58e3f4de406da07d1167a16e56d2184e51cc0977b7f9d66071837d7d43c957b45d85ba132b50fa4c7513417e8ed5c789f9bfa0c3cf73735ac0417665299dfcca9261d0989db5ea3e6199add1478fd2bcbafa5fb50809e83cd25614016d8ba5d27e873da723d857abec8d7a7da0f089135bf4682999a4339589e8be6f9d0b40c657307929cc8910e83cf2e0bccfd88108d5442378b6ab4312a83e0fd0a2fd4c8e56df2e2560532e85a8cbe3b53bbe06ba8e40c382a44a9b305421d6588663ab9e6757358af4e61c7dcac3456ae7f26bff3df41af9bb9d52d8133b2593c9a5c5d3d437fffda000801010001050286e090f8d43dad579c6d76576623adf7a28eb1b3ae1043ff00aec884566dbbebd5d8ec6d551b599952c574edb58b93c97e0656fa9575f0ec5933a1fd4b6334a487b323620106a002f1aa7d7653ea5dd4c5ad688f5dfb06e483c983c0525d9a746dae98dcd689e9d8ab24f4e6a676acda5c946bae7fae96d45566bd56942eab6b5fb18ec44dfd50f8dfb2d9e7fd8b721650cad554fa5455d85b28a2f0757e40e7cbbd2cfecf7713d0d7329dc8a8eb7a1d37fb7749035c588c96a84ceb868cb14df61b41b65d5f6325eb95bf4ed4e9a96666cb37fc1602d0d5fb77f89a45e2f645ad5ed21316da47d7853a111c50c2f745df9dd568cb61afd9b648cc33c2dd455a7af9e06478d6433d5860ab7e512eca3863a7e3d55ba6f049638892c3d2c661be3d47e9d1e24f8f1ada8d76d3f6778efd3dcb9e5b2becc33435d90bd031344a996f6573562431b6276db51258bb2469f67be99a7d8cb1f6a499f131d27893bb98fceae937637f979f6db59688fc636d4fcd7c7fcb3c6acf8e5ae96362ebc085dda7c73191f9820a1721d8ba9c5b6d8cd5e84156526b473cd056d86bc78ee96cef3793d377faf678febebaee692ba6eea84099bfa0e50dbad638b77ba1b7ee3a6768b66ed56c20bf476d53c97f575c8cd882c539a9d59277c353ed5c9ab86d9d6ec69eaf5d6ed486dcccab3457dad91da1d7effc9d683414fc7a8edb751d066c3cae47b9fb2dc5877fdbbccfb3da537d6f287b1d57cd1c69cd6ec4c112bc477fd2aa5f962565da9dbc6efd7de3a6593f58de8d7ff36dd455b69e2fb2d3cb2cb5a6d747abb1b0934bfac5d621d657d6d2a7bdf208b5c27b6eb9361ac7f5b3bec323c32cb0a83b5615ad3fd5d81e7241f1ff002aea51590f41e9933f2db32b5336ae6aef68336fca2bd70ed9ec37f7777719a5d443626b4f95b0867d97c2448eecb26ee9fb91f44443d0635d5fc8346248ded2d3ceb3c8af6bd51f2bd7d951de89e1971a43ae302bdb786156f7d1bcfeba6496eef97de7cfb269ecb66983a9b9cc54844c7986c544d6ff0066ae69905b6ae1eddc41f5b65e98ac4d0a8b67b47bfe97904a65d1df4d82581ffacc8fade4e41dc3cff6b6530ce32f8e301b34a63b4d351fd7035dde02464b7dbdb87c907fda616161616153a53dfb1a3f17a5ae6494f22cd30d57aac7237f5dcbf5b61e670494f71f65d2b9cd0f647276dce94a649dc8ea11da86799883fa61d85acc7b03f6edf602ec2ecaed221787e93e95586be11ab216daa92e37db010cda8dd1a1b6f26a306cb5975ae631aeed35b2d762732a96d7ed965492265313062fb6fecefdf7cb0f611ecafeb47a53954ed9b7aaff00c917f90f8b9dbecf97881f3d7ee75febf936e755bd66b5b6ff00b32087587ba76baa37aa298d4eacd80efe9127ffda0008010200010502518f673b869ca0ee0941670321742c7ba6a09df3cd66f0537e31c74ae9e3e5147186b7dba97e7f2d407bcbfe5cc4dc0e07c67d1ec8ac705a80ca2386f0ff009e2bb72798cfb20b289e1c9a57e5c4847e4a29aa5761bcc0cc0e0a8ce1158584780ba7dd6415d2b0bac7127bb3885993e809a56392b0826b864b538f071c3dbecdaed0ba9817d86a165a9af07968e03b973967d81f67332470d5d1c4d3e11917585dd09a1a5741426720de485941ebd974845a8a1f2b08152cf84f24afc6116ae829c4b5367c8f411e9eb5d6119139d9531c364081f72ccac7b96ae84e59f7050f41f51517cd9765df2837df09ebd8f12b78704dfe0ea5dc44a813bfc82e9e0fc37d975291393937d5959e0a2a02a66ffcc371c10b0884f088e0a0e5d4ba9752cf04f1d28b5009becadc5d42377184094e4f07242eda3eb6a1c3d353946a40dea5f8f6450ca3f017ffda0008010300010502c298fbf18fe33f0df8e6cbbd9029df27f97f117f8f32bb2504ef93eb1eb60e6c3f0380a61ee7f9636e5fccefc9e656e47f26130e1fc4cfc0f4c91faf1e96263bdfbee72ed4857d279468bd3a270e4f0f8bd59f492ab54eb51d30176005db5d0b00a7d06e4fa0b728c2ba0fac8552997a8e30d1c90885d3fc384625da28429ac0d5563eb7818f515f9f563d21aacfc6ae2c3382b0be3d03f870820adaa63fab907dcac1e47a31ea082b43db5afcc48a6959594c3c80b0b0b0b0b1c972eea63f877b8d7cfd0f72cacf0d09bcb7d653b88fe4fc354f8551cfe93c1ca6fa3fffda0008010202063f021185203d82b32ab857d15b427320246703f1d0ffda0008010302063f0211051b5dd5b0ef85c76058378217e858af5e98bc8fce343fffda0008010101063f02d3869348ff00f98993ecfb2b71f00d8431e88950caee7160c2f972a496421cfa4c79588f7695238dd6390df51f4a9cac39d24eb283dcb908dd2d61480065988d4e5d8696fc38543ba688bc7dab22702ab7b816e5eda89649c41374ea620e822d867972c6bb4e624dec7a845a18b6b51d5d5c05a8b24644a5c231b83d68756a1f6677a32cfb9128174576558f07f572a7d8c30931c7269db6675358620f3c72a2f35de2dc248914e01cf0e961c181a8f00800f45f56ad473b8addec8fb8c0d3c473462bec36ab0c056759d3eecfa63cbf137c98b772218acbcbc1ab6ca3210a7fa6b72d0b956ba9054d8e0b6a5dd4853b97bd8667c4d7703ac6797bc07017e54a24459196c0c9cc0a87b6bddee6063e2b636afd26c9bb9a31963bdbac62741e7e58d433ed53bec0ab9bf5030dfdefb79115bede7e9846e8354f0ee03608c71b11fd8d77fb06689a35b6b00df5aeab1d241187b2925da45f952484445073c74e77c3c6adbd5954a3868e4b1431694296f6655fa6d29d9ddc9a5349368a703a1ad9f5623d94b017262501a307d380e17af89080de111a69f6d6eec0ff003e4ff51ae36f93026f51c2dfccf549f88fc8633e965b542e32ec8fa16b77b9deb093f39ba14e3a4643c282004602f7a55be17f65ead1e41adab9d1de25976ececbd787a78a9aef89e2da4f00d70cadaf43303951d8c32a45b6909e8b05b6ae6c2d7b7d55a44b218e33a5021243c4ca5411fe6c3e7a1b4dcc8892468164dbea04aae5a72cec684f1de35607b80ae01bd372bc6bb53c9214b5f1f4824dc655bcdb46aa35dbf98be96188f106c7035134acbae17922dc3a1b8bfaf870fb6be25f1022c8f224487f00b9faea498b0bc8c5bda6f5ea1edacfe9a52718a1ea6f9b21f2e271aec9f5444a1f2388adcc6c5577114ce8e8c38ab1146f15e46b6953c6e33a13c4e1fa413e0795198ff27237f6d7e9a4eadb8c6236f491ca92159cc497ba03e92dcabb8db68d04c3155bdbcf490299f70a4f6ff2644e3db6b32b0bd6eb70920132c7dc1b89316fcdd4990f2fa6a6daee3f37753c5dc8ada9ae627618dfd26c6b77b652d79a3d50291a7d3ea2bcedc2a5de77022c9fcc751ea3c073a497b6629e56badbd0cb99239e3502c784b345adcff8e6feebd58c8ac1b155b0f77855ef09b61a6d8f2e757bc78787efa0ceaa269ba9b48e1eefd1fb02294da0dcf413c9bdda4f8e2293b0df61369f76603fdc3eda0c6ed18386ac701c298a9d2cc4dd0f8f2ad133e8b9c09c8532c7231d040523d241399a548d356a185d789a114d73b482caad7fb3ca9f65dbc5c340da89d01ae460a2f526c7672d9e50a674873f23715da6b3b32e824daee0364c061e55b695e0edc11a58e9013f387bd8d1dd69555219daec065c85411bab5dba46a272bf8d4617d4b082387a4d5c2c6bf74dcf0e585126205fef5f3a481a20557ae53860bfbf2fd96b663eba93e09f1cebdc2a88e53916b7a641e3f6d76b709f94d86db72a2f1ca3c7eeb73157bde46cbc28a918dac2839cb91c8f9dab48e82f72ac7c39547b3dd6f3fa666332c30faf59c353f95b0afd66d4345f0c750d295f5af0eb27eca9f6f3ba6e22d1ff00b0c353c57e4c3c687ea9a48c291a64070d44f33cebf4db32259c7a257e89355c8d3626c6dceb71b2dc2c5dcdb153dd17c548d5aac00d55ac5da356c5b12073cebf41b6c015edeacac389a0fbc94c87882748feff00a6bf2e043e3a07db47b70e8be76b0aea256bf2a40df2616bf8576c1e9e351ee2f68cf4c9e5cebf47f13459f6d20f7b1069b7bffce3feab6f9fe95c8eeafe13937d7e74d06e2368b72bea8dd4ab7ce0d5f4de34b6be19d1db23148d6ec4b7ba38d1821bb9074e56bb655dcdf97dc6fe1b247b26182ae6bdc272c7f852eea4b2bbeaef491ae956b9d56b0b6551e963ddd57d06e45b21a6a3dced96c72b28c2e387850f866dda5ed2375cad8471279f3f0a5daedfa9adf992b664d6789ca8c5b3432cb6c5cdf48343b6517ef0b6544f7d09fbba48b0ad3b98fe71c7cab5f5596a652e1ad1b598e630ceace7d9f28f86ee5b1ff858f11f76ae8d872a10fc5f691cebc35a836f2398a3baf83eeb71f0fdc3295e960eb63c2d203f5d773e1ff1484ce7d4cfb70011cac091f4574c9b2977dadbf3cea1a51b1e91a4e20e5ca9b6fbbdbee65491ba37071849e6ec9abec352c9230771a0aaa74e837b5856de1f85eda69f6a635b98909c4624922f6bfd151cbf1d91a08c1321891bacea37b1fba3dbf352edfe16891eca3f484cbcefc7ceb42f54e7d29f69f0afd66edceac75293d2be0056b8b4e8f7ae31d279d2db516be2704c3e7abf6ecb8ea1571d56e00138d49b79a0b453621335b2f88e37a8e38eff00f5f348aa56f8d8e7fb17181191a5dafc41ad2e4929c9bceb0f93063575735699750f0ad6fb6883f1fca17faab4ede22c4645b0151ec8bf448de85c16d4cf18b2a2e955a96766d4c73bf0bd14645b2e016aec17b32af48bdf1f31402a89782f13e74a4fa931b46349000cebf2f1ea1dc1cbc6e28a63dcb6a2b98aec5c5d6e8572f9a8cb12db70a303f7bc2acd81fd8084f7601ee9cc791a019bb6ff0075f0aba9bf9578d63f5d12d2051568bacf3e15b8df4b622140abe6ff00c2bf416d5b7852eca0dba88a9253190c1b4b15388fed7a40c43331d435789fa2acca74ab8665b5885e19516d674486e07052788bd6a56793b6184e8302b8690d5185168d9595b59f0c3f751dbb6a2c9e9bd8df2c2b50b98ed8d6a5cad53463d37b8f9f1fdafca9193c8d2c316e1cb31b01444b34863e6a7f856af5b7f8b3ad322956f1adf65ab5c7f51adcbf583dcd24ae56cad400b59ba7cf95b3a55d17f771ce96c0a0c885e1c88a30150ddc239f3bf850e82928b2a3e38a8f74ad26ef6cfaa218088e0d6f0cef4c1989284f561c7261eda6d5362e020523deb7017a20faa9bf0afed2ed76cbaa56fa3c4d07b777727394ff00b7955ad7156b635a241e5fbab77b166d4b2a0743f80e3f5d49b9ff00866507002e79d3af498ee086230fe342162a64536d5c4f951d6c25b1b2a9e2be74a44962a2e352e5e00d3758568f10a40d471cafc68c1d7672073506ff005d76f46a45be1992be14756bed1f45fd588c572ac72b6352ee31b31c3c861f2e759fc82775feae6019fc0701f25c007ccd5df4e9a2a02a2dfa7cf8541bf3e843d56e2b91fa286fd07704485f0c6f1918dabbca4088e7f89b98a5737bdd8a3dba30e38d1619db317372389b814648d812a7d07c31f61afd4aa0c2fad73b2d1d11fa98dc0ea37190b1a67ed93c63b806dec0284805c0bb35bd3a73b1f1a6568f4ed85bb8e0e7ecf9703f2c2263687b8bacf85ea537e5614be7f236a200b71a6d0ddb9c32e8231070c3c2ba7d37aedefe2b6cc1fe8e5245d90f867851ff00ab903ec1f1b107423e382df31400fe41b6a66c835b1fa283001776b1af71064cb7e3fe5a3d2ac998e76bfa68759452cd6b0bda81017b2b98f758fcd956bb6a99b38d70d3cb1cb55aacb66bb7530e15ffda0008010103013f2122296576ff0010efad5bef8fe0427840b567438d55f37f69ca1cb576a7d9c53f9944506fed17b9c2dd42bfd0147623badd7b854fe7b6a33731ed6397d41968569e57bf64aeccd143b517ac294d95128c49cdfd23d462e0c73d4b4ed500087714827108604d1da720d0f917506fada6f654a8bf04330d74c4b02b6ec62aa5755ab39c3a327a5567d6c7fb9622d57deff102b7b2a19578f709a6bf7ee5c8b34fe67e0fefc5001f40edc83c7d6e6277f4a8653bb011ca6c6113b79ebe0e07bb87e98d3bec02385e40d42d25eb7d2093013b6c82c34b38d96799da87509c065c1ad535ed2b8a0db49fc083a18404db8eae8e6b1c0c0158c48393e8b1347717429e251cc0b058ea8ef60b26e2d41d39ad8f52ccb652130ff527be52dc0581871e2ebaff00723c0b592afb4c0e9a92b25d47bee16dd8c6213f11c2533f917f1c7dbc686290fc95355c4cf950a927470ebdceb2a765a6b5fe4adad83b85a2b687a2ca8195c1b071d2bbb46bd447308cecfb597fd411559aa29c20b9e77e52875d1d310d26be0ca94d5b434494df45a965fa9de8945acbdabf140383b03a336e920b016db5996464536537840a55c0e2724a5b69089a098e0d3f4752dc171e297faf16830e9c6cc857dafc3f88d97a7aa85e023ebffabfaf3517c5cc96dec6ff00618ca4bab23b0770915657145eb5ebb3b99aa24e5b1afc4234a5fb09f097b76f1866d8f7c31a82d6eeabf5bf393e52871baca5fc974c685aa7974463d9c7442685da4296ed5028abb8e21a369e3029e472b799d47923728db83f97752915d2edec9046d7d8976626cf609696c7e2720fb4db6d7eca7da1e680ee343bcee131c840d2db57c399698cdb5bae6f3e52c51b88f8bfb7d57cee309cdcd16ebeee7de0560098c2afb167b487f04515afc5f68135e54b382fa7e583395d251055fbe129c4c6460b6ee7d22e2400f8b1a3a9aa0e8c06cc034a0792f96e6bfa4369cd7d3bb35220ba132b9064f7d7b96f92fb4244c5f4dae62526c20db17828b4395fbe4b440c35b2d726f52982b4a335a3a56e414ac52f85fcfd08304de895e85e05cbcb47685e9eb8b8cbaeede878a36962001471e6a8656d2a267c3f9815ea152d3facfe1e996257e1447ec7e4f659b127d505e4f7eee0fb003d7b800c6ad59875c95709d4c7ca1ca823f43f980d491978380e5d45ef8a825404e416c947ae0fa9cfc3eaac0007eecfa5c667129adbe11a7cfe2236455843a032708a3280c3963193b6c46b6310b65ad3d1db92828012694fc9cffb3ba7802bf425c774e89f1cee7d810dd5eea7381f25c1aeeba1dfc78c369c33b41b670bebed0f89587b3fd398c6bcb141e1f84e934e488d5ed8c1cd3d07c35d3530ab850fa31fe22b4fe8917057adef89dbc5c52ecfd7bfbc643e190701175d96f8f4ba364ab6c2c8cf243a9e72186abd577114b45b6bfa8fa0fd2e21ba3711a7c97c57cc0db8843caa3c9f4e9d4ba11ecbbdbea7d3ebd97d171c9bc2d4ae796a1d702bf07bbbdfb4d115a947dcdff3e60049f2d905dc31a74af69c4366fe020fa4e3c5e785cbaebc1c7e19f983e9d7e2187cb722111b8d1bf6da7c8900e30ac9d29d463504e028ab76fded2b4b4a5fd005168b3db3a83ae4d5a3b7d10687d933c76923707c8edfa273a064b8a16be54a60821c47286a88e85731693003bac7d9f766fdcbbd5797faed2dcb315d080d0f23872ced2038dc860585631e2ba63cd4a359055202cda3e86c180d8babb2d0bd7ed08aba179c1fc3ee3c67bc8aa29a28eb9c9dcddeeb017f999c4df518ca275561c890c887581e83d1fe18116bf99f2c31a5bed8d8027cdc32bfbf957de56901b4bdbdd90f401a03fb16ff005164951ca1ab5dd1ee1520045f54147f3f11ebb2ecc7d5cdf8fc4cc40c4af2b60065fa1c9eff00a812144306cfc4cb83571a5e0d9c1c5f04169a0ec08dadaaae42e5add54e1a3406ca2a980fb284f82ab3b8dde825e2a8f4719aa4e0301dbfc9463e08b1f06fb4de1fb31865bfff00c0f0c2c50fb0934cc03c628ca7029fec56eefc13f2667621d8096d5fc411f8a144dfd418e2ccc8fc188dd6bf12b251c6a528b5cbdbcc4d0e4b561f4bf195992f6b71f16e5cfeb2dee5453d79089490c396ec12f16fa5e63577b37352a8c0a41eabf894ae63d71bfce1320f115c5c2f466f830f860c1885a1f31fd42d14bd7ac34d217a94f983addee157f761bbc4c35103745d5cfcd34b6b3eada6ca0fd2772add8db9f6d54698be4a14a1cda6ba7fec6299d72d89ef3eab9942009b64a8abc3ff00c824a53805f5e1295fe4b044d21dcb4a35a0f390622219b340eb853bf3f1d0793800391ae670ecc97bbb1b2aa15e7777e23fa3c9bac1fb0ed3a082dabce2df083a7f3ee1eafa2a7de897ebe7207ff547da88e88981b50ceea44940715f5aba5912f11c48f76f56effc8f8cb570eab9f8fdf40f2878061d06589efe22ee6c2cbb7b957dfd9949b1ebab6ffaab3ef1cc68f139e5627fe22402e0d395ce1f3d7b966342c12a0eb6368ae2585e85add12ccf91fc0fe08dbcb11d2c7f711aff00e253350ee035b7fddf99585e67d18fa3fc60c8116e7407cc1025095fb95d331a029ece3f3ab3e934504115d2b7a3608dc9c050e3807227594e520447b1770da1eccd4e48af673dc34e7b4bce0a790e3f9a9c3133522ba15bb5f925953bd5297d459f90b818d0ba01b4afb1d9b92eedc828b29578f8e223402017e15a0986ff00b0df1b3ef13b9fcc1d165a00d25a6d577fc426c70696abd8c7585903b3903da0b45955b77d43a6a10a94b5553b8c66b68fd3dfe25855b6a8b3541197c8fa23eb82821214a89c959e987b59ce54502cdffe20147348aab7ba5f95fb960f67e3b2af7eef6ae1fc4201bcf84df5d673028fb59b1aae163937dca34f030c5a49b4acb7b5d4d4fc0cafc0ce39eace27ffda0008010203013f2165115be3912ecf044c1082c88838e58cb8f6a622fc12f7c37e0dc6f88025a5a40e4cab0e12cf94a0ec41c4a628dfbfd3284a73cbf0f5e362dbc5ef3997115b653c47119859ddc576f03fa199745d40b3940ba945ca753e689d2564d621586f23d96af97f41896a7085a58628df8a0c475b946d80ea67c4b50dbe0fd4e6e74c10cbb624171c457d4da73026192e8b65cdce4a96d5058eb102ea2270cf8bf27be0f8a099b4ec4fa2fb9b9c78a9700274e3244b98c780655c431680780f0149ed96bc09f68197236a0f96043c9e3be50690251c4204603df26feb2bc5b0f102266631e2781cf64dc52c5cc391a5e51e57e078b97e2fc0c3d3ea55a3c8e073388317485cc7c1c7cdf848912a22025f3b456bf32951b1387c168aea982010cf0e32e5cbf171ac6dfa2d6181f7f00cd979909a26d0d9cb517ea8465ec0f22d6055c61e63fa9734ca8a9c18ba8a9b63a9785cd8421e39cb425273f1bce6932fe6176f5e179cd0116ee7ffda0008010303013f21e12c9322c7f499be6bc7131dc3162cafc9734e3e2ff41065f8ebcacff17c3e2ddf213ce5fe825c51f246755282bd785fd22a2ffa17e6a1fa2e328087867da7c8f847c3023e187e8086a54c232dff004119dc7ea23fa1531ac12e8ab30e7b3b1049c6bc0451276113c54a8ce3e0f04b23a9ce78d48d27688823df92c6147aa2113cd4a844bd9b0f12950ecea6783397acfd0f9b8c4b01e3c17f2c0a39b8401e2e752f21156c72dd418f8af15e152a540f130ac1f69f2a117e0117f31c7cd781fd01e0762afa1197e1a351bac8392bc1254af0afd223965bd4ae3d7950c60b7903c1c3c1f29254aa220be0884567c7f6f282353ba22a5c20231f2c3c78b197f02d0dbe626b43ef37fd9fc65173f17917e3ffda000c03010002110311000010fc7aad3469c07d1d15559201a4af6b25c7d776a8935d0d589358ea50fc3d1616247005e2cb07dcf6390f19cd3fe3e2f67b0ee8321a53d56d439e19e8176ccba9ba08f651f12ee719641e6b7f867e9dec2d832883a1ef24a2845d2a7ec0a7188f27cd153c78b9eee9df4ab0226ae609093598aaefffda0008010103013f1078ecc8760e2d575ea0f12b1f4caca32e45a06e42c932050a03c0a8a3029f5eaab543a7be0ca507a71acd6a2d8adc17a00a9ac0e0b48c4104170504b9181a036fc8325dfcc14b02d40c552edc517535006aff003ed02ae547af9ea840042ddbb56a9ea878b30e5ad557a50d9770f210dd41392a11b06123aa825b47f5c088d578a0dacc193b860a46db7b965ab968e2cbdabba223808682737489a28b29bd0a58a80b1c175d7560a0be41afe2e0475b683d71c25c8b7b813ae85d2d9f0f1a7fe00a568945dd043dd40d291f8565c876689ab8c0ef8813888b53544ebbb734b18d031f4547d8f0b9cf2b10b271bfd162828aa1280a00c80688ceecb9842a9f3c5cc21c81e9172925294f317ef156efd8000e46402d5a7cc116dc1685e81d97964b2dc09402662a2e53271366807e49d0b181ce06d5a4dd52bad765f20cf05a95ab60c726256b2d8b940154b455db8390516491644134afb449404075d0d34cc0ec36caa9abbe65b304c12bfd19d0c2088d2b0ae67a08197c03598ac78038105291909b35c9202374157f697ef902296a45535a7e0770954d28a606d397796bfbc16d1c55848134368fa4e7f80ec60c747296b7dca476517ad750903a2fb17d46421474ed4a94dc5b80b13354e0b8bbb7069b0b348ddc24c85410bbc6292c2fab67b14504174b3f0587319616bd08aa3c513518708b02e1e8804ed57c21c29407b55dc7357ae7a34b828a45209a66538a825ac19a9146a0b542aab6350b82cbad3daba48040801a00f4873143443b694d3ebba79179b8a5fef5705730bf46ad3fe41f696efd34df79dd0bb41e2a5d2f681242b1b695cb92a0c1aa7363746d96295cca16d758045034a51cfb8d3561ed02d502aeb7b57c47b3270087201b4be4e6b981559aef801c91763b878825f6e8c35ae1b1294ba8d54a8a3473740950da975057eca0b0bbe7ad6058886b79881ae296b65d5736609458a520302e9adab6a1ded6b5922392900001cc7cf1cb7be8b4b10de0fd2742b923c0a29dd7189a0cc54de62546d414fa87a8554b7355d0acb387da2df47c0f2b7bc561e3c84b056d71074bbb618dfb1970872c07deab3ec59a90e0de22f15b98a410f59288f74288cd72ab4e81a848906e021034bfec63480d05f6084219a7d9cea12442d285b4b5627e3a9bed8c0ea0998b051428a2b3553b749402b67636253f3825b25574b5f3de2b684330024b0fd0cd31b294e2049a308305d5981563cdca56cd14d7e3216d9c53737ac330aafbcd62f770915b4dcb962c01206511f40813759ba4bfda68653929ccb832e2b25d22ed0078bbea00000501801e6f17a2e082a208e57b1b1295ddfa87d2b8640d1d4deeb95a688c0d6855d29ae858abbc597985f0c276ce2b70710ec2f8512bd2b6cb3ef2f318b45e0085865c2c39980654034d887542e1632801d72004d36939a5bbee801a55f0aaf0db423ac8b5ead46801b04c60663e5880058b9e0622d5162c4fd81e289a16801485e4e037e14d8c50eb4730baa55ccc2d0addddefb9541bc7e8c09414077e90102bb2f2d9abf2bf511a4a294d053e2045280a5f9b2bdb56ca12cb5403eb630c2fe053f2532e15757042a3766d87d610457bd3c3e3ea61f7a5b44350a4d75f459dc26356998bbf9bd6a12906a10d608016188da532adb47e22b53a4409cbe610eb2bada531429cabd98ae42ff1c8a83a1d1b8204a40fe40cda7756dc15977e2a242a61e641961e7a2b81681a11d9d44cded67926d814a05e5a1c05a010e81845d0b0a2f317c14e5fb024a6ba1ed9aec64595295c24baff00ca5cd04e7059625014e0e5f89a76a181616c572a840712a7d54895ca980e7bad889cfc1556de4caa6950118e4602d2ec6d269c90b406d14090b5fcb181194456bdb2e88c61ebdb7a37760171e2bbe7df32dea636a2a601ccf7cebc9f44be1582cc4da352aa1f6452aba40faa496dd07d972a1155f654229317c204a0ea94c59284f8b1d35a4eb2842aa0458e0d208658e89e85b2ca96e468c16d5636e0d4ac4fce6bbf01be30e8975c85e8522225a1556b258b59abb9a5a95a22e532af6c428071983a1435cd46612116b013938da15aa4299a7ebb24d222183c350dab1bca45399286f81a9d64811140376a0bbb56bb932a7a36a89a0216140b2b99ba8a49f44740dbd29bba5ad3341822b92a3fdcbb5c1e56242c09006c8ca21622688f12ebc6014625cf9d8312df2889c5f4e4d728cd3c819c4bf589462cb7fc1b2394111a0c384c3f99a8be2c0e245bf7863007a04abc3d1063758e65c16e2a5d8f65cfb681a850e69b46132fd5ae0b717923a4ad2e432aa2f414052315d835511aa516c6c65d148c3b89f904d12ba00bca7716a023064a662b68b680d4d0d4a453b313120a02d51c8cca0587b416da5e9ee54808eb055aaa0408eddccaa9d3965c02e9d74e712cd50bb734cbe0b6ee55e3136e01fa38d1a3ab0fa4ece2b4dbd6bf9a093c1ba43e9ba6572b3ed01af9ba8c5443e17fd4bbc0b02d707fd4b2c4b00cbe02b6afa233a95846ea2a845fa629551416a0ad74798e3cc45078905ef0080b57c3256ca0abc5c2eb6260ace263f99a32e36bf2d3158631929cd01c7516c2870f291d51b8980360c769ac6b848d24294ebd5468151c26985d24b3097428ed66e4a93d85bc084a14c9eb44a659f090d71e4a1f5085a5bd740a7c02a07a89b871c907ceca20f1dc0868d9cbfd1137e57295a2d45facb53eb5dda432948e5770af4a2fdd21284826c5f27b3e8c612a46b858a726dc18214495b7e96a0f3c57aa89af2c34281f8ab30706885812e307096aa962a50f08a19da8ddbe6e500e0a3d4594770e2ac1d2928d555820b9871660232c478a390bc600150280a101148198c62fb616c951b1f845b82de2fcfb0a963b05685ad80d7d1563cdb1d7eaff008bff00989f32d157c304bdc51ee308a22f0bd334b57fb68983cdca0b08f7946bb314bb4f4a7c947310b005d3d3fe080e56de852fa07e387b80ea500b5b8e0349d59191a4a161a0382df070c4b4cce9ad14bb110f1d6a0d49175a75428a8855e736c6fba6224a94535810d1514234b4a298cb02859e0c119b12ab8f9036ac55528562611b0dc34a28869635bc0c2f8c471c49a14218417ec370555a33c0ad8b9586a7b4f4a1bb6e8f97ed2ed87069840967a20bfd27fc8d28cf774ffc8a1b9fdbdcaf65ff006f98b17615286d83e80ece7f04b43550ab35edbea10017f4ceee88813d4a1a0eada3e2525cd15bd9a68af95e12ace064281282a3da57e8217c1b0a6139555f81ab58613d54088d245416daa3a8835bd22d001d25d535ef49e3cb4a442110d5eb925ed5120dd48e0a50ca29a81f7bdd2cbc142c28adbb6a6f648f7041165a38b14b2115983a4ad86fd2fad97a03615cd07a6b062f9e404101e6b49472e8deda8551a7c92063f434652bb1eabfd10c369e87ff00939a9862123534286d45a555a382f85cf44d15b03b55e9fcc615ea6edac3d14414b0a4515418b1cc268dadc53285342f8214c18a95c8e55bcb2043e9550772b44829560c00aeb46097fc0a710556a40eb8d42d155daa0658c1ea212124b61027db884022af8ef60d1a7d6654bb9282a82a085c573d988162d430af843672ba659056154dbe444d03dc08876cef2bcaa4beb75d81753fffda0008010203013f107b52a3e6188c74b228b42b23080af1914aba8952ac61b2117d10fc1b299f89789c9b168ee1ae0de42461b60afa787ca0a1f4807b1af847b268a711b0bcc011028c4880206845a39c296e48961dff00234b115dfe27f2a3cc22384f6277e1d971fa4b5510f96c503e65f25e6200f32c6723106c6c60a95dccbe50488a49553b94a4631af82a5b7b732f669bc4dd7837cac981041b2378e41e186106b79850a206b662a7da1e1319717211f12a87664ed1f29c4a83e916138672c31f6f9ca88fa4bdaa00ae19ccc6290976a4377b3e7584b0d540ce096af11da9d5b8e03ccd0d906c75ff006284d711c2cc2057959620a5a7c263b2a5cddc41ee53688b350ab5f49444388d44c331088f700a9dc57eec9bedce38b5f1ff00670b5fc4e63270a3e3d6565c6e754156413b85847dc5e41d8a3dc4342a19cab232c29c18adc320b0cd45e96016a1833180ded0e7f6224b528fbf884cf057b1b8cb3878a5dcc6a53f4411056a85d66c6560545dd70472c8c25f311a6ae541ae219a758d6564ba327cc60e123ea164020c21a6ca38957cf85a7100ee31cec2cbad8432220631e6b2aa6b6f5d8914ecc07ccfb8dda6a25470c3b57567fecb15bbafbc701972c5328902148134b8dc29cc4450898da97dce08f4343ff23545bb86b392f58eb13c17fca64556476af231344e7f77096092cd8891f253c818b617a67608304a877b8bff00b2cb764e2dd8f25dca3869817347fb8a8347df5311ca442e6233078012b292e22088ef7889529dc7415b385ee7016dfe47fd83bee5f033d4a2a53191b2e60a32734ea07ccae41916518cacacac2f0481412e828e6b2faa13f94f9417f6f4c6e4926b08d804663dc42ad0eee04b61d7728a8f715cb22f483e9132de2dd64b5bdc76271d86b1a3ad252a3a6990c9b57929cfe2185c1a77b79f5fb61c0fe610e379052cc49da22d1c2b19ffda0008010303013f10cda5cfc454bf72c8a4ba890873e15044263980acdfc9a940c7b2898c701dff009e36635facc600fd17c61b8cbfa238f183ebfa00a1af53d49d7956cf98fbc7d211231547110e20a8392de219408dd229fec4d951f32f83973cf398cee6dbf70a225785592a3495f25542364f4d95ff007fb8a5c164b30e31ff007c912dab93626e3140a9425c4a4dbe2e245632096afdf11c55cc075ea51f58b7e4c344414beb12e27e8e11c2c25b0957c411183d105f5ecae51f4dff00c8f5a1f7afea3dc3eb6ce3c19cda796b6583e35c69e7c169882c856af84545ec8bb65dce26df88e56487123f4e30be494d3285fd005f4836e412a9f200a639aa75df88e7232ca9be541c16c383931ca2bdbfc21b28934f3fefc4a7e1fccc65ebf9fb7efe22a3bf797eba8e8fba2dc76278d4b8403d42349b988f5b1e07de8443d3db0e800ea07de3698a6e03328adfafde46a2aa5af9f9ff00c88c1aa6ff00bf9fac666631b78255d45cb41cbe1770d0e56679bf2fa1aa8bab2cbb8fc4e7a79970776cbb660de1ee25d3458afdf1149663e432983731c8020c23c4fc033ec27f3b1d646b0a4420d7ab95d4a142a5dae59c23b8952d2de0280c0f17f311e254ca11dbf87ff67b51a3fe7f11df055f50b995e245562737b5ff00cee0751fd35e963420a966bfc8bd1000d9ef4939d303e81cfcf1f8816d0aa9877c5e6834c68cac1cb3aaca5ca7e8de5ea6fa323dc888cb8556d438b9be3f44075032ea9f20a1fb7fc0214b70f6f6110c472a3c64768557ccffd900', 'hex')),
+(3, 'Confections', 'Desserts, candies, and sweet breads', decode('ffd8ffe000104a46494600010200006400640000ffec00114475636b7900010004000000410000ffee002641646f62650064c0000000010300150403060a0d00000b73000012cb00001e8100002ee4ffdb0084000504040404040504040507050405070906050506090a08080908080a0d0a0b0b0b0b0a0d0c0c0c0d0c0c0c0f0f11110f0f171616161719191919191919191919010606060a090a130d0d1316110e111619191919191919191919191919191919191919191919191919191919191919191919191919191919191919191919191919ffc2001108006e00af03011100021101031101ffc400d400000202030101000000000000000000000405030601020700080100030101010100000000000000000000020304010500061000020202020300020201050000000000010200031104121310210520223114064132243415110001030302030505070207010000000001001102211203314151221361713242041081915223a1b1c1d1627233f0e120f18292b243142412000104020301010000000000000000002110304011002050016131511301000202020202020203010100000000010011213141516171108191a1b1c1f0d1e120f1ffda000c03010002110311000001bd717a65eae2f6efef49ef78727687a858a0f258b85674f96d5ea7cd9e635298b9166ba1ce6517937fcffd9e54e1ae90575e776cf117ad4314119e17dd4e7ad9a9f1e33b251d4d592d25b934587a560ae57f74b3b0614af8e2dc865b7a34cab1a3d3a8f9bd1d02c3c19f8f0c1877a8763881cef99eb101b2e606869b422ba165dba5ccdd685a73ecd40987372fa22727a28fd5266b3c584b447cf0784f31565a631d6d6554c3619781a81134245530a302eb8e474e9a5ad931351e1771aac179153eb67a5a32ec0449b8895e06f44edda9101d1258f6b864305b2d2c6b9bd9e5b1544b55584574cd7da24d9106d3506b154b757333055933729c8ccc4d47742231c957374db3a34d1d7b7b19d5367de4dceb5a572d5868e561402d0b0c343c9695ec2b1146c7de8f58d7a331cc4194724307a48ba9edf132e4cf06f5c824ef94c009dd95912e5f3c0269b8163504dd219beeff00dcf98194d529b8353a3f20874c9e1bc88d8a04dd2b09eacbb7b0503d837259b4a6512d34d5ce39a9797e990c5bafa5f9a8b5368ce844bd29ea1718aa1a38501d8a66098dbac14d87a116f42c54b4651cf19e0b719ed30814bd052701e75bfa2f991bc0e8b73be005dc961fa6ed1d0f93e5333693e09e2afa4f27a89691d699c8d060ad839f71b623cc1492d4ff0051901a79577deef1acb4c75ae574e2c2696ca63926b53ecf677d588acad495d0a9851b67ce602c2b272fb45a9d20b1acc5651421d7aaa3cc1c9094e2e564fef48f5c8f53fba199f018c9acac6e3def9b5249c16507a523b1c7515255b8b4063f4f640ccac74f9d6ce4f6b6cf6f9ef7bd9cd6d37acbd086cdd3e501e9dae544bd3cae1a687b26b9eb929a7179586ab614b84b899d4b9753021e5cce8c83edb3371d9c3d381b3a51d57e87e737f602a673183ab6d647cd8535b25d910d6678a4823f789c3b14d5bc99ce0d3fffda0008010100010502d2d8ac5566a2d84d57521af5b02db557117bd986bd729af55add8da60dab6596ad9a9419b9a074254dacce965758d3d4ef2ff293b2b0a8ae1197ee55afada8719ad59cbfcedfa807dd3b09f55ab34fd8d4783635ee4adeb06b4653651433d54562c7d7aac6b50b43a5713b158feb57f32dd84a7e4d6255af5553d66de68bf6becfd34d9d6aacdcb75ffc7f4ec6aa8a68b459c5ff00b76ec4abbd4f7dd6b54ecafbb5df73d368b686d4bf3fa68aebef3b5bb755fceba76b9fd1bd2bab5bea0aa2a42cd82b72baff0066c61f274399aa9a14709baa3551bed69935729d595b2dd6a293b7b38d0de7776d6a6d89b16ebb96d6dc89a9ad417dd83fb9684d5cd62bd5d4836bf7b12dcf1947d0d7b67754546d0dc8d6755777cf4da55ff18f5635c66c35daf59b5f082b650c95226e688651a9721aa9b82d0a929d7287612d760bb092da9b66a4a8d2b77739d5ed2df474f46fd8dbd6da59ac40a031ec1b3c1fb794e94697d3da46ad8b2bacbcb6b2eaba5d829d2d7a0b0aec99c3d7ee5bb564a0ec584de125ecdd7db7a9d7b5ec9bdf39afad7ed1c6c7d47b068ec5b752b7a2a8bae494a9b57832aa2bdb29ac242a70ad89b1b8baecff00fa9b05b774b563eddc02ef731dab6d42ab43a63594ee5047f6d997bc743ff8c6a4d4f8bada6adf2b752fb858873b042838b28ac8e2043754b2caafd9b7707d65a3476285ab66c17d7abf37529af9054a069d82ed6749caf595d37dc5a844b00511e9add6cb1f59908b03dccd29d3ee64d1ae87fa9bd76bbfcedbb6dd86a6b78356852151626e6ad8df4759faeefa975ae9f56c23637adbe6a27a4d9b813be636e5d2adc67357ed19ee12bff9158aab50cc4a3ee5bab2cfabd9196adcaf4be726979dd5b1b5353e6ef597cfb9fe3b6ed6c59f0bea5634b500d87c2cdb076004e0b4b555dadbb5572bbab58fbdaf84fa75d751d84be26baf0bd696a8e87cd69f376b6f66c67559b3bd5f34fa5673ef3b295dca4f9b7e3d2d76dfccfa0b65bb074b6acdc6657ddb6c37dd6bb51797a92c780972c0243bcb55576cf20dbeeb1f7afac72e5030455ba26e3d4ebf4ba6cd3fb425bf7111abfb14b3c750cbf62b3adf494178bad3ff0036e67d5d44a56a4286c2a21b4a14d848fb6863b6c36d662a968cf93cb3029735a575cd6ad3608d4a0cb3e4a73ee74b2fbeaa46c6ab7da47a0d767b53a9a7d94de804725a3d99af628174abe5bdf6eafced5d65b352ab4fac0c6085caf5c5c67dcd4eeee5cf19b5fd7eafb2b40daf81ff004befa6aff6ebc8b3597dd8b7286c85fda6a626b97948c55fe9ffda0008010200010502a8fa358338959d9390100e730a227131ec884986b58e98f35a729fd781710c2b830ce422e00c782440622e2145caa085018d3a8c61e95098b4c0a04cc6c99812c7c41634e4de3f8f1fc4fe62fa81b20d6663845b3dd8a62ab4b0caacf53f99d715713889b1ebc709d4d3199c26333d41fc951039139069c5446b67ee62a4fd5276fbf7394ee9d825e727301f7db3978cce3e0113f59c419c62262580998610af21c78c6e52ace6c6c32bc23c6666010cc78f73a4995d188e07858d618858ce72c3eb9b095b130560cfebc5a25c801c4c4e33115498ab8f0823590ccc36416ce59014c5fd61b561b276e01d822779961c859ea62141313909fccc34e5885cc6b09f09c6324f71509850649840f0272cc199ca67c11056262665b4e60a409d7024ccaec33b21b0cec83dcf7026671f0ab3acf8c79300f07398ede2a1eca4e188e209cb205b806010bced695b66665b760aec7be7ca03f83d399d1152719880465c123cae66275456c424cc7856222b622dd0580ccf83e0fa9ca078f930cc4021482b800c4300989fc4ce656bca041089ca133333e442b38f83662162d07e1efcd59cf86c4b6570433dfe3679ffda0008010300010502b57d8b26419c271261fd67ec636444ae38020b1a57672866258d882d8608af987c718464e21433898446303b466380c4459da229f66c021b616f05b10662ac7e39c098fc8ae08b04ff007c6abd56c21659508e9098c7105d19f94e6d29f7e11b331e33e5840c61406619673630553f410bcfd9a75cc09d73a275195af118c9e739cc7e19855a7ec20622728cf98844ca981b892d98b89662563d63c62719c7f06821b711efcc46988d15046e2270883df158eb89db882e86e95b79e53309c463332c6ccae9cc5e027b305621aa71c1e421fda7599d7387be338cacfbf2ac66671309c05e1082604f2dca2bcf50b0139780c601987d40b19b13398e62366063399f05184aedc4374e7059098c8275ce021ae180087d1cf83898108fc2bc727b9713d78558231c4ed10d9983df8e1ecd393885a098962e2625754344e1c615fc12dc4ee8cf3333018ad33e78f8cc299814792a0c6af21e8962f10181f021f189880e2337a56999ca169939fc9ce231cc0a33c6011971f8e67281cc0333f899fcecc63c2e65465dfcb793f857e7ffda0008010202063f0264b234aef71de94875095db3ea05adab3f5c1344310ce05f9c2072e708f732e3f8d7ffda0008010302063f02845b3a5a0d4a067c42cde7e4e1c1874e0c2bf5c29e7054c1cfb14c812ea2077fffda0008010101063f02e9e42c1e87f057464c9dc188dd74f2c2f71a85c903776ab81fdc534eaa59b1ff0021fc15a033715ce3e9ec54fa73b253f13d428658463930f9a550ca7394c484e1658ec55b121edb2357238f7a17cacc50ac61e6976946509b465e31ba18e2291a0461934951978c08cb94424a9a21188791d00d542ff4d90753c1452cfe8d8fa69017c27a4c8feb54233f4d960784254fb42329e6963940531e6143f05d584b9bf4a6712c92f99396008a81c53cb29ee4f8b37b95d38b9568c8211f9553306f951f4d22f7c5ae2b183107a65b24b4765f50463d90d7e2be945bb774dbabb1c6f97caecbff0034603d2d95063cd23ef5d5f593966ca3c3099d7e3b287a9cf804726bd2f23f6857743163cb3e5392000d11c72d0f84fe0a1d194ad20dd25cd92e8f88ddaa94a31808c4b171551bf1c6d91acb1d3eca2fa38e56714315d6e502d2fd8a8437175f36696fb26c8689f18bf1cf86a10612041df446679aca4bdea1873038eff0102efe9d3c8baa072ba8f793e4d00ee4f92d840698e35f8952cb3c11c9967594e7cc6bdfa2e9608c70beac8e3be59b21f968df9296594e5107ca4bfda80066dc5593c62eafd4c618290735d54e431995f3e73fa90947d3c444518ea80c9166351f92eae2c8cfb76a626e641cd93dc226599de57305f4d3f823c4d164c79640f5236956885f28eb395508486ba15f4c8b4eafb2e2b2348138cdb2b7b15f70652ca298c4c8c2788147f7a10c7fcb3a0efe251c5ea724b24a42bb3772377a862e5b976db747a99e6da0b4d1fdcb142279bcf38d7c4a233c3af0d8f9832bef6c5a689e1090ab4b29a765174bd47d3cb0a190a3a7c191fedaaba32b32ef12b9a771d9946525c8ec2a81b64fd89fc39377a3a13c9cf9340d565e6a6ba809f9845f99d4e804a5cc7b5081cc65e985210268c8316b408db2fc38aeb92c626a1f657cfc33f0c919c64e054a174fdc2254ada9a31344f908881a977fb944e104c2120c347ad4ab270a1dbfc934e116dee6284a2398502e6889368e9a308c0fe908925d6b67ca86bc4cf664de3ed09e12a7995b77b8a3768164cf864466c00db1da635f8a6902ddb556c494065da971f3047167146d55809b25af7157c41b7b43272172f87895646a50abcb68a6ff0074bb5462232cb9a5a60c7e2ef3c10bdbd2fa73e28632f3f7cbf24613cf127cb18f3cd639e189018993ebf05f571c6638a6c3210c9ac4204e3b82999d49f27e09fa0f33abab621bb974fcfa557f2ce2fa5026c72bc9375f38c49121a329669cf1cb05ad08b97d5f83231d868150d07dcb9b5f8af07c16a032ac9bb372a07d2c8e3c5a6532a13fb518fa28e31203c7e299ee1a278894f39fe79c9c737693528c3300711f215788dd37b848eaaa547e796eb901963d59373f66a9aa06ee8c4c9d01aa63456c9e78fc9245a4633d75a2e9e8763b294b287ec2a56d61963d331e0eb1e383c71cbc795bec0acba53c4439bd73074e31c5fb938002b219a1291d002a59fd342eca2b280d65ddda98be288358efef7e0a119f2c202f988ea49a460174dd89d62365035e41ee4c1b20db8aae22eaea628f13f9203162bdb5c934dbb3c7bd195a2ce27646422e175341a5bda8e8c2a10cf5188d1d426fe02f446138bc38f6f62998cccccb797b73c7087cb281111dea38b27a7942519894f3cb60361b7b25eabd10aceb9214a9e21d753261c96eb2b58b3772864be73c6fcc46dde10ec4210c96ce3f50989ad144e4f5133193565dedff002a290f166c6488c655b8c7503b476a8cff00ebf518de1351e70dd88e299f168ba619c51c6cadf1e17ac9daaa421e122a6554219a313002a24382ba00da2b28beca7d6b21088fe388dfbd73103bd5b8a57b6b69a7c507b6ce08749c48f6fe2ba6640e41fe09e6c32384e4ac80a87e2a31c331384c734a46d01908c81ce4ea63a481a3046b212ba40825e875ec58b25df531811bb771a3fdc8cee68ce57980a013ee5191d774e1084a91eca288c4c1bc48c9e9c11964e696d1d820252d68174bd364e9633595ba929f2132fdc49fbd06a7b3964447b15c21d4fdda230f574f9727e6be946f89d0e8a18e5aca8e344e118c838342167c35605dcea44bb53c58f0d950750ec23c500719809ef43fd1470998e702606adb5c3f4952328d472fbdd1b406dc76ab82f1546c530e6968231d4a889c0f544808e2f7e9eca2ee4c990a5dc5f7571c708c47871c054a177a78fc10cbe9cda41bba72a858e53a63cbcac7cb2fee8df311a3d57a8f5f8f927090845be5017472cabc4eea80888f8a13b84aff0023dbf78aa1746d9c6b19eb5f7715740f127fd2a41adc867619f00d73a33c4e0421068f7f150c5a0978a436080c58c53cc6a542721cd8cb8f77b355cc6bece5f647a62bb2176bbfb3ff00a5ba4e35e289ea4896ac489538268d60e4ddfab709fd3e42fbc402c8334891cc746fc172cf2dfbda249a13130dcd2222edf62974cddc503a52a157460efa0e62cb17287f3b7f643ae5ceefc7d9ffda0008010103013f21a4045d17d9ef99b867d914d25a6c805549b6bf88db56956f88a991be2178207629de7fd5416968bb5e15a8eabb80cc40958ad36f8941baaf2495d9fcc5b506c57765da94f0c5f224a95dfaf5309b2e70a151d086a4451a706ce0f04b432d217874ebf52974407826a8ab6977ea08e4a39ada9a71327b31ea217650ad3e026c9982eaa62a8c8e7987f52c789c1b1354a854396b1a6acb2076a41baaaf761aca76c1ff002183896783f33d1c06e95f514522eb5fcd414abef96b9ce216ac636fefb8c06a51a7f84b521379351412e3d39f7d4601e83dc079cca74c3ffa5ff52f76b0ace1e59d9c33533e49ac38bcdb2da457b938bc75e0235cd479b74f0b71036b2c53e8f0d7e3b956f5514c0d05593ccf3df8fb453574ab811c6aa9f11d6a9b5c313f885688d273f28c294e32b1ec53ee519e30570b78aee31885632b8dfdcdac6e060798e6e85df422fc8f1c4cf7c8ec7fa833da8c4fdf3f502aa9b0fafed84a42e7b782eb22bc46dc5ba744323a52e83db2b9c65e153edf76c17eeda17bc5f8096630ec6dab2a7a83c5668559fcb30d8fb4583ea1d60087d3af0732a90559ad73b99b59a069ae4ee37fc5c2b21790ea2ae6e26b102b979ea6105fa03dff003022e6aef3984131ca9081a569712fae1f61d33c12c76badbe63551a031733e7c8e47adc1b258ce07a8198bb64266f58fa98eb6ca754c4947c1e7c8adcad5de3294d9b17061556f284c87a29bfe3aae1111729acadfa25fad2b01f09e3f398ee8d817df2f2773e850983d238355283c16ff519930527dc4dcaf38c5b37d012906087cf0cb3cca06d27114c5fdc4d8ef34f6e67d645f27898005d384af00131cb0a8a852b07e7b88f6ec553fec3a0e207f27302cacc4a1e2b129942f4fa1e61aa32cb5c705ee594831b56d3f56421501660e00e89da76835ae147c433ecd4cb0a7d427d599375c40d1075f553606ed47f7552d8aa28574600bc467073fa4ca5ec2cfb1c8bf1a841f670b5a77e92c2c0dd08e39dc0eb558631d51bfb8694d6c575c4719072863ef32c10ae42315b7207f999960ae53b25766b4b1b8a558ec6ebc473ee0bb7fdcadd5e4a48e73d5aaa34bd8b865d81e881eb79712fe04d70e3c3ff00798ad5741766bd4053b10e7d9ea0539342da7d4a8c07923d752d4ff57711b83cfaed6390b4d5db5feb13801c7b3a1dd4128d641076dd0f70e514d151d2608a118025bce1abcb168da8957157e9049eea327e6550d5235ea6d61b6573edef32e404c5edaf2d43cc0b0c82b5ee2409e9d025776165d87997bd62da2e34a1c764d2470750aca5581e068b55aba352ea562c78cea1b50b255c6901d07f946f82fd5ffb16e43bdff511c1d76e80946208b48e1e539b9844a9b4039003f996c7d8f69c2658747ea61be6dc1bfe7cc15cc6b438fa8b6e9b750af01dec66af0ea2aff30252c43e50d1769fe2e3e3a16636b0d42cbb84385b25ada1b32788b053864be6a1975e48dbdc7a18adfbb6cb2b70a747946027942b35e87ed942730844385cd5c71a6d1808b6b673ee5ee0b9403042cbaa16df5dfd46d6ab8323f1fef2bfd0f338b4e4e1c770e1ee647d27713eb3ab6e0ef52dca948d67644e746c581ff70851ff00b47166baef5f5b4288929edf7e23cedcb786c81b3272b9a1ee16a0b84885b65d8e386097d8b7a671b96594175a7e3a86b88df4c67333a16c5841a7c88dd14f80e8f72fe3832076454b9f31ba49f91af81a86368fa665e49abf44b96569ad0675a992c768596b65dfd442edabf47fa2713664f47bba9d588002fb6b593af598722c0a2d20d0756d84c3174732900bcf07792575475e9f9946d62f7707693284141a30fc335846f991ed940dc057e041ade004c375160b5ce278465a5b2945ddebcc06c5f2a8e1415b643d53f72954573471f772a170cd53039c351ce2aa1cd75c3ff8c1248cb3ba3abe631ca5a2f8216b7e203a1158dc7a19c6209a821823563a6b5d44830164727c1a3077550c0fb0c0e181cb01acf3edf508ecfdcaaa4569d1bee788c5bab8b0c260f2ea5b450b1c7f73f702ce3e133eb52c6ad72c632b758ea3bcef3fc8a1910eebdca72f84fccb25af493eb886a65495805e71ccab629943675e477cca8a93258bfee6f1311259f7926ab442c0355a470931a754d8412fa5711c5e9c2fd97fe47acde53fe99e22f3d596a6f8e07c1a5e22c0500e477794323a952da8b565a99fa970a1439b2711c686ca7aea3170d0b6a590a984b48404b011bd3ecc6c469d28bb8e17e32e29885cf3fa2021e1be0fd8d7d4aac1ace676edfb802073584c6690e01babd9f72c0bd3d4f1f84727c798283997f94e1946fdee5dc96c60fa71073facd8d82553599597b10013222e12a88a766cd139f712dc42fe77f7fb87de0560c4add902a43b6de4f972cb9d707da9be2e8c42da45390795799884072bc83d43ec83b8f52caded86fee03cdfb9ef798f7233967b727933c4f429f698993f7072c5566ee2d1bc402cece13aa9405568d72d839c633302dff655561fd54ad5ce1570e7b4c1da7039fd625c495553f4e9e21fb8833699bd6bcc6d5654a6b9f3d85fd4ec160e13373bc608a3128b7e2ef5fd21721ec28c9d1ebcc2ed3fffda0008010203013f2112acd64a11b612e0fc198cac672e0d518d4f189c466defe03e3396f100510959995bc2612fe62e4972bb180ee7a4c23cb13ed1d9308c10cc1e6a59ccae19635118d6c04094418ccd0fca51ab833030d31edb9772c86a48b30a9d32fe2007708c5dbd196a7db529a27b99f59e1b9cedfc0834c400f262afccb3e12847442929944646331dbc33b1f087c32b117729305b0583cc69ad4d6794c536f3031b885b99eb0705997881955a9c92570943a624e6e6d316c4f2a3dfa6585b9625dc3dd51d20fee5adce6195ccb30ce66f899c0b688916a067b80dcc5e08aed9eb4ff65131582aab9b582b15c4ab72e0439129be62ee3f14d18c532ce223585239a659a5c47098075105bcc47944488af99c0452179651957843f894225cc2f58f2c79772dfca8657310d6a7de25014954419899ee64798d153a2288c0c160788025259bda79c89e3fcee019e26d14771f19e84f121cfb9747188c6ce25020c951dc1b85d9dcdc2bf37a8b7f146964706a0d54a89f0439461bac4c18042602a61091a2359587e256f5180a08af84203d73f0fc03bb8d250423ac2d3f1811c6486771690bb00b1051171b32aa68a3a837718c4b8fcaa28cfc7c096ebe1b4b634483c7f32a20f90a42d7880ad080d11f882b2f4c08bf485f24669c7c3240c31295c6332c11dc6e5b187ccc4e0fce2cc0de25ab3a98dd66295ff93f0e7109ffda0008010303013f214cc8c6125f857231db71102aa1c329661398e6373985c0c1c303c7c1748b5a99b6cb6c99a452f102e5fe319062b700c711bea0b08608ac104a22acd5ca38974b63f19ddcb86235f7f186408b170dcb3ff3788d6ecf8795d41184a35824ad16fab97e674c18437a8d813c9a89cd98ddde07c026fe219952f3cc1612030d5c91d127747dacce21a97cb4470b966e6d2c4c93190cc7442860a23f161f85a994da8b4c914ec8b78a9ac42999e042ec259a304afa987cc6dfe371c2a3728e261896c25f515129061e1dd431dafc3da86027c40da5c6a16905583d543f68e99891081a867062f2e1487811f27043e56314451b24b7208a1b974543d2801b65dbf128caca2062d4582e6652c8147e9007319c419ee5d352b32bf501defe0441a5cdc1300f4c16f1046e04357a881197882d45f6c55825a35355d47615dcb5a98a6d6a1e70f740e598cecc64aeb000c08cc089df0035f280e170ad2d8d7c523ccdc7dc3004f04d28ce512c972d3210fca52e616e0a193b6098e99875e636436f8ffc51aab8148eb1f8d6ee5e7c07e12b02a2482ad80f849bc9808c425ccf71ff0086a107fe362c10317bfcdcbf943b7dce4b7369288d6c8ecf61187c6a6b5047c0bd34a3ff0053e3911dfc66ed316494f69a6770857c313884e71b8ee7ffda000c030100021103110000107dc8cf936a04b535e7f4237c05d458c8507dff00d73e1d71c98a183e5e91aca03d3856d2961bc902102490f5fcf4c62b34989db90c40d3d4bc2f71ed9a67f9a2bf81c08d72ca34b49ed782e8e4aa80579e3df3f1d7ccb42f501625c18d82c2f552db218dda5ccc48a74a15823d2bc400ab52cb981fffda0008010103013f1026235717a2f02894786531a051bfacdf528208603a5046fcdcbf6bca6d5da9fd2232a6b4816142cf021ae80b948b8e956439c72818867140052d5a398c4139acd317ce3a99dfa8a3a139a6f30c06841d014a05e71fac1cc1b759b618fb309a8cd2ec0524546b4dabadcb702c208047c92f18bee0a16e4c36365c603ee3ca3ae50b1929bffa9b0d6b2d145ae563245a5aa1c32188574682d0a23468df7399e6cf7962fea002f3e6b40157d472b6dbec1226c0a00b098117c55c5c1609d2f12a64d640e054be96573bd58b9006bbc63eb7282ab58686da1c1b7115d35e90382f0ce2a6710ea9810b2af16b88a2b5c8be8b357d4c83f14463914e5ea1e931900868021b730b38060c02ab09c318870adad11ef9866864944b4d2d2a99f20758294978017ee6f44a8c97803478fca0cc6a1658140bae09498140b953cc643a500e4b429861c26059c22f0689473de214e57237291558d28ea05708660c3b1b3436e0c2e10138d85c943fa84f2e9379d9783fa8506522d190780158ee5d98789c26832f799c7a6ef8cb957c73b8b74c00a2d344ada20a0bd5766895987ea05a5db0016d7a5eff0031006c5800e6c392fc5c281ba0201aa0bb03f7fa8772d0094477e9088095152df4d66a9d6f469872d8ac84cdb64b7b45aaa0ab5a4c7a2f8665c91a06a64a8cabd9dc582bd1715ad15baee0272c2d270e6fd0c7b66014d0d5d13bed715a99aa6b0bc55d34e2b76b0a303b6c2c37b1415a222010bd07f47572da972764f6c07b6e283428220b6b5722f35a84794c14ae2c232f8ccb5956064b44729a0a2fcc071a6554364d7e709bc045c09b4033d216c1872003ede1708be56aa05905dd25fdc2140dcb6ce70b65f5288565f60eac5860e41d437e433b2a038b4285ae2f6ef24abd43e9f181ae323d1370ace353c2e9ec8351ce30a836ace6f5b973d88c0a00b54378011ef906c8cec69b7d44705451fe64e9a802fa0a721e2a3279e101c17298f3af3045baf6b0ab6ede3997071461d86f34d856aa61f6743c215805be26630961dc78b57b5866ee5999d23228965a323ebccbf1de40dc160c7b6a5a862928d5e12ee8c20b90434d8aa185f247a166e4abbacd99625b6d32980352db8e665fa7c100a887779949edec4052eb0a2fb9492566114ac2a6b1b2257882da3569be658844acb383158dcc51142a37554fd18a354dc14f2e95d4531468c0e30115b3f7e16104d507001bf31e12550a174381ddc6aa392ddb5d05c9c37e58799ce58a2a6956e39b9d4c4c68808a183ad4470c32b74493f2680e2d4d5ea5ba12c50d4000db1b9e767dc7c06beb1ca84f03b852e214d217a47f2990e16eb2c38adf98095ea8535e430b049c1908980166d994570ab2be80ec0cdcc41c54034a06dee5fc4c8a5d1b70e8ace37a6d0456d5d7509717a941aba6d5c54b80488573b2ae1e074d2aa960eb079b99814664d18d5d6825f5450c47ad599f10d96a552f4d350352ca0943a172bac85cb3d84aec797f899fe908924179792af09591c9972071aaf27a95e62d49cdfbbc42171cfb19239be1d3b58c6292b14a354d834d660ddd51b627ed082f482b54e1e135d96c1d6f528ada07831c2339af66e90a2296f05712e621656a737581f4a8cdbca04524e0430cb2ff00f0b2696a0a51e15478bcccbc83c1860abba1bdb31f569954d0fb91096cdf8d175727c40998b4aa7a0e71c4cd3e202e3b5611d3885cadb96355bb036a59f885e79f2064b80751182048af2dd2bc44148c0c8e83f8820e02e58b97823e25f16528816c066fc5b0ee79bbb704bd5770a4a94aad816880cca626d093054db238b89867460c1bcd600fc46933ab48df605fc45c48bd0cdb68a3ed0296114062b29bc7aa993cd80b6ef00b602fc026008b26c3fc329d124f220a8a72fa4ad0629b80a39ac6d73a4a67b5c328954dd1d6d1a76592b080aa28354ef7b8da048aa7071bdcb3009f156d189c46737806d1616c2f012e5960e801b3aaccb1b6e5a50eecdb0f3185c1405b4a2de2a189a3014ef6f82e675e8c94899c5ea6941b313765eb31bb16f542c0cab6197e287bdcd72fb8081ca51bb66334d5ccdebfd600a5355f718760fb29ca80d18053f9b740da77e54ccacefa2201b9a3847b1293f31b38a88dcb369687e1ef9103044c60535361bef18a0a8015b6780c0fedbc658d5f5833141e2691152b8760266b21b2b8bd4028d7114e8dab91b3be7116ed82682425f66e88355d1800ced3f16e0fd8261aa6077a9929c1411b0b37fcb8af88b5665c40c4c041d63bb40532f1752b123a41cd4e1c732d0556ca6306ecbc4a5eb55d46960e7f528e52a0487033c841377a294a325cab100a01146e32c2e2c63169b12d966feb3995e272259aad1dabf1106e08ea51dad112dc150d310025c5729bae6db2df8860a8d3807ae1bb03cb65cf31d6c177e4b42261b33919bd5a3d84550168bc50712ae8284b28a6f0045647c280963115555b97cc754b0b1d75cd5318f245ca0755ac4ce76ee6326a0c5c99541b4b19040991c770155c2a14a6f83323b40a180c141fb2e1e02749d4cd36a1ea3d5162648a1b0d35a6675a6ccc64a038ea31c58146320d3d54c8e3c10b6d6d4b31b840840ef70ad960d0ecf312140aa181b72ccac8842ed966f1c08a26c53b9060ae192ad20aa188621af45f4c6f52e552a52f6b35e4ad4b3d46a0e22a726e66b0c56e41b73184d34f6b4f51929c372c4eff00b9d1306d4a64be6c3796995932db0d1af284b6ef6cc1e393d0ec512f95f9accdc44a0a3b87813c0a0d33858b73898208c5216aef172f944311b00adb02bdd57cc51686cc964486d4df7c01e6ea2d8865ed9e53e9e2092a66d96c000107aa86403401cc93402aff00b868206e99cd649bdd0a4f2d15516e628e4b580bad898fb856c235845b70555bcb185c0358323270c58fdc5b57d5a65d45f416fca00ae8389e8c971534959ce149982f367989705d301aa87f1a3b0d40ec463896e716680b6c0a1545476b21d54b1b0e8f0b30155d400544557969960d5cdb6b4e74209065c01c98951c8f6a28d8e331e1ccc603805022c53b398baac0219b10db8ae311fda1cd25b54135788d9b0b0593743e65e83ab96c0157f986024a122912ef05f316eaa8ecb2952dd600e6e07d802804fa47a80288337a7d44895c2d71c8fd405a8cb201b4e030a947c20055144f2cb8c4b4ac0b4142ca34c6203e36a552e8ed304e946b7e85862eab639014d61e0cc21e80a716eb6c8e37d890bf0ebc16251cb5cfb8e2cf5f80b6147d4ae12fb35130a1765723a843674581b1a00ce2b04477090ba1470b957f6841bc005600c363bc1e3702ca0c6808e7c5f2dc302be5d52b276253960e03681a93d9fc75071a066cac58edc4c9be78dea0ee24ad103bf7393ce085b9c8621cd8acabf83f728741669b338aff0091752083ba83438c036cce69ca6f02ff0070c310b14321eabfa825f31d76da01fc02236a70cb90991f02468bf726ba594b4958e5c0170e81b0460cb72ecfc5622e50b552d2ee86fcaf705bb10b018a1b791898d6d282dcc706e993c42c9c1595dac5a262f25b6f70ba406a540f9a51c0bd4c800a921a5a2d19d9c6a5815812ce07256959626eba733fffda0008010203013f10e0cb1cb550b41c42dd3b372f0bed2ca3cf8f535eeb11bda23585426ff2c63a1618344315712dbd30036d040708578c46b35880b16a2f7182dd4340625205e8e095b807ba88daeb46c637398b5465ee396d06dd468afa9fa2d2f8203800ea2eb0bf73247ee5c8c653f484d6314d1b2034970575b8a29a1d88446c77cc0097f71d9cda8f334563b813751117cc3ee8f2d9b86af0ca2c4eec732dab88ea97fa253ec8498e862d06980ee73d188505b80cd5c634ac302537db06a2fa514314b88e626a25606e250370696b97eacfc41558420b8d282aa1298837595aa18992d3cc50253530d41cca828485c8ad933501c1b8e5de66c192639b7984ed608f58e1cb0ab90b81be6d11b6895c615863c916338dd5c717918a8ec95dd098ad40cfc9c5c412e1f519b8ca616cdc705889293de2ad85b861772a4b981747598d0b0c7242eab020ec6a5aa49549823166d2b1a7a962c04569c4feae39cf9e150c836f9997bdfc2029349606118672b80ee7b5bfa8ab01e035895119c144014dc345bb9c011c62d64731460c77fe6257b9a572a8a8285a5b7a8a0acf10cbcbca508c306ade260ed2a14c30af01b8c85df33a5996193e11a062a3f4e50bef8ee50e4786568e72e0cde0ea64200839ca289514ad4b5182e886e68db0d4abda8238a604d70e65064bd4a9a89753848a582e68082e925762e504472667f66bf1b4cccc35e7dc1893b944c5230663c212e3567960ab791fea2760f28c821b1638af312d58ad9376f06275e25ebb9750a853adc782bee625c55882463a0750a32d90c5445ff51de4f995cda9039e250c4c2fc266a75b8954105a012b6972f89d24846d8292e559022b968a728a820ca9a9e20bcb7030d1104ad513556bfa9528ff00e4350d414207646d9cee2f1d4d69f71921a9a5b19db11d7307a4d89f51ea2e622510aea24724aac90890adc014d914ff00b410b1ba9ad958bee0bc5c694b608a8135be61f2e0e5744722c237f4dc28c32527b941b60972c0fd25000344cbd329def06987e861398a505f5fee00ab1009972c6e4b5530e892d5b9e613588ca2c55f8e2260724b42b6a14e08fa4bd404547785d67e02cb8fee045ece7715b4862a04fd772e7c56bccb7c51f50cef1010de266265717a8268c4b533ffda0008010303013f104f2603913009988f0bc30c00f497a7a7fd8f3604c66b00166e54bf1c00601a8ab2158e116a5e2a1b85cda6512c99652f4ca81283732385c5d278e382608ae31f89ac2b90e48bf28796887a80d178d5ca08fb94cfbe5f0a26f12ee02cbfc4c478e26e19637fd4d9e5aae5e131358604332b3d712832228b31c57f971cf8b7fee01311389981c18cab9250c8dcbeb1c4c15986b9fc88f7919b9f042552e700a99fdb144118e2897042eafae2a2cc07df3fee162535cd57ea517933115770cb510b2ca712d6b148897a5c0a165a520555302edc6941e897222d72adbe0133cba999ca774282732cad43a46f711bfe37511a8b2749015a851a953885cc997ea03258f0c6254648896510c3d13b52244b8764415397dc0347f08c570f08821b893211a209b80e3c32bf743ba52e08f111d1925530899b6c40b19aa58552d116720ee03741e6608054adfb4238f04cefe105439e2165fa4a7768c8ab1892d50b2b28a9ed2c6c88dc78cc068306ce625d10829c51df8ff71473c17ee1d7fd83e31eacc7e235287cf07e088a7c0864041e851829141cc1e3013683e0434f27f9e20178a984ee62a8233ea67c45f1f9410d2dff009994b57fc11c57bff0cbec00313a9a3fb4552d4bbac4ab02f0846de25fb70b02672ea324ccb1076460b07d332ac21a547b936bfc4b711fde605caa1b49368aca4176a9437f08e5051190f49887dc0c3b947b212e20dc450babc12e4eae98a436f1cc142d5c6b19f3e25a653a1c069801595c3e854a8c635445c2c81a03befe28734652b72f0333024ca620c54748086c371da8cc040fb999b89564c5220df3d11ad2f2ca28c7ecb2d41719a2ae0ee2c1730862a22f83e1641d214ccc624b61ea0a086c155fc04bc73dc3344a4f32bedd4070102b52c86e170b36a297f843c196194b50365315305c57115f8cb31bf131119841e60c25dc218cb0c2323a8bff00806259894a1176b89a981061d25232c9ecff00932410a8a0234cb5c02a545d8118e230cb128b659a09bebe1d7ceec214f8cd951b8bfccc4259f7592cb9f48046bfcff12904ed1cb108e152d74dd4b37291ffd900', 'hex')),
+(4, 'Dairy Products', 'Cheeses', decode('ffd8ffe000104a46494600010200006400640000ffec00114475636b7900010004000000500000ffee002641646f62650064c0000000010300150403060a0d00000b2700001034000018b200002619ffdb0084000202020202020202020203020202030403020203040504040404040506050505050505060607070807070609090a0a09090c0c0c0c0c0c0c0c0c0c0c0c0c0c0c01030303050405090606090d0b090b0d0f0e0e0e0e0f0f0c0c0c0c0c0f0f0c0c0c0c0c0c0f0c0c0c0c0c0c0c0c0c0c0c0c0c0c0c0c0c0c0c0c0c0c0c0c0c0c0c0cffc2001108006e00af03011100021101031101ffc400da00000203010101010000000000000000000507040608030201000100020301010100000000000000000000030401020500060710000103030304010501000301000000000100020311040510211231221306142030413223164315250711000103020404030603060700000000000100020311213141120410512213618132207191b14252231405a1d1e1824353306272a28324151200020105000203000000000000000000011130001020402131126051611301000202010402020301010100000000010011213141105161718191a1b120c1d1f0f1e1ffda000c0301000211031100000111f3bf71d41a8a5d3041288dac773e530e8552b54661db2328a2aaf68e4b6fd2ee1f55e0729f95def0cabdc83ef6a4e2565cd645a3dc7748e039bbe9e268ae74737f7559f9af688517bca691bba568d2cc18ab392a9ee107b8b6aab6067845b8a65a4c8ca48cacd09f5275a274f4fbc7bc9f4a8d6d8a9bd9a7173e86c83e832e11c0252e8296d88228e61773df2a36bcf36109ab506258522107cad4fbd59514235ac8e8dcbc1cff0091ec915a8214749ab9cdea3cf5188d6199b27c53bfd63aa0aeb62fd2f5a05df3f635ad5cac3c4f9c1a9371b894117653e951513a29aab3ad4d847671ea1ad50a9343e332f8063dc09912f85ddba78a4ae45bf9e1eda6723935f6832588688c35d8b179ad5825b5b49f9ac65a6b8a776b6f40864bf39b95b4f6743e609b44c1b1b39df0dc43601c91b22737d7a4dd674a6763d5dc8b49c316240d093fb8e48d3f9cfd8481786de3273176d69ea3129e8b759825a556373b5852d9a2bf13748b4b745cd9e14f4aaed116d24bcfd40a491712ed679bae6751967184d2d5801ad4da43731cad1ec67d2e4d1436544737556b449b33c2e4a2afa40a794c3d34113501348bc310279846c93d5119f52b9948ecfd666b69d9cabcfe1d116d08641ced84ce5aa7bab38342cd295ac0d25c73b00c24191d4336cc032b614af65028e11cb62f42e1b06822780f42adb656979aa8a5a904f53db2899a41e954932bc2cf32f72f6411b854d2bc48c83a24a7140402c995a8ce4ecf8e8b0744ba5d5806e8752edad1f3b574b4c512587bb9b36a22d757b394ad798d1a4d74439442a246da2a26af830e8742252d7bf2b0f48e8cab4ce302e5302e2df83c489585525e7732884024c0fd3114af3fb214f703dc0e239cc06ac8d15a196b9b8f61f71dd56b720b2d78b6b2732f3b65ed5042767bc8bf0b9b3b6149c0acc602271daacce888b757ab1127838ec2fa637478bc65667a05eb24716e54da0e65ec40d70454e2cdba1ccf8f9ccb43d263f95249b8b57f15f0c666bd321ab03bba10ed049680198cc531d6880aac4f5d16c5a749c11cc5a4d880402570775520f7ffda000801010001050292de40afde03a47d5555b0abec6335b788b4451129b13a8237057399b4b593257bff00a794bb61c53ee98e22e1abe4350b86a6cb54260179815e40b9841b086e46525ef2982a71f67558bc5485a22dadedcb101c45d3c88fdb2e4fc87ca4ba5c87ccf4b7cae0be5c810c83933269990694dbc085e3536ec2f9229fc0457afab8ab38f93f19644ab51e18fc24a0da2276b977f3f629fc9744ac55e38e225451555cca64b2973a69e1732f7793038816d76df0db5c1efa6f85b3322b0b60c6431f15d10eaf5973c2cce3ae7337dfe73205d6b86bab31c03e6b9f4286d9dfe2ed8be2f4cc088f27eaff001ee3ff009d621ecbff007eb3b98330b099ab5c7d85cfa736e20cee1df8bbb861e7261ad1f136d8712d453635236a7d9dfe2b0f541e4cecd69e375cd97c86613d6e1b7bbbe98cae0a32b21652be4c146cc74393b1c77b35bdff00a2e62ca4b6f4495d6f2dfc11dadcd2ed63ec64f362bc72bade07353589ce6464742bdca71c3d4e4e3ecd908a8f633781aaed842e8a37227f9bee6479c487cd7994e1f1392cb5bdeda3ee6660b774f2192ce69ad9966ef25a4b2b6164d3cb24b0e54db476f9c8255ed57ed9ef30773e0f60c94d19735ca5be6dac57195ba99c2d5dff004d6d701d247b8bac1f99f87c7bb1eaf667c8fe3bb3fa8bef5ab7ba5fe632e2e63f56a41611ba2b3bd01ed91a53fc6e59b30d9473dd995cdb831dcbf3523df69912f576e74f0fecb23388f1d15bc8d923b986165b4f0dc092bc676f7f041b450c7c93626d238378c8e134bbc92ba43415f6732f85cf45dbc739a5b5ef138fc835cad5f1b5d34ef95537c9cef92eed2ea7b59ada7f9d8e9877210a81b44231cd3a9133282536d8aa32ce653c6268b258abcc622e513930ac69eeb43db541b5597c6ccc9a26be49ad60f858d986ff009e344d890d2e5f537079a23807272ca6260cb436f88c5e3f0f97c3477368c2b1f351d693f64b996b1d81b98b20a6b7f018cc10be4cd5ab53385d45e1351de9a8279e225755dc7bae7b9c3bdd337c6e7b949ded7073a3c844d8a78e42c36b9291aa491d5f51bcf0e4f26e0b373cb139d72e23d46e2e1f93731be7b5671b7694d53bf77a91dc5395a50097f670d2424abc97cb749a68a0689d7ade32d6da47ff00676471f15f0b8f5ab86bb0b696987b7932edf9039f8d9cb8b7f497f67a9aa8a7f1e6f4ee9b2bc3336d21ad505655ae2797182bc4d14fc6b7de5f8f279397ffda00080102000105024d080d1e9c8ae2b81422281510a0bc7d636fd9aa60411523935a5c9c9aba291ea0dd00a6358c05454fb0cd1e538a6c9c51692b8ee5c8956e3494a6fd145454544f0804cd2472ea82ad13510a4fd61d879029082989e789f22e6848a3a3945a8c7d111c4929ee5cb7aa2990ed30ee9026740551376477344111bc478063c14640179422fd8a91c882846508cae14206ce0a4357b53b670d0855d0f4dca636a6f38f0aece6d11544f154c1b17700d05c4c9c4325407753b643dc117511712a46f1634d7431a89bc1509344111a3d814436b821c4685a83171db8209e2ba5dbf668a68d354efa0272014640672d00dda101a16a2dd4efa15d13b768d28814426b54a78a734d23d9a1043470475a6842e354e146e8e45a821b079e457e346bb774bb31f5451d0951f72238aaa32ef4411dd5534ab87f101008efa1d29a30d41088d1a78bee772f40287f6a7701465768854c8fe6e011544c15075aecd6d0228a011154e15258810d5e42b7e3bd3fe31f61b4abb53a0d1ca4e8bfffda00080103000105025f8255534aaa7b939c8b9724cb5738387640def3f67f2538a0829260d5c948fae918de01c6391e98da4a423f637abf468d24dcf355d231b9d98e2b8a28fd4535c9a53ce8148e4f76a15a6efb97f10e29af4e4d7f2d68a5d9751a0bf283b980349374742534ac78abef4f6a068a47724c141a02a505c4b4b13775c4aa28dc9aa478a3df544a009d71ad579fa446a0e835a2a513cd05bfedf9081db914d2a4fd9ade4a81a3c3ccbecc856e38327ddb13680a02a83404d755e469e4a299dcd3450574ae8c7a94f743b69550ca4ae49c7776c8a66900ef715d5385137ea2f47ab5a8a3d215cd39c9c7529ba376468e54e2fd4aae837311de435769c939c81db5ae8d72ad113c9fa976b18fa805d11d5ad5276a6bb92a5536155a2aae88e80268450fa8ea0a78e4c8147a5cfe95ed77528a604353f4935d4145c86c9aea2f2a92af3e3db6a947ab7e83d07d0cfb0ceabfffda0008010202063f0287b71ac275a02758a37f34a002124d7ed76c8f9cbbaae9d2b189c0bea202373bcfd6703272a854af5de7cd4fffda0008010302063f02898af5d733bcdeebbf8a7a284a4e89b2ae40a3382cdecf696b3d37f08fffda0008010101063f026daa4e4134641a07c38b5350af82ad6cb057084336a6970f564bf32ca131cbadbe46a133735e99dad733f985572ff043bb8da9ae819d938642b4e2db57ee29b2001eca63ca8b4d2fcd5ddab97034cecac685b65526ebf4921fd50bbb12ff00c761fb158f0babb97a82c562ac56375b93505f1b6b13f03e344eff003701e0981d6d57f24228ecde485b8d7914fa73e1b9d89f4b271337e143ece29ad66a738d9ad17aad12b1f1bfed774942b619951ccc8a31098c17cbe14f5553af5ae68f00699a6e447b2e7725343b77303d91ba63acd0507c553f087f37f05319a68e8f610d6349b9f82646e2435ef6b49173728077ea6f7579463f7a14dfc823cc6815f9aa384f33ff00b8e929fb0295bb49ab1b4558c7e3f15bdde6ea001f0c419b7d46e0b8dc81e58aefc957c133008dd90232e1faded774d99f3fea1b5741b57b4d5adab48a104f8aed9df9616dc3b47f14f8fbcddd404d23dcb303e1e09ad41a47a882d4d00569ecff00a94ccfbf6b237e4561e68343b4b9ae0e69f1099bede3fbc61756081b8579baaaa78f798dd60fa80c56e773b9676dce20445deaa29769349db94f54120c5ae5a43a29e33e8941d35f22a79773be8db308dc76f0c771dca5b538e4a6ff00d2747f9ad0e0e0c76a0efb54cd95f46bfa58473181547370c57e139b276fa4d175701acd38c71782db8fee07b7fda8f9f1079f17118d1753cfc544deaa6248c93ab8fd3c3553bfb7feee5e632561478ea0e0ba49edb85eebb913cc6f79e9737c16da438be2638f985adcbba45ffa6d5dbdd1aba84b5e7e4a85c116b4f4b57e9b2d7facd0ef3b2a8388b703262efa1be2aae968326b70504d3b7fec5356acf49c2ab4a0bb9b770639dea61c14b2cce1adcdd21ad45b5e9180e0e6bc0f723d979db13f48bb7e09cc643d01d464d514239a8dbddfc6a75daa2ab6b13eee646d693ee083730705669344e120133e940710bf3113c45359ba5b60ef24e738d49cd45303431bdaef82275d6f643aa8502054b0d4d1002e4e0146c2da3df1b7a395931c6dcc2d5348d8dbcdc68ab04ad940c749aa28f1a95e9585954602c9d5b35b8a373db75dad475568056ca2a42fecb1fd53fd3ab971172ae4a6b4aeeb1add5f75175bb5709013d311d2d6a6cdb794c523702141bb2dd2e963ab878e68fb15a9c3d3970d23c4f99ba97b5eacfdd9a91f3b838be82066600cd14f89c039ae0450e17511dc86e99aba0b4d70e7ec37de80f3e2fdcc6c2f89f775322991c4c3248e346b0624adb6d9dea8e3a3bdf9a3ed5168cbea0b4d34d38b6095ddb734d62987d251d8cd1c7b893592fdc160abdc57e6767b711cbb4660c6d3546cf7663837de9a7c2ea8d2db7d49d13e9dc1714543e45770358c78faac0aa39e5dcc8ba64d0b83d920a8582a8c153895754188c500db9365a7318f0bde9804e6076914a2e81a43b2f1550569aac5415b871a109807a8e0131b52d049d5ef58a645a8ba1ed3f50c80c7e680a5b561e6aa45093747e7c4f071fa8e6a761e9907a4f81cd1e274b7ae4b35814bc98748f2e22fa5337523ccd28f4370684c92b85e88b641639e615209dae6e5aec53b4bbb9b995bf8b2fee51869e9d63538fbd1a7a50af92f9fb363d74c3c3d8dc9d9b7b9bced3c40cf2b91557f3f61885797014c7347b40d73a724cc6bac2fffda0008010103013f21346def2507fb2f0d00f852c64ae577096f91fa974adb89e368fa878046184f986dd532f2829748775214e46a80d009dc694599db373d8f243b0cdccc385a918697d41b9e955131b337c3897ab1fa177fa963148dca94ba87d8c59e13e618b815f7208769e35476870e4efe097c56c713584e58cb8efd9bb59f58c6421c9bff00bccbbc4ffbc423183fef1345f918aca3e99da7e989afc9700cb368cc3073a8a97a0f12df7956fe264c7705eec47bc41f84a00f6bdd9b0cb925d08252a1166ac7e06664e47c1334cad781ee97ea0a587a2dde03a44b907c925d83994e4364fd4845af702dc873335a7a239dc9db30abe467da3bf042d1dedee6f12b30c0a0cdbc7c4c2f1b6142d95b2f306a7649dbf4c474d8d6609832ccb6b20f2bfa8329489778641c3296947a021439730e122f0bfbc7262172d79a7080b365d8dfa4217268bb6b54a23b6731bc54deca65fb8ed98567687b5ee665d63146af255a3270438d8446be67bcd0440ca2db1ff92b830b9f53c3d3c7b88f0553f3cfe61560701ccc02e1220d6aa51872c9e0994745f2c2eb1cf67f713155b63c931772aaab496baed09e1ec7a8b31125c1940161f53456882e4076b8845c3560d21cf6a996edd09e4310259cea0b13516c3440cb2cd64581c03a94f25ccb0c9f8a1366f07276b20dacd4c510ed32a296281887969d12991ceba084d8d613dfebbff2198305a04e0a8a704370764a7241a7ba8f2eb7a56267caf9270869d11597798b50ce4c301ab5903f6dcda980746eaaa7f83cad55ccd1d53487744436e2ed4563ac0063dc52aeeb57c5c7355d8af36fb97d60670c001ca8de7b4b7a8597fd7788429fad046e560e2ee4583976825131a4f20fc2668cf170fbc4bd7a5f27dcad465bed21577b42321df3707b94505ed984f4cbd2167b8fd26615a9c831f4946103bb678d3c11e9e7cb3443fbb4774b77c29d19f2c28e054c0f5185f8b5d2e34c84baab556d9522013cc62eab522fbfcc56d1776d00b3c405894506d5e231528f35dd061daeccd42365504fda3fddc053dcfa0967c7fae8bf740c2145d352e942bdcd4b0290e7dcf241f46a5eab32de0e594cdc64595c401d04ae5375570f0217ebcc92ea2f310fb0e7f717450fe60d1ceabbbf926e4ecb8bca36ef0315b7e63fabb5efc27241a2183c683ec85f24e25db264898c4707c0ca0207e317e455f96653d85635ff0044b46fdbf22edda2b477dcdf0c6782a167fbbbee76742d09537307ff00704f8f411425315e9dba9b03508e0c7bec08e9acdede7f27a53a7b95864b3b5c350c0bda3a8788a9b2e7d87dc1ade047773b2332ef2961b348f32ca28194d5b6856b38943f131a6d56ddcdbcca199f39d560640b85388dab1d29ff00d98b2ccf223ed0fb2733114fb188ff00861c268dc36ca69b38a48d1e57a94e686ae2ce13f6874cfc69955ba2ac487398f8d42e6469ee0ab6c8f9788a6a03b92f86e342478681f112b99a9ec697e60ca092b9bcebb4716de7cc465952f92bfb881d87c99816a73d61a95d10f2ddc5c040fe1205bc086682edbea1de1ac464df69885ead664aeecc84df12d44ecaf2670365dab336f2cbf7ab1711cc600474ee0c55caf0dbbf79f97a32edda50db132ef9a8885ee9b1eb98576b8e0dea6012853087244289c087badc76432ca3cd785c391286c5764d42d385efe2728ace52da658bedab672a995c625b37052f16fb77f7296dee5236841ad8a1bcc50b099195f76ee626d3f15afb2774ac7f53e00e8f0cff008a88d913e62adcd19b6ef73fffda0008010203013f21ba7a954d22e81b3b44e0251647b25cbbc10830832ff8697d21157432931c4a85c10c4a82edca4949ecf5b794cb972e5f42812184a25cc608e9a528c2098aea62b81351d04257f06464a448312fa198351d928b7d23812b13a719541901d19699924557b87a55cda6428375d3b9a20a08bcb85f111c3a470ca98746db9ea3e4439266e15ac222c11c46a5c6259829c323420e2e662fb414105847099fa089b5439195b500073d1c982e258303073217b8d7a703331d01708799c29b38a2bd3712cd4b6aed1ba632af7027888d4c6860c5b72870ee5fefa593208853a12da96123c0d1983a4a567a545e8588ecf1a412b0b65f1674021ca213064e9066650762527b73d33cca9a992609548334807bdbd0a6703a0227465664c4b61d090a631d7415cccec8aec330e10e8c455e514e6082711dd4cd6dcb15081da37ccca72c7299a791b0741db103a180a85bfc30aa5042a6a5aea0dd41f184f33dfa190ed3e0604508b9198408e235c37d6c41d2bc7465107f33245d1ae8162e5ccadc2b88c2e3e3a7139868cf5bd04b4c4a74713fffda0008010303013f21330c746749a4b2190621e86361da56cedd291227f2063125bd7c13b8e773b28b6c37a80f6d3f84654495d4b0f31c7a4e09b4e86d03a4c62649b7f04f47a0e65963017a466632bc4b3a3d2292084284e3a5c5c56372e91a260045e96a358ae925171d1e83a3412ed851764bb1c5188154b8df4c94083920dce90eecd4f24aef8e807a74743184ac866faad62951239438203b2ecd5f46a8f24a8987b18ea88512263cd12bce61b8ef1b2f45be917a3a5cc258410e445430a86ee21860287789571831b235d93ce634ac28a98cb57082cf08db4da5f4a9516550b151062631417318cb2c972a5998cc421842a1b506bf81c62cb5d00ca360d7430df4d92ee8b8b08a9714ca672ca0d741e83d31cd136cae8ea5cdc214b9b812c290c591584475389e8be832e65447d0bfc187a1d0b021ab94974ca7b41c391d5e91e9bdc3a54e658eb4c64a98aba123d1424c2b7d0d7f89a75bde3a1e86e31e8753ffda000c030100021103110000106b6ec1f670c15d5ad66d13796bcc2d474856f1e1ed85a4001c0209b01e5187c0b8ee03de6b6b851f23f7d46b24788e229f77312bb314b56d01e61583ba0a633d46c787ab8c12431c1893a12d9c9558c349bdbfc2efc4115318bf59ecb4d59e144b6d7c61ba5eecdc735ccc0690cb7eee30dd484fffda0008010103013f10232655b84a57d9fa95856451c581a2b4470ed65e8ae258f7956163857b431ac0d0db4a5d7b6a0d205755e294ecf31012c946c4ef2928bc0596a00f308f606240e5b12fd4aaf78562e8368346e255512605bd2ca78953156b6abce4c40e0b3c509fb842ff0009fecffe70ff00653a083de1eb5f015fb8b973caabfab625a6389ebfb8a33b9088d9cbd9847ba66a9c1378ba6152f886014f066216bee4007938e7cfe234d70142c297c346732950930d5addb9edee33be7def66f45bf70a85a19b76dcc201cb55e5b8850bcbb40a39ef5c4adb53dcfa94c0b1abccd90b315603ca7e922f55070dbf94c28c03b57fa810c3b2abfacabbaf6a6fc44c4c4dcc20343c65fd4c695680193e35121513876e38849aee8555dc02ef8b658f6b079a5d2d1c5f1ac41f86134ac06d6d624d5defccb2d1b569d87938085cf71837309e4e2345b1b878770f08770c368d232596974734c55fb8e2ac675745ed14607258fb26e970c6e22e213fa0522940c1598036a7b5465a0bf32996b8ed2b05973296914174436184b1df3c6c363504dd0e0af81e8868e316fa9597a866682a0dad58f4d63fe48445a0b00642a831f1099334cbccf021b8db5b62e008d5c416bf447f2c42cbfb8c97590054105605518f643782f1347b26bb9a99f881f60694160bcc01762a289619a960fe7018c3000775865276ed83494d3b547735899537dc250a7b8a9a07450e5a86050d17944bb2422538880579b658d350784ec1ae93aa92945454826164705c8b6e5eef84a00e6d5655e696c45b9b68e29bd67ea35d421b2c5a1783b5d4ab400e7615eb2854aa28b8914ae108ca0b4dc6fd007cb715122e03561bae72c47321b74ae2b7de52f796a2d7968172fb0d89b2e099a45198b06d46e592cc2036657503a0982e00077ef38901170c2eab0165d2d44ec438eac2c86cf25866ae1ac898151c40d36c2ce480adf1720f725e2d89e9c26818aa8889bbee7a48aafc0cd10ba6cbd660e065c2c0302e19e751492e54c1686ba4379abb8c85ca9a2321c1acc482ea9cd35f91201a95e61e3cda157e01604340b5e184534d315d127e4bba8d3140dbdc1598adea862b0b7715a62e018f377f8250fab83dd1fe4bb6e018e0131180e8bde0931ee13dbeb509e01715a829444c419dae4079b87a99b2960ed143c56a27a8417a6b11b2978458c2da7db1b57378b9a2609b08a850a65de39825ba6af69b1bb4d6a388cd09365eeac4dedb5b5e007980bec5ee0aa4dd763c410d7de14cadad52b58899bba80e1c16df78b1fc5ac6edeaee0880d833495f64230d146d569547a8745546c0b4bb576afc1b659f6ba55ec195f2cc3b12c761c096e37e58a6cc8a50bd8d66f9b8f5b81fb233ec8e44b2ad9b726a10775811b5dc286221a116d166f9ce63295804750205a2f7765f98d0764b6506c54bde9af11ae037d75cb60ec2788cd2f38ae4626c73894396e688b07b6312850ee2614e78881ac44a5c0ba80d66300a3b9aa6cd5e79ae312c8e8a256682d9963ee2d45dd9156dde63fddab8784f5165d36101dd167f518e9c51a1cdd7678df105d54cdb22605eac7705990a5c00032ab18d1630e220ae11217e34d52dc863cd5c35129a1c0516cfc4c1122cc6b01b3e601c149faccb0f77f44ad6a1d0d42866a659742f415ffd9571a050e0f1ee61b3b2a68f0063ee2ca8b85140b33e12a28a8159caaa7e6513d2a62dbc34f7961b1e020d85f72e3b7e073a201dd5b69e225b4fa8886f98b551b36cb598394302b04d3629e7cc41140b1130339ba737bcfd441e4e8eb2a3b3cc1720238318ac5117ddef36bf64d0745a5a5cc198940007c66e44a85733080445e2ea970395f8c410a3ce03e22373066bcc3a85d49e0dfee24652e639baefe6e63a0ab96c3b1f693f631010301519b2a7744695421e6ef4a3743b1716c2ef6fbe6e542c11915b54d61d92b4ae16885202d4897b210ef3360d622807cc46f5d503c41c5396ef6d7fb09a16e6b8b8c285695e6984977e731237f8492881dc29ae0325099e0708e2062f1f1885afc2370d4214db91ed005055b6cc9746e2190060f7fe400d895eed00e74c2e31815aae75e6134b71b904db2ff4d14540301f8a6088d6e1b6108681406dcc003e26ad144171466c138aac1c778640007530037f19cc550101f41f8897d700aa61a0e0f786a83b03495ff9101a85f18945faa65099b36f3b9bfc51ab0b2936e48d19cbed485564812551651585ddc166d4eb901d39e6620a01a3b4598529052e96aeb3515ad61c1ab310c3e6d5bcad4a9b5835b7059d638b9be730c995375a0e6665c0d5022eb26ccee234a5712ae19b28546f350b2f86c814ec1550f29d128521d8daa2ce60d8eeb572d88545696301b5cdcb5a1972d96d5ef0b474ea10afbd994b53250cec0c1e66cc8522cc1e34ac26988a509da92b73c92712b0050b5fb804014f0a695f52da83251b2850f82316dad862f9080ed0dc46e02a3c68fee54ddb25ef2dc514282db57c455286d828b9171dfc422e02dd2e11ed4aad8928010100f56fe58b2b47329755a97106aa2dc01bd298665abd6eee977395b8150ca2a328ddca07bca28504d59ef70755997fa45b2b0316d5cb3e9a2b52d06f1a81e9c90d0dcc5fb8dd69104f1429f0a830c12d2991ba2ae97352f0f5f2c85a37ac91110ef8815c91ccff00938730077bdd31471bf11360a36bdf2cde8b235a5c337327072cbac69098c9d9fb4f6267fb9c6a9dd7996b5c8bcc20b3a85db589f7737d9cde6e181dfe669aef3228947a182ddaeeb7f99ae2187ea0ae53cdc39cc0e1db19420268dd5819cba0c47e31abdcddd6773fffda0008010203013f107025caf9e831b26660dcd04b79194ae8838f08725b9e84feade82ae8298211647a5157cbc4a0a7bca2549860e830732c9a4168fc4c61cee3ea2e65f843a0311d1e63eed3f1d2cf32ad403887843a654958b62e60699766604ad1e89a627fb94486618ef896ccc7abc061a8e998231e56e28fa2910c4f450c5b34b2e5c0b94c342537003cdca46a22cb515cb95946f6cf9d7fb00231a18495b20b88cd4e1cd31000598c89b6bf313969f27447c200743ebe6221773bc10b59e6880c388cadb995550dba8da255b061a84514f7080eeff3ff0090d46f711cc4517351c6e622a6054a30b2a6d46f073155e9bf09da1016df27e2102f7ce63c3747264c98cdf10860c8e6200330844dc4ede60a8c8f332ee4e212fa864196ff007104719f20afd93c08b344cda8a5a235d20d04371e1ba508517b8624708d018ba990a7311418132442f188c2b9970ecd799e48a112e558414663a8e6733c23f9258a30455bda1578acdeb4a90029132da3adde04b13640c15328772c622585351dbde5f78e660c6d9f339663bca5bb83c4067673c4a67b88c4332819584d903538656add5f8829999053608b25ee18688611c19adb05a9b8637193d589699973f715437570a0f678b7a38e5a71d020698d3c9081bcacc626673f110e84cc465b4af99a8dba5b36265135e594ef08d7cbed8046f98d4ac281e841a220e3a343314cd033d24371db43ef310b9422e58ed23dc96526f72c54621a171cdf11b515a388af06a3cd4770353bef0969f84b063eff0072e953305a35006d48f6fdc31bd54cf058d811b2ea2a3dc8f56ae69f625d6ef04ce8cca9b605d9043b26582996ac4bb57301b5c131dda5b1c2059db2ba610f984a19e088b22b4eca94b38bfee518daccbe550eee0372cedc2601c66538970c0419b805437116014f3162575edcbd2c252e20ddb1d4e180cd71010c66bb11d5d5fe25d03dfb4b9f38bfa1ff007697b5c6ece8b333306251fde51789e11b3296adaf267ff252ba6937968ab9d460d895a540def35a9fffda0008010303013f10194c4843d57920e04529332dee398658212e6572d3e88de547d35051529ea1c465cb972928c73e26192c32f64019972d587e626dc436553be6ee3c88df198409cdbf72d6fb40556013e77f91973066240471eaaa30b7546d2a43c4de06e32e744af327e8942f32a2c758cd4edfd92bced47b0c07c55359b47f8c95168192e6173bd29a435eb8db5a970a8ae7940fec86efafea38b77150ee2695e221a566a2b882d1bc2151c5b0e06496c7705db7b39fd4af4adc3b8a383102c6020216ae30223732b0324f101295ec9fb2286b5445b19f6d5ff92968bb9926206696b978805a775fb8255f8e48d9550030dbd5673f72845c21e58b9a662a0561ad6e5ae28ddc5a9f0b9facca762e86185ba182f1032d2a303b4d2eb372f4d6a763d2c26c54f171504b1841180a3d5bd0f10d5cce16d59fdc1761098da07341954c33318b44332101462bf3e25518214ca03e7731232ed9b596324a64b28e5d2686151df049bef7342e2345edf730022fec13203dfdcb196f733bb4972b82fce63744a550b9afa4452292164d3a2848428dcc63b73f79861dd94da62c4b3468c4379b98f29df88cdb64a550068c45b6e61867771815de2502d832c8bed18660a23943a0ed3c7d057e884a83ee11d46fb7a9b968b0942b994a4ba7a705cbb102661f2971da6b32b3d2ff00f3fa8ec4a96c31cc771cb504b428195631ac72420e2f6532d3343dfa3695331f089ca8812b301ba15de172694d78f894f89c0ee0c5c11ae82329c4d2fa066157998e20b6603ae92a1f2110275712560ec20bdad8fd91cdbcd7f52d0788f89862504c293265d1350d4d6274062f6991230bb988c64303da029951dc5ad4261c0e3bc319e2142f732aa536d4aeb0bae8ea704d1d312fc9af1039b669d2f496e2796e6798b1a95da177e27fffd900', 'hex')),
+(5, 'Grains/Cereals', 'Breads, crackers, pasta, and cereal', decode('ffd8ffe000104a46494600010200006400640000ffec00114475636b79000100040000004c0000ffee002641646f62650064c0000000010300150403060a0d00000b130000149300001ff500002f60ffdb0084000302020202020302020304030203040504030304050605050505050608060706060706080809090a0909080c0c0c0c0c0c0d0d0d0d0d0f0f0f0f0f0f0f0f0f0f010303030606060b08080b110d0b0d11140f0f0f0f14110f0f0f0f0f11110f0f0f0f0f0f110f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0fffc2001108006e00af03011100021101031101ffc400de00000105010101000000000000000000000500030406070208010100020301010100000000000000000000030400020501060710000104020104020202020300000000000100020304110510211213062014303141152232332416110002010204040304070507050000000001020300112131120441512213617132814214051091a1b1c1522320f072332430d1e16243531582b2e23435120001040202030100000000000000000011304001210020106150603112130100030002020202020203010100000001001121314151611071819120a1b1c130f0d1e1f1ffda000c03010002110311000001f54c8a45229148a4f9c9c726439bad8b617a38cea263b724bdf3d7877e5ba7d7b101da8a83dca6c4b28c6688a20edecef77f3e5229148a45c8d724793334747ce981ea3edc640c13dc913bd856e9b823ca9c4a2f53bbc2491fe3423b2beadf7df3f5229148a45c8cf2479058cbe54f37ebab406aef40d774968d693ab7bb83846b516170686f595cc6c3694e87d6fee3c0292356d48cfd19b396675193718d1933bc6dca2aae64696b744a585a49abd976b2e9d9fcb5917e54d2d0a8b2b1ecc704e803dcdedfe7ea4f3de2fa01f95ab68a00e156b66ae60625f3ff0035e89a3d73b3d2922765d3bc96854807f97917e3c3b5ad7ad26fd18096acf73d7bf48f9d2933bcfd3c9fcdfa56aa4b00e9658aced04ea69694ce49465fce9a016d0d22dd847b4acb81203b121deda1e56aa597a98fa0e6bdbe7b1f20a45265f81b999f9ef44ecbd93ab8fb4977114e70bbaa678c873624998fb0dd0e698564104ef3b10bcd448998716eaf4d2b671548a45264fe777f34c0f43d355b1d9624751e4997de5ec2653cc4c40026d857465739d3009fcaef3d52c170ca6821556b5df49e6948a452303b795fc97adb926d018c16d6cab5212005a34ea3443d32fedb919815ae42bdd6bab5e79c22dac0d37261c5ab7a5f34a45c8bb38acc432f4ebd89ac457d001cb6b3b385f5734d46c06e5c6b6917f3dbbe0b97cf4985ce468420b5080678b5eab27ebe6561570608a6482b33894494f1c5cde82c4d0746c9028ad4bf3a48bd169437c553d05ecc91ac6a14f3c88dcdd1e2f3a2d675395866317e977130693b37b566b6a1b2ae77dafa1b01d2ed0fae5d67367184c692fe73d95af82e5a07c9ea9a7dc72057e8dc4715246ec6ef4c1d70abb2f96b16961e2be5ba79840735bc578e56d6d81985156d77a9ae5321d1574f042d4e3eb92692967381b2d337ccdc6cd48dcb95e8d9968d277de657a79ec58122bddcb05fd3b5f2e067352795af599ceaacc56d5e8cb9e05c92c4acb83d09957fffda0008010100010502f9972f7c764c6e8beccfeb4fd7cb7eedcbf27aff0079a7e575986d4d4f62b67ebfb4baed84734db4b45de5633b959b8e9d924f042190cd607c8944af7885cfd7ce5e63a9661ae66a57a0536e25a935ba52c7b1b71c3764f5db37286e25bf79f6440c6432b8d49848156d7fdcb32df889f939157e9b2fd4dbd396b5970ee6e9367f5ebbaada3599e5628e09992d2dcb68c46f54df49b28fe96c36bdb3d5d717c95e27789de0af9e27b35eab1ded7df6ff00f4f5e3552e56bd110ae598e9c37379b294fb24536d202546f9d92cd28b2c9e594c31112baa1919053acc86c5cfa37760e6ca1f6cbe96cdd94196e6771ec9626b1bfc4918d6ed45d55e6b7ae506de372f6d320d7c64969649e4f68d43eb28a40e45e135e047159b91d3f265b03ebb536dc4d9a83df76b7b2566dca5a4b62e5573e26b78f68d0fdb0eed723239af8b6362210db64d1d894c956301ac8e47095bdb76b6cb5afd75c8632f8e9e9371703343ec2ab45b0d89974bb3f10aefaae876f5e8452c4f9c687d0ee563fd16af1cfb07aee09ff24c05a62af0c8b6325ca90c644d1431f63a2a8d91dedb405baf4f7135632efaeceefef2f769f619818bdb3641f4fd945b71807b03e9d08e16f87a33c31c3f0f64d1784cd3189405cf4dbee922a91b24d7c6e2d7d3bb25392d54ee1b8d70a3b19e296bbbbd577e252d92d1a155cfbd568c3aca71d77b55c718e0f235ccf84ed6ba1d7db125b6d3af89e22c1ea72c92d89a1f022cfb0a94b7615efbab7dbd7c3742b9a367646003f6a160f56a81956a60be7bf30592f11c518adf0caf6135b40fff00d0e966bf23ab4b10925d6d86c95f61520ad1475de011b363ac45e2d0505adb1036ad5feba754ebeb98db4d25ccf1189cc009003b2c06f6dedab335d2659a70a0f61bf5cd5f6aaf2af61ad4b77aedd528747bcd49d56fa2b5ebf7225eaf68c163612791d525e96232e8f77afaa5ff007f53fd9559a93a5ab7305b2fd85897be1680f8a40076617d8ba20ad0f9d08248c38439aec83b629cd3b3ecdaca9b83a4bb6a0b3aedd9b02c578ae0b533a6646c72f2354f196b6f893497b5fb58acb18e86dbe09c30d8b915791c30e8aacc1ce998d7456e46a6ca65924d95d747239d2c96285fd790f9317a316ab964b76c6a6f598e6d5ee5b6d4337967645d92ccc0f56609a076d75115f646cb1a8bb42f46eb1b4fb06eda9dd56cb9f2eb594b6105baf5aa7fd7627f90b06542008ca664b97b38aceb368d92ea0657daaa642c688cb5efb6243fed3f89b23bc6c826835ceafecc263a1d8c9b06e8b5eeb262adfe3763ff0083ffda0008010200010502fc13a2bcb94027a03809dcb5357775fc128457f0d782b190d3d01c238e1e163202cf4edfc2e6a9060828fef8cac22110b38337edab1c929d63085909aecf0e7603aca95fddc021070e4f2e4c1dcc5dc31c4ce44f11ca5aa3b40ab1fea5029a9c38cf00acf04285d87598f0799989ce585945365e9c058ca7725a02c859584d1d6501c3c23e166ba279ca3c347489ca46a2176a6b5762ed4100bb563e366040700829cce984c7221095162c7191c1283539d844fc5ca68d744146a409a83934a70c20f5d8bc488c26a2f2b287c837acf060b826bbab9b9023e8512a370c1014727696b81537ec22b2b29d2a2f2baa13909b64297aa0721c8b1425597261e227e0b88c92321c5a8bfbb867ef8ee29adcaed45ab083f0992614ac0892d41d95275e3bb8ce43ddd257029dfb6f558ea0a2103c1916511858595fc3da8b084d5e3c39eb099261641e31d037a076505dbc0f8950fe827afe5dda8e780820533f63193fb1c7ffda0008010300010502fc15780de73c07a6158e308fe2ae7ab51088e70884026afd707f135d8319c82163e04207098ee89a8acf2021597d629cd23863725954289bdbc382ed2b1f06e5029e70e58e606f4c22c4f60727d72155ff0064507a0782161639ca907481f918e6bcb84d1c762ed5d9d5613820f41cbbd1721215dc815844f48dc5a7ccef857b08705cb00f0517a91aa372685809c38c2ce1172cfcab4fc98d67aa7c794d7231263d77227e0e7268c9c7c428debb8f16146ecf0f68410ebc77a322eeca726b3827e59244326504e6640e85d21c84d52039eaa46653810a2fd7384d8426b42c0460053aa951f4e03ca6ccac354013c70f194d0718387372837b504ee7b427397720e44945990e8d31cbb4143a28d12bb56563ab5a980841140a25045bc08d6135e0f184502814577746141d94e6e5616105944228bbf04bc05fc0ca18e5c8a287078fffda0008010202063f02621bf7e34236dff32c8c2bf5230a848c7235a5865692c4c68352c8ef4a75c840a77f33a5bfffda0008010302063f02f5dbca643530c84ee180974599cbd29889d0f0790c460e2bcb7fffda0008010101063f02fec368380d4683cb95e97770488db6ee2b438e5737b3797d75a4ee1240074edf4e86185f8817a6f880dd8ea8a34234d978e3c693503dd4ba9f21857cbe3f98cafb693b09da980046a26dd43865857c56a8e4dcaae96b5d35db8e380af97b6e134cd36d9d254be01ad7b5e9771100668fdd53752b91b1aeec67a1a8c731f45b4796557bdc1e34db902d1c435fe3fd8a4c9ea4245fcc7f852c4f9711476b2abf6f76e03b29c2fc30e7e35ded44ece23fa53ad8b0c700788a886ef768f0428b1cb1b5de4ee713700e3cea465dafc54135a5b0bdacd9e232a8c27e9b691088afdc5e9cacc32a8d371dfd12a321472d89e19d6fa5ee38d8c252302dd2dc0a0c3eda58a3f48c41f3cafca98a1236f23e232d2fc7ebabca2e38d6a2dfd2c62e4d26da352bb206c48e3cc9fec64dac9938c0f23c28ab74c884e1e22bb6e33398e1e35341bb284451b6827dfc38f8d1f8916f9833779a1c35e9b5b530fdf9d7c26ecb1867d45d09e6d8d1b4a750c0a8fca3c2f5b9dd979372aa540d99c0877398737c30a47d96e845be0bdbf82dc8b7a8fef9534443053d5af1e39da9b6c9779648c6a96dd38781aedcbfcc8ce93ecaed9f43fd86bacfeb707f1f2fa7b9b991634caec6d5243b1db7c46de3c0cbaf49d5fc246557dc6de744c3aac187d86bbdb570e9f77811f419e5c870e66bfa32b08e1d3afeba4de0556dfa74cc22c9873b1e35e346485fb6da480e335f2a58b7cdddd18c1bd4fe60073120a405c3f6c9d2dc7cc1feea2192d305692594642df9aa76dc153b331f4ebb1469030b0149badb4d16b57060576d2de47cbedadccd06e991b0ef42eb746502c48f3aea42388fe1f0349ba7e9dacc3b64f0f03f41c6d1c7c79f87d33099bf461b242a7dde6456bdb4a166cee3ee35d89e3d1bc1ea41f78a93b2cb794dceb1c7d9417703439f79715a8d93d1dd1afe8d4bd511b6b419f9d7fc96cc314bff0056be7eff00f7d06cc5748c6b458ea5374228491059246630cc08c6d7d4091cb0f2a025ea648de3e8f4d8b5eff6d6b01545bd670cf3a31424282013dc1ad4803851960061876b303a35749539f90a326d45f49d44ead5ab86aff0a1dc3fad1f4b504118d64e2f7fa7fe4b683fa98c7eaa7e755fc457461e14b6166193f2f2ab93dd438da974fa6deda3b19cfe83e0a4fbad9afdb43555e24f36e5e55240fd4ae0a953f778549b6507a4dc0f0ab8f578d1921874aae4ce74dfcaf5abb6ca96ea61c48c81b70bd3ed0ed65f8c56c82e1e21b952349b590ee85ef0d88f6d7cbc6eb6e63935328915ada5f5fb6e2d4631b731eda6eb258f5f5be95f671a3b1d9c12f75752a477be77eac286eb7fbb48b58fd4dba0d441f3aedea91db2d64e479e1fb0dbef97af4e72c43ef5ab67cabab2a1d9917b9cb558d397bcb0f88c57db492e6920056dc8d0d173cc51dc42e5651704706a1bf83ff776d848ab995ffc6babaf955c3e814354ee6dc2f6fba91b6daa49a5b6a370a23038bf953c22190e9d5aa761d1d2385b3bd2ed7791c7df63d16ea0c467604545169316da1bff002b18ed7cf511c7970a58e116b2daf85fdb575b3281d4c698eb5d0e33fd93f30d90b477bca9c8f31563ea35aa5e865c4576776755c7af23eda5ec1fe5965bfdd4c8adc2845258c4fc7c6bb91017fdf3a7da8e8538c77cadcbd95a6516fa118e0abc45303dcf8538895dc12abe5e3caa37d882fb994e88d5d48eda644b52ec368a57cf1c4e399e34220353b67e35da651d27a869ceacc715b91fbdadfb2ead8a95208f656e7e4fbdd2779b66fd36ff0076238ab7d59d30d64e3d3866298e431faab75f2f720aca8265e7c8fd94553103dead191cc7b284535ced8827537a94f2a5f986d98acfb43a9edef467d5f557c1efd5771b718771fa585f9115f11f2a97be9efc27d6be5f9aac59479915a55d5a6e0a3abfedbd49ba746d6c6ca645d0481c6dcaf5dc9338ee40f0a0d05b4dcaabae76a692463766e7d5ce8dee56c72fc7f68cf3c57da1dd43348425c76c12ad7e5606a6d97cb26efa27f29ff30b5f0e76a0cceac5c5d85f2269373b7b6a8c8247e61c56977109fd26e36fb0f88a9259ce8ff6b1e5418655f0c0fac7b30e07ceb73b6f9a24bde8df4c2eba8be86175e36e9ca81bc923dfa1cf2ff303425dced55ef9f7220df51c6b56ce18907f91547dd4efe1f8508c7f30817356fc96b634def06f7b0ad030fc6baaf0c5cd3f13516a6bc321fe69b9bf8e34c824ee6db2b1181faeb46b0e8a300cb56dc46c84714eb1fdf4cc089f6b6d33a03ee7de08a9b6db37711c53ab6dcb7ab460cad7a1269edee7fd68c6054fe344ecd8491f26f553fca3723b5231d712b7e6b623eaa0807e9a8cf9d761bfe9a65d5a6e3d638545f369e212a422dbc8c8beb8b9db9ae74b2fcbe2d3b4b2ea80a00395c0a926db06451ea0b867e1956b8dfab23867e752037e04639f0faaad1e0d7c6821ea56c02fda0d769b21c6b0b683ef7853c506a684ff003001aa9b54800f7a36b992fc34d691df8665f5a1b37d99d69273fb7eaa38b23a75161c07957c4ed9fab911830e4c293d3b6de8bfc331c579f65bc2fe9e55fecef207d3223617e163c88a2bea2b9a9cc52ef36c3fac80ea4e7870a8dd70ef71e5434e77c2ad30b1a77857bab6c573b8e34ff2f1a7e10b6b0b6c429f4907efa8e20bfad931b0b1a6558fb125bdd3cab433687c8f0a85a746b4cc21338c5549c99e94a759d5c7c71cebba874b0be1cc7b6bb02c7a41bf81a2626eddf318d8d58f49f2b5768ee885516bf1f69ceb16d4cdc69666b286f43060ca7cb4d6bcce5951848f5647953a3fff007b6f8639cca38789b64684d1b90a08c2fd58671115d06ce0e5c6d5d8c8b3741f134b1939711588bd2bed9cff000e3572b69d0667122f98a89a4d68e09d00b12856f6b9a49ddd41f7ac6d81c2f6340292b1ad9db422b77172607578f2a4f97cf119367b85b0945adcb4b2fe228ee118bed931756c4a81f85192037d58a9bdf1f1a919e5569f49f76c17961f41d7872aebc79d36821ba0deff00978da85f08eb32071aff00252b42c53e6a96eca0c75adf0bf2a12582fcfd02fc5c5859d2dfea700479fdb45e3531fcc0b754719be9373883f5fb2f49f14a04f716e77f65751b49c3f8b8d01a0345c4e47e8bface375caa71f30d327cbef81dc79e0781bd153b9d02ee63691351f5e238617a8086917e60197b223d5a89b59b2c72c6b6d27643fcd4470de26206a36fd404e42918a69623a92e0d8dbc29cfca3afe5cc6eea98057d44304f0e38614552fa341ee30fdf957ffda0008010103013f21fe4b5025a2718fb6bff232cc29b38313ae7963ed6156b9856f5945a97d06e02e4a763c2c23d5971c0142a437cecc5451568b843bc94aa05b585d2516e2b98f8e3a3c5d2c9f592829c9c81780b7984a6c5aaaa86e7d3098574fdc1c167a0c689ab0dd28bf0f71a039c5b43e8f8cff00863c0619ee3fb8b8c28f45fdd474e7034257de60eb8682c63b707b72fbda85272cc3b0ae1945a7659dede5e1e1d87988b88248a28e04f1f7f99c633c1005d58caab3881d491fb4bc95d1c54a1947cbc5f3f2ff003f71793825f2c9e17f71bd49c736f64b0ab60a0bf86bc42bd4b5be88af0fff003fe009fd7009e5f865991e5749a42643a702ba1e2a5cb24de3a36356e5e223da3de7e53c9956d5a361aad0160549e6ac69658f4cef16a8e81f5ee7127eeec10a69879d264ac49c453db75b6ba3897b55b8aefe8dbf7938c496297b3b4b384fd40fcfbde717f509938b73ec946a56f0781cabe7671d0c15e8be5f5078cb5f79fe5ae3e816dc3cdc00b4e358af2347d3f0596640394e02e60e3c2abedbd7d1120fec00e0694ee697f44fa9695bb2239b732b542247116557fafcc11b700196511dfbfca0beb95db76c2516bc95b2cf4b2409228debc32c26180b7a49d3c3e91856868fab17d38fd4a9e5d7c8f47b0f70bc6b1f0794ff006c34d6e5e157966fb7cb7a811408142f55ee14a8a84bbdbfa1799c74b8506dfd700a7da354eea0d3c1b65ffab200367cea110fef25a5ef61eb3ec32f8ffdea6954d0ba0583a37fda670f437b2bde9cbefd43bf436792a3afe21ad1b568e0f2271680704a00f7afb22d4d6acc0a271bcd788caf7b928df2bcff00e44673559dc97c06d703d45fd64fdc18e0eba12eb6c11eeb87f240ecb40af8ad38f94a02469bf20f47ecc9cf3bd7a7e25bcf1569a1fe5382b54d59baf3e0fb8d55ee0e0bba301ca7d90220f8a045cb9e67265d8174f04f70935270a711f67f53cd921b1f16736773dacafd25cb26517fd92c1cc80c06a1f938a82524e114b04fe8f0cb3831684b6b18e1b4cb73a3163b287c0e6ec81aa391eeb2eaa974daf314c482039b75b73eaaa14c1b99cc37567ab87107c49774056787f826aa1ebdf17f92598b5c5a1f0577858cb2c51fa845936d5dfa1890dbf8c52eee129687615311c263b5d3f9fcc7c2bb52ceb9df2fa58d2a0a3a1c74fa9f5ed1bfdb1a8e4c5a1f517ac34399f67fa6f98b4acd8e6094d3cb398d03ad601778a0e9bd61b34dbeda1416d1f3e5c4b0389d6d0e2ddd4153990395f0e84750198a2f3cf09eff008bdc9d118dfd4f7e3ea6937c0f5f9815c52407ad1ee9b8f4074e2d5fd3c7e22f9367d02eede399560414bb6ec3ad3de14b8a6bf73a35d8a623c86b449778979c13c938f6ee684ba7a4e926896f6c5a5b7d7d907f161e67402ff07350a6e699e7a6b37bfdc2bcda8e1659ec4ddfeb884b97a9ebef7884e8c2ee4f362573e181a4491473e2bf055567f107d1eb9455d4487c1045878bb1888c001d1dcb7c4e2280f7ff00551fc18de29fc9a187eeb5397c5fa964b702577aa2bccb89f6a0947b3f11ea0c3384fca83f88b010503f0c230aa9b057bb143eb7d4b020e4127ed9b8573d5c869d1ccb802d3e76f6897e6a30d945b18b1e72f662374919ebdd73152d6dad6f940e0d20058b7b8f1f372e317809836a01c9d5f2f1b16969b4ed545e9d6b773884d1f4079147899ce419e41e51325fb770e82e90fc0c18a356d2fdbcdc607f0f71cd032534efe8ec7640e9710cde800f63cd45f1233af0ab9dd74c0cfe43f7a414f6e91d3ee906d746aabd7bf10ec08f83b4fac8983e8fb7beff00c4620a56a35fecfc646f8aa6b596fa94cd2fc4fecff11819bae09a8e55f8895bb7b5d975f6d2a25c89c87806f3216d36ee3f063fb99e0fd6a6efcae8f23d55cc3532e38a71e6acf1703e046d3e743a7867670efaa3c83c442a864f8afb167e67545add9e5afc403d2d7f75186b21caba4bf0c1796af036bd931eae0b530aa72aadd577f712727603f676f3008266d41f56cde0514f09ebff005b1377d10df2711786c0b17685a5b6712e75f592c2fc1fda4452eb45d7e45c50a3da23aa5c6a2e256ac8a3e0aa796cfa8eca91ab3ee814ff005044afdad5d538862e90a3f612ff0073ae623615e5903b839b456cf9e9793cc0ed34189aec79e067e65d6e27f544e47a8456a2253e5ffcfb94bb65fb7b2bf3148be563c8c48cd629a5c321cb736d0fed89cb55ed82e9f5806ace2f664b7c1a9edf33ad9e4aad57067ec989e353dbbf53307910cdc78b401aabe66f0e79aa1539b119686a5755344a6b881ac2e668ebb96c0f02d0f0d2ff00b884e97a03d70421cdc554fda96f1ccb0a6fbb77fc46a353bc4e47fb8c39e59af72b51e472f27b9c8e35b01b5bc3ec1d37d0a266cb96d7e38cfba3ccb57a73f67fe40274858d5277d6c5b49a5f902e641fb3cc3a3b68d9bf17e1f7135eacc12cefaffa4e61c5310d0a68f1c93015cc37472320553dca4340520bbb732dadd5d16f89ece4e7439825428285e42d1ef4f29703100871674f129ce7eb42d1477f2ff53177b5fb7d4a1701ac6cf7006953b70cb35f8a0e5d9dfd6c0a07c369c1e2a120f642dcff00f6738158b779fcc57886d3ce9052ef623c923677277905dd9bd29707de8410642c6f9fe4c9d27629d3c7da5932327a413bce07d9cffa94a555c3b36552e876dfd4b624a1351c1b50f1b7188581034d29d80f55bc475841f8526c1e47d7315c9db51220e06db97d32bd6994f7283f89d1cf496e055b9a6b48671c57994df2d591ffda0008010203013f21ff008625c5300272944d388b60b8baae22245f147fc2ca6596b6f100f73f225bae7e16593a97ce33c20d87143b7fc3615f015b01b3b8544ec8e22221f52f94b200b1dc50cfc81cc15c45c1367c15cc4bc943dca829d282467ac562c12d3b1a4225f2754f817c4e0e63e23e9143611c7994c085198b063fc14717c32efe5d2c964b1f23bd08812e3985c14ca2084e399b4a6d46df0ab12bfe16c165cd8c0a973950b87e79711bb78960be515c903f2c01fcf0c0825333463a650d930d9769f04947dc5b23aa3f5cca12dfe231940704e55f0d0c5784e71788574ce745bcc607ccb93ce138965b602bf9009f0ec5b384ec8e5a1590c67f13ab3b63753789b17d103b272c65541b291e917e25f9fc52399c1ba4d2801d97c7e52d409d3f05a4f4a9f56c42c846c96dc5c27736e2d844e5307c0188f27e031d914f52859c932f687329dc3d42504671181803480571a42108fcfc1ac4325d676a318867b3fa831c8edf7988836157234246a5e554474d9b2dbf1090ef3b96f8d8c2be0b50affa4e1ea515a83b731db61ce4e4cbde44bd253e905fb907497ad8713fffda0008010303013f21ff008073f14b3b97352aa004a866c1ee131ff1a8a4d4a98830c657c2f851cbb461ff008b73e36d239d97f01f176096c02cbd5304b7cabc474d6a3d6c529f85a894365daea1b2d9546f388f3f1475f1213d4b9cbe4c0cd46362446a6a757cd097efcafc3518d1a88fc58f95ab712898c431a4cf6a5ac628654d7c6c8cec7c118fc32048ff0002af914730907e1545064260c24475105e231847767396aff26232a6c8562e54b27433c114c66be0b65d6cf6f103e30a3fc5e93adf8ae62be0389ca25aa3ed38856631871a86f32838897fcaa07328436e0551b54403f29e339ce0a0d8f129fb8c53143770657c3f23e1e3c7c71f896b6172932020f709cca77e30c512d3b4fcb94a9d8aaa222cc8f12e6f6f30ce09a7e445b44f81934b70c00fa40a9683ca6616dd863b2c9b02132852ccb399410fc4284c5f86d397b23c14982e6db2887861c2889f32d71f839f87a8d7c332309cb398ff00739cd85d788290e27538ec07538cb543dca7c7ffda000c03010002110311000010924933caccc5cd2424920ebb9e4e2a12092480dc1767c79a1245c69203bbac30b490f6f069d34a026b248c9757954f08d99921633ee03c85ef864939ec8bb07890bd9244a88d88c9251c60435e58b872eb0c067e20d92408c1c6138b001fba72aa525b3893345afbe1956c451e38997b7ed2494fffda0008010103013f10fe402d806a6b37d9597f408cda951529dd54516115e5f0005a4b2846e160db32b6987182c26621b10da98609e44fb5418a2726cd1e0602b041800b5cef71f781c3534ad205e4cc35a2771a50b047457eab88028d39035025914ea3149d314d8d10776d21395df366a8fce7a801c2900b5c20af0f2cc5d4cf6141687f0c5ca2af9d4b5408a962eb7fc9e2303b1ae17c07744e413a8220cd7b2e1b6939cb9ee31478b464e56d22230b8056024b55e343a85007939013aa483d1814ca6e9078d42f5150b673517e60d08b5b56b5ecb760c9b990c86d04c155b9a8e1a71885a8dae6ea3788123505d4aab50df4ac0b1475c714d20e7306ab462cdcca087028d02c619fbcd3bb140568ff0071a6019d1a9b947bcfe4789af80a62c89ec76f45fa8cf06fee39e8c469bb94036b05c0a4ab2d138ea1afa1ab3742a842c534e6c3fbb264449a57938022d16e329cdc2dcae294af2cbe7d4575161e35e3c2327b5cc2efea10013434cd7ef1a4ce6cacafea94e0c9c9b443ab0b61d2461f5e631802c6ab3e7ca3cd4acada81876d44089ce5d8a1de3eefa6263c82f43529415bf5f399bdc052bc5958359c5d70d8f02c578eea68a8859540d91392028ac57c45c0d6da9451410f00cba5ce1e9f735681bcfa2d8b1dc9500e51e9e0a88010085b616a5005b2ab8a8e5c2054148aa447847994c1968ad752addd998d5f711d39d43078a2afc0ed5c5f90eb0738589971e2242cff006800140d06d66b3230411f11db5cacaaf5b30626fa513c9615a17d3c45e54d2995eadc5a12f9414ec17161b1c4a12864bb0ada86d295c2d706cd64b1db718c106a2a6ceac6b4bf15f2935a6335a69d4a2d393316c90595c3b301bc41da6d50340080bf5a3c919bc56152f6ed673bd997085007a1b5ce07d9476cd4476058eef4afda134b1b4751b4697af04266618cd34ee5d7565f9315a4bd51455be813c94e66e04daa01c2539089145b88ae567db1a84d468b0e23b77c7923cf8e0065ec710ec1892950831a874852c851854ac38eded0cdc7770643b2a1aa2bc260a88403e100501b04debe4348515702951108bba286e888971a4e33fa8bf64a7da9a562dc8b76fe53e5125b00350551f981612c34a38ab75c903f317c3ab9245a3da984ca0504c2b045d0635173d1653ca8d837d301c59a2d4466e0f7915005eaa8ae99750c08c51031c036705398b1e9ac0932ef4a4b475e212a187e50930055bef8859d4964e9d035bbe208762a1029e13556092c06552102a57c2b2b678e36b92c70a10aa5dea09e118606ea0ce8e832599cb152f4a0cddc4adc8d5b97e70f56c7a5055286fb5a0c385056885006dabd5c1c1f2023b692bca0720a6c5a425b00b5555813f21bfc068d00055a8791d478e4e6821b4d7212f80be2323b4c22d5e817d910c859558e014a16996400d682222c460f278ee541be9148405783cc4ec660207552a93a866f49005854e9d822b495aeecc6ecd78e854c7105ac5ad2225ab72e25a9aaadfe91e0fa8eb39a0c0e1632b234bec0db340b65647a423856345d8170a0e031ed51b804f51838035d44ff00a95ba2905240d974826050e1477d9f2d7ae082612afdf212355ea6cf07af2158a4a2b852ef3f8906d332975034dc3b7b65369ef31ddf20fa22ba8c62dd0a7a00feb99e78639aad315f2aac5f3109c24d51a60681ebf171b2031160b5f27e65c400b9f080b296dd6f5b7d61a4b80b65c538b52e71ab8e09d765851053643e86a6c1416831138882042766c20362c9c06d9df11bba32676db40ea31e173821b78efec361a29c02a6ed48076c2ef2479e030899126960d296ba285fd4da4834fa20ca20d91aac4344a982c1546633f882e0070c16ed1c8b8c6e23c9074aaab87675488b5f28aa02151a46d6b4d1cc43a451cd702110a50406baeee23412a14d1bb39e551d02140ada450c414ae73731a1d56c68851ef2ec74d107c08024a1adc0fa52ef76ee5385a614dbf4ca4ef3713a5628f79796d5b1253b87220227865cae42d12842b0e32f8363a86fd58a8a33c3fda87945858a96b668ca4a9709af56d294d5a16c738546d616ad5ab434565a56d6c195f9c422c45183cf5c7c5d4a737290a2110284c1c34f82ce8219e8b2b4e708d941d9b02c17131dcb93ca1b1446a2039042b41429dd618c42f7b213933c05e426e8b46f4e3a32abaf13276e17d0c44ea33b6d114cea619e40237a0f0b1525580a5df62b04443c8089a782df564078738330a757950f766241daa08fdc04d5ed19a348bed8de41a864c50ae052ed441e7e880ef85d56975b6a5b73145375980b8c76e3d3f29861217ea45715c9f8890b70345d19666d780b71ee0b3f703a00f037a672d46c56201f8595da2a82a3509f0c8aa8b79294ebe80d95b9120b41f457da2dc5651d2a84295e95aa8867f2b532f30cc28bfc01f2a83e58da054c47dc31418cd0d8ebd6770874c5c80476150e53ca0b98838df025d603cfd400e8a16db1367fb3f5e2391da957e0822f42579c96a2363b5056c68ee8eaa736c77080c901c0cf967128d2dcded407012ba97e661f730504ed1af1510159e3a9125cd00d6db723b74328a6d946af657fb8b7f8a261500a0f04fd4bfa02541416d9652d8fa96d2e6da82ac2dc0f27fb94c207923ed155203f72b8754d50d6d063877d225aa4bda21f11b57d0b871b4de5fbb5c576503f7b2830520ad16d41ba5df913919c42a1f490a91c45a7879862689ea4492ada9364d2e94b4e2158b2aa2dfa3088eb9130c846d80456d8dccdd1581dd55ba5d8fe972b445b1b2c2ea2dda37c4bd41d58982973739892cee531cd94a69ee3d59e0516778392ecc8d811177aab5bcf94502c7cc12901001ce116c7b95889355ad77e9eb43c4b1a5ba63343912b93ea76d888c40ab7b899632e911455b8e9645529a7e983e980b6168e0844f86ca8bc3868cad01eace4ab1f119c01670d8726bbf4aa609bca70ae0086fcd4e0947001e047c5aad71003f03a4c1e7af94f284dc84861c9a6baa0fb8b046a1211be57600f5e0fb82a10d56473070bc81c6900680ab3225b428b72f70adc0ad243aa20f34a8a2179b0c2ad80552afddcb6e8d2aa3b390030e65eabab00d2fed34891d2a869de2224658de147605bfb1f9e2335477d220ba8b50510e4268cb63cab7f8d57a39ac63f02e6057954279f5e61fd8e63d5da800402c6e3099ad92a96804c85201ce1ac0c31dad6daf3a0b1bbcc559a961e369ac95bfb1a0de64769b36098007462c2c10ba0d517e6a6e4696b736382a8e5aaff0032c493c3c1958ff86723518ef52eca7366b7d5c640ad2d953c56717c7515941af472283bc19bf896015cfee544bd55a5b90df722d9000228b0d089a22ba5517c96c10d4a1a0a9597fb8f7b0a8b0a3b0e77494a2d2a9e69c67e27047528e821a12c6878cbea7147c7ce23a7d535f495eb5338bfc465622c838a34b43147392a62cfc594328c00ba751acf5a65facf6481c0b5115525d2f4a8e8a6acc52d29487cadbd5c4b320cfbe56cac3a8fa6c05d5485c870437288c208658896b140355b696eab1ee7ffda0008010203013f10fe57162680885d73cc012a53f7343051ae1819bca808ba8f66b2716a1982b8f4ccc4a65bcc025f5094f7fc9f825c589060d1d4ff005033e1a4d147a4a016323f5c7b8af794074c1e7cc7c00fd9ff00a4a691cabb7fa875e5fc9f9b38b026d5d11a5fc19539d407d10a15444d3e0095e9bee5ed4b5bf22daa9542c47b449646c97f00974cc00b2bca0cc656d974cd2e1799e7c5966901f6952995092fe610bcdecaec261a6193b7e6c26129ab7269da00dca7a66216fea337d173418453cc1ff11ff512c712bab66e30b9b454b192ce250de421b94b74115fd83d41fe1f3deb3984fc2f512db0b710f8e65d9bae791989e26788c23138367d2444abb9d335e62d722e871f53b0c652a814af30da38ee00a05bcfe1b8f794ff00c81c615955b3605178c454ccc764a60bd1910896ad08763e9ee17c36e8f1083a13c68634730144d2f7fc4ccbbd9aec4c8caf1b380d836bd1000e90c8ae5b86403d70a3001f2cf20e193ae0775db15c730a80b5fa88627dca43e37f8d85ea1722f3e9ee6348c1aadb8dee2a39eaee2b05d466a0d858c736e3d4255962a5c63862ec456c1a2ccf8e04afe165fc2c2cef00f89412e2903cc1d6858e1dcce16bf2869060e4607cca380d3fd4296aae9ea5c11ff30aa75531d0ab5c0c1f0ee5281e62f4108c4de668a4214b84cd291d11e87f8fa825d69fdca14136a12e6bc4ce672b850d3c4a868860484351871377fa978b7b9b879210577069c0d8833a1398554e010058f39d971e10d29f578fa86db84b1f11eedc75d69fa8ab257f84b22a04d1a82cbdd4a3136a521a50c5958c3cfe288ad4c506ff00a8cb5286b618322a6e430b4c3788a8501ea781217dc015bfec400082ff0055d232e4144befc4c578d8784b8f07533106d7514e48d78f68e030ea50a4d9bac87da37ca39ef60db276b9f44a7712a1ecf88014b6f978ff00bea1aaadfbca2c8ee57fa88d555c3dce0257f7001b5ca613ff00933ff81456672ee2831e44ab6bf1cc6b0d948fffda0008010303013f10fe640b4c410fa8689c0c28b04a229ccc3dca0d319405a815bcc2b2e39faf1109cc4ac8ba899eff00e1bcf28c0dc0f18e7e6525e208225139998f12981298ec3889ab2528ca4e79ff00868a2a19911cf54b42cc66b1968e620f800c8fca1f1b657cb742d97515e27507fa95269f9645d558cc16fd4e0a8810ee2ca7a891aa3e53112b9844385c08c5e79f50ede60dbfcf7d5951c54e459110367896894f1dc22d735029a828b80dde41c388b6cbb46206c6c71044bf1122d0f32f4793227379f3e4971ea20ae4f33a399ea988fc92819078f51d01c930d6155e626ec969286a3b8e630c54120f7390e63addeca6ccee41e2211b0fe1787ce07ff60392546e09c425ce7a894d84c5c2f3181e13017653c27789424d7315086a26cee68b3d46b48fd6ff001774eb23b2c89792349bfb8d83dc2ec8978ca8d7b2b796045dc5788af51a2d0b59142ad10acbc788efef3f8a0dddc4b798e3dc70ce66cb8067d32d5b9e25a6f918df245c1ccbd474ee17c38850072271c658a22892040578883fcac0d0c620f16665611232387cf5345bfc226d5003186b4e31f682959e5e66891860f70eb32d3583e5ea162e19a51f6959cd2352f504b0d61368a85474edff0090dee48758dd4b5429801c655c137e5d8d749616724a898cbf1f48102ca7fdd855b16099d401ea0368361894f70018c37c99cf52b6289ea32152c7192b51729e4efcc71e3f705b318d6d70fdf71526ff00ca035c4391593eac762c2f5121236f10d5172a44bd0f1101102bd4251533489560b8e1081b3c9514f72b5416caff0064f32693987cd0ff0011122a58d40a93ee76351307a972edf518e5901c494710288b601918c27d4369791d64b43fb84a3ffd631a4cee47f94bb2f8adf12c50f6fa9654b7fd47ab85d6e52914750bc188f0b884e90f4626ef13ffd900', 'hex')),
+(6, 'Meat/Poultry', 'Prepared meats', decode('ffd8ffe000104a46494600010200006400640000ffec00114475636b7900010004000000410000ffee002641646f62650064c0000000010300150403060a0d000009a600000f8000001aeb00002c0dffdb0084000504040404040504040507050405070906050506090a08080908080a0d0a0b0b0b0b0a0d0c0c0c0d0c0c0c0f0f11110f0f171616161719191919191919191919010606060a090a130d0d1316110e111619191919191919191919191919191919191919191919191919191919191919191919191919191919191919191919191919ffc2001108006e00af03011100021101031101ffc400ce00000301010101010000000000000000000304050206010007010002030101000000000000000000000002030001040506100002020103030403010101000000000001020003111012042131132022140530413223332411000103020403050606020300000000000100110221123141220351613271814213041091a1b15223f0c1d1e162337214924383120001040203010000000000000000000021304050111001002031611301000202020104020301010100000000010011213141516110718191a1b1f0c1d1e1f120ffda000c030100021103110000012f9bf50f2af756409a707c70aaaf8601c5e10eee980af70dc1db5410b57a06c24f8ed9ca81a96b18794ea207fa3f9aed1aa884257af4559281a3f8c7270e40c08852cf33c85b576d0a51fae650f13d4e0496b4e1d2a2ade62cbfa179cd6b919daa6200cef643885b0adeb4d36a54c8f9cbd53981aa9533893502257c6743cb4b6742e0741d9d110bba5e46795a6ce14c26c8abd3c3cbba819c7a632a08c3a91b6922db259d31fd597cd53920cf2cf90565fd3d5d270f49cfcf22de5c67e66666ecf035518d0a64d5f0df30dd5522dcb48d6c0e7377a79332d244955c697d2cb103d452ae37e883ba2f3fa0745ad4c4dc3f6843f9984653ec4825acbd0d356e3b3a19b4679ad7baf8c98d54432fe59d4c0f68cdf487b0bb87d5c85b28666cb3b8bb32f46578ced7c2f06324aa825e583e18318d9b084d89ce71f36f378be8725c35846e8b574f9bec3385eb51f3fbb1ada51d163dc60a1948cdcda2baf97496a9849eae8c9b87bdc231ead1cde51bcd89bb09e82b0550c5ec165124e472bd1c36b2eba487d059ccd99790d982be67741877ec48ea36d739ee864131d5161d8ce4fe35d0c6d8a6d8812c4fcef64b12d1d59d56a98cef7018eab5152c8bb30ced195d433cb230e9f622ce3b93bb9cd5a3459256957a346ba69f31c6f5d0f6e36aa2ac0b39b4e9a2eadde89106f2b6084791e9f39f5bbf4bce8e5c7341dbcf3d2c7774280275e9ceaba85c8f98f521d0a32cf260cd90ca8eb68c19f016e9158151d8b7b3487d2c3e3b1300b40e9dd174123893a1db296bb47c87a4e4353874059072660e4d4f42a29660b9699664b4a9a20e7587d0a8153af1b2fec8fcb6a095845965f3dd7e2276a73b23194586e3141fd0f98fe63463e6fa18146879500759b2ccbc50bc55d56ebeb5d1318bdcc0dd5b9fffda00080101000105025a800a3a0044da0cdb33146d8c330cfea6ccc188ddeab16cb78350e3a6f62c1d44fb1b5ebe5fc2e33c1c4e2eef050197849e14c2e8a73311711a127249330c0281b9b33a09ee79c76b072abe471ed6e48db3925d2ae425dccb16cb6575358515ab2e2eb0d80c04881c2cdffe7d21337432aa67836c7216160b2ddf7400bb56bd71bd1eaff3a79689672959f91c5f6d6d82a29d896e561631338fe1548337b54c0b1b005580d4d63ec97f202c51659141276ca76c6c00324ddc2e2731dac3e14c6f77a7cd7fda2bf215260ed5af0af8114400b40a0c60cb3a34653b428b6dfe60512e5c1aa6eff5b1822fd7231b7ecb8e05ea5404cb30e285baab7671571b40f69ec6f00adf689559e4a94932a7f7f22e368ac895f486c4db67ba2e44ab058f1be559c8be8e251cae49bb914554dd0718577905af66db4bd4de02de3aeeb0aa971be82a29e3fb948116df12f1ad2c7b9dd1eddcd9680c5b9501e660b5557203f0ad7b3cf5da817dca3d8d6e6c07716cce4dc01a94855cf890f8c3be672f9538ee1100573438b02bccc070aec5985af9fae5c57f6c0d3754fe5b13e4d10b59bac7acc166272391b541dee8731ac455a8a6de7200bd49a5c1959c00f89e4559e45097f34d817794e271fc8fcbf0af1efb858dc4ab746b5569a989189bc13756d643c75ad9305d892c54898e9770b7115b88accb1addb12ec8f298685f8e2d40f6db73b71ecbb2fc4f70dccf6545aab7816575b36c44cb452c6559012bda2b28c7e45d64f2c0d640ce05961446f313c5e3f2ad6e0fd4d6a7efb09791678ea35a5972ee1519771823d49523f96d4aac52eaa155053898f126598041b4f422f22795b20b346a878bc9582fcd4a51beeb9d60a05d2e66c6d2d38de2a93874130bd8dc95e2329c7b8f069e355c94f08adc4c89810be278f9174abea79840faf443c8b6be38bfec5dcdd452a506e5c94e55adb42efa95bdc38bf582daf8fbb809c40a1ad2cf7d615b8fc83beab890ff00e6d116bd81387399e3f95c62fe2fb76e547f3e1cddf2cffd0ffcb89e63c6ff00d01acdde1e19b838f0ee6ddb5578d2bf8f95de2f0cbf1fffda000801020001050284cccce98874131ab77026ec911ccafb6f3374cccccccc1ea1a184cc4e98c4260898598133a03a6d9b74cfa3336e21331a98bd663acdd33a626d9886199d73018c44ef0998d1a52b0f51b8c1a96cc03463d34ce8218aba059fb3d2132becc6359b4717aae998bda7ea0102011875131a080cc896634acfb7cbd5cef9526c1ab3456c4fd28804cc7d330e98998c77683b6c1030580e740757398222c3a13a2ac3098d0c074026237f3c73d0fa31157468043dd76e8d0e98988b5e266667f515711a2cc4ccc41d2039860131a2d9330cdb0acc4ddeed9364026618b364c43a1d48ccdb3a4ccef062332880ef95263d434066667d1bb4db3133d7ac15131680ba634dbd00260115306778b089999989d217137e62662d4041a7e868166de8a311171ab45d468b99585c8c7a1b198341dbd3ffda0008010300010502fc83422018d1fbe04db04cea7f00d0f48730e4458cd80d6662f58b5c0a23d3d46b8f499bf300d0acc6219da375044abb2b8314683d38ccfd4eb040342618613a3d1d22b112addb426d04ea3d59d09862c30c5961ccbbbaf76b808d7925bfad4c2730431a2ac30cc44d1a138d1db3a67402309dc930998834222f599d3131a1136cb2a9dbd18d5da01e8768341db5c4c0961eb78f40d19a08b09988e1b45307a0db374668cfb63b6743a62661eb088341a3d736c13317ac6d0df0dd98cd9f49306834cc066e9d74240998ad1de3bf4f591a6276d3131a6e858c6613221b446b7309fc08c615e835dd37180cf2e25afd59c919fc74e742746998f2c261eff97fffda0008010202063f0286a85ad7887c80b52b5caea664b031d4a5a0358b627216ffda0008010302063f0286b6d4def0387d4fea96c8cf860238c20d762b7fffda0008010101063f02a63256ae6335543921ec73dcbbd7615d85578ba7f0af51c282bc979f2aeeceb2ef52dd9e132fddf24048b57e28edee444f6a758e545d7b9b7c88bbe4acf3672957a42b7cc98ed87e88eecb75a3e1789154c47b00f6b619a3fc71518f7944f158634e61769abaaa220d76117465ba2e1d3b833afe8a5e9ac934283f9704444387671f0434b98d485294a86234446a0ad93532202711aaab83c428eeedee1b625e702782619a6f7aa9cb04e313c53612cd091c05160fdcae89b40c73503320818ddfc9096e121bc417d5da9ca06e3b718978c4624af324f29dac38ab99a63c4eeba1c1a8ee2a63725d408885600cf9a26db5fddddc901f1f61a524335496381cd720bf35aaaf83511b85bcd69ac334783e48f1340a51dc773973c1697f2c71ccae3396110b893ee539119d91ed2bfe31f74937e4ad853f9735561a68e9bd16dcf6fd478be82ca3e641cc3ede150a02efb518ddf1aabb6ffaf3895b72308f9608021930558f4e0a67eacfbd0fc1569aa327d393aa7e193861c93f26a66d547718c1d569b63e68cf8e1d8b4757c8222ad02255cca24e5c13b90b51d11e1cd79b2e18af34036818a910c3ccb64d9be0568a91030ae64a10058ca88fa6ddacccaddbdce78053975f35a63c3e2b21c8a2712334dc7f240e593e0848d0e09c565cff00342366286c0c07500b1e941c1d25fbd4855e553dc811ee40290f7a89dd97d9878466be988a0885e76e50e1e58c80423e5dbb8dd945096ccafd8cdf15fec5181bdfb15a2512d9ed8ccf6a203bc88c6868840f5632e4b121fe498548ac9020e4cc72e2a51270382fe4519870d58bb1539d2a6885013ca8ad26c1cdff0034eee047c5fb669e4aef8a955c71404604f10ea676ff00b40ac77350ee5b9bb0dbff00ce3915087fdb1e99e6fc169806987ba274f6f723b603346b8aace46ca8ba8aee1822649a3d58f6213ce72f92b9bfc944100bd632382156fc71e0bcbcdb52156f1c7bb10f92d23f944f2e68ca40be6255756e59385f2b73553ef45a4d04cf8adcdd9501d21096d6121d4acdd9884444b37edc500f1b09bb1a76a05f5755d817e0b41310b5b32328175aaae8701d2ae3f828426ed816577a6949fc40a7c5795e127f0ca2dd510421cd54909c90067c15be9fa7032e29a59a63a623ae6a3b5e121a20648c0ccdb13446dac7c456e038bfdb01bb8add26b1b584a96e0aa29922c7040d0387ee2a51dbd7b869ca3c4ad3d11a0ee4006a2aaaa33d815ce2ab121b1f657b7d9c791084f75b6f70f4a8c2d33736d1081fb7b7c23976a128ced6a1734015f11a4977461b70a9c631a266c3af9281778ee10786946d29bde806cd4dbc469d8109785aaeaf2438a796a30935be17e088b5e433c554635030a22d4b9199d52c823296250318b8e2705e77a8227b98b64108c312305b604632baa4bb5bfa2de9193c2cd20a8c22f183d2bc51f4dbbaf2891c55b1fece084e5394623c19ba6946fda9bdb1f147255c11201f31d9f264f2d239a78c71f1fecaddcac51b63525dca791760cbb555cbad5a47251930903f58aae98a71dcc14a1b00c789cd36e75bbca52aba16b4a1e228c30bb27c7f65b908e78cf103dea70d981dc940e397bd46d05f0b462a3bd2008234d7dcae67959708f0436899ee6e9adca5005dc3a79302cbb50e2335cf8047cb89f72799b3fc9828c777d48511b0e4bf6ba86c4baa3d65990dcea23537e4519ee91b808b9e3827da8e996305f48b7a95d237067e6c8011beeadcd5083e93e25bdb113f75e81ba8b65c95f2376f8ea381d4a7b3ab6cc83ed481d34cd4a3b72768984e7984fea8797eac7481571dc8e9120d575e1876550be65bb0a07cd912f83490ff005b0f1b28581e3c501081107ea0503bae679c50f323a5c61fb293ff0066abb8f253f2ea5b5a9338d743cd6e67f592c899137be057dd8dd1b7c7f4f7a1e49d3c5343138c86214b5cee7d773dcfde16e0dae579abf7badc9757a82290340369f24488430d5078b61fa2ffda0008010103013f21c4d4862ef2608c045337860de2017c62a3b1ba1894c38372c77711fc1d236b15806707dc4517a35bb0f05fe669c260b756e715f5996599b658e74ff08bcbcaa2ad1701b19d7e26c54486884bd91d5e1f4b8df305d74d7e650edd0bb33bf79c64e2e9b8ba618e808534c6b9bccb914777bfb4cc74347d05e3b65051e5e6516a981d9e630e0311bcb337ac8ca5eab42b1d1f702dae02b3e0f31e0d603df8f0c417160d9f5999006461c1effc620dad08eafa96c393c97fa8514c9b302fccadd7a943447c2993c45668b90ddfccb0278c3cbabe18808059b0d60bce3ccd3fedcf62ff00b94ed42ab67ed2653972622b4031931f30efc4b2ab91ee71006fd3cc5af78e58d639f31d71a587f881a2dec22c51456edaf01e264b060564ff00b982d8c55db95f316520eb93e0ee2823776537e1e3112c97500b5d6e5070a6957f35085f10135a6b5a96bc620e4159d20e2ffb8a875ed50b3b94a3a0fbb3e0f780d10e6bc6a33c32c7c3547c5c683402aef13973ca0bc3270d7dc2c28d4655c7d763b2215b0a3dc3da5d6af83f9e63a1a2dd7f1b9a16f82a3efd4bc58e063f5301d8f9c76bca94ab0f9e6988e23427279f98911a1a9c0d2b98ec8d09be8fc5c7ed3f037e82665794703c462545ceb17ea6455360aa566cfc108403a04f2f3fdc36570ced9603f6c03a0ebae7a71ce58ca8240d2d7edb2fb8c735af010e1c7865c3a151eeb2f24c2e8b3c0ecf6e61cd76bd6be631cc1b158472e788793ab0c5197f508662ef7c3dfab86f2fd3fa959a0764b0a14e4be7f820ab28e854c8359ed7a3e10cc307386cd554ca36f37bba6a652861c9a79862142c5d984e7cee2c5283d3c97eec75282b3f3fc445828345e6bff6006d19136c287f313789c2c3141d3185e2df16f0f71b60c2f22a07b66080584d362bf133e428e6a0da520bc27475cc25a82bb63ac1bfdc41214a2aeeba7bca18e1e4db57678966e3c873f7d450d28961c76875f764380c72c5100b6cebe6383641bc9bbac33f71efe5edc7ccda49d06f27d90b800d94f6e9ea1d1280eeedaf69896bdb5ee47e753062a99cbbfe2c360df980f52851742be7dbe262034ee7e7c409831932bd12e39a0de05bdbcd4bf510cab65a7395ea356bb8b21a3076ea17cc03b995e0355d4d0ce8b6f873d2592586a21b32980a3319e9f35996613ab65797bc553a96f9d1aea2fb5280b3c9317ab43f9b996b8c87143bd1dc1e095018cbe6963c0b32f446f33b05b27f4b0a38951791f3d2b5515433acb16f06154e2e67e5d0ff00e4c6ff00e04b09999d3e3c40c005a572fb4bd9ce7283daecccce78c64be46997214992e9a29eba875a49b52d6e8de394773c580ed4da712bb02b395e5a33f101aa14c7f71a6c66f5dc3c87833621f334334e15b899945162fcea3f2912bde7662e5e1b8aceceb95c0f4e877afd4796a51757f6488b650876ba1fb2532dab15a6f2e6e71d4c93832cab56d2ad963beef52e8bb38a643af33e3ca30f996c8776b7010ecce0797ea51e2e4b71aa7bae26495085e4307b9ccbe7581936f87ea5e471b0e4d89accab10f74aa792e2bb3418ae3a9ec88b8a6b52cb1edd8fb422bb29306b297ecd2d558f6d30bd4f81f8ae6a0d86db8508dca76637e440c201533ff4b83517c1cd6662669c5b64c555b6bf0d4c9e1ad8bf20ff0062b4ff00e2654e51d75efd4ba4052098556bf312a185326202280a5131f3329838b793a023340582856d7b9630cf21f96a5742a97ed52dfa3035583ff098e9b6470f27f9288d413bed00556bebdaa53fd3c9d9e20b46fb8fdc9e065a641561c4ccde4d2cb435ce055c125bc681c5fcc59ac17849f53212f200f865d6f58c0be1bcd8c4b8073a785f6cee59caba5adcbbde7a8594b4098bbc918512a2e55cb5318cb67cf60f6f7964ea2850a63ddae23368c5e72fc42c3687f08ca50cb7b2bfc98978392ec63bbb7535c1f30e909916dfad7c47603a80cba97c3c9ab55faa23de8d4e2e7a8d8cd88b7fd4ad1d985b58b7176bd5f07411a1dbd3171a70ef7ee35ef9f3e897eb6cc3e562a5458a5cbb69cf89cb5575aae58c3f72a2d52a8c4b6573a2648a9dee9cebdfe66c2187235af68038a96d06699dd1c6e5f06d98dccbde07eee355ba30bfabb8d0b5dcf1c9977cb1be442c71ad1895403505d6b1d4a6cc87f3de13422bb7171caa83e2bde7901bde527ad1476dfc4e34a7404bdcdb83637d43ac7458bfc11343b9cbf2bb81acb30d3bc15ff2166aaccf51c5c5e7b71c213c705c6331361781a7d3e09971dc0e064fa96411e0c3da8df9864472ce96f1f32e2eb634fd53a96918db39195ade231ccb32676c98fc4d0c1a56f3e25bb1be5b3e896ecacdd9c7c4e4b542b67bc0485d85abfd416eaeb4168b1bdcd9e349b25c4b1db79aa6eb1b8b5458340aaa039e20c38a2cca1ff267aeeb570970012ccb5d183e59b66a2595d15df32dd2aae393ac4b505e6d9ccbc8d22d32ea8a36fcf70206c11eca2b1e4dfdcaa6f10183a735c928444e1edc5e4133ae6e857dc5c94bc17fed114380eb554c6c776952ca554c1d9f8a2102f02c209fdc68205426cf6dca54d56c7cacc847411f886b4c17b0c644b0cb02aeff0039fa84a6bc0b703fa851d75a07c39850053577ce7a885e643a3b57e9500026f9575bc61adcb5da5068dd86d9500945bec727f53a206c677f87138fff0084d32ba7b69df52893b87821755fa4ffda0008010203013f2133e83696207aa10407ccc7a630b88bab8210253ad4778fa17978c65e21de2b824bf4b201e826be966c47e5067530422e500511e08c302aa5e6aa5f9852557a38f7974cbc7bc3e930675e8899612f15e85ac185751b0b9a40c6307c210f11447cc134cd30b6080ddce4100e4ea570b40af4d430ec946b314d9e825cb5e09f21356cdee65bccab96b8b64c3da1ab7530f8fee3d40657f497f442bd1dcb13978f465a60e669977ec95ccbfda6605c39b7ccc899a0fe7bfa2af88714a89772a8a315a3857a5ca7728c62505840a72fa3866738421598ca8fa36a6b1cce0875c22f89471a9709964bb6d963c43cce68a8b832c8475bf451103dfa68956cc52b0d3ed97af1295313351c46da99ea2513a4cf3e9f5073e949665ee7bd4411eda857c654b8e1efd0da5a1ac719989e7d26916578844030b7a2565b0324d2539dc035eb097ab859ccc238cc732caa8bb444a313c42dd713809bc85ca8971ea592ae0fa301389532951ce5dca97186df45083c11b4466f9883af411b5b99a48ab1fc1e96ac2ba22ba9d5ea1685203a97176428c9b8cbde589b98da69197cce29e3736b9f5ad038c619a462b7a82174c1b39971998ba42abcfa15e81ae652e1bc4ae91854273313ffda0008010303013f21952a5cbf4dc25cb97e9f9465d8942528cc22e94984653d054b8c271e8a47d00fa566b537399992fe115b2d05e8b0d35647ccc47336952a54f117dce025d2a58cac38b68af1e8b0ca2b47a563e9656605c48c122d620310bcee5189a94fa3589ccd6a642c4446a3dd99671c1d1797fbf4774437328bc4689758823326370ca0f4947704d3cc135a61181bee0b704f020b1e8ee5c55ef3409694d710401bf557f5156e3e9af8dc377177c47114ee5cbdbccbf040c9c7a59615f55917a17308023eb5d8f077e892b30a1440a25ce29635e8465388f1e976312ae54a461600e2641e595ffc6ea564c9ccef30cc894afd383d372ebd2c609488bde58f4dbd0a4c999608d1327c45d45e9cb168923e99374c6aba943ac47d226d2fd2fd28310c1bc432abd156a5a5c0770df30ef1c8f73122c7d1832fd19949097a4bbf41027a1bac409715c3c4f40be8caff00e2855e225d8bb9519845a5312a9dcbf175294cbcbf4bf40f4aff00e17c7996d6750ce48c6f03057a8cb950c4bf93ff0087ff0083d18fafffda000c03010002110311000010ed8323974c236f5daa4c00c628f0b83cecfbef4a49ae3585e22f60d7fcef81c64bf292dc8ec25aa4647bee5fd7a05d6c8be2d175f3fb485708861c6840e021a1fbc85869c9f6bf4f5b9472a67a9444dde47cf8d91064a8ab2919adb42d61025312e4fb5868aec47b15bcbf942779099fcb44512fffda0008010103013f105c0614452720a56739952a2eeb42b6865d7bc6ae8725d5ace8afc4158d592ce4dd35fa8565152e55d79956d6cb739d466c89aaa65bf9afc40b95169c1bf3dcba1af123b577c7dcb1a15085aa28dd9d3921452c7b00d4d0b5ad998d2e11c5109421bddc2201662c2f5b3e1b94aab0aaacd0cd9e65184d31579abba33888628366182070919575107049d0534be9a83e253391a09a9dbd6d76b4b21c2ae4d4f3a5217b48a7e32ede2674359d9cf3516c6c4c6005ea68312bf016d3a756546dc39ad499554ab157a387170f2ab29b7c4b623554a55de2e226ab5a057656a329150b0c41790b3f50a0b05a226a511b1d1cc61a9970bcad1696d560c73109c41cf32da2d792ff00c4aa845e90e70cdc596dc8010b6ed5945f0c6b183aa35ad8b71c4a5c64a954200dbf6a98762d986a2b291f02ee0144d636c2c382756f982fa882c421706554389878b6d94dd5e4bbbda5bd2546ab18b117dac2883ac0501dd41006d90fc09324086cb6f94211e52125aacb0adddd4040035b05ad46ce516ae4129cd70798f1ec7510e5f6e0987eb30a9c80c508f4672c1441eb6e90615bdd217db873a355dc60b60c176ad12b44899dddc31bb582aeede606265af161b9cf3ed2b025d2c0ca08e0ce0aafa98bedb5cbf46e2ac35129396068198696cab0b84ddef2dca4b0330140d020c1449ad1cb9235710a1a9917780a2add93251eb0ab45e0b29cf739080223b75a69ef1f1e968677c1dbb26dbc84ad891808cc94a25903a16caca97482b7b94d24428e95ba5a68b416e889cd5a2e721bbf882905b500e12d6b0f348819b83489a37d6e769612e1a6762175c1093c168b90a1b50410b3816966f2dba659667230b0ce6d0e7114fb1572ae14aa6758e0b989a5a0598006bbd124d94b6758674e99474af9901e3688316e3154050de1fe704ad56c820a293d8f48bf3b0036adc18718bc4b122d323a0e42337c71116761c860e08e055f12de173a1cda51e6fa95215c8e547b2631865ab685cb4fe4697055aac100bebcef10cab68284284536d7132e8f1373000c99e5de609cd08469a50d1496eb896ef85a88bb3b79cc4b400362eca015cc3c6b2aa0f3cd6f084f41605697603df31102cdc11559ec5e4c46692b2a802f89bac60d663cbf90b4cca702f98ae2cb36cab4aabe88690305730683960c3f01358816b80e4b9698b8d6d706f3cab52e18a04d239c3d1b4f88a171095a2c4c207c2e09790179190ed205737702ec46835e8acaaf5a837411320abbc15f31eb286089128c00c5eeaa1a5caad8b56d0f70f1b8315c8deb36fcea35c08da9c5a8c1ae474d45b15eea28e499d9c4455690cab0b06946dabf7813bf373965adaad9b257f7c05c560df26039653d1af152ce0ba3bd5c45677304b84755566120cc5452c2d70b2bec6243014dd2f6870dd467eb2bb4e61aab85f6ea58a7840baad018e101b6dd4b9d8b996895cc10d1ecc42846b2170d771ee8a13cb029f193cd4b336356eae2cc2af50d87d8be1340b9735796981aa2272274e4581b567246fa5ed82f2382530d8df4ad2dc82e519ccdec5a304c853a61e2a5e2c419d02acf12e33482952c358354443f0adb2386d06b365711c73c08aaa1177b1d5f9c564959b7761756c416d5e8b9e672c8f996437c836e1314aeeb5ed37705aaaeb0e3a019e8b844372a3c617a26cf301642aa8f61c066aa0ccbc2dedc63355aaea0717b75ae6a720e96e02dcc802e15a130f0458d88c0e8e506571960a56084b317e12867b0b182911f7dc706129820b40a44ad5c05e251605d15301cc2fc05fc036f60157f89e67561a8b354b170b04ed0689f4000707c65633ab241942cd4e4e25ff0b7d4902a89d915a02280442a66ba0ebb21800666b0d50bc18e57ee6101a91979e5d5e58fcfdfa228c377e0fb952b4d1b526b5bbe52a038280016d29301e6f130dbd665375a0568876948ae3904782c4a1826e8703c2ab1b2e3104053bb7aa40e8d56f109ac6c403da232f1dd9e63e5a80c8b04371bdd4712926a716c1f0d55e6552082deeec0dd7547897081a06a182c01dae3655380ad1e0fd12a5c0c4072c1e3da63bd296865161de0c2f3629880b65bd75357a0a37d46e82ce25e14090a94110b5c9b5649461398ad4015c1bc9c998c72c06b86ada07503e66e128daacdadf24a18a0d0e7558f66799092ef8e25b6b7a176334797718261c6271861682eee115900051b285a1df313e8547a59b60819c7b4456a5ca3046c56f28b3191f921dd411cc68d3a23f72b2bb8a05da8335e604a6529eee31dfc45ac4a45a12d160b1880d00d141a6f2b7c4a4cb56e33d1f1b8a4e058168d501c5b84370e4a129146d6d6183e9bb6ce6de17a94221695babc82b7e614e70913c2bb6b0cac4864626404292b349a946a0bbe1c64c9f198e7032880ad1b38c0c568a1a40aa2d60baec4cc434a18bc997b0c1f08521de6a1b70e7170aa20d545e4761fc90818d82de63ee4d9282c06cf66519458f6ef1d2c6157956b3a16ab899434ad9607bdde6a6cded82679393ee0b4917443d81a8d10c14cff00218f32da0a9568815664f318eb19bb42fa0661045e30eb917914db13135373e15406107fd10228d736495ad3e3a854988474952cbcc468096850dba429a4394c098453ad8a05b38e6b9dc79b4497c1556bdc6681cef20cb981f1095425c2efb04023268ac0bd9b69655cdc4800ac2239a15502fb70cd74a34adc2a5248c220a002be6a1921d6748328a944c8c0b65db017706b07ee5b2fb78adf37637041bae51c66cd7709f15940326fd0c01293c349986f6ff519d44296d95e72bcc5b945b34ad5721d4237a1b51b2e8201796a0c1b66771515b5adbbe6642d451548836904d831ed8a6f2e31410834541a08301510e36282ca1b82722d2b05b2736ecf0c75e5105802588e06cd6825a0845a90b35cf987434704e018cf29c4a3615b0c14d6391d4dad34b51cdca39fa18865aa1a680d00ecd47f915412c4ba5e31e620a2c37036d8d179c1f880c45c0d39b2edb8fd24552818ab60ea2296a154351be54f12b081a9a29b674d91a0df82d3905b85115bb352e81e2692c7add74e497357cabc2895a6bf50098155c000ed79e1ef16b0829ae4ab074d41a345b6aa8ec465ba3466515757647c8b1b0592c1582b39c97822d903295e424bae30fad461f5199b2a0b9076495f028c42d8a02b02b9ee081838abbb58ea99521db2d915455b70280a4b4ccecaca9eea25665152a37a10d73ea0e45d37001e1c0564e28144c1e5b2df608af82162c502a16e5ac2656b8b40c00b1d6b89765408690403eb513579b52c705c0cf74a1ff0b7114069810604f9e96dc6792fcc2e3a2e0ed4899cf08c0e755c9600f7419d47708a89436a515be0ce5751816a16e7818c1afbca7658b616d634ab2c2ad6ed2d59047740d59dc1213d14a2322f64087a578242be4687272ee3218ae1c987b4d5b1c16849a2db0b17f10b41ba76e39464e1a08e0f2e065684e3d9361b51512157b14af28043a89a4c1418ca6d2ef6f3155165a770d8614b62dec68e20952b0156302b66ba2e622582efa11bbae0b6128619d59734d3062a8e28dac42ac6f2a58c080b8434e632cf21f30c16132b323160d18fa01e59c32231af26b3291894b296bf2189887d98eda0e80eb36ea1c11335e469a167c1e129a86a9e15ac9775ae9558a9713451a1095a6aed69a868eaaa98babdfa5e3d93ffda0008010203013f100587883766a08b9c03719332c110ea1ce096ad74960c6e53f9fe5b0865618432adfe6333fd98800d9cca239a99d4d8e601c0c6bba2a285a1f712f045f2a461b8d958725cd416b770fb21ad60aab8035a8b93326ff11a2b2a015c6f5fc61623473e6540e6554b39f69483de033fb46aa351dc32471885b95e22fa24a9750a2a343da285f4c228e883c9d3c44baf026c5cf67fb0b8f34c42504a15ee6144c74cf89071e373f865351504cacb1cd731910cb0aaeedc42376e2537d532f6eaa31c45802e982359b61a439c7fbf304b2be399bc5196ddff00dfea712400a352914f16fb4dce32fe20b1fc43553ef3a0566341c03272791fea046c377fa88626638942d7f842bb482a02620d9c7f7157b1142ef5121f7f51d1be7502cb3a63c4303fc7897055cbefa470ed3f72868ff1cc7800aadcb4e2365713307dc224bc63e7b995b6afe7b442b04145c383ea02b157fcb995b6e3f8c2ca536fdc13da386f1001e120ec18ea2d92d7d448179ea59e21aad5c3a4cea0d2ff00f511795b9880c405a8993afa96d6e4fc1180b2effd6112795f3188e208fda210b433dbed07021d4ef06fdba941529b3f51a016eb881541c4c9bfb888efda1a98955cc01fdc377f9ef518b31a75202598215ff518031de33ee3cc104daea3702b5cc17253043c13253e3531869c42ab6633912f1425baf796153fa8d0b972f7881baad4a1ac5d4b9bb7f37029747f700dd6bbdf898ccd3635e7171aaf41fdc733871a9b0dcbd85822d72e93bef884f84bc29a3894b32eac09b79c160bbf788056a38f799ade965b7e271a9861977f98397c5fecc4101caa12e589863c1c7cbcc5a816c64b4cc16f2d7e654dc3cddca82f716c7de0b4d067de5b26dfdc105620b7989789dc8efa8ae661654a228c1d21bbf3ff00c825370a3f031dc2a1625dd470b6243b66118257287675100f694b062b7dc70b6a3cb5811c5c3307249da521a0fe5c26d0401afd86e501d185ca609805ddcaaef70abb811a974bb99f33f30716e5996e0343330b70ae61ac2b426445d750f2984f1ae02dee677f9811cdc711e55881337b82b533a7b432c590812e8e7841cc6cb43f4771ac4a8b756660660f673160d239665b0f98af4873c7fd973a98125df7972b1551a569996bc102866456332a5c4d1a6021014aca8e5ad411372fc8be51d219f666abf88bb97b42fe2250a97d12dc0b5c57117750f9cc0a217aa61f65c56a0dcc1e668989503384f8b181c5dfd43571968298678cc8af72e93fffda0008010303013f10d37313b889d2a309631c230d7fdf434e26cac54d3c5425546769dca5fbc4a318d4c90cea6a2638943690b76c56c2fd446958ee494d15b8567d259db702c799419d4bd446d6580e08a31106dea0b6e7ef72edeff48525fe772c92c3f9997b3fe4186172c61a250bf20f1701ca2bc90e84cf3d106daea19519999bfcc0e45bf50eda1f67896b08af0fe75136c7b7fb2ce08256b88650404a727b4c80eb1f6420394cfcc4772d4b52cbe6212e55ea2bc26b7d457aa251a4d02295593a822dc3029ed109d1f5edf10bb57cf8de655ba0fa347f9081fc7bca0db0d45f97f12dff00a8c479710a792e7351448cb1e6fc460b1e2323a5e7e231520a5bcf9f3fe262c34bccb12711533a8d16401c32c419fe5c5bb1701437779e2f1345ca7f1b86614fe84419771abb2361bcb7a8240fccac4a8440458a1fcffb2b8dc4a0a7266311d0cb1b32d4e41af6cc7b8ea3566623cefa9835a874e62c295dcc59829c04405bc1cc7cdff7da1b35b86ee9327d12c8b55a46b455b6614cc00ca16cd8ed84e9e045da1194a854c98cbba88ccaf31ba0c1e601a97d096b055c757fb83f50037af799971a18824bab80a159f108c7cc06b896d214cb25a9f5393cbaebe4e259ea12917a8c737150749bf98f9b6c68510f4dc421eec4a2ae52aae2344115f9846dbe61efc4a0352be51b311b38831986f88be5082a0ecf888351a651a9919af88d199609164845e1b825c97b4dc07f44a56f72cccc46515b0869e6521a0b704c56677dfb47dc11665ea5a516d98991c1a824b69173344d44a03823306b52e4dafe25306915404bca389860afe28f211b88658c12dbe8873b54f898b307300bc09bf6a7940c472838972f28a99882b8cc2cc064c02dde606aab943412c7716a2e686183b971866e688b26b8ccc02e65b88b820e676964b4c4e06282b5183388af8428a6141a333958408d5a05f6987c3f986bd9b8b3501c33480455b732d970351b402aa50313113808e599e25d982ec07d44e72f6b043a0b6c3cd4fbfee38a78710816bf3042ae346865a910b0a5c7a0b9f4241c4a6e14b0bb618dc1317e118a4eed87ed85adb507b9eecabac39d5fee0062e248417bbe7e26565def73158f42ee56e1398fa0a96b9e53144cdcffd900', 'hex')),
+(7, 'Produce', 'Dried fruit and bean curd', decode('ffd8ffe000104a46494600010200006400640000ffec00114475636b7900010004000000460000ffee002641646f62650064c0000000010300150403060a0d00000bb50000143600001fdb0000302fffdb008400040303030303040303040604030406070504040507080606070606080a0809090909080a0a0c0c0c0c0c0a0c0c0d0d0c0c111111111114141414141414141414010405050807080f0a0a0f140e0e0e1414141414141414141414141414141414141414141414141414141414141414141414141414141414141414141414141414ffc2001108006e00af03011100021101031101ffc400d90000020301010101000000000000000000050603040702010008010003010101010000000000000000000002030405010006100001040202010402030003000000000001000203041105101221311314062032412215233325110002000305050309080105010000000001020011032131411204516171221381a1321091c1d14252231405f0b16282334353247220f1a2c234541200010305000301000000000000000000210010112030405001705161221301000300020202020300030101000000010011213141516110718191a1b1c1f0d1e1f120ffda000c03010002110311000001d97e1ae94794e472d77418990dd342e72c100dc9be8e0bcf4728f1dcceebdaa93fa41d1fbc1f783de47d1447d17aa44defdcab8b47462167b542ad07446711749401a23ac5dd784054a4323d930c5fb7b866e5f5cf51cb758a97ca0f8e7a7a43df7384907f96d0b7420447566ba7a6d219ee2999597723eda732dbc77891a9cfe6cff3bd77b88fdcae8b952268f53edb572b173747959d65b01e05fd908b53f3ad7a9a4236e8559fd7a79bef65e911e5e777f09af9af618ab3b499683b8a2627c776b4898aa939ef3be8b8761a21316a3699870518aedec3fa3298e0f613bfab9e6c649f44cd51ca0a956979a3075a393aba38978c060f4f009156a4329f6cc7d2ec386cb9c5d24bf17fa0d7d225c6b12bf0bfa0d3987a6979aafaff003e5b3cebd02cf8d5e812b3ca2aae4c1a64d2335de84a4207d48de35ab267b6ae2c1db8cfd15dafe246258ea2c2308481b07b2f9e52b1b4dcbabdeb442ebe96b178c2b5e5f877fd251f4c3cd8146ed63179078d6a8b56ed717508c6b0c4aa51d17a26b66fe86c3c6c7ec7b2c88d03cbcd6cf2fb3c38fb1111d888a84618db5a907a88b60c2baa0bb3bd0d884c84d6d10ee02ae61cd944391bbe4708cbcce34a3edb254e9b34bd3d2b171f2461e566132a298099f0c9b5e16b565b725fa0d7bbc35fae638816d81a0e95b2826c4d5e69aba2a3a1f363d8b8fb203af3de71fa7e1e05a49da1f0e75f2f06fad7ace4d0b7db70ff00a8bf79f9d50e3a2852e2d222e8cf4faf90841d56e41acd16e8c8ac15f43e71b724595101c432ccddb0b1f88fe61b7666ca75d5661beed870ab3abcf0a57add9a8c72e699543d702831e9b76ba959135cd52b531560ce0d56733a739b33d24fa42d634ebee91f3df408fada8c095ae557b148a3639e8166da9556ba453324d9a6433a88509fa3500aaa2c9567da19c25f0134090560f81ee38e0f6337ff0096fa044d9d5d03366b7c42d51a862792662b85a601a11f4b7ddb3f1ce2b323f752afb9ba79f31d46a1dd2cc3c1ccf9de497d71bc77bfffda00080101000105028e5f123c347bcc2ad4ce91d147d43f1d633f1e4bf292ac6c5f69e23bd4f5a7ff003abd687d88f531b1b5bd50456139a1c3d1e5c8c5d9dd1ebab5491091925397adbb73d686a48d9192cf1c2193d37b08658b5afa145fbbfbd4df1f5ff5c6b7dc8eb98a2d6d610d3003429e47b5bdc04646a8e56b97aac2f19ec42ede2c4e02dd3d9f0febceedaa7d96b05bbac922135faf429d8d97d6767f6bb35379aed08b27675e596e6ce95b0660e078964c34c13b228ab960eec8cf6f25ebdcc13618d8bdc91c1d24f8fb35a865abf5ba8f769e4736166d2fc7d28fd87fcfb2edee83630ec35f6f4cbeaf64dfd9dcaf1d9535cb1ae9f5fb9d6d884ece3ef0b9b3c65e18a7bcd81453194f73d8bc21230363a77214c0f60b4e2b70f7dab3f4f2f3a8bef99b1ee5c4073551ab48b3e46d75d3ebcfc3b553ee9aa999b1fb47bb2c342cb26f6edbe2d55bb4d8196ca9666bac111c8ac7b359edb0cb29f141d86c6ba1335ed9dde3693869fa9c3ede9f65334195b2d8b46835e9d459fe26aae6d2d47bb8e3ad46b7d7e1a3529d08db242d0d504f3e2c53719a56eceb4ff159237dbbcd4618dd1dabdf11e6f06873592074e3adfbed8a3963371f0cd257abb19ccaa3aedeb52ad3805bdab2dcb45b1d5a96a76cb7f706d5ba957ec5ec867d95aa0d93c28f763aecefcf784562bd5ae3712c85f676c6c4aed86c5804522eb71cc7c36dcb670cff001e6a67d8b105a0c8fdc8d19a3636edf2e06fba39777ab7daad6057ce92fc42c5dd568f722f7d4f5d5d3b4f6a9875ab555477a5b4fa7afb0c6d8d8cb4c4b7e79a0a36ecebe77136d323318b4fcb27cc361d68f575e99a9db0c344d6a46cb46729d110747f609fe1eca0a57dbf376303a0d968ae42e8fea319d2dbd15e97714f5f051a326a75acb3baa9289a3f90ea9ab2d0694976212c914a6cb18ac7e97ef76badd66c0b1f5b62f750d2d77b9dadadd63d50926f8342829223232cbeeeaadec6e66e589fe6be1aac32798dd52e59bedb7057953757296d5a55ebbb7352d74d23fac16a88ff0049f2c8d5b5b021afa3ff009362deae64b5139fd2c452b560482484930ca1ab6b07bc3614fa2af11796c124539824268c5d2a50bd504b3d231bd93c4f5de46b865e1b3ca8599dc37d31f8a049afb152db248fb1736e5673c32e3a374371ae609c38b981ed903832e50711341f1cb40732dc6c8e50f0c8ec38976ab672eae79ab3ed2afad21b69a6b3ac6eec3259a3313443f2efbb5b4e58fe0cfae757b2d78924f786e6a97b75eeb8f91b69d1ba2b1943db919255055fa27a6b7b99361a77c9144d701278746e0f8ab6d2cd58db7e40be69646eb2e7bf67eeb59a575c50fb9d9f82661009e0ed9b9e9aff008bf1f642a1af58de649099933ba97dac596d4f9adffaf6e2afc9b2199ad8eb2feedf59339fe3ffda0008010200010502ec8b914de0a082117559ec4f94e765401ad43fb260c27ae88b02030e748b0b1c16ac26b72bd0a298329d9e959aac711c60b7c2253dc57745e9af59f180bc6782a1f59bf7edc340c9c4823fe89fe98519c2edc48fca31b8011a0eeab2b3f8d71e66fd931abdac8eae6a6bc3d4c3ab5ae43caf4594d6e539ebb21f863988604dfb0512ca7128b410e390eaee0bdbf19e32b3f90ca3c4614dfb21e07641ff00d9fd546ecb8cb94e721c639c158e4229adca1e11192d08b917129ac4e3920756c4404eaebd8288c703f0c140ac711941c83822baa6b10621ead4f66136521099cbdd6b974057b6027c813563cafe56537c80d5d5062c00bbaec9ed010caea0a319087752c6426159caea9be11779ce0858e18cf1dc20e6a748bb2ec8b904df29817a2efc48035072f7117288853fa83e0a8c65d2fa21e11fc02694c7271595d94a7fb75478eab1c10a01e7f60e18e0145b945b8e414d72073c04426f05616163c2fd4762bbf6446115194e5d51e3298f4e4d7a28228b5755d106a663326383f83f2999c9c23cb73851e70d4e4381c7ffda0008010300010502ea805d5351282f541177e07f3c719e01c20f4004e08372b051f1c143827901616111f906a6a283135aa6e3d792390107045dce16175e0610184e3843ca6b54e72b1c8299e5752ba2778584188858e30bb828a6a0a54c47d0b567aa272780134f0e685d56381e5630bcae8b09bc487cb07330f0b1c610e015e165642ca032baf01a98de3aa68c2ca24a733c14110bb2ec16786f0701774d917b8bc204269e07002c614928e73c617a2ecbbaf71678216786a1e4755d513845e57b794635ed15d13e3c2cf00a3c84d09deab09a82ca3d96387784dcb903845a1e25185ed647b784461139e30b29853c2c201302889e3be530782d5e89ae4e0a13853c7d842d52c5e5d11c98f0382b0bcf1d53421e0b98b098e5d729d1ae8814135e878714f6a29d127b7af195e786958594d2139880eaa3722f18ea0a73179083d13940f8ed9456485237b0fc189a9d8413738728d3d479c9c27611c2194d5fca763877af3fffda0008010202063f02b12822d350d0fc68ee34771429e28f6d385c695f9bf344a38ff291d616cb862834a18c36c6d4e0142f7fffda0008010302063f02f11462047bb21a28a0a15c5b34046eff00ffda0008010101063f02e7605bf0fd8c6637466533d906964f14c19d97fde2157dd97745b04d2a0d94deca43082cdb2515fe9b4e83fcd4da98166596d304ea2a7c9aea8ae9ab96505494490b700ca2fc088f94d356a75b57aab57a6c2a045364c91644af663999b6980f9b331b0eecb3b3fd323747e19790922fc63c7dd121196e8e5ad295cb2b22a8d548d99a93e00884aa1a6aca083c447383d8271d4a39466dd23191ad54e6f546bd99d2aea9512c5f66d3398db7469b438d6a86a7e5a625ff006820f8cdd1f3556c6ba8a1c5b085466ce5b998ef312160187901a626c480277400c6df2102f1879787965dd1a97a6fcc564f4cfdac8d1bb7f1812ff1e5f444cf861fa59672e5617c33692aad4faaea4ad3a405acb9664b5bba1357a8a2d369e757baa235f6c6875da27ccc8ce994d8c261495e2234df2d4cd4a94a66a20f73c33b63e5f543a7553294a6764a66351419c4a8b045e244cf94c86695f1299697b22d3df1ce73637404b8b7846d8963e495edba26a2e31344ccb298da63a8b478ab586395655a796d1269469aa3316323250d9465cc64239d594633e61e7b63902ff90827a2b52931e6616540371f5c15d494643611505bdf2ee86d57d2ea753e9ef6b2901f2f10d3f3c2d6754a3a9d3accd5a524ea21e5ca571e2216a99d2d5d2fd1d4d3f12f1da37454d4ea17e1d7975d93c04ed13b8f18cda733aa97abcc19f6c025da9d13efddd860649b5337b1b26232ca5b200ab3526cbacb61f3f2e53c8771c6d82b9c32efc23e24f7b5cb044a4be8809492974bda2c4b37dc202b6596004720b63254493d0168e3be16770770bc270d9466da272861325deccb7f912aeb6a3531518a2541e05612f179e0fd3f5a01a0d48bd060a02b28e1789457fabe9474d74e3944f94546c378dd0bf321e8d6c572cc4f7110df4ed2697a94f177330f8dc309475a8ae5439735336cb3604c65e95291c2648ec83418aca892997da0224c67c65e88a74f28ce9f127b10d9380cc037e28ccd651a989bf3464fd922d384a16d204e5d9db16d68560679ad58df159e7cf8765914cfee5526ab7e6364349981185841877552d96ede2260718d60348a8cbd459fbc9711e784fa68a67534299f82e4e53409c7a982ed0d311f25a313cf503563ef13b061c20fd47eaef2c296994da5f61f5451ad4ec550009df158b4992a093095d00483d31613b84754593b2c338a5ffca67366db0ae953fb32e4a82e3ba3d93da625a86cee2e02e077453a4d234581cac01168c2c80e58229ba6799a39f4b9d3f28f4c49465941b4fa21d9aeb5b8c53d3d05e6a28a2d1cb64a01c92ac7ef800708cd52d95b92f87d22100541d34dc4efec8cba441584cb30b554d4d9ba169d139aa69dbaaf84ea9f5468ca02c74b9855a62db67e296f808f488962a7d11f0aaa027f92622d65dbe3047df196a4bf2e5ec84a01bf15931c229d46a8ec806607366ed6580ba2fec557f0a53065286eab251c9fa9572e744e2c2706a31a3aed3513e2a58711611e68b69fc65b42b195db0936f646644e6c0197ae26728dab6c142c26dcb92f2670a93e7b08302ad2af3e5e6437faa056ae566b748050b385c86e8740d68bdb6453a8b22f4d838d84a99db1f31a590d60917e989671d900e9c1a7ae4f64e33bc401aaa4d4aae048c46c319f534475ff009a9f23f6eded8ffd37dd99929f7185f96d42550d6e4f67cf1f174e02fbca61a9ad32d4e57ece301b5350e5f744e47cf074da67cba77b6ce566dcf2fba3a6ec4a8b140b840afa6734ea0ef1bc40fab04a61a8b754e985d34b672f74c72b59b2310768899aa6a21e6cad84660b64fba1835d3e53f87641eb3096cdab029e941e98f6dac105eabcd8dfb22528a7435da6aa4d31906a00e52a2e9ce51d6e9f3e0d2061c68b255e97ea69db3169706f43467d56a351f4dd44eda540b3d23bc6ce11d4abacd4eacec4a794f9de0e928b6a34d505b48576460dff001be0bd726b5b2a346f52e71ddbe25569e7ae6dbbe1a6fcbed1e30692d26b7f79da6fd804808cb40cdcf8678c533abc88ae573027b4885ada70bcd725d2cb677ca0d24795373d1697ba6c94646cc3780651bb8c32d213cbf0a58e68eab655382636ed3196b65a09b3c67d519ea9cfb59ad24c49125b23a6c2c1840e9515eb1c4899f2354a7fa4f69a6de16fb6d8a7acd24e95416ef060d6a94916a3f8da9ae5eeba1149e5a9ca626a64c2e2210ebea33d3a6d20478a58c06a00aaca5be3a94be20dd0d29355972bb0dbb23af47f4969c899817d974741ccfa46f16a917f719c51ad4f97995d977037c48a0cbb54c54aca2c45260356e636bf6c5b7cae8e691eff003c5802acac5c011788df128cccc796ec624d7e138cc79a7844d6320be1032990b76882650a478cccf7c2d3fa8e6f961612b78309a8d33034db981433cc9f6db195c6474bb372cc4490661838b044c0e77c06ec498664b49003d49496cc044ea52e9efbc47445f54cbb213509e0b9a03a199616340c384628f836c3056a592b1f8ed8006db4c64c05d165c63a552657de1e983648452d5a5de0a9c62764a2df0be3be04ae89885aa00aba77195e9b5c5629d7a00746bdb4ad99beeec84a9d5c93f02a9e7f30f4c0cb279db3570c7b6514b4d20681ca569cb2a86379b2f3c632b552f8cf18a9d569d1a32006d26f82ad454a466d1cdf4d39b51f6870dbc2273be2706a53f1ae1b444b4a86acad2a2052d4536a2e6e0d8f08f445b798e5f343ab72d3a97f1db074757c696766d8252d6c22a52a824e87981bed83e46a08f2a670d9c2080c65798befb7b615cfb374720cef94df2138afd54b73dbc616776116d8609d3b66ad675545dfef1cf0b2ba3fa99724ce6cbef63383f3672a6071cd84a58c6541d5a33e47325244786d8e611cfdf145b4cf3d50bd00bd239ee85646fec81ce9b699be7064786f81dfe51e4fffda0008010103013f21d45dba35fdc2be1732b076f955c6030fec21fe1382e8037a1cc0d86cfba80f9b531bf8560aca34b2986a010d28cb9d2bc4a55aaae146380a722f92ad665a0222daf0b6a52ddfec955f7709a30e70d87ec2b70417763c401c7c087dbae4808018c7dfb7fa867df83595277d2b95c4db7a600e7f370c48cebee5c8fa30adb9ca0ffde300160685673dd964f788280126e20f907f117f9856af650c1d8eb066de1fcc685d8a1b320b8a3adf6ca2f6d1d1887dbfc2244c9f74f5fb89428a0b97b1e0e7f11de5abddb6995061f48611616d145cd737f8995067d0fd4a5779ff00511c8dbd81d17efa820bae7cca4a7e6c1a57f729a58336f559b00e66ce2ac3b770fb8f8de7fca1a87b2ffd46aa2dc344ba9589fd817231d939ea50410bde01e77b7e60c346e78a1e4af4de30d99e8229d511c58a7e67865e5aa8b7b53926d99e34b5e73a70d805f4f0fc36dc3160543e0b6d003aaa1321ddc225db4aca8bea87b250b5e175ea55c6be25bb26e2c1f75c13254d0ec3fd9e7f38528e82bfd8d28e77041cf306ed8ec0bb3d8c2d1555f000ff0063af3c5ff99fca5a3c0a70659784ad5b4e04eebf840785560f8a3f35ac865f307afaa1f872aede63b525c1b1c7e435606f51f7b17c8bd1cf3284556afc9d7f62bc92e5ccd0d0a9e13c9c57f9380445b5978d2abcc64189fa22b99bca0a3883e88bdd40a253ec5ca83da0a52fe4d965ed3936af5bb06d607968eb8f3ee14021cf4cab60dd8bbfbfec9424074255f636f3f826d05e852ef3c2a586ccde4dabf6b2b40572dfe259e8e8e2e7edee110ff84b5573bd747981d00bebe7149611b9ba2edc305fa97a7b2e2a506bf7b1e3ec257db57318e175ae1b16d1cdb4afe802d0fee0cf9abda3689939ba28ab395eab894855cb53c3fa7e6621aa2a06aecff91ea70c0f5ce4e08c8df8f43ef92e71f7a26f8559ff00089a280a9bbf66d9f529d197c546014f02d904789e489fcce59aa17b202db86f813fa04a45df723aa57f738b6009f657f34fa947cda71b059cf7cd3f903ea6a9d0195451b0ba487507df18df6cf01413d3f1323c4d41e17cfa7e59916a2bc5bbfe688c77d8c8f3ee8eab62c9b1e3e0bebd730b9f1dd9179d75c4302831b533966f1685eccc2f130e5b1d7ab9cf3339d1afc1121dea0c5e1f7e65f85edb4db5c5ada8f5ceacd8f41e7d5f339735963fd91c648c32b3a2a3037b7d583de4bb02c2f1f85c2ca29b3869a7d7e181b93003576ef21cbb6acf7ee2edcb9a82edf31a27f1e855f0a511380f4c15b2ac619e27a2dc046d5f8e7a8019ef8ae13cc0e7c4eaf83c4af6feae7ddc29fe30d1b1811f3d7b4270eb965a7a27ea051a16a40a2d3bb4f15dc19885d96f1c8b38c8c0bcc9fb2df1e727289cc02b72ace1ae25c540af3dd0fca62d0e44a54ec0596b05cbd03ab1fc9a7fb35e542da5578cff006500388d1db9f110d4541e14e6eba65086074bb3ebf6e600a24aaf86a800be25585712ef9f2fb80377a5e759c4d23c42c80a6788d0cab60af6ad6df86fd6f3d6eda94792e43882b034f4ff000cae575d3fc33f74b547b6d495fb7f128a852bafabff00d4b0f1826d7d7fa4ba0a628ba729c0bf7100ed796cf2d3f823005669d0b39a7b54aeb9e28f9c0e095dc0a7a5e939182d7509419b370ddc8afdace7f2b02d5e8ae8b06ec1e833cc556528f6fb57dce339fb09ff008d973d24d25dc679ae62e3235c2f46f35194370e23545f88f1bc16155a74199772d529e5fc6516ff00c943366d63bb15cf244f6382728cab9430f04efcd610a797b4585601d78989f28f06e5f64753781796ee961e92d4799b4f79a07fe354c6aafdea9b5f6f118569b27d03babba628001add380535e02e313aab929647b811abdd0fcc776da3657399d7dbc0e7ef9970582bb5d940314258cff4c70287ef051787ea3591552562343928e77c90b3e9d9839763aa073097bb6ea55c69e7c0d854042e387af7fecb0ab102ef6d30bcb4731f02ca2555f1fa965726f3227090c8b8836fe4f56ca6c9472aaedce7d128ca7ad78af3170f21851530f7af77fa9400b4f801756e65a10ae6b916d829ed07b8dfd87e55fbbe221e4db73bca20c27c3f42e68747272beff6c14178073b2cb025e782787f7284a4a9e0eacfe628d4fe9062c576c14c512f7ed14afd5c2516cc3ca1f29ae4f11b0625e495b283cfe25f8d18e3d4011c87f48f7807e8659e2f9ee76e7664c143fa8e5e029823d5f67b968916d5a3d6d445096d11db85d408dba6a14e4ce2d5f31dd0745bbd711dd7ceb795bcfd40235e2e3f1fb9b72407a98da55c7faf7150f6781e869c81cddf2f0abf47a8e9f97f0d41d6e8ff004c7d7f17571222ce0dfca5505387dc5e4d69f07f370f7d86022b774ff8ea1571e7f33813f53be0adc6a1e13a6024951c0615efda57179169c6f4df9cd5c9c4df9907d5ca89807333b165eafc4a4c3d21fd67ee1b1a9a74aff4c1a95909d9bf8799f99d95fdbe9fb7dc3a6ee91e7ea50238e26440363a753fd204e144b03dbc1f99ebdcd41e4593997ea9c7e250a3d1e204d214070717478fb4f4b33d3d61b2a369cdc4b1d50a76fdff0072ff00723312ab4f5518268bed9efc20d78201c29c5f98ea56d6aabb7a9dc42fcb1b88d94a0ac78e8960dd7294e7c9cf11e6a57e95ff00d978928e0dfea6b75044fb2f1fda25734761e251c27a54c9f447b7ecfb809abc4bf993f84cbb51e00545bfdc6f34ae824543f643c92bbe9001b959bbdaf14e92ce41e5929d9c18fb4705727770a5723aae13b4cdd4e794adfe3ee731c750e553ffda0008010203013f2109f12836e17738415b34c2a37253b1503ae246812d1d1be208c8ba87758d9c62c22b15d772fc4e6054a1cc05912d197167c4c87529565a5513492819c78959333326cbe54344d6884ea77393e1c70528e2a16a4e4a0552254096637aa86766e291054f2a26572a512f2f2f633a945c58d3891d67d48bb09e599c470cab98af91f39a8f0a645f115bb2f60cb8b76698c6ae0650cf2d8211c58e093185f30859c409a544a573020c978c6a38cbb947ff00819456fd40d9595cf8a0359b4e88cebf68ce31d308aa80540cf829dfcbc8f63b8eb2d577187e405084ba17ec96c799668ca58916c52ae53729b887c96880306e5cd9ae20af7e619ca5aa9d8e71bf1fe3dc790542712dace0882fe25a969695473f214ca4d33e201d4210b5cc67899b84e0033d3500851d4f26ce31f69d09c466349c3e2adc6203363cbaefc5aa2d881b30a760caa7247228f833384c468f88aa501319812d02c8e422b1d4abe0ee9c6025906e0a892df0e083d4e54bb0f84b187607c03e257caf022d31acb18265c152f51ac2d0b062720ca78996a2b9d2c01cc43c41510963e0e315337bf134cb7e25994950723056152936b665cfaf91177301d3f07a8adbe3e17d3f2718fcff00ffda0008010303013f217c25df0344ba7289486a5cd4bae673ff00e0c25cb97908b2525b2d40be22b7e24e12a8a91f8f197b2f7e49f80e53f3b512e57c5822522451d8ba9751c7c1c4595f35997f12af6543e015eca0f8184e1cdb194730164b4a4972888959863dfc05a5d28e3e1514c79d28f10c1916c27c19fc4fa4a951899cb2e3b626189a712ff006917e26208611be5042e1f0c06fc947c05a62592dd4e77c1cefe1d22442efc6611c4aa6d7045e67bc204892912e3f814c0d452fca8622e278f86915a9ac19718a889516845ea2986ca2188b7d415f10a7c021d862e0a78834cb4c6e108b259151b2e641349d11366e7286026de087e706b98e9642bea5e979398f2095154b9106cc84e261f168bf92d971518513831a2c51c4bf88388174ca9f805c3fc27329044552fa94f3289ce9b7a941872a252dcc6ca59cac80950fe59ca055c392fd22457c2fe16752d53391c5be4d493964ecafe16cf88464b6dd90388362c7c08d4212a560cd994b066c7c4c95ac9796bd8e5b0eac3e70fc26d47c23565f3f01552b0543e3ffda000c030100021103110000106abfa193b7d5ce9330092b985fc03e718ef900be8c7cc02650ddf41c49edaea4581afef454ed693cd4c4c11ba052b5ab9e6033f566cd0a2a257674db1835a695378c89b2e1fd4b70f75c1c378df2ef1d4ed8c87fe4ec36858854d855adbd439d3d66da165089a66492c63730885e7a2a01b1c07fffda0008010103013f1023b0c189450deddc4f10ed05d6fa94f1ad6c834e59ea0dc6d7d877ba0ed7647a2b134b4862d792a1e81151a5c4d6ca8ccb7bb7cd7e13f8867ae5a857056ec51e19d85ae1dea9b85ec446598a1cc3b818a1a298d9d33106202dd9d0cbb6cd4536681402b00425e3de147baeff00e2da9c6a4688f700e8315e1cb11a57f5069a756259f66cd611a07443f457ed33db7393a3461e596c256b0802c59b47454b2f405070f93655e42a6535eec085af8e0ba8fee8a40ba433323ede241432ec45be187f1081b375a0503cf881a11671657f490305db8adbba3e26a8000a96aaa839dcc34359e10837b3f8967d2cc13885fece85b01cadaad166ce115c5d25c05f14aaeda8e25f7b5dee54f5c79ecf08aee5ca1992155f37cb7d3508d828a007404a4c8cc988a4b90d30d63b15966a5d383acbb78bb8514ba4aece55e61bcd9b99381606bff8963f52029ae4b1d3f32d45bb1b294eaa366dd0c78176fee13a03edff00b0163b0d0a153c1719fb4d1bb7bc32e1f92f0d1e85f0c63ad8b23b41aabc06fb955a0206fa7a5de418cc022659e72f8bc8e76060e6fa1560a3d9c850cf60506ad8d012b44b12c79b7e2c02ff00a12c824eea3252ca6fb03c3996008c61ea49170d86838a968d4e549422b44b5d2724105cafa11ee283e7dce4d5140eeabe0daee5b889b50b79141db8e4d701536a5bc35d6112922408b40c102dde363922e34690d58d535df888543d1c3665b4dac61e9643cb9330e04b51aaeaf2ea2c85d72445aa5a716279d8d2e52e37557c71ef219a1eaf5f6b0446726799704e5637955d06dfa44127aaaadf4038ec40340aa8746aebba943ca047fc868095595716e497e9474d57c8fb0c47c39a7daea8baa7a28d5642d9e6a36975564e4829aea02ed802e7a2f91d82e64651ced09b1ef01b3471c6d79a0afb845ace012a2960c84a6954e759c90021dde9e6c2ec39457b252a6930b2c16c2cf0d445ee269d494131f7ea55c57b7cc4a0ad0283263c00aa917951362f01992972ccc49ed74e14f66cf518a195a2839bbbfc3006cad10aeb0d1ed40069a1bd9cd17551f405086b615b66478742280d520ba0fcafb8cc8f0623640a9c6bd770ac1dfc91e06639d9c10e52fbdf112aebb51e6c8683affb4d9cd1a01aab477f0ac4b7a0550035d3a8e07892520edb5c0a13dd413017bb728babd031f11948243a97e7b59094da092dd82015bc74d2dd5ad305af766eaa58cc04ac0dcd2dba2b8834f0020ae7a5abc33b23bd0082f0ec56ca29bbc10a954aff00622b8786f3a873acd9ab28d780694b28224b54534470000f563c25534a0c1bc64783541e636ec6341a0f4d1cb99383828a5d1e2cb36982a896a1c139b01ee7109267487f1cfb851ef35dd100b40b0acdf302f4736bc7406a623ea5f7458812f98116f57b4de21b6c242a941fd43546994ad9e9552ce6ab8a99f933388a3c16265c8c600390c93dede2e839600ac89ee86792ebc74e0243cd51495d63cd5710b3c40508251a200dee7ee5cb8750428000d76ec70bdc89e70d802969ab792d2c6c2aa5be23401a1451f11b4e199ead29c6aed6ecd8dcaf02bfa22ee797ee554d0e6806ba0e5ecab724104689c5b2166ca351f0ed17de07d8e480e9288ba7110946aa1180f1da83d9e0aac945449b5916aa66d770502b42c1b69746cb98c10f85da9b52d9ecea2d052526db52ccedf6f1294c80d5ab3470df2904c162b9188578bae3c42c8d7b1caa05089c900bd7d53ca4ee41a3c3287ad955596d082b91909a02e5154a582d08ca3ba97bf6002fdbf38fe5bc86bed597ed425e8b5107d5e851dcd2bea3460279ae292d057879bea14d1dd2f934f20fc1837775955b986d727a4726c98915416e5a2cb53cb0f29968ab2295603bc5d4cfeed0250d805a52a8b7478381b310a317352808eac29c0141f881c3389bde4b0f3b4c8d57f7af8007005b9ddfa949f42551d3a02ef9e66c5220d01283ca8b0d20f20e30b04845b265b7ddd4ec2c6a40d21cdb6e5dba30411013963c3fcc6838785023617415071d522ad9401b6e27d10ee03e1b4d0b774d0fe6c1181259804e0365e7b20944d0a84ba64f263d2a50a347874145631b0fa9d4a9a815ce852db685f4c3d00b055393d1e20b3255c5e0cbec37d6d116e244c6d3c80a9745c7a5c5aa2aa26a34691f72fd0b8f3c291e4a39e6e5c61cb888f006e46c97c44d5d3a82fb2533255b345040eecf4628e88c310ffd25360915ac59d4aef49de5c24a55b451561e3903c3ea1eb2dabb00e95c571f7b8e0bb2b8f09c158118de44d3a0d51c3fc9475410d8140145570612dd2f30dc39ae9213bc72dd0be5612b3f7d3ae1167f34c63b7a7db04177f098391245bf8a0c2b147a577717ec14617aff003d165bcef85343942da2c7125f244a02b66280218a2bba9520cddc68e21da03f5aa3999568074cd7d7ec8dd05be4619e380f9eea26519a782ce9193d4a43cb4dd10d3221015fd5c46ae44a153b807d640401606b9a6b42b2e4bad15e5cff00ecc9565328aa8dc5fec78b865c0844c0105697c46ff15258765cd779a7889dc2aa7c68c94ddd9146664adba356f78cfd4755f6855eaa67164b0f5fd24e8d4d40a881656e0f6501300b8cb42c15562e807f22a41598bda94a00d3d074e4991de74f0d6e4b479550d4193c216a237945fe254cada5dda0d112c48924c0d54a2e87007056dce7de536a79e9ecb50adc0b647c0e1af882008428941ce3f9ae04364dd686182141c0073ec954b5e0bb9866bc296266a49d39c7745e60e6f25274a6871d9a913b2f0e4b00357d4bb21d8d21c9cdd25ab54ae14636aeaff70d569d28b2c2ad0834de7c149455b746f91f4c0fb3637be58fa2170aba399bfbf15110b48502d8b5330f702e4807dd1578edc40281519a328e82fa82f296d0bd072630c23c428737dfdc32dbd09011de25add861be52c0468a15919a585e2db145e30957ca4da5b1d4741fc2658d8974a567e04e25321e23082e8003c8a71c836420680a5b928a3cc4d6e00db529a51b3ef888ad142cb4dd160d5774009888e402d51a6fbaa8f59b140bbb2dc948824e00a8914d34e03d92a3d5680ed8f6d4e871c715ad0f34202bc06728e62abe2125a3ed591a38dd4a4436123660c6685cd0e659aa57911adab9df42aaa17b6b627445d1d19da879afb89db8723e0e6a7e3882abcbf4be9105af35c5406b6566029f47502e0a6a87a0d1b4e3ff0020a22e8056b5debcc3755d1385d737e799d9d71d8208ae2eafe2c849c5fd1045710a8ea2b0d6b772b6a3557340c7a397861cd55570320d546161f08cadb8b96916ec053abd0bdc40d44401dbb9a742999e6379bae5d78791e6e505dd59a14b56917a86164500352e1c39b72bbef05e28bb7576e0bee2a5b047175ec6f3b872ea2a5736e5ac573c40c62d1a62aed157b4cbc13bcaa21c76ca255221544ba28dd6ed642ea354e9c759cc20e11523896d03f9afb81d85695ba284e6f33ff607e10351e1a00d32c32133ab887ac3b835f49483297875d65eb0503b7867fc19686146050a8ba68ba892dce6168dd0be98dad58b0b46b812e8d0f4c01cbce478508a00512816d17077801f402a3a28aacd8c4e312f9aafafcbb8c0086c5bcd3895f214fc5c464177b8e4e201b3f3ac2cd6973a55668df5e5e2e626735cc50a94ddd7971d5431ea001572aa93c51fd5cbe5696156b4167423c2dcd0f8bd1f3145495c92ff003b1192ce229bdde7ee619a46500d6ac36bea98c202b1d170d797ebf8855200b9995365f56dc05981beb46b8a74d7980f215fa069b3ea5b229a33fafe2788b7fc993b8e397177b3ea29b9ffda0008010203013f10e876126c11bb8c6b12b317844c20aed8511c5f77e2199c30ff009e1989279395f115ce0e096175f3d4b52fc3c4f0433603ac65357a8adab12c9004387b2258365b98d288e53d8415fc670029a94aa4d845a5e5972075ccf4287f31aaa72732074dcaae02073e63691bb82016d4a878b9784e7aff0060dfbfd6c0072f98ea06bee1ab97a5cbdc0e877047eee2b44013c4db14393ccbce7af51af1f4ff00cea35d54f1f711f46ca837d43ba11c2fdbccb2760547d1e2720f5150b58e56b7e2b2365cb47d2117516a16cb6131c3a26944ddc496d89675bf27152a02a6f39271e3ea29c64bc3b4b9293dd1300c805cf50bbea720e21b6dc180086bda0c82a08f946127820b85c8f44d2214468bf75ea69c1747ccd944afc798a1462d7b25a1f00ba18713b1dd5409d80f44387a8cd2bb625c639cc541d4120f021a4222970c8b196bee9fa66a61fefe21af0253ff003d440567701be5f886dc45a09df32cc460272b618510167218a8a7e02351d11104549e095c733b966400d9c7e25d1e33f88d2b5d7fea5962e78fd45aaa025332d9a64e31cc100b52f68c993f529757909cb8ec559e22552231de3682194d5c646f060282f58ac6b3f8f714880f5cc02ad08ae2afcc4299799e5c80a053fb1ff514d90cad97ac8d12b7c4e84636332298ab9d60a8ce821b910f82880eac624f4886ab66a5dbd9c7e66383ec2e17941f728007cd75340939db3e35c3f12ce086fc65dda5f31b09367b06fe99ab4bea0938bd806b7ee59aca70ccfa85a2b858f70ba62eaee0b043be48d815fb951cd209b1cc1a0ab8af8c8d8a4a96c7503e4b943d92963e1802a1b1db0154582bcc49b06e3e00addca54cb1154a9a94545170a4c6ea1b67889627f24a3462ab5b94fa5803500bfa94463b8a84f1b416c8b1ca164ea9664a4bfc45a21d1056566ce652d22a68e61b14a7e233fa9a610840d7987e040543fd2259d4b7703d902ea4d1764454ca1ee0d9c4b2b840a18400ee21366e93984b844ae0af911c723f318298438c09de60fa32b81c96dc58f2fcc430b84bab0fddfb85d4c3e528c7ed1e725c09f697979e79c72569a9dcffda0008010303013f1067d22aa20b848370f1354b70834a90b2476ed348bb44216ea38c4bf20c8875ccbe047d7a9e8985f51edab8ef64c94aae88d6a0fa635bdc62d9cc59ee0a90b09692d606c6117a9ad25aa8d4b954e32df802177412e965972239bbd8694b1c68412b84b08e04ad9880422c6be06c56a29d90162a2fea9e92d894b709c8a3ce65c55d47bddce770fa8203694a2bb4e7e2d5537ccfb10c0e12738c9451080ba799ceb946ce253c5dcc1754c1f516b5e23169189d6d0ab60821738b6e16e139c1bdc716b65f3b4adc02e446ee5b46010ee759ca32309e60722a50a799dc732f3ea5ac0c5aa7096f105111e91a8527d4f4938917051a8899335c00cc32c2085317df1bd2b276ac803668949ed0c44aa3fdca9b761e98295d7c45c2bc25132616dee59c2a14234ea1471b3caf855296c8d8c98aec69c71f1d162529837b61ae4e48baa42855d802d3f30762cfd4a1a76a2538a96934db132dc201c91ef8c94332e216ec3488d9b8f50dd317b09c0aa85ca039a9c9e4fe5439165657abc9c7136c25e8622ba9573142e03a99e3203ea3688b51da40690c3e2e365953a238554b55dcb355e89696c08ae103a88d1704132e63da4a01e61d6b60829863c7c048c80964a3877f32847b95f4e125db73c930def44b89c5c0ae7da7997622d2e0647317d10944a94a4836ea96045c44b93dc20a34cb1096138a6a205b31e901c2d282cb9f571fccbec7fea595df3ff3f13a7493688eeb88a2f762691135e92c8eb1fb86a9310417501c100668b83a8a4d25d204e300ad3a0318e0b25ea8bb460401f328a87d257890d1e88a4b17226aa002e6e5f8f80dbf114531dc30096c3484ef5e20ba9d9ff20fee2e94746c846bb285bd669828a5b1657f27f50fc63ea58c763e84bab3210d3614d8a416e61b372a0ba986df2fffd900', 'hex')),
+(8, 'Seafood', 'Seaweed and fish', decode('ffd8ffe000104a46494600010200006400640000ffec00114475636b79000100040000004b0000ffee002641646f62650064c0000000010300150403060a0d00000c810000142900001f1a00002f22ffdb00840003020202020203020203050303030505040303040506050505050506080607070707060808090a0a0a09080c0c0c0c0c0c0e0e0e0e0e10101010101010101010010304040606060c08080c120e0c0e1214101010101411101010101011111010101010101110101010101010101010101010101010101010101010101010101010ffc2001108006e00af03011100021101031101ffc400db00000202030101010000000000000000000506040702030800010901000203010101000000000000000000000405020306010007100001040201040202030101010100000001000203041105121021130631222014413215073016171100020003050507020308030100000000010200110321314112045161223213107181422314059152a1c16220b1d1e172334353f0c2152412000104020203010101000000000000001100100121203040316112220250411301000202020202020301010101000000010011213141516171108191a1b1c1d1f020e1f1ffda000c030100021103110000016df987d25ac95c8138b78a74ab46ca15c12bcfba8cf8c08854a5c3094a4154c2ac86c415963cb052d8767e8e4db5371a59af5f13934cf4d4c9a6e8c84edf69981e097ac79ca26814a4ff00438319cec4d5e4fe85398c87e5f57f4a9f28d8ad33b1891a9f53ac1f1b0c74570ec15797a210343b447942ded60d3bd5ca4324673af16376e8caafdb6565b40ad85d29a7a1ac4d0f4de2f3df0abc28cdc6ced3b08ba5ead1b9d4cba88f3f46908cabd9352ab1bd78ccf5824418f8cf7d139959136e95d67d32b767ac9252fe8bd27cf54c02ea155b05f83e7e92f97daeb9e1a06e5d06c1b090d7fe248446dc1c458d4b499d5d8d4a6b923f8d96b0b365f4836d48cb8b6f9a825cf0808aae0965b2e16c3e835d4ac59b298b3a23c80cfddb016e49e6bf319e50a1dca52ed631a897c9f0f0b5693a682dd9c1ba99839f9d36e990a059ad7c92d03ded6e401876187a3f3b09d597dea47cf2353d6261e06a48e7dce6d0b25d0c7bf95aeaa53f964295f87660af0e5d6c765636372bb1ad1aa79d22e5dc7901a4229159cdcbf63ddaff00e31006ea067c98f2f788654da8fa1866178c2572a16accd2d67d268fb92c0b24feb190c26b5f29389973efaf8562af4c0cf93301e8ff00411bfcdbdeed419ab6c53ec0b3239543fa4b88e448ed54c33451a637bb26715c651ace06dd78d5a0884fbe2605251961ddbfd36152f2a000d1f6b3df9e8fa78889679b3f52006c92fda9b22aa657aa45257b1979f57a9c6e11ff0040bcc0f3faad690527ac191496b8f2743f720356d25e7ac52f2d5ae7f77d51a7f8e526aecb42f882e97c995ecf752e6ccaaac392757197b60fcd8ba6ee6253b69b31d2a43c785c4eb3077a06c5d998a233084ad052759a8f3a27ccec163523ceca92bd407b594aad83e8fef409e807b84b02c4d9738bbe2297a1d26d372cd71c2376ca34040672b46e68e5c0b8d676ab0395462e6db2f85934c8bae8d12b6f2f63f0f9565f56b8c1b879763ef2df0d25e851016a96c26da3de4c9d5bb8644f7859282c4b41e856889b6a1a37bc9f263c7ea7593c6752f9514b82b12c1afe718d2a38e138499f0f4f85adabd4eb8cf385ae1834675c18a0770a6f21374e37c930550fffda0008010100010502a25b3cad8feb3e9bc1b5863c27c4e513e56c739963745b08e28dcd8677dad6d6ddcd7f4bfbd0eea6d6b6a6cefc376466c5ec343dceed707dcf5ee82794cb2d18465ade2d924f1ab36382e7f6d05fe4fc02246b79338bdad1c43c963a4e33c7485fad7d9ad8e099d2d7334f6455ab7f61736d7f576a9506ff00f41eb37987d6bd5766b610b6a5b8321d4ec3e8a65886586f5b0a576565663fd9d6ef9f023c644e18922787bae8c1f968ce227ec2c3a2aed27db36d1c698e7411bf4571e8e877b0b657d9849f9a3082608835bb68e3e6279647bcf435a45aed931cd824bdad14b675762b8b73664e51bc304710ed53c9e3f63d95d82d9e221d5326bbb6fd7af0b2e598e276d67b17ecc797ba8d7c36eda6d58ad5bf33cc8e88e7a3f5f0ceb64fd5c6a8ee2dd22767acbea1df4951d0ec21b51b667055a46bcd57f8a6f6891d26eb591d096dddb3ae66e64f65b16958db4823b121235f1b9f336c32bd7d8ecdd664336548fcae4b9296f5a923d4fa66d6f47ffe5cc60b1ff39d942d7e9e589e7551a6eca7a8f9363140cb5ec01e0d29eca89efa162d4a0cd0ddf12b765b2b037cd36ae188ade48d85ae712472c17209b5f9c6ed4ebdd1d5f351b0aeed6bd56dad9bf6d72239372c548985d24724366a48dad766a6fb76a5b69b61c1dcd79e263ead77da9f63722d6519ecb1f006e54878309508e6e6576febabf079ebd8f63ad144d37fd822bbe955eac17f612c259524b91c925ed7ae4f516c091e374eb637def02d1e2da4dff3e17f862dadd32cb142f7a712d0e24af0c8e4d8e46a65a93874875e24f6217668c6e3d96aebe8d998cf635ec1e2bf5bcd5ac4663949fac2f99ae6786f2adafab04b6257f1bb29a8ea946498d9e741fe42552a6663aed7c533e6d10c57d5c4d9d5eb2cad5a817d4659ff00a0fadc0df66f64ff0076cc672ea0d2196479e2aba71b1963f515b3d2bf57629caca9687ad6837d0ef451a1728ebf5d6b4dfbf04155de6b5354a698cc45eac7c9b1d8cb5ea3259e4134d6e081bb0de4fec7b2db88aaeaeceb349a5d2cd3192581df785e1b1ba738f4fa86c528b5ad5b8f5ba9b4abb2a13ea6ce9fda367a07ec8bdd352d958a324fa9af7d95a08ab01d91aed7d2d617eb5fafa3736cac4f526bbfa1b1bedf50a7019ffe83ed0e9a4976bb2b15c3946ec3ab93620b0e9201e9f51d1e8c74de56d54daf8bfe7362cc37bd738d8ff1648cba192b974f5af9862fd756b732c92682e89f65baf626df54756f9a9d7b9a28dd37b66e76aaafab88e3bd2096c47112389c6ac4db08fc76e59fd5b9b74a9ce6b1b14726d67bfb0abaf86ceca38294b2dbb53c9abbbc2fd09a99ad6648a0b11c6c507370d0682cdf7c3ab6b6a47fa89bfe6af6f24681ff00d9bc7c73f1fd1f5bc7ede8bc1fef54f856c44647121bee13ee26ad1f8331e147f177f4b8ec19a20a999daed03347fbdaf1404431c3ffda000801020001050229acec5e70d08b4af339791365c0c82b3c93a32e4e2d5dcae09b2b82f38fce56f47809bd1cb2a3772778402e70e59e2d385c90998b8b1c88ee563a8e83fa8590538770f5284534909923de9ad5f0077232bc6b8e3ff0e4a48d6414410885e4ec561439e2064a635710138a71ff00c0bb063e69f082bc6f6a30e539842c269501e253708cc017592bcae2823d71f806840124b1e9c1e1791794af18720c39e39417cac22c4c6e10fcf2bc61372d2a4b01a9f94531a501db8f40b1d31d47e0513dd3c6439ef7211654b076644b384307a16f468585cbba6844f5cf423afdb979485e71d4043a1e85c50080ca2e43bac273b09872b09df29e7007d5793f16ae29c1038586944777388771c9f84e7748c7da5786a00a2e0164b8cdfd435b8c7e113564277745b84d38e85ab96138f4fe725362cafe7214217f63c47e2cec3a86223a9edd03163bbdd94d6766b4ac12831044acac2c21fd7afc22f5c965028843a358b0bba194ece3a0f9fe5b8e47f079763af6e8533aff00ffda0008010300010502fe0942205ce2b21706ae09d177f84d9dd1812a863738b1818b9b0a7d28de9daf702d184f5858e994e1d9047a043b1938f1f21200380de4e85bc5b2405c8d2982f24f1a6485cdeeb91e9847ac912f85fc3828fab83022e55634f381fb49b742128726b538a2b8a6bd3ba7cf4700516e165307719cb9498cc30f223e6d3feb929a15766065143a3bb758beac3698b9a0b82e0b8a7b53c64566fd260e2d8ea3cb46bda17eab42c60656565734e72cacae45c8e132c714cb81472870e823ca6d65f08a67c108a71456517742505e2cfe01aaa018fe02cf15cf3d38a6c8b922f0bf9f924ac276002eef1fd9359f5e8308950cfc4b4e53827172c94d9539c4a95d85e647b8c7695f851b0a3d93ca704cec9931ead5851c45c631d8ae4a5ec79f68dce4ee2e51c0015238851c24a7bfc6bcaa180b95c883402a36fd3f0aece21a8f4b0b9aaee5233937cb2465af3c19f62e95ad0ecc8e8205cb0aebb31c10990fd7087460c91f20f5b6f19ca6485aa39c3849187ae4993613a20f503404112a40d2a4b21a834b59d00503301a82257138b32727f46672eb2b97d729ae2146f6b91ce1f3a2ecb6bc418a49f2f58411f86b510b96473c09ff00b743f50c8cb8b60c910800c61167141fc53b08774f9cae5d60c73fe4613fe3b719f978cf46f4aad8c3ba1432beb96e54c8e7a7ffda0008010202063f0260c6106fa6ada73869ac6b4d690dd6b30afb56c1cc6fbd55acaa6e9ad7cf043df1ef874ae3456d3c3f6e25232e678bd7f26dff00ffda0008010302063f0262c25eb3a61c10bb552ad19d1580c7da51d03678c4f0be50fd4eb1385704e9accf02d52180e17d616e65169fd6938057db4e3e17ae034db985e5c4af5fc2f3381d1484641bda7b5180d03fd54ad0962c775376672a5f0fffda0008010101063f026a916f8426aa9f234e7dfd99d615165957084f6c99181b0b5a229d3d4d85f9658c75501a754702e3c20d91529a5229529905d8922708a26b96404ee006d86a46a9a95082260584c1aef6d6965005cb28df011c2d54d8448fd443be465aa070d3bc13df0cedccc496ef30256e61698ee8b4da79843b01394668346ad9567396d89c4a24b841cb8c65c60d3ab08b33552a1080b1ba29b1aa65999d81c67fce2ae54ccca78f2986acd605136cd156a22cb31e155b32ac015f4fd666399c9378d91d1d768328da555a5e22d827e32b9a4ff6abff00d5ed8ada5a357acb4ce5152529c4c20698909dddf1975284a7fb56d023ab4d832ed8966fe51bbb39a5b1d70309a5f94b27653d48e56efd8636ef8b2ccb7c6f85ab2b05e63a98611353222e319198545971cece180d293ca47665df03e1344d9d51b3547bedd9e10ba6a07d6ac402ddf19b3367c386cfdf19853ea0fd2e0fe1192bd36a4ffa811d81a2660ea34de954dd71ef828f6b1c3f63d96bc02a6c9b7e719b453d4e9c5f458f1aff00498269b71f9e99b187844c194149cc1c20253b844a1aa209f922da99556ca7230352e7355aac6cd8a3f898d352a77e70c7c224df530dd25cfb3086b3874e0cff0038ca201d96c13898663660b28ea258d689f7f69a94942d3dd7474a83f51f6a8b2380e74fb1a03d60da6ae2eacb7fd440a5a8aa3534fcb5939bc447528be6fdfd928601a5b418ae6a540c04b2cae02574237c9d43edc73ad3b58ee8a3f2df1348d109cd4cc941909611652000d809867ea5a059c3289936b5a607fcc233b195904ad8b87ecd2d11676a479155659adfc606645d2526e66226f1e9eb667f52416a5512aee1307f1834ea4d596c20c2be958d0a800b56e3de2052f924cbb2b2f2984ad4c8699b2d89d3e079494c3d4a6dd46bcce73307dcd3bf9b082b3b05d12892ded7c6563954731dd152a22c91b97ba253b705eccd80bcf6f5365b1d2e828517485ddd1ed6bbe7a553fb2c703b3b0cb8d8602351ab3e52125dd0b0cba8208c69df3f08a8f4b829ceca4d7774e1a956056a6031f082b98ef8939f18c8ddd3ec01ce1389f933001a3224b31b16331e2ab54da49b40ec94efc3b0082371ec65038af422f0625f29ac5a2c385a8a73996e8f6df1da76d1681ffb9acab65475fd220d4f8712697a948ff925b37c7b7a44ab21e23f943b0369c77c54a75e9160ea403e59ed89ce326a4751703e610bed5b329bfee5f08f6638a4665f280c4c2dd3c77429af48202b356736b31c770855eae797110b665c239ba848bfed9e119a32f64c08ba0a1d9dba9af46825475b66c077631ebd022588ba1aa533eb370d153f76df087a84e62c664ed810c18f4cd3e25630c876c6f89a464d5d125ffdb4f9ff009c67ea872bfdb98b27be32ea2af514e0b6cfc62b51a42d6120764e3330920e631d1cc1acfa76067ba0d20309c58b1551ece1217b2a557b8031ff00aac39896aabfa0e1e113a755abb60b4d0fe7095a9d3e853a63857cd6ed81d8f4dae71287b4965e6cd7c5d033723dd14b501790da368c629fc805cc196c646cbf5df1a8d2e838941caae4e6901f998f775b8b52cc718d453bca8928dec7f28b06663708cce331d919ee95eb8c0538a3465233556e5485e9fde15ea613d919aa3851147e1740de8b3faf556ecab69943dca147d62a7c836993a94a96699c5e567e305f6c08be422cf086d49136a950cc6f11c70d41ac6f236c30da2d6aca5cb50437b7615693da69b5d3dbdf06b3367eb7a99f696be3353b45a0a9d86f8f77f186dbea69cf30ee8150d406b37905e806dec15e9b12d3914941d7546e9841218df0daad539a3a520b1ac79dff00808a632f4f494d82aa0c5713e31d6f9cd574e8aff88190f187f92a4b974f493a545a520c4f3111ff0091a16b10ceabaed170829acd43d45f2a31b2cec063aa0f0ad9008b77469aabb4daa8ea7766edaaff002a80d141327cde1be0576abedb3ccad023332ae00ef8d4692939a89a4953ce71a86d68e280e93565b41103dc8e96a459d61737f5416d52e6cb6cb031e9af4d41e14c078427be93ada5cbc8285c6cba3da69ce4d28dd6b4a351f21596c4a6cd493b84e3ac74ba8f917171a81987d2e83a1f8ed39d38e566fb47741adaafea7630e504967c2233767b567c894b8865e6f08e9296ad53018fd234695049ba6260e1d85dcc80b4938426b2b8cba4a47369691bddbfd8dff51e31d6d53651e51b4ec8a0da664ada8d43b3ead0de1df88fd2e867a202285974f9816db8411d45a8d6711165b1eb8bf106623d5615682613e359ecdd02bcba945eeaabfb8887098df0b5752254f05c4c3d2cbe5232f847a593c250dd2e95fc7965cdbe51aaf6426c4714b04f318338e1f18029df6e63be065d91596a48db3a2c6fcd2ba07607d7b4a806029a790b6d73df74ec824099c0474eb69869f420af56ae75724cecdf02569df1c3d9ff00d32cbbe09d1549b7db6c87e1282680ccbfe453cb2df05b5153d339782d9081ecc8236f67ffda0008010103013f21691c959e825ed1572bcd864e2b89545f7198ed2b047beca8f796d8e552aca7b82d52ecccbd44c1d52cd90a60d78cc904f267c4d6b09c3d13895afa28a75fa832e02f8b4f72f3c1b5add403c318d7ac3f92211956ae0ca7f91a3b523b2d804cb4755e6bf53d68d7a845391afbd53ac4a397696f17afe62bcd772f6840f57889c323918f4cb6b98418214073da534d749d8ee4c30ab741545adbc1d47c0c24a7957ab4c79edeace0be388f819e562759990380d407078c6e0074292968d0e04cc01b295fc547e32c4664bd5258c6c3a7bc5bce371310a5350bd0dd44d67b417de81de0c0f12dac162385cfd47c070d1c4f6889541ab14f12246167f1a7022c258c0c998c97b614c67c438ae3c4d24e8a63b88bc60447624de7053646c1396e0c002a9cb81d92119582f902e7966549b1d6cbd7e65a24f1b1fac256eeccd7e54c4dc416bf57532c79ef71e9c0a1e6e23e0dc22a86dc3c20ee5d8215c9cd65fc4b65e67245941840d0d68e9e185d32984dfcc7881d30c65b3b8a2e57ee541a869fdc792e8099500d1b861b173719082ec316b52fb149c3615ed3f07999a6f4033589225052f9614382c16e5059a2e07006caf3a201e5599efc9ef88c46a93758b8c0321c80ad5e65c4b04e6983b994a6e2bcc86810dabae208d07768d79ff2527de15f4ec8351055c5edd87b8b98f40077665700d570f6443777dcbcf0a608a7a5acaa7cc4d583a11edae625165d17acaa879e6b530d2f3f064b559b8d2e285a1fca43b8108065c713330dede73f7287305dfda9df10b7bee1e95bbf46987a665282bf8d84eae82539f66b982dcba91e6ffd8ffd387865095c93009d4a7a463535ceac850cdacb9d04d30cabba940f3d8dd2f35e25269b40b4edc9539e005ad0789410d7e1ab998b4e6c9af09c788802af6b416dfbcc52d171ac301141c895571cd7fb2f0e5812a383a0bd4c98e22b6d88a1aabec10ff8025b77d3311516f967ddecd79f7f0aeeb3cf93ba8c8391c31975ee7d62bf5281f3352f08a98b2dcc1cd384a36540aa35cbf881e4cb476bdc14f59653ed842e7974a85654fdb81d67cc12aad7c2b394cf4470e7118b2f37f88f5af7383ae3857f5280d4152b2beb67332dc0574ca9eebfaaa12cd93580036232c9b5cabaa70d5ee1cd74bdb73e7b8c042afbe414ebf9cd7f23c230f04b91e5768164546f927611268ff30ed3316d7a5e7d32dd26875af2b6cfd4c4c03443c6ccc6e4b14bd942b3f7706d6148d42f14358034b546834393995bc51786ca76f707c31dcac18865b816da7715b5152de252aaf8611ad324d0ab2ec958d1907f8625833dd4e5e3663644d3b4edfb8c8008a80ec3bb3a9c162d60af129606f878a97b17c42b8a3550ae535f6fcc50e84fe98793ce20b435c682db9129e3938ee7f588a179697a99ea5e12efb700a6fc789d62ce74d7f72cf77a608f6484695afdfc2775edb5c420ec5596b30f2019d80c42bf8119a511eacbcb5e650bcc3463349e99cc1f7d3327dbdcb4a7cc377214352ff921325c9fa07e23bda2b6d744e10dcabbd361bc1678c1165155bd37c09d4c10530e6a037eccb3bb45e0215950e390f7010579001dd57f10ff00f9935308071e57cbe235ac370a6f39f3e631382f29a26214b26c947d09c200f385626bdf2ef86cbcca49bb5afbcb073f64ce4a192592b1c77358a294eb61cd0f0665ac577133fd709b3c8f3334a36eb5aee7f2e672fde0a3330f0dcbb369940e11f710a6d93b5e72d91e40a17595399b7aea54dea16643b0d28905eb5a2c9aaad461fb1a87c2eaf5ea1b40d8d087be96c692dc5d6fca64d74d20bb5c015732e75fb9303fcc7cfe86d1daa649e0049556b59b30bc47f8ce885dcb335e0fee5eb3f18c725e1d1cece03b9963aac9eef86e0d0061550c55d5cbfae0bc47a7204895d4acac0157ac69f309074f68d28fa62fe8040fa047a0eb3d15ea1874400c039115b55c1d12a4ff00f489c4de058c9e2957e91a2d9b17e860616ea839fc05ab33461e02f1fa885688961c6d8c019f0e3fca6eaf4a5557594b522ad228e29f8000756a019556237a3fa168dd07f63354a835366c8ba7963e9c3dcca2e28819e00b7d80a0ce1ce082dc2cebb97f0b364439d50d61f4bbec4e5ce783fa0c268d0b26b0d844e028d1fa235706bab4d2a61e0ffbd4cfb97e7f6f24a3634bab27f04fca3317fe1948b7645bf0fc4fdc3eb98c0096f65bd37529f4fc5a0b3479012f1a0a5bb6aa8051b42dfb96d2978174699e8fb94665b577bf7998353b49a793b86eb782fae3cc5147a445cac9685282f9900fdd444d68158b9792c33e2057556f5e7333ab54cfffda0008010203013f2171f29994c908c30db4433c62080372ee2c65951a95558fea0b036cb6f8edf32f3599bccb832e04a95a1d4298a65744c9a829f87904af563790751cd94e580b31644612a1b08440946389b83e030fe9c91754a3184b9dc541af823644a9cc05f3fd44322c82420b6377c8418810f8a47b9dde1da2dfca58cec402e2326cf444a195c4cd026601af948c09578f97a4876d3e2f8993a9b2618ee7e166196d6d411c910732e262f896aa66c102881f00f8a86be52cc2ff0089e1413fa471866d894aff000f84b2cc78988c25d114a433095ff8da2e66663ae3e3146582d7cb3f14b896e530897309da545d4e2a551507c19654c3ff000b701c789c63115c1d4b331487a262744d6e73cc3e3e65996042108520fcff00f0fc64731b84a9531d9f00652430857613990cff00c68aaa30941f1959744f891b5b630204b6a0a21194a7701c352a86a5c1850f82afe209e66629bd6192fc401018213e715b28d406f1d45f81b058b11f5f03505d7f01a8f84a75b8a5c1d8ea50e2246530dc3f6fcbacfc14b8f84b81d25e60ee14b47c4d4ca82d473dfa261cc1f21ca0161c3ff0a0b61561f71b3f0b65b2da8e258ca057c3a265fc3bf833f0baff00e380c4c4204a8ccaf33693c46ee7ffda0008010303013f217184cb0275f804820c0277114c031b86200b7ccd56881d4e4ccb60cd9ac8601328c522d462d9b48da961cc5bdc02419885b7514a894d998c9fd92238accedf3838460b5c47908370f86fe2dcc17031411ee32623570db311fea3dd597442bdc472b9c987d19947c0e372cdc45b6e297995c3e3691e6d52bb47918a683efe0c5f52531744e67b24d6360b66021da5c772a56c0b500ea3ea21e2be086304abc4304d13710ed4d8b3a7134c2846cc69f0c72fa8d66326223a8c2aa0f64b645d666188e995e16218302457164d2a266349813241586c19b660f08ee5fc73b826608c058b8b1ca50ef731256d7c04d4bb4ba86c424817e2b620b4017af94223b9bcd43172c310984bf3116e5f0145ba6e0d2a52052905522b2c5a7c0b2dac509e1fe3e18caccaba6527894008e5b896ad94f6877129f07b960bbea71984d04ca436116ebe20023d7c3578d5f3a9537bcc31c580a2f7dcac15875732c24015967d4c6bd3fcc30ea3b90ccb996e3335e675ced1ad3ff839c2e1f12cc44102aa32a5fc03fbc4d3d47c5d4cdf98a662812fc42f8260488adff6e26a2cba0bbdb822a628174420e02ab11f8c6228e8218af9948e59369b9a918c06131cc122f1813f994c2f16689803c7c6f52f63b22af5885a7ca287b3fd7fb2ad172140d4a817fcc4e6b3016188fe44675b225a91c5472989898b70ed31626ca890c4ebe69f7ffb50dcc53a984998c4c52c18925dacf27fd89933f1ffda000c03010002110311000010168d7a05078042f6aab138f6b6d6f2e70ffcde5f90704c06a8725054bdb52afcf4536ffccd4afb6ed305e75d6eccaee18ca3840a5a827d243cc20d35788d41a56f0efb4e240f2e95025af4ce97f2941bcddef33a3cc24e8ad36a3d170a79881a5ab131b77d4230e1ecd65726129f64eee6b149dfffda0008010103013f10ab9e502dd6e0d3329002afc6fee0a6ae7512652ef873e331b3f1415d51dc28ce2aadb1dd4a72a5ba42d5e5f30ea5242cb45b96cddb8e250a7ca6bc00c932540a1631a8cde5ce6617576b137599052eccd666564d7a6184db4bce5d4127632c9517a4168d1e597ba78d4d77a65cedf115a38a6295dd2d0df88619402f519879261092c7281ca15cd8c415f5e80b780d65d45c8444d0160efca1580e11b28389a4c244b815404011665862be463418fb711071a63e2eee6a9af2034eab75c9b9526101c8e49534ee81405fc0e224cf21a433f504615376abd679d443835d1ac8d5620c701abb226cae628e7e0ca389406e9ba95d0b714929e0595a4c4ae8ac63301d36aa37baee3e0a25703bae7f71d8bbf70032e9532bcb71ef541c56983b65b02d8083d0d941ec5c2b2aaabdec547a481407dcac598956b5aeae174253da8b05b60717b195a2b2e178d599235b22dde8d8d2573714e346b02a2e94ef12c98a6c74bcd402b747889b8f5560b4692629684dda789be1872a730b01e1c9015338b5f22c74900003978569baee5285578cb4957cb8209014b5cecef1dc2b456d8d627dc048fb58038a9f486530aeb0372dd01f314ed420e0da1526beeba653bab4c185abb5def12a00349b80c0d8e5c831b0b96581e151f01733b51c03ca1917c40337a5cad796645b19eb15f9c5b2846ed7ad866feae325655d6cd25560e33cb2af88b9026814c0df53229b8c4a5d0f38fe6e1bbae71ce2d58e1aa66a82aee603156b6f0ca77b0131844ce112cc4aa10d562dee58186df6c2db3ccb68be0381bc7b963b453f9fff00236ab95ab8e3eab17112314f7b00def1ac93a62a9f5299d4750119882e855cb7345b34d6802057667d4009a0e435945c7a8147400e5a29b341cd132fc715e0b7f53b30a828d1297ba840e9025da8a2ddfd468a48b4ab7b5c9c7d31e948204d416d76352ebb58a7de2e06080f2ac0a5ab6398b1689b6dd5d576850c7c88155893d1af11fc8850a18b1a1dd2fd4307959a8e807efed99324abd20d6454849c996cd4b427ef1ee88644d545f9c8bc9f5b976079b7c08bcadecdc5a23ab750ee518434187213a1092a1bd4e11f7b85376c39bbbb15fd4bb603638aedcd732e32c85b536bcb9463b8185abc0a8002140190058b35cc761b2930d21c3b7ee6392ad1bc6b4fdc5a96cdfdca40661fec580c500c20bb5c334ae25bc9e896ed967a3e91088f6a9d78088bacdaacea852c526fa457639af31f5863c859b415e513cdc003667101bd14bd34f8960ff83c16a3669ab237c1da1395a96d9ae7506be2a0e8d489b7b6e0b22171c9700f7acd421110c72b091e6d609464c96d715664489c503804657da846fd96cc0ad6b68c0210d6d0d46e1bc65ffec2f0064021d2ca1556e4b162a9b56d80a67002a5a8ba2e9a982aa5592cded5b5990ec6c70168fc443da524d96c1b5971cca661197921b5a692e051a7c69f15da96907f514b14e019c209a1c33c9090b623ec5258b37169d59b56aae1b4e4c45681c2a7b08b98a304ae4a5d28dc355d18e0d2bd38db705463096e7d95cd423905b0a5540fe2a2e4304944376235825ff9108c7d09b21c14239eb57942cc6f4337b81233d4cdace3925f0a82ad074f0d7528c92a1cf906b031d9202099b7146730085809c6dedc771929701102c992912f70e5b11ae6a95b4a155133a82173b5854ab347150493de81b9553abc051ee642df84c2357a5b7a710239dcc14b5ae55dca1a8cada8c046ce3b834c46ca556675a952a34e9beda7b096424d0a403020769fa816d135950b6a32d0bcc2fbc49a609aecb30670cb6f48165eaa1953d9ea0d770266b12102b96f7098391340b7aef25a703808d5d38aacf382c9930ab06f57ba389994b8b6e7aca2ff0061f7aac6ba8b400ee69539b6f9952b59884488352c2458f455c3e5c8a41318434f4ccf3f8c02685b655eeaae63adb66dfb5adab3004696adf0d67f518099f79a722254cad44289b10e411c407cc5d4e7f7a811b5de0a5f8ad7d4dba089180a456720ba8ababa633ec38d95b3b97d2db5495b68a6b0f7d1031e59998e145ba359cf88750eab66315e6355840532402d369a7c913dc79a2588c094abb65b78a9a4e5672c48398fe25ce3bc4010010b10184b59588632cb318285136e19bf51ff006dd558416df23246eb428dcd160afdca15932b239a3403c4a91ca2bf32b920d54b2c7eb0422ea0287b07563dc6c29e69467542f1bc410cc754c66ede834266c86278884aa81756a69852ace106adcb5a6f3c3713ae0942aac413a068cdcb054150d2d477071295b1c5b118b083ed9647b7628603c0732dd962036f58197f5ee25152eb1c720b3cda0c1925182d2efc4780b0be3c95650d3ef5057d0808041508320d6236a9345d8c6f480217ceb6d6a5bde0956244e28074cb6a906a2b6e58802190025b4ec02ade06395966f13dd90ba0a6c2c0282f6c6a305da829e7ee58700774476a80715fd4bb8f22afb5c45a408557c1c6a2a5a35405b31815b3f88401ed839281a4d5d550ab6182c4eced2f4c168ae201002405603c07df492b79dbfbb9217d69f75054246902a00a702f93d4245406dd065ff63c660d8125818a447ea3b49cab585569782fdc36efd865129ec64051ed17f56ab468335d8f5100412dcc5532c779601f78720a99647036d40cb310156045b4a151b2ce1482dd46344b7bcbe9a10aeb0c686c67d42a8a2b7822f672451839ff00f6370471b3db2dd5bcb08a7c151a32e960c32402da08291a242dd9838aa69c4a7fea15221c18258b44b34b5d623770b41642806e55c75378c022ce98f0403289adf00e1a0cea577a49dd580293defae231936115fb00d419aa3752fc595c7a85c776076f4537d0470216a9df2aff002698ad4b4b04eb4da9685cd2c32001574cc9f0155a79f16cfb9078e0fc0813640f05c5886b40c17dc269355bad452e6ce7246c9db4aeca22950bc6e001e8d3096011aefe0fcfde37800002d5844d4b4e266762d8b3c0471e988563b68a09811d0cc988b1b745467983a558050eade488bb96830142ae4d58ab989ade5456fb2599317556dbf983d6e0457821568a29b270dc1883e3d660537e08cd6cb4cb830c0cb0d1cc010162bee667bdaa3fe03b7b7cef31a8d3892142e968a51c32ae87fa406f098fc19b885578541b8a39c529809216d7d1876fb963114a07433160b24fb7106c78fbbf85d29ca78532a2b1022d926cec2082305a02fcc6efb4ae1a0712b856fa62015d02a37bcaa99b85a125e20b76efeee1a35a02f4b6597f0439043ca03f1d3a0a7ce7df3064a6d50b22638d66fa97ae8977e36687638ba813dd60a6f81348338743d667ffda0008010203013f106287a884b0f104f6f0cde732ac660a105352c0dd1f8995e1e337ec9c242e30d9ea0c5d1b5fdcb6a6873a1cc2aef3358b8097822d6c5985008376882dab983bb9616cb1997b0355108f0fa80078495b3751a20d0d32cd86e5c26c5b012c772ab7affae0e65b1551047ef37e21d11798066a3dd4fe013fb8361ffbdc7c1908481788a2c8202d2895134afa798379e1ec3ff93b53b8e96a484b4100b420ccb0152fd502fe8f32934031f6e1eea26341bb8b7ee05ad2097516c9624cac2256d392017c411869202ed242870b869f71ba2c480b2ea2a62bc2628f26f9d6ce6fd47e8a8ca25744c20372990f3b4cf9e625100ea3499604da6897115cd3ae62a82bca0b694c1759f04697986514c4713cc269cde1d31572de710b55a831189c788176ab81b5ccba6425bb8535288108c1a0f772ec3c9c4273fde5a1b1e572ad20102c79e23707db719444488b42884002a20621f75cdf2581e210442615602346204635a4a28cf2ccdb6b6febe2fd7d3c7b8c1b2f02ae164a79844669cc2db4b208b3539225293388c3b834394680dca22d419218cc131bdc65c56cc9ee67ca7837ed8ac2a1f7f979f5092cb0492fa9640304cb2814ae272e32c2c8d74ea363d45151bccb72aa89003132cc38811842a3e4f9a4cca97c253cc075136586a16addc52c2c90012067c42b305dab3a958aaee2f00c2a2b50da1836a810802863384210784bfcfc0340739bc27b88acbf747f72cc01f1359642bb62b54f517312cb0b925403710f0bf99c30713a818064b4a23758dcd47a8bcdf02774e5205650bea71fd99513b2095a5aee004c50a085d9115a3f88ea2e0742bcc417bfd33007e216fb9ecfb88707730b50dacc7b0bc99695fcc37461fc12c51bedb670ebccaf09d1dcadad54b0871391886b317bb5c6b8f8a34c882b6b52e4caa5b005332d91d44d6a6e6959556c4eba44bb9a7f880d89fb9d80fa229c0100b7b823500c030e65402296ecf93772f0510e525d8f706c2cb8d705d4075707c59daa495a0f33450eece238f3fb9e747983a86b12fb4bed06ba3e0747c3518c5a72c8cf282056e36e1cfdcc425870652a69dc6575f1f07fffda0008010303013f103ef4e167b83dc3b1dcb7043383cc64822f2478ad3f7113c0f3c43e9a47f980eeeac0f73179b37dab2f61fe125269ddbcc5880614abe2c9f88568dbbd334101533d6a7090d1c10444520612b104572435b45c6a6090f0963ac440d3d43498168432e003c426b098b2e381caeab1f71c09adaee3e7c0c46287dd22c2faf5fd90a4a53533029618cd7dc2d2366f51cc98144ca2cf5fe41e3ae3984e658ff11eaac32e11b7820277e63144b1d9e2548c9aef301dbfdbc451ac15fd8c41a32f6cbe86a35a711d315ae18b1d711f4e2530a8cb8888e65729accc79a7bff60c064ef896512e640527314f6b320c743d7f3e2a012943707814544b9071cc5364517842cc8b38315be662b8218334bb8d9bddc4fe711a1abde2671bf5155c896e57d40adb3f5317c7ebe22c5b86a6c9a798ac9479dbe63415babc7dc0a8f866a515abf8942f3fb83c9a83963532a51332a5d69a06212be565ca12541284dd822c5e40c9632c18a0c6188319508e40b72bb17f10fb1125430b6853a2358241dcad915da28744428d901b11c3bdbe8896d0b7bf856201687fa872829539ab222608941dc65d3c4117121b8c16e0f586a55b412f97e884ea3b5b63b0a4bd40aed7f108e330c10b6296fea21903e34c1a95306b7e0940352a07e5015c479ea16d3943585ea0a1c54706dd724c2b5afaf8f90d222d3b98c688dad4a7ba4fc454d258184660d706e0ea045b89a736076db893022fab12929220607fcb6345338af313f13104044889f88ff28cd0cddf5dbe16a4da1eab2fc2e625209d46076ce106e79e28618325dab6c8c28f7179f48b0348f32d5850b20d85ab040cb8c5f4bff2579abf50c0c0802388be1837fe2541e129f5a7f315602ede22dbee05397f5cc5a1a043fd4558e0f330b029f31ee111080bc4cf70e1b96501885b66f5d419a4b29787ff00b2af826aba398074011f20277316edfd40032e8a99c82df36ff528cb712b3cc7773feca0b7e2292e6d8b62121a970b81f6ae6538f8499cb0099b93b7966536cfea14625a98895a3a63c26e597b4652971c4db8fe1ffd8031c97e04fa2164cb473e21ea83f3cc4ab60184440a4a125a60fea6a797e015a3715655f5787f695eed8a6614c782010534d57dbb94f5838e19452b63d30bb5bff50ebdfce38844d50b33de2225f30f80ab5ebcbc4cbd905369ee207166efd25ebe2aa0d32f35ff0038cc2205a3b978e8140fc95fb835c11f8963528b663cd54293afcd46ac59c9c57de2213bab78fbff0053dc7c7fffd900', 'hex'));
+
+CREATE TABLE "CustomerCustomerDemo" (
+    "CustomerID" VARCHAR(200) NOT NULL,
+    "CustomerTypeID" VARCHAR(200) NOT NULL,
+    PRIMARY KEY ("CustomerID","CustomerTypeID")
+);
+
+CREATE TABLE "CustomerDemographics" (
+    "CustomerTypeID" VARCHAR(200) NOT NULL,
+    "CustomerDesc" VARCHAR(200),
+    PRIMARY KEY ("CustomerTypeID")
+);
+
+CREATE TABLE "Customers" (
+    "CustomerID" VARCHAR(200),
+    "CompanyName" VARCHAR(200),
+    "ContactName" VARCHAR(200),
+    "ContactTitle" VARCHAR(200),
+    "Address" VARCHAR(200),
+    "City" VARCHAR(200),
+    "Region" VARCHAR(200),
+    "PostalCode" VARCHAR(200),
+    "Country" VARCHAR(200),
+    "Phone" VARCHAR(200),
+    "Fax" VARCHAR(200),
+    PRIMARY KEY ("CustomerID")
+);
+
+INSERT INTO "Customers" ("CustomerID", "CompanyName", "ContactName", "ContactTitle", "Address", "City", "Region", "PostalCode", "Country", "Phone", "Fax") VALUES
+('ALFKI', 'Alfreds Futterkiste', 'Maria Anders', 'Sales Representative', 'Obere Str. 57', 'Berlin', NULL, '12209', 'Germany', '030-0074321', '030-0076545'),
+('ANATR', 'Ana Trujillo Emparedados y helados', 'Ana Trujillo', 'Owner', 'Avda. de la Constitucien 2222', 'Mexico D.F.', NULL, '05021', 'Mexico', '(5) 555-4729', '(5) 555-3745'),
+('ANTON', 'Antonio Moreno Taquerea', 'Antonio Moreno', 'Owner', 'Mataderos  2312', 'Mexico D.F.', NULL, '05023', 'Mexico', '(5) 555-3932', NULL),
+('AROUT', 'Around the Horn', 'Thomas Hardy', 'Sales Representative', '120 Hanover Sq.', 'London', NULL, 'WA1 1DP', 'UK', '(171) 555-7788', '(171) 555-6750'),
+('BERGS', 'Berglunds snabbkep', 'Christina Berglund', 'Order Administrator', 'Berguvsvegen  8', 'Lulee', NULL, 'S-958 22', 'Sweden', '0921-12 34 65', '0921-12 34 67'),
+('BLAUS', 'Blauer See Delikatessen', 'Hanna Moos', 'Sales Representative', 'Forsterstr. 57', 'Mannheim', NULL, '68306', 'Germany', '0621-08460', '0621-08924'),
+('BLONP', 'Blondesddsl pere et fils', 'Frederique Citeaux', 'Marketing Manager', '24, place Kleber', 'Strasbourg', NULL, '67000', 'France', '88.60.15.31', '88.60.15.32'),
+('BOLID', 'Belido Comidas preparadas', 'Marten Sommer', 'Owner', 'C/ Araquil, 67', 'Madrid', NULL, '28023', 'Spain', '(91) 555 22 82', '(91) 555 91 99'),
+('BONAP', 'Bon app''', 'Laurence Lebihan', 'Owner', '12, rue des Bouchers', 'Marseille', NULL, '13008', 'France', '91.24.45.40', '91.24.45.41'),
+('BOTTM', 'Bottom-Dollar Markets', 'Elizabeth Lincoln', 'Accounting Manager', '23 Tsawassen Blvd.', 'Tsawassen', 'BC', 'T2F 8M4', 'Canada', '(604) 555-4729', '(604) 555-3745'),
+('BSBEV', 'B''s Beverages', 'Victoria Ashworth', 'Sales Representative', 'Fauntleroy Circus', 'London', NULL, 'EC2 5NT', 'UK', '(171) 555-1212', NULL),
+('CACTU', 'Cactus Comidas para llevar', 'Patricio Simpson', 'Sales Agent', 'Cerrito 333', 'Buenos Aires', NULL, '1010', 'Argentina', '(1) 135-5555', '(1) 135-4892'),
+('CENTC', 'Centro comercial Moctezuma', 'Francisco Chang', 'Marketing Manager', 'Sierras de Granada 9993', 'Mexico D.F.', NULL, '05022', 'Mexico', '(5) 555-3392', '(5) 555-7293'),
+('CHOPS', 'Chop-suey Chinese', 'Yang Wang', 'Owner', 'Hauptstr. 29', 'Bern', NULL, '3012', 'Switzerland', '0452-076545', NULL),
+('COMMI', 'Comercio Mineiro', 'Pedro Afonso', 'Sales Associate', 'Av. dos Luseadas, 23', 'Sao Paulo', 'SP', '05432-043', 'Brazil', '(11) 555-7647', NULL),
+('CONSH', 'Consolidated Holdings', 'Elizabeth Brown', 'Sales Representative', 'Berkeley Gardens 12  Brewery', 'London', NULL, 'WX1 6LT', 'UK', '(171) 555-2282', '(171) 555-9199'),
+('DRACD', 'Drachenblut Delikatessen', 'Sven Ottlieb', 'Order Administrator', 'Walserweg 21', 'Aachen', NULL, '52066', 'Germany', '0241-039123', '0241-059428'),
+('DUMON', 'Du monde entier', 'Janine Labrune', 'Owner', '67, rue des Cinquante Otages', 'Nantes', NULL, '44000', 'France', '40.67.88.88', '40.67.89.89'),
+('EASTC', 'Eastern Connection', 'Ann Devon', 'Sales Agent', '35 King George', 'London', NULL, 'WX3 6FW', 'UK', '(171) 555-0297', '(171) 555-3373'),
+('ERNSH', 'Ernst Handel', 'Roland Mendel', 'Sales Manager', 'Kirchgasse 6', 'Graz', NULL, '8010', 'Austria', '7675-3425', '7675-3426'),
+('FAMIA', 'Familia Arquibaldo', 'Aria Cruz', 'Marketing Assistant', 'Rua Ores, 92', 'Sao Paulo', 'SP', '05442-030', 'Brazil', '(11) 555-9857', NULL),
+('FISSA', 'FISSA Fabrica Inter. Salchichas S.A.', 'Diego Roel', 'Accounting Manager', 'C/ Moralzarzal, 86', 'Madrid', NULL, '28034', 'Spain', '(91) 555 94 44', '(91) 555 55 93'),
+('FOLIG', 'Folies gourmandes', 'Martine Rance', 'Assistant Sales Agent', '184, chaussee de Tournai', 'Lille', NULL, '59000', 'France', '20.16.10.16', '20.16.10.17'),
+('FOLKO', 'Folk och fe HB', 'Maria Larsson', 'Owner', 'ekergatan 24', 'Brecke', NULL, 'S-844 67', 'Sweden', '0695-34 67 21', NULL),
+('FRANK', 'Frankenversand', 'Peter Franken', 'Marketing Manager', 'Berliner Platz 43', 'Menchen', NULL, '80805', 'Germany', '089-0877310', '089-0877451'),
+('FRANR', 'France restauration', 'Carine Schmitt', 'Marketing Manager', '54, rue Royale', 'Nantes', NULL, '44000', 'France', '40.32.21.21', '40.32.21.20'),
+('FRANS', 'Franchi S.p.A.', 'Paolo Accorti', 'Sales Representative', 'Via Monte Bianco 34', 'Torino', NULL, '10100', 'Italy', '011-4988260', '011-4988261'),
+('FURIB', 'Furia Bacalhau e Frutos do Mar', 'Lino Rodriguez', 'Sales Manager', 'Jardim das rosas n. 32', 'Lisboa', NULL, '1675', 'Portugal', '(1) 354-2534', '(1) 354-2535'),
+('GALED', 'Galerea del gastrenomo', 'Eduardo Saavedra', 'Marketing Manager', 'Rambla de Cataluea, 23', 'Barcelona', NULL, '08022', 'Spain', '(93) 203 4560', '(93) 203 4561'),
+('GODOS', 'Godos Cocina Tepica', 'Jose Pedro Freyre', 'Sales Manager', 'C/ Romero, 33', 'Sevilla', NULL, '41101', 'Spain', '(95) 555 82 82', NULL),
+('GOURL', 'Gourmet Lanchonetes', 'Andre Fonseca', 'Sales Associate', 'Av. Brasil, 442', 'Campinas', 'SP', '04876-786', 'Brazil', '(11) 555-9482', NULL),
+('GREAL', 'Great Lakes Food Market', 'Howard Snyder', 'Marketing Manager', '2732 Baker Blvd.', 'Eugene', 'OR', '97403', 'USA', '(503) 555-7555', NULL),
+('GROSR', 'GROSELLA-Restaurante', 'Manuel Pereira', 'Owner', '5e Ave. Los Palos Grandes', 'Caracas', 'DF', '1081', 'Venezuela', '(2) 283-2951', '(2) 283-3397'),
+('HANAR', 'Hanari Carnes', 'Mario Pontes', 'Accounting Manager', 'Rua do Paeo, 67', 'Rio de Janeiro', 'RJ', '05454-876', 'Brazil', '(21) 555-0091', '(21) 555-8765'),
+('HILAA', 'HILARION-Abastos', 'Carlos Hernendez', 'Sales Representative', 'Carrera 22 con Ave. Carlos Soublette #8-35', 'San Cristebal', 'Techira', '5022', 'Venezuela', '(5) 555-1340', '(5) 555-1948'),
+('HUNGC', 'Hungry Coyote Import Store', 'Yoshi Latimer', 'Sales Representative', 'City Center Plaza 516 Main St.', 'Elgin', 'OR', '97827', 'USA', '(503) 555-6874', '(503) 555-2376'),
+('HUNGO', 'Hungry Owl All-Night Grocers', 'Patricia McKenna', 'Sales Associate', '8 Johnstown Road', 'Cork', 'Co. Cork', NULL, 'Ireland', '2967 542', '2967 3333'),
+('ISLAT', 'Island Trading', 'Helen Bennett', 'Marketing Manager', 'Garden House Crowther Way', 'Cowes', 'Isle of Wight', 'PO31 7PJ', 'UK', '(198) 555-8888', NULL),
+('KOENE', 'Keniglich Essen', 'Philip Cramer', 'Sales Associate', 'Maubelstr. 90', 'Brandenburg', NULL, '14776', 'Germany', '0555-09876', NULL),
+('LACOR', 'La corne d''abondance', 'Daniel Tonini', 'Sales Representative', '67, avenue de l''Europe', 'Versailles', NULL, '78000', 'France', '30.59.84.10', '30.59.85.11'),
+('LAMAI', 'La maison d''Asie', 'Annette Roulet', 'Sales Manager', '1 rue Alsace-Lorraine', 'Toulouse', NULL, '31000', 'France', '61.77.61.10', '61.77.61.11'),
+('LAUGB', 'Laughing Bacchus Wine Cellars', 'Yoshi Tannamuri', 'Marketing Assistant', '1900 Oak St.', 'Vancouver', 'BC', 'V3F 2K1', 'Canada', '(604) 555-3392', '(604) 555-7293'),
+('LAZYK', 'Lazy K Kountry Store', 'John Steel', 'Marketing Manager', '12 Orchestra Terrace', 'Walla Walla', 'WA', '99362', 'USA', '(509) 555-7969', '(509) 555-6221'),
+('LEHMS', 'Lehmanns Marktstand', 'Renate Messner', 'Sales Representative', 'Magazinweg 7', 'Frankfurt a.M.', NULL, '60528', 'Germany', '069-0245984', '069-0245874'),
+('LETSS', 'Let''s Stop N Shop', 'Jaime Yorres', 'Owner', '87 Polk St. Suite 5', 'San Francisco', 'CA', '94117', 'USA', '(415) 555-5938', NULL),
+('LILAS', 'LILA-Supermercado', 'Carlos Gonzelez', 'Accounting Manager', 'Carrera 52 con Ave. Bolevar #65-98 Llano Largo', 'Barquisimeto', 'Lara', '3508', 'Venezuela', '(9) 331-6954', '(9) 331-7256'),
+('LINOD', 'LINO-Delicateses', 'Felipe Izquierdo', 'Owner', 'Ave. 5 de Mayo Porlamar', 'I. de Margarita', 'Nueva Esparta', '4980', 'Venezuela', '(8) 34-56-12', '(8) 34-93-93'),
+('LONEP', 'Lonesome Pine Restaurant', 'Fran Wilson', 'Sales Manager', '89 Chiaroscuro Rd.', 'Portland', 'OR', '97219', 'USA', '(503) 555-9573', '(503) 555-9646'),
+('MAGAA', 'Magazzini Alimentari Riuniti', 'Giovanni Rovelli', 'Marketing Manager', 'Via Ludovico il Moro 22', 'Bergamo', NULL, '24100', 'Italy', '035-640230', '035-640231'),
+('MAISD', 'Maison Dewey', 'Catherine Dewey', 'Sales Agent', 'Rue Joseph-Bens 532', 'Bruxelles', NULL, 'B-1180', 'Belgium', '(02) 201 24 67', '(02) 201 24 68'),
+('MEREP', 'Mere Paillarde', 'Jean Fresniere', 'Marketing Assistant', '43 rue St. Laurent', 'Montreal', 'Quebec', 'H1J 1C3', 'Canada', '(514) 555-8054', '(514) 555-8055'),
+('MORGK', 'Morgenstern Gesundkost', 'Alexander Feuer', 'Marketing Assistant', 'Heerstr. 22', 'Leipzig', NULL, '04179', 'Germany', '0342-023176', NULL),
+('NORTS', 'North/South', 'Simon Crowther', 'Sales Associate', 'South House 300 Queensbridge', 'London', NULL, 'SW7 1RZ', 'UK', '(171) 555-7733', '(171) 555-2530'),
+('OCEAN', 'Oceano Atlentico Ltda.', 'Yvonne Moncada', 'Sales Agent', 'Ing. Gustavo Moncada 8585 Piso 20-A', 'Buenos Aires', NULL, '1010', 'Argentina', '(1) 135-5333', '(1) 135-5535'),
+('OLDWO', 'Old World Delicatessen', 'Rene Phillips', 'Sales Representative', '2743 Bering St.', 'Anchorage', 'AK', '99508', 'USA', '(907) 555-7584', '(907) 555-2880'),
+('OTTIK', 'Ottilies Keseladen', 'Henriette Pfalzheim', 'Owner', 'Mehrheimerstr. 369', 'Keln', NULL, '50739', 'Germany', '0221-0644327', '0221-0765721'),
+('PARIS', 'Paris specialites', 'Marie Bertrand', 'Owner', '265, boulevard Charonne', 'Paris', NULL, '75012', 'France', '(1) 42.34.22.66', '(1) 42.34.22.77'),
+('PERIC', 'Pericles Comidas clesicas', 'Guillermo Fernendez', 'Sales Representative', 'Calle Dr. Jorge Cash 321', 'Mexico D.F.', NULL, '05033', 'Mexico', '(5) 552-3745', '(5) 545-3745'),
+('PICCO', 'Piccolo und mehr', 'Georg Pipps', 'Sales Manager', 'Geislweg 14', 'Salzburg', NULL, '5020', 'Austria', '6562-9722', '6562-9723'),
+('PRINI', 'Princesa Isabel Vinhos', 'Isabel de Castro', 'Sales Representative', 'Estrada da saede n. 58', 'Lisboa', NULL, '1756', 'Portugal', '(1) 356-5634', NULL),
+('QUEDE', 'Que Delecia', 'Bernardo Batista', 'Accounting Manager', 'Rua da Panificadora, 12', 'Rio de Janeiro', 'RJ', '02389-673', 'Brazil', '(21) 555-4252', '(21) 555-4545'),
+('QUEEN', 'Queen Cozinha', 'Lecia Carvalho', 'Marketing Assistant', 'Alameda dos Canerios, 891', 'Sao Paulo', 'SP', '05487-020', 'Brazil', '(11) 555-1189', NULL),
+('QUICK', 'QUICK-Stop', 'Horst Kloss', 'Accounting Manager', 'Taucherstraee 10', 'Cunewalde', NULL, '01307', 'Germany', '0372-035188', NULL),
+('RANCH', 'Rancho grande', 'Sergio Gutierrez', 'Sales Representative', 'Av. del Libertador 900', 'Buenos Aires', NULL, '1010', 'Argentina', '(1) 123-5555', '(1) 123-5556'),
+('RATTC', 'Rattlesnake Canyon Grocery', 'Paula Wilson', 'Assistant Sales Representative', '2817 Milton Dr.', 'Albuquerque', 'NM', '87110', 'USA', '(505) 555-5939', '(505) 555-3620'),
+('REGGC', 'Reggiani Caseifici', 'Maurizio Moroni', 'Sales Associate', 'Strada Provinciale 124', 'Reggio Emilia', NULL, '42100', 'Italy', '0522-556721', '0522-556722'),
+('RICAR', 'Ricardo Adocicados', 'Janete Limeira', 'Assistant Sales Agent', 'Av. Copacabana, 267', 'Rio de Janeiro', 'RJ', '02389-890', 'Brazil', '(21) 555-3412', NULL),
+('RICSU', 'Richter Supermarkt', 'Michael Holz', 'Sales Manager', 'Grenzacherweg 237', 'Geneve', NULL, '1203', 'Switzerland', '0897-034214', NULL),
+('ROMEY', 'Romero y tomillo', 'Alejandra Camino', 'Accounting Manager', 'Gran Vea, 1', 'Madrid', NULL, '28001', 'Spain', '(91) 745 6200', '(91) 745 6210'),
+('SANTG', 'Sante Gourmet', 'Jonas Bergulfsen', 'Owner', 'Erling Skakkes gate 78', 'Stavern', NULL, '4110', 'Norway', '07-98 92 35', '07-98 92 47'),
+('SAVEA', 'Save-a-lot Markets', 'Jose Pavarotti', 'Sales Representative', '187 Suffolk Ln.', 'Boise', 'ID', '83720', 'USA', '(208) 555-8097', NULL),
+('SEVES', 'Seven Seas Imports', 'Hari Kumar', 'Sales Manager', '90 Wadhurst Rd.', 'London', NULL, 'OX15 4NB', 'UK', '(171) 555-1717', '(171) 555-5646'),
+('SIMOB', 'Simons bistro', 'Jytte Petersen', 'Owner', 'Vinbeltet 34', 'Kobenhavn', NULL, '1734', 'Denmark', '31 12 34 56', '31 13 35 57'),
+('SPECD', 'Specialites du monde', 'Dominique Perrier', 'Marketing Manager', '25, rue Lauriston', 'Paris', NULL, '75016', 'France', '(1) 47.55.60.10', '(1) 47.55.60.20'),
+('SPLIR', 'Split Rail Beer & Ale', 'Art Braunschweiger', 'Sales Manager', 'P.O. Box 555', 'Lander', 'WY', '82520', 'USA', '(307) 555-4680', '(307) 555-6525'),
+('SUPRD', 'Supremes delices', 'Pascale Cartrain', 'Accounting Manager', 'Boulevard Tirou, 255', 'Charleroi', NULL, 'B-6000', 'Belgium', '(071) 23 67 22 20', '(071) 23 67 22 21'),
+('THEBI', 'The Big Cheese', 'Liz Nixon', 'Marketing Manager', '89 Jefferson Way Suite 2', 'Portland', 'OR', '97201', 'USA', '(503) 555-3612', NULL),
+('THECR', 'The Cracker Box', 'Liu Wong', 'Marketing Assistant', '55 Grizzly Peak Rd.', 'Butte', 'MT', '59801', 'USA', '(406) 555-5834', '(406) 555-8083'),
+('TOMSP', 'Toms Spezialiteten', 'Karin Josephs', 'Marketing Manager', 'Luisenstr. 48', 'Menster', NULL, '44087', 'Germany', '0251-031259', '0251-035695'),
+('TORTU', 'Tortuga Restaurante', 'Miguel Angel Paolino', 'Owner', 'Avda. Azteca 123', 'Mexico D.F.', NULL, '05033', 'Mexico', '(5) 555-2933', NULL),
+('TRADH', 'Tradieeo Hipermercados', 'Anabela Domingues', 'Sales Representative', 'Av. Ines de Castro, 414', 'Sao Paulo', 'SP', '05634-030', 'Brazil', '(11) 555-2167', '(11) 555-2168'),
+('TRAIH', 'Trail''s Head Gourmet Provisioners', 'Helvetius Nagy', 'Sales Associate', '722 DaVinci Blvd.', 'Kirkland', 'WA', '98034', 'USA', '(206) 555-8257', '(206) 555-2174'),
+('VAFFE', 'Vaffeljernet', 'Palle Ibsen', 'Sales Manager', 'Smagsloget 45', 'erhus', NULL, '8200', 'Denmark', '86 21 32 43', '86 22 33 44'),
+('Val2 ', 'IT', 'Val2', 'IT', NULL, NULL, NULL, NULL, NULL, NULL, NULL),
+('VALON', 'IT', 'Valon Hoti', 'IT', NULL, NULL, NULL, NULL, NULL, NULL, NULL),
+('VICTE', 'Victuailles en stock', 'Mary Saveley', 'Sales Agent', '2, rue du Commerce', 'Lyon', NULL, '69004', 'France', '78.32.54.86', '78.32.54.87'),
+('VINET', 'Vins et alcools Chevalier', 'Paul Henriot', 'Accounting Manager', '59 rue de l''Abbaye', 'Reims', NULL, '51100', 'France', '26.47.15.10', '26.47.15.11'),
+('WANDK', 'Die Wandernde Kuh', 'Rita Meller', 'Sales Representative', 'Adenauerallee 900', 'Stuttgart', NULL, '70563', 'Germany', '0711-020361', '0711-035428'),
+('WARTH', 'Wartian Herkku', 'Pirkko Koskitalo', 'Accounting Manager', 'Torikatu 38', 'Oulu', NULL, '90110', 'Finland', '981-443655', '981-443655'),
+('WELLI', 'Wellington Importadora', 'Paula Parente', 'Sales Manager', 'Rua do Mercado, 12', 'Resende', 'SP', '08737-363', 'Brazil', '(14) 555-8122', NULL),
+('WHITC', 'White Clover Markets', 'Karl Jablonski', 'Owner', '305 - 14th Ave. S. Suite 3B', 'Seattle', 'WA', '98128', 'USA', '(206) 555-4112', '(206) 555-4115'),
+('WILMK', 'Wilman Kala', 'Matti Karttunen', 'Owner/Marketing Assistant', 'Keskuskatu 45', 'Helsinki', NULL, '21240', 'Finland', '90-224 8858', '90-224 8858'),
+('WOLZA', 'Wolski  Zajazd', 'Zbyszek Piestrzeniewicz', 'Owner', 'ul. Filtrowa 68', 'Warszawa', NULL, '01-012', 'Poland', '(26) 642-7012', '(26) 642-7012');
+
+CREATE TABLE "Employees" (
+    "EmployeeID" INTEGER GENERATED BY DEFAULT AS IDENTITY (START WITH 10) PRIMARY KEY,
+    "LastName" VARCHAR(200),
+    "FirstName" VARCHAR(200),
+    "Title" VARCHAR(200),
+    "TitleOfCourtesy" VARCHAR(200),
+    "BirthDate" DATE,
+    "HireDate" DATE,
+    "Address" VARCHAR(200),
+    "City" VARCHAR(200),
+    "Region" VARCHAR(200),
+    "PostalCode" VARCHAR(200),
+    "Country" VARCHAR(200),
+    "HomePhone" VARCHAR(200),
+    "Extension" VARCHAR(200),
+    "Photo" BYTEA,
+    "Notes" VARCHAR(500),
+    "ReportsTo" INTEGER,
+    "PhotoPath" VARCHAR(200)
+);
+
+INSERT INTO "Employees" ("EmployeeID", "LastName", "FirstName", "Title", "TitleOfCourtesy", "BirthDate", "HireDate", "Address", "City", "Region", "PostalCode", "Country", "HomePhone", "Extension", "Photo", "Notes", "ReportsTo", "PhotoPath") VALUES
+(1, 'Davolio', 'Nancy', 'Sales Representative', 'Ms.', '1948-12-08', '1992-05-01', '507 - 20th Ave. E.Apt. 2A', 'Seattle', 'WA', '98122', 'USA', '(206) 555-9857', '5467', decode('ffd8ffe000104a46494600010200006400640000ffec00114475636b79000100040000004e0000ffee002641646f62650064c0000000010300150403060a0d00000dc7000014f800001fc700003018ffdb008400030202020202030202030403020304050303030305050404050404050705060606060507070808090808070b0b0c0c0b0b0c0c0c0c0c0e0e0e0e0e0e0e0e0e0e010303030505050a07070a0f0c0a0c0f120e0e0e0e12110e0e0e0e0e11110e0e0e0e0e0e110e0e0e0e0e0e0e0e0e0e0e0e0e0e0e0e0e0e0e0e0e0e0e0e0e0e0e0effc200110800aa00a003011100021101031101ffc400e60000020203010100000000000000000000050604070203080100010002030101000000000000000000000001030204050006100001040202000503040203010000000001000203041105101220213113063022143234350723154041163311000103010505040703090803000000000100020311213141120410516122132071320581a1b14272231491c152d16282b2334373247430e1f192a2531506b334751200010305000301000000000000000000110040012030506021104161121301000202010304020301010100000000010011213141105161718191a120b1f0c1d1e1f130ffda000c03010002110311000001ad5b446c1b5ec6c4aeecc7412721d247155cd9d4e3d06495374259ad2c0faf8ab5a19fef767d1fbbbc122002e2ae0c0c9e013598523a3bb6890e9898b2d956d39a6ccd8b204631d4c4dd8c3076aaf9dd8f1c048f1aeaeabd1ccb6f032be6553811e355ad9b45d1c61bc71c5ba549605b5f4c3b7c2489b5883d91c7bb3ee3a10a30bdf1efbb8f2a4790f69a7a360d6d17f9a083531a331516aac195558a0af6296b3036b6216ae6784efe59384173ad79dd2e267acb7d4d0b673775b8adbec5022f46f92e3062ed1bf5a2ecd1dab841ac5567a1755f4b360ba1b8ac92a204d8f7ba6c251271b3f3356dda1b4d7c967b1448bd121aaf3885ab6e9f55aa82f66a25ece3d52c9754967572a415ed4b4197c984e24e381167646c595535493505e6b9239c66ade615423409b92bb0673feaf9e1d283e646a8adbf39a9c8d08b01236bce31a51f78dd187e8f5ca0f317b6394bc8b6d620f1632d1a1a436f65af40862ae78bb9e5ebd86e44a1ebe1454585d85c70a5aebd66887754bef03d416334bd1cab51b0d946e11a7a0db628147d4c2666494a0b670d6965fbdd6064ea14ddf32092f009b96051f484132aeaf61dd397e81f591697d222d562a907ad73ce0dd732fc276ca1016ee01d0ce8135b354b2e1a588091603a6de9eb1d098feb148d29b09bd06d896730dd9a71e0c47a9ac2497fb19998e95d18b09d05555cf9e832cdf419ed674643c2a6e0894afcc7f4e72bb96668341f61496d4ecffa417157b7354c2da72231175ad45e1ccd3a89d7eab25eca872560243aadd831b176e26890afa0ada103e97b0735dcd6d00ae1b449d13cfa6869b9610a0aeca9c8ba994fd1594b54e0f44470d2a743a3ad65665b30057136d8f1d03f1b4ddd58bd9a7529bcdc66caca825571fa78547dda35cdecadbdd8f18e3821863dd16ade031b563e3e92e34b7c6c3aab41a201b5f47d04797cb728fb28e655c93a587a5889a4fa3b5f70394311de82355684f33d22cdc8df295ee1d8b5c41687556abb99298ad7095144d07a38c74a65774a27d895024a157bc761198eccf1bcaf40ed8fe9969d53e902a18e04133189d1e49daf3d16697f767ec1d9f76fe3542b427c94dcca93fa1b0f6dee99534ae0f39ecd7c9d07b2e052126609e7fdac4aaaf66edeee9a53ecb8f26b2b558dad4c0b7f776ee8b73a8922b960c055be82f33eda6f0565d9964158c512e67f3aee79cf0f5c716746a9bf11a3b8918f01393f0ecb832c858c569919a389f4b617a5b6e3052468c084e0315cd3bfe547b90da25d6507603b4913b87a7b866696ce36df38e1eae8d7a823def1bb32b6effa76971570041d4d6c79eaef47272eeea983dd22733117c079ed9c396650e9f9bc0aa0326baf251ade27ee17066ecf4467e82ec2d2d467cdde8fc6c0640883d4b072df738746d8ee8328d11c7fffda00080101000105028e6056c6d0899ea59192a5f70b7d1764db2e62876b23541bd6b5336cc9cbdd14c8d6424666f572d05c83d770bbaee177c2bd297bc150c9d4b9ff006d883b18a08e5475f2f531b9a610a9fe3955e18b0e855885e9b85b2adf8f265765dca2f28a99fda44c3850cb92d6031cb41c0eb685872b1f1995cbff003d66311d3b2c31d791aa42f0c2f93b7e4f74d7c5723b501ad2e5650529eace694485a50502e5afd6b310d36e3f020727ea61729754c8d5ed6c6f1b2a93d791b31327e4beb5ad9b05caa780acbbfc7c431f673a75a6ae0cd56a795566142321a1632a58b2acd5ec36f4feedbc0ea96accc255ac983a2bb0fb13a0ad7e84d1d8b9dd180ad23b0a8ca1f1d66a87180827ab324310dced20b136f1b6c83e4b5927597690092310a112b23ecea49806138f9ad2b4fe3ebe46c423f90c4651f26fc66d7f98d79cd0d9c5705fb0f861b95ee6ce561d1eae2b37f4fba5bba126b7630c9d5416239a29abfb3261581f61ca8ce139307675184454e56d99e5d5d3a158497f5f1b1f6a84926b67ad0b9ce1232d559649779a3a376968be0b0d7b3fd9ba50d801c2a73163866c45eda91b96b9b85a3d3d2b35773af66bed43fae9c7dab3aabfdb769fe4976cd1d17b742afc462a4e144c0cd5cbeec7eda15d8e4c898c5f2aa42fe88a6b8b4eba6eea6886651f64c307e332326d6eef491dba95f592b6c541d454014746295368b5aac33ed931d350efb9c0e1a78b403a2b51f4b0b4d26242e53fe9b1faf5979faeb96238ec51b551b118662a84f914e66f50e0e12f50dab718e9a2dbc14ecbeffbb055fc99211229a5f2fec56d076bfccad737169d2a954e3fc9d32ff8d58fcca9b1d6be0774c2a52969a363ed8e6f2924f292a412ba2d5557286ac5137b00a477592e122bfcfaec334f528fbd522a2daf1cb1909de6a66e4fb7fe7f81d3d5dab7bf6b28bced69dabd0355698c6ead297a9a711b7fde0749037e4361dfe93773ada3db524d6d2b0ca7f2fd9cdaad37e3dab126b58f8e1727b41e1c13d803ff00afe66cf77fb42a472c5a6d339daba52870660ad74a03b67ababb0adff973ac9f5fefb4bfdc7b21a71c73bbc99f36bc0ced2b28a3cccdf273a6af2cdf35fceafb1d9d3756d6ce5d56ad90e503d4764b98e83df0ed37631eb26c54a22017246430ecef3f617e37a1c611585853d1ee9faeb2147acb2f3a38036bc8d92b3a9ec5aabdc6154ec34a8dcd2b2117b57f64fc8ff12a50b9ef91e49af40f115f8244305616161755aa7749e5adee46fad82d7d88541b69a355be427aff00b8b520d86d6cd1a1b0bf63656e094c32fe457c212610938af72580d7b71d868281e2abbacf0c5ee4766b98de034af60155aa80a28c307ce3e43fec6ca8d8e91fa1f8b6bf59461a34223b6f83d6b2361a0dcea8711c8e8dd56d899a1ca36be4572f3693f4f209eadda45edf61cd2c6e143e4be5bf23fc1ac4e78f817c77f2e78e2739e22ff0c96aad7309bd5dbceb74fb1b32c5ad8e05b8da7539caf82dcfc8a32e3a4ccfbbd16c3631d3ad7ee497ad2f8de8a5df6c6a3e8d28e6919f812dcd5c17baeeeac738d66b61c656b3e37b1d90d6fc4a9eb9d61966087e4361bad878feb89cfbd3bb0ad9c12fc9f95ed3de99004af8deaa2d4526caf1142dba9fbc9f595b670d2f8cbfe4f6be32c669bf90d5fedf69fc5bff0097f9b7f21c7f5cfefad7add455efdead7fef9fe9befe075dff00c361fb9f917ed3fb2bf98fffda000801020001050247c7d57558e0f11cd9fa79e3b705159e30bd144fcf84f8bb27397bcbde5d96503c10bd0b5d9fa04f0e77002eaba22de03910b19113b0793c958521e421c1088e23394d18527ab0e478e4e472515d7cd98ca94281de1287127aaea80594d72714382d2987c9c882d2c77608f07977aacac22b3c05944a8fcb891aa13829dc4b21098eca28fa80810bb270584cf07fdf0461c8f130f363f08c9e45041613b862c72537878e0f0f6e42cf20aca3ce505944aa8e24f251e1ebb780159e005859e1de94dbe44f9b472e59560a89be45a79cf2015d1c9ccc2ea9adca098dc7808455a67db51c019ac624e071d90e1dc443c6f6a1828d4c18e13977af19585d1752833868fa1d78c29c79ac700a1c65307d4b238cf3959e00f1e7c330fb7c50b393c765dbc6ef3e08f044ccfd79061c8f0d098dc0fad3fa9478819ff0274539043d3e87ffda000801030001050243c60aeeb2bc90e26871e36f8b1c80835639963c1e31c0f17551c68d65f8ebdb2ba27059595fa839b8f037c4d8d6308b97b857ba83d1f34e620b38330c8e5be1842011451e1a535cbd54c305c533cc11cb3c30a08a77213576c0973851953859594de07308e3b04508c14f8f0a36a2380e69520c10861c246f529bc0e583c8e49ea070139a501820f916e50680a5f3e1854edc84de2080384d1f5299e8e458f2bdb4c202eca50b2b2b2b1cfa82820a9bbed9e2ec84472df4722ec2ee9882990e5a9c3869e1a9aa27f529c103c3dab082737c9cdca11f9bb19c2014edc70e3e49a99c4527da3cf809c1108041c53a528bd61043d6c3b271e4e767809abfee341de65e091c382017b6117c217e4c41326ec647fdce761176548fcf8014144ef395a48862fb471204c7e1318d4f604005dbc94e7c71bf864e9f38ead3f6828aeabb617e423304f932827bb27c6245d82ee155765a46107ac2735158584ff20f6f84b7c545de6516f1d975057408e0271ca2163c25a88f0553f7f1858e0a9dfc80b08c68b08e4845bc6146dc129aee4a99fd47007d0c657b7cc672c0870e38523fb143c785d51479ade8d4de2cc9c8fa051f0554c4c453bd7e87ffda0008010202063f02d306246c7f19cd888f4d47a5f9666119d10e95177fffda0008010302063f02d30e24b114071dd2cd52a6aef8e4202d946d0b5c47101a45632d34061377ffda0008010101063f0246978bbbcaaab10cc3c366db0056b5b4f4abc7d8572b9b6ee3f950a8af1ff059dac3fa36acb73ff0bac3eb46565acc7876e980d962ad2aba8d14adb95115a382cece60adb15eb9a667a68ac687772a64e9f1cc86719d9f9d7fa0aa789b750accdfd93aee1c3b476d02a6fc37a25a8370758aea9558da6abe6e9db5fc79566310a70a9546d7e090ae4043b06efeedeb31b1d70237ee28b1fdc42319c2e3c3b04f0ec6772c9a7157baccc9ad75bef3bbd3452810ab79c7ac2f0ab9728b1104647efc11176fdc8b1d63ee3df826bc9b1de2084f1f8d96d9bb1ec1ec18d8793da80e1ed599056f608c16478e0d424dff00726bb1c7bd74cda0fb53983c3876681646df8ec2ec6c43b45d2b835b89280d2564a580b712516eaa234f131f4c7674cdceb5a78a6ccdbc5fe9ec50273b1036b5fbfeeb155e68d68adab2476b3f1159ba25c382a3a32c5f2d6760abb72cdaf97a3a41eee25558dad2f908fbdc9da489c0bf729348fb9b6b3e1372e22d08175ac772bbbd64c2f0786d205c51eea6c01318300844db22c5074f4b3172b226e4a5efcadf6dab9a068a62ca11f68404228d2ab8204d4d5d4b17460d1bddaaad7aaf35fbd7d5ea6c23c2c06e2a0f358c787e4cbe9bb665f75d871543fb465be8da53b55af73830bb2303385eb242fcf03866638a1dea3ee5589b57e0ad7e46836006e084434e19abaf3eaa47f52422ec458bacd928da5246fe2dcaac35a628c6fd96d572ad6e9e9698cb9bf132d1b2a9b26eb0aab6e28a2a4d37ef2293353f35e1366690c9582b529a1f75531a9adc1078e53c17312eef54c111b915995bb1cdde08f5295bb9c47af674cdc551537908a6cedf0f8646ef69bd69f2782402ab9703626d5350d86aa6ea5841c772018ef964ee2be4f88dcaba8cb9b0cbb74faa0c6c7a8ea74b4d9685ee88379f391b8aaacd80af632a6f96919e78f943314229395f96ae63bc5c2ed810db9f2d1fbc2e7602a8d140a815463610a438e52054d2fb2f5a4d147a8eb49a48fa3334781af1b9d8aa8f13caa5efc4ed042a7e2bbd2a77ea39b5c1dd36549a3585879a9f105e4fd49c03d373e47935ce3a9757827c7a77545f5172aab6ed99e4395bbcae9e8d86571b0598f05f2a37b6da5b460f5a3d79a36fa49f62fa5d36afade695148a16bb25379770519d649d49fc64a967d300752f2228c3866f1703c11258e2f71a9277ac8f6e5a5dd98dfc69f62d6f9799323e50268db767319b47d86b45a497494c9a7ced8d83185d4b7d0e5ff2cdfdb89fa61b5b3a407312a86fd8daf723a694723b7589b2c5a99a91d7a07378495c9abd4135cf46cbef1bef0a923a479367cf9896ff0095b44d8a16d5f5cd2bd7a141a21ee0eabbd360edd772eac4e2c70f0b9a6853619f4ed133a2e8cefbf316dcf6d6d69de8e9b43d402cb64770b6c1628a61bad40a14437aa2ad083c106d5d4575a9d23cd18d152780536acfbeee5f845dfd856334e0ac15ee5cdca38afa7ad72aa8b900ebd5f6762f4df2cd2bbf999ed7d308c7e55d297c781ecd0d878ab3b397076cb172da3662b92327d4a5d6ea888e2636b4ad49380526b354ecd2bce380dc9b20c0a0738b6d0aa2eec586addcacf16eec30f1d9c0ecb9556e0bfe3b4c7f9480f39fc4ff00eed818c157b8e5006f29926ba164faf88897541b19d4bb9bc3137dcaef46276823e848d3cce8a18e3657f7761cce2bafe587e925f7b4f2d48ef6815202cfaad3bba35a7559cccf56dccd342adf1ece509ad6f3497d97261188550addbf49a577f3125951805537ec3e6baa60e845ff00ae1e0b81907bd945e1bed50c80be48dcd2de9006e37ba91d1a2b8927b93dbd32c8a0358a6fa5696378451dae278951eaf50f668c4d4649f570ff00372ee1c87977a7c6236e9a06d040e8ddf57338624b5d6f61ae8e32c67fb8fb022c76493502d399d6346f29fa385adcb4b6461d91b4dece43e8d8763a426e09fa87e37776c6691bcb05f349b9bf9541a2f2f97369f265859a78fa9636f7bcfe10a4d46a22f309b471baca9a3b54eaee6dad6d70b0289daa9a6d3f9dea474e0d3c8eb34f8dad0683d29d0f976a62f35f362fcd23b557405f6fba2ea7723e69aa6410ebcb840fd467363a95219ca6fee545d46372422f7b9669586792999d23e81ac59dba563de7974d1177fa8afa39b461ba99ad9661bf86d9a1c051c3d282aecfa18cf2b7f69dfbb6505e99a12deb6aa46f535718765a666e639bb8594e2a41e61af8b46c83e6ead9a5be2845ac8b35b85fbd4be7acf306eaa321add2690ba38e2a5f79cf427d6993ff00d934ad779beaf9216e9f357a723a980a0a0e354d8349a2d54cfd6bb36b678faa4863ac19492456dc568b47e67a6e93f9b2c324858d89adb8bdb0e6b5d828d316b7e3fbd796ff000fb13fc23da86c729fe377b7669ff8acfd60bce3fae83db12d57ff004dff00aa57fd6ffab77fe25a4fe33545fd445facbf407b4affda0008010103013f21c63b9c60ff00a12965b72cd56d84d50146b88414cb1bbf797fec66aebbff00999aa5bce0fd8c194b97f91968c4d655f6866439b747d98fb94b147d7b4fdd9dff00899609d2444a0e6cdd8e2511475eecd35dc0e6d836da6e4d3cea66b12cd67bcf8d03612845f54a1e1e60a5ca2a986fdca8d2b27807d42d375e413ea7ce26500166f2ec3e97cc5a8bcef95dd19bc7b9d03a25c78b43d26a5a87407abb9541938a66d2df6ce3b5f12f41b2af1df3106d91766fe238ccf0dc0a51b95671df995ca26ed7c0b2e42e5467d2e673999fd98847f4a07030891bceddf897df5eeb831af4650fb328b6c61330d46f3d897e4673937da1c7b194fa431332d71da62569b7dc8ee8f62602b5fcf12f1016f18f79d9200e5de5e443a6dbdea62d57cf4dbcc1a0d5e53fd94f88f91e2f68a0cce2d5dcafa8ee732baf5e7506b01dbdd19d940af672837cb32f93368ca1e52bcca88235308da835b83767a5d678845d0abe2de20218a6117832f0e7c89dd86fd30b859f2c7714f72d436d8c45100d77c9ea4b4f6f6eeccc77bfa97611d12ac6541287668866e491743640a8ec2a1c31a0219ae3f009fdc3af2510f946bd4f04ba3025b306e05faf6e908ce31cbee8a45112b13c04341eb0911b87b331b67819f31259c6af0c449e2834cee55925a3d1ff00924bb99e868ecc15692cef9946d37ffce5598e9ec8fee33acfb92d331994f6cc7c26ca989e151b4f38a1f3368161f318a7b2efdfda255dc5bbaf596a2e8ad71c6e94329149ec747bcd8346734bb9451706bd8005d1deb5898ee81a6aa7c2111c05f1e05ac4c8addc76c9bef896639b5e07e860aa5e1bddeffde8b8bd547c910f9efaf02d897e85ef29e1f49f4dfb9e49587381e056e3b4282b8f157311b0e0956ac6237c40a5549301d2adc9df73701b5caae588c863bcc0c7bc42ddfb5d105c29efb6676aeeec5df2434e6100c325bc1f0e20d9564a350aff001fb9e8a3fa8f54bfdee67c9381d0008f12a57bc4173c7d128f00b89faa79466e22d00c389e826a178b63ed349c40f54b2a2fb23078545a14c738d2954d475d432a234f68fb80a3b9999e6f48c611f3950985bbc946ca4ab65a2e502fc74858cde16183b1be11a689c9997bd5456c10e58fab94950e9631f71aa9993e8afa41e0cd6b3b96bc35792ea568e0dc501cc9922bac4c9f20ff0050683bd4e383e75ac277c45c6db18e594454e364ca9f1f1056584e0c2597c47e426f03ef52a0e472747210583e9285b0cf33882aa68146cd2f86e591983ba51392f7981343e195664f9e3561f1304a619e614ab90c09ca5202c9561c037a94a3b18ca00ab0707ac1fdef43ba7999e90f7bb2843b5c718a5b8ca9489fb0488f0dcbeec3c6314c5655197f0276fb8e79d9af94764a0ac52e6bda0a01b26f6720d060ea004aee60fe1e1da4af44be892367f6267e33d6a4b4cb4f46d8f22e66d8207385120174253190b7acea1cff00c1de04c4c6babb5c7b5df763dc81c875691bc61f882c3f7439d847ddc0fda6502b912c368f81029cd15a966383fa44cf283e7fa901e85d291898b95c00eaba61f1598c4784a11524fba22ca20d8585b017bbc8cdbfd41e90a4778945d6310597b18530fa91dbe48308f77fd607b06de6fccb950f6c17341694ed807c4e262b8e6368279caa54b19c76b5ed11d3eea6013bf97d11b2cae7ccc87e7897975ca09a3a1eb16dff00c999257b842e9317ab7acffb988a946365c90709c4c1662396480ed09e212487a07b72bdc9705712f74478981b7658c16346e1c8e4d7d627dd73b4c3175f621c658806e97d80f04ef1d3e9cccdcc3912ea5882dad2465980cb9941c8a5c1d728083049d9f0cabfe712d09c93192dd1699414f040ae9cf6949c7068ff00a8b89308db29404bef728f99d29a734ee4d82051a94b2177dbbc66c0bce94a66338dce18602e5d674f7aea3a9138706ce8a55606dd1f31f62e16c01cc7df427a2152885f38ff00b31a29e9b27b427c0df98311296b2aed605cb670ab429753f51a10894852b6f6446528c409bada3e5b48039345b86686c216aec07c2886c9ac726cf617e7a82e0dc6d172861f79dac999da04aa5b162daf6f12cb2dfac47f7bcf38521857688b7a772b757aaf88e8ddf1edc3a3f89bda9650f2e212fb2c8e7dc0262f95dd4b428a384415d381a07306675ea497c7cdd619edb9c6040a84018c2c0b4e3b47c5c54342b165c31982c05be26747507f44af1f8a17bf301b91b6bda9230002858b34b9eb62b905f06621e676212f55d45d8dba7c3a1802d6025f79ccba967145256db471d00650df54e16aec876c6322e1bc2f447b4676cd9c8b7efa55f8f6c75d99372b2add93d654402a9416f4781796fa4fb3fdcfb38fbffea7ef7f04be9cd7f9e27f64fe4bbbf121bf27f0bdf3f80efd766bffda0008010203013f218bf2a8cae2a372d29330b065f4b97d18f47a10b2907a5319cf4394a74ee5f4bfc8c5849c1132dc4f78f494740bb8947f07f11e8aaf46bd40d40983a7ccbf32a8740e58752baf12a54d6812729d5e8e205f530e91875328ab0e97973774547f19c541ca22fab294b04dcb2074c9d87e211688ae0a25d63d2045b2e0cc70c4562b46584c2f79cf40c5312acd3a5740934c474e95789a85409a10958e8474f3d05f84c6d1c170af4b368c1d484e99c86a38f40aa8f40f5949cc30cba4b30e858574197a1e9bc4c1b94612a0f45e9b2158c2e67d28e252a2e1299712693022526d3844017d48b96f43dea9dc43be0e2c144bd6fe361644a731f9f430bb0a9b3a2cc408f74b70bf329e7f7053d393ff00834333284d29053224a8437838428899941f81f8314f45123719be929718b1b8371fc2ff002c372e1164a9625e0db894425cc4bea45fe172972e5cb8bd282dd54b6105badc1e9715125535d0beb7faaf4a952bf025c61d01eab1983e8b195f9d4d1d461d5e65397abffc7923d09bf55b4d5ffc7fffda0008010303013f21866a5c3f0a61356040a984a8aec952a54a95087a54bfc150214094e853345a952ba2a6d03f00e945e85cd43b5052896e86a8623afc36fc0212f801d3a20a59042c59e86984ae8c3d425cb2007e1afab21d096cd4953d1ea3f19f431e90f13de4be89195b2ba1197f04f4c30a08dd08cd43120560eb8949bc4dea6163a8bc063afe028f4aa4509521bdcf5471d00615dac56e0a5f4cf337da1d7748c190dc38c55a88dacaf78fe217654d93297229858a8c1cc198aeb5c8846f980ca0ae82c2de8da0c446a3d36943d2b18bd45b61926798a215d069d3815285328ca57847a5219df4a3a1742437375b8837398fabbc1740cf4664d50b04acae4a8a3ccad258b1b206eaa6530e8aeb3ded4232ce691f81f30ee12b5cb16cab447f0f34608a5a5be63bdfe92584751793ee52c87c7fd80715ec7fb1ccc26bfc15d78a2a3641aa49809b845e431ce17429d32f4f3f07a5cbeb7389e93d0b47880c7a22cb414d1946ba5f553f2c8837d0a49e519aa94ae2a98a5a27e06c53f0a64b2afa95514e1fbf509484ebf04b255d04c4b7b4560c1fc03e47f3b1f834401b810ebb788421712de83a5fe226149a7e078a0e9e25b87515d2fa5f4271349b4771e9a469d4df18757a109fffda000c03010002110311000010498d3166e2d5968b2ee595d3269efeac56267a86a4ebae841541499143a2fa471539c67cf05ff8677a3644fa424ca16a889a4eb3aee39a122e38709c212af46ddb76c4aa87f468b46ab07595c97130dfd1ecc92d81c7552e0de2bc52feddc0b2dae3cebda1fb4d83f452831461bf225bdcdb38f3c3745c435e0e56a0f584ba2f66093abd730c9ad11de92ec1c4204909f35504c5c83cc3474af5592e5eaecf13c53bfb27beffda0008010103013f10a01a6d63598a747619b2a15e3707c5a59acb0207dd46e34695b05ea871c312f267509517e219a611a0b50ff0a0a6f57b0798902a4b0cd2d570210814c01a7d4c09059a155670d1bee4484637092f0ec12ce6336c593ec51f065e1bb641b1e51cdbbc22ec0a59ce799b77338b12b14aed2e7668b5abab612a35cb0a109c2e50775d99a1990b19018e6e98ed991b6ec00d0e72415050d500f40cd608b87c05abfa960e0d615930c735f465d7b79987859d6270a8c70ccfe63340fb0cfa44a05801a864b29b235265b2081d9537e2ee18f6a8e19597828be732c710b3632f94efcc734c789c929423cc6b7bee554df6460b06914118280d1b3b1ad579609ab5323505d34f111ab19652961371b047b1a2894f262a219c2f98d78577f333a4bbc4f471307f4b205a620bee3ed0c341838e0c4b39ba6300e88ed2aada73eefb413165b5477881bb06ee5c0da21a3ebb3cd73dbc8d94a094a614deb8616f62d39b47acb51bc06da883c5ced9a8d6bbbcc45cb5d128ab78030e45ce2bcad55c1a2a2f0acb576cf598675d32b2d9d856e057149cac68d191b65cf06553a817affc800fb10dc39cbe6b7f3846b4c43d0f0e7b454805e39e083bcb5dce4b5a3b575627ac455ec5ac8a942f31aa2fa94286bc587c39825b128a4656aed59ae333fef0ee20425fdcbd2cc12e63c84b780eef78da8058589f0b5757ed3588c58063f7f504d466050958cdf79586c97a20371906b2c7ba412231358442b6391c951368140820bacf6890975168ab7b1851e613a97bc97961da40fadb51ac0a1ec9fa98211b74d32e2aa676a9ba566b83d1c74b74833f2d7a8905499d8422634771b0367f51c58e5e2690142ef8bd80a989148a6549933da35ce84f653292c358b33ac4c0ba95865897b2a073d68c0abcaf88548c62220099aef2fc9802406ebbbbb4b58c6ef7533901628b0c7a04f521aca99c50f86777361151161ea1f771491a6895ea593b536b51e0dc4576bc47922d0c2dc66a11281860032efd628a46d6a036f17369bc195cab699dc2091612b4ab00370e156a06ca38ef07711ab3a2d81ed2aa11e266aa8bdc106b2c64d6712fc4130dae2a96d1634f6653bcf825a0f387e650a9ca39c368fd9507fa35a1d2571829e670ef0759fee4ae1c46405d85e90b6b88c2cbb0594f6d9b83177f5197a8c06135f55425f613ca5fdc226c056cbda0d8311234ad05ba29b31b9e65b204d0146ea555c48e1716429ee84a90d52b080b77f32af3b29c8d6a64dcebc8aa200e1cf9cc7ad650660d1ad8a706c221aa047a942b5bb35021572b2eb6ec1f744b4856a317ac843b225915d20d2cbf03bd30e392c8a33765fa546c1a429b9571fe1652a179a205aca467235734963c6bf48768cd5ee2975f71abb501a06f358cc3cca7883b0381bdc6dafb72186007456a8e655147d960080504b400607362e498c18be22ab6227679a7d2385b98b7d45a7acd1e4f044e5a14ab4f55cc781ed25427922a80a4c2315914fea39f4456c237bdc229940a0f3e903a34c2fd9fdc70a5d0e7c08d6995b3008318def128b1ab818b6b9cee6956d641e71788b5602fec07ea3abddc1ed77f7090cab564500d2c0ed8c96a0a6eb1c4a96b2d5aa306e6ba2ad9e28c625f82d3e27a23c9a3fd3cca2041644e653838869f956112334a30aa806196b114ecb1df19fdcb20d9da0c8db35d90bfa8d3e693c14aaf896feeb7dd980e4327999c7ddf1102df309384c6ce02ebc5d4cc408d5af494864959bcd8dfcf9943590cc475cb5062372880143968bc414d949805001ee172cc69d46940fb90380110ab662dbabee276490235d2db97bc0a5cc60570507616c06fa2812c368ac576950b813428d17ab816b95aba0a6bee508bcc234b1639f0ca97823d8ff12e62869ec0d5c4af1088b92534a7b54a8a293892e8899e19745ecc8ec4e21a584a112674cfa42982bc60b1f2eb2cd10474c7c8cac29730795bc9e2cccf1e128c9f30c0aeb0bd71cc5d5cc521898670f0b63fb86b26e9750c15b19e224e0b64bb41836ef0198857880a7415ed1a5611aaac6c0ed11a9171b3ef2fe8c5487228678970746015b8e3de5b40fd8bce0a8b01eb1f1fdeed5c47a382186ea786f504a01b52207425fb8caf8ab530f7c7ad4ab0ab88cdb8d7b431d79bf90ff516129749302cfce1a2d91cee8deea52327b1dbcd5c42584ec1089e8db6657454a5744230353b1ade6242e53d958ac01661cc7f2996c96eb02fc449efe70162565618ce894d4bb211e10c45e808f916bd20b7bf23d30d225a0e6300352a8920b6e7163512fc09756126606b94d313e11d9da2c1de5d7d551390c7f32b1e9772ac8b0f5192a96a1737f5d05870774662448008b14b790335ed041f255ecab056de4e2527f5086ec011704565d017b105d5006cbc1f62fbc10aa86188c9e664ca1b8846fda51e7017e865b7cbede64c092c0f99c8e05808336acca703570c008aae1a6b091f3a5c614d79ed0718e439cbaace480b29520e16ea6b4db129c62c8a436b60716d7df68b06e35e78cd0beec0e64a136e33c893d4092d77282e9c6d20dfa894a2cad98dbd012dc9086187ff0052f3163ca0b816386f922a8398f2eeb8986cd9a5f6399840b6f6f6825ecc11561b7ee584a94376b1c8e35de5e5a612d2a0a6ef4c319da41cb6847631c9b72e7c4cc02e35f337507ac70c033b388222702bb6c6aebea0c1e2944d05b10c091d5d88c772195156b703b11a0d3bdc0fdfa427d4cfe2061ae90095c40181683be0a9be0362fc9c59298ed0015a6bf988d0bccb3be6a3bd12acd9ae1fee040eb05736a5dc6c8531751eccb135dcabb60ab5014ac5417614071781c047e6920ef7a18ee469bec0561792ee562e62c447b24a42d4170c11a605ee8166bcc084033b48f882e6231fb9c68173b0f7c43c3d861c080773129758b4bbce66a26222fa016fd44a9257732735555712a1c338572bfdcbc46eadd15f9b28f3110158a9678ce55688acfe7c0454b1c1c9c9662f4e21f6179f4bb14096022872290e4c1e51e08c3ed24dcb780a6562e38f58d19464f0de61a16af7d0ca7883796fb4bc205a610eeb1140979832d936d4bc367dc2994ad545f62e95b7f48b1466b257d665e2cf0c36358c3cec82ff00242d602df038f31fb35595195576acb118cb8a08231b360a7924bb7a3a0567cb348b556179728e825adeed65c4159ac9f70c8e14952968b22c232a148cb4a08eb6c6397115015600cab1413588cef8dbd8960804fb9d0b358b2091cc95cca60f08da32d64bfb8c145572c037e92b00b31eb1f52c7018a99dcce0f2b800aa65a8e9d289c2b4afdcdc3e4b7e3262e11107be884ef38550e14526f9c32c9ca1d0840a7813850a390ecf8dfa05a94094b4098453dc44eecd14e0cb0696cc569141d2ce45a234291a016abd82374888072856f59a3949a8aa0617609a98682d3015c9516f8f1c083441da5aef30dcb0c787016fd0443c63fd416590fbc7fb168ce57c5470a6d6b14cda2eb6f4560901b570105482b037373ca0e68a8db3c9ea7c014d89c4b6091cb22bbf270d88990c0a8525d82ab6119158c5c3aba2b4d20439a58736a1631aafc8e598c37b3c3f75fd93ec63f93ec9fc8768db021b67f2bdd3eebf7357a469e9fefd2573f92ee84e401fce76cdb3bfffda0008010203013f10bae891832fa2613de765052b814b34c4375a4738b0e85c589b74189599dc886a1cd018a887e223cc551b73036f32a74209bb972dd290e8c35d00e61b2744a6b8bd282c296199c1be9c10bf83815d19c64c32caf5379053316d444a6589accdc805ad9138883cc2e5c76c7abe5629a8db26d1df4194c133c48d4cff007153172ed2bfb21d378b51d2e5db63aa9bb154b2dc45f42a971e2516623a21b4a1f73c88dccc90211bc58b210620660459650e8cd2c6a28798d76ce25c062533cc171c463e33eb08c19844e60c8f4dc32ce32cee14d588d5a82b643361d3975e09508f78353a985bc41f70ac7736dc7ed35d026a50a1ef6ae6d21a72ee59560cce0012caa4d70ca96956c44b770020d88af310a18c55cb1d83e3a0684a03de367c930e99da0054010e12eb50155104a6e52a305e4984b7d0d421c3d264a9b40a9335335732852398c43804cb304db20e68622025670b291cebea1b6ae16d2284205cf333d914200ec9d41ad39377889371ca2902b3d3296040c558954352daa94e03ceaffd8aae50b772d72e20da2d5231847cd673973f11aad960e33cf8b96c943f3d1897441b9e21c05c4b412c290822dca60b518e2d30480d712e4ad66a6254bcc45462f112a1a6b8f7f68b4b6dddbb3cdf8841f72fce6885d9312885acdc64d3f51402b593eb6fa8146df48dd116a3b32ee5d449b892ec902cd5298ef81b0cefda1e8a7dacede678465532671c0538328d44da5a494e40951a969512259398278209967e60e0f88bbdc155328a86c490a2497a095537d0bca9531095314f10cae619771017861cc9de6391930c81b8a988e8a71d50807a5f530ab30a759a0f351790e25e6fa3ac03bfd47370bc3a542acb8e8827a493217789c4b12e66e3dae8cc000ae98a52f49d67a248b9677394b5256a6d158a47786037380944ca1150212e54c41f267b4f074d9532fdc7fa8f88b302320bd3a3142e074210dcfe7886bfd879a6efac3a3f7bfa9b4da689fcda8ee3399cf421d3ffda0008010303013f10196c0a4cbf05c4ec9576848ce21ff17058b9fe6a6d18f4bd612a99417d11b80ed2a04bba96ba8d73bb802eae347246ce2c8ad1c8f1da3ddb3529c7486060b12a3a3025e451322d425dc621f620b88a3532631fa85b3a859ae215fc204a8c17d572f95706e54b498e1175d4438110975320658e0f089844a83f186b886b32864d262c52e4a58704b993262b29e44bf398eba0c082d8b52ea399138a582081ba83338299819f08b5177e960218e5751a92a1c316631b2751e431f5dc779f69948097333652a425c806a138165df0b8ab1c432305e71af4889b8f309b09b40b4257ca72182ab88ecc17ab4cadc4b02e5d98312b0d206d99475a4836db14a4d5f3fa4d22cf456cf89bfb32c0f597490bca6220f58db97ef99520afd4de74e85931d2a8a665daf6838948a82ef20fea1e91e677c051c8ca03484e2a097ac4f2508c0445e772d462336bba5b352b398e844a5951453327986f31e1f30506837e91dcfc4aec40c22a15890d5228909599a837c2afab01c902efda0ab67bc73ff92a5d77958982a2c54cf52d00387a2517918622d2a5d32cb5aa80e5b80e7a389ca4f872883fcf32a2addd5b02b351316a1c19532aa7799c12e8879bc87ea6555514e1e32f996d6eb9e22824824b1a080e8a67731d19cc17e87eee680725ebb68e6531a35ef3c9a02265948941328dc77320bc4417cb2f6f93b77f981cf7c7cc64440f3aae711d438b9942355c8c7156dd997f90b4a7e7fc400680f1bf36f9210cc1d9dfaf78cbbf3351b8e4840b8c6a66534a0368ebebef331247078df985d22ab936d1852dc45a84e72336ea5c7c7a16f533085198acc4f3436a5a771fa971d6019c301711920312d9a552be6cddd19ad422c8338e9a97d33d33c779e832cb78830a132153b68528d1142ea58866dc450d42bbc1254d4ee3b9eb572adc6a64891180ca08fafe7f097365f77f538a9572a6a2fc45bbbea6e33e9d44d319ca8c6211bed703ba92c53286510ca57a5e22aadefa724b08cbc63311755c4c4044bba0e8c4c2bccaff00188dbeb8edf1153d713bcb60d147437309a8639e9a985b449a66765660510dcb78a27ddcbad86c8b3744b3995d0044a88edd328d77e9236cd3b9b7a19fa5fdcdd349a93cddcd99bf477d0ea69d1fffd900', 'hex'), 'Education includes a BA in psychology from Colorado State University in 1970.  She also completed `The Art of the Cold Call.`  Nancy is a member of Toastmasters International.', 2, 'http://accweb/emmployees/davolio.bmp'),
+(2, 'Fuller', 'Andrew', 'Vice President, Sales', 'Dr.', '1952-02-19', '1992-08-14', '908 W. Capital Way', 'Tacoma', 'WA', '98401', 'USA', '(206) 555-9482', '3457', decode('ffd8ffe000104a46494600010200006400640000ffec00114475636b7900010004000000500000ffee002641646f62650064c0000000010300150403060a0d00000d0e000013e000001ea900003004ffdb0084000202020202020202020203020202030403020203040504040404040506050505050505060607070807070609090a0a09090c0c0c0c0c0c0c0c0c0c0c0c0c0c0c01030303050405090606090d0b090b0d0f0e0e0e0e0f0f0c0c0c0c0c0f0f0c0c0c0c0c0c0f0c0c0c0c0c0c0c0c0c0c0c0c0c0c0c0c0c0c0c0c0c0c0c0c0c0c0c0cffc200110800aa00a003011100021101031101ffc400e500000105010101000000000000000000000502030406070801000100020301010100000000000000000000030400010205060710000103030303040105010100000000000100020311040510201221311330221406324142331535233411000103010503090407080203000000000100020311213141120451611310207181912232420530b15223a1c1d172337314f0e1f16282b24324a263344474120000050304030100000000000000000000300111211020314050022260704171130100020201030305000301000000000001001121314110516171819120f0a1b1c130d1f1e1ffda000c03010002110311000001d0940fd5a7e47ee818cf98f37b8533bad92e9c71832e498b56d0dcfb9ad91126f73f6d7d5b1e08bad7b22aaf99d51fb34e548f5aaef2fb0a13142b6ebe4233ac4fd099d666d85726a795f516d1b8f492b64b556bd96babe69584aabfa5d580c6999318133346644d020b00f048db952adc0bc5a8fcfb7388113875d680e56bda9f5df362c35d5a6a0d55cdc9acad370a36bfd7a1a06070cf006586120a5ca0b58a975392620ba4fa48ccabf65fb539d462554449e24f6d2d65955a905c3309004c0c0b0de6e0848316335598dd5e3833abb1b8bdd374a93ea980c0aea0c0921a4f6a7459a234b632e932304c8b0b2ede442a71eb9123a91d1e68e7f9b65681aa970b97ed5e03a59dab0412d6f97d2d0d576e5b85ba0b8d1b0340c0803099a821d799a7a85eb6902e873751754be172babf65f3bc5a4dc9e1354f99d1b1aaf1eb265caf43193b312f7b4a97f6b390b606b40d2c1345da401fe66fbd6e6d8e5aead52f9ce84f554dad87e2fa3b58728c31cdc5771a6ad633767a8ae5d9730a7a8e910e81e61ece4e7b4ff2f5eeb73ac1799d51c9ae73ce3e91d955af39ef6f43e65d0a111b353a9a370574656c8395d9ab96ecf005d708164535bc68bdaf336cb84b5526eb9d8794cb54970e2fa87b9f767e8a8a6755841f20701864196f1fb5103b26513c3082de473d9d53b5e4ee1ab7e52b78e7a0dfd2e44ab3a7d427c7ea890b5061f329d0bbb7cda58dbf33a787ab85ac77688fcdc1ec71effd0e45a75722ea36b38782fd9266b35803acf13bf6ee7375c60eb683a1e96c4c7d3973072851f04bb61267a2886ec79ed235562ddf9222564a3a455bfaa23ad649e63e93ada3c6ae9f78fbe4d0074e6c6ed93341b5ad013b2e419efa4f2f7d286ffad16b8ec9f54c7ab11f3727553765e57f39f59e9a43c9169539ad4239b3dcf49bc43605086d00ee215fed706f999a46acb5db5249958de84cd5ceba000f45c83c8fa6eb80f3bd20b708e399ade59ad4663668ee03174b51bbbc392c73ec589a96ac9dc6ea9f9acb761f2acd8cfc9dcbfadd144f0ad277cc723aec7c1b11aeaa27856744e94e426dbdbfa3e5661b9a4aab4bb926e33541b1a866196197d43b1c4ea7d606c1c0d2f0768cb8a5fb09e863cdcb01c89894d2f4fa47a3f350faa1772d59922a55ee576f7d209b522ae88b74f9345f4d8333134bb1621a5e531a5dbd0a4619203e9ed86e274b37e26964c64dac85ab959d45962895d6fc7788b898159fe3d1fd2abe33b3a133a047d2f0c88b7619237090fa4698f3bd733cd3f0060a31a5c66e5c66faaa996bad783d8f585120739ce7b2a18fb716c50088a261bd09332ba24dc3c19cf2fd438f3fa2c5ab74c18ccb7eb254cbe44d08af1fa7a0b2ae6e17308bf51560fa86ea08273636d2fab7edc556e4e1aa7f43c57468d0e87c2d40c1bebd9ed2ff003bcd3733ffda0008010100010502d0697b742da389971e4b96cc15d5efb229cc0ff73246b9ed92d8892d8c9ff3c51f3db476e5b25a0a306f9642c65ada5d5c4b3d99acd8d9dca4c74f1b8636408630164d65248618df6b134072c4d18b8b5a2ca46b80df9199b1c58cb192daca3883d0b0e4a4c5c6e0ec4c6d12635957630157b8996551e23c4adf9467c946d9cee128edb4ab2b517994b88fc8d8e300009c9c9c02e213db54e6857b6e6586d1f33c433dddbbe078922d78ae29c28307ed91c7a30ae48baa9ce4e7549e89cee8743690bd4ac9a0585979596b4545764b21c5cad0e12973637aefa49a3ba878d5b42266728feaf04f141b02c9d7e25b3cc6db59ccae882ec9d2757cb40f9681d7345e5715c8e81c15d4a443f5e944b8ed6a81421f336fec6491626dcc42f64918dbd97291b6eb259c06df377f1496792f96aeaf9f0b6e73591e6dc96524661ae324f337799c6e5b8e89b05a576029b23989b753490d83db22bf33b5b97c37d96e5aec24f028f193ce7ebd88f8b8ecefca8e5b83987ac75d7d8e3566f374cb83421be275b4a031af40e8502aab251dccf7d87865b6b6255c63e3b94efafd8d6cb15696aa265197d6ac9a56d8163a264ac4d68ae5dde38e627e45992e6b102aa8eacb764e9bd2567109ef6a9ee608859dc36ee0fc5972692b4c64b42a2bd644f8ad9d33e0b3fc588a0f55d02b09db5698d3ef3df717bc239e67ddcf71659382cdd9ec9566c85d3c174ae16770278eaa4844a8757daf40d72e4b9aa68d59a8af7e2fd365bb38d9595b9ccfb1b87b6b2b62f9fdb7f6335cbeded5d037c655ab24b79ebd66bb642d839175b5557a54a28e8d5cb8b3eab7a65b9751cfcab259837eab9a9df1fd78b6da3c4e35b1cb698a8656df670cf64f7cade40273bc92d8b47188681108e8c4e67387077adb1cb81eff001f211b782b8c9b98c7e46d254d6c721642c2c3ec175351adef62f50f50b9208e8c59ebbf858c94fbb0ff00632d6db4ec9d9c6a2e2c8ce64c6480f8648842d591bb82c6da1b8f9912b27f5824e9e55e442608a0a26b5adcb64e6c94f275d313f62bbc5bf1998b2bfb775cc2d125eb1326f23bc8c8db9ecdbf357b8f88c562e56b251d0c838998046e9807f60d5dd47075cc97c78b71a993b91547a2b7bbb8b47c3f69b9567968ee109dd1b7ec39e65cc585c73aeee4f4533e89b71456f92a29f25ed7643935d9173531d64c8be4406f7393d87f5321e2f79ae85382e4a8104d0bea9908f1d70f82dee8de60e7736eedeead1d0dcfbe7b8aa61a895e2b1bde228ce4be7659993763ae2270d5c7421513535596427b5c8c1f2a780dcbb9437e6564df5fc3deabefa9e4181ec9ad54b3b797e500763ffb5bf8f18eb1c8c1e19a414716955474a201057371e3970f2639a3c934c2e263048cba92904fe452b61ba8effe836b707eb9fe7cff00e966bff05da9ff0021da7da15fff002e2ff924ff003b11fc98eff46dbfcd9562d7ffda0008010200010502d8e3445d5d00d8468d29a7afa04a24b8ae4b9ae6b92aec081f41c9ad468bc754615e254d392e49aa8987d03d4bbb00868753a075103540d0eda68deee4d55d4e8515551229bdb6bfb04f726b90d0ea7588e91f6dafec9c5355112895c917aaeb168cedb5fd8854eaf345528008b7408342a046899a0edb4a63ea89f7393486a3282b9203926510e29c188a677286f3ed7feab822d544c6f4ec6aaba47deb57ef91a8f7680aa9ce099ee43a07f7d289a543d5c37c834e6b92017146aa88843585bd37bdb55280dd005508bea8155d9132be94a8209ae0516d17145a02f6ead141e8b86a1794a2750a2654fa32ba8139a82017154d40518e9e817271aea59540f15cc2e5a81c437b6faaa9dde345b4544d1443a9def93a7e8c1ba9b23e8abb827745fa311de7403a7e482e61731b1cabed8c847d18868421d555725cd07a957ed8fbbb51ba3ecfec3b9eee410d3fffda0008010300010502d8c6f241b4f42409de8815428002805c5715c553572288f41889402f251099791072aae8884fd1c10de3a0622740821b084f144687d0726a2a880402036152e8eefb5bde89a116ea34086b28d1ddf6b3ba684740100805c1535974777dac40d157a462a8342f1a0d459454442a14549db7b7bdc4218a9ed8e8ba3d32da8885249d427f3a33c89c13fb774778687407b51364a2f2145c9c7a83d2a8e87f16b4361dec928c4535a9ac253dbc4feaded445141bc8ded1addf0b8a2831358bf11e4694d635001553c5114c2aee4abb7c2fe26ae72fd2372797141ba15c972a82a4938b7d068a9bb8f804c29ebcd22f952a6cb33916947a68f353e84668eba6736208a6c4106d1172e49ea67f16fa38cb7f24a54f02228aa9afa2e68a2a95372de327a0c6d55a45e38ce93428b5712b8221156cca9bb772977f150b47245108f44e6828fb57309ce4c88bd4cf1047bdaca2afb98fa3aa8e8539ab995409ad09a164855bc571d69b3f72b77738f47e842a2620af9dee751a9dd550ae2760a2e1eee0563ddd0a2d55474e280416424157a0a9a16aa2e282fdcb1ff939053a1db41a5ffe48f6d1c8a0bfffda0008010202063f02dfdbc926b8abec4fb4c69d9b7c9f31ffda0008010302063f02f4a49f14910a336751d8b7339290d645ec190d9bd90975d1b0e35c8ea3030258c4fdbb273fc4a3a10a852562e70a4a5d29639485216956b938d2095e24a27dd67fffda0008010101063f02e662e91ff86c68a945ce706906b47774845cf95b2305cf165cad7b6469ab738b3f82b2d63ff106caf997cb1f26469a8d8762d3c97010d0eeddf4a90799b98ff4d1aa38b2ff008dce277d6c46137b1943d489f1136377576a6fb0716daff285c79230e26d0f757e809cf934f5de2cebb7ed59a175fe2afee0aa59981b246e050a32ada10f6a70ad8ff038e0429086f8728b7a289ddcae6a06545fbca8e28892f36cf2bbb69b827323b69e3936a6ff00c8aa0bc61ec0b736532582969b7604ce2b32388cd92f36ed2b30ed56daa9942ee8fa15d4dbb178457154a772972cb97336b52d1891b50606d183c8dc56692d3e56a8e94b5dde1bbd8333fe1e9cd4ef3804d60146a000bbd83b2121edf0d13812ecc3ca7f82a96891b5a7ec531edb88e713b1677db23dc49ddbbd9dd949c6e4e697671b1f8f5e098285b427baebc7389069bd39d836c06bee43673ece5a1b93a271ad7f0dfb3729b887b81f48c7bf9d253122bda98d7798ddd2ac356e0392f5e314c79379e6d15458f65c0e23626b9a6a331a6de71ab33b45ed4e95adcb93c112756ff315961706bc8b1670f320c42f165070a8438f2bba2a9c41b0016a2402e7609d648d186505011367326d70a0fa135ba97b687cafae6ea4da58704e8c0a6f0b4d18a55b1b7339b89a73aad7655fec558f748e657eee3d6a47b6e072f6273f4fa63a89e948c5c3b519755ea9c007ff005e2395adecbd3f89307486e92a4b935a1ee73c5cd015350cf9c45a360de8c5a6b00b4a7b9b9c3bc81bfb979a6a5bfa7923bedf8931ce8ce9a56119e3b9455dbdd557d81c6b4098d183473f49a285dc26ea627bf89bc0aa6433538ad273d3a558be7461df7af59b208db8d171218435eef3629ea4ce2c2bbb760420299b6d8ab8ad3babfe66ad29b9b47bdc3a90279fa7d55d240df96e1d8e0b712aa55e8ba67801a9b331b958ef0a76fb2a8e519c628806ebc72576274937874c0ca06f0146f9cd6490024f4a1cf3a47d9c405ccfad1e11ab5872f62732be155cd40991839b31b1a98df48d508648ade1cbde69474fae0c8668cf7dc0f71dd09874d94371778bec5c769f9adf100ab73b11c84386768b4c5f16c4d662df121cf74da02ee3c62cc9e2e90b551eb9e5da98f54fcd5be8e00aa5dc504665140c7652478cfbd710ea7f5339f36c546d9d29d4ca731ae6aa113a8fa5ee08aa5f1bb62aa7508329b1ad40de4fb0738dcd153d4bd5d8f3de90b6703ac83f5261f84d5658ce0bf53a4f55769e6cd4e1389a53aae51bbd4e6999a8e27cc71398500dbd2a0c9eb0dcce70cf495a2a3a159ea4eae7f0c6eceecb93757153706368d0c67baed45b21ec59a500118723dff114d3ec256569998e15e90a17c8690cd5d3cced81d71ed4f8cdedf72b42b2c45b23330594e959506be1b7dc8bd8c0cae002cb94742162ca2f7fbb900439ef373f53f2e2facf6276c2a1d2eb5dde8acd36a0e23e17a0e1d6158adaee46d6ab458aa6f4fd4ea5d9638fe93800a3d5529c619b2ece51cb7f2ba699cc6451b4bc979a0b119a5a36bf870b4d5ad1fca8aa14dcd5d469bcccc40dc84f04c1edc771de89cc2bb11f3515765c8bdee0d005492a9112341a53481bf13b1795a561bc462bccb4af172c79b339f21a32260cc6cbeb82f517b7420b7865a739aba972f723cbc4d34ce85d8d2e3d21535356ff00d8cb47585dc9a396bfcc2ab33e58a08fe27108e834329918ff00fc9d4ed1f0b53181b58a1a3e776c03ede652aaf57f27163d4c7571a32478367f4a64675cef95157811b697ad5174da8682ff0019db5f72dc6d1cebb9642f88cc666819074da893a37455f383459b48fe37f21b0a2dd440f88ef1f5f25eabc9070751a478cd76379c54b48f4dc3e10cae17e0a7ee4125be0ebe84e8df1f0a588d0c7b3772d39da76699a0c8e6e29aed5eac318c19a8dbf2fee4d6fa7373c8077df27848de427366e03c37f1a036967da1712360d33df73e1bbb2e59b48e6eb19834775dd8570f5113e17fc2e1457a878be9d13dad92fd3baa0762caff00d469e5921ef5b65ca70fd64f1d1d52f1b9dd1fb76a84b753faa8e785a592dc6adb0828ab16fe74258724ac3649b028bf51ab7cb296e60c1bed2170fd3e310e95de19ba70eb5047a19449abbb8ee167dc7d171c6a0e5aff00b9e9ecbda76b531ec7cb2b241f2e52681db9db0a306b34dc784d8ee252ad3bfed464f4dd63b4e4df0cbdf03ac5a99f98e4cfca77f6b96a3ef9fef62f4dfc97fd5cc1cdea5e99d0df729bf2cff72d7752f53fdb12b57f7fec52ff00f38f7047f2d9ee5fffda0008010103013f218741a8d10c55f4fa441fe9339f74ee0159142dcb8bfd44a1de10a714edf2454e58eee0ac36772205b0c5d8654febc7980bcc3fad457028764f1607f5110a6fb0ddfe350331c0b19c3f1297ef5db9785dca9f359ea3a54a84124232b45f98a36f9945629ac7ddc1ddaa945cf631174ef0287e42fe63a753b163bf98d35b09bee7c4b1a4ef6b81f994254fb4b3daf312cb08fccb2ad66ea2791dec20d867d488ac1dab33ca97c5cbe0eb63dd8771067b7334e87425465efd6ad638506d751e0b7857b3c01d8259d76a95cbf30347bbfe44aa863caf3c777b4a8a2b86d4284e2f657a4768a94a615ff50e990185e070d7980cefc725ef668f898a80729ff25d6d61ce8e9a8ec269310eb5d496b42e70d0f6ef31886dec7a4ab81812a2692b39f10cc1b41638943857dcae2593159f977fd41a0001812de720af33460bdbc7d222e0d0b63b12d1babe41e901b1aac33112a74954783a74cee0f0c41689babb7a91d07615d0f4d3ead42b8f985f83d3b7d222c18d2b41cfe2585cb6555f261a3fdf6949be998e9837881b9a625b7e9289708c42cf596036a59b0d8abb728259bd9bcf678875b8a1454e4bb01fe43f128c8cd2c5fad46f8dc706f7114bdc40e832fe0af6fd4b0447b45f7cb8d8046cdb0e4970169a788b9ad5ea16fdc46da8f7280d61f7843a6fd23062cf7bb4487abbb9d08ea644a9c9cbe22bbacb4325da2dcf90658eda0ffa54d7931c5f198b997ab16ee1660500bcfa46e2eb421f14622c00dd820f77ee5258db62de868983b12c6f788595e3353e585d568982c985ba5cbe83c2977252af9c68b250e230e5a8ad5ed398ba1b3cf64bb19b294ed90af784df62cc55e8577cdcc4521a8159ce5329a3ca544397e68e0b980abbc16f3c0d7ac51757638503b31cc6cec1fe9339655ee82a9ca2f7c54431a267d25fcf4062ea57691134c1f9080c8a069b67de51dcfebd610a056d3f8108eb1eabe97709cd0a59a7acd4729282144cec89b8b6a984201556abf86bf11c16a57b7a41c5b07cb28d2845f11f76650142d81954211066c94b0fb982cfac0a26c7e61af33c470d0f4976c652702a7e68c5b0ab6d6a8b8d977fccce5b66105c4354ce93999d142aab985c50550ac3e08feef04588aa146065a5dfa661db48d723ad779c526c2bdfde23a1a06325a077559a14d1d9b69e2085ab376729d7bc161817965f4501e606a0c6908710c2fe94c8a8151359a4728ec776068780f422a5e25466252348c041a8e0978340a5f90a9c3890486128ae6318288539013f4cc6e61d55c5bd26e50ef45b742e60e40fbd65fdd5a2a2cd8163588060ff00ec4fdd7c1ed048e13cc880a7bb39a0dafaca2afb4b740583a2cca6e4fd2173e7a0bbf670b998c0aa17933bcf531e1f1460c28df64e5879435c95d836a162995e5722016dee7be05178320f7d5bda15d09056fbdc43b0ef1fb86878e23d066b704a86a03e8227e26676170dd91ad26bd804610cb84e5699426e49430a6ca8799c70ef11945c83c9dd82832e35fbc11639c265b0707fec55c583fa8a83060e0c04328ae39cc11cabbefadeaf48a89ffa4d617f4bc6fd3f31cfcdd730c7f844ec036c07bc2871406a29c8cc6582e206c0e3ba601caba8dac516bcb8f68e230651e947086509d45ea161c1bf5e25152d1ae1cb77860b5c8406d108fbc3bae09429fe2f203654fd80b8a5386fccc8ad320fe22cf1b1c0195809a4f677e81d8f5981ba57a97fd8ea190f31c3338e225693220ea52802d744ac0e823b25c1eecb76ca24c5553dbb7ee64741a768a8a1c25d712cfcd55e8f6182cf661ba8f90f6b84de89417b8dfe2393acb86f9a985b8ea3f40f2c647488c2b9f56220568344a30d6e301ebafbccce30969dbc441cb9801fb52aaeb1fedfa8e6079ab74bf7bfe76982a51623e7eeafb6e587aaf86042c22371364b732f6f6ef05d5abeb3b50f0c9cea192bc1366e95afe435190a8d60fdb50206e583db4621bc70686a3e5625817a83604820e535ddedff00ac6556e713cbefd2a0bb6c53d25accfdbe6dafd8cbfe15159738913f1d40e9c7a198d52e77e933b28252f65784216de0c2b3b07862a38612ef279098a656d6fe6f6a38dd88fe27e6589dedebf32cbca234376c8b5f8dfdf0cad84b614c737aa82260b0290f0fbcc6acad381874d54abf0e7e652bcfc468b78ec62c7acae8cdd36f82a2d59b2e65628ab60ff6c8d7c755c67259d864f883fab6cdf93b1d30ea894ec18f21c41147417b20fc90c01335768b8f022406c6cadd51fb4fb9773aa8e1b7dacf47fae6a6b71d751be9d31f69ece997daf9e93fc046b33afd8c27ffda0008010203013f21fa2942507a5570d44b3de50c0953d031fae83a429250807aa434f43bcc65847e87abc4e4658cb740a25c94c112ecca69d07ebc783a74c47a10eb49625089f495d090ef1622c745dc58a2c714229504cfe954750ea60e9652bad061ed197fe1874fa2ad439e8f24ae343a166532ba071fe0a5dc6b1ac4b373970388d8c16f409c1c26f2e0afa82c8f8ed2c515f136df29a4220876e8b3e614c4de39c18b12fead897175a85b2ca26b72a51b8651a47334cc53b43ebb18306cb10c339986fa0370338e84352f67f803eccc7116c5d4b2625cb39c7d2612bb778753e9cd61d3340a50c432672a254bcdcb96eba1f5ea659fa06154af727311a1e636ca94875bfa489896112a0434435b2ce23122c4cff6e97f4bd09ee3d2dd7460e9b1d19735003d187d55625cea5e2cd080265d2a7aa4343eabe89e258ad7d06625ee55d458236981fae096e13d709d7d23d16c58c5698ee09d1847a3054dcf9b0e7a9d0fa1bf0c2a54dca60d04957025e5292d4671d6badc7a253da1775589667995ce54e20e08e8edf10d7d7a1bb08ff836cf59a7a9f6cd233fffda0008010303013f21fa1d40150e8ce60f5e4831087d7726ba5fd4bd426653d2250c3e93a1b65ed11894e80bf42902021aff0010dd8b3d25fa518e96cb50043ea3734a873d194a259d00810825ae0dcc3ea1b860fa5a83d35d4aeb38667f5a09866b3700352d96c04a1311e84cfd66d0a0bc064c7b882e276506131b821d9868e8388b9832fe8559442f5a83043c944e0623355cb798d4066550f0216e057c7c54aa090a419fad32de26507744d65f1d6a5826374e51c4dd141baff03f62ce259884c1463995620b8bede8c25477cedadfebfc0ec76851ccc5705662161aff00e4066a59cc00d712ff004a8d90b883f7fe02877bff00a8350997a62ccc2ee30c59e2154398b7fe0a6ee84134152f10a2a6c47ebe258d658e220d3f842bfb2a235f65caae96cf43ebb9784cc1c662c74c76c6364b9356371b336984eff59d509773fd4c652ba2249d00b457309841198e3fc3cad43272e586e2d6196e6160d044aa29e1d09277fd7d0cbea2c4a5babebb6271e2674dc6f69de5f018a455cb47ac5bcf5a952a243599c41111c7438b00ee32d928dcbf8e8a8256bccca2a540e83a1733f1828e258b93a317089c7580e9bfc489b040e517eea25332fa15a62b5ed1ecc6b1316355931dee2c4ae8a9e9c73873e19422a6b89684b2223d9d1f7fbfbe7a7afa7a759af13ec61d37e9f7b1d9bd4dd0d4373df37e9fffda000c030100021103110000103875c26779b4b6d6118b605b47d3625621415d1fdb25cedd99af0e0877e3a4b4b360f35fc0b0b03c2a9e9ff1cabbb6b31a7de515cf495b4f02f8da995e4f0da513178da409acbd00bd74a26a3663ecacbca3f21821c4b667fe0bc2f265e6f801f05a6e0d5e4e31a15788dfba9415a0fb134f542f5520d01aef53e0818fef76742bb270b13dd6ec5f3a65671136b30d6cf20b5d9fd1482c26c73fc1e83dec02bdde26caf97bffda0008010103013f10832b2a1fd8822defcc7bbd6f072b1dd4322bc978878a3d211a6a2e9542ac39a476f314a1185a1dae4d6cbb0efc56022a05d02cb90270d22dd42acee06c76629415e6979308f2912d4066d740437b8e2dbc8acd0745b5be2e2ce741e3cce2a8b39b3307b2de547329742c6622306469595a56057a67d113d083b33527db067a37ff0070544147884cb99213596e8db44489a89434cc72cd230c8902a5302040706551e2b456d9ad3540bacb6ddf10cc2e4f8d1002871461b7bcad39514da034ed063df70d6c3985a85ca161ddd6611fb010539ecad2ca8e0825a96e08872d56ad29f134c7505aacd9056d4a379c78005041b1634af2e25986094c285517b5683b445ec9446850c8b72b4f494370530a82eec94acca0442a24bbca18a9c3d665b9bb042a90dc25f8c61d8a178146d9db12ed11ddc514666cfcd6731f50eec3877a63d48d52cde4a3abc6739ccc0e215c21ac28c62bff00213b789941b73bb51b7d08252520de1ab479cbf3059783a86c342a9ba1a78d3924dccdf8702b97711445a49b3b85c9ba3cf925d625787532cca81577080b82870cd7c1eb16003000ba65bac17605691d011480c3660c6202438078c40a02a50c8976037ccd0267863480ae08158c22317491c212637c84283ef08a840169aa01cffe21fc780280e54247662cf9e0dd8c3ec4a81529204b768bda09ab501ba0b664ec8576fb1b472ebf4adceada31ef02ebbbe621abf48a12e5ddea102f6ea1d897e901b1895ddddb3c80f319577501d2dc87ad577227905d2d3aa5fd82f7732bce673e2367379642d9983ccbb81284bf882bae309b2d735825f10ce2bb63200115685bb6cc5bc8eed6d479cbf882dec8e235b750a5da32c56f99615d2cc440d938a43797fb1050c92e9c3128c4948c12ba53af092e8d59c4a29375d48592e32c7af88338f786e1895b9a4815a4a92025ba4c72f13372ed6b11500b0b1e614b06bef9082d72988741cb502365a16a618160936d6b6a88b0945b4e63f0b1e81aaacb0aacb5a739f512349ad88406e06b3b7528b90b52da2ee55adcf837e8cda0182029792c2f88ab7b994a8568b2da8429ae0361bc33c9da1010561776cc03582b1cd4c602bd898476bbff00952d1f6f6bb79326bb4cb86c60d2c034ad60cfa622061909a02f96d318ce20e51451642f73f82c0de6ad70a54bed613158a20d2cb07fec3119068b6a814c79fec0f06a71b6b915e1fca61add1b06926cd53f8624d480b4e0d35de0f8385a5759318b6c6544a38005ad0b6ab981ca09bfd421ca5759d432b71671d9349eb0386e8ac418e03177519758a761100de74371d5d4fa3a8b00725844ed5aed2b07ae9b571237ef716cedbf26bd62446a66cc66ada4ae2076a879b8c8314df695854a246c702ebca7ad44915ebb00a381b52edcc682f7a86850077157da0daf5747342cc5e2ef8db00c08c6f75282f1abdcca941b8b9ba156b788b0d42d8c30c3ac5a19e8016f431339ed17a8506cb51ef211d05b6d3132f955f30280bb21783deafc1cfa661a58f76f8431f1752b2a35be40256c649141ad14657566e094b10075a6bf72fb1022d1edac6263ee0ce00f3763e88c0296c54e1ab4156b1032e3deab0e386e58e56f8d388697b6fda3d413da4683ab8d7dfd225adb0cf787a6562fde1334207117fd12f6aa51b77d19071b12e711a8f72d5731de813554f77bbeb2e23e097f1037aa0e71c01cf8994521cabdf22b512a370a6a9055e2318bc050ab5c1f0ea2e61bb92cbf88a0377de62039576b2bf32cc9690561b8de752deca42a410aac2c231f040d170cd8c36163778f72c025d732b01c6a78b1bf986663b905085b709cc173000237604f1306a0ae5d9bcc56e90b660b05dd5b1b43d0967415bae9c76a848235c69ca5eb913e1815bca1e4b0401b4be082bdb5c1ba1e06c654b862d322ed0ed513839710c98f0ba2a2ec39ff0093014038dc45e0a950f67e28fe462b477986f0fac6bef2ba85c3337151bce3e541182f2c5f8b2391bb50bb12b28236436d994821ca6282f7d8d22f50118e8432a521c4da60d046a6cac8002b157064772907b29a3be21983660a821abaa876ad156516dcb88e168de632e6cf3fee11b0335289100d242e9e006f3b8ac2f77cb92fe664ca5dfe6996610a6bbcc3739835752c2625438aca770bf04b71de40c500f1546ad261ece97e2e18629c0be069baad3de5c2f6a8fd3984f00798c3c68396c10665206562105040de2f8c5388cddb1b512200d056b106f0052612c0a2a51a36f64ce4292b18723c5d7110a802d3828dc5489726c4e1ec41649a7762aa1b530012b8546ec858a2102b8899ab99497800e268c80f8b897ce4a0086b02abdae575efb30cc1edb8981987d9984e8238359c6712cc0c05105db8e065bac819618692e08d41dd95cb82e59746ade8a1d76ed00d662eb38ce1771ea056ee2dbdf509ae1198c38d9f9203fc1fa22ecf199a0304e5b83504709aaf989a9fb521dcd961672936616fe199b95eeb132578c7c7dc963b26601c3e6b388b58e3105e5d9d0d878176d54a28896abad98adf38b8b0152c4f3baf3718a42cad6fff002583ca30fb71981fa8c777cf07bbcf08707f309dba17f14cdd343e6a5b4b8565752e2c7a5c57fc86d96d444dc53190dad3b3daa1ca741ba9c0029705adfa5c0ec5fc4cbce4ca2bb1cdab1ea0e357588fbc0bee8b572f21983132072e703e25a28103694d9b2be63562a0000e54059863b97480761780ccd515442581cad23fb1096b7270dd3da0edc46e0caf2f3ff3714ce1f9e6e13781de3641a96e42a9cb7f825813c04b55d0042e16f8d32d48631671e261294f3ea30559aa6adc292a94ea1c00c057a4ecb2dfce61ae33de3645cdeb0db41561f90dc1c13876db36fad48035a6b3bdca0fac620a6918db6afc2621e644faa12a9346cc40238868401035805f782400280a00e2a1d8b5b6fd22bcbd7fed424298512fd36a3072d12ff1e2f7106b1b29696b80a88f52b2f7f896bbd4537d219abc8d66b266268c3ce27656802efdca340aead4532b442299e5290cc1bedc1c959ed2b5e6a5253b8bd2857a0d129b0ea65a05b01ccc50a684b0300838041ec186d410ff007352b2785b4696bbbd42c3a5bbdd87235586a68c48b37d8bf6181dbe2c15b878b51a5ddafb635160b2e65bb9247d986fba4928814ab8a09c459eb6c35946b40e2a9aa51482a2d14ac5cd4d357bd64482eb43333000be154882f98ddcc4ae46624f7435712c6a162f72807113942e15950b1b3bebd63a4ba6325940b3979147699a6ddd7ae4958a6471b94309e6dcb6ec286af32a6913546d4600ec0186a20e001e513e903df1d97a5d50b3c92ca0552864ce77a8ad8218219cd5686ab9ce22c2e0852b616a870601e4a71694220622a95e5739a1da00c5535937250c36dd19c8c0732be15b4bdddd5a9f994cf893f0c1c3986d2b0087598d7905aa290539c3e261f18f494816f91bed30abb39f260cc0d37844816bbd0b7465a64328171e7e928650c2e1e18698568a5529420468aacbb923652d50bb15621374b7c95d9061b2fe9190fe80eef43a6ff78dfb4fc0871e909ba693ecbd3a63fb7774fc797e410fbdf6eb2813ffda0008010203013f10a8c3a05cc40ffec25d4cba495cb99472dc043c2278264598098915fd049513a15cee563291d8fd4378988603999e48211475965c6d13461954dbabd0ce253a663d564568dc59706a6a1976b9e9a398e4447a62327da3e8dcda2d4b972a2460ec1ccb6ad42804aca6ba442f12897325711fc10892186a5de632bac8a47d2e7acbf894e1362048bc256c35866ff130cc33067a1ab0971d11c32fa55f423d4b598ce1a86e1965711b62c625ae42019218e552b751ca0223a9b29f696329b89d195d2834ca498b4b820dcb714806eee2d1cc7a0258cb1ba376aa60b34b920aaf449517a5b0abcc5ad2bc4c6b10df9650a6fcca6597e63495518f0e7314bb2118be333c4a83c4495d183192b7c7acbf668febfd43f03044765df46a7343cb97e388405276fb082ad012c23d2216266e3c1acbebcf88836978203d698fe918e654b972e2501795c7371cef0c3ccf071e7ef71713d339942ee889a2cb2e1ccb0f588a592ad91f74b62ed2fc47fa44cb83d2e5f4451766abf27bcd834c44c90ec4c99ae2270e8edcc165bb8094dca5a6010b724b57065c3ce3316219e84b65ccc261f24538d48c51a8ba5c48b85d3c0fe60d0dec8e97c4e423bdc5344cf532f33fa4ca04a984dcd40944b2cfd4a8d426bcc0568dc3db444ad205107b700d48c5db20adc22d67db8851835f4998a84ba5f6189bbe60cc60e66641f3cc50a5175afcfac18b20ba552f83ddf9d4162df4557e4b9c0d4781b7ec9e2d20c194972e24a8196a2f865cf882ae24ce12a5024419a9323188c3728a133d31fb4730a43a5f41288332fc37846565f8479a6240b8fcc7725c398952121dbfbd037d0f54e9aadb156fa04fd911d508cb0462f3987314e09bfdfeea54a1121d165ee281329c921558ce177e91f3be83290228d939df9984aa897882bf17986bb1b815d5c6a0ac496c0c9abc6bf93b9594f1c3da24d1bb79889b84085c20a651c928c468ae2da6a66c31de28c3d0e21e812b61cdf3169a4bb7d35f7f6cc6da3394fb3eff00043a6ce970f33cc4cb8a3b82b6e9941b63fbda27732a00bccc3e49c2601592b80358797bc334217efcfdfdb00a8cdf31d74acb2a0e73d04be8588b148fb22b302fdca36d36778014512c51067046b26205164d3ad7aa799fa4dfadff001fbf4b9f913426d36e7a3be8ea137ff3fb3f05adea7e23f6f8ef35ff003538ea6fe9e77346bda6e4ffda0008010303013f103aac1271008202a82a563042c049a122e655372f8d782b1d47421d31dc42230600a198a9944c41634635a8ec7333396d91f34cce8755d1ede083b4806750d095339c4b0cea659562353dd45ce3de107512ba5c5c45772752a2c5be80b96ddcb3a99711b06a162d4ed71c9056254a812e5cc81de3b0341f33021b60fa0309592e6ae38c132e26e10b299108e612aa5ca89715cc23e65cdca044e262e6502a047112ee309e664b9809198204aeb705996b04bc45aa0deaa6f0b86aa1bbe232d63123d745aba660a0c1fa06d75309bf3066a52d4aa546700457004065082b6c9c9a11ec6ae51b416bed2e5ebd40c489049d2cbf4e7fec3ca2c3f2424e52580add9cb302578a3f6ed8810f7d7eee23336bd8f5fbc4d5c10a12c1df276bff00915d6ee513e2cb806b63f88f74e226226674b830cc49535d209e341f31055c1501381fb98869e9a9ab95fbf04bb5c474fdd4b8a0c32c22bd7bc0e933166c8803dd84a895d2a54ae608c1a6c7b9a7da1c669910c931e6e5bb5a6ffd4b04e250de18894437d0ad3360868d541eb0744b8e21123310cb913bf2d3f30814dcd060b2b1376ef167e1e7d663db4165dcb24ca260c91d65603c4d94f6ef0f358fcadc3aa67a6e5c00ad3b1ed31d6c986a8460a99ced52872dd466aa896ad17d05804c5e218b106b3b8743b9eb18f733c1c79f13bcbf3de0a4b65ca583d19e4407cb021af81a23444661215c1e4dfcda8d880f06fd37115baeeeef12cf5ac7037e665c1ee3ed9a20786e08aaea277559504a892a1d162845d257a231b9ca460b20e0e8d7e698b60ae30b2faa333019dcc65ce1d448d32a54b746183cbf28e1f3f88ed9d2cae796c8a665ce657c42161346704573243fdc58aff841fecae8741cc1874b77ff004ff500a0160eeffad4a950b904a8959f9f68370478121a4a35a97beb1c5986bcbcbedafccd6f61f00fe7461154208115962d9da997e965fe200506a62b08e63785c2d657db8885d9d8cfc9bf7cc32c6fc13180acaa3839f4ec42e514a7bd3f46e3356dcfcf4ae964ce2cba057d6530374ef3cfb1c4765513412984d2092e3128208b174e83443021cf45c2d5100009c8cd9f609418df418712c8d20a8c296b0402dfb6601fb7dfdfadbe5053ea4552e2b63f9198bb097ab1a6a10cee560f9fabead7f22359f5eddf10b28cfc4d4fd932054ae446b88b00b42fb916f07c12b7db7f7cc524658e2926659860b67f12b6e4e1c27a77f682539771c2537d7148657b38204c369fa8adcba7b78f78e02f30d9700d9c71d334729c3d1fb6383f9f7f6d4fb857df6f33427deebde6bf3e77ed346fedc4d21b9eb43dfda7dbfc4ff64fecfd69ea68f59a3d38fecddfd7fbe26cdff26bfea7ffd900', 'hex'), 'Andrew received his BTS commercial in 1974 and a Ph.D. in international marketing from the University of Dallas in 1981.  He is fluent in French and Italian and reads German.  He joined the company as a sales representative, was promoted to sales manager in January 1992 and to vice president of sales in March 1993.  Andrew is a member of the Sales Management Roundtable, the Seattle Chamber of Commerce, and the Pacific Rim Importers Association.', NULL, 'http://accweb/emmployees/fuller.bmp'),
+(3, 'Leverling', 'Janet', 'Sales Representative', 'Ms.', '1963-08-30', '1992-04-01', '722 Moss Bay Blvd.', 'Kirkland', 'WA', '98033', 'USA', '(206) 555-3412', '3355', decode('ffd8ffe000104a46494600010200006400640000ffec00114475636b79000100040000004b0000ffee002641646f62650064c0000000010300150403060a0d00000ce90000126900001c8d00002c3cffdb00840003020202020203020203050303030505040303040506050505050506080607070707060808090a0a0a09080c0c0c0c0c0c0e0e0e0e0e10101010101010101010010304040606060c08080c120e0c0e1214101010101411101010101011111010101010101110101010101010101010101010101010101010101010101010101010ffc200110800aa00a003011100021101031101ffc400cf00000202030101010000000000000000000506040702030801000901000301010101000000000000000000000203040100050610000104010303030402020203000000000100020304111012052021133114063022322341331507423424253511000103020306040503020700000000000100110221033141121051612213042071813291b1425223723314c105a1628253732415120100000000000000000000000000000080130100020202020104030101010100000001001121311041516171208191a1f0b1c1d1e1f130ffda000c03010002110311000001e650a36764c06d8fe5d891e948bb5cccb2be40318a678c6afcee3e8691319964a94bc6292a2eb2b22c94d7b3e6eaf521e35f99f7caa5829e97482b52be51b428c4ed609692c0cc87a3ef6b31769dacd6253193292f5f61ab7983efa32b07d0f8dc37e0fb4552c30a2db8505cb1b42a52f5b62acd299a4c86ead852e98f5b6b5652b968248334953229849c9b27dcf2f8c7ccf4c80e06a547e474f5b463d53c34ba5ec4a74ae2179861646dcb2af5b2db351bd3438ea659dccaae78f561e465538960da1361f9758d6f4760314b4492e3cb7ca12c1792cf8c31640c582d9ab56cb5720d927738ccd746a3966bcdf862284be79b5905b0552ad5b8e733a6194b4398c309333cec92785aa9d02b8e975f12532caf3ebb47d6f378ab9c650719836079b6473c967d3c4f35ec2a67cb318d14b525a3d80a1648633763d15b671159da48329abe6c7e8d72e489593e65b966c3a95355c2fd08b568b04d7949dee004298a57aa69c402b856c0b3ed695ed87d9ca5580ba10e10d76079f5cae3dac1cf87635615e9918c6292b70dc04d9d16d8b26a4525b090ecf727ad9664cce5ff00564f4f1aa2a1e61b088b0bf6ccecfb7b36068d2debd38de2ce427ab5a9cbadde8af84378ec859baa1dcfdea4733349298f9e7dadca713dddfbd23b37764660e43d3da5625d30399bee6d40d8d0795380f5e6b9c8fe7af6602c0ddc24fbe7daf48710dc9da723bb5e88e20923c59c4e164f0d0e9059cd6cf381704e5b37091b59535e84c4c0e4036c7f36e7002265d2f4fd1d1443f68416acd4ef61a15094666c4f2cd1e6cb591d9e816c07399b4d7a12e7c45277d9505cc19930fb79f6427ee8c360e9ec23aa69a420ccf50aa4a5df24a0e39351b849852da37d48b2ec6592ab1a0bce764b21d9bc3374ab07c3cdd9d20c19aa4c595b43550ad92e5a8da26a65e7398ef2d7ad19351cf59593e7fa0caa6cc20d6cc06f548e617ca628b4b12b63fcf8e9ce7ff43cd9cb64a0d6e92b796298525c8be92082d84d4c2cb37499e5859b8b333c8e5ba78a7eb0d601fa22a2992a83409a184d44d49a3a6fdaf1881f7e6e4d59d9e8393ba706eedcb4de0713e82328251662c0d9aa60dc5a6cd52b024669641b08ed8063d0de9f9bb737f3ec28170dc692f9a3d2c78d985d8caeb85ea8f20ce6941e26e551b54598eb04ce21a36efa10fd1d77b7a3e7fddd44dcbe56f0fd79ca74a12983bbf86ce4d85718b9abd87c24a715b87c191df1310ace3d2e5eac0c4b3710df7b913d99398bc3f56b496cfb3a6014e1eb126b5b51429be633c591887cc90066b81b3d5f232bfce747036a8b3cd9a86d7bed4759f9b6731f9be9e3c3e76eee1b3a3bdfe2ad15e9771d0e7b91a0603267138310c5f45f34ee587c0b1de2923fffda00080101000105029a1f13dad9a550cbe0969f89ece5608eb4c571eddd0455cc723f0d4f664b5b85505792a569bc22f71beea18ff59e326646abc404f1cc72dfb816a9c47e6899baad6ab24d25b8e78d59b1e52d05aaacc589b683d46d254f078c78b706d695f2d37d76ba2195ced0f6cf864c58e2ee7ec8ec7236d70f61cf8dc1484678f0edd5ec6d335b6dc964e3dfbb077c71e1f49b0f8a3398ec44e78844c2415e4061e3ff0064032add26dea2237453c64b154bde3878ce4e9c2fa5620b90d1aec94d890d30d9a42e8982cbee80d635c152aa006b22628034b1cc1891a18e8ac485adce60ec6b771f2baa697314e46b5547c7e40e8f670b5c57a958c504b2073d363c17536edf0c884787c151b2c30c2a18d3e2738378f90363a333178f2638dc1556aff6143815b0d34fc72ae319fb2ac570bf8d81b665bbff0082584c8ea0e9cd699ec736518746c78315634694772bb83e6cb2be0aed8da133628a6acc5fec12c938e8d8f55f0c938973bdc5b9bc3057326fb704d343041b4d36bdb0e094c685d97bf7cd01ad048a28a6af2f1f75ce4c76e576dfb763ad5fb0e8aa9279fa95d9c0d581ee651e3df2be3a4d0d655b855531d5866e49ce65198b8572eb91c51b6474a0b071fba717d96a9bdb6cc6faf2799b033eea916e1c8323648fb6c61ab7ebcabe4fc8b1f541dc219eeb4f19cdbdb3cf7990af3ee6bbb9e1228dc8feb92be49f182aad6f1d8e42ac77626f13144cab56480c0def43f3e6a23e5bb50ccd6f1b1f235b9fe39d4ed46c3108e6919251f6efb9fe2e3b223dce326d78f8dedf23c465d5984a6c4321abc0d2bda34a7d7daa2876aaa763f91e3cd81fe2feee36896af9e43b39085f2791a0cae14b69a13580c8cefb0d8fdc1e28ba09239dd22aad1b400b6a6351ecb192a2f56333567ae09af96af9c4ff00fb390b18daac129b7e4127163f4d46b8cc47b63472e7546f7ac3ec6b53588353c868f365441ce514472c758f62276ca00edf26b3eeb9acb276c35cc2bcc18b8c7dd13d6dad5636b5bc737eea91f6add83534a2f5392e550460c9f21abe78ed922972e6375394abd71b4b8ddce91d1eccb442607c0d79e3f96ad03191446273e091b459854dbf647d834adfa61aa46b57818e5446c919146d420d937ceae78e80ecd688deb63230031d2c3518f534fe28ebd8980a0e05b4cfdad298b706a75d66f63c60be151cb5d44035f0cd04820904b2fca2ff00bce69ecc2aed556b0962af59c66a3c55cb6a4eeab863d951c62752983db19c86bb0a5765a78d864732b069650748a7a3ca4669719c94cfe538dbf0a16cf17c5ee73dd1bb2a2dcd754739ca950e43dbd6a76dcd89997c7b4a8e35017c2ea771b2074a181923256e53896a6f21e2439ded579874c9cfdecf92f2edb92411f9088bbc7198d5400b782a71c3c536888dcfdcc7d6048631358865a7e192436edf2ff1c6314338947e4bdab1e9b42b954b8e8d87e51cc36b27ec95d035c1f0b7f77b0924b1c2f191c96a3608a35f29e31f4ecd63f6b0a6bb09a415c55dff001bc855e5e3e426f9754771b6e2e6192265d95a196e07a9797878dab34b2db9a183726420ae3284a6cde8e07719f13fd7674f92fc7d9cbf1203a27325c213a6ca84bdf8cb4f88fca9cdb3c2d7a10b6b46ff0013ad71e18f8eb49e634ea4828707348e6f0cdaeeab5d80d5aec9594b86af59da547647cf7843c4f2bbd7930596004c9daa84a246ce7c943839df19b11e0d6731e1f09ad2464055a7198276ced81999ab478509fb20792540bfda1ffc81a05fc7c7bfe83bfe9b3f2b1f933f2e57fb19eb1fe757fbe0fefabe83f083fb17ffda000801020001050207428a61ce8e59e83eba14e1a35c9aed02fe494101a158d01d4a08a288d22777074722b1841da14e58d0acf41d47651b938a1dd6341a38f5040a1a1d6172282cacea4f7eb6e851d1ad4e29bdf477a841140e4e35cace8dd4a2b3d8a6a251e80d59289ca235002ca05128bb4da8f741a9c3509c135a8b5108e8100b6a1a602c698d24e8283cadeb3a84d722567577449f4422346e874ce9fc27fd3210d4e8515ea9c8fd00bbe33a0d32b0884504e47a8ac1d013d5958d5df4b0b09bd64277d2ce8342b3a0194114511d19e80163086a515b4e034f4e3e8808e87408687a189c3ab1d0135bdf53d0d3ddceef858d469959595ff18fd747b7b1e92b2b3ae74f55b535ab6ada06a53dbdf4c68ed0a1d31bb280d0a3acbd327d06faeaed3fffda00080103000105023eba04ed02c7511a0d084e1d18451d0759d06af6a3a374cac6810ea28a1a94f0804753a01a0ea3a0d641a1d31a8f41d65390434739008f6d074eeea28e834c774741d04ac0432103af72b09c1041ab2b3a6e4352822f41e81e82e5b938e992b2b0b3a335c2c23185e3406a51620d58d47433eab90d30b0bf94dfaaed06a34087d13abbd563508a0875e5047476bfc740fa59d1fd4504d43e9b8f7286a4a3a040f4610585b116e84e99d022513d20f482b7a2ed09e92b3a0e91dc74e7a49eda37a4a67a396ed309dae34fe5fe9a34a1d211f4d30b0b088c2dc89595bba1875caca6f41e8919859d46b1a1a951fd077a74ff00ffda0008010202063f025c7fffda0008010302063f025c7fffda0008010101063f02d3f0437453fa1405dc3175a625f554792a2d18be28db3f1434d689f65eede679a55085938160ba96fdf152071342b4e12c7cd0bd019f81ed971bcd54cc4556afa23ee2859bb3a8c4221b0a45d542d0a3022aa8848e69c289074c625ca8f577b03c767f2ad8e4b9eefd4b1a1c11b130dab092fc5c911f52367b893dd863b394ad2fe4ae7651b71d4f81fa934a2626d8d35c68874e40bd46498e23155f3a29dcfaa2c07075a5bd5510860e86ecf7a8dcbb3274d630c03ec9d890c453cd4a377e82c57b71cc2d2d4529cf5199c5756d554a271c968b742d8aea9ab627342ee0feee2559843100bfa9528c8734b097152b97a88f49f9b107040e1c363851006afb934836edb323d9786b1fd5073928ee47a5115cc21119d4ad5193f05232e6d59adca3187b407f82e7a6e4e56a94d8bd10d9a638a6bb539268e07135f07677ff00545ffc555319e9211b40d0ad026d018230ba58b72ae94ea7108c94b561f25d3d3577d4ab9aa1a4b250ef2f563731e1b93bb79a1d2cf13c3c155cd303d576b76d9d43a988fd2b528cc9f341b351e80d53392d55a6e5d4b87546157cd01bd4ad98b415539545fc79fb464bede210793c4669a418ece29a24843ab7356f0ae4c48b894181de889fa21297b1d42564e9905afabcd1c02bbde30990d18472aa9c3ee5184aad8142118b11845737b58b79ecd31c9f5cf31c0a84af76add5ac5e4a30bd0959990e1f9a2573069663632ae489e58c47d72a2fc5dc5a9cff00db7627c8aed2c5bf6dcfca7d2884edad16c28f6fdc0e0eb509638451d03483f0d9ac87e6016ab726d07956a3bca9040e03090de0a8dabb767f8cfe206a19486bf78d273a62b4996b8fd273d8014400fbd59976f01aed93ab555d0b776de9ee4cc56dc348110bb6edee5d33780acb242dc6ab560062b54cf33b843bad4cb98ac18e6a7ab064d014dfe1c130d80aea471215394a79d5976d303e83f35f25d329c162ba24bc4afc21c6e5a6106e2e9e258e68038ef43c6144ad59a65db5a1942bea56ac19466fea8089a47340bb92874e8575226bb82ae6821e1a6ca29180736b988e09c2757aec70b67447fd2b13196ec96bd78e49e4b576f6dc15a89d2460b4632963b86c1e1647a9923dbf6f133d3ee9014084e271a85d2337933ca1c38ad2af775334b7127d51948d655280346c148135fa507c96900a3749603175f8f11f02821b68abb3075cb003c946243f9a3a2222f52c8e9c32567b007f78ea9f9453ad71f8280897a3955f6a68db60335a584dd7b0086e6410f0697ae4154b2f7a6d485c320c9a33aee4e15eabc2d7e387a2a2a2d598c90308ea03dca57213d11ca280182dc5a9b93e4715ca76b2ea4873fdcab87043a577d0a1a6d890cd90d51e9c379c94bf89dc72c702d52aef7978f3423cbc667046e48f348b9f54c572ad51c7308f71dbc5c4f15a6d920e65480c40788dfbd011869d9aa059693492d44b04f12e99516e4c4a68a79619bafe2d8fd8b269fe696fd9a405820dee56a0d88aa7b786e5a5aa9f6d15ded3bb846e3c1c0907c15cbffdb23d2bb025ed8f6c82c34c852513883b2a9884f15ff9764d59ef91f24f804236d366a31b8744542d439b7951b71c23b2cde22930cfe5e1b3dde513cedf69c54ae41c44fb5f12a1fdcbb68f25da5f03e69ac8333c16bbd64c63bc174e0a977174e1fb71ce454efdcacee93291f355382ffadea84e6b96dbcc0c5446db96e03f2439ad1e21184a863423c0c871f6a95350c7e0a13b510c4513afe4f6d74c6d4fe9fb24b5f752eafdb2cbe0ba91801700c061244e00e498055155d2960546e5aa3576e8923dd5a1f83bae61c2598db54eea372381460735fc1bc790fec9dc7727f8a976f783c67452b172ad9ef0a898169648c6439c26408d841db63fe4fe9e1879cbe7b2d7eb1f353f5d967f47f543647c5fffda0008010103013f214cab12e2bea3a7aa9bc1eff17286becd0595152cb53db2333876a534e9996c0afb19683f27cb19fca590653a8bb4ba6003c567b313a40ec3c9021b051ee08d6adde919b5e4f655c4d9d788b446b99a58725afe6741143f1319528ae7ed05c483a37ad7a8d9f02dc9fb546ab674cb0c6dd0c4a8b1cb9fdc5afb6331549e21054564af04276d42a38fb8353a900e8fe04167c0a59c32c27434f544272d4f943d983ec7982b18b21d113a585b79713ba345c15327fc84c104ab3a6fd4d52a5bb471fac5f223b28502d944a43204cab67f52b287b199997346082dc166e0959896aab46a2aa87dc3e65e83a159f53a98927f08c2dc947930928b3f4adc55b6eac5436b4d37d3338a6af28b1b5bfa809ee8f0bf13256a1fd46242d8af5aa59be1b4dc3eb4c05f6780f30f46d432d1f12b65b80502cf981b72c5c64c08ccb3d36bca4144ad3ee03d46f1db8fda16e8b58f9cc3fdcac75ba9544eef7f79990e561092e2dad4babcc42a5774d35886da5b1e3b7ee6ef459cfda08164d4a052d9a4ab987ca28547fb183e607c4edbfbcc60143b41dcbdb515c9a8805c3a4dabf8450bbd622b9fa0798d9467bf646c83651cc353dbb868354b3c91827ba2507ba8578ade26851fb44856e0691ee6cd1668faedff00d255157d934d370f0c533f5081b63b667de20613a8270287255a88aea47ad8e108029457c442d86a9f963411390ef1e9009a45358c4bf98018cbb76acb38d56a6344a978d7443b5033f5a86696e6ed4cc133d10da9b189b9563e228b82945f40844abf623727818978883ac6d446c81afc278192550dd33aa361911810f0132b2c26f5a4f4ee0ff4f980751ca02fbb07ee5433a14c316c3a8cd453206435f27516430f843bb304ce590e9baceccc1d5df6263a4a4515193e55885136a948363c297542db312e005a7d603f32fdfe25a050dd1140e5f823a5dae0ab833dca9037a872698c8a451f5b6625cd947c4bbef47e5ccf44bc4130cdd43191f335650a57eec9338df16b697a9ec3c0a07865462fc6465897dab10cbdcb037d6cea62c78218ad805acc60b4414bd626e8fa990ae22fd4b4c15bbc31b0e82b1a9d81428464a257812a25b1af33004432daf728035056dc3aaa83b25ce883dd43850db3d070f86c7ce3531bb7c71cb6d96a640af37c46736d42dc572b3d920368377a49736538bd62b3bf71eb89fe4cc276b6f1506cbfebf106de770cf0f4c148c9ea11081db4a5a03be52f6b3831244e8b3bb9880169f0bc416d9129e99f297892bd9ebb97792c7c91a7b2b7ef1adf72d0225c49411c2f072e9b8f31ac91e477a84fba1e196b6c09bfe2e3f093dd030e03225f53f3dcb300b875a99aefc87a84964566bd957e67f0fda6721d329304209836a22badea584cebfb037f698e6640c4cfbc5c87fde7e735f2cabd06fe9fb990a453cab72ca582f6dba1ee28663ba8542e93e2282c93e173032500990ef799797967f03d4c697b3c22f19cb88a727e513667c8cc10203d06584478416b0b52b23c4c613547dafdc2116650cf70e4a03eec2fe8289803daca024b5e708cc7d7c1a9f798e9e1067f1bd4b0e0e431876bb228a7f2678c7e330d6aabe4a94f073637fd4522c2c5859d30ff00c95e307fddfdc0c5e25851b42d8dbcdcb737357e92988b66e23a85b294a9272caa53f9d0875b21f0044f2235ca64ec4a534f2567ee590be0ff0092d21259ba62e1bed2e9dbf697e0a8a6aaefe267590bf42846fe90fe556c53fb253aebfe4a3f5206238bf195f2b57f50324b035e0fc42382ecb5fee1041161fa843e127bb2165339f24a413706a8b64dadedcc60772e65b2696b4a81d722dd777c3c4d11acc64e74dce4f994eb3e82668b327b8be8337ee8ade83cc15e70aa62958e15dc0ec50ab5b3bf98d0daa2367274d771e2a4f48363310a6e1c322038a1bc1b6a75ff0070d31e02055bdfc4acef62e67873753005c7c30e0a000e2ba36d5a2e0c030da83b71420de30d9c10515180d5255c408faed35fe653a8f43fd9560364a9e50cc10c3f3e61d051ed3a3fec43df720ae6d506d529bb7665ace1cf1c536f3ae79a1093fab7de187695749867932d771fa6322db6a7bcf966f1b658c8295756187a8169f12869ae996a8f4d04f10787a8635e617aff004980f7515ffa4b3e5fbef57a9ba376ca3d43b265f6860a16e88365f00bd937945cd7f11872984d4347d8df73a70129fbc5bd656da3fa245c6aea2888edfcf3d93064d3a2699b2e0ea1b1267de1a003f332421506ab50037c8f6cf0eef1df2ff19e5347c3fef21469f9fa311fdbff0027f6cfea9ab93fffda0008010203013f21b2344164b9a8c38da664330e1315983c32458d2e78b5458a08c732a38331632c8b2e5b80831c40135b88e03b831067516226e6d0c721a84ac704b951c5d288629a8b457d15be2f822e05186245e2b24c39465f0978b837c8c5cb18b1d712a313b632916e6c046121c845197c95c4dca5440f06fc1199ae1001cc17011f197cab8286169902659923866a65324c329e4541c37867cc60d4b97e381132b11831d90b1b46184c201c3a473988544d4cd4618e37f412e5cbe1925f2d63838dcd6516a6513eba8475c76866e198ea155369afff0090a83873e358591b460391c5f49c0aa66e1b83270dcb4661172db99228f347d198198cb03e862c0b810461cd40e2b8a54370e2114691d4a5c86fe80e18624cc463036f0f0a412c46bc31631fa24a594c2e5dcaa2a971718128408e5cb9708b297e9ae06231e174bc257d3a6d2cb4daa5e54be6c3e5186a5f3bf82a54a81c0d25b8b8c2dc3a455cb980aa86a7d0aa2a571ae0418b8b878b838bb83c0cc3cf4fa09b4ef823f4e467734e3fffda0008010303013f2185306a650571acda32a540c4bc54c908f108730f0ee06216678459e43c24a94c2a0e1661c62823c09462f810c23c54ae1b701ae05caf89d4b817f43082572c4823be55c66e0b95caa0810254ae520fa1a4099a5637358c60cd170106e3c547973c3a9e485dcc881f4f04520497f0b516079cacc4d782c463598e13321ae4b8ae9740e1e10b347216843150701182110a4a211823b30663a7030972f3023cc3e8a95f4544822867109709b80be07ff8f7c54de38e0dcea5ae6b88fa525734b2570a1a48520cb7eb23858444588478547054c454519589be26bea65c5845c788ea6e30dca8b1145348f2b2f9ae6c815c020e653c02e61c4fd20252111cca88c20df01ba813b840e2dfa44949862cbe19e09d4c98a97982072ac193863c318df04657c95c3e8c898522acca32f8612a04f49550bfa356f0b97c3c45a9552a60c32ccac4ca1c3738b61c12f38be478841cd3c8e2a6c1ae071b704dbe9348477c1c1c6c8ee75c1c7fffda000c0301000211031100001088c3e23a635350dca8718253e5a7675f226830cdc429ef43f459c6bb434fc8fe36aee2f7f9b20ecb31985115568fff00043a2b68971078534b96ebb434ea9153af350be4ae3efb1780bf621b0b9601648464e2dd15586ad88b6f41e6e6c2ee88e5f8333ed2535b640b497f922613d7d5d6c8dd2ac5700f9b3aab37131879e753a4172c7c3f30622c294abdc5014d4a47383498b91951f17c77dc6062e6f294675e4c8575426cffda0008010103013f10aa2b7714ed29fb92b18aac14251a3d45a9653414b0bd67a84261e205035e0cb37ea4e0a181f3333b464e7c1682dc8b59966684012fb33dd454d8e5b10b04c47a61a7eb11fb86165290c1410e2c4f531f11016a819f114c5418b442a52ee221b08b10629217b3212cd499d25c64dce38159bf107d41acbb1f706fd1048285d441e795ef2baf52962d4ad36154b7717601bd2d4af658f4692ee55a9b1b40175880b0f479dc4973542df3de48ed7684eda8672575168ba00b5380ec8fc6e200042a96227de6cf86e60c2fd987b1cbb1223b60acbc340665af2aec193f06165e5961b47d50a36347b201b6e5ba206ab50c120069b0db6b88fc2179047cea3b7718c63c08510b896d87235ace189b368bb1147d24c2ba0dd01b6229194caf37a1e5d0b8d305cbb06c0365d95bdc5abf1b0a4c089e6154f0c52d46ff00528edc1105517cb4238015300d869f0cb2add1d37de7dc4017802c5a4156ea5bb523244f55618f3307cec07a556aae99480e31710428bf347bc42c97c1322e3fd4eb6bb73ac98c8c4ab8daac7866fe220bbc4d16c663bfb5114874ca11124ba57018716cc04f63b08a82fe3171611112c4c89827a635b151ea72d790ba8a2078e80893e2e554b760d34efd8371f5aaa0ab5ab29e88f52a1e12d323a3b2b0ce924065e0c6e1f584b7d67b300fc146240f200732f38b369419ae8f1db2d9d555c16dbb7f44a73540ad303d0fdc0deaa5b2fa267f0cdda0ad6627168c222e3344486d6dbe4a2e3dc49b9047377d9e61e40bb0b2d5e33031c8565997923905cf621791b58a6a51431155daf1a9990b6bb1f98c89807903c37922971681b4c9dd4274c7c4c3c8aa748a1824d669c1cb57208221a1581014990adcced2bb80701150505bd7a330ef97665201fa65f9d87cff00f971058289c5b359845605bcd7675b232f463bd60fea55a58e9576abf441a7191115c37f38fb4c659b58082bb762d10daf035997b58ea46fa1f388ec2e5aac382ff70155ce0684baf564b9c8a1bf6a9f08c358aa36f8994c4c5cb6543cff005023ba0cf755014263b275417e26385e455042a817182b51354700b02eb57501668f03d89bfdc6923707678a96ab2a4c6594b86cc6a059464fb451436856b0a0a6be634011d095903a1ffd8e03b8e70847f10eb15dd8a03ddd7da39c5e41b3aa95483aa13fec2d2159a37f88984b632006b04f3710644055abd8367ea38a311ad35ec018acccca82cd5b061fbdc397bc45d472ee5add7f72d5c1e9ed553fa853b4c445d74ab2c6662a8581f4b12b5c3e0019a3cca4c058d96a275ee161041cd9559f7063264c6052bf6982b5c0d4b1e143f700a451c156783baeea1b36db7a3b7da0c022406d483d2bf71f8b70aa4e9d3549918f2c29d6657f7b8495c6cc8b553e61c0c0a57b4b90e961a3519aa4487a45cdf6a8cdd8f73a2471feff00933a6eacadf4ff00b0c8016e6a6dea2b4242f0f830c482694ab06ca8c5ee6450b775dafb9fc4c43d0d5bbd247d9842ddf6371d21076b68d52427442daf6b1ff6325a629818ac96d5cb4a51b18508d0eb153dc40a564d6e40146be5845cd400c36d7b62c510dbcc06bfa63341f3cf22a8537e9a6589ec951bce40039b26633a41e3863b194dcb12ae9600bc162630cc008d556253f14441aed75a9b445b312bd220fd5494aa3495534a303c72d921746882f472add0061f79dc11a539ee05766130995b2110a0c1586bf33212c8ed1a31aee6593c01e8c1a23f586440e71fa8d740a02dd0c7bce21b522b959908e0ad1510d0b4e35dc2ec578bc7ea6943b142c758fcc255d7565d7e6681fdab328abf6d27fd80009689845df89fd2fc0070c854121a3481013085cc9882c8de29c35d46c1b6d16b4d9a2ae0b3d6b430ff00f216181bbd15083ecd2f67f50d3112c765f794875616ca341f91733e6b8351a6a8b814ad451b9669a02bfc875966803863025470d9796ea301f82635463b9a56977865851502f4bf32810e0843dd998f2ca0cfe630a41eb65cd1d067e48646aca8f57ea0086f0b2bcaa0105d2e89b456a8dd8e07ef1c3d2e7b4a0b26e0aadd31d3f10a9b36c59dab456a112b43f95114e2fb3188e8254956fb8cc25dee395cebc4b652e97d0ffe4a06a2d835289da5345dc72ab0a645436f06638f8a3ef399781974cc7e06b4a34feccab581545b8dddf52e9b5ae9973577d329111685d59eb32c209744b6614409c45063a796eee20000828b064cd0cd436e145d7ee12f1548bf609554f3f8c1fe457b77d432932260ede5adf7500b585985eccfda02e92d19b34d6df0623d404020e49936412aaf20a2978731417a1b1e1ecfbc05cda5ac843f7442eb07fb24fe589b14d59a3385ea1d4072e29d62f0cb95033b9a895a332f14e9a99c801850466b26a17d946ca16d498f232ad3c9f771fd4b1bb6bfa4558c57fac10ce2155d8f72887ec4b26ad66013a406bc4a2321b09f904c3c12a19f922a8082d35ab465833a00ead567e7505787de6347ddfea6149d1f13b0d019d3f7992a0b762e4d4cd7d81ab5fb4c2ead65ab9d7b80985797382acce1229ad1db8e1c8ab5dc2d6c4f6237fec03d21f8a1072c425fea08fccb29fae0a420eb0b72c97058255c1bb1e8ff004219886171fca54be5e185a754598bc0502d42d0b9782fd1bedff26aa9e1b28d33e5b0014bf32f2c80f7446250092c83c7717564c174cec803f55b6ac5be26c5e52f16d5e3ed2fbec5ba154a74b50e8611e50ecf642f868c9d500d9d4139dc3c2f3006658fc92bd8857b43cf93d426694d8fb19d7c4080a968dc1ed5b08491b41456118f3306fe2e600569af100b8f0c29af74097522256ee87b465c2aa76a27dd60a35a2ad1351694f2ea5c02b9a50e05ee61f6255d2c337695800e2e9f30850ca244ab7e5afda00036a0aabf740026b51e360b3b0749d93df80f23f12b0836a83e618d01689712147dc8f1acf0c520dd3592cdd623217d5859af89869c12a16e6ebef1c5e8a8814b55d608aaf12ad8c52e69afca3d7a918fcc068dcc4a942a3aea1ca539e834cc2b2adca65fcb702b3b6bdcd2dc68a28e7d622b8af0fbd4a0d660bfd21b4d681a4f848245664060a0e4a3884d00cd261a51601f315810ba5501e4488b8d93b22e528496b35d9833ea61ff00382afeeb7d412fc01506f0f699cb544a4dd6206bbc76cb40dea8796565969440ea9ccc007a3dabdb88b397692d13c3ea7db842870c0543246b00f8661d2bff00b0aa3282373519bf0e8351ee9b3d91b9a9153d31d5ec25e19c6f2d8eacb5513d79dc3ee8a3f31f0e2f1516a280ef188156d49b51f1571ba9814a65337876e888b8896ab16fa3af5052aa58b2dcaeeb1b39f1d9082b0b6cd97dac494d51a262aecb752974763c5b747e79105b06695db3a546898942ba1f848d458aa30a89068f89d3b1f9352975c9400d4a2caa86b724c94c2a67151db1ad4b1b1aadc7a83a20a57b04627a9f2c36d82eece58d7880eac017668346f64d53510d5810c1ed897b989eaab0a5cd6196cd7f506959460725545842f6374d63f12c01414abbcd308846353764a7dca09b04ff00d5691dacea08118202fea518446f29788c8adc48d875668112ba8b9e8b4b2a2f18b6c97c12d6063dfcc522c2c0d14cc5172b045d2634693c9178b969812c7e4cfa6553e113687fc9a60697563af9f13fa9a23b2f500054b8fb27f901abc8d3c55ad452de8afc11f1baa4d74c753fad3f5b1a46e9fee76e357f0be38e1fb9fea7f13dcfe6fb4fd89fe1fe4fe27b4fec7f735ff1d4fd69bfe5ff0078ffda0008010203013f10a917de98e9622c1e21aa98d888b2773b8a8a8b041ea6378557c1f28d0e5dcde4b9dddca00ea1fbe6b93d445b96172d65e254e009015984ea24e1ba542ce0361a81552fdcaee5a0dc4b0d998c324b32ea684c0751a58958a24038373c9b8adaea653a4d08bd70aae22d135095b1ab853756235ea65a225b8acbc5b2a1a6e225bc070751aee25db10943051488a546d0579dc1ea6918a54b63124e94ac541a2b8ed8b999c2e84077280a889743706a502a037200fa894a8060af8c7956e2ad4a4a47c3923112e950e615200a929e772c99dbb85054c35c28aa0bdcd469826a5cbd53645c5348c2983a4135c5a8a349a81d0dee561b842484b962a312b060bdba22611c4a75329462c55e07b5f13d46db1ea6a39dc1573c0cd10b65c58961e7faf89482d91368097297509719b6e2b72c6ee191a8ad0c90c80b9286a5e351968b72e398aa048de29e2c5b8ed983d401495b08dca6509f71366e62a95fd01cd26304f8e310163d42ed2854bad1691182430a653e95f0b504ea246cd3a81da75055605f50f1a88ea51de65dc46ddca3856f873c08e26da8d29366c1a9aa4aa9e08cdb690adb1c48099e270fa0a85f73e52fb3c097894270a8532d5b6249ee97bc463bcca9987d11b289508096562baca615ee7ba5ea816d1316e0a891802310c4ae254a9d84a3b986e2de208cb7331c0ad403b846e520b2620545c12e777c344a8d29815c28f00a62b944c592ad98613c2815288c3c14d4b975e38a870262b502256b31b50634cc1f515bc3dc833189332aba40c6c4a3469d4a7788a34c511ab44b095c520595dc3319e792364ca32cb024b912d8c11ccbb80aa494982a28ab8fe498e8343c59fb84e06264bae5545c34f0268dc0854b46586cdcc0100704d710c04e74fba3cedf531e757f934e2f27ffda0008010303013f10302cbd728330dcea5da3078407514b72d0af29a38cd82d180886aa75a256e11bcd8371bd102346334dc062ea1b3d4a65e2d2c33b80cd45215e3b8b7d54d818fb8421660d77065416a3869992e0547ea0809c5e21749bd3c2c25c33431b180ee31c4bddcb964f5804ed619a967042ee36c198fc172d18ee095442f2e8c319d99521422701768b088da03b8512a34720c4c3710ed886481326668458187944ef34b86a51a975c7972959c2b8b994d202941b9772a6fa47139dff00d866a0c547328ee18c4d2e3378c46da512b5b1ac622f6b8700596abea3815894a630c30f280cb688960dd4352f3316eea0eb08db086e2c5e600e353b48543cc71a86b0818bb8954c2630690335c17ca5f533350f58aaa69046bae2c4ac5695954511aee32ddc0ef2edc43151c04a95298a60086624a171c0dea509ea3adc16821b9b92f4ce8105472ab8a812b90835244449522205b732713922def9cc3e80caa5046a517770a4a9724ea2da89de19316b13183888f0b8638dea80c338255cb6619dcab72965b8180512994b20d41b465cb971cc44431b6711854c63cca16261d92a054a3e90a752aa45259328c38199aae308bc6055cc8dc2c966789d086b50d2d84708961425592f2a3e5cee28cdc134c0b718a8c4cc4b2dcf211a50d46a590766e548f49f8f116364d0662532a054ed27be1b84a1b972ba8600813a9ab46ab71454361be0a254313133a940372b35124ca24c21dc01fa81e21278dc7b392571cb95288601b1b815fca3a1982ecae083ee378772aef335b3bb0e9cefe2852578c353594465342218ac2cf79286c2e6b164163d5915bc3a98ac8c553612c94959482cacc6b744712c964630d544a531672d37cb187ea2fbb876e2781cfd2fbf11c3638fffd900', 'hex'), 'Janet has a BS degree in chemistry from Boston College (1984).  She has also completed a certificate program in food retailing management.  Janet was hired as a sales associate in 1991 and promoted to sales representative in February 1992.', 2, 'http://accweb/emmployees/leverling.bmp'),
+(4, 'Peacock', 'Margaret', 'Sales Representative', 'Mrs.', '1937-09-19', '1993-05-03', '4110 Old Redmond Rd.', 'Redmond', 'WA', '98052', 'USA', '(206) 555-8122', '5176', decode('ffd8ffe000104a46494600010200006400640000ffec00114475636b79000100040000004a0000ffee002641646f62650064c0000000010300150403060a0d00000d42000013c000001ec400002f56ffdb008400030202020302030303030503030305060403030406070505060505070807070707070708080a0a0b0a0a080c0c0c0c0c0c0e0e0e0e0e11111111111111111111010404040706070d08080d120e0c0e1214111111111411111111111111111111111111111111111111111111111111111111111111111111111111111111111111ffc200110800aa00a003011100021101031101ffc400e40000020203010101000000000000000000040605070003080102090100020301010100000000000000000000020300010405060710000104010304010302060203000000000100020304111012052021130631302214321542233324340743351636171100010301050406070507050000000000010011020321314112041051221320617181324291a15272231405f0b1c1d16230e1823343532492c2e2738312000104020301000000000000000000002120405011000110708031130100020201040104030101010000000001001121314110516171812091a1b1f0c1d130e1f1ffda000c03010002110311000001a1ab17d49b2a8e19d0c2fe8873c1a13acb24c9324c9592f5d56b908bbc91680298664c35f3e2584c9baa7d84eb86e87e266c9012a9103c9324c932564bc9324c9324ac2f3afeac9cefcf6c8c8448cd2fa1f4b770b8a60fb2a752cfb93e6ebdabf65e499264992649e495aede7f3772ca52aee86b1ff492d2dd1086b4ea411526147f443a1ab224de061a8c8966dd7b7324c90225f2062cb3f2fa3373d3698a195eb40473c2c662f62ccc3ad353e0abe0aa45647954f043aebd93eae65ce36c38588e5afb1cb79b64029bb98b0637566d360ebcba641849333e8af14f746e5b25d9dbda0685ca0d4b6957a538d7161fb92e1e85977a97323866449e774da05b825e014789832c69083cee1a3132b55352db20cd6bcf85389f260f6474d11d2ba096251cad32e8d9b94c86532469995345cd120707e8d0e1a72bd314e76a99d48f4a705e7e7955242aec466e866366f27434a1d53d822eac768f2bb0eab67862418f8c5c7d0f84ab8f4e3b0db98bd01973f3fd3cf3c64b013f076460dcc5631eb7c25454a82d5d8abb5130502a9591eac41836768c2fa42cf6b234af8113cf34649893867ee4da7a529a73800f0288283b6a88b88eccc9171734e4bb79dd21dd9595d9ac351d98fce8531730c41550ba29c4f41aabae4ad9179b5c55deb309cd682aaa3295aa1112b508c53737d3b3d9c0764967a4d7cfa99824542061344ee5b43e77a45a0d1a6a8f8320dbfb6a55d8a685398d89262d05f92ce7e23833a88671006a664b0f40bd6da7c56a451729f9ff004eac0c87d7964d5b6341deb717c8531a75ce68c732ece6082e69f3b176b3021955e7a2c037a2c09393642f13b05e6d165f9df4b090b4b888657cde446607999ec88d2ffab0f8ad338ce120e8e58b709aa3c6be3e91e71091aa4383d9a4716d9d437a138bded6506138e0d312f678788dcb26cd77df4b8696681c5288915e212254c852bfd1fcfe9e76f71f3fdae5f4bad6173bf1bb52a55a45d855f061aa82380aec625fbafc4e4feef2a51cab239ba7471f5d329434aea17e8be7ed2e0f6e97c1d0af16cbc33ec038fd6218ad68d5e4b31c8358afa5318744e80e8f0a9dd19a85ee73192c7a6b8dbab5e79d5391507f42e1b0e2d91bc6ef04b63664d509c6ea112425deba9bd8a98130a1d93d4e7dfda7971edbe39e9f2e79a0e4abb0b2b01e36aa0fde79a0d6d6ce2f781c5b9dd2dacb85d73c0f5acc8b105c1f02c8ed99bb03adc8d8e48a67493b254d4b91621834e7bff1b39bbbfcad544c983a25f1fbaea0558f1fa9a706cf81a18e09717deae8feb736c8e8734307fdd5e4b8635d4c1497bf93667479889d0c43e57ed0d2e1e7fd3b10d29737a2b3c3eae548364d06226fc7d87d6e5efd19f4234c767d125ab18d4c8d92a2ec79ff003a5cafffda0008010100010502dab615e32abc61d2ff00afe8579ad2fc48bf33a9ec6bdb042c8a3d3958bc6ce4ec7e44f4e2dc8448429b0a6d6dcff4be323a1c5472b5c3704cb07c9f4b9ff5e635b4438b638936142155bd7b90f355124752a4fda5988304c1ce6bb216567ac8047e17867862ee215e9dc1560cb1c846d56b98ed4f9481d63ced2a373636413b712d96a168e7ce0a6cac53cb33668a7c81f1ac955ae745f3507f3439b050b738562656a9b9edafcf5c85915cfcaa91727b13a7639198afcf2133d868790f291154e76974737dbbbb039d58b8e9a06bd97db72adb32eedb2ee85b2ba4bb598171b6e7ad20b75276b9d004fe4205caf33296cd149e2e36cc8e8b8fbaedf1d9c8164b61ad2e75ca0f217afdb924a3636354f76b355eb9f8b469cf3d94d830d0084e95e9e5ef4f891886da7f6a8260abcbde166f92b81af95795705cf8a51f20ef3321a566bcdcdf967752a7b5597afdc2488c5345334a2118d3d8428af4ac34790de29c9deb35ce03e109534a8c053cef7f1552e3deabd704589dcc5ce4bcb39f1d9be25e1edbdf1ee715bc05f6af002a5a6e559c6397876b546f603ac49855331beac513e588fe9746a763b75ce36279a1c7189c07dbcd5e6c114bce9317177458142c4e15f9836cd2bee10f1975b2b1ae72c841a981302e34ff0022aff58b53c8cbb08c61361ca0173b55ce51f124b0d2e46ac9c15a3660b2d1fba476c7e7f1d9f1d697cadf69e4dfbdad41898a9c802e31ed92ccd630f332b3798c14df6a63f706c4cca9bc2646d08137882156e31b5e5b9062d430cef9389964067b15e856b9726b13040a6a0b803fcab04ee9ed3c3e381c4b647b0fee0a2e5a169e639061e46bce7656b0318533e7772505382ac163d86b56af73919edbc04245c77ac5e9055e3bd1d8ab4beabe0fdf383b534e3eeb106eb1c656b8eb7245c8c68db8b70654910899e463b0291dc7907f8aa71d4457a3ca5db0fb124bbe763935cb84e3eaf16394e744cecc93bbd7bdaff6db3c7dcad17bd4dfadcc3e4b15772839b96364ff00f8fbe0e620a75a0e3a4b8f8da5ebd7e9bde7cde7b9cc5a7b99235670a37a6b9729c8b9f2cf2e536a4d578269efc14847345ed28b7ed0eed6226bd1ac73f8913543100b8ea2eb3665e15ace21bc4d584cdc3c9615a6491ba493060932a356a42e34297967f70987ff00365eafc431bc7b1dd98f063c04004eac0a35f03ee74bc2d7ad4a2e4b8e8eff001fcbc962a5badc95981fc7fb7d1bd0f3de8d1c95e0739ae85e0863a20a4a956d7acfb47253721c651e31cf7732c1578b8cfd9b884eb384db8c51da05cdf2cc6b16d7771771f25eac36c1fec8f5a75da1f91fdbf09564f370b9862f72e02299f09edb331dde4e37f0f5aa6ea55a1685eee76411bbeddfdacba6f2bebca9b04c07e54a196f906c117fafb8d9dd0597ed8aacfdf976c2399af6f11d6f6fe6201c37b4b2c2e5fd2a19948e2e70ceee2706131ecb9cdd1fdcfd7f8e9bcb5b0a3f9253e676f91d86f1b41fcb731c7451c2cb136539d88b95f4404892dd27fe680a85bcaf54e65d658e7268cbb88958d92e43fde71270ce469fe0fb03fe07c3de3635cc0dbf6a473bd3fd7ff6ee3cbbed1ddec70723b02bdc750b51f33e8b49d1f17c759a91f1576dd77397f1d4ff002aeff91c5fc7ba7fd94abf86c7e8ff008f88ff00da21f877c45f143fa2ed2d7e8b1fe63bfa3fffda0008010200010502e81f582c7481a91f51bd18d07d666add0bd0768741a6163ac1d5a1128ac2ce99d32b7ade16567ac207508a122dc0e9b8273d650281d7287446539656709c72b6e9959d020741a8d709aec277741a9c5008bd67a8140ea3a73a14e4d6845a1386a34c20821d4e5bf5c2ee11eeb6ada831118594350ec74b931159d33ab56e590e58434c2f944f410a308944aca0b6ac21a6346e9958c750f83d1b9028acea34ca3ab227397e2397894918c1e8dab09c8208f64167a20ad90006891dd89ca28ac2074c20148820be50e968da1c54ce413ca7698d03d6514026c6856714e89c3a5c9e549f394ef84eecb3a6356a63b6add91f29f5822dc23a14f27749f20297e0e9b741ab0772a37610d25ee9ecc6842f1f7907752eb95b96740a309a138262ca2c694e85399aca3ba7774750356041bdb184167083b48ce5588f08e92b16116a99bd053028dba140ace854213e3dda14ff00828a9fa589ba14de88b4ffda0008010300010502e86fd63d4dface6f50faeed40d03511f588e8082cac69858585b56c5858fa0d3a94d08c4b611a6d2991ada88447d11a0098d59d36ac6ae0b1f45a894c6a2506ac751088d0f544328841353c941e720f514eebac3b16610d7b6995bd6f4082884753d357e244dd30b1a95b32b696acf671d4a71e8af26d323c14d080d0eb8e87eae723d30fc8e8c22105844229c9cec22f59d4901091ab70511ee34c9696b9ae5b516a6e8e5f2652023d124b85dca8dbdf6a6a089413a047785e4728c944a7140614efcf49ee9ad5137460ee34083917a2ed1c548eca3395f2b1d0d4c099f099f29ab1a6752329edca211ec84ab1a84df88c76516bbb43a9f829cd4ed22ec8e80a0fed11ec54486b85858d1eed5c884090848b1ac27b2087c0e9794f28272da9cd584f50c9ac122ca054450e8714f768d442c2c2daa54d7610d19f28287a5e9da04ee89b4ffda0008010202063f02f0c5ed15267026985e5f36c435b89fffda0008010302063f02eb7dc41862a2d42c33fad8c517150dffda0008010101063f02db18c8b47cc7a90af4dffc5777120f9bb767cc9f188e48f674cc6571429c3c31f08db3af104821ab01b863dca750869c6661663172c9fa005ce8877350e6993d9b72cbbbf67f31a7f0c7c547f15f86d60153784a9195c6e21d53819e7cb10253189088dcbb6eec41f0c3f66c55511f009101beedb2d6d402a105a8c8ddd66d44585b7e2ac360c13666325965dcb12e5751e85fe950fed4ac7eb45ef73d1cc098937b5c7b46c8f07330ca6eb5528e4cbc238058dd4bf34d729487970518ce1cd846ccc4dab9b47c71be3d6be2fc33b9382bc6ade25cb956119dd964518e6b310875a053f478b3e6c0c1aeef50e51c99035d659b9345dbf57d82f0e5f523023f72b496182cd4eef3477a07c12dd256d6007515c0f3ebb87ad1a742c7f1540b980f166b5427e76b42027675a21fb13137e3d8bdee8588d231b626c947715c5676af1046a800549e2700b3cc9e2bb6d8b88ec31c0a6bb2ec09e46cc3a469e4cc2a979c8366013bb4262c9b5ce9cb54860ceea9699db31cf54ee8a1800b827917c419c6f09e07a0e2f56b1404ac96c7c3a503098cd02dca8d962e20627126f6eb52ad216cfc237470459c772910f1a42fbdc7728e4ae67238027d16a8c8d952e9856a0f8ecb0ab934ae4f38bb074c2e3683d2a311e5273bf505cb9dc276f5809aed9702de1465cb027bd08da311b3f56002e227b97c2d49cc2fa72bd18d439861bd538c7cea9024bc636942371677c107e8918bb7a91dcdd17d998076bd13060771b4142a08ca3285a24142a483122d1d6adf2dcb90ec453b076b7e4a26e946d51cd6485bda8e9e99cb932e690bdcf4240e2ca60068c62e111bb6991e188f2e3b4c49b772fc5615618c6410e517833e437aa92c19bd2a94aada63e0ab8f7a10209f665f9ae6d6b1ee8dfc4a7399f14b365ede8d73806456488cd259ea1cd2c372b0b2b5714b285a79502f1208a9de6c42d4cf6acc30bd0300f136486f084ebe60ed75b7dceb95a5b6bbf1990b9b72cf50973787263dc0ddb799ab3f21a7fee55f11f7638a6a95e750c6d3299ca3d4b2e9e952a94c0cf20239d835e5ed5aed269694215a8b7c5a5e09ef608aee55f4f3d4cb38b6866bb27ee5c51cf11c5760b89e09e32796ec501b63016d4adf7296b2a06b7e1137d89cd412a67c223ecbbb10a73bb317dbf33aa0fabfe93dd0eb08ce750991f6ac65f2f0794ab1cb10f82af9a89ab29658d198998e4303eb0b55f2cd1d3ea2a4e301808cad60c8a75cca72c95079a361469ea21cdfd62c366f0a98711366691b25d77a13a35fe249e54a22db3059eb472cbcbd698dea55241a940669cba90ad2f0f31a23f4af979b16f88fd670e88fb60aeea6bd7d4feac32c6ea1a79dfc750b131eed9a69e399fd49f7edb477ab2442cccf2de8ccf70518b3baf978d68e9e5263294b16c1716be9098f3538999f5629f495e9eaf2039b2969d87d82a509c4c251b251361e81b7eccb3d4063a7a3f1351506100b4f962290ada9072477711d95bea1587113cbd3bf6da7a56ac82d4e6dd4c9859e57c172a45a57d39ee929d0aa32d5a65a587dca35e8cdabb7f3370dcb93f53d2c6a983732a30f4af9afa54f341b39a24bb8fd2531b378d919183c7710ff009aafa8a1563a1336a5c760681cc400d7c9951a308b69f43fcbebeb4f2b97d3b4d1b012f2ee0fb6dd8c118d18e7cbe29dd01da53c48955f6f008d11751e23efcd47b17cfe9639b51a6fe6c479a97fc543798842b6714f370f13b7a90d3c84c64019e3c27ac4ad55b5da439ab526f9ca2301bdb602ee3da6b7ee5a7d0d28988a12e65433639a6886b4bd8a200b6457d3aa61cccbfea086ccb0b5f645cf0caf084333423744581191368ba2be6abf8f572e601ba26e4c8895db96ae340369b9b2106c03a84a1da3ab72108cf3ee719a366fc54be6a8479a48819c318cacb57cc7d364239afa1e5fe14ec49550118661e9447b2518e112e154a70b6ac07328fbd040fa7b71d8e7630c1194cb050d3ff421c75cfe91f9a8888ca2218264ca757e9f57248ff42a5b13de8697594cd2a90f0bdd21f727c5bd48cc1f0ca24773ae5cafa43b1f33975e1920447bcd8e084699be7727de020d82d45101a8eabfc8d3eeb7c43d28ec2e3b0a72a30a62d99cb18e24a1ccb7535f8f512fc3bb63a3b859b3257a11ab1dd208cb492969e780f147d6aad39cfe212fc3bb05f0eaff00055e21f9ecfb752a7efa1d9b3e91ff00affb76cb6683fed086c3daa3b4ad47bdf8297bebffda0008010103013f21b42442f91393ee95d8ad88ae2d2b8bc745858eed82d6fdfe9be8445e3496b0624cd1dafad04eb22df74c63258011652c5e7ccd7996adc7697b3c33ba461f665aba396a5cf99de9d3f305a3b8f7263fabdbf5ff0024129c8ec8a0a8fb65de8fe2a503455d0a3ed3c7314752c2e8e66660152e7291a84b1713452fcca11cff00d81738cbb152a723b2f1e666baa9dfeb40163847b4288163575cc5d1e195aac7635a0e5c6499074af3a42c01c1e9ee6d37d38b7d4f0beefea3c0511cbea0bbb9a075f8984d9de1e3fa4b8ca317f8e227d9c6dd9c0f99ce800f571587bfd093cb6bdc590845951cac196a5bc6799a46f04c743c6a55baa78a62a5ab90f563f31916f2035ace3cca0d4150358caee52d2ee5d0d988187909fd9304339730fa47ccd4b57930c05e16811bed0520ac5c7dff00c874264dfba8591430b1e0c318eb8b988dad62c9ee2a9dbbcb8a5b1f0a9660e2e1982e6a2d617b7a12edf17159561b2c7fa4d70d43bce58f08e07afee3b6b982cfb91d3e0841e051bafe5a4b08a6bf407fb830a021ae5b073286b4a72117a11c31703ffa1c7956c026a8e116d667f0086ba52356aa1406f071b33158eaf485b93bd39959c57b28e588af2aecf10709c45a0cd3dcaab50e3882815aff0065de0c488bf13deaef11cd55f93fc8ee1acf317200e1c660350d740d44d4a46a4940d76fdb1c4bbde53b89b7f2f22fc329ec80328688470e1cada5f68d47def27d9b9dc34cb25d1eb286926ac3853367cc7a97786a050df26656988140edd2f6a5b39c5f89a0e9fd45d6f2e20ca1b024039ca306c57610d3fb60c0077152fb272621a1469e4df7878702505b9b00d7da3f7c0303e7100088a355aa532ec09470373fdae2a071b7b8c0a0aa1c94e32f61801efc4a9cf53712cd133a8510cdf77b768f95ce0e3c8d4754e8515886e2da87c38238c76b8206334c3f88346e68784dd302adddcac65b081659ed194c2a60932ea6016f671a116acaa09a1707cd1ccecd42db1861902ae21b6a6495cd1308693b1d912ef30cafc621b6c0414b8dc7de2e18b6271f047da0fc1de1d88cd7db7311aa78727daa9d70c704ebf1eeccdacea62edfd230070024c6b8e1e3cc8076eec0c86afd4cbd2c2068a36768afb36736d4ec040e6d889583a56c735f78001c3cc4ff007152c1cb751d800be108b475ec2abc399706a8ebfa7c7de01b8397ce52f0ebeb29b0ee8779d739e3fd402d7c08b2fb570f330a46a343d9cc65f4348d0997f912c3cdcd7f96db4041bca01a4b837a45d62796629791a9549b2673642174a9579212d85197b4a55c767276ed18ad3693e6feb11d0dc696bdc3f73d94ee3dcf85cc51961815160d7d95db7a9851b963e8a7da1cab5731e461c0df3078f963ac320d54291079e18978fa5c15b2fc0967686cede6d4bc3f709896d9748751319bf5070c7c1ba8dddc0376ff00c9bbe4d7b035e2d8db8473b4e024124a383dcc1b98a121e7ad94341cb59bac4e772971e9aaf883f8092974bc14fce23b19fc484e44363bd6ae0392f54d9f11bd457646bfb7d45620682353b2c99c86869a45526e06d8b6e1bd1163f30ed8359a4b6b8a1ee411457225b9197829c7f52c56d566f6427858bd9801e03133660174b0c3aba3dd6b0d1e5cc5b02cbf313fcbfdc0628ab1d867739711725be5bef2d26db3ded36ab83b3f33e4116bbdf8301863c3983ca7c2203b27de799bc273eb996563a3f03c9ce627c7a1585d3f27e255b910c3d59ca476654283e47a41f3f51623a654ddff0015ff00b314bc15bcdb2bcea6dfe6b781831daf1f9970d6501e183fd64c5cca47c313bae83226e0dd93c40196d546ee6f2c57973a79adcd3026ed273e3bc515511780bcad271c9b891f4294a2381b80e81030585d766f875371b34637de7d328c287261845b8d7781362d2a83ba1a426b277959068e18d9d2f9370a0c7ae7cc261429af705dfdc8bf2cc487a8cf45de5c86b4733cd7db93cbe0277fe7bb3babfdc44acafdaf73d07e6657e4dc2f5462da5b7cbb7abf11d5cfeb7731d8b86e43cbd841514ef86d3423e5b9df4d2da2aa0f19f5714a30aed85a03e76a65e133580ab0029aef193a81205d017ef53c98afb332d00c540f85d4d9c7a8ea9e4750177f888ba2b3e65d10314ca66c8f03f125f973823285bc5b55cc28b4dea6ca3c4471b2d2b1ff0015005dccfbcb070c76652ce5ce1da1b7e23092776166e9571ea6190a0da519ec0e7dc696a53b1b0b85efb844ff00f4cc3aaa17c99821a9ebdef0f9313b9f543b0d20ad256db0d415c4c938e1c4c201cf78371beb71c4f9d21b4a84c506a5fa3fc65b538afbc7dd755956f1b1f373797cfca0d88fbc2fa6c2aef445ed2f0356330b6613d4b0c21d18344158d546b77276bbfbdb3ca968ee23bea62f10f99c4ad9ff00cd73bb8b10e83f41f07ebf08ebbdc455acd60acff4cb756ee3ee6a2cada310a80a1e4705edfb4a15711ddb063e62f4ca64789637f13b586035e9d9027bd2fe0cbf32d0426edb1b6b9974c95751f1e11b75d0edfce67f99e67e07f6cfdbfdcfc6fd23874fe6bfdce1d05f864df3f313f77f6cdd8cfc17f53f03facfcc7ea7ffda0008010203013f21e8f419e95ff34821172e5f56a57fd02097d2e5a2623e8ffd14b9704aa85324183aa87a586e67e9a25f58a65d04dd90a4b19842b195665d2e0fd14961888c6e5e3a94bd3b5de3d04eb3b8bd1a7d187329297d075d4d65ddc62e90c537f42bab2b742a9467ab61d2a27d10170574aeba41c419b8d7539928ea50e20cb8a5742e854fd2ea2aa82711654571060a08ce2c6de01825d4bb8d84bfa1c199b4a4be8beac589331ab88654da0119abe8ba39d708ce503a1473d42332c43745e97d5752e649662f310c38cbe8eb135185d752448b658dc058e9304410a224248514b743be16fa7aad0510fa16ac66c200dcaed0e84043047287e91a271ccb514c1736b8460b3a0ce6f491311cd4d8c095d18baf106aece7a0494caf4a9b4450374a0c2a1dd7432950d03071d526d17198c024b318cb2368aaa3c42eee66d3f9e220f28bd172ae8086e3b8bd0430b05ce5ed2e7a29a8566c498f2c768832efa516e9821a7a3d07af44144ce30e065f32e43c1ccbf69963efa334a9b8f43a9e581d73377b986a256600cc66dd2da6f3586fa10df54e9de3d399a4753fffda0008010303013f21fa074acffc03abf5d4b9707fe83f553a543a5cbff80cfd055f5d48744ea423f4dbd0e8661d4aa8da5ba19175abfe08cc4a4b2587420f6eb08d4afa152a27d27454b2007585812113a6c24aa8fd1708cdcb65d383a378755e87d75f55c6a659890779c39cf4b8cf562cb867844fac83282fa6252862611a44d749a22c74a83e9194d26902fa18a8c371aa1a132e9ae6e0afa2370a8d2691b987a15309b8c6d0c11cf512ba0adfacb2e5dca42fa115417d42a7e8579704d75f779830e47427b631d091e60485be636edeace0455b73d06199b8cd7a0c70c1738f5da32f433f4c4ab4fa53d27246684d65c52ae8df07a37b750055a5f77d21d4aa670ccba18f537a4d094312b1d2512c8f474c267d41b86a1bc421633a1308de5d0e63a8b4621d74a66874b84553484a8ae822ea628b1833d0d6b895b63e6372c81d2f966333ea2ca95d0b61be8cba8c099a12e15c692c979f40ebabd5184c257719d54e97135eb7eb3ac3a713684fffda000c0301000211031100001089f52c9219f49e142f2ad82032480b1ac6a90671249209898e29e894292104bcc36b3aedb942ef9ab55320b4bcc57a3eb558fba1453874c7029600cc68fa0aefd10b6d46fe43e477e2ae24f93c0889b407d9f7d687df7c3d919d27b7a0ab789cc4a602c9d70f0cee7b761d249692c6e870b224bcec677f4d102df1765ddf31df4a78a5e30aca245312b39ce55cb14a408a37fd8a72a6c8e8037896ccf392c13b35074e2a50ffda0008010103013f10570173b798c86484ecbcaa0674e68c4a36d96c0005dcd1728d8f40e07e40e6f46db1bd57d2812dabc1d29b929298f64af42b2b79ccb9b739eabb187ea025615ba50112e14698e58852ba549815cec56c2b61e564c007cc702ade88b5747c4741020accd0cb46580177cdadc0341403e572e21e6e6036ff00b0e8505d3e663fdb4223969576c57cfd083b80001c68fa50000a4c88f0c163b59b28099709e8bbcb3198e2b897740c4b1e5e61e551103c00b4b800371697900c4198525ddd71713a508d19575802f98cf2da039da99bb99f4064c66c4c32c2c2db748b30739d46c0c3a48d6e50debbcf0beb000746b1584478618c4f0b2c2b91075044a9880da200e5ceb1b65172046ebbc600d604142ac07bf63ed0481da3906950bf694f80a9ab940b2f7861d6929dcf70d9e633752934050e31ba822dd8aec759f1882e4a7182fbdd4fc2055fd9204596dab079a48003e4a993dd03f9897295b3d0168184a61f8ae60f7c019aaabdc12385fd1afa229e60d5f35701603b44702878a61072400c9c44202c28a86ea73f93972c180885791c8b2e257d2ba2a4e4037eb7282d0417b59a1a1e657f2550a03d83994cdf4b5eebeed9f9e49474eac90f0236fc434b2b5013392b312b74d6e7d958340f99b7f170cda43012e9941f690811e4954896bc239a17dae50f540e17b2316aa0545c14a67ed082cd16eca79b96c81e84b042d415db0a5d8e4429a3a986e7c049837ef23b1f303cc0c95194a153d9267d1ba0d874593f3550c5882c8058a2d2fb0661f590298798d6a5402eb4381638034501f89764443ace689a9bf12142c760b8e286da156eff005062f49a010774bfa47999915214da9877898e27b0b662f574ce625533ad5273c554ac2a29766158d1c8dd242582a800ba6b30a39a326b02dcc344ec57440b1825ace47b949f317da802efd219cecbb988b99bc988d234b05c1ba0a058360ec003358055d04ac160645e90b42fb10e5174d19d73324c06ae5100ae45bf98d8b9034cbc0546558159f67fb86062d8e8714f8c903ed16ac36b20ec583c64da1be2d554c1ca0c2bc19b508edac6751b343e3c418d1d2f788474652e54d73163a11c19c97556c6ae20388245e427906aee31cf54b2380ac61c8bb81daaa831ad896967ea1663cad96e3b1eb31870a41cad3b6b89fa46916d700c7570db887b20b7e271a32b8ed44b4537cebc4ab0005d2342b4bf3150d7c0aae30f0fb80a775b040b8c63c106b0185eef699e2e817eba2e44760bb96c6af2ee9fb532aa8a6c782a2a324c5f9cc78408b51b4b14561dce2a4901825bce8bdc3afcd8d8c5129f032b8f56f06ceb0284546a164b42d72b4cd0f62c28961947638619f12aa01ac52be60b2a0fcd966ae2adef1b3e11dbee5ccef6b176eeb2588100294cdd8bc3c8c5ebd83d4ae42ac79e6572152ca0297be7997d2d46305c3c1d4714a2c6429eea356d547d96863508d0b19edc472bc006a0c155016d6562eef7750df29428c8b215ef4ea33f64579365d1805dbf02c0ad9937121f898b231e4e615dd35bdcc174a75db74de52010534565e4b5b39c4646455b8363ac3965083bab40abf12866b6eaaa8d1330b80e1a0ba506cbaf87104b83ce1bc6bbee12201c0ad66331708c94dc11e056c2c1849b728c95a61ee1daef5ea200cf78e540597bba95e08ddf3f787c8add959c3cb154f100d45aa3695811c39388aecda745381aefe108d2c8059caa9c3c8c18428d8e081eeda788c211c06828afa0abf3280e8336400d348ca19369f74e6f3637ccabbd67682b3e0ee41624814c103554f77705d2101885a5cb1c8a762d14f2d843ad8cca217556f2388e519102ff00f3987b64efb95924d08bbed5bd42667258b542b8d5d4321e04c69ce3b2f7091ed82f02d1c5b00ca160587cb7fba94825a42c1d166fb46aa042b2a9b90688868376c47d142144f136979cf1112e49125253c286c6a0636f2caca2a151d523e7b898c2e8c50658f36c1d94b1ade16ba76b60368145457a11d374267c9b8ae394bed687e21af5a6afcb2fed035d9cac2cb66addce0e589eaa8e55aefde0cacb30673eaca81d32e50b23a39cf9805b6bc891cd1cc7e6858eeea3b5c283758f3ea35b8f1c2b2cf8c626d6b93680e1620ace6bb731d3bb2a29d01a5c150a21933e0e6f8e4cd573ae672c8715b5690cbb0ce2b51dd211e6da032dccb950616a8bad5385336ea3c87cace630dd2f930c32c93b740665876dc470a100e29864abf1860ade5fc987f309ad006daac1d26aa1825841af3b2a8bccdec8159eeab6042f32b855b2b37cd24b8fdcc1a8b6fc47866529936dfc41c2a0307899ceecc1ec983f0b9e2b4baac647ccbe012ac00663b5f8892d1b7410315959b36b4d45c6a6e50560cc2a8460e4e50959a041c592020656acc2754c6912d196b0a87653d8b296d9814231cf3297f463341b827842c50897562a805a030a380944c294bf5cce20dd5e16f6d12740c5598ccaddeb569cb070ca37e25b9e90b6992ca1cf12db8591951b2da2abad423596c6914ef1c043ab10bb86b31f1a29d4d85e568799532c6a800cd6aa24446956ecc0060a3b92e6fdd111f68ab578ef134854a420db41c802b22f4435a1840c7caca08094620a354d1498c558c70bcc05e21b15de597bb999f804cce4e6e62a362f9e6627bb10fc426a15b062c25340bfb846669202be2d86169dac31b0ac6b1329c5e84a82d2150056864576860cad05655ab42eea7865f9a85ea511555a39b0da17868ff8afc44715bb5bfb45642063e00231edba25c61fda0a6f72e8860133816057803dcb2ac0e7a22ce8adb4e72c0d24da2539016a10298b79431f72a8a5cec40f2859dae5a9a39f17072d855fcee46edbb75c663afbc6aecb29c5c655710e23bfc156d3b00dc7e6570104f61b5f4987d9816aa1ee5a1dbcd4608abedc17360d2f15a2216cac08688ac36f7c47463895019502b9cdf642ae6af9c0a45943b97bdcae8401411c88ea69a130fee6f7d19100032eda6f372de297dc2034a0bee9285bedc50ad380d5702c570ffa83411e17b7f52afd4262d6fbf1aaf6da1af7995f9f440be55d9dfda36f6a72f3fe7e62a3920d4c0f38596de8d845c0abb9ddcf172d90b4465063168e3095eb9120669db4f70635556f0de7f531927be729865589b6ae202b6281ba2e9690715ad5be2e369385ac805908b9f718e28500dd675b4a8604352c4c460a3178316bf0bba1b6aae212404b4b34215489b22e0489a810f02b82db84cda087a7396eaeef707a073316959c7696b8a532b548657e007da5376929f31ab60376f1da55ae5e4ff9165f2152ad4e9af988b08b6aa058a1419da6c8e1b16165f63cb339a44e6867c3a28710b4955e431fba83447cd4979599b98324e96280694d1a0a20c22c5021600c6990eee3c759efc2545b540c5051a506588da9b2a576014199042adabc6eb822004940c4a189824417c8aa356ac7dd9e289cac0065c79a136ace8d54b8c72cad0a2554a8b56b703952169df735a260c8c231aafd454fa4f2de18d2838b46b52cf8c55b0f39a87894e5beca084f04b00763055a83c41877c10000bec1a8a96f61def94c786f4eeb07f70f0aad0341e6d6098013566f214818a03ee846b916f98565ab6858958b860ee5435cbc6215180dd6a16c1159b85bce4ea00077bcd0b728daaf015013c029a24512f2ad5e0af337924715b6bdc71585a1dd1bfb545b04ff001ca989c6c505d7619903910c061a1e9715eed786133e7e868a5f7995438369e2a1b1e894109ece087cec0e518bd907e6ccce94ff0088edbc17e7f88c6860209c1d791871479a3fe4ce5cb445df027912158d56f4dd28d7cda5cedf1a69de29a582f0421742dad2add8992fce6c59a3ebfb9fa70fc2743bd5e9fa742fb7b10de7f21da3f77f73f8cf13f98ec4fe5f53f9aec75fa6ccfe53bba04fe0fb27ffda0008010203013f10ccae8a9dc74a5dfd69702be8b14b5ea30ab8951ee322806bfe6e9f12cea72a8238dc437ccee3048ca8efa54a7fe00911d16372a2dc40944283a8157033d06a4b918e2110a1987d09169731dbd213486798a150b152e67a6568ce64545a20626a6b705837d2ea2d9672286b94469cca97355ae654ecc076484d3728c115ccb20c4ba88416a68e892a57417ea5adea389282c948198172a2691de4a245d4a1cc33530c55437159f44c682376a3135bbc0c92a683128e92794444e8ab5149c108ab12b5756a5db712652bb4b7989888e27317ac84c6646bccc25b2ac6b287133dcf5d06f5d1231d260dd322711094731f1b6976ea25e61ac80688b610499660a9415cc42c6252afaa5fa84e18cf7c354884ab2928c33152d477654605cc895c53145998bb8583897165d470d6e00a9285b96b1021be6600863086014b1a9a974c494c903f54b1b62c6165ca111d4b264d1116e6c5ce3ae09aa99a02cab872c405e22732e262f710a95781f92215001ea23cdfd7da1cbe65f45c7223bc570901c8caa20544b9923adc2c36d18ca881cdc7635f9e25747f0cb0d418812e62bfe622c3da73cc47288e5731ea0731aa184c308f047e61d1232a59665a9442a6e2ab941756a1b8d2ddc4788ecbc80312a3657c4bf07f5fba9a954ee6fa131d192578e606eb2825843b1982c98ba14351c445c061cc1090a0b98902319559ecff00b31064d91743c1cf817f5704edff00df8e800db13a155a4763a65c86a3a49531ad25cfa65a6a2b4e6a56afb539f4aad78b82118d3ccb1889bfc1fe31042ecad7f3f152eaf682cf529477688ca06615d54c1898331d84cec92f84966e033cc5b47b99e4c7ea2a86a66ddff9de382a9388a1da36dd92d22a86017865cdc59699a6042d89f7952733dc436cca146e2de95d42ed38961789e807c715fdca1caf881942bdc7117bccaa1eb73d030cb3a966599bb2658e19a88b72a6f297196fa4adb6f867cfe82756a7a37d2e5eab7e3a369a3d41b3518d7af99af5f13fffda0008010303013f10b972e6a02df4e6fa6fa25ca3ad4885d45fa6821df1ed96bf4543b7d40164c5a952e05f4638eb5a263509a7d6929e8a98ee5dd6e38c4a89c46ad3352e8892ee33bc44a71f48f46d15aa8b2d08a99e6176626412880764b3503c4b451d28caeb72e50d305a8411a63eb0736e2eee4a742836e896b6cbd84b4f48a6e56ee73c7e8de15d4b84b399626395473e6056cd1131664b961647d332f4358f4be859be208a428b172e292f2d61d860a2530c32c963b8e9464898cc122df5ab8b802393422630e3e609913d2c2d15101da21c4482b7d1a32df5154325f3f4302aa13e44fee0984bd712882371e24060388b8ab6ccc2cd23154ae1dc58dc17245adf5bc9703e42225542c5c89043359cc98918e5c58970cc38841423bc6a3dd1d4507bc5d854a9abc8d42a30aa565441b5f4b0858221bd71174089495f5667022a8e111840ccce2419ae9718023ed0154bb53711897a2a116abfb8fc0af895d5cc6d8a8b4ca4130b35e219d98c995938e955a772831065fc0473b439734dcaae8d2da0e5da3ba430c0c6ef2d559d888576319b580f4de235555c081a655b865b9653aef3ee591a30f408c62e546e024052103844e2effaea5794c32c62545bb89534144b8aaf100701628dc4ea52dcf111a460d350e2ced15aa10122ea59071999d824f93516a6581545c02cef324d9053d371afb7eeba1ddb11175072371c0ab462a60b010730d8c62c56a11be7a0061cb2d548bdcfee58db26ced19a15fbfe926012502e2e502feea04815152b6e6d985105b8e30992a63d212662d9bdb309721e1fdc1b9b2550d6e60bb437505fe6e3c905b2c8d0b30acae6a445101512ee739c741be258747e603b9287300969e6382a56cc063c4f38b98e610cb14312e1258c12edc329899b564cd04508af1d4d3fd475f5374da1ae86713e7366733627ae6f1d73d1b7a3ffd900', 'hex'), 'Margaret holds a BA in English literature from Concordia College (1958) and an MA from the American Institute of Culinary Arts (1966).  She was assigned to the London office temporarily from July through November 1992.', 2, 'http://accweb/emmployees/peacock.bmp'),
+(5, 'Buchanan', 'Steven', 'Sales Manager', 'Mr.', '1955-03-04', '1993-10-17', '14 Garrett Hill', 'London', NULL, 'SW1 8JR', 'UK', '(71) 555-4848', '3453', decode('ffd8ffe000104a46494600010200006400640000ffec00114475636b79000100040000004b0000ffee002641646f62650064c0000000010300150403060a0d00000cf80000147400001f5300002f80ffdb00840003020202020203020203050303030505040303040506050505050506080607070707060808090a0a0a09080c0c0c0c0c0c0e0e0e0e0e10101010101010101010010304040606060c08080c120e0c0e1214101010101411101010101011111010101010101110101010101010101010101010101010101010101010101010101010ffc200110800aa00a003011100021101031101ffc400e8000002020301010100000000000000000005060407020308010009010002030101000000000000000000000002030001040506100001040201030302050402030000000001000203041105102012062131133014223223340740413335501542241611000103010503070a05030305000000000100020311213141120451221310206171913205f081b1c1d14252722314a162823373b2431530f192c253c32406120001030305010000000000000000000021001030406011205070800112130100020201040104020301010000000001001121314110516171812091a1b1f0c130d1e1f140ffda000c03010002110311000001ea8a9f9e78ba58a36cf5698b45e516027b2ac9a7433832c76e73242d6dcf38d66f672ce6de6e8cd6bf99ac1a037ea0f067e7c62e96856b909d5aa5f827ae8b7019753db018e44b3842ce6a3daf06a7e67adfc7d68b0391ac1b1593abe19c338ba09ebd5b93abda6e353e139a0c3ab635d130511baa9b74bec4b5eacb74f5fccc2cc41b3b5936272757c339972eba091bf583a42f4634522883e8c8616767e7d5a13a8c01c96023b5162351d0fd3f3ba52a14b6346956cd23f0ca3b2ebe574eef56ecc34e8abd261296d2625631ad3d7a25e6d76e125629cfc59ecde8f0663798254c69d0bdbac30a9c6b87b69026068325e9f81d8587b71ab26eb1d669053103e8666398751c5afbbf8729bcb149634e956dd63ce987a4b793791975c03401527ebce5326e3d9b63d29a66c6b83a28a2b40d763ebe5d298fb5703b9cf5d2f2c3546d3a95b750f10713d1ed53d9b36e691a7ad1986c3a99e15ae7dcea96ec62510e8b503c299746ee5a0592a66d5d3fd4f291154cdb9393ab85b85e9658349234bf89c6d02b49d772379d4835cb9976aeebe6c06e71ba713825efc2c516a1ef9fd3e9feaf93848b3fd04fc7386b87e93729e5d4db98d54cf47252a52e8e2fa2bbb473396766452703a62daca35635c98caa85f92d4ccebf7a3e68666631f453e9ce1fe1fa4f52f36b6de0fca82f04e5be783dfc48eece5526d3fa31a53a47e7dd6a3b151878ee76e1b0e73a12cdb37a7d6d71070bd2f8a73025d7669ce91a73055b182c0810146a4a9acc316e1a70c4a6d53c8f4b4f1aba63670cb526228d875a327570df9ff51b818d297dc1a928fb3980ea1d1b96552487740cac5b74673ae042e6f7ab695d33b7873495f49ed57b7387f85ea8bacdaa9966e85d57bf88b04a08ad2661b792da2d7beeb710a49b7783275d746e9e46025910e455ecae29f39ec190498eec43b3d57d3e034d142030c2d5b0d31582ca68c487e87d0668b34d452e8f332f9578d5fb271a79ef5f6054c2c2a1ea70c11ae7c8c60702ae1ddeaa3de2c36576ab11d07bb97180802f416209f6af656475c85e73d8d812569b794aba716cab8527b566864babf6595b21ce07b36bede0b61f9e38980071535908bf6eb98fce7b19e4aa9ba9c28b7354bf6a48abd926fabc864cabac36e4b6875d5a39fba9896e68055680f4c69666964ae78f39ec54f7729574e3175466cb0922d4d1537d590ab1d255fbb1360b9dd471977d93ab2c45e9d161810b333373a79ff562ba5c71a42b743e48c3097e4272d3ec238cde455a6bc4e02e638be8f56a9154f24265995505fb2e28a9e8617a2a677004a9d5702501aa8b22a10e0ca0ac53e568a85d83bb33ed67ab6435c881a212c09aed156eabdb7264bf4a8155e03014b58a15d209aca8cd1755eaaa5dcee955e9b9566c861baab1bb5eabffda00080101000105023e82efee2b14e2bdf8c20ab9c1acf54c89eb51930e87d10ce75eefc4a5196b9bf8e2186f176322e444044f056535576e55384854bbe3737f4a6af2fa436ab96b77342bdc4ffcbf9a51edc795539286ff00283f8cac7ac713957c31413c3974e238e09db61c257893e31616bb45af81aacbfb5911fd41cff28d1036659da5a4976386bc304b35891f4f5d62c1d678cc8f8efb6c6ba4d4dc6c9b0f26dbfdb5fbb7b63157d70f2a35684df354b4a3fcecf6e3f936eeb7ed2692273e34e2bf1295c72d635aa1d93221a9b1bdd96bb78fd877ea672cb3b6d37fdbb6a411b8c3726f8f54f0d56533f333d939cd637ca347b5d9792dcd0edaab44a5a3e40577045ae29b5657ba9f656754b4f0cd816cb62087e37f8b4826abb0a5a71252a15d8f66237d951fe767b2bdb597e26ee7e45f2be466c7432dd9edf8d5d86bff00ecc2e85f950e734c12d7d5608e6b01d6e35e2b73e3b3e45a71b081b7f61a8b34772db75653f2431fe767b296d4f6503db1d798166b09ba63657af25aa9acd8c9e4be0aca55eb4a0aa0f5b7bee8a08a46c062da51274f6a2f99bb985d06e7ecadb7c4aec9621aa33ad8dbfaa3d933f2c8554240f1e63a2b5e5bb9ff00aede43be9e4da6af6b05e6f99f8b8d44952dc71c573641f2c93f73595be66c51cdf0d686c50adbad9598f65e3955b534f1b7e3a507acdc45ec7dea3727c72bafe54aaf97c82217aa49e2d77b0ec9f5dd1f9569eee92dd6acc92687413976bfc72cf654d252d735b735be4d73cdda1de53a4884b6adbfb594dd993868ec7054fd0f8efb79b343b791ebe17a975df0c5a789fb3a3b3f1cabb7d649fc5bb87883f8d3c9ab48df02dfc4d97436639f434abeb686fbe2b3e61e29ad2dd9dd765523fa8383eccf6a032ed2fe18fccbfdcd64cc28dfd8a3bf65899b62ab6c6b4ae67b5da505e86b57bd1599e016b67e355bedf5362b3a450549227b7d93fd546c2a8c47e4d565acf2770936b0cd1e58e4d726b9772cad26cdf1cb7366f6dcff00e863b2fd63fbef558dd157c12b1c678aed55301d45e3b37171963656a38e78c5adc6b554f326aabe45a9b298e0e0a238936de72db3b6f2226c55f0fd649736a7d17a95dab1c067ad2afdce920c0d96ee4d7d2d75f7141d952774667a905a53579614d7588956f29f20845bd86dafad5eb6dda9fc6fc377ccb162ad3d5434ec471d41eab21772f550e5cea158017ac8a51d974b3c934049a779c535e1e26acf2b361abed229933510b9f6f470c10f87be1d2595357827575d62dd91339b376ac71421ee737f459bbb5f3cff002617e9bd4b4c3d43348c2c9907b1c835a157733bbc936ac82fd27b27a7e2de5b059bea7f97e2af0b68c74ac7cd1678d756c2d959fb7aef2492dcaf81c17c8f8d37e19876f62ec76439ed4c9bb4efad1b1b4f13bdf3d5b565e36fe2bbe6f906a5c702e415ec3db6dd7e58668e57a83f4dbb673e59258d1cb4c2c6c8d747d8becdae05f2442bd863cb9cd7995ff0a73430ea6ec9afd30f1c66c6b78defedf8d5ff00b98ae536fe256e2b5141dcfd6c2d77736594313e30a7a41cacd2705481ef30b656e1d5a5c413b6f6aa78cd6b965763ac3acb1a6d491ba0f15fe39f268f53b1d8f8950bedf1dd7ded152aa0b96558ad4e8494ad393be2731ef64efce13eb472a7503048c0336a16c89e0c69d6dc16c2771505a95f036073a6fb5fb9f1f8dce89fe23b93b8f1e63bba48ff004d9952b239d966bddb36aefece1ff1bbfc70fbd9fc8ff62acfbcaaff00b53fde0fd96abfc5b8ff006ffc53fb38bf76bfb2deff00aeffda0008010200010502e0fd01d0ce0f0de83f482087ba770dfa5858e8ee40f0ee1bcbba822e5ddd0d0114d3e9c3797f0790b2bb561bd4c3cb79c2c74e51e86a2101d0de32be45f22f910917a23d18e01f578585ddcb793ce38ca3c04576958432bb538617f64de4f2e1c03c6106aede72823c8e4f0d5947b4a3e8494cc224aee5958584d407abb81d2c4782135a9acc2c1442ec28e421e8021ee786f0796a3d195959e08cac6104161613783cb5058ea695947d501f4421f40f039c753467ab3d18fa206501d785843d3e9307d11c0e0f5019fa43969cf5b07f478fa4393ff103afffda0008010300010502e1bd43828f328e83c843e9b8270f4ea6f03a72b3d184475b381d072830aedc21c353dce40a78c3ba58d3c0e8c2ef40bb9f6e30a61d4d77a772f640f3da82c73226925128fa8e8017c6be25f1a2cc204a0874bc7a44fc2f429d1f4e10e8fec3087078ee0b28800f7ace43bf3740e0fb464631e8e6a6b96517a2f5ee8657694e18e0fbf40e1e7d1a32d68734fbb5a14a4a0d19ed6af40bbd33387fbb9df87ae4f667b263f09ef011932bbda5364685f70c4d21c24392e523bd3a072e43dba31c14c7969eeca29fefd010e1c9c70b3d4e083501844a3f40a7fbacac7480814f3e9f41eec7402b28b56392e081ca3d64e0139eacaee5dc9d93c650eb91df473c387016511d0e38fa450e1c30821c1e643f4c7b703dd657bf04fd32bff169e4f27e91e7fb7f4611f71d5fffda0008010202063f02b24a1d6effda0008010302063f02b24233047566434237fc3170bebd9831a8cf27ff00ffda0008010101063f02aa95c6f2f713dbfe854223172c87cdcae67473e761c1efaf6f3e8a847254f5ab7059b35146c32039f74d08b2bb790f37c42070fee38b7e579cc3d3cdb392d428f15eb45e304c07bd44f605938c6fb688c8d666756c2eb79fa7d581fbd16527f330fb0abed0a9cb9f62dd71030086793ccaa0d7a57027dd6bb1c0a650df46809de1da6ddcb4e349d62e0b8fe1ae68941cbc3a667d3d08788e9673f6ed6d658f591b41ea1c351b8f780a3baf9d069a4987dd46fcfc0169c8e5f4ee75dcc6b079d57b511a7facf6f75a31f3a063cd04a1cfcd1d008b2d065deae6adea2835b271329b2953db54d72678a697f708ac8cf8a9b3a56512e5737dd213746f21ecc46d3ec4e87f573733ce502f256bf5504c3eddefac7256b51d08be460918db73c7b3a90af25cbe9b4d7afdabeb8ce3e1afb10608f2f974a2ce27087e5565a0629af06e5c276c45baa2c131b763956175978a28e4d9676f34cdad91eecbee38a1b97aac2cceef8735119786e86b7b1968aa2fd347248e1865afa165d431d19f85e08f4f258ad2b336c3b518a1b5a2f7f2061362059648d158dfea421d502da775d82e9013641ef0af6f32b3bcbd05bb6230345d7a1a43decb9edc51d26ae06bc116b5d8e29daff086968877a586a5d566d1d48727023ef3bd0897dca8e7e5eb41d0bf37526e7983b2ecb7d09c4c81c311b16a73772376461e8507f18f421cca2a6d551dd75842834b9ad8e3249f9ee4dd4bac646da306d5c22ede3dd057f98f0f1ffa92ba93c63fb4f3ea2b88e37dc8b9e5582b5f52925af76e6ed50360b4e50eca3a2b5475f334430b403bd654bb0a74a0d7c7c313b038b3a4b7daa2ca28e96419946c38300fc398396a547232a07018091d65678dc537565d6ba8093784de36f69b5cce14cde9a28b4ccde85e0f025c085c12fdfe9344c6eed48ab6dc13a58dcc686d6a2aa2d4f886b9b0c66b9eb46d079d47e1de10de27876888965d5381ac935a03466170aa642306368bc3f48db582feb3cda6cb796d43f899e92bb83b1574f0dbf94fa93b4daa0594cb94e232f42ff1daa79ab6d86603798e595f24120c1c1ce07fa50923d4c6eca28ddf7569b1031914bded63f1f3d1183551b80b0fd7a56cd82dc51644032b6d027e6a10c00548a8b029e723721a16bba5ede6976de4a20133f89b5ed3cbbb62efd7aed5becec595cec87f37218676d6fcaec5a76852691fdd81dbe7685a8d635a736634db40a236974c38849e9b958554f2d391a9b55f2b1a3d6b2d6876739ba398d58fb19f94afb2d3ee3a3a3e673856ac22e674a9dcc6e571ad8eeca2e031e417d777ad46cf85a073dae414cf61a807283f2d88b24150aba6978d08f75fbd40a9ad83f547ec2a8d9c31df0c9bbe95569a8da391ae2e0c0db4bdd606d31434de1a69031f98ce47ef1a52a7a362678ce9002f690358cd848b1fd471506af265861b5f5f886cf3f3c21c3bc5e9d169ff0079e373a2b8ae1cf63c77b93337b117b7e9c9f81eb5499b4e9c166d34ae89c2e2d710b8667afe67b43917ea662fa7edb2e6f605963617edb17deeba6fb689e083a7ef3e95b11cb23b88eee126df3517166ab58df7dfd2aa399b50e94f7bafc074a32bcd495c466ebc7bcb8726eb860bad6688aca455a30c16f4797a5b62037fa5ab4ee81ee8e4949cc5f4395831a210f8980d74dbb06a8d95e8736f656b66de46f1981f96d6d57d8c51fd3651d238dc5334ae6d6adae7170a733a557b170efc97fcdcb56df83970e5b0eddaad55c5583cba901b36dddab45a6a9191b9ea40731b9dd94b9d8dc848d73b24adc8e7f79f35e0e4bb754dff00cd6b4e4d5e9ff6333b3678ef02bf10e47707bf4ddaed5f77e2329e2bafb7f0599eea924e5eac39732749ef0b183a4aa9b7a792c2b7c2a3ae4237db5346bb03ec2acc3b500e44f6a9de1c5acdd88bda6a28d6d32fe08e72192d2a5eca64646061b1f627f89698989e1f9e122f196e51ea9d64edddd433f36dea3c914b2dbc2b69814d64317d089c0e6bad09ec6d8e677dbd7ca00eeb7fab92856556f5acf0d87d88b266d8eec5c3ff00856f23daab86df6856dc2dff0065f7ba9364fc47c6c63867ae04df4b56a3581e5c5ae8dafd30fdb731c6b57118a3e29a3b44ace2478585324901c82c923dad51eaf4cecd1c80398e1883c80681bbcf751dd15c5653309350ef74e283b6a0d7599ac1547379d1cbd8ab8dfd8b27997962a87ca8b2117d9eb08c9a435d8d5c2d5b0b1c2e76d47ea88db6e198dd804fe193c30ea6770c2b4048c13db5e189248dc23ffb97eff52ff1fe22e3f69aadc15eec6f7628f15b96bef0c14be1f2cdc6d3d6b0d7bcc388ea59b925f12d5932663b80e1d09fae9a37471ba803701e644ea58d7b5b6efb6ea27482c04d40e872ce765bfa793337ca8a987b566f2d85797baa95f22abd47cf72713f4ab40f0defcc337b965e132c0e7bc8315ac22ffef571eb5ab81beeb43df21c1ccb4c4dc3a936461cae6ef35c2f045cb4f2cb289a660026736db7a7a5491bbe254e4e1cadccdd853f892f074f1f736152f52ff823d4f5fabfe94579bd68fea5e7f52f33576af0dfe6ff00cabc4bf9a2fea7a6fc91ad47cebc43f97d453fe61fd1cc7f5b7d2bffda0008010103013f21422d196659ead3597187f9da5c45e8c9b98e22de7f0896678c6d495eca655f2622941ef0630c4a1dc87ecffde9692a8ade89624c4ca6f0a64c0f32f9717465d1aa7037530438389ec997cc17f225fc079f1172aec676917757d1823d9857c90d53ae040e3f7fa1463ee60cc52ac8070c5341b987885ed827998c1df48871e44c4cd3e6f1187c178f505e20d824d7ccd8b92edff9d2c0ef2f17de3b3ad6df01e793f04e6b64a01c1b84698f1661f66181c12c881cb65669ad8b62e0fcc6f3ba3cccab8c0e0d44b37b1343fee6293c45a1ca00c8cfb345ba79d4bb560f1822b3ef150f64567a85a0549a6456b5a12f72d37cdf64d7c4ed315386fc13323385c5c3058ad9d4c066db057e11101a368dbee997c620482b83a78c812bd692be3331129abb3578764b8cd4b489391bb551c37fc5cee9a03de99afde7efebbe2ed2a0f96581255554500e0d4c9f5096d3976fb4a5b86335bbfca65ac393f7b407e01243e339b9960bc6fc8213cbe39abf68ecf3dcab7cc6aa2d92064c697bbcc029026b03cc2e7790bc704b93591f4a9afde68f7d6ec7894aba28ba81404daadc1c5b51ac5b307e552b70cc1e43db338d34d588aa30f21fb52341a116cfb6826cb196091b95c57e226818b46623da624f03b4ee88c75563738a6585a2c55f6cce0b0fdab871f64d3d16691abd1f062079396045b817c4b916c31796625780ce74bf1a956be0cf81dc0ea6f726b5bcf22614c443c1fdc12bdf4e23734ca9005c77d3f1003321b778850d0e6521d277ee0d67b41ec93dc26896962c01dc86ba0daf7530038c12d2d4521c36b4972e66d21bc210fc10e8ca0eedaca3c47ba6cc915dbee4871e6fb3ee13e301dd999118a3c40ef059f9467698d1c9c7fecbe2d606eb007edcc25e3134164eeab410d3dd864223f03f70bbca45d17646c157bd861abc43a0b4eecab2464d5b02190841ac9be5aa6bb39fb32c63f30827200bead413e3f51525570b7c62fbc1f941a3fb90cba32ff81ee6a20da6f349f885e2d62c9e15dbc469e5b815101a2d70800daf72f116f6b3e285dfa061a9e19430d74a8e21817997fb131f56e2e6f61164d9e92a2f06da8fca0069b1a513cbc31e6a8e606f3b1e4e676f588fd5c25d3325ecd6a314b3737d516e63a6f72316ce98f2496b5b840dbb583bfd12bf042e49235692aabc5b193da998734e8fcea045715ef94fcc350f8bf99be197ec244c5cc13715bb988b611ed23957f975f8615b56b83f3295ad56132307c58c3ce2ace19b3b864a2d25f7331a60e8577078481742363430f825860856a4ef3474580d11ba84a77643e91fb8c9bbfee7fb42947ba69983a81d1440e15fb1e997080adda1c3bc7997c97f80c696ee7305d0f6e496d637c47db4d476a351d9661b9ad417799b312ca81468772f676941842785bf33f6200f242d664ee7cd9af4ca820f3dff000f71f1ab1b3f7c3f30d19b4964180cec3d4b252f045ac528d4c9d02ebf2ee0c44edf081d8c797b835c9b720c0b9e518a762793024a261d42f265a3c4f78fd164bf62adea01770cfee559d91bfe0ff51859cc866f0e1f247eedf5b2f4988a9ff3d12cae2fe52ee5f6d9101f16563f30a855c0cd6c2839bf1048eb5c4e6560c79c47e37380add01009d65d8af73ce56201a1c8c4b99e1328704f49df3c8be1a9ab39566f84ddf3faf04009c4a6fdc6abe53e4ee7726799368e359f1bff00b2bbe1c61fea0211ecfe86a661ade0d78c4e108924de8b72637174321e5c02327231ddd36a6e0dd33c66d52d87a978c27d884f3d053a53d724976e5c633972a379a7f09de21a10ecca8c47461182c3b3c44cb42af5e7d3333f973f33480bb430fb8c4c0705f87097118d1d2039c06208c540a5ab47b39364b83754386771173dccf4e239afa765c43ba4ba3d95b8860ec039fe55d2665dee257f90f2a4bf2b9ee1e6129bddafcea736aefeb717083bd279267481bf09605c2f7c387fb201411d26bfe32a1c3aff00a2094565514231ca8f6de6bb64c4a7d92fe60917e03493f6ccae6200c51343e426626de57941ee7c4487401bacb22a22714bdc3104b33e0fab666e2b0fe983900e2fc475f63ef24ca0e30bf51496bc51a5c89660604e5c933ddd36b04767b3f31726b4b9f8fec86edd682e40eefea11ad98b2e8130db90535de1e1c8432865b66bc620bcb37996c13c33c3448bf67faf301478e4081708fd043476a4d5efad7676f3030185e324b6434685af13de45b771a611d85bfda07d8cbde0fe219765fdd925b5e77eb060b0d9bf77854aa54b85001bb746f1f329386dfacc08a701dab55ecd7b997463981a0add353109916a34cf4ab5dcd47cce5d5e00a7670621c06b001b767c30fa2ddb65790ca66bcecf300144a8daefd985d5ed8603057941c540ef25e609c767145543068023da9fc406cabbfd1dbd4d7212aeb9c865c272ff00a3f32930b330c18d5157e618bf2a7d0861ea56308cedb2a041cd1776634b6b566dae4a8528b89156772d79a798e113c8a65f78d27a8504d5c3473076a2c7c859fdca873e618c7c26a5cc5901aa47b7f8bb9f9f9a3d7ed3f97ef3543f4bf7d07f4ff4eb4347bfd89f86fd3a7cfe3bb33f37fd4fcff451e6107473ffda0008010203013f217eb31ea21d1f43d07475fe03d09798a22636fa1a75631fa58b74b970ea174d3a33065c7e8004122988f4497a28784b25e8baa3e908c5b9c44350a8cb972daa9c51fa4e53c655c4e972a6a598351e99c03a06123f41ee96ed2bda60ea5ce6270823d748caba1b1097e82acd3a730a6218712dcf58b81633512e3318b5384e60c7d061b8d165d89b96be891751ae8765cc962609ccd3e91b66110c31aa9975aca588a8b99c4d813496d6284d3a318cde6f0974670f400386591884861ac3b74134ea63d6ae84174904014c6eae8188c5fe81fa062a07d2348acf403a574b8b1ead7a54bfa0898970db1eaa95f45cfa12542b310a8a41b100874b97d6a58a9415f5574060174632e54aeb72b2ff00c3a747587ab5065f5b9fe238e8e495a31970aeb417fe2f12ae54d662d9d2a5d741dff852084370448150e8c2547fc0409fcffc86ff00f848699cf4d2339fa7ffda0008010303013f21845d4e8756dd0f4d4f53eb674210e8ce22458ed7e87aa845f41012b0891311bf54e8fd0afa4d319cc0422712896c2184668de5e10e8f56e49afa2b08a0728f70a96dc215844656ef99ae0e8f5a0933dc5ea120960046d03a5c2e1d61898a6610e8f4bda257bcbf79994b294723e9ae12d9d697001b9cf47a009bf4705cb52e531d887a61040e8d19804090937747a73d371433de71473338d880eb195d01a5ea9a022b5f5aa8a4cd4ddac975456f912d810f4598042e9ae1105e926895261f41087d1362397172ea22a33139499b52d178f1fdcd4ea6d3461d1e9bc204d63a8597188742745809860c570747e9b49a109b97f45b9974101dba4c5972fa54a81d4ee46018ca3f414af12983a5cbfa095bcfd14c032c97e80c14682ae3a54afa329195c487d0296968c3a089897139972fe8b9aff0b47a66ea6d826695d695c7fc2f31e23b96ba0b2aa04eb735fe2f3155a54ab2a1ae8a5f424a0b8fd6907a0cc48e09710bbea1bc41c4b7fc41c4a897f41cca863fc6ce7e85a7d24fffda000c03010002110311000010b28b9521d76ced4e8f24aab446cddc59bb4e6039eae2c3f6de5ca0ed984c4d50cd65a2771c4f270177fc62705c85945cfd23e3b74872a632f54af0ac24fc0a9e0a4545c56a5f76179fdbec5a5952661ea845437d2a39a744a38cf598899e947a33e0c0a3d7844619e7d1d2777b8d307e989f456137b324f8a096a7e8525064f219c751d949661714795fbe2a618cd5a77c7e8ea504f9d9099bedb8153cf2cdb147d544d691ffda0008010103013f10506854780cccb833f9198fbc70a552fe691fd339d88b587128da47a3ef08351a71b5b9520a085e9be31114aa031c01779a81a0a133774e3110f2287cbcc426b5d832b6643c7787a3d5331103bd1110edbfdf4253913ef1a1ba74a5bb5e486a97e144a9881173b8466f12f750ed0004d988fa19163b5ba0377716042b7e77c7bfccb0aa5d1720732bdcf22684ed33cf69587445608ec26e16a5549569380bc63a7011fa22076a9f984438e8c4bc3558cbe1e825a8687697f7f5ea2ac5d45bec40d75c002e3ef80e1b42bd8e6081c34a033ee6378c8b35df88b900152f90ac7b9590c34e40b5ba8a40cee0185fba949ddbe32b40ca5e88c38e7266eb0c677b83659cc201c84fd1fdcb82d9fdca17bf4664b9eca9332d687c4c1e78d88163e022d53a49857ccaedba8a1debb9005a0b3be25e9056c12e2d3f71b4c1d006b8c62556b6dac6837e7cc5bb28a84b560cd1190f5121a377283525029b16b1b1c1dbbc0f3c41d1bb43b063333343299ca61366b609b8f5e084a46113d53f31e875ff00137ed37e65e1e8c20a6d556c28ec0434c41063616572b1c9365e36208dd12989e05bf8804c640a5ac059abbaa6565116baa1b5bc40c738aaa1a03bef8fbc5be1c263005217b3106d31aaf1b2a9dc0dec28d36b225796d0d884a8bb2778e546b6202f1844764dd322664505a2295c76798b2e3846c03fea3c3f8e222be9fb9aba08ebb08ddd4021b2df6c730ef90d18c5c33aed3b1b574536d12598840355656f300cd372ae04e1b0fdc4889c5170d601454775c3702f257f931135bbb152c378fb61f24b2ce512e861732c2de96e48aae624442f0d3c5fee0f045cab0b867145473663b17524cb6621f2661339b1b753094a4980320f198f1bfe3115fa9fb831e832782e50d2cb3793e626e82c735a282df0453561c23d910dd5cd2520b91dc0573288308919cd02ee367afee5e058997bc159837069618c59cf136b802a5a2d6f0f364434649efb7d573057ee1d06c06f5983c825532e5997d54ae5a3588f106286e66a4c3773186142b559c5e34c64b742a5d3f68012869ba076f98d4bfc187a0a85005e8ed40fb42771a5e100fc42f8166ec95cd3a8c930a0b0c14e72bde00a054d56aa4f7644b5128228692581bb292a59a421af32c0039293c931cdb02c46dc4b05d82f94312e89790e61fbc0c154a651f9a9502a80c2ded32e8d24e00ef0d5622f868d8d7872cd42dd42d9b458d5e8b35e2300b76dbebec8174c4336d2fc18af25fba191d2d9deafb1078627a0d478da28fbdc14ca7904e54f73bf12f4ddf639862d7eec6ce9396ae3b9c0076214b80aa640bb8e6ca98bb045bc538451e8d08200004e595a3edb823b202bda90bce20ddb1b45381f3128d44e5e1b2ba1457fb96733b08272a94516ed0c14f2c2bca9805b7144b261d2dfb28f0511be131ce292c52e76c41729abb004fbc153a57fd4d3a51c62daf062216798292ebf6e0dc2a0d113488335708de50f87787439697ade2ac6fe2e5af4d62d3821d66e36e5e0d8784d82bc3de3715d253adc8113daa6bb7845e5e5be25472fe055ca168ecd56616c317105120864621488aa30dfddedc1e212f225d5c048a94e28a2dac3c0d82c214472152e92e8ca908c1c85424b4b83d54365effd8f5052cfdd8a4046d1500c2e5f7fd448828022d30f41626c90565d6c547e1254e9d9e700dd23f0cc541f47c6dc5d0cb50969268009342ec3b34993417ecb495eb24ab1d83430538d7b7da270096a3942d172a4025ae4ad2b0a60cb0d99a80277c6334c33772fd9412295305d146cc5ee1f74e051c06a85ec6085e141f0442b793f61fdc565e863bf170721293c46654107b363fa99e01a14d8033009c16a770efe61c633b8d118887166d55fb210a46310fbb9fcc3c26737f01fdc7f6c2843c5568f98a99141750ac224a33084604df0fce9b23485ed5e555e103b4b93045baa2b7553364b692d2c9f3bc0950540d101bda54a314961f372c03d1925dbed656b1ac0969c6770002589f15b7ac4ce159b0c5b821a3caa327a1deb8874ce626330032cbf1b2644522a75aba17cd8ae1f98b7771313d45460d706596d46a4a128ab1200778ff380a55b591b63535780e6005bc908e681a1954bb65515a8aadb31edabc97f130f425a681966b38fba6a1bbd001a7d9830d5be4d88721913b92f7b886b339c28eff012f1828481eeae27c38dae682dce0d0efc465a84021e12c8a96430c10516a600b61528206f174699460e4c0797d6822b0145721aaed121e437744b630a6a8cca672e61e2106cbc97b9e282d09d81467b356cad45746d5ab0d469d164e0880469ebbbf3385c97aecd79df30691bcd7cc39ea93994f96e04e5623b83c6736bdcf83c4ed562c179ca0c67aaa016f085881684dd393556015cdac36fe73eedc05aeeb884f6f70a8023620edaf115991a9356ebc165a6c95020634624609cd85a730dde9b1ecee2c8d45a0480691c8cc4b976975c27c64177b2d4ee5d1ad614dc2a3c8162ec14717b63086e1b05555c01a22f3d7961a0d2ce25a7e03ee8c5bff408dc6692ec5f3e7f3142aaa94a9baec71adc4be4266539a1b5787111265db5be1197b2166c0a56bcace1f27cc5692b4efc4b9c556d1cb953cb1eb486ded70e89a66c05b6eae0168b77aaa4d643c1b4f112c2ae04a052c52eb3c401bcc1e10c4b060c09d93b7b97270bd0da6a2875a0dcaf41fb4b26d2a90f1c9f1002c55918c3fcc4b49bf889a46f9311ba61c58dcbff0033ea0015828a57e13ea266d1e2571fc32d94611b8b92be4863aaab19d6791fe2294f7099ac40ea0d6621188d15314d02ce51225db22191ba499c8b66fa5834a1d1d3838b9c464d03e159fac788e569c2e4908858daa517111a41b379b6e30ffd8e845d9c2c57a0bf88f0a8db654a89ee3b97d685c9e5e61754095bbd64f1daaa026f5d414d5b1c76d904e40e16bc361918254322ac6707037d9e26240bbbef38b896203988df0efc12c92464171e3692b925dbacce0810dba97f50c40934cb51d8a026a1c8eb8ad0a2adb547b2614a88015895c9f70e2012c6425c8b29d882cc57486105df71a6012801744b11323bd0ac844ed018102ead09f76e2d2ec1764cb8c5157362cdc6b8dfb31c3589785b9fe48545a0f8b33e18608705d851c6b37d3663479186cab3ac2ac1e1d966a2a78c40c80b2a936307140be22df0b1a86952af082d53601952d62015aeac6dc04f382ac8f4360e080694e5c4365a58929b30e0fc9290e87dd8940616b2b81ee24f66acb61f0979f38994370da39e47a74deda85d21582c369a957958065009791334f30638e5165817597b42aef74208e8b9c8d33b222068430e71b2601a100aab3b9a5dcac34a0ceb7b3f69590a198e4008f9a63b806d90120855f0ccb74201ca7977a99f0eb69734b2f1877e63b2ce5484321a536f7330e19e65352a97bbf14f710ef11ed24e8416edbc66356cb42d54a88f0b603ca3c352b10ba851043db88f160a6356219fe86323f56b1a25ad17c55ca3c20ae3397d920382a46a059704b44b30ba229ba32a455acdb28132d359dac28e4d951d89c800c10e0b0859c11dca8efba5ca2a1ad77c836ada5572c7602ddd6531075a441ec1a3e2562120fbd380f9cb182c3007308dfa8c2b16b359439f371e2b63696b548ef17078a0dc552a20b60df7d4b0cb51261547da99bbc4a289cd9fea6c2b51a298b8346cdd5d2ce288c0f805492bb284a0ab1cb2dc94779b443dca10dead55bc855fe2516b897b80e42c7d8c0654576356da50b9f8e83fe4fbfa53f908fcbfd136fac6ff00cf98fd89e1fc32fd68a135f6004fe6fb23b4df394fe17b67ffda0008010203013f10542c35f10f558f41e8ac8f35191c333a74a98ee5cdf43689c4eee8f448b1666e2a984648c88ed3a6b1dc1d0ee61899415d1e8971186ea88900a42ac6222660d972d6a731754fc918388ca89c4cd2258268673205245e260943736a1bbff7b94ef8e937d648342f32a0e98960b2ec46e354329ab001862a55732ec98800f8f41b9b7450dc052979943301f68b293980e5fc449c7f9e62ccb2c6226a2e20123306b999b0cc8741b833d0c2e10ce9ee0c6d07602606a0c716c7d4aa38c261659618032f67063a533486e1e82b6c31e252d082ad09c260ad677cff0038811a8dcf89296a50d5c5359881ce230b0f6b81f63a2ab74ac7409ad9ddea39507244ad7da2948c98254ca1a94b6ca71053b25d0eeea545e21d72743d36af572a080c463b44aba772afb13303117df71f896a370520e7ee567732e6a6ff0044d2382a3384908eb2415d134eec96af8a39d0314580ca625424572cb187794aec8a6d174ba3a54da0b58c130e84ee84cd3a6065b5d46fc748eca1ccc0ae8e28c14c362f48e92a04a8a61850a8ef108c0445e8a96399637174744159c731442447a54de3bd4017cca498b32f404948bd2f11fc047118cb2589ace496f4f4046e6c0a262519b65c491732c61094a054d41a89f4265673ae5ab8efd08e21cd42d8aeb98891c2641b6574b8c65cb9770da78fcfc4abc31fb6e1febfd4a96e2002ddc44cf48dc59527135821d2a5c49513a62ff3e62559c11e066d364d622166e05a815d3dcba30e95292574ab61929c46c4311e12d54d904d26e5e105e632ac0a2ba9d1c30650c3324b9bed162a67799efef06304e1825ca198bbc074666e53d6a6a0b8460cfe8f72f1ea15425e278841a964b9e7e9e3a3d1e9f0bf9de71f5387a3b1ea72fe711e8467ffda0008010303013f102398212e021d4ac4c2062e18a56662f83a1d0b3d0994618e8ba282a692f10592afa3b388cb919e843536eb7033096c08335140733c928ca460c3c54f7e860626dd5e2a11bd43c4ba84c5181661ccb7d334aa9530e4179cfe26105dd066abc46f31d2439eb621899c18e198a9292a73b2c5373b6bef2c8422a086a34b71a86f311c7ed1bf074137e80b0798080c6591d984c6aa2f033950e0edf6982095210e60e6311e196610a6442fc9741a9bf4c010d7bfa8dfa57a89b445ca549ae53dc770732ac954c73a0946231e2327cb2748c044a479875b25623be9ad88b87bd7a8ecb6436e33047517ca3ab813ba953788911b9b88e6bcb30f6b0d459e9b8d616962268547eda805f7466a60dcb9e4fd9dc964610ee1a6216996946a215144f30c26825cbbac751e9e6690e8940b6da6b997017bb3f981a9c9af3e658065b3d4ee0712d85a435ae22c4372f634c4932e0e0f51fd89e10218ea3d3222cccfa189f9fdc519bf70c24c2e6fe6168259ebe4d9e9fe13227ca33fb8051fb8ff00d81287b3fbbfe472061f68462a079618ea6dd034be20cf40dc54fcfee61e8515c44778c1326e067f670f8654f4185be67a8203bc7536e828b82e1820b52f1e1fb9774b17162c014dc216e6f07fd8ad6e9092e28803a910a1d2083884b5c471c4c5b862f0c16c8b18e7100676fe220b7c7fa973dd816608caa5b121822a87e66a0aef70847c389a485ae195993e6527b9b350cc36f8d4532625036899827a70422c345c452a59ee2e812aa0798457d54acaf4d430175cb0693d2f40d1d280e8fdcb96441eb7060c1a25ca527cf4ade751153895e063a122f12ee12b6c3e9a874c97f3fd4b0accaf3d0305b0027787c908cc5e98571d4e952aa0f45a8e32e7511566512ce63908c831822b9471c4a1a86a25955892a13734f44e23692059b963789569395f10ca307222a225b145312d29b86a183d2a57469eaa88bb63fbf50cbf9f997843106c1393a0b46070980f30ea4771847af8eff9da1a66937fb9fb23a9cc77d5ffd900', 'hex'), 'Steven Buchanan graduated from St. Andrews University, Scotland, with a BSC degree in 1976.  Upon joining the company as a sales representative in 1992, he spent 6 months in an orientation program at the Seattle office and then returned to his permanent post in London.  He was promoted to sales manager in March 1993.  Mr. Buchanan has completed the courses `Successful Telemarketing` and `International Sales Management.`  He is fluent in French.', 2, 'http://accweb/emmployees/buchanan.bmp'),
+(6, 'Suyama', 'Michael', 'Sales Representative', 'Mr.', '1963-07-02', '1993-10-17', 'Coventry House
+Miner Rd.', 'London', NULL, 'EC2 7JR', 'UK', '(71) 555-7773', '428', decode('ffd8ffe000104a46494600010200006400640000ffec00114475636b79000100040000004e0000ffee002641646f62650064c0000000010300150403060a0d00000d540000138500001e2d00002e5dffdb008400030202020202030202030403020304050303030305050404050404050705060606060507070808090808070b0b0c0c0b0b0c0c0c0c0c0e0e0e0e0e0e0e0e0e0e010303030505050a07070a0f0c0a0c0f120e0e0e0e12110e0e0e0e0e11110e0e0e0e0e0e110e0e0e0e0e0e0e0e0e0e0e0e0e0e0e0e0e0e0e0e0e0e0e0e0e0e0e0effc200110800aa00a003011100021101031101ffc400e00000020301010101000000000000000000040503060702010800010002030101000000000000000000000001020003040506100002020103030304010403010000000001020003041112051013063021312022321441422333152434351611000102040206050a040603000000000001000211211203310441517122321310306181a120f091b1425272233314c1d1e1246282b2c24305739334120001050001050100000000000000000021003040011120105060700261130100020201040104030101010000000001001121314110516171812091a1b1f0c1d1f130e1ffda000c03010002110311000001caf312961e2c794ea714f41bc6afba559e80c849650f56d215ec1568d875f3f4ed382783d93f49e49e49f1064b8e563031c9bb84baa56514cd78e188403d8609d0907b0dabe4e87d0baf05eeec5d03e99e49e49f1561d8602d6594f96aa65a969c6fb3eabad1a6f0469a8522d9999390efe57b0fd2d26f77e3ea0fd0fb27827c498f4990ca4e45a155db46a5ccedfd17468b96be74ec9d491230b5db920bb1dd3836579bf6bc1e28ea19e4ec4f8633b152141f25be1d5ddf4c713d15cada2c9af0906b95d660b025aa05983cb2dda7169dab08117a32c863313e1aa14a90a57cead66d9f5fd23c9efdbeecd67d7cf9d9025b2b51e40d6ab3361f55f05f96dfa312f2212ac98d80cf96b3a90614acaa32cab6fd09ceedd66fa07adefb55d3a9cd198fbf1ea323cd386a89709b39633d30c02b2c560cb715d295224315a8674ed9ceeed12da252b78cfb76dd9cbcab17565616e19aedd1e4d63174ea9d1e2aeb2989a02ca2b2e738ae9882417f46dad51d5d529b3c4d04da1806d37a9e7c0cda620cc5e89e529d3652b6f251d9473208c0174ceb1e82202a4301b8727d85b8656ae5633c51ac77e42de8a967de1d66f47175aeacdba1c50593c86280675cd33587a92042a1d1b276e3c3d358afe3c8eea1601addb4c0f553736ebf55555fb7e7535d444cbc09ec90326654b98a4c10b0cc6bb4cc7d7eb1f61769cdd367d058591aaafcb6da816e3d353ef79906ea2133f09ec8294ca9498b18ab3346314cc1fde57a9d06149aab315dcb1b8bf3c8ad15537663d9e070f5c4e3c83959030cb54f7239addf54c703d49373bd113568bc9101773767b4db8bc502536e47d5e1836d5c3cfd07200362536ad3c00e2b2f91ce33a5b6ddc8f419b06b5b0bab819e72909a0bebf3d375f3e9bd0e544e9e99c48bd95465d9fa06a859c8d0680b2efbe727a345b6da0e9c603d7ec9a1e6d9a254cf2ea2b5b3929f44a9efe2cf0f51878c9f1e83509c23d5d2ef95e9336e8f275ce0edad3e9afea5addb54c1b56adde9a0bceaa75f2eb1b355ca8b52ebc2ab565f21afe37b2e4ea3da768156a051f3bdfcd5bbb83a679cf411ad8af4147a65e2b6b7e6cc7d54e25eab86d70f6b51c3b1055b1e68c4d3673eabceec4a02d16ab5bb988a2c1817a9f0c745bb72fa76ce7f4242d4cd14e914d79df6f9552db8f64f31ec34fc970e5eb4bb1db67ea2802cad8b9cc4fc1539b327edf9ca2f5bcfcb077217076678c3a86353f40793f7576a64862e5b564b7c80486191b11f954126b9a28c3bd278b82ea7f41ec9399332940b7e7f4376f3dec9cad654ae12ca5740260227b2390278ab59a056cbfafe733ce9e1874f3fd8a4411136bc3bb77f27dc974760f287ca472eb85dffda00080101000105020b1122894e3ed94e7299df0532b94c531f9614ccae71eaaa9e491913c95695a7c8159f1ada678ef9163feaa3abafd2a91122571b2dab4b2ec7a133395d1afccb5deb772c71acb18f1d95a3e35b59a325a818b9d7f1f7f1f9b8e32782e6f0afac7d2a04131deaad32ae1befe4b16997e48bace3b8ec9ca95f8be73af03e1b677078ee1699de23837af2be19b466e1d98c6ab77a780627ee5426bf42bc578f63f6726eb19802c7c7bc77bafc6f1f4575d695a8044dc231d63d2b68f29f1faae9fe96dc3bbc5b2efaf92164ee882d1034d60681a062464ee16f15477b2b0294aeac47695eed36982b9daf6d844e4a8ef63f239056ff001cbbfe5b72004b793d251ca0329ca0d16e10340d11a7214db565709a0c9c0fc7136a44b526f4d1f3e9a864f97f198ad8fe5581906ab68ca4f31e17b195e34fb686be3b163bca9a791b2b9573226d8b1672f41b31fc7aa37e7feed1c763e4f9372ac71fc9b9557e339a6ce9cc53776aeccc4c638be4fc7a2f03998f973c8b17bf8bc2e053834e4f6bbd1c43374db1522a44a7bb38a2d87cc7254856fdde73342f13cbdcbe3dc7be2e6e761a64e2e770cb4d9c7538f59a3029aec289750f7e2e365f215ad7971a3c3d1609c5e75dc7dd918cb7e66761d2569c2bee0bc25dba9a0f7310f731ae4aaa94df8f03a19a8d32f0d73cf2fa7eeee84c731a078b1621d0d805992853229c6ed5499bcad54bd19187d9c1e6314237318979cdc1ed1c0f20637d76325f57238b52e5641c8bf7cdf098d162c11670d7537e3e6b598b68e56e4c0e35ee3394e2933260f19c8e3db834263a721cff000986ad755ced4090dc81ff0098c619af4315a2b453165173d0ef7db7b63d3fb0332ce678d4e2f91e6f96989c472f62fe8f0f8a2dc5c1f22b3f4e9a6ab350f916772f3d4c33588d2bf78822ac034988e52da2caf22abf82c2b6fa786a2b9878b858c282bb5962e36fb9bf2d7a6b0985a30225729952c0b34995886cc7e3391d8ed8ccd130b218d1c3dbad18894cc975ac50dba64fdb90c66e9ac6319e5954aeb94572b59b66c50b9745744ca57c4b787e7d367fbda006f26a54ff00f50865b996644c53a4e4716ac8b1f7236b358c63c222d7295d22cc6a1af7ceb07fbee5d0ab6520b13231eca9db2b222db658785c40ccd4b06c76158e670debf1eba87cfc1dd019b758f5182b262d32ba899571992f014aaae6f20e2f20f90322abb155a5d8e25f82866171e03f1552d32d752d453be799658a780f13cbdd3370f8fb0378fe3591f8db683fa731f8fbaf6af8cc5a2535ec8f97dfb6ff00c7c9aa366078ff00939c5ad2fa7290db5bccae2b234c7c9ed5f5f20b31318957cb449e4fcf0e4723c3189a77875b2d7c6b71f3f7aad78570dc58568ab33b33db087db6ee26ea52faefadb12fc3e4f270de8f286b17139cc53398e3933d5f2ff53178ae7b1f07c7b98f21c9e49fba44f0bd3fd5a6932a916282d8f6d791b86a958bafd65dad8d8ff6d5626b19769f28c12991b489a90a59a265dd0e6dac064de61666971d8be389d9e1813a7bcc9a77aa96586d2d2c7d62a8d54693432d0273381fbdc776b2428758498a67b1802caf5696f0994060a0af151b4e8df72b2e87f83f92fe43a5df9ff189ff00b99fff0070fc0ff1ff004ff4f15ff5b98fca98237c096fe7ffda0008010200010502ea4c3d7481611364dbd15bd4db00ebba6b34846bd10fa5b4c02334ee4d759b26d3039115a69147a23a596403e8d7a0f69ac5f44473ec603d749a746822cd7d012ce826bd374dd37741ed07a225b00e866b0c1a99db314c226fd229d47a0ff102ac3b67f2cbedef379e8212354f8fadf5d11e374db041f044d7a08cbac1e89fc8c10b41a4164df184d66beea60f4587b9fa0c51098c3a2fa44435f45f78566d9b44023741f1e9b0826b349ed358628f55be7a859b634107a84ebd774df37984c595bc1e8b36913dd41e80f53d04a1bee53b5baeb359acd6178efaca3dd5bd887e81a13d0c2d31fddb23f3ee1116f9ba6b0986c9b8cd7a63b68d7e3ee854ac1ac1675668263d3b464fe5af40f37c2dd35ea0c43ecc81a36247c661002a026a4d2ccd550126b2ff00cfd2c77f46cfcbd2adb43bbea263dbea9ff127d3fcff0057f3f47fffda0008010300010502ea8b00e84cdd0d903cee4ee747afd0d269166b19e13d349b0c2b01d22b687596a7a0bd0bc2d11099da9a059dd9bc18503475d26b19bebd60309e955519a1d7a69349ae93f21b348fe8030cac7bc6866b359acd6218f1cfa557cc69a4d20acced4ed4f710fb87f8f469f9266a62c2a22e91b4105cb2cf849b374b1369f413d88859e207336fb23e87d9a76c085a7c1552459f3f5e3e9baeabdd27b09be131fe5493194cd218966c967cfd622fdc82111521d63d260a488af0a42350eba43e8d0fec3ab4f78c499b48887a3fcfa2afa45c8dc636b0590dc26f733dc40d07c3fcfa43da2b6a215d66d8758dd09f63ea57f8cdd37436c2f16187d3092b1f69f69f33b73b4276840b1a5957b9f46b4dc6f1a1acfb11089b8c06080c69789626e5e9a4dbd748b49312bdb333d8af52b152345118cb3e31bdebed068d8da4d9348b593131a6d5102e9d32d355a6fdb0303d4374669a4b6cd4e28fede934d63d50a40ba4262ac3d08d4589a1562b172a25ea66aa6359a0ee28165e5ba638fed98a67cc23a01f4e657e8a0fb7a29f42c4dcbb7ea12bafdff8f4841fe5bbe7e8fe9ae7f1f47fffda0008010202063f02f49160fa5eedabf96aea28450461142164cfc95fffda0008010302063f02747991e78b1b08f53c369932f7a07322d7108f857cd355f54d55c530f16208f3a6f59a6f3b17ffda0008010101063f02e90fbb2609c972402d6e80269bbf36aa63be116d999763b16ec2a6c9a76a0cb84060d6a0d735a3011613fdca398b545585eb7bd6cfc5a97372f0f79ccc7c57db5c8975b32842219dbb107366d381ea5ac640d8d265eb42e3db33aa24a258480ed6aad2a3af4aa57018285c6a2ca7e59102102c24d98c693a8a6d4e80b82ab6f18ec29b94e7379e240604f505f721d914ea1d089c49dd0a9e6736e6922254409685f4491a0addb725cccdf0850a57008a26d4a1c28daba20e6e114c6b3ea3443bc609f7b3d6f7c06d35638e20f5173923e6526016f71050d29b773022351424a407910722f6b7108444b5acbdbb2f85a7ee5d6c0ea8f5040d2084eaa6eed4cab08a14a80c3ca301bc2683234bc70c555002e35b179f0974ccf94f0f9b63169ec4d3a62a92847a22a2e7436aa5ee2760506e0aab4620e84dcdd9f684084f3ed891d9d115158a99f205c689db313b1011e19ae6dec4f08d2bf699734e82705fbbc15319a0e7c9aa37dbcc8681f8a8332c4307ba9999c9bbe5604694dec2ae66b3cd8e58e838984d38d805b64cdad76201ea28855194134680fa0ec8a6de7c3961b109df636a9b3ec9231ef5cccc8a5ff126173a234a2d2261739960dcb70810df192865bfd790e38970002fb836b9775d89b7c2a9770eb43259b0ea69f96ff61d548a7db6f0b6006c87506ee5c0374b4b4457de0b66dde73c3e9ef9a67dc9f961b3d2bf68ea1a253c07eaabce5f75c860dd0896880d09b563082249805b8e07b57e28b46ad182634ff8e2ea8ea443700d68f0ea2231594d19730b92d8a9bbf503a149d7ad065bc02e4dbf997bb300bee2e5df9da4470ee527c91cadb05cf70d52f4afb8cb3dccbad9cb0ef432b9e672de64d7fb2572c98b221cdd8f92754f83d91a9875c53ef1c5e63d4b6d5e607f2819c60e1a912251c238e1055366ec3f995575bbcec4a888b5dfc2872ee1e5ff0014d5770c359289cc5f6cb54d1cc6558e161af1cbba453131d09bd8c878abdf17555db3029d72f3aa7425d89d69bfe415b3e20b9b62d736df67e4a2ce5db6912a869d4abb99a6362d0eb74b5077fb0ccd65cc81171d1ded6004fb1632a59911bb76fdc6d1553093063b532c59686dab70000ec5e809efd6e3d61b383c1aad6dd5debee069ddb8d3a1c85fb4eb9977c62459716b4ed0846f3e990239afc141b08e98627bca14e1a94d02701bc511dbd65bcc5bfaac1e9017ccfa6fddba3fb97cb9e91b1420b7df258a8a075abadd4f70f1eaf9978d36e348d25ced411b0c106db14f78c517b7e9bb11da85b7ba0061ac28c4454dd05b8629a1d21890804ebd60865f75db964da320e7db3387722d70838620f5301c2388f62ff5d647fe763edeee89bd3af0e1748f61502abb71537286283a13082add80994ecf4d978670e77b436eba9f5410ce337b336b76ec3170d7e5c062aa7328b7ef3e48da649be27b4acae647b30737e263a29b98b7bd6ee36a81c08289b3ff0059c7b94c40aed51c42d4a3a107ddfa7ecb3dedbd89f65dc5987b6d0d91a8fa95e648861186c5ccbb6018e259ba7c15593bd3f72e7e615375b03e1d10b4d9692700be71376e7bad935458d6dab7a69134eb6cfa6cf5f4739b8d9755fca6450c9e66796d1ad9fa2e6d8787375854669b1d4f18ae6654f3adeac1ff00aaa2e1a5c310ec428c7600866735c266c67e68ddba435a349c17ca3fb7b1bb6e1a4bb172bef97d48782a4aa7bda7b14e0e6ea2b82976a060a96883750c154ec550dc13ddaca9e09f61fc0f05a7bd3ec3f8d8ea4aaac3cb7d5dea199b6091ed325e08537683a9d25f741ec1987ef5a783a86051b762a7dd2206e3bb752c9333572bbcdb7c0d9ba11945169345807e968ef44683eca0ed2f7b9de3d12e21822d52e891dd58c934053e866740ddbdba7e21d1fc4a11d9ea5c5e9daa974c68f05127447f151f483e7b5547ba0b2d2dea63e95158a8e96a97950d6aed81c60556fe26a2e2d2e60e286236a13db1daaa1e7a50f5f715e78c943ba3e90a9b7c67018c628dbbec70bec30e4d380d65cacdaf7580782868e8234a9f414ddbe4e63e177f4ab9b50f3d0bbff05e7a82f3f793ff00e567ad66f633fa026f9057ffda0008010103013f219b5c723b57842b30693c8df7563a405326cdea1ebcfd38cc411769d18e67b9980028317cab999a2d8d8cb9568bcce10d161f94d9f19ef8a37f099db1b084ee6588d2e9823d00ad9fd464e8d876812ba27506a0297ae6235c8a82f6da8f598b84c007f313f513013030cfab8f937f957b99b91c1e198590abae61f0bbe19615d8dea6502f1efde632e0e5de33b2a3895df79fd92c71967e03a8a54ae952e4d62641b0a7166650729c2a2f81a2668a8c0a5f6d12fd3c932e2bc75e25e2840231344340c1146cfb4b762b65798571434d47588b1f954761440ff2556223f5d2aa1c8f81d41e953240dc506c1b8bf98fb454ecdc0832b040a94cf04c1ba0a31c4a49a0f07487d2552b25775fe09cc5a264e2ec656522f4bc8d71c6fa297319cc185a56f4c5ebc41e495f6d99454318ba594aa8c7e260f6042f97da5d9233290b63e4585155739682f0df0c2ab70f89b3e67ff16568cd7b205871f88c30cc93b712eed3d618b9a895cbce234db0afbcca8638f99aa6e288e212360032c5d65dd920ff0091049c17dd99429a6e05ef30b0d8fbf65498265898c398e16b12be8831820659d3ce2fb8f8a7fac1063472a88bfc4aafb21e407618e6511cbb06f716821db925f7ec783d9834c56a2e8bdea5122b0c40bb1181737b7d98871ede26c4da8cd44ab739d02e99b3a0ea5c657aa358ba5a4b51f040cec97c12da9916b5160c58a0a8d614e3d269def6ae4a83f5129e5e258002ca8c9771d6871a399b3cfb71e5dc27840a1af7adcda846307f50c889b0c63f0ce6707dc1a7e894acf46b39a6803bd0f1752db00a30de41e65c7650cd50e0c4aaaeb01e0d7ddc13be4e2d5fe206816291363912e9b7b8522f3e3d33e9be150322952721e2516d1c8616c2bd4674b2bdd077d18e031e65914528b4324c42dc69ce60f8b98e8f686ba5e399f22aeebb657150b7f3185e5ab856ed0841ff005176f0b156f9748f546a3bab812f7c2a88bf3a9be33fd88f572d35fabc11826c9cd7b5e88f42ee8de3c74b8a8417fde86e5cc0c8e5450ba86b4b73daa5adc6b7acff0095296bbcaabf641e5081213acd03f3296edeafea4c1ca1209d36c145b4adeb08561ca7ef32452d1d472a6e5f0fa0e537ecfb8cd5ea5d5338fb435df6ad89f7229ace5b64f6330919c2ad2b79671a8b04202ca8d8f6a4a8ded3dc9a4645fe72c11fdc366a63250d456b1794ff00ac3e2d9f9e9b86e2c4bdc11d350bd1686439efeefb1088d7ef015e61fc364bf83c972b49ad2426daabeeca76914cdd0f28b2904340474b860f9fd8f0474ed88fcc654ea4ba625616e603a2d6622ecb5c87f243178a2d29807987d3ccb0e7b89cebef01acbd63c621055a8971705cf737f7076cfb0394ea304e18e3153132cc84ac8612beee6b2d1aa7973381203968c9f6c22ef357aee237933de49bd7dd2ac08fb4c73e16e17753c88349bcce7ef382c7c2a1aef0a19f58089d468f3052668314a9ab59bb71492c23bdbb0f726447f42fe62e1b1c467f65bfc4b1498e3508bdbbdb1fd7e467a42ee5f4ac87a8c2b0a0a51a63d937db0f30e4f3418652e961119a8e4623c02f00cb29958af83e07301ba0f92077db5da1c3fe653a8db008d31d4b7cfed39fdc5d9de786e2eafc8832f43749982e4a72f3de66408a78f716dae1fe17124c5979da7c11b087ed9f467066b09be6e097c27f3bf12dbf89dfc1e60fb3f04cd80ecbdcb1e0f5b67ded8c29b3808f7b8cd2ebcadabf7155af786173b3afe2768e0f7379978eff00a4b635cb74c68ec1806211b75707c6a375a56321c370391cf72af8954f4576ca7234dc43266ad00995f8870784fad7f790e41b2053abfdc2c3c453f1181ff500808d888fc30250d8c0683170d7e113c7d8b0eed5aa92dddfeb235a10eae1bb631e054d8662ef53b0b74391e1cc13b2cd6d72b11eb987f9b11e1577878b3bf10df68bd74cd7b7f18e529eead3f451de69ecc77f6c5e3fbed3355756df9fe698c73e3c58d2fa589873777996f30e4af32b1d390ddc2a3e6224a066fc44fcb8e20481ab802c47478254903d7a2ebc430394fd67f50e60d31e32dfccd55b8b6f1feae16eeeb652fc3ed10b508b78d1cfccc8fe06f9a163eff78859cfdc1bfbd7dd015f21e07f9fdcbb9a7fbd9416de4999dcc3f6e3d4ed36356afccb1434567e6669f8f72951a0a8a392e085efb3b403db176c87f90c7aa6d5b2e9b232c5adc396cdf684a005a7872c2641adf95911eef15bfbb317cacb556baf88903b72aab00d7dc9790812d38b9541f2c3cf6bf427183c099ab7117d8171aada3b4fd3fd4fc67ee6b0d93f4477f4fd2c9717397f47f4eb931fd7fd4d3a5bb3f93d4fffda0008010203013f21972fa8b80f49f46d151b98ff00f0b971255c246a212c256058da0894d4c39ffc8694c339e8b42e21a9b0974de0dfd552a54245c4e03a6054b25c612e659991c4fa6baeb2a85d206a574315534b9afd15f4a952a3295349cf482592b0b4a7330ccd37ea4be97d54544be01cb2bc4b5cb409138d739a5326653a1d465f4b994f1398956a5dc5b186a590336cc880ac0aea3e962c444cc50560aa199c55012c8b880e6bd4e95d582ba2fa146e012ae251a9e70506c074ae87d58f51a8065101c112733587d352ba830c3a022a83677985c418953543e83a547ad4a58a18d4ca1594e9c907a1d43ab1fa3d44845843a8a690fa6fa3d2a2972f5c3335d178c2d9d91933f48972fa865147e38742a211ca8eb30cf696a7fe0204453de2050e49de97d448ba6288ead0d496c03d14ceccb371ea0077b47aa288371844be96c0ad1b8d73b8ba1a6390bc47a3d54232d0c0b083cbef37443cf0c4b98a68a2e65b9e87942274be8fd38a2beb62b7f4dfd54eca9bfa4941706ac4b45b5e95d1ff00c6d4f5d0eafbeb99fc7686df433fffda0008010303013f21ae84b2012a044931742b01cc29d4bf3095f557493810eee8bcccbbd2426845952e28d9ff00900974e13e889b041b13950c6357d57d434dc332c63115a53d045a1086494a9c7d372fa4b32e808094fa1969433066095f4df418b7d2bc4ce2fa1130dc31c31173d3085e84b97f40c3735478889e1d0b8a16c4ea1b97c4e27d024951952a11c5662b5e8fc1c488e28e1a11aa862b0bef1abbeaf47a5cb41a304c3a1e494e21d5435380e8d64112de62ea7e8b98373725ee3339181b5c4644ad2cdcbfca05b1c5f115bf43f4ab539e9e62c1704cd640d6ce5946660a3f55f5476450688ee319332ce20389c7fdb8983b7f9f889d0c9fd29f467a3b5ca88b033770a4ba15dcbe9b68cbe972fa90ebaa5c04a90aa5d0dc13663f42ca95d0e9716ea543a14417ea00430f4789625f57e94aa01ba96740e6ba08c344086e76a7df44e6a543a012a5989c31442c6a241a890594f594cc5b3f227337389147470107995704a10e83a51983a81895738c8e30282667b98408812981174afa4971dd2ce16ca2de1f69cbc5b8980b8db2c2a8c12a53d25534e8b9eb30832ac63d731b95d2ae5451ea3995d5eb71e172f2ba3d42b51f6dcaa044e9afa5e8747aa7ab7c4e6308c3d669fcb8f47319c4ffda000c030100021103110000101c5f504e69a489218e081cb42618b2d03c92dd722a7966009225abcd0784a635dab70b0a2f20f56a05e68b881fe46f206c31909f5ce8003111b91505670ad9a419b3ecf594aa56a5c9d688391e96bc596e7ef02459066ed416dfefa764badbc237465fa6902b8a10190be321f255755534de442896d8ae6b82f8c68ac603af42a44fb6828ac7bd15af7115d10dad285aeb52efb37315c90dd896c01c1f92dfcb142268beb8ffda0008010103013f105c041de0c0ea05200ee25880dd1733000804d171b3d543c03c205c94b03c71027ba0ab4b0a769dc95ece458f8a1bc8e60da30b36b27274b0d47547b8ac1360f1af128b1e3950051b6b1b4a975431443489bbab6acdd242dfc565e1aacd9786fc464d360e4b32168b2d460dc81a856984c4b12a03989da5a81de18293450a5aae8f52a6a8b481e600a640a805da9aecbc15be47a9c54e04b8cb84838f42b68b58642d107de0b2f219b5b8b9b2d96143be619c131c95f11ca6d02d1016ebcb3231d931a6060cbccb57230a61033c71df31f84c7c3b76340d8d7037171928b69ba48b67e78fa213888b82c600146251e843602292eafcca7a6aa6d6704340ecd4113803c0e1335f98cafcd0c52dd01715321edbbbe4e6bd4bbfab4b607acd30b5b469dfa39885e3462e86b8966d998d36b58e23b2e15557b39bfc4ad5bf376b755a4cd77259b2cadab6cd7282b85621100c98a39cf31816cf84f262397115398c1962fb17513b52cc5130f94104b4e10b6dbe6014a40daab50b4b0a17953fb87e6180028d9881001d8251502769535e2612a120787bdf861211f9044586aa969ed0af1908cd084baf530b756894b4a52afec815b999691fa0be9b8a70c11077c66b350beaa5c16dd5c6de8d092eb4298d4ab88a39a1d57988655e01ce5bf99515c41c9e53b62075179d1958c0f371eb63ec4b98291c6b4e1b712a84651164fcc2f4ca94d2d2a5050b8ba78825a89acaff0076c4b3076c0fea60b0336c63d7981dee85723c2d4dc88f5cfde35454581a5fd87896074273699598ba7cca64289ce298953b833e283f44b0aebd255f251f88705c8670e235e1b8d7ee1949e063ee41348888cbc159820abcdbb7d9af980cb28220ee0598266f68a1be98c4ab43c1a057d9f11f2115e2e2c48be07881cd06abc37181fe1977ec989461cdafde5c1b8b58800c41f4960d3aa7a69973b03316c32098a3a152a1747cc112355c438a3fecb33a2f947f8dcae739894bbe74711aec2d24e5bb312e750942032e91eb6c689dad140ad76866b31a6e538f6895f2798820b019a8a7d97bb8f21199b08a40a688d5d9702e505317de56c8153e4c311128377f89466ace2396a428852191c4275346d5aaa77a8b90b3c1226913647867413c20de338a94bf86bd54a6a60ac25ba8f05602806ad586921b7c00cb6521ee2e7f2298e66cf26efcc719f292b3642bcddcaeb36c42700288ee83e20d7dc1458617030c4f1db782d7756b0fb9994edd8d0f09a80050e2011a9837047b43b1895e2762505befa34f94c1732490c9453fb9f72a45649520834cb8cbba95dfc5caf2c51321b027e08d0036f4384dae02269883665c1d9ef2e21497bd1b7cc50f6a8816d6cbe60255dac237e5f9986774bc84f3784f70f02cef7f17d88b9209ad253b20914bbd5cc796992a043cd4a7780c00dea01425da9682118de96326a41bb23642b6e2805c895815bee40655a58dc5ef00f8625aa32d92872a795dcc7a80b23ab42a884476b5ea294fda3c7deb0641bb379b8dc20b8e28a5a3c5dc7940a56a2a8e131179d3007daa5bc4255442dd079706ced1e1b77dac16065e2638db8e0bf014461cc5265f98a5a99f44283c44a8128948a16025354ab4aec999b5a7601c8529bad45150babbb3a379c3995357c49b652b2e49a02cdb28bd0e7dc573ca05618b011947da4c774ae5c54dd019a37414c5b588ad42dd5c6c0dd2e2e3bcb679549dbd4e147cb817f3170df40d1c76969b9de608da0af111519446c95ad2901ba0e1311bedaa02a541dd17e2516c4bde158429c10ac85ba692cd40e9a23d374a039686cb2d31cc503f585f1af244dc015796cd5bf11b001be2539831521514040cb57730505706714572475bb96b154aabef50d4d8078a283f2139f78de33295d3bc6ae6a3b9c4212e2013bc60768886313d27fa53194da5c6b92dd535e617fcba3d2eb8df30a407115a38b8209db364205b468a98a05c86b2c587fb3c80744e1a480a3ada87895032666accdf2fc99cb177417c220b87338f29c4a8cee6d3181a8109503a65a090aa99cad4bafa90e74eaecd9ff23b2d14070c4d00e60e29ab9a7aaee767b328779678577cd308b4456b2b7dc837448cde535ccb578475cb7407ccb77eb5fc2185544ac600445716e22778f6f5281799731ee522c8d98cff00f2575c0a56e2b2e1ac90be6417c1055832b6e683168dcb16f2fab65860739836922c90206fbf3c40fc0bb81ece16a592470da3c608a410a0722f003306208def57e8e26599468cd2b2bceba0136349458cb2468c039c211199e2e08d4a1b9b771589b95dab1281ae21031982aea956cff67446d643d7c582da56c46a58733e32f7e0167cc07c7c92e8f5cc4d41c2f478f8104453617f06262ad2d477ab71318e76477aaae2d0ccb05429874f06f72848eb3419abf045e2e88eb171b1299c93105023c1b77056c8e322f0a8de4dabf042271e60d7848d1d386a7a085662aa51f3493d809831e5b420ca985c7c6a5d4b2ca1653bcf64463172af04a317f0ccac8b400bce6d4f3f742dc0bb256bb9fecaf92daeb155affec742a66714c01cdc274db69563438fcc607039b2b412b4ae1696b0934734fb6257b6f400006b3bb8967b1b279b21cd9b952f20238ac15f9b8acf9546ef40076e638e9ac2a770b202551cf1cc8bacefc6c7adc61e02d1b4c0f3be26c4dc300bab2a6b962f8afb965cae5831b80c28ab358ab65b92a1bf6d75766a16225a151d52ecda63285f538de021913cc54812caa6aacdd79c47ad2ed9478168f0df8886e0c3771016399439d53b8a405afc46fc14e38dbdc48946a0341ae67f6ac54a1d350681528e16746848bac2d5902c1f3ca31b14aad62aab11676239d4b5bb115996f8610c33e2f398d5475063a6eb1b81b841ae5bb4816086722b15a8266651525a098e3895ab926358f3f75978a60e3830e3ca4f71c76163c9b806a2a376616ab0d8ccf93b150865b3017dc38646cca2d0ee34ef12de02f92dad16db23cc451bcd72e5101dd96fc4bb76f6ea819d0e28e7bb51d8ba810342d59328c7a8117710a1f3ddaedc014a603e147bc1b169563629cf7735515dd2cc118d608d1461a869b951d4743dc74206fb18c9d3b22a9046214f2b59622aae1cf6f1da2b4e6d5a67883e8270c2f95c79810c64b3babc43e07156f6840cdb6fa865866a0099e4de6be2217ce45e0057dfa7de5b5a61434391659703d4a9a12cb8920cddd595414b02c18a748f0709878e3ef21d8715ca36a8818034e17c32297115b19a839bc220d30e286ed342d96b6e730da11c4a5285af2c00c5118bc5964b25a762ff00b0b3dcb5d082d2a0f57b3271aad463515595e08f74b0797657c445b15c1bacb1185d4807c6255197065c410327c2f79bf05470174b97033dd7dd0c0a2c2c2800ae03257030410158b2dbcc8c0593e721545b590e31f78d2c5c503b28fbdcb33b746685182b3bf8884f2aaca9a56591549157ac151ba3be6338b63e761f17cb9145d5602383407e99c3137dbcd8be0bbc4535bbc39a601e60781f1f318621baea39fc0764d3efa2d1fced9fce76ead4fe11fb74c3f545d21ff33dfd08efe99fdffdcfddfdf49f927e93ffda0008010203013f10b8c3d1ab871e9ac998e62eaa2bde18c33ef4168c11254afa2ee208c593354b821a092a5caf6c02c66fc77dc947a417bd1fa5b952a08c622ed3431a72c70cc46f336288d65033398d2eea315ccfd0c6080414a2d1d600e5cdc2e90095e80cdb6622f744bdc0a952a54484212886e341137122207704f4d4e5a0ae0d32acb85ba36968408f04ce1062a393a3f344799c0224d0986cd4a65e636d097154074045892861c52070efe01495b72b0302b612ac7b214f04233a78953ca7a89d45ca5dc054cbc2b7059d914e8082292def48e0a30ca0c40db895a9cea630d4ae825c224a883863d14a08150406529632884add4e3d4bb88258c2c057c4340952a3865a984ae86cae263b4456c009828332a5acc3aa69882ae076104c75c44e8bb942574554c6547a54d94883880d84aa848c113d4b56c5e8b601a4a82808acb5d15d1cc198454a950da62345565d50f11ca5a20bf1de196344a4bfee82ce2f7f10fda166a1a0f1d17d54082e608b50aa8d8a7996328e2e03664f329cb1072dca8c4c8839ba25810d412a357d0a8fd1724790c4b622710ac76e08e58717be22c22863a17702fa16395d3803616f8986f3118731170a711e08cdc674ea3cc2e0dd3f8947238952bac84c5b970db768ab6f5315b6474c14a605802c96cc597ed3c070fbce342d9044c4b964218728d61f7772d4c02f084d9500c40786e29a63d54c9b580b73888c60d67ed03be9915701e482d9d222d61dc2db544b9dc5b9583cc598fb3bc6054ca371cb0ef10599974663606a160b5006dcbf18aaa8ba23770fda2399acc67a188a671299ed1802dcec78c8da77331b85f0727b87c28113c845fb8da375cf9ea394bd0860334cf1c400dc58c4352d970a65a96ef11074565c137cc3bca788b0dcbe71065b119cc62fe823a9ad4c6155e7c413df5a22021bf667e399e1e06f37daa5c9eaac4bd5fd46a71346f67a9e669a8f430d7fbfd4dbe4f0ff0091f4dbff003e67e07d1b4fffda0008010303013f1080cc171567500c4ef83db10c663c1ae580f27e631c311781cc7576222a77f519f55c2821784c186a5882ba0c77517a48be07641d6e1966db940ac97f480cb82d87685d2dc0728b846aec2726960b83a757c54c7c7844486e08d4bcdb2fe82b2b2f66844c0e60c65f1310c11db4b372f2a86a4cc8ccbd702ac62be854bc618db403600622b72a620892176e0994a70c58081f7c728d1b95d7696c6188ae222c45c61e96f74cd291e44b6d0ae42a53644a5ca1e96252522532d82d4b098de2061352f97680882c8c689dbc8cd27ed3cc47a62cf99632a6d39e9502e52096e82ad11c580a761b8ca61e218a288fc6443984587ccaaa278dcb0b8799710cf694f184b39ff915b65b7aed16a09a8258764952ee70315b8205b8bb0600f296493ca200c8c130c641de65c09b5bcbd5352e2cbe8690e1b3dc74bdd10595a99a66b4a25447b4d0cb155e238a17042e0335de50652d8fb2aa1c5581f796af4b8f4df5b98181f695513372cb7897ea31cafc43696cf318a17345e5001ba8352b0c48adabeff41d4731652a0f42ef4caea16eb980126980230c2e826cccdadfef07d6bd2303ceaa0e6ec717bf9e632179fc461b4650ef17abd4a8415288e227bd11ae8c24a20a3c98fbf79431bf44656b6fe3ed18cae1d932c371168b3d171444b2ba08224ac4bad0b1e658cee390b34598e751dd451a9f9d36972e2e251d0b815045b992a8edf3d839958d5fdfe62b59a81f12d65886d82935e4c4bda0055687ddc29494c6d2d8ac78958950e8301887068fdee520ee0446e13e629516c63096a8e626968fd40314857947166185ba0dbab35219ac12afcec979ed082b9d47c180f442ca00288da8360cf7f11bde0a3e668791fe40e80fdba42b9210bd184217ac28334005dbd19b364c0d7dfb426db20cb9e411ddd2c86b839811ac25574d959b9abc51da5fc98ef02a22e040c98882a0b1a865b438801427fdcd30c11ece22315273c7c4c1bda0ab4f6e6588815aae27df9f99847598d59034c0c53b83884ef14a18eccf8cc561d2a08e65867a1f30581b9436ab3ee5068ccc7695b529074dc502a1039ac1f116307c4b1b3a612d637050e62c01cb55c7785a0ac741dd43282263ea6936f89fbdefe7c4fc97fd43d3adaff3f33f34d6ff00ecd9be3febc4d5fc3ab784ff00ffd900', 'hex'), 'Michael is a graduate of Sussex University (MA, economics, 1983) and the University of California at Los Angeles (MBA, marketing, 1986).  He has also taken the courses `Multi-Cultural Selling` and `Time Management for the Sales Professional.`  He is fluent in Japanese and can read and write French, Portuguese, and Spanish.', 5, 'http://accweb/emmployees/davolio.bmp'),
+(7, 'King', 'Robert', 'Sales Representative', 'Mr.', '1960-05-29', '1994-01-02', 'Edgeham Hollow
+Winchester Way', 'London', NULL, 'RG1 9SP', 'UK', '(71) 555-5598', '465', decode('ffd8ffe000104a46494600010200006400640000ffec00114475636b7900010004000000500000ffee002641646f62650064c0000000010300150403060a0d00000d060000148800001efd00002e78ffdb0084000202020202020202020203020202030403020203040504040404040506050505050505060607070807070609090a0a09090c0c0c0c0c0c0c0c0c0c0c0c0c0c0c01030303050405090606090d0b090b0d0f0e0e0e0e0f0f0c0c0c0c0c0f0f0c0c0c0c0c0c0f0c0c0c0c0c0c0c0c0c0c0c0c0c0c0c0c0c0c0c0c0c0c0c0c0c0c0c0cffc200110800aa00a003011100021101031101ffc400e500000105000301000000000000000000000600040507080102030901000301010101000000000000000000000003040201050610000103030304010304030101000000000100020311040510201221311306223032144134150723333542241100010302030505050604030900000000010002031104213112415171221310206132058191422314a1b1d1627233c1e15282303415a2b24353732444740612000104010403010000000000000000001130405021010010603120704161130100020201030402030101010000000001001121314110516120718191a1b1f0c1d130e1f1ffda000c03010002110311000001f1f95699ab5a4bd449f7b3ce7420415648ecf72d35270aef788976603bc9f46e43079afb74acdcde9ca635e10601f967ce679ad3d54977aa2e9d3850933f342288f5d434bd8bf7a30c40f350d589979f45136de635a1a6378fd1c1d9bcc1ff00374183d3aafd1c4ad9d4032ade1f9ae9e8bd2359e80256d87723dbcd7ec4d7f4cad748f2d27b6336e40efa6feac535e82f1278941c532699b3ae9da415e2dd46c1ea1f4b642ad802870df39c73822646b598c16c349acfd2f36e3f3f5bbef9ae3f5518ebc479ab93a33d2cfa6fa82b84d21b0fac47c647af55fc8f01575b73912647c21f23e5e2b5b2377b9368d08d37eccd8efe7e8b61d8bafd8573a170acd15f58bd27dc2096f009df5ba3b19ce3201ae7224cba5e7c7aaadeff003f5cbe6d95ec4f803e70d2959757ae73d3c31b044d3c45e8016b813964ca5e272bc431c8e018c6234c38c73cfaa09b61d6f5cbaf7d69f217898bcab2cbbf6ba0bcd6ae6bc53dad536e59e1219dd948aeb65804e9074510c8d9b46e15c9694c7bcef92e2f493e2ae7aefbce841169a0363f47d300deb58c33c93c3efc4f730b258fae71c569c23471e755db6b9574bf423db8a628c204081042a688087d015cb2b39ac803452c4414edc6d579648fd0e715232b6e5972c73af1d51bebdef24ba99f8c9ce84083cb3a8086f81c554745e93ad66ebbbcecd3e6fa3973b0f933b3dde3f528ae4731626c1653bc7e93e79047c848542e88100ec3755b2fa945cb7ddd52091d3657f32ca9f92403c2ecf5ca71388c8cb1db4bd9f2ef6f47cf40dd43868810201187d1c9907b1eed5dc15606e57e7f98a85b1b31961a2a72a989b0b276f7777d2f81cf441d567660810750ac7cff004eb78bd3a875b32a781c8767decc31a8fc3b9398ea78237fdd059574f2edc2040c503e788380c98a6c1cbea5e33b20b344352eaae7c5258c55f44736ae9123a442be9e7b9e53bdf102041522021772677ce8dc7c9a83d3fa0d2fa45e2454688aa8a233aac85344cfdb4af3ee37e5b2681be64081020cd3cc449abc7d145531d38bbcdf737229ef7b3c6eb95d25f50ab95ce531e279337074fa37ee798810204083373130b8ddd97a69c8abc85e5fb9b2d74cc6d356ab61d9cd702eb9d4ccc576c3fe8b591e80ba44081020419534a20672ccab145cedcab07a76fc3ec595de5209650ae93a9865d5f5e688e6efd58f4fc833a96810204083316d33adce4de332d2b77e3b32d1fa45fe5fb607cc826d5e3ccf4e721f68b0f31d83c4dcede6b4b94fdbc408107ceeda33fe183e173b06fa2f67f72cfce7d31aa5e37bc4332761579f38444d3f62b3a20c68e166a1bd579db84083e74391198d0b85d6fe516ad69cb33833c1f7ee6459de894baef040a6d464da74bdc2f7b24126bd1d63bf46fd79f9d883ffda0008010100010502b5f888e45871fe3d99df606591bbb4730e4afadc2932e2492eafe2318bc4cbd8d8d9aff946c89cd67acfb65ee19d88ce63b350681b4308abf14de30684868cdfb4dcda89bd81f0a6dbdfde29b15d65c2706bf1e68f81ec4c9f82e5cc7e6ba082d6e035deb79216f7c3b202a71f6fe4b8b46708b4ca5c786df2ad96e67c4e061b765cc5464ac08c6d70b8b38a971661ca7c67516cf899787cf1da1e471775f8f2e3e6fc9b44c62c475b887fd7a654b9d2b31959e7b7f129612e13db14d610646fc6686aa48118398bac531d0430bada7838193d2b206f314a362c34245d37edd2fc379dac679ccce4de2de376d1578e249a87d14817643e4dcada7036330919fd75f1099335605bca4d6f64315cc718aca035a5955908cb0cbdea9e54ae55519eb7cd6b995f04bfd6f7acfe455bdc75f5a3c869248d89b7b0f99b1b45bc794ccf8145edd6357e42d2fc4f0558450cc9fd51098ae5c38d1bf91fd798831e450f569187058e7da47a6643ce34b43ede22c0b239065b8bfc8e2e79b12cb67aab8584b703c7779c8224cce5abcc57504e8355d0e2ef0791de9111661d706ecbd9590da59caf9e2965157626da539fc35c1c87af5addfe6e67f11968d8e1fc8b9bdb08e66cf8e9decb4b095f6e5fc6eed269062ad99249611c1159edc8da8beb2b38bc56f9106074f917c723a37dc9c6625a64f6e3c659dc209ec5914b1c960f92e1b04b1bacbc3c1e64bbbab86c85982c7c98bc46d78e4c8bb5fc6d7b6e2da16bac6de29e586386de1f6d787dcddc7d638e85bcca8e22e16af13ba3b9fc65e92c390cee8e790ed97f2189bec199b7c5c308bec89c75a436cdba90d95ae6247492de465c2dbe463a30174b29b0608dd7519907a0610e2b0da39b53b323f7e5c7e47b06032b6791ba96b1abdc944eb6f61bb640f9328f78b69446ef234b20782f987821f4dc71beca6f2401fcad965565ac99f9171eab15e4181bacabadbd82d645746270e30b535ece50f289b8e98c93faa6321fe1acec6cf1f1eb1b8bcebfd8dedeec5dbff5cc0e8f013c7e48e367176571f1dc32eb377e2db233433c977666edf69630db9b9700df5dc6cb7b75042cb78365bfb0357f3b6c1457e266dc5d8821f65b8baf61cfe32d598dc735c1c2f5c227de5e97c17b3554ef7720107517ca67fa2fad9c5daedb5b60ad9ff9b9384af7bbd7dae1bd120fcbce48fead7f895e06ce2eff00f9a2bb8fc91be95ad5715e9b88191cc6ebb97f1ad70d118540bdf62f2d87a64e2cefdef45e08becc0b196fb250ddc4ebaa4534d473270d5e67c87faf30ff008188dd3ff99d8f8be51f45edf9dc232e64f5dcfd964adf3a248e0bbf2c5ecf33791b873cb9f305f37aa2b3883a4f5f9592e27770e86e6cf116bec7fda3733ab88ae5eff56cc65e0bcf68b7fe3eeb1993e76594e5707c2d8d70e49cd0d0646b4e2ad5c24c8e6eead21f58f7bb970b7b982ee3d992f6fc8c4b24ccd65e4871327972986e381f51a09fd96da33eb386bcff000cdf24f894cfe0bf0afee15bd841665b212afc831629d1c71c79cbcb097d67dca1cc6cb8573febb4fdc64bfe0fab7ef337ff00030da5a7efee3f7051fba359350fdacfb303ff00435fffda0008010200010502d234363dda86ae2a8a8a8aabb26495d42a28c6cae85cb9ae6b920e45b5d38d51d187a26841a9835768e722aaaaaab92122e754ce89c8ab7ad134209bb1e88446eaa12752ee415bbb5614379df1b910a1fbb4621a947576f0828beed23d49a277608aa270446d2820a1ea506a8dbacbf6fe829a508d0e8188c4516d346e96fa701b24ec0fc4a6a2fd1d44c62a23545382669101c76c82a023ad149dd87a5573555226e91338b769d1da040297bb557576910f9ef9138aa263688f40e434e49ceae95503753b64ee9ba3d52abc68e8504d67276a76bfaa7261451d3ae85395bb3e2d606ec1b1c8aa69fa209afe28bc9d0f54d141b06802a5172d48d29b6266e6b537e454a7a3b5aa3b5bd4ee3d033497b3bbe95d28a8a9a42dde53747f54e8cd08d69b0a88fc7785cb4054ac5540eca555289a1732d4d7076dedad13511d1e35e284689d027201364d8ed023d99dcf691051774ed0a6eae4deda7fffda00080103000105021bdadfa3dd114d876f1544235e35e35c116fd127604026b29a534a2e28c68b289c10d1da1450d426040a1b8845ab8d0a78d48d8d410d06f9068fd5db1ba03a0de5393b4aec68aa6773d50554dde5393b4a6cb7fbff00f5425502f8a08228c945e45cb428a7ee8855d20a39a895e147a00e7274cbbae8a9440a79d1dba27f07486a46af29bd9e3af15e25d932a9ea26a95dc9db4777288aa22288d491f691a9405152a65e8cdf08aa89ab927390f913a52ab8aa53460570fa9df0f61d8e8deef345cd34a3a7eb23b8b7e8449a57747e2a81c9cc5c5043b02a47752e27e83426f6ae8d2bc4b814e8ea800112bb23f43baf192a9a34e9e445eaaaba3ddb89d62ef1e850434aa2747741b823a44a3eda71d2a9c5040295dd7704746a649d41d6ba51534777fa14d627a08854d49a273eba52bf4c1eac774d0b93a544d76d360d874851537dbf4fffda0008010202063f02614cea2c710cb4a9b30f4804c22522cc343014fed3f8afffda0008010302063f02f4861a6359daf7e9629fe6c7461c238863e271aef8f897ffda0008010101063f02037209a7c3bbf4769f3af5f8380c74577afaab90d6bb325cea2f96ea7b6a98c73c363ae340a48a291ce8a423ad5d38d32c900de468c1795f28f888a0c7dc9adb7e415c6b9946e22f94f69e67bb663b950b19716d33be650531f0426b39dae77fc580e0f61dc5bdc8c7884de1da49c866a564223b50dc0cafe67fb005ae2adcdedc790e9ae908bee0c83579aa7eddb8a2d6b08af99e4f35117d164b1690b3a21a28d5d1b81a1f71b73141960a94662310df29e215bbe360d1311150e7cd8535786cee45c53476e96bb4c92e0386d53b43f0d66af3f82134b57ccfc89d816400eca6c39aae8470d34556adb86d51ea3a648f01b8fe08301f9adf2b86df04d2f617c7260e8fc767daa09e94123416d73ed604ded2d0681aca7bd0e7d5cd575136992e1d851ed2c2334699d16939ea1a4f8aa169d3a6bc2bfcd089eed525a3b413e1dbabc10ed989c5c6b40aaf6d10f0ec777a8992347152326a8aba9af8af54656bced70f68ed27b8c85c2a27796eaf655728e5ed3de08022a8ed6e45bbc2bcb4ea57ab6e1ed6bb3e53fcfb29555dfdbadd965efc14af70e6cda80268d68c1690d01bfd5992831d3d1c33690b5452b5c1cb5f785551c36abef5270e58e06c4cfd4fc4fd83b2a2ab9bb6eba62b2340730788702817e05f4d54f146399bd4747835f4fb698a93cbd169d2f9e5341abfa5bbd3e96d6f76eaf99bcaef61a02bab625cc0f3a3a6e3e57ee3c54e4fc07141db76a2284d36ac496f1546bb139767151d0639a2f779a599df6507665dc9e5930631b52a07114606eb1fdd929295d40ff0085fdbb836f62d4592bb9db8e634952c8191471e2d63606b8000e7b4e3c53f4b0c7035baae243e5d0dc71f1dc9da6f3e9c5cb43c36588edde59a9359777adfa0ce692d9c1ce207c2d07227c4278b3f4ab46dab7f6dd70ceb3c8fcc64ae2a92fa75ab8ee8c748ff00b242ff00b195f69203fb52bb532bbb56047b56891ba5f19d2e6f051c8e2d82220e82ef33bf4b76fdcad21eb089951d6ba98d0515bc76cf12c0d6f248dc43bc7bd716a5da44cda6a4d8bfe5b432a7f2e0bea3ccd384ad38f020782ac32d43b753f82a9ad5ca68751a4ada5d115a6926b43c5168c83700af75335b666b7450d310a621dcd24658e0ec4d1c8cb210fd54d54e5cb821af134a178dbbaa84b700be76c6c2c8cf95c721abd8a42f7173eb4515adab7ab777123628a2de4e0ac6c667f526823f9cf196a389a7bfbce6ef08f81c51e089f29fea4d8fea1dfda8322f2ed5cb8a6c9bb070f0283a37693bd61b36a74927ec45fbd26e1f894f9460d929a5bb80d9ec5717741c87946f764bd3e67455e80966977021ba41f79ed03badd39bdc07bd5657739c9bb715ae4f9113b207cdee418d34d7e771cd3de5d81c19ed41cf38a246cd8b0d9982bfcb87f125007067c3137068f6294641a6b4e2aed908ab46007b712a39e78f4de5ef3bab9867c23f8f6b7bb6de12b495ea37173cd1fa6c35b78ff338d014eb66cba2eda2a2ddf8175376f58fb57d3f51baab565547abcda71684e1d302be283b76610737169c8a68f15777018e735879c8196c15510922eadb31a5f39d9e00f13fe0124d00cca99f632f5459cdd290fe66e2a6980ff391697a984558aedb492d2e1b839ae1e2be83d5ae9b25eb1cd65af54734d5c33deab3c125b3711d46e2c25aa9d527c4ac66038a018f0e2772e93f6e21337028bee226cbfea753331e2a0b3200d574acad996d1ed6b053b95d9dc77a7da3f4cb20f9aedbc11bb93f73d426748e2770c0270ccec437a12b0f4ae233aa395b81077a8bd36e2265cc10bf51764f77356878a9e48ec445566989bb01fea4c38441834e96fde9ba5bc4a2ff008f26f156f690fee5c3b45770cdc7d8a1b78c52381818c1e0d14eed34e0b998420e6c64039554934868d8da5c549d1e712cba211c55958b32b689acf6edec69ad11d2781cd48e2e692e3cbbd119f8f68dc325fea176ca5e5d37e530e71c7f8bbbc4d3009cca7cab7cc209f1c674bae3949f042e24c45bd5c38a0aa7caecfc163ef4f60f8455bed5d40453b281536956d191ae284f5ae0ecd2dfc7bf268f39c963fbb39d5220a1df5387b1491bb95dae8878e4a8ba52f936109e192875762315472d562aa56e1b97d6cada4fea1cc3c231e5f7e7df6d472b507f659fa45cdeb59772ba876b63d430ea1d8a4bc82cfea2dfcfd481cd7e1c3351f351e33424af15d407daa8305848ef7ae635ec6572a85641a7f6a311b86ed3dfa2375ea170cb689b8973cfdc9f6bff00cf33e9a2c8dfbc739fd2362faab97ba592e0ea74aec493e2ad34752e6d5a34dcb1df0b7782997f6234d95d62f60f85fb5715f9762f1edf139051dcdc61a718e2fe2546eb795cca3b0d2689917a9fcf88e1d61e61f8a12dbcad9633f137bbd2f4df4f0d79ff00c8979a9c02ebfa95cc9707e169f2b7804d696ed51cc1bcd01c4f82d07dcbd5a8cab843ac7f69aa0dd5c47662b486389390a2c84209c3567ee5a89eb4fb5e7b1ad76d2bc026cb613988fc5b8f109b6978cfa7bef848f249c37777d850575fa3b3d57ff524ff00751415b7ea4fe28f128f641c4a282b7ffa8cfbfb9fffda0008010103013f21f7f1fdc1c3965fe261e800471507979788812048aceda28f885950d8d3dd653fb942256fa9e731eae94d9eadabe3ee007688e52b58a65f554305f75a816c71522218b75f5514acd02d7e4b189804e63c9dfc5c14670aee8ac9d5ceb117be7ee9a570eae5d0da8fb6dbb4fad7f7333269e185aef9dcc5feb0051f896a5808c1659d19efcc2b5a55d90951d5a807305ba4ee4669b774ff004cdb692ced7debb330417a3577472372dae48d9f67aa59ae43d21546b25f2f758ed321d10f10c2eb36089dbab6ec5eaeb92256c0c9b4c5995b7de1267e4b7fe8c12a04680f100ad62627bd08aa01c29b8356cc2f7fb96ac1b704b0616c6b4c5d6833fcb4f6839b1bc2c32a849180f0d5c8f242d80f1c1ddf3d37307741cc15ec7579350ac672cb08ce5b4b1bba3bc0c1d409abdf64baf60dcb97be2025ccbad95e65778b8764820295c12e950fd1a3b9543add15be104cdd916d591f9e9b8804643221a1f1d6ae349b8e215f700c6fe268d19269adc200519fb25a24cc4288591942ef2a8f92a2e54155dc331fea0a7754afce60fe936bbf7d1850e61a3b2bd084b34323847dc97a6c6135ff00b16de30ce1731a8e5fdcb0ae39a108161e639cfb08083685205fee9fee3af97282783d87d3e413f3f7562b413e4a87db0f89993418fd4c1a513da799517c4de0c1f313da10abe58a8cd9a7b40a3a2c7f72d6fe23c6202d3b70f3da26c69fc32d386905d5389f7980dc4f8a1f7e8554ca12d3d7e368211af6980f251c9ceafb41a85d925b5817a633b962232ba5346d9e236e20a9c7defc894ec72b182fc4f0efde5646e9f0971b567b304a813b0d74c09e0068f79a26d706b33b9b45358a5206888365608feba78ff500345756d6c55fc4bc02ddb6cfe908428538933fba2d5b3801f14c18304470706cb72a67796cf835ba35ee712db55e5c1da29f510ec56b84557ab686a32e6aa30e67e7015bc80f045ad4e1347885c6199f23459e289dd81c973b63833245392be2cd3bb5e51fd788c4f2d9ad62a16388a3b8b18cbea5bd721c523fd4636da20a5065f328cc4ed43226f6bffc9874dc295f021844c76218144bed84d5e81dad9c6ea7682587db18d653a799dbee4c14fcce3937adad14606b88a64b2deb763bebbc484e822e2c46702eb9c7994206b7c500715c11a8553efe18f3092d46c1d3f01a1ea70b6c1f301cfa3e131966c9ee7ff62dd11b435f3da070177caa67442daed576ac26ba43bba5e77f84bb0ec3b4ecdddcfea5bf9908f80efa00fd5c126e7664a0fb09b196acf82426c591955e161eba617e9a41c0fca540384dc9c0c736c17985ef0f66a15240e513bb08c680cb71f288edbe65276cb1552aec2c4b1b53a447d08fe652b938363c0e7cee68c10e0233287f913b72f8a7f10553eaff006ea48ecfa6e85e3e0116eecfc493c1a8538e32a6cf8bc4d3155a456aa1175ae3339ad0839829af41b357365cf94410f46e1c8c4545be12921c25345b303c6ec0dc0000014180eaec3d0098769a020722a368fd4a6526a077f77137b30bdb6351507e3138a8174d31595b9aa672630c54ce702b8f78e57d0a31ae5021fd4bd64bd3dbbc644c86fc0c0f35181a76c267e62d646f247cbb7d0d5e98f4608c63c1e12f53bfc7f852d431fef0b1c07f719c5f753f04a6524125ccb572305d6a2a16db55bf110015ee3c976b370165bb7e66df52f3ba07f651f38f8199ede20e03f5e9b3f3c58d5b27599ca1c5ff00c9e33f80a81d622f7756a54b0e2b9065f72c7f0937702ff31df80e1569947500600bba98403c5a62b65a6b8985cff13301b2172739edb1f18efeac96db2e0b1c9fd47ccb4014711b9a287696cd07d6b97afa94c1689c5e4e18b0d9a0eca8768155802a10e2b2f999d66a254781cc08cf28ecd87ca8f59d861af94b1bdfb7fb1303c23537023bad4d86043096add2fca616b2a676f66baf72797b8e63e521a65bede2330b3147e8e61f839feca1c46aef4df2bfa7addfe6d3cf13ce2eabde688f15826c82c9459af8f9539206df503060a0ec4c2663763f3c4603b7c223f609b82e07ca2b5aaef0ce019bca3e6092b39e428fc7af1ab39b8734f04cd6872fb459ccb887ddf1ef73085816ab6553cc55ccb966915a4ed197f9185db76b84594a6c7199745b4b3c2163170d99d4c5a1eb6f4395f880055783fc311e660a7fbd47df1a97ff0034d77952fe138f4e33a5f70ec6251d1ce27e048e419e5a87825f7ad1d931a62885740c885bf114b404d87105319599af03b4b662b92cfb4c17160b7fb7dcbacf89fb10d6a25355efc4b509861e7ba19f0a61881d5d6c1fb3c7a7fc6f13f8fde7e2ff00ae9ff0bdd34f7463f8be19f909bff1667e54dd9fc0f69fb5fa9fb9d203475fffda0008010203013f217a0d4d3d16e0e95d129194b0aca473b83df0fa80e8b45c5a4acc3be93a76741adcc97018cb0be89cbd72c468964c3a84915ca42b43cc313cf5d28860ebcc5c4a7a29e8be862331126eebc935eae08ee3a9c43e96338a55a9fafa0dcda69d57137ff899bcc898fbfa133874add2c20b963d035e97583e1f50ee8bbb2885ae3a45bdcd204b3a46ea10617502baaa72c11cc332f9b60e0cb9cc68f41aee50f42c00dbd56e4d6a18b020b5055260465943a943de6b2eda98ae97e836540a86e6a64d4aba2b8870620ea0476c0c54c23d07a1d4e3977a07d238e250e3a0730a4dbdff00aea7d3aa5e597e996a594041121994aa20575d8f4bb4198833681196bc4f6446b333cc388393cfea689e8c9bf42cc18cd531461cc15cf5135986f44a6f4af1b22b282e0455cc5874af1292a3d352bcfd72f861288a11e8dbadea2bf59c4d4218d517ad3aaca54acf2f5e7042030ea813998f4b971c341ff0c2317299c90f41772ea5cb4263343c92098f4b177d3599c3b4a584209956e71119b7454ca31f6ff899b26f358f67a6d1e8d231e8d1d7ffda0008010303013f2131f5599eb72fa5b2ee532b947ea0f5010844e9658a25d44ed2e8e8e48fa21ea65d0a03a2a32cdd13a91053d4e69d75946659154bf4574052a3d166be8faae9ff0001e96f4d3fe08d12e65cce27a2fa6504d7a10b7d55d1308518cac52fa31e8f46fe8abad737f3113208e540ccccb5053368ba4ab0b7a3dbd4a23a004cd4310ed67226c3f4859ef0794af44805d4b5e7d553db323338188be83a5ca98f465afb733b25194161ea7418f3d02f36a2c882a39a57699984a9d1bbff00e1ca9c9026a239958eb12e125f7eb53300d1d4f4ec8307412b93087419145847bc7fc4d130443680db5de02c304e624e67845546591f5e26e7fe18ad0e0c2071d040db4c796076662498e5d2e2b6fd4662d4329a04c0a8e2590c4b12f8da3172ec7ac707417191702098c516e34e85cdbf5e4c7d16638352a3ca62ba8b3d0ba9dbfe43a8640448e08de24cba347fc0b9b874d4e7412e85225caa830b0bd04af485cd4b971639177430087c4583a0c58fac2690dcd27ca7b9e823d4f47fffda000c0301000211031100001082d005f5a168340afa1748f7e7a070a480541ed5a9cb02180d444354c5f8f080643f2272f905305bd92218b4f8d205c32fc9b2a60950a9836476e250a80062e6d6c756000027870eb71120c0031efb31b01406800b79dbb5f58000004c998d74ec04001233b188cc00e04b1e43137900075b487889f1000010303ef7a980000bdefe0b45080000c8b417b90e000004b7d051a3c260007acb8f6cd146a009d2cd18d6ec2cc0ffda0008010103013f10bb7b43f298079803e632b8301343d0899034c38c28a75049b13ebdb305de82fb409d2135c5811053127de90217565e1a5c5d46b52c6c4da4f72237c08ce800394a14b08f75264d764654364876c66356be7a11ad90f052853ddca4580a1497bd464df8bfa15f375db6d10edad1c7e09570d53d73a6dc4082e327c25770a1fc435d2c199da016ea21f721c5a2a0108d384550c70d9cb45a9020becdda2473a5596a1b58416a1e7579a344592d4b4a9d351b00a576eb3618b1e2f3c4d8586fdca0ae6b6919b9b5347dbf31fef8019ad5e077136748405ef446cd912853530b0571c0099ae21e09318b054bc050efb31622870445867b0ecc887656d42d77d070a1cb043b0305ea06dee3b7559788f68180ee587cca9ac303636d644a3a428bbcf9673c72350a8d2a4d68d78d452d380c675932e93b31562e928b18fd4211b872c8775ece2a56656030adeab35fa96e024d5b180cbf882a54922099a6ad34d7d2e5ab96a815ac572569e3b72bb80642a69d088b56042aad02e9564e98c4d6255c5adf662536aa8f526c94a06c4a64df7861c2d188dd79c1cb6788336a96e5b2cabacd0131abf208e71c7994d439b40fa1614aa301c94bb228f3867be65192c51482c183c543a54593163670e983d25edd2b784ac15003dcd5416c9f0dd3dfda3711daecd52a7668a4af3ac11de6caf9be8e9451149a0c192dc4e28a1675cfe238a60383783983b73c7cbd9a57046bd60ab67b7f9333c2829a5d3f1005e0518a46bee177fdb6ed84aab3b3b471833a9570120af946e9b29e1978d7038c1587377a8759d1a51592b01397985bbd8c518c29d59ae94219e21c57497f30283a3f5e60139c715dc942e478ae654e17a7f6e16f86e0920362ff003cc7abe3f12f5b2d85f0df1db105c316bf13cd1c46615e23d10c4d5dca7ca0bf786380408236027d3338f2c3c06aca4184784b82664d85142ab6d1ed5e7a326846d4ee5b3ac869dd868e8064ead013da7b813169a0c2e961d8e6618500857818df7ed1eed26b8ab0769e511031ccaa83741db454a8ab4988b2f7d989529b0c6d0a18f6857d45ed16d71ed5332caf328505a4513b83f50d694306f42d76b2361023b6dcf64c42e76220d01365fc11d17d855e6ff70caa9a86b8d1d52819eb2f2f647b25cd5eb14a99b5d2da61e110d35550ac8b645d51996dde24b8a425f16099780959b597a098aa4772f01bd88e4c534ad328e6b554cdc2cce9b208e3225058f75c06e58839bf5d6356df6958a8b2865f602528eac4dfb410a957da3e422b7de80650d7022817ae325a410d438e31ddad9efd15caff00087d10ec15d402e9e468fc923f9422bdcb7ef63bc221402aab6ff528ca6781ab2545a8b3371decc44e445ac962dc6311c28e9235d94b72be466e34159c2dd7b0e73f379b1762d8808c1b285ac051961d70a3a362de82a0eb6b75864390f88e874b036c3e0b7840660b4d8144e8479b862d3df3d56a2996b319626527b499497b001f9a96d291e0a9baaf569dfa941b334d45af785473b30011c6170061a35a5b4a5ac06546cb68ae084de7d549dd1abf798ae057758036eb7a864b2b2930f4676abb30001dbb88003b109169119eded079317de0d5505a300ba415846a34b5d80275a6fa5fb9dc3392d62f91d589c3fc8374bc28a310149d43861218136d6eae00500280c1440418cbb48c8e3bae148b035e428e4e42fa59e84569bf59084adb65aec360b332f609f02387de91286fc10dd94bd98a6516d00376850572c1bd787b5b965772bc60027b6bf1046ee8c9a4e9cbc9f300ee223e96ea82cf105d75430166b6a31f10d3ad74dd6825606d2f35445fb8855a1e06047e639a4e63096965ab45755032286e472c69bcf5d1356f1bb87a1ce822ed74f66f6436156f180c395a0acc1fae5a56b65b0271bb5e4847acd066c4716e8854089c215186bf739b1c3822de1aa0984105cdd36bf5150664c50e30889be18c0b191ebeeeed191999ae51784ad2ad72b0040ef615003831a993913d6121dad11a9f0f155c85d0d8e697aeb58bbff35fe7a48c416f14af3f241f1e18206b66aef57177022806489771cc974dd54e482a5132fbd710e7118d9b086a6aaa98d4952b2d8babd175de65a42a40abaa2e5a3515652bb3fb80843e253e2019350deee0742da92e07076e33193a5a96973ad057398098e08a00c0075477dbaf43b043f405aaba0269f39a0068655617998a0321a550ae85ac7e23f546a8d46ba9ee73962896bed86c674a8ddfbcc9cd0057c25cb420e3b467ad42609aa460f12f8fdb49fee9090295aaeb0996de2d76ada0bc62fee50069d6cb41f75712de8ac9309007ce2909fa8ef6e0e2d6bd00b50d10c5f6eaa05ad073082b4ee8d1c879964b5a339297c228584809152ac7c1ba94358e9aa530a96a4a8ab694a555a8dcc2f8b03662c2bb68c32f611ea50145960254f1a6d216ed3233072e1c8e5cbc83c105e579e5e50a3c5ac629544a5a860e0abc12c45b9b2e1aacd65e918191e00b72de182f0840cfb5840a2aae96b868fed0f6be7405624d4a96e9b9703735c01e28f477b42a387dd4c6900e68113b35b894f2cf541132631b771af5c597016b5e0a2e145705691bce7bc56987889616692a93a402db5b547b7e214169949196d57629c87a934f65605529a608708ad414e7716acc2361c03406289c99cfd607e6a181a146cc2dfb3330077da6d9e133a5f053a7e2080d5c8d9716f0fcaec496d1c3b2b894bd5eea156dcd563ff633403a4b9d976916a1d0b261f8b95e71ac6f5efeb34b5006d45633f132c0047617cba182b6e804dc1312c006fda3365ce380681c8a54a6d019b23c4b402d29c955a9718a6866068285a0e48606025542ad38da6a5dd932d6e4d9cd05a8d356da3774f2b32a4e839f754ab34ae3973cecca315842ed3bc588767d61bd29bd63951c73117b95fd961c3e08124de261eee101780d006f968886df14041a6ca2f1a4b9e1a1ec40d3e263b077d0d02bc1550cc66cc823769ed0a9736d27e0c44db94965fdb18a76dee28c4bf30b7282f3600fb66139861a0938c04f5949b9946dd11670401565b1560031da5a29661b00ed678112252929a12b977850e681c0ce98142f172a0a6e3c0ce0d1062add5d9c1912fee5957226ac190c77ccfbb8697e1022d82bca6bed5ac0e6651edba011ae1ede41e2b7b3e65f0de28e0dbc4a2470b0fdd78bce7b3023ae068fc85e12fd2ad3cb1522e91879615b0362078c45ec5c63d0c5154376cc2c2282d5e5ace3cc2d99b5691d622584b8c6e3560167e65a218b807429e62db80cb36dfc863b10b6e23d99f88902ca315ad84a5738fd4b0639c82e0f68f78e5843cba655a2ee13cf011b75b8259050d26f3c7ee4ac875d54ee72b5bef8ede8e3f13741f99fd27f11de77fb9fae87bc9dbf4cd7d9d2cfe6fb4fe03ba7e53f6cfcc9fc8f13f83fa27e57eccfe33b67e21d7fffda0008010203013f10c88953008687a0b2b1cff8444e25dd111dcd0a815a8c5699936451a66c549de1e08ecdefdbbf50a46cd4c878828e86cb44c8ddc064e881a6e5388ab07cb35a50b8db77266e40953175e485188d6e8fbe96901484750b9f7f6998ba2328912c415c5954485b99655918e760f0cbcc32c1e23e3a10973e8b932cc232971728977d06ba2e370f30ea768d588859ee7f6741a97fa1311f30aa61b941a7302511c4cb2eba05330aa5cbca3b7fc71d3952e382ba12c8c46542262578829e845e957046915ba61e344feffae984194d0e8173ed164c5a3105438d8965dca0be8a8d906650665e5aee0bf6e3fde89510815d0b71b11fc901ee37512a39ecc55a15dad7e230ee8c2a4b22eb01c4dc466531331ce029f8dfefa010cd1d416eaa307e60998414693e658cff003ef30ab8d57d4781f71b8866902a080b8526132fe7d4b095277f1701103b9cbcfabd9d813c12a228d41df31d87387dba12d230dcadb97199e35d9e3da5e117c22ab44d8880f6dafcff00e7e7a05f45bf7103084312f463c0fe7ee08a221730fe114811192b41f4c7cd0ab0eeee6feb3d559a7a2e15fc62986dfc4b3332f98b65e1d40adbb80448ce650ff4c434e897a4062c2053381fc777f5d6f4af4fe411cb815298961c4c1054c266e3ea67a95905a8989f039f68000d1d5e0f48d87133fcca15fc779903572dc744cdab3ed0761515a928cf72c0ef5f87fefe8961417f7f6e7d17bde86a1dbb87692e8419d349cc588e889cd04b595ef0dcb3201a8c3ccd4323415fcf7f4bd09c826e71330e26c834992fa39659a54b8e4624e666e26095b445caebdbbfa9aae32dea015169ef0d2450a2a54cc40542596554de6391a1cfb40af57b94e66ddcd25c7de26cee7e630c7536a622e629e2118209a966f7fa7add8bd4e6984232cce0ad3b31aee583312e4033048d230ce399603263d758cca1cc7aa31fb8d9882ccf7218f13c4bf1006e2e180981a8867760a86335f0f3f12f0fe393d2d19dc5ed01634bc369a94bbea3da7ea167001c12b2da42b88965d3de3a34baff005fefa3486bfc9bfa097b13ff00a373ff0097fa8ef9f511de6a4fc03f5d7fffda0008010303013f10a098c5cc7d0f93500d114e6263660d30abc4744a3510287d453c750262437d42da9ef2350732f0e250dc0ad4322c64a6591883b830d9053d3474ae2fae6b8950800c05898e30d97435328464b63c4d2128747327a031505287489662318861a54bca5d1c4bef28a39e99f4428aea2d210a13065b7348b16fae51940798bde69f7e824447a812ce26758d0255221d1e948b531532a6647a572f7513bbfccc151da1691122f4726a566523ae8a299c3a2ba3065d704a86cfca53c0dd5f8d4000d1792fccb463e2561798e43cfd4cb2805c25507661f3971d456c781d107d1b925ffefe2098f69495fcdcb55c5f0fdc61bfb37fe4c716747fec0191e57f483280a418444faeff00110db82e997c8712c21689a05b32eb4f6f5602bb7ef107c9cfdce6ac437489c6a0d17c38f2cc8aed8af8c0b916b0e20382dcb1903c9b76aede6fe261425ad219f89a0c5c7b74af41b1c244a792369839027b625750beece04ed148764b939439c2f298bbac0a4f7f996c1c4218ee8ea64f4825d02e582f0748586d10286cdca184ad70c58d315bfc081566fa115e5997bfd79faea2bd3f8b04f162a2873127bca160c4c2595ac4721d59a97c3749748d2c1155b7a87a573f331bb906ad5fb3c900b163638f7255417f3d0593814e431521cc8cc95fda316d5f468eab501e07128f993b52d87a4723b3bc5ec4fa26a03fdc42daa62199812aeb822b2e7d2c5d1ac0404062147b0ae86a43bdc76a994b5132896cb3b97eba3d5c131fbc5836768948b08ada4c92ccca90a2d710ca643dbaf599ddf1d2892110c60c3aa4b14e6203728659d4cf305d7edeb744578e88ee648e18e26488b5976a57d0c09b9ed334f7ff0081b52adcd4b2c72a382e20a8275d15054cbacc4982629518dc554fa4e04d2139b528801954916e1ef33f64d6852d7a1a0844ba739ea136e8689a7737febae95f986a1e809b7c477d7fffd900', 'hex'), 'Robert King served in the Peace Corps and traveled extensively before completing his degree in English at the University of Michigan in 1992, the year he joined the company.  After completing a course entitled `Selling in Europe,` he was transferred to the London office in March 1993.', 5, 'http://accweb/emmployees/davolio.bmp'),
+(8, 'Callahan', 'Laura', 'Inside Sales Coordinator', 'Ms.', '1958-01-09', '1994-03-05', '4726 - 11th Ave. N.E.', 'Seattle', 'WA', '98105', 'USA', '(206) 555-1189', '2344', decode('ffd8ffe000104a46494600010200006400640000ffec00114475636b79000100040000004b0000ffee002641646f62650064c0000000010300150403060a0d00000dfb0000139900001e3f00002eaaffdb00840003020202020203020203050303030505040303040506050505050506080607070707060808090a0a0a09080c0c0c0c0c0c0e0e0e0e0e10101010101010101010010304040606060c08080c120e0c0e1214101010101411101010101011111010101010101110101010101010101010101010101010101010101010101010101010ffc200110800aa00a003011100021101031101ffc400d500000202030101000000000000000000000506040701020308000100020301010000000000000000000000030401020500061000010401040103030402030000000000010002030411102112053120130630223241231415243433253511000102050106050206010501000000000100021121311203411020512213046171813242a11491b1c15272230530823343731512000103050101000000000000000000002140011100103050602061130100020201040105010101010100000001001121314110516171812091a1b1c1f0d1e130f1ffda000c03010002110311000001f41675abd5dbdba0d941646807799d622bac5d3f3e2eeac3ab75e996b9d65f4e196904eb9258ed198f90e1779ae84a7a4d9496827da78d5c1613c0cf4a179dd7a306ea4eaa52e384de1ff0b62b7dfc610d031d1caf422ab58b54a2873a0b5ead6774a9333c4481b21c5c2e3bd5461ee573ac0bce8214b36b9430558f5dee67ad3e972b8c43896f5820bb50cc069cbd1f469b3bb50bf5a1b9959b981afe3bf5aaeebdb2b4e0de108c0976d0157d52dd5f6ee5ed1554d9c59013e2470185b3d6f676631a049f5b9c185ce06c47457ae7075dcdb522ac784330551c5c55d585ca85a5400e249db986733b4d6b5b1b9cd33d1ec5c77bac76679b9a5d82d4119ae4c685f00dc4771ab32195716d66a252f4e6b88534a037f37a56e19dcde95bf3b53d718ce4ab462dd3980358e7415c9311b2e48802c2118022fac05c082ba66805799003d0cee56aafe964b2e5e9aaeb64faeb034e65bba4f73a716b46c12d79cddda544128e5445273ad8880fdd13a598a29859535f2648aebda090f613e571fad3cf6a4dbf74e9076192a5a296a34a56354aa39baeacc88ad8524058212803df151a9ea20e992c53febfccca09a0b0a7ae7375e4dbb798974e0c715888c8b474081434f65ed47606eda19fe74713dd4759107d51d045301a73af55faaf32c19bab0d805ca2daed3ddfbba4c34541710b3740d9133b5d354d063babf12aa54647c7740dabbd11c03af89081d0425059d2f7651eae6637eeebdcfa25af4a667d58a932f747d6d63b281a2ac29769317794a6d5a6c2510a09c0bf0256508c3da50df6c739aebdd9ee9315be320448ead1d47a508b6372af074d3d3d34e83a9984a5a696dc028b97a8d9d2d502fe31bef47ced53901b4049e8ab4d30bb5359f5227a415768b0e4d906a837138f402d2c2da5e50a98982ab68abeae1916f349e7fb229517a843871446acd3db8136777f3c656890b36be510b209a5171598a8c308536ac632859785dd04a6d69ea1656a132bdc92a8fd30a64a3a7a95399b9778b96d9a36c7ae84d82b88bab0e808abdb906d2c25c4795c130568475c4388b22d730afb1e734bd94cfca0e243313f6f12cff3da41e0a863602deb0eddda2ea6eae15c462997e56e9412453806b59b3eb470cdf6fcbaae001ddc9282c4cf18e3ec2c182c2885946644b6e2e15c4c5b48f3bd3b0cf8e9fa6bcec2d08a1581b0e6fb6e735b2d3a3e254175b341d50c16837315e909148a216ef9e934b82655fba768be3a33dda4d08486670cc66fb5d26b70e6d4e2574cab3cca2b0eeb070388a6baeb20c7036d2c64c2c896f3f598c4d7ee8e9dc76b491312b37d96935ba326c494ba7f1e79c0d1489171725ca88694e6e9f11651dcf3c0ee2c4c67a731c5220bf578dab2f33d8eb35b9b1ce455b28c96c0691f8054aa9df7970543d72d0c2389c1def32953d8eede2ddaa4212029351f6a7fffda0008010100010502ed4fec04ef1d1ffb034ce17c83e515a8aed3b512289c6691b2bfddbb5e46d7998e6bb759de271647d55ce0ebd69864648eb3518d918bb3b41e82778e94e24694f78637b7ee5bc3baec9b59bfc5b37dc7aeb55e08e1b2d9bb36971edf69a10f7b9ed786fb9c4b97baf91d0d97851d8041717109de3aa6b9d3b06dd85b351767db34c74fa9b1df5fa9d1d2a105be9e2953ba8629fdb07b5ebc34c1fb6a593f9088caac65334c4d5b2d9036486ed76dbe38413bc74508f6f3856a99ece56fc76b5bee7aaea60ea6b39aa46ed2b36eda909df76bf0a4fadc66bb106d78b72f89d5e6b760cee40a7a09fe3af97d8ebab424b3668acc16fe4ae4e4f2a7dd588b99ec2ae549071b5db1e4daa3fc8ec1b80f58fb7051765045506b1d055cb1b62589d72b5586a46e4ef12298a92d18e6b0f6867616cc762d8f75bd77fb9d8c8e9258a5f6dd3c3ed86cce0014d4f542d16b9b7b9196c5486bc176b5b6b948709dba9f736ab92ab452f2eca9c4f55d814314705cb0c7491085c65ee3d8863032814d2b1953dfad5c75d6a3732f76d5faf86bdcad15a6586cb07617d95db63e61d83a58fe41dc3cb3b5ed53ed0995c797cd520fe4ddef23cf69d55593b0569ad8eeccf749234f12d4d44aecaab833a7e33c5d8753176763e5262b35fe0f2587f4ddf5c7f3a727d8c9a48847f21879761d832eba47cad5d5d9f684cf31760dff00acea1cf2e7881d2b1073535ed5c839472363553fc6bb1576a9fac7db3638d1a13c4d9e7feb2095b5bb01d475dd875f3bad7570c92c8e6b82124b59d19362c7c8e4228aeba70c53c0d32ff6c876c876ebfb62e5d496dd9dcd686b1802ef2d82e8072963a71b94dd7ced16babbaf23aa7446e451be3b658d6d57607653ff0035952080a10c58733f732b92e684abe2571adeda7b62213cee860ecac73757b8e69ebf8cac2ce2ac3f02d380334e057ec1df6c530e10d37f0929fed9867e7603430eb9556c3ead99edcb65ff0021bd2d6864ed8be592ff00b51f40f962649678b6d5adee5824589f1059fdc1d6471f391d3ddb7245ed16cc58e95d4e690e9d7f47d9f6669fc2bafaecb5d77491beac750d5fe4c5619defc6eacf341d4c35d72f611ec19621b7670ad4d94f712a67a823fda82c185dcc2bf74b975bf1bed6db4aea2a9bbd93e5af55af7cd28eca76b64ea2f8ab6a783fed2ef53f23e735dedeab26f91b5863ee8cf24752dd88acc6f639cac6c7dc731b5238ed502e9314fda12747dcd47d52baab868762c31c8bbaeea7acbfbc92790d5ec2d425f27b2fece1805eec5f689a75e57c31d781099ac82e49ee4b2b94a7918f12be9fbb5a5bcc6b4b5f8547b3b1591d3e23da7f329f7949d3ba7e9a1a6ce96f5b8628e338b95415660e2e932c4d7e0cdd8fd92d8ddf3a2eca077f7dfc5f21231b86e013a7c5df345d8d91ee452568af365eb58c4db50b9b6a7e4adccd60b3718a6bea4bc9f61ce4092b2b2b28951b793f0b3a7c562562ccd1a83b4e128b0d70b71a96c4d2d296bf63624b5d13fd96d67367b7d69891610815c965656540dc00165657c6dbc6ad82ae7e55fb39e054e39e6ad3f5d9577fb4a0bfb78a64e632c3641ca09c0475ca602e731bb01859595d0bbfc2b2edac9c9e9fabfe6c96ee5f62afd94171b2c0245dd7575e66c0cb15448ec1eca27432ea06544de022fc5f26fa743fe9daf13f9e97ff00126fc9ff00facdfc7b3f16bc4de7baff008b58bf351ffc727e7fffda00080102000105027ea3d0f9535ab1a35db83a95235342f051f4044e1492e546dca0405c82c84c2a245058d3088f500a6710bca6ec9c34ce91bd39018d1d8c3771845870756a2516991cd67dc1b8d4e8c3bf2d9877281c86371a9d73811b17843779d4a282ced127f88fd613364f239b5b807428a2804c6e53149f8c41109a563d01672765c91d4a3a35c9c89cb5be73b43927d1825670b256eb29c500b885808a6f871c3613f64878a67e207a0a61446ffa731a0457145a506ac2902032dfc9d85cb1a715c56116ac6c5613b6016535f85ee052698051d8571f7295a9a565656565724e40279dfd194135394438a7b8ac943d45c89db46ac23ac68845c83d6426fa8f972e0805fa93a81bb765215b000ac201c06b95ee6eec22564844fa00d004e28b73a46c4ed0a7380592b3a145ab884235ede341a35613b676c8a63f43a124af6d7138075e489ce8d4104764ec14c3a11a94e4c9113b047d1c5008375e280f4b93b4dd651d0041883106fd272250f464212207283fe9b91d70b0860af6ca070bf243e93bce802ce984c7908e0a679c7d2779d3f4287845350f3f43ffda00080103000105026ea7d0c891d9674e3b11e86393b51a9d638d38a3bae250051f1226a216750741a9d18dca0dc27205674c27b1351df4693976c5724353a35dc4193ed2ecea104516a78d9a88c17bb3a8d71bb8e87666810434c293c33cc88fa8a29a0f1273a84163471c2728ff00294a6bb09c172f4158c2dd71d0681028a21613460bc646379761e8ce1610016015c776b7d034fd651bb374efc9c727d0f081d879f6dd97657e8b9204699411d8f804efc723d384173c26fdce413e3e4bd921334f0bc99bf15114e62e2b8ae2b8a70c208951b742b92cac68504fdd3581710b1e978d83501921613d6500869220500b8a014a7d40614402ce8e41a80d0a7268d068482742e0173250692b75c7086e868068743a03a4d2a6e84ec01286134278c807ed12b16422e0107e5028e8e44a1b824a09cdd0e8c6041cd45edd3865706a21ba9453b4013c7a5e146e4f6e5637281f465128bb5ca28fa0a6a0ec2c85c501a145c8c88c9ea3e828045ab09a50f2414589c083c110b2b2b2b3a1f41434c681c8b97b8139b95bb51fa450d09580b08145b94149e397d31a1fc86a1391f1f43fffda0008010202063f02f70cb4adf95088a48a2b66c6d3a666d48d39c2149e4070dfffda0008010302063f02f72eb42e9e122f151a677e64e586c833c702786fffda0008010101063f02da4ee1ed713a2f35709a738c0926305d48411b440fee58ce406e7c3eb3463e8a22814d5bee07e89c1fa43e8b23633298ebe0fc7c93d419a996e387b5c4f82b1bb4ec2e3a4d43017738834094d1c38b18ea1f7e5333e485adf128c4409d535e636dc10cdf1039608b59284118709abb4421ea83bb6779840c7986a8b0bab0fa21fba7729eeb8e59e3344c6b298d741bec1cd91fa21870b3cdda94795110566495b21e68be1e6542355fd82d0d934230a3537163abc809c04e1241e38cd078a10770e4d9d3c861859c2a4acffe33b9ca7a5805ed0d9120f8a38b08f71893b97ce5fb502e374e11f02b9a9e154e77056e8eaa0784d0308437afd7457643125705dc77780c7163686b9dc5dc376d6d4ae832767e68bce89cdfa2682af754ec8fd1486e745faae8bbe34f2471f72e8321ca3c511868f376edcda0d538b66ae2afc73d50742e851bc53e3fee853c94611142131edf6bc5c22a0372d5065409943b8ee5b36d48112aeedf2078f0dd30d57da38ff12754e0e1cdaa7768f9384f1b93dd99f6fed1a98a2cc342ea6a50c3f2260b1f6b88dc5800bb727456621e655ce308d027bfbc23a6e94e935f77fe27b80db6adbee611c137337e4145ce822cedf05c2328a31edae8d2455d9bb2e4d609b9b10b6df746504ec8e95d357698eb0595b8a70e09f88085822e7700acc7f13545ee31f151db35d4c42210e2d401c5d57e2e62cb880e4d3d8761f6fdc35965c45b67942ab333ba88e8bf92ee104e634a710dbf27c42ea64ef31c47c18c2e8784426b5d91ae6ea5a55b8df6307fc61945fda6e851e9ce1c6303c745d57f345d71f55ddf731b4f747d6d1a22fe28b98262a372011c79072945d8fda4d13bb803df205472e488f25d36d4d53dce4d6e17f4c0887b0fc8f9a7761f681cdb4863f1526350b2773100ba126348121c174c4599346be41de49d8de274215d58542bdc24b162d1ad01adfd7610e94289dd2fc37398ac4c06a66831b40a254340af46527551fb779870aad3f02864c862e1a239fe7f32882a2049935135d3d543332ebbdb382936d87a95f9eee1c7c62a2a2eaea8ab61215281064a4a07665f21f9af34d6704ecd9b9455838f8ac591bc68a390438a74f9cd3771f70cae37072eddad12cf02d7688b4b0f9c15a488f8945ac1cce4c192ae0091b08460ba5c4c4fa6c393350506a7c974bb71ca3dc49fcd7423edf71e251bb99a6b15d463a92b4ed1f6d84dbfbcc820ff00f2190e57eac6c82e8bbb583788aac0ded0dcdc27963545ad9c24e69d175ac8478201ada20e655b451067a8d908ecb539cdf742b4804d0251d517391c3869a95d66e12319a13b3b7ed808dee98f0418d16812028ae27a4cfaac8dbaff00e4289b8fa97332543aa0a6e4eb1c38f2b6170a07a7747b96e6c6d9c63fa20eee3b688718031f4471f7188b08aeaaded417fa14323c5a48261e0141db02238aee271cf879d8ce2dd54c941cfa26638090d983ba1f074fc91cc67183b194ee5240f927bde231355ffd0c5db9e9b08b5e9b92dbc3808b78146d73f1794d58e04b4522af7620e26a4a835a0780929fed476961946855f6c6156f11428d9edf89d9c8e96dfb7ca79fb7e5f36ae9e39077b9e7443230723b42b176feec594b840e8a0b99a09506b40d97bcab41ddb6e30e1156c77464c7eda3c7151022b1e2cd4c712e1c535f85b0b0dc020586ab968893b2aa47fd33917f5d382e66c095147276eeb4ea0d0abf1641236bb94c884475011c4845e7b9e68484174bb9f42aec7eddfbb7228ecb6a17dcf76d01aff6631587129dd1365d582713fdb886adafe0b9cf905f922c356ef41406e0daeee3372e0c5af177041d839c0ffae925293c49cc3221457b219051c2aac708e91423a95e0777c5454368da3ff477e88a67f1417a23e6bd421b8373ffda0008010103013f210b430407e0478e8816ea1c21b201eb9898120cb9f26271019799ad88f779d1339c254d7a3c405d0ae1a88b2770c4b2cda01b58ba0cbf32e8f6fdac7e201e966778ac137609a00c13f88eef1c1260f7cdccb98c410403dee4b89a4b2af8866de3ac2db58e3efc0ff422e4e9c86293c13d7b0712aa1416b8e7ef379814ee4d1f12b91b37db51e35f82127872fc5fe52a8c64e2cf24b711055436558abb1fd87b4a684e7ccb441e930ad1510103c3344324cce039eeba9aef607576c041605db225c1b1b8611576c66bd40aec3ba38cc80396cc3332a96c35a396651f0021a998f73dc6540eaead6a3c956db86ca6a333b0dbdcc01a8fbd4ba87a560f2c44326ee3b8e2e13ed86c12afc2f32baea73bc1f699a651f994284301be8946fcf92511b0018b4c44efba362cd4069996cbc84770b04c6b0554bc451803a045dfa7dd964f9f2bb711c4f0a5830fb450730a01512df32507b8e2d2edd61ffccc0031a3bb7c4b52b1c7f50dd06fed385f5105967cca6073cc5cfc944bfd2f89b180c1e625a5bb9e784acd84b1a5423f60fb8db986512dca1cea3ced2f65e2e70eec3dfcc04163b8ca9fda569df9f711c33cdad0f64b556857c8c016fc21752c7556a668a3c6226df4dca2ccc26ad85aac1efea57d2ddb50e71349840ae2661147885fbc06d81758766298e35dc3329e47af9a952c96819381da50869aed4ab940f556a2f610d07fec6744cfd2432d5c986c0f679f98d84b249558e3315d8b2ea2c8877626a3a250273b945d41c72bda24f3a24f79494f41fc22725e4b0cb186ed7ec73034b3c3dc33cf78e5c6e7314aae08648c26fc368812f13df51d427945a1c44dcbce0d3986dc3b0cc178e231da6eab00038ad5cd299850bbd809f30f5b139441acc5a872fc4ddedf11ee32dac93f27346a1680ff0036398befed2079610e28c1cd779899b6a5b2bec8c332e5eca1011605610a03db98c4dab8e59ca1c92a983764eec96ac2e197435154b9de1708d72006f108d01baa43ad536c5b0a4bdd1e605a9822298ba3c7696bbc0cca8b4cf9731c37907541450ed3c1322d7970c1a805ab67b9411b2ce489b10e2f56e8977e8afbe2d408ee896bbc1c545d88d5e652ff00f21ffaa56d8e63bacd64a8c0d050461d110a7b24a825e724b17703cc0e06d7c238c3eed1fca826b82baa8e82c63b86b30cdc5563ce200e4cd78712b071bff9446d3c2958f998c7cd66cae263174816f89683829514c48358f3dea5d5b75285e65d38be21f74ba9b3bace23be882bccdad21ac1a2ff008278e40f6c2e11fe14b05ae7c9ff00040dddac9d3ff252ea2818a66af395f02dfea08cbe8516883e98a4fc98e6a0505851b0929e9a550fda0a801db2be22181d81c0f2711043efb4efc61d67269e3482e3b6a0fc05e5fb08b818b0941dda3d108b9361f83c132a8147b3bfb879296a3af4f3d0cb423de37e595a2f780bfb8444354a95893c3aac33a653e3c88bc930cbc5a82501ab858578593e106d2a7cdda0591b788e690e77887b4713e6ce9567e660056bb6d258b4ce58ae42c1fe883cb1c2be816956cd532c0de1a9863c13c602bb7a372e48e4d0f91155821182e1899c39d65dbee63f29656ef8c1866aa3015be1ee6bd3c1232e23a03f5169842ce4a88e018ad73337b964b8d2d2e5fabf8b998acf988b4a25dcf460ba38229f6618988612cd597644c8cda0dc681cb5262e3b4b676f12c8be9b38b30dae2aef4f552d732eeaaa711f73cda42472f1d22e704a675a84a350468842bc40fe574ddcd47635dcab0f817c8cda9c1f031dd4c2394d5f4acdb8ab27669f88eabbeeb1fecada59e5ae7dcdacc79d701562a7cdba8b869e9b539b2874352fbcfbc2137f32e7736a51694d3637654e2a165786316e80b2dddf85308afb79f111df907c107b01079ae25e53f4f72d3f72343f7e6315bc170b3c3e23b793ed12bb99c669d37e9a191e11858794ceee2f908db97a79a43c9dcacbdb3fad4a8f88b9368377bdcef005a51298f8021732929681c333bdae18ce653d57a578f9d4b331860bce0e99669e664cd5ab9a6e0b3f21fa952c15671f98505b0e99e7fe236f1a1e759a56b3e0ce0859965656e5cbe93465078a528cb247a0fd4ad7ccb59741dc3ef0ff00628736555bc1ef3c17d6d76a62d6dc1fe9f01fe9160ad8703ccefc067dc46fae2cb631151cc3bddb7099a110633f4ff5367ccdfd3efd2eac347b74ad70fd5fa43b3a5b27ffda0008010203013f21e8228745a8ebf963b312215d10574a8333b7314e09431df43a2862e5dc6ba2065cc68992a6998c2235328450272cd47a12a628ad3ae8c1888cc91505be9e53832e6e3c415c6c7411d082e09338d208fb254f31224134f465ba3f7c0953e89d64cd62a5c50211d351f47a8f338a6f14bcd43a5c5be84165316c8aa2c40c5f5894a60d3d2a09792dc3c44c3a1147520573b947a1890412ea39a8b8fcc72a8aa09ca583e7e8ba86eea3a08231a6c999d1c3963dd8f7a1a82a301de542e1e515dd9511ea2c9c0c723584c74928cd4c98267a218886580e25acc4cb7b6c285442a7e920c65ac5bccd5e822b660d8880be27994669cb1bd2cd45acfd0291e81cbfa089d1948cb2f4da80dba4b1d6e5c7a4e43d047ad5920cccf70ee89911851899be3e94c46e11b2d52d61d9d1584b3a06aa205b8b331bca03f42485722588c5847562bb84581d20e9649b12a53965931f4114f04fbfdcc1a832798befa0aea3542831c20805892ecc08bc1aa7a6928bb8845d40ecea63a659c425c30c4e814410cc17187493e845330630d3d18820c230ea4a8ca5fd46b0592aea50808be9e408f4a9503e979e829718d4a4863a822e32530654a952bea59e83a6b7153d494457302cff00e918742d16308c70707ff34c21ff00cd99fa3fffda0008010303013f21fadc10443661771824cf12e1613b9d1b26a1fa41728dc4818aa588309e302b137308855c5ace0897f505acccea4903ab15153313f131073d10d364a5fd070268b71a9dd2e41831470e264e8f6a8b74bdd07e86539689b9823b8420e95506e394e28645170cac4a6075c1b99e602c455987d06b0e9b321da592c4ac1350fa0262cc2ce2288410fa32e8405ee6825e0c290eb5113916f44418525f1c6882f683d55708e33866353a40f51a6721d1679cdc1990b8151730dc5730aea6eca245969b874a952a03d3bc0709b11d4c25cb1e8afcf4cc5c1d57a70cec7d3f4baaa88b88a1dd00c22a543a71ce7400c4684aeb52e72fe9868e8c265d63162639c8c4a13b93047e860066d4acb2667d06a652a995c413ccbe47a6e23a902c331b8b28c199423994b08a2c7095b50ae815bcc6556e8a079663ed1e1938b4fd4ed2baade52241d1ca264f79577291388c16546f5294d68f68e60661c80ca389d9f40e95143388c7446a0c7a734c59826cdf4d7ff0cd70e850747a1b22a664d7306dc55f4822e89c460af4b9717e96b0598a613b90764b51d37281094b2290fa12fa997f4688a0d1d1f0cb211a85b4ea563d2e5cbeb72fe82bc10ae2ce8845886dcb574be951fa78fa839fa38fad9fffda000c0301000211031100001067f9af6ef42d8fe0dbbdc75891a42b9b68fbf35aa4efdb8b42a616ff009d78541737614c9563a81470c8a552a2effc04d4b6cf7153ec9396bca0638011eec51336a42771163c9bce318be201c9781e4ca0b97fbd48510505fdc4512fa08387faa210366b785dddd4074d3daf4716330824f2e084923c5b46d6cdb3a26df4fbf1c3f026e5a2f1a992770603ce074a9c1733580fff007f5210f2b8b4da2dec414a5797b1302f112effda0008010103013f10cd1ca344c9287286f17f32f9bc470e032ae00202992041bb174e32fdb32be8102adf0a51af11b305d228b440579e7d12a1646d45ac8410badf10fe50d2a96d40c088bbd545765e9396fd4f2f12b2d679cc46cb9af1973329b0f29e34d9cca8caeca842ace1b401f70d42a0d023c45d0217600b158e3873e2e0653049698900145fa6675a0e47397043bc74b8387041189a6a1cb42da963b472172a99c3a944be5cd0c11acad19ef099290ec253c10bac0085ad5a15bab8cbdc5ad90f705971f861e718e7051431062c948d77a3c8b1786951792f733c5c31dbb94abed507a299a3c5edea2ba9a02c95c877169801583a5d9e77a8519af7c9518cdd38feabaada36771847ccb9d6f3c4d1306c7d2e73ede20b7622f6374244a47960e02ac328a0439727606d0a7bd778cf021c4652ad6211050b4c22e7923ef3d8a5159c2d8c8871cef576aa6ee2132efd639bef9fe4002a00adf01ba22951098a7093ab5371aa56e7c0547de51cd010082aeaae0064765e51fb9a65e900eaed02bb26532da806605f266578ca421c880132c0fa53f507c71069ad9400aa2bd1b866e39975858ec370223619a2d33e3f28eaa99c14a3f7427a5264fbc73ac095c309a018ec44331a7ba43c8ba96a4a4b650500f9959abd4de010a2a2b9a003841b2e0284c0f61baf75292b1672f2b2adae99dc95c47b10b12f5294412a25e6a2fef02559bae01c9f7b82da15ab80f981362ed34c8e43286597032232ef5cc6ba2adfbca76f96c9ff00b2cdcb9792daf8e11a8b1a6589951f70c70bd8b56f97837093c15fe502a2816668fddac512b0d8d1031b8ae40ac3da65591c2c6862d3c46d134f0633702b5c945b3b31c926b79b6f8d41ab59c38d8d5db52accc600a93b0628895512cc114e62b2e81bf12bdc5bfaf3ddae5a90b0b9b24569b152eec5c12a006b1cd9ede0180b5423e4d0dc420a3b0a7a4e688e6fae11a93c3e609cd76962646bc908546ca2c3b4b66d08a5d6638c50f23070dc407b00a1c57cac0f934361bd5f95c4d894ae7d86922bd895049430339650b6f657e25c404f0a38ed3bc47980bb0ba81bc40141da6ebccb4b06d360c3dc6b4ea58ba5d39f44c5079e264422de030aefe635ed68d3419718b83a1cc6cf6b8e32aefb874ed7446634406cd7a8e588507ca41c53f32b0ae8578c779788858a556b019e65a3fad9a96e5878523f80b0d045a59da3c40a0e6d550ef88e18c218282d1122b0cb0efc96217f700179698f573454429ba52755cc6888af0d26432e0b29283a65283df6894f40b1e002bb45abe0e2b55a2735f1007d00b62c96dbbc4420b8d881442216db7e4a88d18805cca5d7c53b730903a9147377983ddece50f6122d7aaf4b0a04f0290b0dd6b5a924828ca34eb220acec0390bc5c2a80026017454ccda2ba9e9cad04d98048e954929ea54c1af817461f998d4939038b6be561883f5f0780e16662a86dca64cd0b61c9cf92a04fb371f430e8907e0457c4c0c731cc3cab40bc8a7a8a419fda041ebef111d85a0486fae834d63f5986041406c57fe99a2a1081929ed834000aeb2ebc5ce2302190837416d15128103cd9631921e04499d419cadc8bf511c87b8d58e2ce4b2e6200ad30c2631a7ee211466911ba4ab7b3b7cc4e0e048a6103a943c2b120ed09ea52094ad08b672e6ea570a28d1b128cbbf5ee58e3895fda2745d2cba08ab80d03d81af883f2fb21398635035a6bf7193e16098709472065d4142985c01511810363afcca048e04abbf7b61bc8ceca2dd117af6399b9b2240628d7f4bfd9949add9cb396f81da5e06eca8594c85b8c32b818ccb7c15dea8b95746ac2dab50d4ba6926020aedcdd9dfd47a10d31de235f88fee35a917b043de2c5cabc9452f30ec0c7bc580f1de27cc0f33ba832307c4bb9ba0ccbc76943fd51c682b0ae99738cc0a7360cbde7e63f67302d97702b34470a0f71732e98f117c2db039bc915ec86bb86627aa5a77610fd4392ee5be6d6088da3206cef18b6c556ec0476bbe5965ca8a576d838caa941d721601a4314ec94654688159b450626188525a38132bdcfdc8aa821e190565a2aa19218a73c09658ec88945c3016bb3b8178345976287308c981b5d64c7b8c32dc4c441adc68f659c059c5f6258fb6d56daf02dc6770cdc820bed6b2f0d7e42ea55c9a6605b463db0b7158430a95a0ac1464176936955d80fde3a079afa668ba1c334c12361d9c06ef398d9762c3e05233ce1bf8941484b0d69616f965d5a822eebc2cc830bead3625f3517c048657c227ee28388c115e6e8086cf70b18adb6911534e9ef943c98c3b29959798d5e8596ea8e5f13030f8721e7ddc756dbbb3182916a76c952a5e85872443bb68ae2e3f4a5636e642afb4475394bcb977185d127273fd188e05887d4730c1fe85b4b6fe2882f3c7169ac05b1681853d0a70e5f31300d8569365ae38a63a8c593043563a94dad01d0684b061c938adb72d5a2b92bbc42b210ee22e11ba97b25c29bbb8bd311612f568a8ec49856d2fb378968a37558b3b7e25e657db0fe18db56a118ab0bec768e1af421402e2aaa943bc20c9652e935ab88a8e517a4943d6800535dac8d8a3d7b66dfe195d97e01c49c5d5661bc128a072864fb46477cedc390ef1e6ec4aec188da2b3c450d33caa6200ba6a1e900b69560959ab825fccd422a8c936f733b1cde2a54da4028fc19f98fd880f2240957d971ab89d35b9dd135ea5bdd3445597b4849fa8805186959cc434bdbb7ee4ecd8f920f4e222092a680b8aba1459ca6c455f330c532f9f4dabc6d76253230033514bb2d919a9641df4012b24318800c63ed075b219dcc5ed2e50a011a5aed31534464bc7925fe53dbbbd888d4948b67f1886b0ab6a4a6137278b9949cf10bdb8263621b17dcba87d2a82d8b2d3ef9967ca14752ee85d0811687af6710ed538f2d81af3b2260b80b154bab45e584603b565cfb26a05f270695c96d2698ee7b6dac621ca156ca0a15b08ef022d8617159ccb8281b0343d66341381568cec2fbe5885972e52e1012db8975ca0f8bb7d10ee9d64f5d6792f4d4da96a664ae1e20d99a8dc15cf32ff00e2a9f5994715734872870f9253f6f02bd02a0e9fa4071f62b5daabae799688c9820ba4bb4ef03d8b82db56304139a644a339898155b9a7a8b4dc2ecc31b5cac59d9fb8bd2bb9385dfb84989728fea2a8526de710f2feefa7cb2d190015c72317c7dd2d4a06eab80a055d19c453cd407271ced77b421d9c53938c9ff0061952b44e6bbf32c055e0ed0e7cca80a7491594c7098f31b73391573e083a0008023b9e699b7281dc48af1fa4b1c4439b116556f7c67b0f70686853343a0aecbc3175965943dac9e9d3195c25715fdb8e88229ed165a51e062f3d39486ad9117d47c20023b60fe2058712ef9a8eb6439a0bcc1019541e581ff00c6d4eff36ff254cea709bcfc697e37e93f47f44ff17b47f8bc13f37fb9f8c7ea7fb1de7fb3ccff0063b4fcff00da3cc37399fb3fa7a3d5e9fdb3fd3d4fffda0008010203013f10dfaa848ace822d8dbe5ff88965732956e10cb18688c150ae4ccad5e203a57f66b7946ae312cc6c398f96cb9d3697997914ae22509290b270445995f5a8f65174cc9e4b2f9e8c201ef14d3731371a2862976876012655f1b22be82651084b956a16c23c3b3fa9b0656a8384f662d05c5bd44a5ad770a55ed802d22e031c3bff0091146619e1228f55ecc03cca92aec450bca645ca974a6046d93989ae049addcb49de503b88acef090efd012a33ab08dc40cab0a4d04d0b205c48e3cc736e7039868b28492da3447996dd4a56597ba2849a18d6e2d7923ea435dae36efcc6ac712d146d6214b7398b888dc6eaf98275f1ff00660ae939969a2d5463714be820b60f8a6e0a870772bd10b788d30cb099a254bbbe2302b114ad1c2111befd80ef0eed83e0805c6ae0c2825ff7c458306245c672a8354ea2fa2ee3e3180b66482dabe995b1058bcca80979ca0913537b1e3bc4a9df108c0a82c81022d12ba930ad30f7198f4234a5880cf349a961918f30fda3f4db11d97c4401ec4c0f145478aa083812c261e95202009aedc072dc29393629df3b8a98eef730c07cc070fd4d60f86cf704b0468350141ccb9776ff00f9d100f282075b5804b1a87004b96e89653998fa946a5d399c24a91a84150ab4b94a89e077f133d406f171bb2ddfc12ff0b972e5ba1a370c991ed8ed9980ca18b1518583cf4d974ffc8e19de5ec76f6c43b74b615c083c087d1722220fa12a39198be08e94524be0b6663b4768f1b7f539b0e8fec4d7bd41056195037da1d2f1886672f8834638f341702a22596267d4b0cbc96740c9cd2c23abfbca8ae25f41069f1cb4adf4d2a61b6cc9aff6f8982834f08d8363bc0bae81f98cbe07696386a0f90c7b154ab1920a745c41189c07897cf1ff0025cc11f08c18d840e9b85845bc4a6dc0877150b84177089ec9ea0acdea63b047b2dcacf48c128197019adca55efcea2217b96cba1d3d1c3a671f5d41bae4a7119893b932831446b8ef430c4d26c217006e0e225c3a01f29c04f5aa3a6b52a62678658ac5789dfe880095d14e868ea1d1b8c51b954cc21a60a0de3ed0b605618ac7df4a8900b1b4ac608aeb5d3362ccda04136416a5e0bb79d7de3c497722f32e65cc43a54a8e20461d1e5378332c2e26e59719e950071c8ea236460a40195d565df4a8426f9b4de7ee9a4ddfdd475d1b1d2edebe913886a7ffda0008010303013f10dba3d232e1997707b41b44f092e8202ed8073a8e19622ee98fb9fe4bc4e1116c46fed896c5508c318ea88aac164047ea00cee0c378876459ad88e13550c5b533951d67dc1077965accd2831d1e8656689329de316dd4a75013313289052e09a9640aad426eb5151caa8d5e4d41bc9c7e48fa338a2b06e16e5386708e5d83a17cc90929990452fc4a1332ec2c17d91092591c6e1e8c691c4328d04b5776249650c5d0b54a96ca96f336a64a30460dadcc17299906704025448da1c4381e6521b616ec8486e0cc388068c0f305788731017b54669c1fea990ab1e20ec68c144495122ae25ad8c23c332ec78ccb3315388a883101704d3076f8884ea251aafcc1c53370a9b232d112542d821ddd8b2e485ab6aa1186c8a8138422db071de2a6454a8e4768af9d448b14ca0ed22a2b72a6e3d2a1961234788ccec101cd5c62b52ff3ad50b309aa12830c18663b279e9f7e62a7265b92ff006654bcbc5f41716a00f387d116b3a214aca26cb9a71e182ec6a31808fe3e25b55052c9b6989804ab9b5710555fd3f62c6dabb961474bd48c7b84b84031021c6a5c4a1ea57cbc47946d7cd4c215fb99c7823152a31f1897e1e1d1d110c4b80da66c40d419947b4c02e2e60c071196f68656f2a412ba8b2a3d768868f7c4adaba88106c25ac0a9809c90d605962d7d398261704472352966ea6dd36a8851a3bb2f39622834a4cf3f7944da02a2036e9181d1ba5388685e600774a0b96dbfb632153680cb825f37b8bd07f09606ade228bab34916a2c35de291773c54bd69d432d6a0bfe4c419dc62328463888e40c87fbef308aa8519845614065a62005a39f333df796b2aa8048c05cba4e7bc543039a221baac502828973117532c1582eae62b75029aea9da2cada7300bedda3ac237048e1ef0ee21a58abcc710f32810e0cc9b60cc5d55cbc9925c598b09465fe7112cec7fec5702fbcbab94ee6082423980d318c462d838e973f12f8f3d162f40cccb22da45d0b86a157300204645c7d4df93a014732996978f41e65c518caa086aa399cb6257c1305b6f50150cbba0f831971719717a59ca39e8c3030432e5e322cbc137cc471ae81175934c58183dc54ba160a3051563a2c631d26b19b3d13846729af46efa1c4e23beaffd900', 'hex'), 'Laura received a BA in psychology from the University of Washington.  She has also completed a course in business French.  She reads and writes French.', 2, 'http://accweb/emmployees/davolio.bmp'),
+(9, 'Dodsworth', 'Anne', 'Sales Representative', 'Ms.', '1966-01-27', '1994-11-15', '7 Houndstooth Rd.', 'London', NULL, 'WG2 7LT', 'UK', '(71) 555-4444', '452', decode('ffd8ffe000104a46494600010200006400640000ffec00114475636b7900010004000000480000ffee002641646f62650064c0000000010300150403060a0d00000e270000133200001e3500002fa8ffdb008400040303030303040303040503030305060504040506070606060606070907080808080709090b0b0c0b0b090c0c0c0c0c0c101010101012121212121212121212010404040707070e09090e140e0d0e1414121212121412121212121212121212121212121212121212121212121212121212121212121212121212121212121212ffc200110800aa00a003011100021101031101ffc400d400000301000301010000000000000000000405060301020700080100030101010100000000000000000000020304050100061000020202010401040202030003000000010200031104121021310513204122323314230630421524343511000103020305050704030100000000000100110221033141121051812232206171421391a1b1c152230430627233d143531412000102070101000000000000000000001130210010204050600131701301000202010401040301010000000000010011213141105161718191a1b1c120f0d1e1f1ffda000c03010002110311000001ed29902650b34064a05732c665deb253f0246fdeb69e993ba0673d40905545a0fe6a32f29a796eadc43a89229bed04fb89a35d737cacf5b17513e7cf5cc37f76017e2048412e2e209caa32d3459e6683658b6740c7431a0a857224226e9b0b9e4d74cdd9e0ba7a09b43d063a693929853906ad7a1d3bd91e55e27a33df63ed1a836ac8dfe8fcf41d72f29aa5d3acb0fd411e8c56a62b84597b069d38add7613db210c512c4fdee600df19edf9c9a6c676a77ce75595ad992966d44bcaf9e13c93420b67e7aeb3b62d27735f2da946c1b290c49269fbbccc4e79177875155766e8ede4cf3c37d1f9a4f3ebf7552c54e7f2d11da79ae81f693b5a794d0e22da829b3ee4afbdee9c3194dfcf2dd2b2cbd2cba277912ba79132c63f8748c5986e5627e6a2eb54f0cea59b2662731868d8d620386f33b8fbc64365cc6e17a2adc906acf48de3b92d0dc8df9d49405ac5a2c7c0fbc933c02f1b4dc8daba3925ea2d721b80f9d7ab194fa794e2ed9be743da7bf3ef65f4f15c47a2f916341629b33c3b33af57c2e0d5dd457b562f9bf3546b72fbc77a845bc476aba2608b9cd78cb5773296e158a61c205bef4095ed4a52fa0c8e7cf9d9c0b7d02bc1c78588b4825239eb87975a569197bf3e926256c1e4b96595ae134267422f4882da4e4f42fccd4813aae4435ddd985dc97dc87a012692dfcf94dec67b34e4eba99563e55b5c9559da3e8b8db7e73b19d5d3554ab1a4284934497b44811b6ab10407ea6befce4ba2bf07bfbea787b0ada904f93f5c896c8f1625e45a0391d54d5d128e8f88c7bef3cafac07be92103329e6d5a0efd241b7be79cd4a09c93d51e1d5625e55547c7ba33a725355bc1a6ed4e7c2181797116a435de8f360e6a32963e5d7493ead37731980682a8806a93571bdcfd50e9938f759f196f0df4e09977b523fd5e9e3d64a08d3481982adbf9ff56203dda5cdd9c18a19b2700d9bd3cb653d15599ac2b9515af87ea38bf4558ae76f183d6107d6a5337f47bf150bda3c7b4603d14359ea709ec5e8679a8b3ee12ea2515f3dd636e798fd1fcb9ab7fa0656d54cf453825e3a121b3f1ee460d5e46f6fc1e5944fa0fb0a61d27a066016b7e25e3e7a8762446a92df9a42db471df7f068dc2c193259b3f78dd226cf616b28ed6c406891ca98643a49ab87706328f4457251e8663ecdd50698837a8859b3552f515b943a1adce366ac959b34b66f4f226edce7007518fbb1bab8ac66b8d9eb594ca1ba6aaced49ad1cce38452dc470fb7b80351c81398f437f732354ce8667268d3bc719bab33a594de3b494dcb6a80a4d2d26b30352eaa4296edc58bdd206e49687b98f40b125744b31a590d97c56d5bb87411db0b053c99ed04a76434d0c3a0a8d2b6b94e455cb16b9d286e41a87bc8749925ca6b82375b1a86720181fffda00080101000105020860ae2a438137f6f338c38cd4789bb4b604d652c86dc25299bbfb440fed58c7436ed59f2072c9961dd696c883a666d6de2043637f49f1768dbc752b0d62503157ab0b3ff1f03ff01955bd0b3cdaf556eb97d7e269b9a99a569b12b20ca3f513e49f24bf638a9334d512adcd86b9ebace75b5c31d5ac895ac0938415c6a11c7b1f4a8c97d1651b1a2af5526d0175f690bf2060ae37145bece44372766e1eb9ace274d5ee3ad471954ae01166262309fecda46ab92efea36920642966bcafdbfc4dca6d5a736feba957e62a3f1f03cfd7a77412b112083a99ed3597675762d228f5ae4d1b162bea7f5b30d865aff9589cca2ff9341d3687b1a169d8d0fd6a891562883a98e32bed2bff00e77ac503535a94d845d7e12cc2a5d664d3dd1072af52dfcf737976e691fc682028dcd7589bbaf12fa5e022663ed5554fef54d17611a7b850becfd6372a57606956fedecb0dff00e44b2bc26aff00f5b57702cdebb5f9b29b36ea1f1ad6cf64aadd1aa3a5162262b9ad6f30de368d68ebed6aaa6b7b3d7db3fec0bc3d9695cc53d8d28d5a6b72db450a761070d57089b15709a296d735ecaae98edb2360a8f537f1f49a6e945c2d69eb1cf33de6f699b767d6fac6a80ff5fe3b5fec1ace37a8d11c1b65d2da369393760d6bacd74e53675c7c9b806a68e919ae061756bb426958b12961364fe1abf86c4b691704a1d271c4f6b48bb4b577aad9d2de236d6afcc920cb2dac4f5dbd5d765ba449f6949bf5fd75bdf59fb50f15f30cd8f15ff2839026219b8d8d6ab35b521edbefd25d2d94ed1f1c9d7134bdaddae3fc362db47f5b6f59ff001a5e56f0bcb76c6cdfa8839a8fc6eb5aa8978785a7b9bbe3f5fa6aeefab4534cbaa4d9f60ada3b55ed6b288e040253b469aeebc9b754e6aa2cc4aac9b37fe256dd7b75bd85b5d95fb35b2712ebf236a5ff002647fb4dff001fafd73c557746bd6765aaa8a622e41bf10642b39966668ff02031338b9914d96e94d63eaddc5febf5459eeb5aa5fec27b1a75c114ff00b6dd9bb46bfec1b3d65ba2529d7d917ab2963c61ef2aac1a5fd7b2b7b04e13d3ecf3ae93dd14327b3d14db1a9559ab284d4b12a5d5a50d06fb788542401ee367fb9bbabb4facd67b06b65747ca0ecbbc71cd2e57e5a3b675cb6d5564f6d58e1adb075b635f612c1ad7623fe4cfaa5a534eed5026fbca28f8a59e3dcfb11af55be757552c4ab449b7d96e6b68a4e05632abc6a51a00f558dc37752fada96d4db7d73abbeaf2ad90d28e2f11567110f69ee7daa692586cbcdb462b5d87a636db9957f96dfb35acb2bddf952e06569522ff0065aab7717e601488accb357d85a934bda2ca3711e7f6567b4f7756954d6dbb5755fa93ce6d028ca67e9aae878d8788a0298f88f7607260f5fe54bb547a20c4ad88946c5ab2cf606b4b2e6d8b6a181a67b2606c7ba0ab62779b4f88bc3e27fc9a8002da3e48eb86b12534affe3d7a76593e3e05566313e5e31ed67293c5742f0a36dd85db96fccfa4bcaf6b2be4f67e218f2aecc2fc8480ddcae5511ffa4a5a9ac7e65463a59d2bfd9ff5ac37c1b3ca5bfcbaebc75b8996f8fbd717f55fdec94ff16c7e94f9e9674afcc3fc77ff0023ff0028ff00f344ffda0008010200010502eb9e99eaa5634c43384f8c465fa10fd599ca0611a6672999ce7c903ccc61184310f7ea7a3794584c63f4e2627899ecc7a2f9e84f55fdb11ce213f5995998cc780c10f5b1a03df3d9bfe1300ef67959ca37407a30c4a8e43ffc2629fc5fc980c680433eec2226237d39e9ca72999f6680667c533dc18de5ab880c07b74c198fa7818441e184485bb388a6379432d68463a2e22b88f887aab609b04e66661681632c2662344695f767fa4f52263a18eb8959c47ec2012daa0694b60d83e93f4986130f8e795304063d59e81b20fd42667284cfbd9884cffa904447826614cc45ec7e8f30accfd150cb3ce398064e7a274c411bcf5c19dfa9e94cb3b4f933391117a084f7174a4cb97bf456c42df41e958c074ccf8e667183b4532daf3024a0c65c823ae66667a18a208ef0bcaebcf4cc10399e60fc4ab663a661598e804c74033d15a15cc15cc740b1abc458c4ce19159c74c464857a7280667807a2741e7304782049887c807a1e844e331886590f8d7862c3e44783b4114c63fe4364cfd00433eede57c56311a080746138cc4cc27f2f27c751d1a087ca45f07a0821e9f65862c783a0e8dd47813fed3fffda000801030001050298988040b31d595a28998077e7058629e87b42332d5c7d2ab3138c64313a002769859c04290ac530451897af69999883a2896340b152621309999ca07303e663be3a5a3b4c445804fbbf652d2b19e863743d443dc41184748220e952c61db1dd3a1861fa6b318f61e0ce32b19331d03cb17053a184c30fd00c2b963d1a52b18c1e3ec8d0b0316198850c2a663a0ac99f119c2570c782c8a3b32c4f0964723247e5d18ce5331c41018cc262219987bce3f956f1bc278759421110e618f99652c227210471da30ca8a984c289577e84c5695ace588b1d3bda78a55e0c267c82334410f88af885c4cca9b050f296a6457de010912abb1312e4cad0dda3084744ea666089e42740983d184aee999c78b43184c40311a1f2ab986b804594e619f704347486622be23bf71d08807534cce27ec3118e057e19b13381c7a3c10b4689e3e8338bb4febce1c63f9b3c567215310ac6cf551f89d7ef7cd77c884cc030510a308c18ceca33de59de23e20b232ce50f78c2536719f209b03b23f120e7a081a330332b1df3074695d7d956596e2098861413183fb2b0c4aecc457cf4318ccf41da11197b0b311af9ca085a25d98e228027c98370cf40625b0106324f8e71c45ee474b3a1f18ec624319e660fd491d0410319ce72c95954fbec798d07832b11bbc6118451fe21599882626616cc13ec9e1e58d983a3374569cbb6611147e1e079eadd16183c591bc8e8dd1609f77823f8ae1e8dd17abf933ed3fffda0008010202063f02d2c6fe571d93ea03e1bfffda0008010302063f02b13c49ea6c5140e14d014366c80879b54d7a173c9365bdb078f63d87ed66c8d6cb99bd072452182fffda0008010101063f02ec1b30e2766f4ed446edbe7b5d5467aa790c0ab9a308823dc4a12fa6a113e51ef2b56fc934b029c06284863db36e18e69973697ca264c9cfda6ff9cb52f4aef2cbc930bee0137a6a54feb7520309a3a7cd4e0843209a1171bd5633b92dfa999565a4f797475113f76cef07b040c577a37a689d46b843061de9c120a1593ac7c7b2d2089b1cb25a2e3e2bd48f4363fe57ad1c3cc1063496d75dc1377ad5f4934de4d02faa47155a442c3f421f9301ca4d50b78d9bd1d51e28e768ca5ef4243a41a1e29ae61b348d9ea4b0c22aed8356e788dec1737521ddfa372043d28a3025ae5945b0841cff0022a301599c7e2b987b765735180cd088e9b50250ff00b443c3f705cafa6551ddbc2f1fd1211b78312fe0a51ce6e7e4133e9904d3e644a75ea1ca0a7a7ac865a22744e21ed1fde3fca1298d374758f9a75cd45d4b16e0b9640ede72cb95ca63caae9c194e72a3547f1011bb2a199a384fa7d853450deeaebffae2ecbeed6370f8206d83ea6523434f8a6fa8d5782fb8744534f43fee2b5c6dcb4fd50aaf52dcb5410cdf63ccea96355c92b65b1029f15e9f9b726c44edc65f247f1c757e41d3e11cd42def93a94052d809d6a8658a909613eaf02bd138da2c3bd19cde9bf2467e9812c04c67c1385f6b139ee40932d7206bb8e4a27f25ec5fb5097de8ccf3c9e943dca575b4dd8ff6c474c81c24168396c91ea303c142c7e4017ac4273909480333abcb45ff00a2c1f400938864ad5d90fb738697f0285db7c97460a77aff002ca1cb18f7237246a7109d538a07cb38b21290d5002a7bc263d7759f8a6c9326216024aa045969408ccecc58a6d41b65ddf08ea8f8840c6938d0f71449e5bd67de111b0b54af4af7f5c8d25b9424faad4f13bd4a4da8c082b8f6878f66eff097c17ad627a44b18a8d1f515a6d4fac381b34ec8465cf6a8e0a3506321f152d1d13af143b12b303c96a92237a6ddb04b119edfc897ec23da84327aa78b6b635ef2a65dc588c627c5961e8dc8e4b5c0eb8fc1315a4705a09e93f14244b890aa89ee4366919a9dcb785cc5032ad72405a1a89c91d78c97a77ba27d13cb669ceecc040719295cea9e108ad313cf78eb9cbbf648794aa2077a6de83e4a1e1b1d34cb2695c8fb573ce1c5389c6b946ab5185cd233644fa5285bcb506e214357535559b19446a420ecb5da9fad6ce20afe9b7ab7d4262139555be3318a898d60ecb7307f6af4cf543610aa48943064232d176317c47326b9f8bac935217d8fc56b9fc7e6535cc751221945d691805e0ae5c1d2ed1f009e356427070e2a14af47543b82e754aad2b4ceb0508db6237a9cbba284fcb8142512e0a6d8f1c57db5d71b7e017d5238c8ec36607eedcf704f932d72f7216b5698e3291c95bb1f89a6721d5e1b1e1cc366284ad973b9107a998ad12c42a5607108189e1b01ec691cd7e5d3146733aa72c5537260582c54aecb01b394b32d331ce3ccbbd56b25f6ce192f5063b1c165cc7505d49dd62a875de97443e651bd7a5ae72a9289dd2d872aec1f55c2fb5d394c0556acd6b382a7639664273324a3724b823b9d4ad9e0a206245501992c84079518cb1288180433de8461866996a52bbe629c609bb44a1f548b95eb0a0409c50395b06478233359144f72754c53e1b2b45280e9ed84c139e0a314595dbb9cda11f9f6386c082978047b43645414bc55bfe6767fffda0008010103013f216cef4025094105bf14a99dcb29045620aa32cd69f2cc0c9c3980a8078f788d51867d4315c30abf35fa9f5bdaf88f10c2b2b003eb29ebedd1fa8790846c0c363ff23a254dc3a06630d64532ed2b2b6b7ee2586de7df29750d8438d1f9cdc30aeceebb5ffb118e64a67e6a26d6d07d5364775e37d254c8548e11405faea5aad19e27fb3414d602f144a21d34ab264cc3082b1df100ae7b79264a052bc4132fc678986d6d7d657780d5f7771e34e9fc8a7da57d0596d221541bb4b20e397941031d20302b24ae14603c3f3598d9ed8539baeccb456b2da8f0ed2a3f78709b87a5585f780313b912971196b77de30777d84ab79cbed5fb2627ba4f779974f14412583f308554cba420222022391989c73fee57d88e70e441130d0f14c46760fc1169b0639e8ce784981356cb10fed3b95b1af95a0c0dd7b586206054bc8c54c6a3e92e5f40a2ab7da706a39cea925dfba97f5ed0ff00143e05b16cc13b451dcddca17824cc03846fda707591c3ca7b8e6a379caf2fa7ed0a05c41b2e1cf5930e87982d724b4a615f77986de67d549858b7241e70e6263a0885a8608ead9f7089e99f74c474fc360e7e3b23b80071d98a7e1895583820f552b2c6ab27c0b2ad2d7b4a5ce74d58d55af5716d1fb314c89efa8bfc37f6d3074c50ed11918d088de764a2483a76115e9a225cb7fc60a0c9b7d99b995cc4a5b278f52e7091b57e9758f694e777d1cb0879a44bd69e20e667d8c734ee241f4bfc435793ee600d3f2972f3dc22507b9742b922cfa8b828addf7eca9641b11ef58473a8093767e989cd34c7782bf70c076af530265c317ef476ef351d879e37ecc64267d9ab6a0caa11ad07cc26d2bd28be783ea0b1ac26f0d3fe113aa31695ec972bfd451bef6ab58388035e0607feb2867ccdc200ef1f16688a8ce4ce31294dee7282cb19bcca45d55bf86f111a50ec5e880ec98e925c289471e1fec7d52da3ed2a9d92d5d367c406417a9c0ee2e950f21a7eb2e9af816d5bf697fbf211e68556a52257188ae03c5c200eecdc52ad6a2e2144ba06592df6be936c7d2a0f685696efacca913d1c843f4cb135ce4289a370dddc232508f6962feb2ff8c045f50685d935540f382b10aff54c0f5339ee5488a9bbbc3a788a1f5d6c6125d1216f21ed431e190e6f731c8d93384b8b23bc492c712dbda34de66f9258e701f6584f984fc34bb1724f9c09aa60b8759650672065ed8249b558cc5202065a3ee09632d8175c4f784cc6731f1063009cb800992415eebfcc60eca1aa7ca9b528c95ac0f29769def1827a9548017e19e528b0198771b27237da37196fb1655ed06397d66af15e589dad290d131952795e1f30830de31e0cc33f1793f51825a7602f2c61cdaf6b2cee698734a63a565984166b6bda086d6a868b0a17332da429c4adf0253aa4b6d9d80f194aa785a7e66a64c25dfa47276e6c25b19db5c7164033508cf5948f2c3dc7cca6fd4d78e6c66701d86cf8217a18dc492ade105894943866b7a7a45b861fae2127fc882086fc29f8cc315f64a6633f055f77fe4cf032212d65392929a6e193aa48ab6cd44bd40454b8326714f91e884f39e9d2769802e4732c266ca2656555aea5c6e9a43466730dc8f115b01d3c3a65c8605bf192127c13b30ce456afa4c32b61a633f851ad03b337c077b3ef0cb97cf0c5505ed2a69ddccce8825b5783699d4b218bf13e70d981cfccb14bd5e60bbad8464a7982342fcca3d2e7baa1a474bc9e7e18a469ea67a810bf66946f3cc000e254e276a022cf9f04f2c4489b4c20a66398566614e7185711f57eb029acc9ac1a866a3cfb970bf29832d37da08fbdc3e605056ff110c951cb48e4958313f32f1783c4a6e5986e89ee38a8687dff00011f92ed7e08b1327d89528280801b10f76e713878b1f5c4b1a270176d30c2ba65c182b983427ba7bc33308b46e0bdd2adc44571438881f518a060d6a30b6babed051eea206f0c1ed6f94276a2858e90f980f4c84218324ba6b48e9dd62153572436ec9594f986b22955d818ff00697b8e6b29314258654971360eec319ba84bda6421f10454563092c0fb043d92c45dfeee56ade84277203396d5312c9ed2cc9b9bce5c730b6f76ebdf332fdea5acdb1308eba6ea7dec0fa53802da12e534ca780d4ba7088f1bfd2372b37fae8e3d07dc13f7cfeebb741ba3b8eba79e8399f87f89f60cfbd4fecfbf47ffda0008010203013f218b2e3067a1b8c46ccc54c2e971518994667c4a867106b12deac631af4ffee8f164b4532f2d2c4ef422d95333e90952a2e8d68420eaabd2a543a6314709632b350d40cbe911d41725e07504204a9504d91cdda6d2e978a2c37380984ff1a4210e8cc1b9f5d05460f4aa2128b65e2fbc75fc5010207561c4aad15c2a60315b5d2dea5d784c7713ad5096422e523d1ec8732d54c79985a679ae5dae250f12a9dc40834b44831810939b8629cf68a9be95266a9cd2f2e038226108f945c6f5d0efa6e2388d54c2a545f8961447d74aac55f129313e8a6dd2e530b8badb072a1b8ae59f0c442e2c44a6c983a1e78f41fe01c425752e289521f5932cc0d4261a65233e2e095065c4e8311a43a434881119929de69f513996dcee972e7c89bc4eb60e80e55cd4be99930baa7a53a5aae95b612ff84742a025f58db1de231713b980a817d0e4d824b2510f5c4cb972ff008228ca9b8551ca45681b9b24437338743522743aa3a2d7a546a62b89758c6db8920258332d1a17021e3d412952d4109960c1c70a8ee0b2d623c4447726a4b88871c835d0ce354741899c499482e66c4cb12e6012a634ea144830bcc151e609c934e8ee97d2624598f9477d3d08242fd6a53d47724c2529ac1899e2625b306690cb10b38d7417d6ff0004e6c51b84be9d26bd19d67f5de6dd63f85cc3a5ac36e9ffda0008010303013f21a6107f004084dc352e234311db4b9112fdf4e6e92b5e23d081d22fd343b7a8335f54a20bac678a29eec537322687409d7be10c2d88b1fa4ff04d814e7ee58ce142799738908b6510cd22c92a8d930c7517a2e5c5151c8964d3a4704ac958996d2d641edfc488c7a13357794fa4d50b1befa06a36a2567d40abe9063d62fe019532b8823a8da941d03da55a99208a828e85f4c28c54d04ab7164fc51731513c134e504db3bbccf6915965cf24f69963a3b4c539301b5d1cf138210086ec41acabd2642033e82e02bdce71709f0f4235d1ce4c24808a065396139e85e3320b96a7cc7514f4859921b9a892ae3ac4722643920b7445095b536e95643d5c3a1d44cff03aa50df8ed05b8391b83588b9a94c402169995a60c1d026b4588e0b1957406270cd214af10ef3d2aea764af4cc0ed163ad54aa658e277e64c46ac233633007d6548e9ed856698e0a2fa56aea2c20c0d608f125bb209efa0e810a09a417315a2d47cc361c090d7c4c0f68b324af509e538c453860d83eb2edba3b47d65e5905132f05236a2e0ea59a99ccccc11644b9a4a20d989f1d65c17d22d932d4d18a15d403152f0249dd312422e3a89191be82274cf8c4e2165506229a946b6efd01fccb61e841288dcff0c08de0d91e239260cb984ae1d1091130cb0dc77688e822e99a11ca8311620e9d67c4c3299b02a1d094339fa0746b074631ba0e24d5e2462e4de2e7a432a99c19cc1d1332202bf89ae25d83a3a5a75b379a43f9107f80c3a3bf57ffda000c030100021103110000107c2eb2954834d3a1215e385e0d4fe6b5728aff00c85c9c12ab29edfa0efa8b1e599834416c91a3d45713d599789725b83ce1e1889358543f63e44646ad67bffdcbd0357b3193247a619dd8f23c1a8bb8a1e7ec57c192a0c4830c929a52b2fa1c68c0ea7433ca1d61bf6bef39a4ea2118b8236953657933d44d4a2848f766fcc16da83a2b3dc58700289c730cc6cfe79a463c26123f78ac49c726a931480c9c42a56a9d04d409ffda0008010103013f105325462ada948ac4b7b198ee5c00583b0b7983cbdcd390b9b60bc3fe43320a6c09f1080b92d84094d2e58b38df35719f2e256336d5a2e415d82a2ee5d55ee1699c0a617e97dac62718705e76c5f736192d726b5da64df46637e7222b48526ec5798bdb5629c0dd2a3d9c2e8ecf243d3354f84c47b8337089416bc446b506f278298f0329ae6d3839cbda302ae09318a4a0f6bfa47059802fbcbc4466da966bc86b2de3e10b9889506028e0e1ff00d8e973c5abde1c4667514dda32e74c6d45e1d8b5a19e7c472ad73a975b718e226092f22fb1b572e3c464156acf28f23d12ba3284eaaa1c32a832a42ac21a72988e850146d93612e8b2c587642a205a6e3df5f98946c2cd11d2debe9330ebcdb767bcdda9f76985ef05dd7996e026a906afa6763b4666c044f2b59fac089316e0a6ecafef30456a14156790d32920355607b85db100a30917406242a264d0f66079268fd86b1ee5bed452eb8159ae1a6524a899d8387c2fb4cbdbe634d638d2b1452c9d58e3c8c30bb1e606d4e2bd83ccb5d48cf96f3cd407b660add997e910102c1d90f45afc11f6a8602f23dcac7fcf280571dfe91118c1ad39f3f5948003b437cc2d3b1000a80a404a1ac71052a154cb95aa9a41c7b12d60f5d008c6b6224a30bf8129a659c0c359073ba7273ea1134d4283cf1daa041b623bc047237c7e2240cac1f87fd99d27eb40bfc5ee2ea415289293ce1c7303b6ad73e04f6542c0005050b56fb95a1b2a222a27b04bc399dc62a3a45554f2890cb39744513e622250110036d9a52f5b16628838140f1ed097181568ccbdb04690968357eae213603cb2acab4a7de3f5119052f00cdbf48420f1a5a0e55e6a199489344d65e09df7517119306d1896256794a6c164eeb87ed0c818e3f331a601a8825ca92f51912dc4a7f49cad67d48ec9c1eb9571791522f757de0c081c0dfd20bf13046eeb37d98ba86198b656309308c80395755081fb42b08e526dec81f994c2eb2d93da7b338e61f50d80609a53063fd1335d05b625c590370855a0480346c9c51ff20647fb451103442b4e7d12a0ee80d2d634d4a58730033866ac8ba17e112923943ed5b9d8a06397b1fcca4d065e104f632bd2d8b462adfc7b968a1c82a6c546bc4cf1bb76269bc403914ba453e8f88c6300e315a3f2b345e3906b47dd5ccb0551440bbeae98b8011680506dce10cb2f761c0c3118b77ee338124077ad7d582c446efbcaaaaf061ed164d10c86342c34a2b45083697004117a645e58baecf883828323f282a3144e46ca09de69a2b467d4075ac5ed61015f1507871071d5961f8661911bba87d08e009a640c34555ffd4173989b2f382a1a66668d0800f764a22a086511e1b854ae89762b0f8dfa991ecadb0ef81b31af11768785ae710549ca588691b1a2fb462aec10fa395f1ae0de411aef2cd42dc294f4e5b9625fd1dd2125ed8a4a4624c6b13b49e222303ce04142ea9eec663f4ad859ce7752b4582a0ef5c906d5859227a819e61d2253babb1284bd7aa690ab21a43e278697e316e3b46e3240fb2f9f95ef09e10b6c3251ddd5c382b2c26d683c56d96eba7d5e08324c540a5b1751fa5a2c84298e108af144ac1057b6131162a3815165806880aa8556b17462c89cbab42aafb7ccaa0270a50d6ca26011d0557b8b931d2dde779fccb2c39686046cbdc628646fb2e22e06808c2521bbbb57e6128f7d5f66016ad3b6a1d37be2c3afd6aa3d09b44fb479cf7e603026f80398ee6c99e0b2c63018efcc685056698786cd5553e60868ee755aaf43be25060285204c6071490804474c95ed51236e2a1aba421aa392afda52ff00d590cab16164ce31970e48d7da1bca06fe603f8045c439acc5471371f0fa145a04e619cd1a7c41e248760072f863b2201d8552af8e26197ff30cdc96de4c473860d89829d4a81a6d818bb392276f2ae554f854cf0ca22d6f06aae0761e65393b8f52c05ed08480c1620073899804018179781cccc120ef9fcc428e43101391e60689f32bfa9d1a6beac31b8bda2fae6bf98a3a61192cd55f170d74bbb1fc01b8aca5e1dc0f642ac0d5f167095bb88d41ccd0e7c31ac554c3ff0063696fb2d3e18390b6bc1c2bacb6799fd9f611bc66380a80dcbdf8283df102ba5778554596130ef15514f6d666d3b9de180390252cc5420c1e896099bedf314bb24b0baaee9de66462ad9c76bf28c48d896269880c52b92b7fc40170852ad7bbc9302648aea1780a8de96832501f83d4b56a4366e2a94cc2f3ea1ae5a85f26dafb4b73c819155d4b19202dba01b7f107881fdab5f56210c10fd09cc370a7b2bbf96a555496a11c732983ed4c4fa2e668cf322fd809705a102d6a8bfdd88a9e835db28e5ed052a19523b80a4c3b9705456ce62838be7968bf88c9a6a25a410a74ce0132989cad0fb3334de8ae68672a5f7c4b26db03379ee7682b7a5648d060dbcb54c20c836390c7a945cc6b74bcaffd8e90115159b0fd05891f0e79e0c425c244ba8913baa7ea33d8caecf934fccad6816ede194a2fca5f9e9b1c290196cc73455f02ca0772111042b47305a39c1c42b80ad145151d00ca7006597f116de47dd370e9bf90abecc2874c7e09761de573086feaca53884d557a6b350c8842ca6efe92c29f6097fa97fd542f16a3171b20ba6ec14784e25c300c98ee3bd5ea28b6ad4c3bbe92b66a888fb1a995552d9677fbc2a0d586554a5bc91f6c64b4ec94d8eaa3a3b84b4f5095bc67376c68f13c7ab1d93c82c14aad35014b430f2e5633162c17474463000428d2fdeb309049529a0b45e5802aaaadd8bccadb07cf9c7f9183db5c8f24a682d382738b8828ea1f267c244607c6c2bbb925b29556a8e47b309d882ed7b2659655da8784995445504bd76831914d258d559101a5ac518f503c83e202bda7154fb9089e208cf8796b7759d112330b5e4a73ea155b6156e5e2660b76b1b6f9b4f7119d36b1af38ec788d80b78872c4294f351d501af4f0d371e7b9c8c61c667341936e4688fd5ba7b154826275a01c3d9f0ca1223c407c8629fb4afd666c0869195fa0cb584c9b370c0238991c55e605472143f7519da841787813fc9da1bdb06c0d01a08fc1463c09418015b8d3bc91cd30499d19ccaaa33a9ba387d2983b640724cc3a63b591da97d1f588cc02ad1cd25456be5ef149a8ec12be2bb458cc2138a6566a79e189a7460c118055dc6a53f4260b1f7b89f51412cfc544a2dab1682d199df385f7533028df93314e171762ccb5f30e11ad39cb5a9f7e34101f980be0808801dc6088032d04edbf518c9aa0acd35b8ecc9d0e29d452ef6d300131255d352a03095edc403b01e790fbc460091c2f7559970b669808c7137a6753996a55e2f10087151f58b8e5d7e232ad02ec347e20f6a2d3b43328c3c4392a6b6be5781f227333100a2dd5f6ff004c666663d84a11a4dbf3b835d97676c102d6a639130ac976c11c478d15674c58b07c945948ed1559c44986b8dc0bb77252e952b2eaea19bbaca65d5251d8a010e6b898037658d09c3e980415840df371b35825ecdc3b36b5846a616461549f7afc746ffd389a7dbf99fd9779aff4e27f47dd3f3e7e07e19a3a3b308fbf21a4feaf9cfea7b3d25fd9f7747fffda0008010203013f10b2047a4c96cc30448b8ef1730807a47f24ee841330fd44a0acb09c1ee1f58b08e968ed7f129676418b1451ac0102ebeb570cf7f4a8c6cf7180386a6f266163697c4389980cda6103d5c0cc3f04cd8547833eba28c2266a9b61a903c7cc00adff007717c4065dc21bf412e232b7242de316ee1fab1caf8e8314cf2db304cc0471e2600dcb1eb10a108e850a7262583c953121ef880f3b81172825cdc7383b5b957c362115a23efd1e97d4b82620e25c93516be5a872b3028e806ce806cd6d546ddaebfbee2d2ecc445ff18aa12a096a86d1948be0884787bf0a31de35af95caf94e7fbe229871c3336541c61d22a94a806e0ba88713383bcc6098b66255fdd89b0372e5ea1c872c655073b7cbff003640f2d4729a0990058740a997a8ab389342c4f916c15e2fbc64f094df9669442e8140e3f3068e933e1e6260e7f2fee1a5df4c77b857c23898082e84a989808030bb4988efc4622b963cae330e60834bcc11e92e6a5ccee33ae5455152bf697bcd7e10c7305c4b27c72e62e618a8100d245f30d5799574c31abdfee97996b8dcba8787b87894a2a921edc32a1ea1cc197c75d0cb047d38937af3077a34c4badee2b22fba5123570171d4a0b8f1a65759995f7bfba64e8aa32a65e625cd08b20cb2645e63074f118628fc913e514284e244790ee1bf754a51c20ae82a04001e20d5906428cca61c6505f02c16af7a256f0e7fe41b13809998d4b063302ee021da072515f8856e3773745e81750e2189eee090ec2146e133f82a26020d45b8a9630aa260b1214a0dc5098475014c353639596c9a60e8ce646aae64de602b56c5ea6bd04976c2c9ff0092ca7c63521cd7c79812a4da4ab03dd41d70dc6a9dd8753848c53d0629012ecb3b9a47f14ec951cada3d7bff0026ad8187cc0969da1e18311c389b020e87710d350ea73f686f9868a4acc260c086f1111a25939d76c1392520f331a9302933cb1da0dab445fb1029198eed12b18e733853291d41cf169884de9ed0dc951354363c13630caed710eacdc4b171028830b981dc3bc16031e6496352b4a582589586a05116611961a2dcc0afa5cc258aa210bda38bef32d3c45cda21f514e22cbb99c036cbee191ee0d0688eb6602207dd426012e04b01e222a595a771c09a8e2a4a27b9aa8e153286e2cc16c4d2ca5b72a63b880e48d5be62bed332944feab73f04f54373dd37fcfb9c751ab7f134e671dcda6d19a436fe9ffb396ffbfa9fd49abfa7c789f77cfebc477ccfffda0008010303013f101a3f42d84666506f7986882c8b1b022a1a54b8388015707de297f68a200d4b628668f67799536d410209630f98fe845867e97fb88cbea5f4c1aa9973059da15d0c519713d04b1913dc2417dd62c6c44f0e2014ecccd01c414d84c4007418eb7ebb7b8c6f31ab98019953d05916f110b1806b0829d6184138231ecc637d3b50051a262794fecb72c5733b6100236a3ae928c0a28d9100d85c490e1d4a1383c456b12c6672358f00d13c6199e70ca0622c4543d4d2074576e854ad39847993f51ce200b1d100c65681401a11076199d34e4ff2257469d6547acc2f989c53bf5b822541569afd40552dc92e1e1341b497ad3147bffb2ba2ab8ed2927846c5b82659311a2e1d631025e10ab3308a2d11848a75d434ad3c66580f067dca18eace0b8417cdea04636c71ff001985e96e60416d94f6410984362185c630d8860886a144d751c55bf13472589c9a99d5aa8d6e0f6483939dfa6366da43cdc1146bcf12c2bb85dc1ab660602b9accb5a9e6632783fc975a3652bed4d5ee5e5c0778310df310133b3ef1c61999781ed0f860b600a350049a4fbc3e8b19f92064da94d351f4f8b2d46ec56165de1a128dc67573336faca382392733397b3b42a9883a04a8c421ef2cae5a7b302edfde2068b4cc043b304b894c6b863ca50a0ae856c193b47df9b5197752ef47645c9cc35a8b6a838e4a800cee375dcfcf3fc03cf0fcb2b8d89977c457994ca93e25a9b9cc4e1025cfed294e0431b20a5a59f29e28996e44b831d4b26d732cc9cc32504b5e2500d483964a597636d131cda5c12b30cb918aad732d43642351c7ba298bb600178a9a6710f515b70267ae980b079c4170d9f586b05ed116a9ed0b633b7fd8cab51d8ffd99304152266ccedd2561c89b99102c9ac687e6643be8100c2867c261208a2af2666800f72d815f3fa9ba78aee7d76824b6c0bf998d344c66d2842590979ab77e20866696598520520ac84b3c443e0c20989520a867298617ca69e8ed2ab10f03366ba2c500bef02a297b7882d5eae364ec80649ab6232a1d2eea39dc47fc768361804c4482452309516ef8995c3807b224ac27611326e0f6aaa2d04114bdccd72a085fe218a6e21b88acc41e3282cbcc452d5426f6e0ef12ce1114f9fb4702a1d0a83bcd44c44c5620171500a05b3cea66e609ae95da391861b99945896218fccad0f78765280085ea640712b4ed15b5001db1d838e605528a8d937ff62b7c4174f45a1d142a5752e95da3dedadc37193999f102cca457b441b846c332d6189a8c1736a35fe88309b5c5875d2350e48d690b2632a6a56d5363f12a6ecdba9e9d4d89abbd7c4d9d3f19a741362684d6699b7dc35f709fffd900', 'hex'), 'Anne has a BA degree in English from St. Lawrence College.  She is fluent in French and German.', 5, 'http://accweb/emmployees/davolio.bmp');
+
+CREATE TABLE "EmployeeTerritories" (
+    "EmployeeID" INTEGER NOT NULL,
+    "TerritoryID" VARCHAR(200) NOT NULL,
+    PRIMARY KEY ("EmployeeID","TerritoryID")
+);
+
+INSERT INTO "EmployeeTerritories" ("EmployeeID", "TerritoryID") VALUES
+(1, '06897'),
+(1, '19713'),
+(2, '01581'),
+(2, '01730'),
+(2, '01833'),
+(2, '02116'),
+(2, '02139'),
+(2, '02184'),
+(2, '40222'),
+(3, '30346'),
+(3, '31406'),
+(3, '32859'),
+(3, '33607'),
+(4, '20852'),
+(4, '27403'),
+(4, '27511'),
+(5, '02903'),
+(5, '07960'),
+(5, '08837'),
+(5, '10019'),
+(5, '10038'),
+(5, '11747'),
+(5, '14450'),
+(6, '85014'),
+(6, '85251'),
+(6, '98004'),
+(6, '98052'),
+(6, '98104'),
+(7, '60179'),
+(7, '60601'),
+(7, '80202'),
+(7, '80909'),
+(7, '90405'),
+(7, '94025'),
+(7, '94105'),
+(7, '95008'),
+(7, '95054'),
+(7, '95060'),
+(8, '19428'),
+(8, '44122'),
+(8, '45839'),
+(8, '53404'),
+(9, '03049'),
+(9, '03801'),
+(9, '48075'),
+(9, '48084'),
+(9, '48304'),
+(9, '55113'),
+(9, '55439');
+
+CREATE TABLE "OrderDetails" (
+    "OrderID" INTEGER NOT NULL,
+    "ProductID" INTEGER NOT NULL,
+    "UnitPrice" NUMERIC(10, 0) DEFAULT 0 NOT NULL,
+    "Quantity" INTEGER DEFAULT 1 NOT NULL,
+    "Discount" DOUBLE PRECISION DEFAULT 0 NOT NULL,
+    PRIMARY KEY ("OrderID","ProductID"),
+    CHECK ("Discount">=(0) AND "Discount"<=(1)),
+    CHECK ("Quantity">(0)),
+    CHECK ("UnitPrice">=(0))
+);
+
+INSERT INTO "OrderDetails" ("OrderID", "ProductID", "UnitPrice", "Quantity", "Discount") VALUES
+(10248, 11, 14, 12, 0.0),
+(10248, 42, 9.8, 10, 0.0),
+(10248, 72, 34.8, 5, 0.0),
+(10249, 14, 18.6, 9, 0.0),
+(10249, 51, 42.4, 40, 0.0),
+(10250, 41, 7.7, 10, 0.0),
+(10250, 51, 42.4, 35, 0.15),
+(10250, 65, 16.8, 15, 0.15),
+(10251, 22, 16.8, 6, 0.05),
+(10251, 57, 15.6, 15, 0.05),
+(10251, 65, 16.8, 20, 0.0),
+(10252, 20, 64.8, 40, 0.05),
+(10252, 33, 2, 25, 0.05),
+(10252, 60, 27.2, 40, 0.0),
+(10253, 31, 10, 20, 0.0),
+(10253, 39, 14.4, 42, 0.0),
+(10253, 49, 16, 40, 0.0),
+(10254, 24, 3.6, 15, 0.15),
+(10254, 55, 19.2, 21, 0.15),
+(10254, 74, 8, 21, 0.0),
+(10255, 2, 15.2, 20, 0.0),
+(10255, 16, 13.9, 35, 0.0),
+(10255, 36, 15.2, 25, 0.0),
+(10255, 59, 44, 30, 0.0),
+(10256, 53, 26.2, 15, 0.0),
+(10256, 77, 10.4, 12, 0.0),
+(10257, 27, 35.1, 25, 0.0),
+(10257, 39, 14.4, 6, 0.0),
+(10257, 77, 10.4, 15, 0.0),
+(10258, 2, 15.2, 50, 0.2),
+(10258, 5, 17, 65, 0.2),
+(10258, 32, 25.6, 6, 0.2),
+(10259, 21, 8, 10, 0.0),
+(10259, 37, 20.8, 1, 0.0),
+(10260, 41, 7.7, 16, 0.25),
+(10260, 57, 15.6, 50, 0.0),
+(10260, 62, 39.4, 15, 0.25),
+(10260, 70, 12, 21, 0.25),
+(10261, 21, 8, 20, 0.0),
+(10261, 35, 14.4, 20, 0.0),
+(10262, 5, 17, 12, 0.2),
+(10262, 7, 24, 15, 0.0),
+(10262, 56, 30.4, 2, 0.0),
+(10263, 16, 13.9, 60, 0.25),
+(10263, 24, 3.6, 28, 0.0),
+(10263, 30, 20.7, 60, 0.25),
+(10263, 74, 8, 36, 0.25),
+(10264, 2, 15.2, 35, 0.0),
+(10264, 41, 7.7, 25, 0.15),
+(10265, 17, 31.2, 30, 0.0),
+(10265, 70, 12, 20, 0.0),
+(10266, 12, 30.4, 12, 0.05),
+(10267, 40, 14.7, 50, 0.0),
+(10267, 59, 44, 70, 0.15),
+(10267, 76, 14.4, 15, 0.15),
+(10268, 29, 99, 10, 0.0),
+(10268, 72, 27.8, 4, 0.0),
+(10269, 33, 2, 60, 0.05),
+(10269, 72, 27.8, 20, 0.05),
+(10270, 36, 15.2, 30, 0.0),
+(10270, 43, 36.8, 25, 0.0),
+(10271, 33, 2, 24, 0.0),
+(10272, 20, 64.8, 6, 0.0),
+(10272, 31, 10, 40, 0.0),
+(10272, 72, 27.8, 24, 0.0),
+(10273, 10, 24.8, 24, 0.05),
+(10273, 31, 10, 15, 0.05),
+(10273, 33, 2, 20, 0.0),
+(10273, 40, 14.7, 60, 0.05),
+(10273, 76, 14.4, 33, 0.05),
+(10274, 71, 17.2, 20, 0.0),
+(10274, 72, 27.8, 7, 0.0),
+(10275, 24, 3.6, 12, 0.05),
+(10275, 59, 44, 6, 0.05),
+(10276, 10, 24.8, 15, 0.0),
+(10276, 13, 4.8, 10, 0.0),
+(10277, 28, 36.4, 20, 0.0),
+(10277, 62, 39.4, 12, 0.0),
+(10278, 44, 15.5, 16, 0.0),
+(10278, 59, 44, 15, 0.0),
+(10278, 63, 35.1, 8, 0.0),
+(10278, 73, 12, 25, 0.0),
+(10279, 17, 31.2, 15, 0.25),
+(10280, 24, 3.6, 12, 0.0),
+(10280, 55, 19.2, 20, 0.0),
+(10280, 75, 6.2, 30, 0.0),
+(10281, 19, 7.3, 1, 0.0),
+(10281, 24, 3.6, 6, 0.0),
+(10281, 35, 14.4, 4, 0.0),
+(10282, 30, 20.7, 6, 0.0),
+(10282, 57, 15.6, 2, 0.0),
+(10283, 15, 12.4, 20, 0.0),
+(10283, 19, 7.3, 18, 0.0),
+(10283, 60, 27.2, 35, 0.0),
+(10283, 72, 27.8, 3, 0.0),
+(10284, 27, 35.1, 15, 0.25),
+(10284, 44, 15.5, 21, 0.0),
+(10284, 60, 27.2, 20, 0.25),
+(10284, 67, 11.2, 5, 0.25),
+(10285, 1, 14.4, 45, 0.2),
+(10285, 40, 14.7, 40, 0.2),
+(10285, 53, 26.2, 36, 0.2),
+(10286, 35, 14.4, 100, 0.0),
+(10286, 62, 39.4, 40, 0.0),
+(10287, 16, 13.9, 40, 0.15),
+(10287, 34, 11.2, 20, 0.0),
+(10287, 46, 9.6, 15, 0.15),
+(10288, 54, 5.9, 10, 0.1),
+(10288, 68, 10, 3, 0.1),
+(10289, 3, 8, 30, 0.0),
+(10289, 64, 26.6, 9, 0.0),
+(10290, 5, 17, 20, 0.0),
+(10290, 29, 99, 15, 0.0),
+(10290, 49, 16, 15, 0.0),
+(10290, 77, 10.4, 10, 0.0),
+(10291, 13, 4.8, 20, 0.1),
+(10291, 44, 15.5, 24, 0.1),
+(10291, 51, 42.4, 2, 0.1),
+(10292, 20, 64.8, 20, 0.0),
+(10293, 18, 50, 12, 0.0),
+(10293, 24, 3.6, 10, 0.0),
+(10293, 63, 35.1, 5, 0.0),
+(10293, 75, 6.2, 6, 0.0),
+(10294, 1, 14.4, 18, 0.0),
+(10294, 17, 31.2, 15, 0.0),
+(10294, 43, 36.8, 15, 0.0),
+(10294, 60, 27.2, 21, 0.0),
+(10294, 75, 6.2, 6, 0.0),
+(10295, 56, 30.4, 4, 0.0),
+(10296, 11, 16.8, 12, 0.0),
+(10296, 16, 13.9, 30, 0.0),
+(10296, 69, 28.8, 15, 0.0),
+(10297, 39, 14.4, 60, 0.0),
+(10297, 72, 27.8, 20, 0.0),
+(10298, 2, 15.2, 40, 0.0),
+(10298, 36, 15.2, 40, 0.25),
+(10298, 59, 44, 30, 0.25),
+(10298, 62, 39.4, 15, 0.0),
+(10299, 19, 7.3, 15, 0.0),
+(10299, 70, 12, 20, 0.0),
+(10300, 66, 13.6, 30, 0.0),
+(10300, 68, 10, 20, 0.0),
+(10301, 40, 14.7, 10, 0.0),
+(10301, 56, 30.4, 20, 0.0),
+(10302, 17, 31.2, 40, 0.0),
+(10302, 28, 36.4, 28, 0.0),
+(10302, 43, 36.8, 12, 0.0),
+(10303, 40, 14.7, 40, 0.1),
+(10303, 65, 16.8, 30, 0.1),
+(10303, 68, 10, 15, 0.1),
+(10304, 49, 16, 30, 0.0),
+(10304, 59, 44, 10, 0.0),
+(10304, 71, 17.2, 2, 0.0),
+(10305, 18, 50, 25, 0.1),
+(10305, 29, 99, 25, 0.1),
+(10305, 39, 14.4, 30, 0.1),
+(10306, 30, 20.7, 10, 0.0),
+(10306, 53, 26.2, 10, 0.0),
+(10306, 54, 5.9, 5, 0.0),
+(10307, 62, 39.4, 10, 0.0),
+(10307, 68, 10, 3, 0.0),
+(10308, 69, 28.8, 1, 0.0),
+(10308, 70, 12, 5, 0.0),
+(10309, 4, 17.6, 20, 0.0),
+(10309, 6, 20, 30, 0.0),
+(10309, 42, 11.2, 2, 0.0),
+(10309, 43, 36.8, 20, 0.0),
+(10309, 71, 17.2, 3, 0.0),
+(10310, 16, 13.9, 10, 0.0),
+(10310, 62, 39.4, 5, 0.0),
+(10311, 42, 11.2, 6, 0.0),
+(10311, 69, 28.8, 7, 0.0),
+(10312, 28, 36.4, 4, 0.0),
+(10312, 43, 36.8, 24, 0.0),
+(10312, 53, 26.2, 20, 0.0),
+(10312, 75, 6.2, 10, 0.0),
+(10313, 36, 15.2, 12, 0.0),
+(10314, 32, 25.6, 40, 0.1),
+(10314, 58, 10.6, 30, 0.1),
+(10314, 62, 39.4, 25, 0.1),
+(10315, 34, 11.2, 14, 0.0),
+(10315, 70, 12, 30, 0.0),
+(10316, 41, 7.7, 10, 0.0),
+(10316, 62, 39.4, 70, 0.0),
+(10317, 1, 14.4, 20, 0.0),
+(10318, 41, 7.7, 20, 0.0),
+(10318, 76, 14.4, 6, 0.0),
+(10319, 17, 31.2, 8, 0.0),
+(10319, 28, 36.4, 14, 0.0),
+(10319, 76, 14.4, 30, 0.0),
+(10320, 71, 17.2, 30, 0.0),
+(10321, 35, 14.4, 10, 0.0),
+(10322, 52, 5.6, 20, 0.0),
+(10323, 15, 12.4, 5, 0.0),
+(10323, 25, 11.2, 4, 0.0),
+(10323, 39, 14.4, 4, 0.0),
+(10324, 16, 13.9, 21, 0.15),
+(10324, 35, 14.4, 70, 0.15),
+(10324, 46, 9.6, 30, 0.0),
+(10324, 59, 44, 40, 0.15),
+(10324, 63, 35.1, 80, 0.15),
+(10325, 6, 20, 6, 0.0),
+(10325, 13, 4.8, 12, 0.0),
+(10325, 14, 18.6, 9, 0.0),
+(10325, 31, 10, 4, 0.0),
+(10325, 72, 27.8, 40, 0.0),
+(10326, 4, 17.6, 24, 0.0),
+(10326, 57, 15.6, 16, 0.0),
+(10326, 75, 6.2, 50, 0.0),
+(10327, 2, 15.2, 25, 0.2),
+(10327, 11, 16.8, 50, 0.2),
+(10327, 30, 20.7, 35, 0.2),
+(10327, 58, 10.6, 30, 0.2),
+(10328, 59, 44, 9, 0.0),
+(10328, 65, 16.8, 40, 0.0),
+(10328, 68, 10, 10, 0.0),
+(10329, 19, 7.3, 10, 0.05),
+(10329, 30, 20.7, 8, 0.05),
+(10329, 38, 210.8, 20, 0.05),
+(10329, 56, 30.4, 12, 0.05),
+(10330, 26, 24.9, 50, 0.15),
+(10330, 72, 27.8, 25, 0.15),
+(10331, 54, 5.9, 15, 0.0),
+(10332, 18, 50, 40, 0.2),
+(10332, 42, 11.2, 10, 0.2),
+(10332, 47, 7.6, 16, 0.2),
+(10333, 14, 18.6, 10, 0.0),
+(10333, 21, 8, 10, 0.1),
+(10333, 71, 17.2, 40, 0.1),
+(10334, 52, 5.6, 8, 0.0),
+(10334, 68, 10, 10, 0.0),
+(10335, 2, 15.2, 7, 0.2),
+(10335, 31, 10, 25, 0.2),
+(10335, 32, 25.6, 6, 0.2),
+(10335, 51, 42.4, 48, 0.2),
+(10336, 4, 17.6, 18, 0.1),
+(10337, 23, 7.2, 40, 0.0),
+(10337, 26, 24.9, 24, 0.0),
+(10337, 36, 15.2, 20, 0.0),
+(10337, 37, 20.8, 28, 0.0),
+(10337, 72, 27.8, 25, 0.0),
+(10338, 17, 31.2, 20, 0.0),
+(10338, 30, 20.7, 15, 0.0),
+(10339, 4, 17.6, 10, 0.0),
+(10339, 17, 31.2, 70, 0.05),
+(10339, 62, 39.4, 28, 0.0),
+(10340, 18, 50, 20, 0.05),
+(10340, 41, 7.7, 12, 0.05),
+(10340, 43, 36.8, 40, 0.05),
+(10341, 33, 2, 8, 0.0),
+(10341, 59, 44, 9, 0.15),
+(10342, 2, 15.2, 24, 0.2),
+(10342, 31, 10, 56, 0.2),
+(10342, 36, 15.2, 40, 0.2),
+(10342, 55, 19.2, 40, 0.2),
+(10343, 64, 26.6, 50, 0.0),
+(10343, 68, 10, 4, 0.05),
+(10343, 76, 14.4, 15, 0.0),
+(10344, 4, 17.6, 35, 0.0),
+(10344, 8, 32, 70, 0.25),
+(10345, 8, 32, 70, 0.0),
+(10345, 19, 7.3, 80, 0.0),
+(10345, 42, 11.2, 9, 0.0),
+(10346, 17, 31.2, 36, 0.1),
+(10346, 56, 30.4, 20, 0.0),
+(10347, 25, 11.2, 10, 0.0),
+(10347, 39, 14.4, 50, 0.15),
+(10347, 40, 14.7, 4, 0.0),
+(10347, 75, 6.2, 6, 0.15),
+(10348, 1, 14.4, 15, 0.15),
+(10348, 23, 7.2, 25, 0.0),
+(10349, 54, 5.9, 24, 0.0),
+(10350, 50, 13, 15, 0.1),
+(10350, 69, 28.8, 18, 0.1),
+(10351, 38, 210.8, 20, 0.05),
+(10351, 41, 7.7, 13, 0.0),
+(10351, 44, 15.5, 77, 0.05),
+(10351, 65, 16.8, 10, 0.05),
+(10352, 24, 3.6, 10, 0.0),
+(10352, 54, 5.9, 20, 0.15),
+(10353, 11, 16.8, 12, 0.2),
+(10353, 38, 210.8, 50, 0.2),
+(10354, 1, 14.4, 12, 0.0),
+(10354, 29, 99, 4, 0.0),
+(10355, 24, 3.6, 25, 0.0),
+(10355, 57, 15.6, 25, 0.0),
+(10356, 31, 10, 30, 0.0),
+(10356, 55, 19.2, 12, 0.0),
+(10356, 69, 28.8, 20, 0.0),
+(10357, 10, 24.8, 30, 0.2),
+(10357, 26, 24.9, 16, 0.0),
+(10357, 60, 27.2, 8, 0.2),
+(10358, 24, 3.6, 10, 0.05),
+(10358, 34, 11.2, 10, 0.05),
+(10358, 36, 15.2, 20, 0.05),
+(10359, 16, 13.9, 56, 0.05),
+(10359, 31, 10, 70, 0.05),
+(10359, 60, 27.2, 80, 0.05),
+(10360, 28, 36.4, 30, 0.0),
+(10360, 29, 99, 35, 0.0),
+(10360, 38, 210.8, 10, 0.0),
+(10360, 49, 16, 35, 0.0),
+(10360, 54, 5.9, 28, 0.0),
+(10361, 39, 14.4, 54, 0.1),
+(10361, 60, 27.2, 55, 0.1),
+(10362, 25, 11.2, 50, 0.0),
+(10362, 51, 42.4, 20, 0.0),
+(10362, 54, 5.9, 24, 0.0),
+(10363, 31, 10, 20, 0.0),
+(10363, 75, 6.2, 12, 0.0),
+(10363, 76, 14.4, 12, 0.0),
+(10364, 69, 28.8, 30, 0.0),
+(10364, 71, 17.2, 5, 0.0),
+(10365, 11, 16.8, 24, 0.0),
+(10366, 65, 16.8, 5, 0.0),
+(10366, 77, 10.4, 5, 0.0),
+(10367, 34, 11.2, 36, 0.0),
+(10367, 54, 5.9, 18, 0.0),
+(10367, 65, 16.8, 15, 0.0),
+(10367, 77, 10.4, 7, 0.0),
+(10368, 21, 8, 5, 0.1),
+(10368, 28, 36.4, 13, 0.1),
+(10368, 57, 15.6, 25, 0.0),
+(10368, 64, 26.6, 35, 0.1),
+(10369, 29, 99, 20, 0.0),
+(10369, 56, 30.4, 18, 0.25),
+(10370, 1, 14.4, 15, 0.15),
+(10370, 64, 26.6, 30, 0.0),
+(10370, 74, 8, 20, 0.15),
+(10371, 36, 15.2, 6, 0.2),
+(10372, 20, 64.8, 12, 0.25),
+(10372, 38, 210.8, 40, 0.25),
+(10372, 60, 27.2, 70, 0.25),
+(10372, 72, 27.8, 42, 0.25),
+(10373, 58, 10.6, 80, 0.2),
+(10373, 71, 17.2, 50, 0.2),
+(10374, 31, 10, 30, 0.0),
+(10374, 58, 10.6, 15, 0.0),
+(10375, 14, 18.6, 15, 0.0),
+(10375, 54, 5.9, 10, 0.0),
+(10376, 31, 10, 42, 0.05),
+(10377, 28, 36.4, 20, 0.15),
+(10377, 39, 14.4, 20, 0.15),
+(10378, 71, 17.2, 6, 0.0),
+(10379, 41, 7.7, 8, 0.1),
+(10379, 63, 35.1, 16, 0.1),
+(10379, 65, 16.8, 20, 0.1),
+(10380, 30, 20.7, 18, 0.1),
+(10380, 53, 26.2, 20, 0.1),
+(10380, 60, 27.2, 6, 0.1),
+(10380, 70, 12, 30, 0.0),
+(10381, 74, 8, 14, 0.0),
+(10382, 5, 17, 32, 0.0),
+(10382, 18, 50, 9, 0.0),
+(10382, 29, 99, 14, 0.0),
+(10382, 33, 2, 60, 0.0),
+(10382, 74, 8, 50, 0.0),
+(10383, 13, 4.8, 20, 0.0),
+(10383, 50, 13, 15, 0.0),
+(10383, 56, 30.4, 20, 0.0),
+(10384, 20, 64.8, 28, 0.0),
+(10384, 60, 27.2, 15, 0.0),
+(10385, 7, 24, 10, 0.2),
+(10385, 60, 27.2, 20, 0.2),
+(10385, 68, 10, 8, 0.2),
+(10386, 24, 3.6, 15, 0.0),
+(10386, 34, 11.2, 10, 0.0),
+(10387, 24, 3.6, 15, 0.0),
+(10387, 28, 36.4, 6, 0.0),
+(10387, 59, 44, 12, 0.0),
+(10387, 71, 17.2, 15, 0.0),
+(10388, 45, 7.6, 15, 0.2),
+(10388, 52, 5.6, 20, 0.2),
+(10388, 53, 26.2, 40, 0.0),
+(10389, 10, 24.8, 16, 0.0),
+(10389, 55, 19.2, 15, 0.0),
+(10389, 62, 39.4, 20, 0.0),
+(10389, 70, 12, 30, 0.0),
+(10390, 31, 10, 60, 0.1),
+(10390, 35, 14.4, 40, 0.1),
+(10390, 46, 9.6, 45, 0.0),
+(10390, 72, 27.8, 24, 0.1),
+(10391, 13, 4.8, 18, 0.0),
+(10392, 69, 28.8, 50, 0.0),
+(10393, 2, 15.2, 25, 0.25),
+(10393, 14, 18.6, 42, 0.25),
+(10393, 25, 11.2, 7, 0.25),
+(10393, 26, 24.9, 70, 0.25),
+(10393, 31, 10, 32, 0.0),
+(10394, 13, 4.8, 10, 0.0),
+(10394, 62, 39.4, 10, 0.0),
+(10395, 46, 9.6, 28, 0.1),
+(10395, 53, 26.2, 70, 0.1),
+(10395, 69, 28.8, 8, 0.0),
+(10396, 23, 7.2, 40, 0.0),
+(10396, 71, 17.2, 60, 0.0),
+(10396, 72, 27.8, 21, 0.0),
+(10397, 21, 8, 10, 0.15),
+(10397, 51, 42.4, 18, 0.15),
+(10398, 35, 14.4, 30, 0.0),
+(10398, 55, 19.2, 120, 0.1),
+(10399, 68, 10, 60, 0.0),
+(10399, 71, 17.2, 30, 0.0),
+(10399, 76, 14.4, 35, 0.0),
+(10399, 77, 10.4, 14, 0.0),
+(10400, 29, 99, 21, 0.0),
+(10400, 35, 14.4, 35, 0.0),
+(10400, 49, 16, 30, 0.0),
+(10401, 30, 20.7, 18, 0.0),
+(10401, 56, 30.4, 70, 0.0),
+(10401, 65, 16.8, 20, 0.0),
+(10401, 71, 17.2, 60, 0.0),
+(10402, 23, 7.2, 60, 0.0),
+(10402, 63, 35.1, 65, 0.0),
+(10403, 16, 13.9, 21, 0.15),
+(10403, 48, 10.2, 70, 0.15),
+(10404, 26, 24.9, 30, 0.05),
+(10404, 42, 11.2, 40, 0.05),
+(10404, 49, 16, 30, 0.05),
+(10405, 3, 8, 50, 0.0),
+(10406, 1, 14.4, 10, 0.0),
+(10406, 21, 8, 30, 0.1),
+(10406, 28, 36.4, 42, 0.1),
+(10406, 36, 15.2, 5, 0.1),
+(10406, 40, 14.7, 2, 0.1),
+(10407, 11, 16.8, 30, 0.0),
+(10407, 69, 28.8, 15, 0.0),
+(10407, 71, 17.2, 15, 0.0),
+(10408, 37, 20.8, 10, 0.0),
+(10408, 54, 5.9, 6, 0.0),
+(10408, 62, 39.4, 35, 0.0),
+(10409, 14, 18.6, 12, 0.0),
+(10409, 21, 8, 12, 0.0),
+(10410, 33, 2, 49, 0.0),
+(10410, 59, 44, 16, 0.0),
+(10411, 41, 7.7, 25, 0.2),
+(10411, 44, 15.5, 40, 0.2),
+(10411, 59, 44, 9, 0.2),
+(10412, 14, 18.6, 20, 0.1),
+(10413, 1, 14.4, 24, 0.0),
+(10413, 62, 39.4, 40, 0.0),
+(10413, 76, 14.4, 14, 0.0),
+(10414, 19, 7.3, 18, 0.05),
+(10414, 33, 2, 50, 0.0),
+(10415, 17, 31.2, 2, 0.0),
+(10415, 33, 2, 20, 0.0),
+(10416, 19, 7.3, 20, 0.0),
+(10416, 53, 26.2, 10, 0.0),
+(10416, 57, 15.6, 20, 0.0),
+(10417, 38, 210.8, 50, 0.0),
+(10417, 46, 9.6, 2, 0.25),
+(10417, 68, 10, 36, 0.25),
+(10417, 77, 10.4, 35, 0.0),
+(10418, 2, 15.2, 60, 0.0),
+(10418, 47, 7.6, 55, 0.0),
+(10418, 61, 22.8, 16, 0.0),
+(10418, 74, 8, 15, 0.0),
+(10419, 60, 27.2, 60, 0.05),
+(10419, 69, 28.8, 20, 0.05),
+(10420, 9, 77.6, 20, 0.1),
+(10420, 13, 4.8, 2, 0.1),
+(10420, 70, 12, 8, 0.1),
+(10420, 73, 12, 20, 0.1),
+(10421, 19, 7.3, 4, 0.15),
+(10421, 26, 24.9, 30, 0.0),
+(10421, 53, 26.2, 15, 0.15),
+(10421, 77, 10.4, 10, 0.15),
+(10422, 26, 24.9, 2, 0.0),
+(10423, 31, 10, 14, 0.0),
+(10423, 59, 44, 20, 0.0),
+(10424, 35, 14.4, 60, 0.2),
+(10424, 38, 210.8, 49, 0.2),
+(10424, 68, 10, 30, 0.2),
+(10425, 55, 19.2, 10, 0.25),
+(10425, 76, 14.4, 20, 0.25),
+(10426, 56, 30.4, 5, 0.0),
+(10426, 64, 26.6, 7, 0.0),
+(10427, 14, 18.6, 35, 0.0),
+(10428, 46, 9.6, 20, 0.0),
+(10429, 50, 13, 40, 0.0),
+(10429, 63, 35.1, 35, 0.25),
+(10430, 17, 31.2, 45, 0.2),
+(10430, 21, 8, 50, 0.0),
+(10430, 56, 30.4, 30, 0.0),
+(10430, 59, 44, 70, 0.2),
+(10431, 17, 31.2, 50, 0.25),
+(10431, 40, 14.7, 50, 0.25),
+(10431, 47, 7.6, 30, 0.25),
+(10432, 26, 24.9, 10, 0.0),
+(10432, 54, 5.9, 40, 0.0),
+(10433, 56, 30.4, 28, 0.0),
+(10434, 11, 16.8, 6, 0.0),
+(10434, 76, 14.4, 18, 0.15),
+(10435, 2, 15.2, 10, 0.0),
+(10435, 22, 16.8, 12, 0.0),
+(10435, 72, 27.8, 10, 0.0),
+(10436, 46, 9.6, 5, 0.0),
+(10436, 56, 30.4, 40, 0.1),
+(10436, 64, 26.6, 30, 0.1),
+(10436, 75, 6.2, 24, 0.1);
+
+INSERT INTO "OrderDetails" ("OrderID", "ProductID", "UnitPrice", "Quantity", "Discount") VALUES
+(10437, 53, 26.2, 15, 0.0),
+(10438, 19, 7.3, 15, 0.2),
+(10438, 34, 11.2, 20, 0.2),
+(10438, 57, 15.6, 15, 0.2),
+(10439, 12, 30.4, 15, 0.0),
+(10439, 16, 13.9, 16, 0.0),
+(10439, 64, 26.6, 6, 0.0),
+(10439, 74, 8, 30, 0.0),
+(10440, 2, 15.2, 45, 0.15),
+(10440, 16, 13.9, 49, 0.15),
+(10440, 29, 99, 24, 0.15),
+(10440, 61, 22.8, 90, 0.15),
+(10441, 27, 35.1, 50, 0.0),
+(10442, 11, 16.8, 30, 0.0),
+(10442, 54, 5.9, 80, 0.0),
+(10442, 66, 13.6, 60, 0.0),
+(10443, 11, 16.8, 6, 0.2),
+(10443, 28, 36.4, 12, 0.0),
+(10444, 17, 31.2, 10, 0.0),
+(10444, 26, 24.9, 15, 0.0),
+(10444, 35, 14.4, 8, 0.0),
+(10444, 41, 7.7, 30, 0.0),
+(10445, 39, 14.4, 6, 0.0),
+(10445, 54, 5.9, 15, 0.0),
+(10446, 19, 7.3, 12, 0.1),
+(10446, 24, 3.6, 20, 0.1),
+(10446, 31, 10, 3, 0.1),
+(10446, 52, 5.6, 15, 0.1),
+(10447, 19, 7.3, 40, 0.0),
+(10447, 65, 16.8, 35, 0.0),
+(10447, 71, 17.2, 2, 0.0),
+(10448, 26, 24.9, 6, 0.0),
+(10448, 40, 14.7, 20, 0.0),
+(10449, 10, 24.8, 14, 0.0),
+(10449, 52, 5.6, 20, 0.0),
+(10449, 62, 39.4, 35, 0.0),
+(10450, 10, 24.8, 20, 0.2),
+(10450, 54, 5.9, 6, 0.2),
+(10451, 55, 19.2, 120, 0.1),
+(10451, 64, 26.6, 35, 0.1),
+(10451, 65, 16.8, 28, 0.1),
+(10451, 77, 10.4, 55, 0.1),
+(10452, 28, 36.4, 15, 0.0),
+(10452, 44, 15.5, 100, 0.05),
+(10453, 48, 10.2, 15, 0.1),
+(10453, 70, 12, 25, 0.1),
+(10454, 16, 13.9, 20, 0.2),
+(10454, 33, 2, 20, 0.2),
+(10454, 46, 9.6, 10, 0.2),
+(10455, 39, 14.4, 20, 0.0),
+(10455, 53, 26.2, 50, 0.0),
+(10455, 61, 22.8, 25, 0.0),
+(10455, 71, 17.2, 30, 0.0),
+(10456, 21, 8, 40, 0.15),
+(10456, 49, 16, 21, 0.15),
+(10457, 59, 44, 36, 0.0),
+(10458, 26, 24.9, 30, 0.0),
+(10458, 28, 36.4, 30, 0.0),
+(10458, 43, 36.8, 20, 0.0),
+(10458, 56, 30.4, 15, 0.0),
+(10458, 71, 17.2, 50, 0.0),
+(10459, 7, 24, 16, 0.05),
+(10459, 46, 9.6, 20, 0.05),
+(10459, 72, 27.8, 40, 0.0),
+(10460, 68, 10, 21, 0.25),
+(10460, 75, 6.2, 4, 0.25),
+(10461, 21, 8, 40, 0.25),
+(10461, 30, 20.7, 28, 0.25),
+(10461, 55, 19.2, 60, 0.25),
+(10462, 13, 4.8, 1, 0.0),
+(10462, 23, 7.2, 21, 0.0),
+(10463, 19, 7.3, 21, 0.0),
+(10463, 42, 11.2, 50, 0.0),
+(10464, 4, 17.6, 16, 0.2),
+(10464, 43, 36.8, 3, 0.0),
+(10464, 56, 30.4, 30, 0.2),
+(10464, 60, 27.2, 20, 0.0),
+(10465, 24, 3.6, 25, 0.0),
+(10465, 29, 99, 18, 0.1),
+(10465, 40, 14.7, 20, 0.0),
+(10465, 45, 7.6, 30, 0.1),
+(10465, 50, 13, 25, 0.0),
+(10466, 11, 16.8, 10, 0.0),
+(10466, 46, 9.6, 5, 0.0),
+(10467, 24, 3.6, 28, 0.0),
+(10467, 25, 11.2, 12, 0.0),
+(10468, 30, 20.7, 8, 0.0),
+(10468, 43, 36.8, 15, 0.0),
+(10469, 2, 15.2, 40, 0.15),
+(10469, 16, 13.9, 35, 0.15),
+(10469, 44, 15.5, 2, 0.15),
+(10470, 18, 50, 30, 0.0),
+(10470, 23, 7.2, 15, 0.0),
+(10470, 64, 26.6, 8, 0.0),
+(10471, 7, 24, 30, 0.0),
+(10471, 56, 30.4, 20, 0.0),
+(10472, 24, 3.6, 80, 0.05),
+(10472, 51, 42.4, 18, 0.0),
+(10473, 33, 2, 12, 0.0),
+(10473, 71, 17.2, 12, 0.0),
+(10474, 14, 18.6, 12, 0.0),
+(10474, 28, 36.4, 18, 0.0),
+(10474, 40, 14.7, 21, 0.0),
+(10474, 75, 6.2, 10, 0.0),
+(10475, 31, 10, 35, 0.15),
+(10475, 66, 13.6, 60, 0.15),
+(10475, 76, 14.4, 42, 0.15),
+(10476, 55, 19.2, 2, 0.05),
+(10476, 70, 12, 12, 0.0),
+(10477, 1, 14.4, 15, 0.0),
+(10477, 21, 8, 21, 0.25),
+(10477, 39, 14.4, 20, 0.25),
+(10478, 10, 24.8, 20, 0.05),
+(10479, 38, 210.8, 30, 0.0),
+(10479, 53, 26.2, 28, 0.0),
+(10479, 59, 44, 60, 0.0),
+(10479, 64, 26.6, 30, 0.0),
+(10480, 47, 7.6, 30, 0.0),
+(10480, 59, 44, 12, 0.0),
+(10481, 49, 16, 24, 0.0),
+(10481, 60, 27.2, 40, 0.0),
+(10482, 40, 14.7, 10, 0.0),
+(10483, 34, 11.2, 35, 0.05),
+(10483, 77, 10.4, 30, 0.05),
+(10484, 21, 8, 14, 0.0),
+(10484, 40, 14.7, 10, 0.0),
+(10484, 51, 42.4, 3, 0.0),
+(10485, 2, 15.2, 20, 0.1),
+(10485, 3, 8, 20, 0.1),
+(10485, 55, 19.2, 30, 0.1),
+(10485, 70, 12, 60, 0.1),
+(10486, 11, 16.8, 5, 0.0),
+(10486, 51, 42.4, 25, 0.0),
+(10486, 74, 8, 16, 0.0),
+(10487, 19, 7.3, 5, 0.0),
+(10487, 26, 24.9, 30, 0.0),
+(10487, 54, 5.9, 24, 0.25),
+(10488, 59, 44, 30, 0.0),
+(10488, 73, 12, 20, 0.2),
+(10489, 11, 16.8, 15, 0.25),
+(10489, 16, 13.9, 18, 0.0),
+(10490, 59, 44, 60, 0.0),
+(10490, 68, 10, 30, 0.0),
+(10490, 75, 6.2, 36, 0.0),
+(10491, 44, 15.5, 15, 0.15),
+(10491, 77, 10.4, 7, 0.15),
+(10492, 25, 11.2, 60, 0.05),
+(10492, 42, 11.2, 20, 0.05),
+(10493, 65, 16.8, 15, 0.1),
+(10493, 66, 13.6, 10, 0.1),
+(10493, 69, 28.8, 10, 0.1),
+(10494, 56, 30.4, 30, 0.0),
+(10495, 23, 7.2, 10, 0.0),
+(10495, 41, 7.7, 20, 0.0),
+(10495, 77, 10.4, 5, 0.0),
+(10496, 31, 10, 20, 0.05),
+(10497, 56, 30.4, 14, 0.0),
+(10497, 72, 27.8, 25, 0.0),
+(10497, 77, 10.4, 25, 0.0),
+(10498, 24, 4.5, 14, 0.0),
+(10498, 40, 18.4, 5, 0.0),
+(10498, 42, 14, 30, 0.0),
+(10499, 28, 45.6, 20, 0.0),
+(10499, 49, 20, 25, 0.0),
+(10500, 15, 15.5, 12, 0.05),
+(10500, 28, 45.6, 8, 0.05),
+(10501, 54, 7.45, 20, 0.0),
+(10502, 45, 9.5, 21, 0.0),
+(10502, 53, 32.8, 6, 0.0),
+(10502, 67, 14, 30, 0.0),
+(10503, 14, 23.25, 70, 0.0),
+(10503, 65, 21.05, 20, 0.0),
+(10504, 2, 19, 12, 0.0),
+(10504, 21, 10, 12, 0.0),
+(10504, 53, 32.8, 10, 0.0),
+(10504, 61, 28.5, 25, 0.0),
+(10505, 62, 49.3, 3, 0.0),
+(10506, 25, 14, 18, 0.1),
+(10506, 70, 15, 14, 0.1),
+(10507, 43, 46, 15, 0.15),
+(10507, 48, 12.75, 15, 0.15),
+(10508, 13, 6, 10, 0.0),
+(10508, 39, 18, 10, 0.0),
+(10509, 28, 45.6, 3, 0.0),
+(10510, 29, 123.79, 36, 0.0),
+(10510, 75, 7.75, 36, 0.1),
+(10511, 4, 22, 50, 0.15),
+(10511, 7, 30, 50, 0.15),
+(10511, 8, 40, 10, 0.15),
+(10512, 24, 4.5, 10, 0.15),
+(10512, 46, 12, 9, 0.15),
+(10512, 47, 9.5, 6, 0.15),
+(10512, 60, 34, 12, 0.15),
+(10513, 21, 10, 40, 0.2),
+(10513, 32, 32, 50, 0.2),
+(10513, 61, 28.5, 15, 0.2),
+(10514, 20, 81, 39, 0.0),
+(10514, 28, 45.6, 35, 0.0),
+(10514, 56, 38, 70, 0.0),
+(10514, 65, 21.05, 39, 0.0),
+(10514, 75, 7.75, 50, 0.0),
+(10515, 9, 97, 16, 0.15),
+(10515, 16, 17.45, 50, 0.0),
+(10515, 27, 43.9, 120, 0.0),
+(10515, 33, 2.5, 16, 0.15),
+(10515, 60, 34, 84, 0.15),
+(10516, 18, 62.5, 25, 0.1),
+(10516, 41, 9.65, 80, 0.1),
+(10516, 42, 14, 20, 0.0),
+(10517, 52, 7, 6, 0.0),
+(10517, 59, 55, 4, 0.0),
+(10517, 70, 15, 6, 0.0),
+(10518, 24, 4.5, 5, 0.0),
+(10518, 38, 263.5, 15, 0.0),
+(10518, 44, 19.45, 9, 0.0),
+(10519, 10, 31, 16, 0.05),
+(10519, 56, 38, 40, 0.0),
+(10519, 60, 34, 10, 0.05),
+(10520, 24, 4.5, 8, 0.0),
+(10520, 53, 32.8, 5, 0.0),
+(10521, 35, 18, 3, 0.0),
+(10521, 41, 9.65, 10, 0.0),
+(10521, 68, 12.5, 6, 0.0),
+(10522, 1, 18, 40, 0.2),
+(10522, 8, 40, 24, 0.0),
+(10522, 30, 25.89, 20, 0.2),
+(10522, 40, 18.4, 25, 0.2),
+(10523, 17, 39, 25, 0.1),
+(10523, 20, 81, 15, 0.1),
+(10523, 37, 26, 18, 0.1),
+(10523, 41, 9.65, 6, 0.1),
+(10524, 10, 31, 2, 0.0),
+(10524, 30, 25.89, 10, 0.0),
+(10524, 43, 46, 60, 0.0),
+(10524, 54, 7.45, 15, 0.0),
+(10525, 36, 19, 30, 0.0),
+(10525, 40, 18.4, 15, 0.1),
+(10526, 1, 18, 8, 0.15),
+(10526, 13, 6, 10, 0.0),
+(10526, 56, 38, 30, 0.15),
+(10527, 4, 22, 50, 0.1),
+(10527, 36, 19, 30, 0.1),
+(10528, 11, 21, 3, 0.0),
+(10528, 33, 2.5, 8, 0.2),
+(10528, 72, 34.8, 9, 0.0),
+(10529, 55, 24, 14, 0.0),
+(10529, 68, 12.5, 20, 0.0),
+(10529, 69, 36, 10, 0.0),
+(10530, 17, 39, 40, 0.0),
+(10530, 43, 46, 25, 0.0),
+(10530, 61, 28.5, 20, 0.0),
+(10530, 76, 18, 50, 0.0),
+(10531, 59, 55, 2, 0.0),
+(10532, 30, 25.89, 15, 0.0),
+(10532, 66, 17, 24, 0.0),
+(10533, 4, 22, 50, 0.05),
+(10533, 72, 34.8, 24, 0.0),
+(10533, 73, 15, 24, 0.05),
+(10534, 30, 25.89, 10, 0.0),
+(10534, 40, 18.4, 10, 0.2),
+(10534, 54, 7.45, 10, 0.2),
+(10535, 11, 21, 50, 0.1),
+(10535, 40, 18.4, 10, 0.1),
+(10535, 57, 19.5, 5, 0.1),
+(10535, 59, 55, 15, 0.1),
+(10536, 12, 38, 15, 0.25),
+(10536, 31, 12.5, 20, 0.0),
+(10536, 33, 2.5, 30, 0.0),
+(10536, 60, 34, 35, 0.25),
+(10537, 31, 12.5, 30, 0.0),
+(10537, 51, 53, 6, 0.0),
+(10537, 58, 13.25, 20, 0.0),
+(10537, 72, 34.8, 21, 0.0),
+(10537, 73, 15, 9, 0.0),
+(10538, 70, 15, 7, 0.0),
+(10538, 72, 34.8, 1, 0.0),
+(10539, 13, 6, 8, 0.0),
+(10539, 21, 10, 15, 0.0),
+(10539, 33, 2.5, 15, 0.0),
+(10539, 49, 20, 6, 0.0),
+(10540, 3, 10, 60, 0.0),
+(10540, 26, 31.23, 40, 0.0),
+(10540, 38, 263.5, 30, 0.0),
+(10540, 68, 12.5, 35, 0.0),
+(10541, 24, 4.5, 35, 0.1),
+(10541, 38, 263.5, 4, 0.1),
+(10541, 65, 21.05, 36, 0.1),
+(10541, 71, 21.5, 9, 0.1),
+(10542, 11, 21, 15, 0.05),
+(10542, 54, 7.45, 24, 0.05),
+(10543, 12, 38, 30, 0.15),
+(10543, 23, 9, 70, 0.15),
+(10544, 28, 45.6, 7, 0.0),
+(10544, 67, 14, 7, 0.0),
+(10545, 11, 21, 10, 0.0),
+(10546, 7, 30, 10, 0.0),
+(10546, 35, 18, 30, 0.0),
+(10546, 62, 49.3, 40, 0.0),
+(10547, 32, 32, 24, 0.15),
+(10547, 36, 19, 60, 0.0),
+(10548, 34, 14, 10, 0.25),
+(10548, 41, 9.65, 14, 0.0),
+(10549, 31, 12.5, 55, 0.15),
+(10549, 45, 9.5, 100, 0.15),
+(10549, 51, 53, 48, 0.15),
+(10550, 17, 39, 8, 0.1),
+(10550, 19, 9.2, 10, 0.0),
+(10550, 21, 10, 6, 0.1),
+(10550, 61, 28.5, 10, 0.1),
+(10551, 16, 17.45, 40, 0.15),
+(10551, 35, 18, 20, 0.15),
+(10551, 44, 19.45, 40, 0.0),
+(10552, 69, 36, 18, 0.0),
+(10552, 75, 7.75, 30, 0.0),
+(10553, 11, 21, 15, 0.0),
+(10553, 16, 17.45, 14, 0.0),
+(10553, 22, 21, 24, 0.0),
+(10553, 31, 12.5, 30, 0.0),
+(10553, 35, 18, 6, 0.0),
+(10554, 16, 17.45, 30, 0.05),
+(10554, 23, 9, 20, 0.05),
+(10554, 62, 49.3, 20, 0.05),
+(10554, 77, 13, 10, 0.05),
+(10555, 14, 23.25, 30, 0.2),
+(10555, 19, 9.2, 35, 0.2),
+(10555, 24, 4.5, 18, 0.2),
+(10555, 51, 53, 20, 0.2),
+(10555, 56, 38, 40, 0.2),
+(10556, 72, 34.8, 24, 0.0),
+(10557, 64, 33.25, 30, 0.0),
+(10557, 75, 7.75, 20, 0.0),
+(10558, 47, 9.5, 25, 0.0),
+(10558, 51, 53, 20, 0.0),
+(10558, 52, 7, 30, 0.0),
+(10558, 53, 32.8, 18, 0.0),
+(10558, 73, 15, 3, 0.0),
+(10559, 41, 9.65, 12, 0.05),
+(10559, 55, 24, 18, 0.05),
+(10560, 30, 25.89, 20, 0.0),
+(10560, 62, 49.3, 15, 0.25),
+(10561, 44, 19.45, 10, 0.0),
+(10561, 51, 53, 50, 0.0),
+(10562, 33, 2.5, 20, 0.1),
+(10562, 62, 49.3, 10, 0.1),
+(10563, 36, 19, 25, 0.0),
+(10563, 52, 7, 70, 0.0),
+(10564, 17, 39, 16, 0.05),
+(10564, 31, 12.5, 6, 0.05),
+(10564, 55, 24, 25, 0.05),
+(10565, 24, 4.5, 25, 0.1),
+(10565, 64, 33.25, 18, 0.1),
+(10566, 11, 21, 35, 0.15),
+(10566, 18, 62.5, 18, 0.15),
+(10566, 76, 18, 10, 0.0),
+(10567, 31, 12.5, 60, 0.2),
+(10567, 51, 53, 3, 0.0),
+(10567, 59, 55, 40, 0.2),
+(10568, 10, 31, 5, 0.0),
+(10569, 31, 12.5, 35, 0.2),
+(10569, 76, 18, 30, 0.0),
+(10570, 11, 21, 15, 0.05),
+(10570, 56, 38, 60, 0.05),
+(10571, 14, 23.25, 11, 0.15),
+(10571, 42, 14, 28, 0.15),
+(10572, 16, 17.45, 12, 0.1),
+(10572, 32, 32, 10, 0.1),
+(10572, 40, 18.4, 50, 0.0),
+(10572, 75, 7.75, 15, 0.1),
+(10573, 17, 39, 18, 0.0),
+(10573, 34, 14, 40, 0.0),
+(10573, 53, 32.8, 25, 0.0),
+(10574, 33, 2.5, 14, 0.0),
+(10574, 40, 18.4, 2, 0.0),
+(10574, 62, 49.3, 10, 0.0),
+(10574, 64, 33.25, 6, 0.0),
+(10575, 59, 55, 12, 0.0),
+(10575, 63, 43.9, 6, 0.0),
+(10575, 72, 34.8, 30, 0.0),
+(10575, 76, 18, 10, 0.0),
+(10576, 1, 18, 10, 0.0),
+(10576, 31, 12.5, 20, 0.0),
+(10576, 44, 19.45, 21, 0.0),
+(10577, 39, 18, 10, 0.0),
+(10577, 75, 7.75, 20, 0.0),
+(10577, 77, 13, 18, 0.0),
+(10578, 35, 18, 20, 0.0),
+(10578, 57, 19.5, 6, 0.0),
+(10579, 15, 15.5, 10, 0.0),
+(10579, 75, 7.75, 21, 0.0),
+(10580, 14, 23.25, 15, 0.05),
+(10580, 41, 9.65, 9, 0.05),
+(10580, 65, 21.05, 30, 0.05),
+(10581, 75, 7.75, 50, 0.2),
+(10582, 57, 19.5, 4, 0.0),
+(10582, 76, 18, 14, 0.0),
+(10583, 29, 123.79, 10, 0.0),
+(10583, 60, 34, 24, 0.15),
+(10583, 69, 36, 10, 0.15),
+(10584, 31, 12.5, 50, 0.05),
+(10585, 47, 9.5, 15, 0.0),
+(10586, 52, 7, 4, 0.15),
+(10587, 26, 31.23, 6, 0.0),
+(10587, 35, 18, 20, 0.0),
+(10587, 77, 13, 20, 0.0),
+(10588, 18, 62.5, 40, 0.2),
+(10588, 42, 14, 100, 0.2),
+(10589, 35, 18, 4, 0.0),
+(10590, 1, 18, 20, 0.0),
+(10590, 77, 13, 60, 0.05),
+(10591, 3, 10, 14, 0.0),
+(10591, 7, 30, 10, 0.0),
+(10591, 54, 7.45, 50, 0.0),
+(10592, 15, 15.5, 25, 0.05),
+(10592, 26, 31.23, 5, 0.05),
+(10593, 20, 81, 21, 0.2),
+(10593, 69, 36, 20, 0.2),
+(10593, 76, 18, 4, 0.2),
+(10594, 52, 7, 24, 0.0),
+(10594, 58, 13.25, 30, 0.0),
+(10595, 35, 18, 30, 0.25),
+(10595, 61, 28.5, 120, 0.25),
+(10595, 69, 36, 65, 0.25),
+(10596, 56, 38, 5, 0.2),
+(10596, 63, 43.9, 24, 0.2),
+(10596, 75, 7.75, 30, 0.2),
+(10597, 24, 4.5, 35, 0.2),
+(10597, 57, 19.5, 20, 0.0),
+(10597, 65, 21.05, 12, 0.2),
+(10598, 27, 43.9, 50, 0.0),
+(10598, 71, 21.5, 9, 0.0),
+(10599, 62, 49.3, 10, 0.0),
+(10600, 54, 7.45, 4, 0.0),
+(10600, 73, 15, 30, 0.0),
+(10601, 13, 6, 60, 0.0),
+(10601, 59, 55, 35, 0.0),
+(10602, 77, 13, 5, 0.25),
+(10603, 22, 21, 48, 0.0),
+(10603, 49, 20, 25, 0.05),
+(10604, 48, 12.75, 6, 0.1),
+(10604, 76, 18, 10, 0.1),
+(10605, 16, 17.45, 30, 0.05),
+(10605, 59, 55, 20, 0.05),
+(10605, 60, 34, 70, 0.05),
+(10605, 71, 21.5, 15, 0.05),
+(10606, 4, 22, 20, 0.2),
+(10606, 55, 24, 20, 0.2),
+(10606, 62, 49.3, 10, 0.2),
+(10607, 7, 30, 45, 0.0),
+(10607, 17, 39, 100, 0.0),
+(10607, 33, 2.5, 14, 0.0),
+(10607, 40, 18.4, 42, 0.0),
+(10607, 72, 34.8, 12, 0.0),
+(10608, 56, 38, 28, 0.0),
+(10609, 1, 18, 3, 0.0),
+(10609, 10, 31, 10, 0.0),
+(10609, 21, 10, 6, 0.0),
+(10610, 36, 19, 21, 0.25),
+(10611, 1, 18, 6, 0.0),
+(10611, 2, 19, 10, 0.0),
+(10611, 60, 34, 15, 0.0),
+(10612, 10, 31, 70, 0.0),
+(10612, 36, 19, 55, 0.0),
+(10612, 49, 20, 18, 0.0),
+(10612, 60, 34, 40, 0.0),
+(10612, 76, 18, 80, 0.0),
+(10613, 13, 6, 8, 0.1),
+(10613, 75, 7.75, 40, 0.0),
+(10614, 11, 21, 14, 0.0),
+(10614, 21, 10, 8, 0.0),
+(10614, 39, 18, 5, 0.0),
+(10615, 55, 24, 5, 0.0),
+(10616, 38, 263.5, 15, 0.05),
+(10616, 56, 38, 14, 0.0),
+(10616, 70, 15, 15, 0.05),
+(10616, 71, 21.5, 15, 0.05),
+(10617, 59, 55, 30, 0.15),
+(10618, 6, 25, 70, 0.0),
+(10618, 56, 38, 20, 0.0),
+(10618, 68, 12.5, 15, 0.0),
+(10619, 21, 10, 42, 0.0),
+(10619, 22, 21, 40, 0.0),
+(10620, 24, 4.5, 5, 0.0),
+(10620, 52, 7, 5, 0.0),
+(10621, 19, 9.2, 5, 0.0),
+(10621, 23, 9, 10, 0.0),
+(10621, 70, 15, 20, 0.0),
+(10621, 71, 21.5, 15, 0.0),
+(10622, 2, 19, 20, 0.0),
+(10622, 68, 12.5, 18, 0.2),
+(10623, 14, 23.25, 21, 0.0),
+(10623, 19, 9.2, 15, 0.1),
+(10623, 21, 10, 25, 0.1),
+(10623, 24, 4.5, 3, 0.0),
+(10623, 35, 18, 30, 0.1),
+(10624, 28, 45.6, 10, 0.0),
+(10624, 29, 123.79, 6, 0.0),
+(10624, 44, 19.45, 10, 0.0),
+(10625, 14, 23.25, 3, 0.0),
+(10625, 42, 14, 5, 0.0),
+(10625, 60, 34, 10, 0.0);
+
+INSERT INTO "OrderDetails" ("OrderID", "ProductID", "UnitPrice", "Quantity", "Discount") VALUES
+(10626, 53, 32.8, 12, 0.0),
+(10626, 60, 34, 20, 0.0),
+(10626, 71, 21.5, 20, 0.0),
+(10627, 62, 49.3, 15, 0.0),
+(10627, 73, 15, 35, 0.15),
+(10628, 1, 18, 25, 0.0),
+(10629, 29, 123.79, 20, 0.0),
+(10629, 64, 33.25, 9, 0.0),
+(10630, 55, 24, 12, 0.05),
+(10630, 76, 18, 35, 0.0),
+(10631, 75, 7.75, 8, 0.1),
+(10632, 2, 19, 30, 0.05),
+(10632, 33, 2.5, 20, 0.05),
+(10633, 12, 38, 36, 0.15),
+(10633, 13, 6, 13, 0.15),
+(10633, 26, 31.23, 35, 0.15),
+(10633, 62, 49.3, 80, 0.15),
+(10634, 7, 30, 35, 0.0),
+(10634, 18, 62.5, 50, 0.0),
+(10634, 51, 53, 15, 0.0),
+(10634, 75, 7.75, 2, 0.0),
+(10635, 4, 22, 10, 0.1),
+(10635, 5, 21.35, 15, 0.1),
+(10635, 22, 21, 40, 0.0),
+(10636, 4, 22, 25, 0.0),
+(10636, 58, 13.25, 6, 0.0),
+(10637, 11, 21, 10, 0.0),
+(10637, 50, 16.25, 25, 0.05),
+(10637, 56, 38, 60, 0.05),
+(10638, 45, 9.5, 20, 0.0),
+(10638, 65, 21.05, 21, 0.0),
+(10638, 72, 34.8, 60, 0.0),
+(10639, 18, 62.5, 8, 0.0),
+(10640, 69, 36, 20, 0.25),
+(10640, 70, 15, 15, 0.25),
+(10641, 2, 19, 50, 0.0),
+(10641, 40, 18.4, 60, 0.0),
+(10642, 21, 10, 30, 0.2),
+(10642, 61, 28.5, 20, 0.2),
+(10643, 28, 45.6, 15, 0.25),
+(10643, 39, 18, 21, 0.25),
+(10643, 46, 12, 2, 0.25),
+(10644, 18, 62.5, 4, 0.1),
+(10644, 43, 46, 20, 0.0),
+(10644, 46, 12, 21, 0.1),
+(10645, 18, 62.5, 20, 0.0),
+(10645, 36, 19, 15, 0.0),
+(10646, 1, 18, 15, 0.25),
+(10646, 10, 31, 18, 0.25),
+(10646, 71, 21.5, 30, 0.25),
+(10646, 77, 13, 35, 0.25),
+(10647, 19, 9.2, 30, 0.0),
+(10647, 39, 18, 20, 0.0),
+(10648, 22, 21, 15, 0.0),
+(10648, 24, 4.5, 15, 0.15),
+(10649, 28, 45.6, 20, 0.0),
+(10649, 72, 34.8, 15, 0.0),
+(10650, 30, 25.89, 30, 0.0),
+(10650, 53, 32.8, 25, 0.05),
+(10650, 54, 7.45, 30, 0.0),
+(10651, 19, 9.2, 12, 0.25),
+(10651, 22, 21, 20, 0.25),
+(10652, 30, 25.89, 2, 0.25),
+(10652, 42, 14, 20, 0.0),
+(10653, 16, 17.45, 30, 0.1),
+(10653, 60, 34, 20, 0.1),
+(10654, 4, 22, 12, 0.1),
+(10654, 39, 18, 20, 0.1),
+(10654, 54, 7.45, 6, 0.1),
+(10655, 41, 9.65, 20, 0.2),
+(10656, 14, 23.25, 3, 0.1),
+(10656, 44, 19.45, 28, 0.1),
+(10656, 47, 9.5, 6, 0.1),
+(10657, 15, 15.5, 50, 0.0),
+(10657, 41, 9.65, 24, 0.0),
+(10657, 46, 12, 45, 0.0),
+(10657, 47, 9.5, 10, 0.0),
+(10657, 56, 38, 45, 0.0),
+(10657, 60, 34, 30, 0.0),
+(10658, 21, 10, 60, 0.0),
+(10658, 40, 18.4, 70, 0.05),
+(10658, 60, 34, 55, 0.05),
+(10658, 77, 13, 70, 0.05),
+(10659, 31, 12.5, 20, 0.05),
+(10659, 40, 18.4, 24, 0.05),
+(10659, 70, 15, 40, 0.05),
+(10660, 20, 81, 21, 0.0),
+(10661, 39, 18, 3, 0.2),
+(10661, 58, 13.25, 49, 0.2),
+(10662, 68, 12.5, 10, 0.0),
+(10663, 40, 18.4, 30, 0.05),
+(10663, 42, 14, 30, 0.05),
+(10663, 51, 53, 20, 0.05),
+(10664, 10, 31, 24, 0.15),
+(10664, 56, 38, 12, 0.15),
+(10664, 65, 21.05, 15, 0.15),
+(10665, 51, 53, 20, 0.0),
+(10665, 59, 55, 1, 0.0),
+(10665, 76, 18, 10, 0.0),
+(10666, 29, 123.79, 36, 0.0),
+(10666, 65, 21.05, 10, 0.0),
+(10667, 69, 36, 45, 0.2),
+(10667, 71, 21.5, 14, 0.2),
+(10668, 31, 12.5, 8, 0.1),
+(10668, 55, 24, 4, 0.1),
+(10668, 64, 33.25, 15, 0.1),
+(10669, 36, 19, 30, 0.0),
+(10670, 23, 9, 32, 0.0),
+(10670, 46, 12, 60, 0.0),
+(10670, 67, 14, 25, 0.0),
+(10670, 73, 15, 50, 0.0),
+(10670, 75, 7.75, 25, 0.0),
+(10671, 16, 17.45, 10, 0.0),
+(10671, 62, 49.3, 10, 0.0),
+(10671, 65, 21.05, 12, 0.0),
+(10672, 38, 263.5, 15, 0.1),
+(10672, 71, 21.5, 12, 0.0),
+(10673, 16, 17.45, 3, 0.0),
+(10673, 42, 14, 6, 0.0),
+(10673, 43, 46, 6, 0.0),
+(10674, 23, 9, 5, 0.0),
+(10675, 14, 23.25, 30, 0.0),
+(10675, 53, 32.8, 10, 0.0),
+(10675, 58, 13.25, 30, 0.0),
+(10676, 10, 31, 2, 0.0),
+(10676, 19, 9.2, 7, 0.0),
+(10676, 44, 19.45, 21, 0.0),
+(10677, 26, 31.23, 30, 0.15),
+(10677, 33, 2.5, 8, 0.15),
+(10678, 12, 38, 100, 0.0),
+(10678, 33, 2.5, 30, 0.0),
+(10678, 41, 9.65, 120, 0.0),
+(10678, 54, 7.45, 30, 0.0),
+(10679, 59, 55, 12, 0.0),
+(10680, 16, 17.45, 50, 0.25),
+(10680, 31, 12.5, 20, 0.25),
+(10680, 42, 14, 40, 0.25),
+(10681, 19, 9.2, 30, 0.1),
+(10681, 21, 10, 12, 0.1),
+(10681, 64, 33.25, 28, 0.0),
+(10682, 33, 2.5, 30, 0.0),
+(10682, 66, 17, 4, 0.0),
+(10682, 75, 7.75, 30, 0.0),
+(10683, 52, 7, 9, 0.0),
+(10684, 40, 18.4, 20, 0.0),
+(10684, 47, 9.5, 40, 0.0),
+(10684, 60, 34, 30, 0.0),
+(10685, 10, 31, 20, 0.0),
+(10685, 41, 9.65, 4, 0.0),
+(10685, 47, 9.5, 15, 0.0),
+(10686, 17, 39, 30, 0.2),
+(10686, 26, 31.23, 15, 0.0),
+(10687, 9, 97, 50, 0.25),
+(10687, 29, 123.79, 10, 0.0),
+(10687, 36, 19, 6, 0.25),
+(10688, 10, 31, 18, 0.1),
+(10688, 28, 45.6, 60, 0.1),
+(10688, 34, 14, 14, 0.0),
+(10689, 1, 18, 35, 0.25),
+(10690, 56, 38, 20, 0.25),
+(10690, 77, 13, 30, 0.25),
+(10691, 1, 18, 30, 0.0),
+(10691, 29, 123.79, 40, 0.0),
+(10691, 43, 46, 40, 0.0),
+(10691, 44, 19.45, 24, 0.0),
+(10691, 62, 49.3, 48, 0.0),
+(10692, 63, 43.9, 20, 0.0),
+(10693, 9, 97, 6, 0.0),
+(10693, 54, 7.45, 60, 0.15),
+(10693, 69, 36, 30, 0.15),
+(10693, 73, 15, 15, 0.15),
+(10694, 7, 30, 90, 0.0),
+(10694, 59, 55, 25, 0.0),
+(10694, 70, 15, 50, 0.0),
+(10695, 8, 40, 10, 0.0),
+(10695, 12, 38, 4, 0.0),
+(10695, 24, 4.5, 20, 0.0),
+(10696, 17, 39, 20, 0.0),
+(10696, 46, 12, 18, 0.0),
+(10697, 19, 9.2, 7, 0.25),
+(10697, 35, 18, 9, 0.25),
+(10697, 58, 13.25, 30, 0.25),
+(10697, 70, 15, 30, 0.25),
+(10698, 11, 21, 15, 0.0),
+(10698, 17, 39, 8, 0.05),
+(10698, 29, 123.79, 12, 0.05),
+(10698, 65, 21.05, 65, 0.05),
+(10698, 70, 15, 8, 0.05),
+(10699, 47, 9.5, 12, 0.0),
+(10700, 1, 18, 5, 0.2),
+(10700, 34, 14, 12, 0.2),
+(10700, 68, 12.5, 40, 0.2),
+(10700, 71, 21.5, 60, 0.2),
+(10701, 59, 55, 42, 0.15),
+(10701, 71, 21.5, 20, 0.15),
+(10701, 76, 18, 35, 0.15),
+(10702, 3, 10, 6, 0.0),
+(10702, 76, 18, 15, 0.0),
+(10703, 2, 19, 5, 0.0),
+(10703, 59, 55, 35, 0.0),
+(10703, 73, 15, 35, 0.0),
+(10704, 4, 22, 6, 0.0),
+(10704, 24, 4.5, 35, 0.0),
+(10704, 48, 12.75, 24, 0.0),
+(10705, 31, 12.5, 20, 0.0),
+(10705, 32, 32, 4, 0.0),
+(10706, 16, 17.45, 20, 0.0),
+(10706, 43, 46, 24, 0.0),
+(10706, 59, 55, 8, 0.0),
+(10707, 55, 24, 21, 0.0),
+(10707, 57, 19.5, 40, 0.0),
+(10707, 70, 15, 28, 0.15),
+(10708, 5, 21.35, 4, 0.0),
+(10708, 36, 19, 5, 0.0),
+(10709, 8, 40, 40, 0.0),
+(10709, 51, 53, 28, 0.0),
+(10709, 60, 34, 10, 0.0),
+(10710, 19, 9.2, 5, 0.0),
+(10710, 47, 9.5, 5, 0.0),
+(10711, 19, 9.2, 12, 0.0),
+(10711, 41, 9.65, 42, 0.0),
+(10711, 53, 32.8, 120, 0.0),
+(10712, 53, 32.8, 3, 0.05),
+(10712, 56, 38, 30, 0.0),
+(10713, 10, 31, 18, 0.0),
+(10713, 26, 31.23, 30, 0.0),
+(10713, 45, 9.5, 110, 0.0),
+(10713, 46, 12, 24, 0.0),
+(10714, 2, 19, 30, 0.25),
+(10714, 17, 39, 27, 0.25),
+(10714, 47, 9.5, 50, 0.25),
+(10714, 56, 38, 18, 0.25),
+(10714, 58, 13.25, 12, 0.25),
+(10715, 10, 31, 21, 0.0),
+(10715, 71, 21.5, 30, 0.0),
+(10716, 21, 10, 5, 0.0),
+(10716, 51, 53, 7, 0.0),
+(10716, 61, 28.5, 10, 0.0),
+(10717, 21, 10, 32, 0.05),
+(10717, 54, 7.45, 15, 0.0),
+(10717, 69, 36, 25, 0.05),
+(10718, 12, 38, 36, 0.0),
+(10718, 16, 17.45, 20, 0.0),
+(10718, 36, 19, 40, 0.0),
+(10718, 62, 49.3, 20, 0.0),
+(10719, 18, 62.5, 12, 0.25),
+(10719, 30, 25.89, 3, 0.25),
+(10719, 54, 7.45, 40, 0.25),
+(10720, 35, 18, 21, 0.0),
+(10720, 71, 21.5, 8, 0.0),
+(10721, 44, 19.45, 50, 0.05),
+(10722, 2, 19, 3, 0.0),
+(10722, 31, 12.5, 50, 0.0),
+(10722, 68, 12.5, 45, 0.0),
+(10722, 75, 7.75, 42, 0.0),
+(10723, 26, 31.23, 15, 0.0),
+(10724, 10, 31, 16, 0.0),
+(10724, 61, 28.5, 5, 0.0),
+(10725, 41, 9.65, 12, 0.0),
+(10725, 52, 7, 4, 0.0),
+(10725, 55, 24, 6, 0.0),
+(10726, 4, 22, 25, 0.0),
+(10726, 11, 21, 5, 0.0),
+(10727, 17, 39, 20, 0.05),
+(10727, 56, 38, 10, 0.05),
+(10727, 59, 55, 10, 0.05),
+(10728, 30, 25.89, 15, 0.0),
+(10728, 40, 18.4, 6, 0.0),
+(10728, 55, 24, 12, 0.0),
+(10728, 60, 34, 15, 0.0),
+(10729, 1, 18, 50, 0.0),
+(10729, 21, 10, 30, 0.0),
+(10729, 50, 16.25, 40, 0.0),
+(10730, 16, 17.45, 15, 0.05),
+(10730, 31, 12.5, 3, 0.05),
+(10730, 65, 21.05, 10, 0.05),
+(10731, 21, 10, 40, 0.05),
+(10731, 51, 53, 30, 0.05),
+(10732, 76, 18, 20, 0.0),
+(10733, 14, 23.25, 16, 0.0),
+(10733, 28, 45.6, 20, 0.0),
+(10733, 52, 7, 25, 0.0),
+(10734, 6, 25, 30, 0.0),
+(10734, 30, 25.89, 15, 0.0),
+(10734, 76, 18, 20, 0.0),
+(10735, 61, 28.5, 20, 0.1),
+(10735, 77, 13, 2, 0.1),
+(10736, 65, 21.05, 40, 0.0),
+(10736, 75, 7.75, 20, 0.0),
+(10737, 13, 6, 4, 0.0),
+(10737, 41, 9.65, 12, 0.0),
+(10738, 16, 17.45, 3, 0.0),
+(10739, 36, 19, 6, 0.0),
+(10739, 52, 7, 18, 0.0),
+(10740, 28, 45.6, 5, 0.2),
+(10740, 35, 18, 35, 0.2),
+(10740, 45, 9.5, 40, 0.2),
+(10740, 56, 38, 14, 0.2),
+(10741, 2, 19, 15, 0.2),
+(10742, 3, 10, 20, 0.0),
+(10742, 60, 34, 50, 0.0),
+(10742, 72, 34.8, 35, 0.0),
+(10743, 46, 12, 28, 0.05),
+(10744, 40, 18.4, 50, 0.2),
+(10745, 18, 62.5, 24, 0.0),
+(10745, 44, 19.45, 16, 0.0),
+(10745, 59, 55, 45, 0.0),
+(10745, 72, 34.8, 7, 0.0),
+(10746, 13, 6, 6, 0.0),
+(10746, 42, 14, 28, 0.0),
+(10746, 62, 49.3, 9, 0.0),
+(10746, 69, 36, 40, 0.0),
+(10747, 31, 12.5, 8, 0.0),
+(10747, 41, 9.65, 35, 0.0),
+(10747, 63, 43.9, 9, 0.0),
+(10747, 69, 36, 30, 0.0),
+(10748, 23, 9, 44, 0.0),
+(10748, 40, 18.4, 40, 0.0),
+(10748, 56, 38, 28, 0.0),
+(10749, 56, 38, 15, 0.0),
+(10749, 59, 55, 6, 0.0),
+(10749, 76, 18, 10, 0.0),
+(10750, 14, 23.25, 5, 0.15),
+(10750, 45, 9.5, 40, 0.15),
+(10750, 59, 55, 25, 0.15),
+(10751, 26, 31.23, 12, 0.1),
+(10751, 30, 25.89, 30, 0.0),
+(10751, 50, 16.25, 20, 0.1),
+(10751, 73, 15, 15, 0.0),
+(10752, 1, 18, 8, 0.0),
+(10752, 69, 36, 3, 0.0),
+(10753, 45, 9.5, 4, 0.0),
+(10753, 74, 10, 5, 0.0),
+(10754, 40, 18.4, 3, 0.0),
+(10755, 47, 9.5, 30, 0.25),
+(10755, 56, 38, 30, 0.25),
+(10755, 57, 19.5, 14, 0.25),
+(10755, 69, 36, 25, 0.25),
+(10756, 18, 62.5, 21, 0.2),
+(10756, 36, 19, 20, 0.2),
+(10756, 68, 12.5, 6, 0.2),
+(10756, 69, 36, 20, 0.2),
+(10757, 34, 14, 30, 0.0),
+(10757, 59, 55, 7, 0.0),
+(10757, 62, 49.3, 30, 0.0),
+(10757, 64, 33.25, 24, 0.0),
+(10758, 26, 31.23, 20, 0.0),
+(10758, 52, 7, 60, 0.0),
+(10758, 70, 15, 40, 0.0),
+(10759, 32, 32, 10, 0.0),
+(10760, 25, 14, 12, 0.25),
+(10760, 27, 43.9, 40, 0.0),
+(10760, 43, 46, 30, 0.25),
+(10761, 25, 14, 35, 0.25),
+(10761, 75, 7.75, 18, 0.0),
+(10762, 39, 18, 16, 0.0),
+(10762, 47, 9.5, 30, 0.0),
+(10762, 51, 53, 28, 0.0),
+(10762, 56, 38, 60, 0.0),
+(10763, 21, 10, 40, 0.0),
+(10763, 22, 21, 6, 0.0),
+(10763, 24, 4.5, 20, 0.0),
+(10764, 3, 10, 20, 0.1),
+(10764, 39, 18, 130, 0.1),
+(10765, 65, 21.05, 80, 0.1),
+(10766, 2, 19, 40, 0.0),
+(10766, 7, 30, 35, 0.0),
+(10766, 68, 12.5, 40, 0.0),
+(10767, 42, 14, 2, 0.0),
+(10768, 22, 21, 4, 0.0),
+(10768, 31, 12.5, 50, 0.0),
+(10768, 60, 34, 15, 0.0),
+(10768, 71, 21.5, 12, 0.0),
+(10769, 41, 9.65, 30, 0.05),
+(10769, 52, 7, 15, 0.05),
+(10769, 61, 28.5, 20, 0.0),
+(10769, 62, 49.3, 15, 0.0),
+(10770, 11, 21, 15, 0.25),
+(10771, 71, 21.5, 16, 0.0),
+(10772, 29, 123.79, 18, 0.0),
+(10772, 59, 55, 25, 0.0),
+(10773, 17, 39, 33, 0.0),
+(10773, 31, 12.5, 70, 0.2),
+(10773, 75, 7.75, 7, 0.2),
+(10774, 31, 12.5, 2, 0.25),
+(10774, 66, 17, 50, 0.0),
+(10775, 10, 31, 6, 0.0),
+(10775, 67, 14, 3, 0.0),
+(10776, 31, 12.5, 16, 0.05),
+(10776, 42, 14, 12, 0.05),
+(10776, 45, 9.5, 27, 0.05),
+(10776, 51, 53, 120, 0.05),
+(10777, 42, 14, 20, 0.2),
+(10778, 41, 9.65, 10, 0.0),
+(10779, 16, 17.45, 20, 0.0),
+(10779, 62, 49.3, 20, 0.0),
+(10780, 70, 15, 35, 0.0),
+(10780, 77, 13, 15, 0.0),
+(10781, 54, 7.45, 3, 0.2),
+(10781, 56, 38, 20, 0.2),
+(10781, 74, 10, 35, 0.0),
+(10782, 31, 12.5, 1, 0.0),
+(10783, 31, 12.5, 10, 0.0),
+(10783, 38, 263.5, 5, 0.0),
+(10784, 36, 19, 30, 0.0),
+(10784, 39, 18, 2, 0.15),
+(10784, 72, 34.8, 30, 0.15),
+(10785, 10, 31, 10, 0.0),
+(10785, 75, 7.75, 10, 0.0),
+(10786, 8, 40, 30, 0.2),
+(10786, 30, 25.89, 15, 0.2),
+(10786, 75, 7.75, 42, 0.2),
+(10787, 2, 19, 15, 0.05),
+(10787, 29, 123.79, 20, 0.05),
+(10788, 19, 9.2, 50, 0.05),
+(10788, 75, 7.75, 40, 0.05),
+(10789, 18, 62.5, 30, 0.0),
+(10789, 35, 18, 15, 0.0),
+(10789, 63, 43.9, 30, 0.0),
+(10789, 68, 12.5, 18, 0.0),
+(10790, 7, 30, 3, 0.15),
+(10790, 56, 38, 20, 0.15),
+(10791, 29, 123.79, 14, 0.05),
+(10791, 41, 9.65, 20, 0.05),
+(10792, 2, 19, 10, 0.0),
+(10792, 54, 7.45, 3, 0.0),
+(10792, 68, 12.5, 15, 0.0),
+(10793, 41, 9.65, 14, 0.0),
+(10793, 52, 7, 8, 0.0),
+(10794, 14, 23.25, 15, 0.2),
+(10794, 54, 7.45, 6, 0.2),
+(10795, 16, 17.45, 65, 0.0),
+(10795, 17, 39, 35, 0.25),
+(10796, 26, 31.23, 21, 0.2),
+(10796, 44, 19.45, 10, 0.0),
+(10796, 64, 33.25, 35, 0.2),
+(10796, 69, 36, 24, 0.2),
+(10797, 11, 21, 20, 0.0),
+(10798, 62, 49.3, 2, 0.0),
+(10798, 72, 34.8, 10, 0.0),
+(10799, 13, 6, 20, 0.15),
+(10799, 24, 4.5, 20, 0.15),
+(10799, 59, 55, 25, 0.0),
+(10800, 11, 21, 50, 0.1),
+(10800, 51, 53, 10, 0.1),
+(10800, 54, 7.45, 7, 0.1),
+(10801, 17, 39, 40, 0.25),
+(10801, 29, 123.79, 20, 0.25),
+(10802, 30, 25.89, 25, 0.25),
+(10802, 51, 53, 30, 0.25),
+(10802, 55, 24, 60, 0.25),
+(10802, 62, 49.3, 5, 0.25),
+(10803, 19, 9.2, 24, 0.05),
+(10803, 25, 14, 15, 0.05),
+(10803, 59, 55, 15, 0.05),
+(10804, 10, 31, 36, 0.0),
+(10804, 28, 45.6, 24, 0.0),
+(10804, 49, 20, 4, 0.15),
+(10805, 34, 14, 10, 0.0),
+(10805, 38, 263.5, 10, 0.0),
+(10806, 2, 19, 20, 0.25),
+(10806, 65, 21.05, 2, 0.0),
+(10806, 74, 10, 15, 0.25),
+(10807, 40, 18.4, 1, 0.0),
+(10808, 56, 38, 20, 0.15),
+(10808, 76, 18, 50, 0.15),
+(10809, 52, 7, 20, 0.0),
+(10810, 13, 6, 7, 0.0),
+(10810, 25, 14, 5, 0.0),
+(10810, 70, 15, 5, 0.0),
+(10811, 19, 9.2, 15, 0.0),
+(10811, 23, 9, 18, 0.0),
+(10811, 40, 18.4, 30, 0.0),
+(10812, 31, 12.5, 16, 0.1),
+(10812, 72, 34.8, 40, 0.1),
+(10812, 77, 13, 20, 0.0),
+(10813, 2, 19, 12, 0.2),
+(10813, 46, 12, 35, 0.0),
+(10814, 41, 9.65, 20, 0.0),
+(10814, 43, 46, 20, 0.15),
+(10814, 48, 12.75, 8, 0.15),
+(10814, 61, 28.5, 30, 0.15),
+(10815, 33, 2.5, 16, 0.0),
+(10816, 38, 263.5, 30, 0.05),
+(10816, 62, 49.3, 20, 0.05),
+(10817, 26, 31.23, 40, 0.15),
+(10817, 38, 263.5, 30, 0.0),
+(10817, 40, 18.4, 60, 0.15),
+(10817, 62, 49.3, 25, 0.15),
+(10818, 32, 32, 20, 0.0),
+(10818, 41, 9.65, 20, 0.0),
+(10819, 43, 46, 7, 0.0),
+(10819, 75, 7.75, 20, 0.0),
+(10820, 56, 38, 30, 0.0),
+(10821, 35, 18, 20, 0.0),
+(10821, 51, 53, 6, 0.0),
+(10822, 62, 49.3, 3, 0.0),
+(10822, 70, 15, 6, 0.0),
+(10823, 11, 21, 20, 0.1),
+(10823, 57, 19.5, 15, 0.0);
+
+INSERT INTO "OrderDetails" ("OrderID", "ProductID", "UnitPrice", "Quantity", "Discount") VALUES
+(10823, 59, 55, 40, 0.1),
+(10823, 77, 13, 15, 0.1),
+(10824, 41, 9.65, 12, 0.0),
+(10824, 70, 15, 9, 0.0),
+(10825, 26, 31.23, 12, 0.0),
+(10825, 53, 32.8, 20, 0.0),
+(10826, 31, 12.5, 35, 0.0),
+(10826, 57, 19.5, 15, 0.0),
+(10827, 10, 31, 15, 0.0),
+(10827, 39, 18, 21, 0.0),
+(10828, 20, 81, 5, 0.0),
+(10828, 38, 263.5, 2, 0.0),
+(10829, 2, 19, 10, 0.0),
+(10829, 8, 40, 20, 0.0),
+(10829, 13, 6, 10, 0.0),
+(10829, 60, 34, 21, 0.0),
+(10830, 6, 25, 6, 0.0),
+(10830, 39, 18, 28, 0.0),
+(10830, 60, 34, 30, 0.0),
+(10830, 68, 12.5, 24, 0.0),
+(10831, 19, 9.2, 2, 0.0),
+(10831, 35, 18, 8, 0.0),
+(10831, 38, 263.5, 8, 0.0),
+(10831, 43, 46, 9, 0.0),
+(10832, 13, 6, 3, 0.2),
+(10832, 25, 14, 10, 0.2),
+(10832, 44, 19.45, 16, 0.2),
+(10832, 64, 33.25, 3, 0.0),
+(10833, 7, 30, 20, 0.1),
+(10833, 31, 12.5, 9, 0.1),
+(10833, 53, 32.8, 9, 0.1),
+(10834, 29, 123.79, 8, 0.05),
+(10834, 30, 25.89, 20, 0.05),
+(10835, 59, 55, 15, 0.0),
+(10835, 77, 13, 2, 0.2),
+(10836, 22, 21, 52, 0.0),
+(10836, 35, 18, 6, 0.0),
+(10836, 57, 19.5, 24, 0.0),
+(10836, 60, 34, 60, 0.0),
+(10836, 64, 33.25, 30, 0.0),
+(10837, 13, 6, 6, 0.0),
+(10837, 40, 18.4, 25, 0.0),
+(10837, 47, 9.5, 40, 0.25),
+(10837, 76, 18, 21, 0.25),
+(10838, 1, 18, 4, 0.25),
+(10838, 18, 62.5, 25, 0.25),
+(10838, 36, 19, 50, 0.25),
+(10839, 58, 13.25, 30, 0.1),
+(10839, 72, 34.8, 15, 0.1),
+(10840, 25, 14, 6, 0.2),
+(10840, 39, 18, 10, 0.2),
+(10841, 10, 31, 16, 0.0),
+(10841, 56, 38, 30, 0.0),
+(10841, 59, 55, 50, 0.0),
+(10841, 77, 13, 15, 0.0),
+(10842, 11, 21, 15, 0.0),
+(10842, 43, 46, 5, 0.0),
+(10842, 68, 12.5, 20, 0.0),
+(10842, 70, 15, 12, 0.0),
+(10843, 51, 53, 4, 0.25),
+(10844, 22, 21, 35, 0.0),
+(10845, 23, 9, 70, 0.1),
+(10845, 35, 18, 25, 0.1),
+(10845, 42, 14, 42, 0.1),
+(10845, 58, 13.25, 60, 0.1),
+(10845, 64, 33.25, 48, 0.0),
+(10846, 4, 22, 21, 0.0),
+(10846, 70, 15, 30, 0.0),
+(10846, 74, 10, 20, 0.0),
+(10847, 1, 18, 80, 0.2),
+(10847, 19, 9.2, 12, 0.2),
+(10847, 37, 26, 60, 0.2),
+(10847, 45, 9.5, 36, 0.2),
+(10847, 60, 34, 45, 0.2),
+(10847, 71, 21.5, 55, 0.2),
+(10848, 5, 21.35, 30, 0.0),
+(10848, 9, 97, 3, 0.0),
+(10849, 3, 10, 49, 0.0),
+(10849, 26, 31.23, 18, 0.15),
+(10850, 25, 14, 20, 0.15),
+(10850, 33, 2.5, 4, 0.15),
+(10850, 70, 15, 30, 0.15),
+(10851, 2, 19, 5, 0.05),
+(10851, 25, 14, 10, 0.05),
+(10851, 57, 19.5, 10, 0.05),
+(10851, 59, 55, 42, 0.05),
+(10852, 2, 19, 15, 0.0),
+(10852, 17, 39, 6, 0.0),
+(10852, 62, 49.3, 50, 0.0),
+(10853, 18, 62.5, 10, 0.0),
+(10854, 10, 31, 100, 0.15),
+(10854, 13, 6, 65, 0.15),
+(10855, 16, 17.45, 50, 0.0),
+(10855, 31, 12.5, 14, 0.0),
+(10855, 56, 38, 24, 0.0),
+(10855, 65, 21.05, 15, 0.15),
+(10856, 2, 19, 20, 0.0),
+(10856, 42, 14, 20, 0.0),
+(10857, 3, 10, 30, 0.0),
+(10857, 26, 31.23, 35, 0.25),
+(10857, 29, 123.79, 10, 0.25),
+(10858, 7, 30, 5, 0.0),
+(10858, 27, 43.9, 10, 0.0),
+(10858, 70, 15, 4, 0.0),
+(10859, 24, 4.5, 40, 0.25),
+(10859, 54, 7.45, 35, 0.25),
+(10859, 64, 33.25, 30, 0.25),
+(10860, 51, 53, 3, 0.0),
+(10860, 76, 18, 20, 0.0),
+(10861, 17, 39, 42, 0.0),
+(10861, 18, 62.5, 20, 0.0),
+(10861, 21, 10, 40, 0.0),
+(10861, 33, 2.5, 35, 0.0),
+(10861, 62, 49.3, 3, 0.0),
+(10862, 11, 21, 25, 0.0),
+(10862, 52, 7, 8, 0.0),
+(10863, 1, 18, 20, 0.15),
+(10863, 58, 13.25, 12, 0.15),
+(10864, 35, 18, 4, 0.0),
+(10864, 67, 14, 15, 0.0),
+(10865, 38, 263.5, 60, 0.05),
+(10865, 39, 18, 80, 0.05),
+(10866, 2, 19, 21, 0.25),
+(10866, 24, 4.5, 6, 0.25),
+(10866, 30, 25.89, 40, 0.25),
+(10867, 53, 32.8, 3, 0.0),
+(10868, 26, 31.23, 20, 0.0),
+(10868, 35, 18, 30, 0.0),
+(10868, 49, 20, 42, 0.1),
+(10869, 1, 18, 40, 0.0),
+(10869, 11, 21, 10, 0.0),
+(10869, 23, 9, 50, 0.0),
+(10869, 68, 12.5, 20, 0.0),
+(10870, 35, 18, 3, 0.0),
+(10870, 51, 53, 2, 0.0),
+(10871, 6, 25, 50, 0.05),
+(10871, 16, 17.45, 12, 0.05),
+(10871, 17, 39, 16, 0.05),
+(10872, 55, 24, 10, 0.05),
+(10872, 62, 49.3, 20, 0.05),
+(10872, 64, 33.25, 15, 0.05),
+(10872, 65, 21.05, 21, 0.05),
+(10873, 21, 10, 20, 0.0),
+(10873, 28, 45.6, 3, 0.0),
+(10874, 10, 31, 10, 0.0),
+(10875, 19, 9.2, 25, 0.0),
+(10875, 47, 9.5, 21, 0.1),
+(10875, 49, 20, 15, 0.0),
+(10876, 46, 12, 21, 0.0),
+(10876, 64, 33.25, 20, 0.0),
+(10877, 16, 17.45, 30, 0.25),
+(10877, 18, 62.5, 25, 0.0),
+(10878, 20, 81, 20, 0.05),
+(10879, 40, 18.4, 12, 0.0),
+(10879, 65, 21.05, 10, 0.0),
+(10879, 76, 18, 10, 0.0),
+(10880, 23, 9, 30, 0.2),
+(10880, 61, 28.5, 30, 0.2),
+(10880, 70, 15, 50, 0.2),
+(10881, 73, 15, 10, 0.0),
+(10882, 42, 14, 25, 0.0),
+(10882, 49, 20, 20, 0.15),
+(10882, 54, 7.45, 32, 0.15),
+(10883, 24, 4.5, 8, 0.0),
+(10884, 21, 10, 40, 0.05),
+(10884, 56, 38, 21, 0.05),
+(10884, 65, 21.05, 12, 0.05),
+(10885, 2, 19, 20, 0.0),
+(10885, 24, 4.5, 12, 0.0),
+(10885, 70, 15, 30, 0.0),
+(10885, 77, 13, 25, 0.0),
+(10886, 10, 31, 70, 0.0),
+(10886, 31, 12.5, 35, 0.0),
+(10886, 77, 13, 40, 0.0),
+(10887, 25, 14, 5, 0.0),
+(10888, 2, 19, 20, 0.0),
+(10888, 68, 12.5, 18, 0.0),
+(10889, 11, 21, 40, 0.0),
+(10889, 38, 263.5, 40, 0.0),
+(10890, 17, 39, 15, 0.0),
+(10890, 34, 14, 10, 0.0),
+(10890, 41, 9.65, 14, 0.0),
+(10891, 30, 25.89, 15, 0.05),
+(10892, 59, 55, 40, 0.05),
+(10893, 8, 40, 30, 0.0),
+(10893, 24, 4.5, 10, 0.0),
+(10893, 29, 123.79, 24, 0.0),
+(10893, 30, 25.89, 35, 0.0),
+(10893, 36, 19, 20, 0.0),
+(10894, 13, 6, 28, 0.05),
+(10894, 69, 36, 50, 0.05),
+(10894, 75, 7.75, 120, 0.05),
+(10895, 24, 4.5, 110, 0.0),
+(10895, 39, 18, 45, 0.0),
+(10895, 40, 18.4, 91, 0.0),
+(10895, 60, 34, 100, 0.0),
+(10896, 45, 9.5, 15, 0.0),
+(10896, 56, 38, 16, 0.0),
+(10897, 29, 123.79, 80, 0.0),
+(10897, 30, 25.89, 36, 0.0),
+(10898, 13, 6, 5, 0.0),
+(10899, 39, 18, 8, 0.15),
+(10900, 70, 15, 3, 0.25),
+(10901, 41, 9.65, 30, 0.0),
+(10901, 71, 21.5, 30, 0.0),
+(10902, 55, 24, 30, 0.15),
+(10902, 62, 49.3, 6, 0.15),
+(10903, 13, 6, 40, 0.0),
+(10903, 65, 21.05, 21, 0.0),
+(10903, 68, 12.5, 20, 0.0),
+(10904, 58, 13.25, 15, 0.0),
+(10904, 62, 49.3, 35, 0.0),
+(10905, 1, 18, 20, 0.05),
+(10906, 61, 28.5, 15, 0.0),
+(10907, 75, 7.75, 14, 0.0),
+(10908, 7, 30, 20, 0.05),
+(10908, 52, 7, 14, 0.05),
+(10909, 7, 30, 12, 0.0),
+(10909, 16, 17.45, 15, 0.0),
+(10909, 41, 9.65, 5, 0.0),
+(10910, 19, 9.2, 12, 0.0),
+(10910, 49, 20, 10, 0.0),
+(10910, 61, 28.5, 5, 0.0),
+(10911, 1, 18, 10, 0.0),
+(10911, 17, 39, 12, 0.0),
+(10911, 67, 14, 15, 0.0),
+(10912, 11, 21, 40, 0.25),
+(10912, 29, 123.79, 60, 0.25),
+(10913, 4, 22, 30, 0.25),
+(10913, 33, 2.5, 40, 0.25),
+(10913, 58, 13.25, 15, 0.0),
+(10914, 71, 21.5, 25, 0.0),
+(10915, 17, 39, 10, 0.0),
+(10915, 33, 2.5, 30, 0.0),
+(10915, 54, 7.45, 10, 0.0),
+(10916, 16, 17.45, 6, 0.0),
+(10916, 32, 32, 6, 0.0),
+(10916, 57, 19.5, 20, 0.0),
+(10917, 30, 25.89, 1, 0.0),
+(10917, 60, 34, 10, 0.0),
+(10918, 1, 18, 60, 0.25),
+(10918, 60, 34, 25, 0.25),
+(10919, 16, 17.45, 24, 0.0),
+(10919, 25, 14, 24, 0.0),
+(10919, 40, 18.4, 20, 0.0),
+(10920, 50, 16.25, 24, 0.0),
+(10921, 35, 18, 10, 0.0),
+(10921, 63, 43.9, 40, 0.0),
+(10922, 17, 39, 15, 0.0),
+(10922, 24, 4.5, 35, 0.0),
+(10923, 42, 14, 10, 0.2),
+(10923, 43, 46, 10, 0.2),
+(10923, 67, 14, 24, 0.2),
+(10924, 10, 31, 20, 0.1),
+(10924, 28, 45.6, 30, 0.1),
+(10924, 75, 7.75, 6, 0.0),
+(10925, 36, 19, 25, 0.15),
+(10925, 52, 7, 12, 0.15),
+(10926, 11, 21, 2, 0.0),
+(10926, 13, 6, 10, 0.0),
+(10926, 19, 9.2, 7, 0.0),
+(10926, 72, 34.8, 10, 0.0),
+(10927, 20, 81, 5, 0.0),
+(10927, 52, 7, 5, 0.0),
+(10927, 76, 18, 20, 0.0),
+(10928, 47, 9.5, 5, 0.0),
+(10928, 76, 18, 5, 0.0),
+(10929, 21, 10, 60, 0.0),
+(10929, 75, 7.75, 49, 0.0),
+(10929, 77, 13, 15, 0.0),
+(10930, 21, 10, 36, 0.0),
+(10930, 27, 43.9, 25, 0.0),
+(10930, 55, 24, 25, 0.2),
+(10930, 58, 13.25, 30, 0.2),
+(10931, 13, 6, 42, 0.15),
+(10931, 57, 19.5, 30, 0.0),
+(10932, 16, 17.45, 30, 0.1),
+(10932, 62, 49.3, 14, 0.1),
+(10932, 72, 34.8, 16, 0.0),
+(10932, 75, 7.75, 20, 0.1),
+(10933, 53, 32.8, 2, 0.0),
+(10933, 61, 28.5, 30, 0.0),
+(10934, 6, 25, 20, 0.0),
+(10935, 1, 18, 21, 0.0),
+(10935, 18, 62.5, 4, 0.25),
+(10935, 23, 9, 8, 0.25),
+(10936, 36, 19, 30, 0.2),
+(10937, 28, 45.6, 8, 0.0),
+(10937, 34, 14, 20, 0.0),
+(10938, 13, 6, 20, 0.25),
+(10938, 43, 46, 24, 0.25),
+(10938, 60, 34, 49, 0.25),
+(10938, 71, 21.5, 35, 0.25),
+(10939, 2, 19, 10, 0.15),
+(10939, 67, 14, 40, 0.15),
+(10940, 7, 30, 8, 0.0),
+(10940, 13, 6, 20, 0.0),
+(10941, 31, 12.5, 44, 0.25),
+(10941, 62, 49.3, 30, 0.25),
+(10941, 68, 12.5, 80, 0.25),
+(10941, 72, 34.8, 50, 0.0),
+(10942, 49, 20, 28, 0.0),
+(10943, 13, 6, 15, 0.0),
+(10943, 22, 21, 21, 0.0),
+(10943, 46, 12, 15, 0.0),
+(10944, 11, 21, 5, 0.25),
+(10944, 44, 19.45, 18, 0.25),
+(10944, 56, 38, 18, 0.0),
+(10945, 13, 6, 20, 0.0),
+(10945, 31, 12.5, 10, 0.0),
+(10946, 10, 31, 25, 0.0),
+(10946, 24, 4.5, 25, 0.0),
+(10946, 77, 13, 40, 0.0),
+(10947, 59, 55, 4, 0.0),
+(10948, 50, 16.25, 9, 0.0),
+(10948, 51, 53, 40, 0.0),
+(10948, 55, 24, 4, 0.0),
+(10949, 6, 25, 12, 0.0),
+(10949, 10, 31, 30, 0.0),
+(10949, 17, 39, 6, 0.0),
+(10949, 62, 49.3, 60, 0.0),
+(10950, 4, 22, 5, 0.0),
+(10951, 33, 2.5, 15, 0.05),
+(10951, 41, 9.65, 6, 0.05),
+(10951, 75, 7.75, 50, 0.05),
+(10952, 6, 25, 16, 0.05),
+(10952, 28, 45.6, 2, 0.0),
+(10953, 20, 81, 50, 0.05),
+(10953, 31, 12.5, 50, 0.05),
+(10954, 16, 17.45, 28, 0.15),
+(10954, 31, 12.5, 25, 0.15),
+(10954, 45, 9.5, 30, 0.0),
+(10954, 60, 34, 24, 0.15),
+(10955, 75, 7.75, 12, 0.2),
+(10956, 21, 10, 12, 0.0),
+(10956, 47, 9.5, 14, 0.0),
+(10956, 51, 53, 8, 0.0),
+(10957, 30, 25.89, 30, 0.0),
+(10957, 35, 18, 40, 0.0),
+(10957, 64, 33.25, 8, 0.0),
+(10958, 5, 21.35, 20, 0.0),
+(10958, 7, 30, 6, 0.0),
+(10958, 72, 34.8, 5, 0.0),
+(10959, 75, 7.75, 20, 0.15),
+(10960, 24, 4.5, 10, 0.25),
+(10960, 41, 9.65, 24, 0.0),
+(10961, 52, 7, 6, 0.05),
+(10961, 76, 18, 60, 0.0),
+(10962, 7, 30, 45, 0.0),
+(10962, 13, 6, 77, 0.0),
+(10962, 53, 32.8, 20, 0.0),
+(10962, 69, 36, 9, 0.0),
+(10962, 76, 18, 44, 0.0),
+(10963, 60, 34, 2, 0.15),
+(10964, 18, 62.5, 6, 0.0),
+(10964, 38, 263.5, 5, 0.0),
+(10964, 69, 36, 10, 0.0),
+(10965, 51, 53, 16, 0.0),
+(10966, 37, 26, 8, 0.0),
+(10966, 56, 38, 12, 0.15),
+(10966, 62, 49.3, 12, 0.15),
+(10967, 19, 9.2, 12, 0.0),
+(10967, 49, 20, 40, 0.0),
+(10968, 12, 38, 30, 0.0),
+(10968, 24, 4.5, 30, 0.0),
+(10968, 64, 33.25, 4, 0.0),
+(10969, 46, 12, 9, 0.0),
+(10970, 52, 7, 40, 0.2),
+(10971, 29, 123.79, 14, 0.0),
+(10972, 17, 39, 6, 0.0),
+(10972, 33, 2.5, 7, 0.0),
+(10973, 26, 31.23, 5, 0.0),
+(10973, 41, 9.65, 6, 0.0),
+(10973, 75, 7.75, 10, 0.0),
+(10974, 63, 43.9, 10, 0.0),
+(10975, 8, 40, 16, 0.0),
+(10975, 75, 7.75, 10, 0.0),
+(10976, 28, 45.6, 20, 0.0),
+(10977, 39, 18, 30, 0.0),
+(10977, 47, 9.5, 30, 0.0),
+(10977, 51, 53, 10, 0.0),
+(10977, 63, 43.9, 20, 0.0),
+(10978, 8, 40, 20, 0.15),
+(10978, 21, 10, 40, 0.15),
+(10978, 40, 18.4, 10, 0.0),
+(10978, 44, 19.45, 6, 0.15),
+(10979, 7, 30, 18, 0.0),
+(10979, 12, 38, 20, 0.0),
+(10979, 24, 4.5, 80, 0.0),
+(10979, 27, 43.9, 30, 0.0),
+(10979, 31, 12.5, 24, 0.0),
+(10979, 63, 43.9, 35, 0.0),
+(10980, 75, 7.75, 40, 0.2),
+(10981, 38, 263.5, 60, 0.0),
+(10982, 7, 30, 20, 0.0),
+(10982, 43, 46, 9, 0.0),
+(10983, 13, 6, 84, 0.15),
+(10983, 57, 19.5, 15, 0.0),
+(10984, 16, 17.45, 55, 0.0),
+(10984, 24, 4.5, 20, 0.0),
+(10984, 36, 19, 40, 0.0),
+(10985, 16, 17.45, 36, 0.1),
+(10985, 18, 62.5, 8, 0.1),
+(10985, 32, 32, 35, 0.1),
+(10986, 11, 21, 30, 0.0),
+(10986, 20, 81, 15, 0.0),
+(10986, 76, 18, 10, 0.0),
+(10986, 77, 13, 15, 0.0),
+(10987, 7, 30, 60, 0.0),
+(10987, 43, 46, 6, 0.0),
+(10987, 72, 34.8, 20, 0.0),
+(10988, 7, 30, 60, 0.0),
+(10988, 62, 49.3, 40, 0.1),
+(10989, 6, 25, 40, 0.0),
+(10989, 11, 21, 15, 0.0),
+(10989, 41, 9.65, 4, 0.0),
+(10990, 21, 10, 65, 0.0),
+(10990, 34, 14, 60, 0.15),
+(10990, 55, 24, 65, 0.15),
+(10990, 61, 28.5, 66, 0.15),
+(10991, 2, 19, 50, 0.2),
+(10991, 70, 15, 20, 0.2),
+(10991, 76, 18, 90, 0.2),
+(10992, 72, 34.8, 2, 0.0),
+(10993, 29, 123.79, 50, 0.25),
+(10993, 41, 9.65, 35, 0.25),
+(10994, 59, 55, 18, 0.05),
+(10995, 51, 53, 20, 0.0),
+(10995, 60, 34, 4, 0.0),
+(10996, 42, 14, 40, 0.0),
+(10997, 32, 32, 50, 0.0),
+(10997, 46, 12, 20, 0.25),
+(10997, 52, 7, 20, 0.25),
+(10998, 24, 4.5, 12, 0.0),
+(10998, 61, 28.5, 7, 0.0),
+(10998, 74, 10, 20, 0.0),
+(10998, 75, 7.75, 30, 0.0),
+(10999, 41, 9.65, 20, 0.05),
+(10999, 51, 53, 15, 0.05),
+(10999, 77, 13, 21, 0.05),
+(11000, 4, 22, 25, 0.25),
+(11000, 24, 4.5, 30, 0.25),
+(11000, 77, 13, 30, 0.0),
+(11001, 7, 30, 60, 0.0),
+(11001, 22, 21, 25, 0.0),
+(11001, 46, 12, 25, 0.0),
+(11001, 55, 24, 6, 0.0),
+(11002, 13, 6, 56, 0.0),
+(11002, 35, 18, 15, 0.15),
+(11002, 42, 14, 24, 0.15),
+(11002, 55, 24, 40, 0.0),
+(11003, 1, 18, 4, 0.0),
+(11003, 40, 18.4, 10, 0.0),
+(11003, 52, 7, 10, 0.0),
+(11004, 26, 31.23, 6, 0.0),
+(11004, 76, 18, 6, 0.0),
+(11005, 1, 18, 2, 0.0),
+(11005, 59, 55, 10, 0.0),
+(11006, 1, 18, 8, 0.0),
+(11006, 29, 123.79, 2, 0.25),
+(11007, 8, 40, 30, 0.0),
+(11007, 29, 123.79, 10, 0.0),
+(11007, 42, 14, 14, 0.0),
+(11008, 28, 45.6, 70, 0.05),
+(11008, 34, 14, 90, 0.05),
+(11008, 71, 21.5, 21, 0.0),
+(11009, 24, 4.5, 12, 0.0),
+(11009, 36, 19, 18, 0.25),
+(11009, 60, 34, 9, 0.0),
+(11010, 7, 30, 20, 0.0),
+(11010, 24, 4.5, 10, 0.0),
+(11011, 58, 13.25, 40, 0.05),
+(11011, 71, 21.5, 20, 0.0),
+(11012, 19, 9.2, 50, 0.05),
+(11012, 60, 34, 36, 0.05),
+(11012, 71, 21.5, 60, 0.05),
+(11013, 23, 9, 10, 0.0),
+(11013, 42, 14, 4, 0.0),
+(11013, 45, 9.5, 20, 0.0),
+(11013, 68, 12.5, 2, 0.0),
+(11014, 41, 9.65, 28, 0.1),
+(11015, 30, 25.89, 15, 0.0),
+(11015, 77, 13, 18, 0.0),
+(11016, 31, 12.5, 15, 0.0),
+(11016, 36, 19, 16, 0.0),
+(11017, 3, 10, 25, 0.0),
+(11017, 59, 55, 110, 0.0),
+(11017, 70, 15, 30, 0.0),
+(11018, 12, 38, 20, 0.0),
+(11018, 18, 62.5, 10, 0.0),
+(11018, 56, 38, 5, 0.0),
+(11019, 46, 12, 3, 0.0),
+(11019, 49, 20, 2, 0.0),
+(11020, 10, 31, 24, 0.15),
+(11021, 2, 19, 11, 0.25),
+(11021, 20, 81, 15, 0.0),
+(11021, 26, 31.23, 63, 0.0),
+(11021, 51, 53, 44, 0.25),
+(11021, 72, 34.8, 35, 0.0),
+(11022, 19, 9.2, 35, 0.0);
+
+INSERT INTO "OrderDetails" ("OrderID", "ProductID", "UnitPrice", "Quantity", "Discount") VALUES
+(11022, 69, 36, 30, 0.0),
+(11023, 7, 30, 4, 0.0),
+(11023, 43, 46, 30, 0.0),
+(11024, 26, 31.23, 12, 0.0),
+(11024, 33, 2.5, 30, 0.0),
+(11024, 65, 21.05, 21, 0.0),
+(11024, 71, 21.5, 50, 0.0),
+(11025, 1, 18, 10, 0.1),
+(11025, 13, 6, 20, 0.1),
+(11026, 18, 62.5, 8, 0.0),
+(11026, 51, 53, 10, 0.0),
+(11027, 24, 4.5, 30, 0.25),
+(11027, 62, 49.3, 21, 0.25),
+(11028, 55, 24, 35, 0.0),
+(11028, 59, 55, 24, 0.0),
+(11029, 56, 38, 20, 0.0),
+(11029, 63, 43.9, 12, 0.0),
+(11030, 2, 19, 100, 0.25),
+(11030, 5, 21.35, 70, 0.0),
+(11030, 29, 123.79, 60, 0.25),
+(11030, 59, 55, 100, 0.25),
+(11031, 1, 18, 45, 0.0),
+(11031, 13, 6, 80, 0.0),
+(11031, 24, 4.5, 21, 0.0),
+(11031, 64, 33.25, 20, 0.0),
+(11031, 71, 21.5, 16, 0.0),
+(11032, 36, 19, 35, 0.0),
+(11032, 38, 263.5, 25, 0.0),
+(11032, 59, 55, 30, 0.0),
+(11033, 53, 32.8, 70, 0.1),
+(11033, 69, 36, 36, 0.1),
+(11034, 21, 10, 15, 0.1),
+(11034, 44, 19.45, 12, 0.0),
+(11034, 61, 28.5, 6, 0.0),
+(11035, 1, 18, 10, 0.0),
+(11035, 35, 18, 60, 0.0),
+(11035, 42, 14, 30, 0.0),
+(11035, 54, 7.45, 10, 0.0),
+(11036, 13, 6, 7, 0.0),
+(11036, 59, 55, 30, 0.0),
+(11037, 70, 15, 4, 0.0),
+(11038, 40, 18.4, 5, 0.2),
+(11038, 52, 7, 2, 0.0),
+(11038, 71, 21.5, 30, 0.0),
+(11039, 28, 45.6, 20, 0.0),
+(11039, 35, 18, 24, 0.0),
+(11039, 49, 20, 60, 0.0),
+(11039, 57, 19.5, 28, 0.0),
+(11040, 21, 10, 20, 0.0),
+(11041, 2, 19, 30, 0.2),
+(11041, 63, 43.9, 30, 0.0),
+(11042, 44, 19.45, 15, 0.0),
+(11042, 61, 28.5, 4, 0.0),
+(11043, 11, 21, 10, 0.0),
+(11044, 62, 49.3, 12, 0.0),
+(11045, 33, 2.5, 15, 0.0),
+(11045, 51, 53, 24, 0.0),
+(11046, 12, 38, 20, 0.05),
+(11046, 32, 32, 15, 0.05),
+(11046, 35, 18, 18, 0.05),
+(11047, 1, 18, 25, 0.25),
+(11047, 5, 21.35, 30, 0.25),
+(11048, 68, 12.5, 42, 0.0),
+(11049, 2, 19, 10, 0.2),
+(11049, 12, 38, 4, 0.2),
+(11050, 76, 18, 50, 0.1),
+(11051, 24, 4.5, 10, 0.2),
+(11052, 43, 46, 30, 0.2),
+(11052, 61, 28.5, 10, 0.2),
+(11053, 18, 62.5, 35, 0.2),
+(11053, 32, 32, 20, 0.0),
+(11053, 64, 33.25, 25, 0.2),
+(11054, 33, 2.5, 10, 0.0),
+(11054, 67, 14, 20, 0.0),
+(11055, 24, 4.5, 15, 0.0),
+(11055, 25, 14, 15, 0.0),
+(11055, 51, 53, 20, 0.0),
+(11055, 57, 19.5, 20, 0.0),
+(11056, 7, 30, 40, 0.0),
+(11056, 55, 24, 35, 0.0),
+(11056, 60, 34, 50, 0.0),
+(11057, 70, 15, 3, 0.0),
+(11058, 21, 10, 3, 0.0),
+(11058, 60, 34, 21, 0.0),
+(11058, 61, 28.5, 4, 0.0),
+(11059, 13, 6, 30, 0.0),
+(11059, 17, 39, 12, 0.0),
+(11059, 60, 34, 35, 0.0),
+(11060, 60, 34, 4, 0.0),
+(11060, 77, 13, 10, 0.0),
+(11061, 60, 34, 15, 0.0),
+(11062, 53, 32.8, 10, 0.2),
+(11062, 70, 15, 12, 0.2),
+(11063, 34, 14, 30, 0.0),
+(11063, 40, 18.4, 40, 0.1),
+(11063, 41, 9.65, 30, 0.1),
+(11064, 17, 39, 77, 0.1),
+(11064, 41, 9.65, 12, 0.0),
+(11064, 53, 32.8, 25, 0.1),
+(11064, 55, 24, 4, 0.1),
+(11064, 68, 12.5, 55, 0.0),
+(11065, 30, 25.89, 4, 0.25),
+(11065, 54, 7.45, 20, 0.25),
+(11066, 16, 17.45, 3, 0.0),
+(11066, 19, 9.2, 42, 0.0),
+(11066, 34, 14, 35, 0.0),
+(11067, 41, 9.65, 9, 0.0),
+(11068, 28, 45.6, 8, 0.15),
+(11068, 43, 46, 36, 0.15),
+(11068, 77, 13, 28, 0.15),
+(11069, 39, 18, 20, 0.0),
+(11070, 1, 18, 40, 0.15),
+(11070, 2, 19, 20, 0.15),
+(11070, 16, 17.45, 30, 0.15),
+(11070, 31, 12.5, 20, 0.0),
+(11071, 7, 30, 15, 0.05),
+(11071, 13, 6, 10, 0.05),
+(11072, 2, 19, 8, 0.0),
+(11072, 41, 9.65, 40, 0.0),
+(11072, 50, 16.25, 22, 0.0),
+(11072, 64, 33.25, 130, 0.0),
+(11073, 11, 21, 10, 0.0),
+(11073, 24, 4.5, 20, 0.0),
+(11074, 16, 17.45, 14, 0.05),
+(11075, 2, 19, 10, 0.15),
+(11075, 46, 12, 30, 0.15),
+(11075, 76, 18, 2, 0.15),
+(11076, 6, 25, 20, 0.25),
+(11076, 14, 23.25, 20, 0.25),
+(11076, 19, 9.2, 10, 0.25),
+(11077, 2, 19, 24, 0.2),
+(11077, 3, 10, 4, 0.0),
+(11077, 4, 22, 1, 0.0),
+(11077, 6, 25, 1, 0.02),
+(11077, 7, 30, 1, 0.05),
+(11077, 8, 40, 2, 0.1),
+(11077, 10, 31, 1, 0.0),
+(11077, 12, 38, 2, 0.05),
+(11077, 13, 6, 4, 0.0),
+(11077, 14, 23.25, 1, 0.03),
+(11077, 16, 17.45, 2, 0.03),
+(11077, 20, 81, 1, 0.04),
+(11077, 23, 9, 2, 0.0),
+(11077, 32, 32, 1, 0.0),
+(11077, 39, 18, 2, 0.05),
+(11077, 41, 9.65, 3, 0.0),
+(11077, 46, 12, 3, 0.02),
+(11077, 52, 7, 2, 0.0),
+(11077, 55, 24, 2, 0.0),
+(11077, 60, 34, 2, 0.06),
+(11077, 64, 33.25, 2, 0.03),
+(11077, 66, 17, 1, 0.0),
+(11077, 73, 15, 2, 0.01),
+(11077, 75, 7.75, 4, 0.0),
+(11077, 77, 13, 2, 0.0);
+
+CREATE TABLE "Orders" (
+    "OrderID" INTEGER GENERATED BY DEFAULT AS IDENTITY (START WITH 11078) NOT NULL PRIMARY KEY,
+    "CustomerID" VARCHAR(200),
+    "EmployeeID" INTEGER,
+    "OrderDate" TIMESTAMP,
+    "RequiredDate" TIMESTAMP,
+    "ShippedDate" TIMESTAMP,
+    "ShipVia" INTEGER,
+    "Freight" NUMERIC(10, 0) DEFAULT 0,
+    "ShipName" VARCHAR(200),
+    "ShipAddress" VARCHAR(200),
+    "ShipCity" VARCHAR(200),
+    "ShipRegion" VARCHAR(200),
+    "ShipPostalCode" VARCHAR(200),
+    "ShipCountry" VARCHAR(200)
+);
+
+INSERT INTO "Orders" ("OrderID", "CustomerID", "EmployeeID", "OrderDate", "RequiredDate", "ShippedDate", "ShipVia", "Freight", "ShipName", "ShipAddress", "ShipCity", "ShipRegion", "ShipPostalCode", "ShipCountry") VALUES
+(10248, 'VINET', 5, '1996-07-04 00:00:00.000', '1996-08-01 00:00:00.000', '1996-07-16 00:00:00.000', 3, 32.38, 'Vins et alcools Chevalier', '59 rue de l-Abbaye', 'Reims', NULL, '51100', 'France'),
+(10249, 'TOMSP', 6, '1996-07-05 00:00:00.000', '1996-08-16 00:00:00.000', '1996-07-10 00:00:00.000', 1, 11.61, 'Toms Spezialiteten', 'Luisenstr. 48', 'Menster', NULL, '44087', 'Germany'),
+(10250, 'HANAR', 4, '1996-07-08 00:00:00.000', '1996-08-05 00:00:00.000', '1996-07-12 00:00:00.000', 2, 65.83, 'Hanari Carnes', 'Rua do Paeo, 67', 'Rio de Janeiro', 'RJ', '05454-876', 'Brazil'),
+(10251, 'VICTE', 3, '1996-07-08 00:00:00.000', '1996-08-05 00:00:00.000', '1996-07-15 00:00:00.000', 1, 41.34, 'Victuailles en stock', '2, rue du Commerce', 'Lyon', NULL, '69004', 'France'),
+(10252, 'SUPRD', 4, '1996-07-09 00:00:00.000', '1996-08-06 00:00:00.000', '1996-07-11 00:00:00.000', 2, 51.3, 'Supremes delices', 'Boulevard Tirou, 255', 'Charleroi', NULL, 'B-6000', 'Belgium'),
+(10253, 'HANAR', 3, '1996-07-10 00:00:00.000', '1996-07-24 00:00:00.000', '1996-07-16 00:00:00.000', 2, 58.17, 'Hanari Carnes', 'Rua do Paeo, 67', 'Rio de Janeiro', 'RJ', '05454-876', 'Brazil'),
+(10254, 'CHOPS', 5, '1996-07-11 00:00:00.000', '1996-08-08 00:00:00.000', '1996-07-23 00:00:00.000', 2, 22.98, 'Chop-suey Chinese', 'Hauptstr. 31', 'Bern', NULL, '3012', 'Switzerland'),
+(10255, 'RICSU', 9, '1996-07-12 00:00:00.000', '1996-08-09 00:00:00.000', '1996-07-15 00:00:00.000', 3, 148.33, 'Richter Supermarkt', 'Starenweg 5', 'Geneve', NULL, '1204', 'Switzerland'),
+(10256, 'WELLI', 3, '1996-07-15 00:00:00.000', '1996-08-12 00:00:00.000', '1996-07-17 00:00:00.000', 2, 13.97, 'Wellington Importadora', 'Rua do Mercado, 12', 'Resende', 'SP', '08737-363', 'Brazil'),
+(10257, 'HILAA', 4, '1996-07-16 00:00:00.000', '1996-08-13 00:00:00.000', '1996-07-22 00:00:00.000', 3, 81.91, 'HILARION-Abastos', 'Carrera 22 con Ave. Carlos Soublette #8-35', 'San Cristebal', 'Techira', '5022', 'Venezuela'),
+(10258, 'ERNSH', 1, '1996-07-17 00:00:00.000', '1996-08-14 00:00:00.000', '1996-07-23 00:00:00.000', 1, 140.51, 'Ernst Handel', 'Kirchgasse 6', 'Graz', NULL, '8010', 'Austria'),
+(10259, 'CENTC', 4, '1996-07-18 00:00:00.000', '1996-08-15 00:00:00.000', '1996-07-25 00:00:00.000', 3, 3.25, 'Centro comercial Moctezuma', 'Sierras de Granada 9993', 'Mexico D.F.', NULL, '5022', 'Mexico'),
+(10260, 'OTTIK', 4, '1996-07-19 00:00:00.000', '1996-08-16 00:00:00.000', '1996-07-29 00:00:00.000', 1, 55.09, 'Ottilies Keseladen', 'Mehrheimerstr. 369', 'Keln', NULL, '50739', 'Germany'),
+(10261, 'QUEDE', 4, '1996-07-19 00:00:00.000', '1996-08-16 00:00:00.000', '1996-07-30 00:00:00.000', 2, 3.05, 'Que Delecia', 'Rua da Panificadora, 12', 'Rio de Janeiro', 'RJ', '02389-673', 'Brazil'),
+(10262, 'RATTC', 8, '1996-07-22 00:00:00.000', '1996-08-19 00:00:00.000', '1996-07-25 00:00:00.000', 3, 48.29, 'Rattlesnake Canyon Grocery', '2817 Milton Dr.', 'Albuquerque', 'NM', '87110', 'USA'),
+(10263, 'ERNSH', 9, '1996-07-23 00:00:00.000', '1996-08-20 00:00:00.000', '1996-07-31 00:00:00.000', 3, 146.06, 'Ernst Handel', 'Kirchgasse 6', 'Graz', NULL, '8010', 'Austria'),
+(10264, 'FOLKO', 6, '1996-07-24 00:00:00.000', '1996-08-21 00:00:00.000', '1996-08-23 00:00:00.000', 3, 3.67, 'Folk och fe HB', 'ekergatan 24', 'Brecke', NULL, 'S-844 67', 'Sweden'),
+(10265, 'BLONP', 2, '1996-07-25 00:00:00.000', '1996-08-22 00:00:00.000', '1996-08-12 00:00:00.000', 1, 55.28, 'Blondel pere et fils', '24, place Kleber', 'Strasbourg', NULL, '67000', 'France'),
+(10266, 'WARTH', 3, '1996-07-26 00:00:00.000', '1996-09-06 00:00:00.000', '1996-07-31 00:00:00.000', 3, 25.73, 'Wartian Herkku', 'Torikatu 38', 'Oulu', NULL, '90110', 'Finland'),
+(10267, 'FRANK', 4, '1996-07-29 00:00:00.000', '1996-08-26 00:00:00.000', '1996-08-06 00:00:00.000', 1, 208.58, 'Frankenversand', 'Berliner Platz 43', 'Menchen', NULL, '80805', 'Germany'),
+(10268, 'GROSR', 8, '1996-07-30 00:00:00.000', '1996-08-27 00:00:00.000', '1996-08-02 00:00:00.000', 3, 66.29, 'GROSELLA-Restaurante', '5e Ave. Los Palos Grandes', 'Caracas', 'DF', '1081', 'Venezuela'),
+(10269, 'WHITC', 5, '1996-07-31 00:00:00.000', '1996-08-14 00:00:00.000', '1996-08-09 00:00:00.000', 1, 4.56, 'White Clover Markets', '1029 - 12th Ave. S.', 'Seattle', 'WA', '98124', 'USA'),
+(10270, 'WARTH', 1, '1996-08-01 00:00:00.000', '1996-08-29 00:00:00.000', '1996-08-02 00:00:00.000', 1, 136.54, 'Wartian Herkku', 'Torikatu 38', 'Oulu', NULL, '90110', 'Finland'),
+(10271, 'SPLIR', 6, '1996-08-01 00:00:00.000', '1996-08-29 00:00:00.000', '1996-08-30 00:00:00.000', 2, 4.54, 'Split Rail Beer & Ale', 'P.O. Box 555', 'Lander', 'WY', '82520', 'USA'),
+(10272, 'RATTC', 6, '1996-08-02 00:00:00.000', '1996-08-30 00:00:00.000', '1996-08-06 00:00:00.000', 2, 98.03, 'Rattlesnake Canyon Grocery', '2817 Milton Dr.', 'Albuquerque', 'NM', '87110', 'USA'),
+(10273, 'QUICK', 3, '1996-08-05 00:00:00.000', '1996-09-02 00:00:00.000', '1996-08-12 00:00:00.000', 3, 76.07, 'QUICK-Stop', 'Taucherstraee 10', 'Cunewalde', NULL, '1307', 'Germany'),
+(10274, 'VINET', 6, '1996-08-06 00:00:00.000', '1996-09-03 00:00:00.000', '1996-08-16 00:00:00.000', 1, 6.01, 'Vins et alcools Chevalier', '59 rue de l-Abbaye', 'Reims', NULL, '51100', 'France'),
+(10275, 'MAGAA', 1, '1996-08-07 00:00:00.000', '1996-09-04 00:00:00.000', '1996-08-09 00:00:00.000', 1, 26.93, 'Magazzini Alimentari Riuniti', 'Via Ludovico il Moro 22', 'Bergamo', NULL, '24100', 'Italy'),
+(10276, 'TORTU', 8, '1996-08-08 00:00:00.000', '1996-08-22 00:00:00.000', '1996-08-14 00:00:00.000', 3, 13.84, 'Tortuga Restaurante', 'Avda. Azteca 123', 'Mexico D.F.', NULL, '5033', 'Mexico'),
+(10277, 'MORGK', 2, '1996-08-09 00:00:00.000', '1996-09-06 00:00:00.000', '1996-08-13 00:00:00.000', 3, 125.77, 'Morgenstern Gesundkost', 'Heerstr. 22', 'Leipzig', NULL, '4179', 'Germany'),
+(10278, 'BERGS', 8, '1996-08-12 00:00:00.000', '1996-09-09 00:00:00.000', '1996-08-16 00:00:00.000', 2, 92.69, 'Berglunds snabbkep', 'Berguvsvegen e8', 'Lulee', NULL, 'S-958 22', 'Sweden'),
+(10279, 'LEHMS', 8, '1996-08-13 00:00:00.000', '1996-09-10 00:00:00.000', '1996-08-16 00:00:00.000', 2, 25.83, 'Lehmanns Marktstand', 'Magazinweg 7', 'Frankfurt a.M.', NULL, '60528', 'Germany'),
+(10280, 'BERGS', 2, '1996-08-14 00:00:00.000', '1996-09-11 00:00:00.000', '1996-09-12 00:00:00.000', 1, 8.98, 'Berglunds snabbkep', 'Berguvsvegen e8', 'Lulee', NULL, 'S-958 22', 'Sweden'),
+(10281, 'ROMEY', 4, '1996-08-14 00:00:00.000', '1996-08-28 00:00:00.000', '1996-08-21 00:00:00.000', 1, 2.94, 'Romero y tomillo', 'Gran Vea, 1', 'Madrid', NULL, '28001', 'Spain'),
+(10282, 'ROMEY', 4, '1996-08-15 00:00:00.000', '1996-09-12 00:00:00.000', '1996-08-21 00:00:00.000', 1, 12.69, 'Romero y tomillo', 'Gran Vea, 1', 'Madrid', NULL, '28001', 'Spain'),
+(10283, 'LILAS', 3, '1996-08-16 00:00:00.000', '1996-09-13 00:00:00.000', '1996-08-23 00:00:00.000', 3, 84.81, 'LILA-Supermercado', 'Carrera 52 con Ave. Bolevar #65-98 Llano Largo', 'Barquisimeto', 'Lara', '3508', 'Venezuela'),
+(10284, 'LEHMS', 4, '1996-08-19 00:00:00.000', '1996-09-16 00:00:00.000', '1996-08-27 00:00:00.000', 1, 76.56, 'Lehmanns Marktstand', 'Magazinweg 7', 'Frankfurt a.M.', NULL, '60528', 'Germany'),
+(10285, 'QUICK', 1, '1996-08-20 00:00:00.000', '1996-09-17 00:00:00.000', '1996-08-26 00:00:00.000', 2, 76.83, 'QUICK-Stop', 'Taucherstraee 10', 'Cunewalde', NULL, '1307', 'Germany'),
+(10286, 'QUICK', 8, '1996-08-21 00:00:00.000', '1996-09-18 00:00:00.000', '1996-08-30 00:00:00.000', 3, 229.24, 'QUICK-Stop', 'Taucherstraee 10', 'Cunewalde', NULL, '1307', 'Germany'),
+(10287, 'RICAR', 8, '1996-08-22 00:00:00.000', '1996-09-19 00:00:00.000', '1996-08-28 00:00:00.000', 3, 12.76, 'Ricardo Adocicados', 'Av. Copacabana, 267', 'Rio de Janeiro', 'RJ', '02389-890', 'Brazil'),
+(10288, 'REGGC', 4, '1996-08-23 00:00:00.000', '1996-09-20 00:00:00.000', '1996-09-03 00:00:00.000', 1, 7.45, 'Reggiani Caseifici', 'Strada Provinciale 124', 'Reggio Emilia', NULL, '42100', 'Italy'),
+(10289, 'BSBEV', 7, '1996-08-26 00:00:00.000', '1996-09-23 00:00:00.000', '1996-08-28 00:00:00.000', 3, 22.77, 'B-s Beverages', 'Fauntleroy Circus', 'London', NULL, 'EC2 5NT', 'UK'),
+(10290, 'COMMI', 8, '1996-08-27 00:00:00.000', '1996-09-24 00:00:00.000', '1996-09-03 00:00:00.000', 1, 79.7, 'Comercio Mineiro', 'Av. dos Luseadas, 23', 'Sao Paulo', 'SP', '05432-043', 'Brazil'),
+(10291, 'QUEDE', 6, '1996-08-27 00:00:00.000', '1996-09-24 00:00:00.000', '1996-09-04 00:00:00.000', 2, 6.4, 'Que Delecia', 'Rua da Panificadora, 12', 'Rio de Janeiro', 'RJ', '02389-673', 'Brazil'),
+(10292, 'TRADH', 1, '1996-08-28 00:00:00.000', '1996-09-25 00:00:00.000', '1996-09-02 00:00:00.000', 2, 1.35, 'Tradieao Hipermercados', 'Av. Ines de Castro, 414', 'Sao Paulo', 'SP', '05634-030', 'Brazil'),
+(10293, 'TORTU', 1, '1996-08-29 00:00:00.000', '1996-09-26 00:00:00.000', '1996-09-11 00:00:00.000', 3, 21.18, 'Tortuga Restaurante', 'Avda. Azteca 123', 'Mexico D.F.', NULL, '5033', 'Mexico'),
+(10294, 'RATTC', 4, '1996-08-30 00:00:00.000', '1996-09-27 00:00:00.000', '1996-09-05 00:00:00.000', 2, 147.26, 'Rattlesnake Canyon Grocery', '2817 Milton Dr.', 'Albuquerque', 'NM', '87110', 'USA'),
+(10295, 'VINET', 2, '1996-09-02 00:00:00.000', '1996-09-30 00:00:00.000', '1996-09-10 00:00:00.000', 2, 1.15, 'Vins et alcools Chevalier', '59 rue de l-Abbaye', 'Reims', NULL, '51100', 'France'),
+(10296, 'LILAS', 6, '1996-09-03 00:00:00.000', '1996-10-01 00:00:00.000', '1996-09-11 00:00:00.000', 1, 0.12, 'LILA-Supermercado', 'Carrera 52 con Ave. Bolevar #65-98 Llano Largo', 'Barquisimeto', 'Lara', '3508', 'Venezuela'),
+(10297, 'BLONP', 5, '1996-09-04 00:00:00.000', '1996-10-16 00:00:00.000', '1996-09-10 00:00:00.000', 2, 5.74, 'Blondel pere et fils', '24, place Kleber', 'Strasbourg', NULL, '67000', 'France'),
+(10298, 'HUNGO', 6, '1996-09-05 00:00:00.000', '1996-10-03 00:00:00.000', '1996-09-11 00:00:00.000', 2, 168.22, 'Hungry Owl All-Night Grocers', '8 Johnstown Road', 'Cork', 'Co. Cork', NULL, 'Ireland'),
+(10299, 'RICAR', 4, '1996-09-06 00:00:00.000', '1996-10-04 00:00:00.000', '1996-09-13 00:00:00.000', 2, 29.76, 'Ricardo Adocicados', 'Av. Copacabana, 267', 'Rio de Janeiro', 'RJ', '02389-890', 'Brazil'),
+(10300, 'MAGAA', 2, '1996-09-09 00:00:00.000', '1996-10-07 00:00:00.000', '1996-09-18 00:00:00.000', 2, 17.68, 'Magazzini Alimentari Riuniti', 'Via Ludovico il Moro 22', 'Bergamo', NULL, '24100', 'Italy'),
+(10301, 'WANDK', 8, '1996-09-09 00:00:00.000', '1996-10-07 00:00:00.000', '1996-09-17 00:00:00.000', 2, 45.08, 'Die Wandernde Kuh', 'Adenauerallee 900', 'Stuttgart', NULL, '70563', 'Germany'),
+(10302, 'SUPRD', 4, '1996-09-10 00:00:00.000', '1996-10-08 00:00:00.000', '1996-10-09 00:00:00.000', 2, 6.27, 'Supremes delices', 'Boulevard Tirou, 255', 'Charleroi', NULL, 'B-6000', 'Belgium'),
+(10303, 'GODOS', 7, '1996-09-11 00:00:00.000', '1996-10-09 00:00:00.000', '1996-09-18 00:00:00.000', 2, 107.83, 'Godos Cocina Tepica', 'C/ Romero, 33', 'Sevilla', NULL, '41101', 'Spain'),
+(10304, 'TORTU', 1, '1996-09-12 00:00:00.000', '1996-10-10 00:00:00.000', '1996-09-17 00:00:00.000', 2, 63.79, 'Tortuga Restaurante', 'Avda. Azteca 123', 'Mexico D.F.', NULL, '5033', 'Mexico'),
+(10305, 'OLDWO', 8, '1996-09-13 00:00:00.000', '1996-10-11 00:00:00.000', '1996-10-09 00:00:00.000', 3, 257.62, 'Old World Delicatessen', '2743 Bering St.', 'Anchorage', 'AK', '99508', 'USA'),
+(10306, 'ROMEY', 1, '1996-09-16 00:00:00.000', '1996-10-14 00:00:00.000', '1996-09-23 00:00:00.000', 3, 7.56, 'Romero y tomillo', 'Gran Vea, 1', 'Madrid', NULL, '28001', 'Spain'),
+(10307, 'LONEP', 2, '1996-09-17 00:00:00.000', '1996-10-15 00:00:00.000', '1996-09-25 00:00:00.000', 2, 0.56, 'Lonesome Pine Restaurant', '89 Chiaroscuro Rd.', 'Portland', 'OR', '97219', 'USA'),
+(10308, 'ANATR', 7, '1996-09-18 00:00:00.000', '1996-10-16 00:00:00.000', '1996-09-24 00:00:00.000', 3, 1.61, 'Ana Trujillo Emparedados y helados', 'Avda. de la Constitucien 2222', 'Mexico D.F.', NULL, '5021', 'Mexico'),
+(10309, 'HUNGO', 3, '1996-09-19 00:00:00.000', '1996-10-17 00:00:00.000', '1996-10-23 00:00:00.000', 1, 47.3, 'Hungry Owl All-Night Grocers', '8 Johnstown Road', 'Cork', 'Co. Cork', NULL, 'Ireland'),
+(10310, 'THEBI', 8, '1996-09-20 00:00:00.000', '1996-10-18 00:00:00.000', '1996-09-27 00:00:00.000', 2, 17.52, 'The Big Cheese', '89 Jefferson Way Suite 2', 'Portland', 'OR', '97201', 'USA'),
+(10311, 'DUMON', 1, '1996-09-20 00:00:00.000', '1996-10-04 00:00:00.000', '1996-09-26 00:00:00.000', 3, 24.69, 'Du monde entier', '67, rue des Cinquante Otages', 'Nantes', NULL, '44000', 'France'),
+(10312, 'WANDK', 2, '1996-09-23 00:00:00.000', '1996-10-21 00:00:00.000', '1996-10-03 00:00:00.000', 2, 40.26, 'Die Wandernde Kuh', 'Adenauerallee 900', 'Stuttgart', NULL, '70563', 'Germany'),
+(10313, 'QUICK', 2, '1996-09-24 00:00:00.000', '1996-10-22 00:00:00.000', '1996-10-04 00:00:00.000', 2, 1.96, 'QUICK-Stop', 'Taucherstraee 10', 'Cunewalde', NULL, '1307', 'Germany'),
+(10314, 'RATTC', 1, '1996-09-25 00:00:00.000', '1996-10-23 00:00:00.000', '1996-10-04 00:00:00.000', 2, 74.16, 'Rattlesnake Canyon Grocery', '2817 Milton Dr.', 'Albuquerque', 'NM', '87110', 'USA'),
+(10315, 'ISLAT', 4, '1996-09-26 00:00:00.000', '1996-10-24 00:00:00.000', '1996-10-03 00:00:00.000', 2, 41.76, 'Island Trading', 'Garden House Crowther Way', 'Cowes', 'Isle of Wight', 'PO31 7PJ', 'UK'),
+(10316, 'RATTC', 1, '1996-09-27 00:00:00.000', '1996-10-25 00:00:00.000', '1996-10-08 00:00:00.000', 3, 150.15, 'Rattlesnake Canyon Grocery', '2817 Milton Dr.', 'Albuquerque', 'NM', '87110', 'USA'),
+(10317, 'LONEP', 6, '1996-09-30 00:00:00.000', '1996-10-28 00:00:00.000', '1996-10-10 00:00:00.000', 1, 12.69, 'Lonesome Pine Restaurant', '89 Chiaroscuro Rd.', 'Portland', 'OR', '97219', 'USA'),
+(10318, 'ISLAT', 8, '1996-10-01 00:00:00.000', '1996-10-29 00:00:00.000', '1996-10-04 00:00:00.000', 2, 4.73, 'Island Trading', 'Garden House Crowther Way', 'Cowes', 'Isle of Wight', 'PO31 7PJ', 'UK'),
+(10319, 'TORTU', 7, '1996-10-02 00:00:00.000', '1996-10-30 00:00:00.000', '1996-10-11 00:00:00.000', 3, 64.5, 'Tortuga Restaurante', 'Avda. Azteca 123', 'Mexico D.F.', NULL, '5033', 'Mexico'),
+(10320, 'WARTH', 5, '1996-10-03 00:00:00.000', '1996-10-17 00:00:00.000', '1996-10-18 00:00:00.000', 3, 34.57, 'Wartian Herkku', 'Torikatu 38', 'Oulu', NULL, '90110', 'Finland'),
+(10321, 'ISLAT', 3, '1996-10-03 00:00:00.000', '1996-10-31 00:00:00.000', '1996-10-11 00:00:00.000', 2, 3.43, 'Island Trading', 'Garden House Crowther Way', 'Cowes', 'Isle of Wight', 'PO31 7PJ', 'UK'),
+(10322, 'PERIC', 7, '1996-10-04 00:00:00.000', '1996-11-01 00:00:00.000', '1996-10-23 00:00:00.000', 3, 0.4, 'Pericles Comidas clesicas', 'Calle Dr. Jorge Cash 321', 'Mexico D.F.', NULL, '5033', 'Mexico'),
+(10323, 'KOENE', 4, '1996-10-07 00:00:00.000', '1996-11-04 00:00:00.000', '1996-10-14 00:00:00.000', 1, 4.88, 'Keniglich Essen', 'Maubelstr. 90', 'Brandenburg', NULL, '14776', 'Germany'),
+(10324, 'SAVEA', 9, '1996-10-08 00:00:00.000', '1996-11-05 00:00:00.000', '1996-10-10 00:00:00.000', 1, 214.27, 'Save-a-lot Markets', '187 Suffolk Ln.', 'Boise', 'ID', '83720', 'USA'),
+(10325, 'KOENE', 1, '1996-10-09 00:00:00.000', '1996-10-23 00:00:00.000', '1996-10-14 00:00:00.000', 3, 64.86, 'Keniglich Essen', 'Maubelstr. 90', 'Brandenburg', NULL, '14776', 'Germany'),
+(10326, 'BOLID', 4, '1996-10-10 00:00:00.000', '1996-11-07 00:00:00.000', '1996-10-14 00:00:00.000', 2, 77.92, 'Belido Comidas preparadas', 'C/ Araquil, 67', 'Madrid', NULL, '28023', 'Spain'),
+(10327, 'FOLKO', 2, '1996-10-11 00:00:00.000', '1996-11-08 00:00:00.000', '1996-10-14 00:00:00.000', 1, 63.36, 'Folk och fe HB', 'ekergatan 24', 'Brecke', NULL, 'S-844 67', 'Sweden'),
+(10328, 'FURIB', 4, '1996-10-14 00:00:00.000', '1996-11-11 00:00:00.000', '1996-10-17 00:00:00.000', 3, 87.03, 'Furia Bacalhau e Frutos do Mar', 'Jardim das rosas n. 32', 'Lisboa', NULL, '1675', 'Portugal'),
+(10329, 'SPLIR', 4, '1996-10-15 00:00:00.000', '1996-11-26 00:00:00.000', '1996-10-23 00:00:00.000', 2, 191.67, 'Split Rail Beer & Ale', 'P.O. Box 555', 'Lander', 'WY', '82520', 'USA'),
+(10330, 'LILAS', 3, '1996-10-16 00:00:00.000', '1996-11-13 00:00:00.000', '1996-10-28 00:00:00.000', 1, 12.75, 'LILA-Supermercado', 'Carrera 52 con Ave. Bolevar #65-98 Llano Largo', 'Barquisimeto', 'Lara', '3508', 'Venezuela'),
+(10331, 'BONAP', 9, '1996-10-16 00:00:00.000', '1996-11-27 00:00:00.000', '1996-10-21 00:00:00.000', 1, 10.19, 'Bon app-', '12, rue des Bouchers', 'Marseille', NULL, '13008', 'France'),
+(10332, 'MEREP', 3, '1996-10-17 00:00:00.000', '1996-11-28 00:00:00.000', '1996-10-21 00:00:00.000', 2, 52.84, 'Mere Paillarde', '43 rue St. Laurent', 'Montreal', 'Quebec', 'H1J 1C3', 'Canada'),
+(10333, 'WARTH', 5, '1996-10-18 00:00:00.000', '1996-11-15 00:00:00.000', '1996-10-25 00:00:00.000', 3, 0.59, 'Wartian Herkku', 'Torikatu 38', 'Oulu', NULL, '90110', 'Finland'),
+(10334, 'VICTE', 8, '1996-10-21 00:00:00.000', '1996-11-18 00:00:00.000', '1996-10-28 00:00:00.000', 2, 8.56, 'Victuailles en stock', '2, rue du Commerce', 'Lyon', NULL, '69004', 'France'),
+(10335, 'HUNGO', 7, '1996-10-22 00:00:00.000', '1996-11-19 00:00:00.000', '1996-10-24 00:00:00.000', 2, 42.11, 'Hungry Owl All-Night Grocers', '8 Johnstown Road', 'Cork', 'Co. Cork', NULL, 'Ireland'),
+(10336, 'PRINI', 7, '1996-10-23 00:00:00.000', '1996-11-20 00:00:00.000', '1996-10-25 00:00:00.000', 2, 15.51, 'Princesa Isabel Vinhos', 'Estrada da saede n. 58', 'Lisboa', NULL, '1756', 'Portugal'),
+(10337, 'FRANK', 4, '1996-10-24 00:00:00.000', '1996-11-21 00:00:00.000', '1996-10-29 00:00:00.000', 3, 108.26, 'Frankenversand', 'Berliner Platz 43', 'Menchen', NULL, '80805', 'Germany'),
+(10338, 'OLDWO', 4, '1996-10-25 00:00:00.000', '1996-11-22 00:00:00.000', '1996-10-29 00:00:00.000', 3, 84.21, 'Old World Delicatessen', '2743 Bering St.', 'Anchorage', 'AK', '99508', 'USA'),
+(10339, 'MEREP', 2, '1996-10-28 00:00:00.000', '1996-11-25 00:00:00.000', '1996-11-04 00:00:00.000', 2, 15.66, 'Mere Paillarde', '43 rue St. Laurent', 'Montreal', 'Quebec', 'H1J 1C3', 'Canada'),
+(10340, 'BONAP', 1, '1996-10-29 00:00:00.000', '1996-11-26 00:00:00.000', '1996-11-08 00:00:00.000', 3, 166.31, 'Bon app-', '12, rue des Bouchers', 'Marseille', NULL, '13008', 'France'),
+(10341, 'SIMOB', 7, '1996-10-29 00:00:00.000', '1996-11-26 00:00:00.000', '1996-11-05 00:00:00.000', 3, 26.78, 'Simons bistro', 'Vinbeltet 34', 'Kobenhavn', NULL, '1734', 'Denmark'),
+(10342, 'FRANK', 4, '1996-10-30 00:00:00.000', '1996-11-13 00:00:00.000', '1996-11-04 00:00:00.000', 2, 54.83, 'Frankenversand', 'Berliner Platz 43', 'Menchen', NULL, '80805', 'Germany'),
+(10343, 'LEHMS', 4, '1996-10-31 00:00:00.000', '1996-11-28 00:00:00.000', '1996-11-06 00:00:00.000', 1, 110.37, 'Lehmanns Marktstand', 'Magazinweg 7', 'Frankfurt a.M.', NULL, '60528', 'Germany'),
+(10344, 'WHITC', 4, '1996-11-01 00:00:00.000', '1996-11-29 00:00:00.000', '1996-11-05 00:00:00.000', 2, 23.29, 'White Clover Markets', '1029 - 12th Ave. S.', 'Seattle', 'WA', '98124', 'USA'),
+(10345, 'QUICK', 2, '1996-11-04 00:00:00.000', '1996-12-02 00:00:00.000', '1996-11-11 00:00:00.000', 2, 249.06, 'QUICK-Stop', 'Taucherstraee 10', 'Cunewalde', NULL, '1307', 'Germany'),
+(10346, 'RATTC', 3, '1996-11-05 00:00:00.000', '1996-12-17 00:00:00.000', '1996-11-08 00:00:00.000', 3, 142.08, 'Rattlesnake Canyon Grocery', '2817 Milton Dr.', 'Albuquerque', 'NM', '87110', 'USA'),
+(10347, 'FAMIA', 4, '1996-11-06 00:00:00.000', '1996-12-04 00:00:00.000', '1996-11-08 00:00:00.000', 3, 3.1, 'Familia Arquibaldo', 'Rua Ores, 92', 'Sao Paulo', 'SP', '05442-030', 'Brazil'),
+(10348, 'WANDK', 4, '1996-11-07 00:00:00.000', '1996-12-05 00:00:00.000', '1996-11-15 00:00:00.000', 2, 0.78, 'Die Wandernde Kuh', 'Adenauerallee 900', 'Stuttgart', NULL, '70563', 'Germany'),
+(10349, 'SPLIR', 7, '1996-11-08 00:00:00.000', '1996-12-06 00:00:00.000', '1996-11-15 00:00:00.000', 1, 8.63, 'Split Rail Beer & Ale', 'P.O. Box 555', 'Lander', 'WY', '82520', 'USA'),
+(10350, 'LAMAI', 6, '1996-11-11 00:00:00.000', '1996-12-09 00:00:00.000', '1996-12-03 00:00:00.000', 2, 64.19, 'La maison d-Asie', '1 rue Alsace-Lorraine', 'Toulouse', NULL, '31000', 'France'),
+(10351, 'ERNSH', 1, '1996-11-11 00:00:00.000', '1996-12-09 00:00:00.000', '1996-11-20 00:00:00.000', 1, 162.33, 'Ernst Handel', 'Kirchgasse 6', 'Graz', NULL, '8010', 'Austria'),
+(10352, 'FURIB', 3, '1996-11-12 00:00:00.000', '1996-11-26 00:00:00.000', '1996-11-18 00:00:00.000', 3, 1.3, 'Furia Bacalhau e Frutos do Mar', 'Jardim das rosas n. 32', 'Lisboa', NULL, '1675', 'Portugal'),
+(10353, 'PICCO', 7, '1996-11-13 00:00:00.000', '1996-12-11 00:00:00.000', '1996-11-25 00:00:00.000', 3, 360.63, 'Piccolo und mehr', 'Geislweg 14', 'Salzburg', NULL, '5020', 'Austria'),
+(10354, 'PERIC', 8, '1996-11-14 00:00:00.000', '1996-12-12 00:00:00.000', '1996-11-20 00:00:00.000', 3, 53.8, 'Pericles Comidas clesicas', 'Calle Dr. Jorge Cash 321', 'Mexico D.F.', NULL, '5033', 'Mexico'),
+(10355, 'AROUT', 6, '1996-11-15 00:00:00.000', '1996-12-13 00:00:00.000', '1996-11-20 00:00:00.000', 1, 41.95, 'Around the Horn', 'Brook Farm Stratford St. Mary', 'Colchester', 'Essex', 'CO7 6JX', 'UK'),
+(10356, 'WANDK', 6, '1996-11-18 00:00:00.000', '1996-12-16 00:00:00.000', '1996-11-27 00:00:00.000', 2, 36.71, 'Die Wandernde Kuh', 'Adenauerallee 900', 'Stuttgart', NULL, '70563', 'Germany'),
+(10357, 'LILAS', 1, '1996-11-19 00:00:00.000', '1996-12-17 00:00:00.000', '1996-12-02 00:00:00.000', 3, 34.88, 'LILA-Supermercado', 'Carrera 52 con Ave. Bolevar #65-98 Llano Largo', 'Barquisimeto', 'Lara', '3508', 'Venezuela'),
+(10358, 'LAMAI', 5, '1996-11-20 00:00:00.000', '1996-12-18 00:00:00.000', '1996-11-27 00:00:00.000', 1, 19.64, 'La maison d-Asie', '1 rue Alsace-Lorraine', 'Toulouse', NULL, '31000', 'France'),
+(10359, 'SEVES', 5, '1996-11-21 00:00:00.000', '1996-12-19 00:00:00.000', '1996-11-26 00:00:00.000', 3, 288.43, 'Seven Seas Imports', '90 Wadhurst Rd.', 'London', NULL, 'OX15 4NB', 'UK'),
+(10360, 'BLONP', 4, '1996-11-22 00:00:00.000', '1996-12-20 00:00:00.000', '1996-12-02 00:00:00.000', 3, 131.7, 'Blondel pere et fils', '24, place Kleber', 'Strasbourg', NULL, '67000', 'France'),
+(10361, 'QUICK', 1, '1996-11-22 00:00:00.000', '1996-12-20 00:00:00.000', '1996-12-03 00:00:00.000', 2, 183.17, 'QUICK-Stop', 'Taucherstraee 10', 'Cunewalde', NULL, '1307', 'Germany'),
+(10362, 'BONAP', 3, '1996-11-25 00:00:00.000', '1996-12-23 00:00:00.000', '1996-11-28 00:00:00.000', 1, 96.04, 'Bon app-', '12, rue des Bouchers', 'Marseille', NULL, '13008', 'France'),
+(10363, 'DRACD', 4, '1996-11-26 00:00:00.000', '1996-12-24 00:00:00.000', '1996-12-04 00:00:00.000', 3, 30.54, 'Drachenblut Delikatessen', 'Walserweg 21', 'Aachen', NULL, '52066', 'Germany'),
+(10364, 'EASTC', 1, '1996-11-26 00:00:00.000', '1997-01-07 00:00:00.000', '1996-12-04 00:00:00.000', 1, 71.97, 'Eastern Connection', '35 King George', 'London', NULL, 'WX3 6FW', 'UK'),
+(10365, 'ANTON', 3, '1996-11-27 00:00:00.000', '1996-12-25 00:00:00.000', '1996-12-02 00:00:00.000', 2, 22, 'Antonio Moreno Taquerea', 'Mataderos e2312', 'Mexico D.F.', NULL, '5023', 'Mexico'),
+(10366, 'GALED', 8, '1996-11-28 00:00:00.000', '1997-01-09 00:00:00.000', '1996-12-30 00:00:00.000', 2, 10.14, 'Galerea del gastronemo', 'Rambla de Cataluea, 23', 'Barcelona', NULL, '8022', 'Spain'),
+(10367, 'VAFFE', 7, '1996-11-28 00:00:00.000', '1996-12-26 00:00:00.000', '1996-12-02 00:00:00.000', 3, 13.55, 'Vaffeljernet', 'Smagsloget 45', 'erhus', NULL, '8200', 'Denmark'),
+(10368, 'ERNSH', 2, '1996-11-29 00:00:00.000', '1996-12-27 00:00:00.000', '1996-12-02 00:00:00.000', 2, 101.95, 'Ernst Handel', 'Kirchgasse 6', 'Graz', NULL, '8010', 'Austria'),
+(10369, 'SPLIR', 8, '1996-12-02 00:00:00.000', '1996-12-30 00:00:00.000', '1996-12-09 00:00:00.000', 2, 195.68, 'Split Rail Beer & Ale', 'P.O. Box 555', 'Lander', 'WY', '82520', 'USA'),
+(10370, 'CHOPS', 6, '1996-12-03 00:00:00.000', '1996-12-31 00:00:00.000', '1996-12-27 00:00:00.000', 2, 1.17, 'Chop-suey Chinese', 'Hauptstr. 31', 'Bern', NULL, '3012', 'Switzerland'),
+(10371, 'LAMAI', 1, '1996-12-03 00:00:00.000', '1996-12-31 00:00:00.000', '1996-12-24 00:00:00.000', 1, 0.45, 'La maison d-Asie', '1 rue Alsace-Lorraine', 'Toulouse', NULL, '31000', 'France'),
+(10372, 'QUEEN', 5, '1996-12-04 00:00:00.000', '1997-01-01 00:00:00.000', '1996-12-09 00:00:00.000', 2, 890.78, 'Queen Cozinha', 'Alameda dos Canerios, 891', 'Sao Paulo', 'SP', '05487-020', 'Brazil'),
+(10373, 'HUNGO', 4, '1996-12-05 00:00:00.000', '1997-01-02 00:00:00.000', '1996-12-11 00:00:00.000', 3, 124.12, 'Hungry Owl All-Night Grocers', '8 Johnstown Road', 'Cork', 'Co. Cork', NULL, 'Ireland'),
+(10374, 'WOLZA', 1, '1996-12-05 00:00:00.000', '1997-01-02 00:00:00.000', '1996-12-09 00:00:00.000', 3, 3.94, 'Wolski Zajazd', 'ul. Filtrowa 68', 'Warszawa', NULL, '01-012', 'Poland'),
+(10375, 'HUNGC', 3, '1996-12-06 00:00:00.000', '1997-01-03 00:00:00.000', '1996-12-09 00:00:00.000', 2, 20.12, 'Hungry Coyote Import Store', 'City Center Plaza 516 Main St.', 'Elgin', 'OR', '97827', 'USA'),
+(10376, 'MEREP', 1, '1996-12-09 00:00:00.000', '1997-01-06 00:00:00.000', '1996-12-13 00:00:00.000', 2, 20.39, 'Mere Paillarde', '43 rue St. Laurent', 'Montreal', 'Quebec', 'H1J 1C3', 'Canada'),
+(10377, 'SEVES', 1, '1996-12-09 00:00:00.000', '1997-01-06 00:00:00.000', '1996-12-13 00:00:00.000', 3, 22.21, 'Seven Seas Imports', '90 Wadhurst Rd.', 'London', NULL, 'OX15 4NB', 'UK'),
+(10378, 'FOLKO', 5, '1996-12-10 00:00:00.000', '1997-01-07 00:00:00.000', '1996-12-19 00:00:00.000', 3, 5.44, 'Folk och fe HB', 'ekergatan 24', 'Brecke', NULL, 'S-844 67', 'Sweden'),
+(10379, 'QUEDE', 2, '1996-12-11 00:00:00.000', '1997-01-08 00:00:00.000', '1996-12-13 00:00:00.000', 1, 45.03, 'Que Delecia', 'Rua da Panificadora, 12', 'Rio de Janeiro', 'RJ', '02389-673', 'Brazil'),
+(10380, 'HUNGO', 8, '1996-12-12 00:00:00.000', '1997-01-09 00:00:00.000', '1997-01-16 00:00:00.000', 3, 35.03, 'Hungry Owl All-Night Grocers', '8 Johnstown Road', 'Cork', 'Co. Cork', NULL, 'Ireland'),
+(10381, 'LILAS', 3, '1996-12-12 00:00:00.000', '1997-01-09 00:00:00.000', '1996-12-13 00:00:00.000', 3, 7.99, 'LILA-Supermercado', 'Carrera 52 con Ave. Bolevar #65-98 Llano Largo', 'Barquisimeto', 'Lara', '3508', 'Venezuela'),
+(10382, 'ERNSH', 4, '1996-12-13 00:00:00.000', '1997-01-10 00:00:00.000', '1996-12-16 00:00:00.000', 1, 94.77, 'Ernst Handel', 'Kirchgasse 6', 'Graz', NULL, '8010', 'Austria'),
+(10383, 'AROUT', 8, '1996-12-16 00:00:00.000', '1997-01-13 00:00:00.000', '1996-12-18 00:00:00.000', 3, 34.24, 'Around the Horn', 'Brook Farm Stratford St. Mary', 'Colchester', 'Essex', 'CO7 6JX', 'UK'),
+(10384, 'BERGS', 3, '1996-12-16 00:00:00.000', '1997-01-13 00:00:00.000', '1996-12-20 00:00:00.000', 3, 168.64, 'Berglunds snabbkep', 'Berguvsvegen e8', 'Lulee', NULL, 'S-958 22', 'Sweden'),
+(10385, 'SPLIR', 1, '1996-12-17 00:00:00.000', '1997-01-14 00:00:00.000', '1996-12-23 00:00:00.000', 2, 30.96, 'Split Rail Beer & Ale', 'P.O. Box 555', 'Lander', 'WY', '82520', 'USA'),
+(10386, 'FAMIA', 9, '1996-12-18 00:00:00.000', '1997-01-01 00:00:00.000', '1996-12-25 00:00:00.000', 3, 13.99, 'Familia Arquibaldo', 'Rua Ores, 92', 'Sao Paulo', 'SP', '05442-030', 'Brazil'),
+(10387, 'SANTG', 1, '1996-12-18 00:00:00.000', '1997-01-15 00:00:00.000', '1996-12-20 00:00:00.000', 2, 93.63, 'Sante Gourmet', 'Erling Skakkes gate 78', 'Stavern', NULL, '4110', 'Norway'),
+(10388, 'SEVES', 2, '1996-12-19 00:00:00.000', '1997-01-16 00:00:00.000', '1996-12-20 00:00:00.000', 1, 34.86, 'Seven Seas Imports', '90 Wadhurst Rd.', 'London', NULL, 'OX15 4NB', 'UK'),
+(10389, 'BOTTM', 4, '1996-12-20 00:00:00.000', '1997-01-17 00:00:00.000', '1996-12-24 00:00:00.000', 2, 47.42, 'Bottom-Dollar Markets', '23 Tsawassen Blvd.', 'Tsawassen', 'BC', 'T2F 8M4', 'Canada'),
+(10390, 'ERNSH', 6, '1996-12-23 00:00:00.000', '1997-01-20 00:00:00.000', '1996-12-26 00:00:00.000', 1, 126.38, 'Ernst Handel', 'Kirchgasse 6', 'Graz', NULL, '8010', 'Austria'),
+(10391, 'DRACD', 3, '1996-12-23 00:00:00.000', '1997-01-20 00:00:00.000', '1996-12-31 00:00:00.000', 3, 5.45, 'Drachenblut Delikatessen', 'Walserweg 21', 'Aachen', NULL, '52066', 'Germany'),
+(10392, 'PICCO', 2, '1996-12-24 00:00:00.000', '1997-01-21 00:00:00.000', '1997-01-01 00:00:00.000', 3, 122.46, 'Piccolo und mehr', 'Geislweg 14', 'Salzburg', NULL, '5020', 'Austria'),
+(10393, 'SAVEA', 1, '1996-12-25 00:00:00.000', '1997-01-22 00:00:00.000', '1997-01-03 00:00:00.000', 3, 126.56, 'Save-a-lot Markets', '187 Suffolk Ln.', 'Boise', 'ID', '83720', 'USA'),
+(10394, 'HUNGC', 1, '1996-12-25 00:00:00.000', '1997-01-22 00:00:00.000', '1997-01-03 00:00:00.000', 3, 30.34, 'Hungry Coyote Import Store', 'City Center Plaza 516 Main St.', 'Elgin', 'OR', '97827', 'USA'),
+(10395, 'HILAA', 6, '1996-12-26 00:00:00.000', '1997-01-23 00:00:00.000', '1997-01-03 00:00:00.000', 1, 184.41, 'HILARION-Abastos', 'Carrera 22 con Ave. Carlos Soublette #8-35', 'San Cristebal', 'Techira', '5022', 'Venezuela'),
+(10396, 'FRANK', 1, '1996-12-27 00:00:00.000', '1997-01-10 00:00:00.000', '1997-01-06 00:00:00.000', 3, 135.35, 'Frankenversand', 'Berliner Platz 43', 'Menchen', NULL, '80805', 'Germany'),
+(10397, 'PRINI', 5, '1996-12-27 00:00:00.000', '1997-01-24 00:00:00.000', '1997-01-02 00:00:00.000', 1, 60.26, 'Princesa Isabel Vinhos', 'Estrada da saede n. 58', 'Lisboa', NULL, '1756', 'Portugal'),
+(10398, 'SAVEA', 2, '1996-12-30 00:00:00.000', '1997-01-27 00:00:00.000', '1997-01-09 00:00:00.000', 3, 89.16, 'Save-a-lot Markets', '187 Suffolk Ln.', 'Boise', 'ID', '83720', 'USA'),
+(10399, 'VAFFE', 8, '1996-12-31 00:00:00.000', '1997-01-14 00:00:00.000', '1997-01-08 00:00:00.000', 3, 27.36, 'Vaffeljernet', 'Smagsloget 45', 'erhus', NULL, '8200', 'Denmark'),
+(10400, 'EASTC', 1, '1997-01-01 00:00:00.000', '1997-01-29 00:00:00.000', '1997-01-16 00:00:00.000', 3, 83.93, 'Eastern Connection', '35 King George', 'London', NULL, 'WX3 6FW', 'UK'),
+(10401, 'RATTC', 1, '1997-01-01 00:00:00.000', '1997-01-29 00:00:00.000', '1997-01-10 00:00:00.000', 1, 12.51, 'Rattlesnake Canyon Grocery', '2817 Milton Dr.', 'Albuquerque', 'NM', '87110', 'USA'),
+(10402, 'ERNSH', 8, '1997-01-02 00:00:00.000', '1997-02-13 00:00:00.000', '1997-01-10 00:00:00.000', 2, 67.88, 'Ernst Handel', 'Kirchgasse 6', 'Graz', NULL, '8010', 'Austria'),
+(10403, 'ERNSH', 4, '1997-01-03 00:00:00.000', '1997-01-31 00:00:00.000', '1997-01-09 00:00:00.000', 3, 73.79, 'Ernst Handel', 'Kirchgasse 6', 'Graz', NULL, '8010', 'Austria'),
+(10404, 'MAGAA', 2, '1997-01-03 00:00:00.000', '1997-01-31 00:00:00.000', '1997-01-08 00:00:00.000', 1, 155.97, 'Magazzini Alimentari Riuniti', 'Via Ludovico il Moro 22', 'Bergamo', NULL, '24100', 'Italy'),
+(10405, 'LINOD', 1, '1997-01-06 00:00:00.000', '1997-02-03 00:00:00.000', '1997-01-22 00:00:00.000', 1, 34.82, 'LINO-Delicateses', 'Ave. 5 de Mayo Porlamar', 'I. de Margarita', 'Nueva Esparta', '4980', 'Venezuela'),
+(10406, 'QUEEN', 7, '1997-01-07 00:00:00.000', '1997-02-18 00:00:00.000', '1997-01-13 00:00:00.000', 1, 108.04, 'Queen Cozinha', 'Alameda dos Canerios, 891', 'Sao Paulo', 'SP', '05487-020', 'Brazil'),
+(10407, 'OTTIK', 2, '1997-01-07 00:00:00.000', '1997-02-04 00:00:00.000', '1997-01-30 00:00:00.000', 2, 91.48, 'Ottilies Keseladen', 'Mehrheimerstr. 369', 'Keln', NULL, '50739', 'Germany'),
+(10408, 'FOLIG', 8, '1997-01-08 00:00:00.000', '1997-02-05 00:00:00.000', '1997-01-14 00:00:00.000', 1, 11.26, 'Folies gourmandes', '184, chaussee de Tournai', 'Lille', NULL, '59000', 'France'),
+(10409, 'OCEAN', 3, '1997-01-09 00:00:00.000', '1997-02-06 00:00:00.000', '1997-01-14 00:00:00.000', 1, 29.83, 'Oceano Atlentico Ltda.', 'Ing. Gustavo Moncada 8585 Piso 20-A', 'Buenos Aires', NULL, '1010', 'Argentina'),
+(10410, 'BOTTM', 3, '1997-01-10 00:00:00.000', '1997-02-07 00:00:00.000', '1997-01-15 00:00:00.000', 3, 2.4, 'Bottom-Dollar Markets', '23 Tsawassen Blvd.', 'Tsawassen', 'BC', 'T2F 8M4', 'Canada'),
+(10411, 'BOTTM', 9, '1997-01-10 00:00:00.000', '1997-02-07 00:00:00.000', '1997-01-21 00:00:00.000', 3, 23.65, 'Bottom-Dollar Markets', '23 Tsawassen Blvd.', 'Tsawassen', 'BC', 'T2F 8M4', 'Canada'),
+(10412, 'WARTH', 8, '1997-01-13 00:00:00.000', '1997-02-10 00:00:00.000', '1997-01-15 00:00:00.000', 2, 3.77, 'Wartian Herkku', 'Torikatu 38', 'Oulu', NULL, '90110', 'Finland'),
+(10413, 'LAMAI', 3, '1997-01-14 00:00:00.000', '1997-02-11 00:00:00.000', '1997-01-16 00:00:00.000', 2, 95.66, 'La maison d-Asie', '1 rue Alsace-Lorraine', 'Toulouse', NULL, '31000', 'France'),
+(10414, 'FAMIA', 2, '1997-01-14 00:00:00.000', '1997-02-11 00:00:00.000', '1997-01-17 00:00:00.000', 3, 21.48, 'Familia Arquibaldo', 'Rua Ores, 92', 'Sao Paulo', 'SP', '05442-030', 'Brazil'),
+(10415, 'HUNGC', 3, '1997-01-15 00:00:00.000', '1997-02-12 00:00:00.000', '1997-01-24 00:00:00.000', 1, 0.2, 'Hungry Coyote Import Store', 'City Center Plaza 516 Main St.', 'Elgin', 'OR', '97827', 'USA'),
+(10416, 'WARTH', 8, '1997-01-16 00:00:00.000', '1997-02-13 00:00:00.000', '1997-01-27 00:00:00.000', 3, 22.72, 'Wartian Herkku', 'Torikatu 38', 'Oulu', NULL, '90110', 'Finland'),
+(10417, 'SIMOB', 4, '1997-01-16 00:00:00.000', '1997-02-13 00:00:00.000', '1997-01-28 00:00:00.000', 3, 70.29, 'Simons bistro', 'Vinbeltet 34', 'Kobenhavn', NULL, '1734', 'Denmark'),
+(10418, 'QUICK', 4, '1997-01-17 00:00:00.000', '1997-02-14 00:00:00.000', '1997-01-24 00:00:00.000', 1, 17.55, 'QUICK-Stop', 'Taucherstraee 10', 'Cunewalde', NULL, '1307', 'Germany'),
+(10419, 'RICSU', 4, '1997-01-20 00:00:00.000', '1997-02-17 00:00:00.000', '1997-01-30 00:00:00.000', 2, 137.35, 'Richter Supermarkt', 'Starenweg 5', 'Geneve', NULL, '1204', 'Switzerland'),
+(10420, 'WELLI', 3, '1997-01-21 00:00:00.000', '1997-02-18 00:00:00.000', '1997-01-27 00:00:00.000', 1, 44.12, 'Wellington Importadora', 'Rua do Mercado, 12', 'Resende', 'SP', '08737-363', 'Brazil'),
+(10421, 'QUEDE', 8, '1997-01-21 00:00:00.000', '1997-03-04 00:00:00.000', '1997-01-27 00:00:00.000', 1, 99.23, 'Que Delecia', 'Rua da Panificadora, 12', 'Rio de Janeiro', 'RJ', '02389-673', 'Brazil'),
+(10422, 'FRANS', 2, '1997-01-22 00:00:00.000', '1997-02-19 00:00:00.000', '1997-01-31 00:00:00.000', 1, 3.02, 'Franchi S.p.A.', 'Via Monte Bianco 34', 'Torino', NULL, '10100', 'Italy'),
+(10423, 'GOURL', 6, '1997-01-23 00:00:00.000', '1997-02-06 00:00:00.000', '1997-02-24 00:00:00.000', 3, 24.5, 'Gourmet Lanchonetes', 'Av. Brasil, 442', 'Campinas', 'SP', '04876-786', 'Brazil'),
+(10424, 'MEREP', 7, '1997-01-23 00:00:00.000', '1997-02-20 00:00:00.000', '1997-01-27 00:00:00.000', 2, 370.61, 'Mere Paillarde', '43 rue St. Laurent', 'Montreal', 'Quebec', 'H1J 1C3', 'Canada'),
+(10425, 'LAMAI', 6, '1997-01-24 00:00:00.000', '1997-02-21 00:00:00.000', '1997-02-14 00:00:00.000', 2, 7.93, 'La maison d-Asie', '1 rue Alsace-Lorraine', 'Toulouse', NULL, '31000', 'France'),
+(10426, 'GALED', 4, '1997-01-27 00:00:00.000', '1997-02-24 00:00:00.000', '1997-02-06 00:00:00.000', 1, 18.69, 'Galerea del gastronemo', 'Rambla de Cataluea, 23', 'Barcelona', NULL, '8022', 'Spain'),
+(10427, 'PICCO', 4, '1997-01-27 00:00:00.000', '1997-02-24 00:00:00.000', '1997-03-03 00:00:00.000', 2, 31.29, 'Piccolo und mehr', 'Geislweg 14', 'Salzburg', NULL, '5020', 'Austria'),
+(10428, 'REGGC', 7, '1997-01-28 00:00:00.000', '1997-02-25 00:00:00.000', '1997-02-04 00:00:00.000', 1, 11.09, 'Reggiani Caseifici', 'Strada Provinciale 124', 'Reggio Emilia', NULL, '42100', 'Italy'),
+(10429, 'HUNGO', 3, '1997-01-29 00:00:00.000', '1997-03-12 00:00:00.000', '1997-02-07 00:00:00.000', 2, 56.63, 'Hungry Owl All-Night Grocers', '8 Johnstown Road', 'Cork', 'Co. Cork', NULL, 'Ireland'),
+(10430, 'ERNSH', 4, '1997-01-30 00:00:00.000', '1997-02-13 00:00:00.000', '1997-02-03 00:00:00.000', 1, 458.78, 'Ernst Handel', 'Kirchgasse 6', 'Graz', NULL, '8010', 'Austria'),
+(10431, 'BOTTM', 4, '1997-01-30 00:00:00.000', '1997-02-13 00:00:00.000', '1997-02-07 00:00:00.000', 2, 44.17, 'Bottom-Dollar Markets', '23 Tsawassen Blvd.', 'Tsawassen', 'BC', 'T2F 8M4', 'Canada'),
+(10432, 'SPLIR', 3, '1997-01-31 00:00:00.000', '1997-02-14 00:00:00.000', '1997-02-07 00:00:00.000', 2, 4.34, 'Split Rail Beer & Ale', 'P.O. Box 555', 'Lander', 'WY', '82520', 'USA'),
+(10433, 'PRINI', 3, '1997-02-03 00:00:00.000', '1997-03-03 00:00:00.000', '1997-03-04 00:00:00.000', 3, 73.83, 'Princesa Isabel Vinhos', 'Estrada da saede n. 58', 'Lisboa', NULL, '1756', 'Portugal'),
+(10434, 'FOLKO', 3, '1997-02-03 00:00:00.000', '1997-03-03 00:00:00.000', '1997-02-13 00:00:00.000', 2, 17.92, 'Folk och fe HB', 'ekergatan 24', 'Brecke', NULL, 'S-844 67', 'Sweden'),
+(10435, 'CONSH', 8, '1997-02-04 00:00:00.000', '1997-03-18 00:00:00.000', '1997-02-07 00:00:00.000', 2, 9.21, 'Consolidated Holdings', 'Berkeley Gardens 12 eBrewery', 'London', NULL, 'WX1 6LT', 'UK'),
+(10436, 'BLONP', 3, '1997-02-05 00:00:00.000', '1997-03-05 00:00:00.000', '1997-02-11 00:00:00.000', 2, 156.66, 'Blondel pere et fils', '24, place Kleber', 'Strasbourg', NULL, '67000', 'France'),
+(10437, 'WARTH', 8, '1997-02-05 00:00:00.000', '1997-03-05 00:00:00.000', '1997-02-12 00:00:00.000', 1, 19.97, 'Wartian Herkku', 'Torikatu 38', 'Oulu', NULL, '90110', 'Finland'),
+(10438, 'TOMSP', 3, '1997-02-06 00:00:00.000', '1997-03-06 00:00:00.000', '1997-02-14 00:00:00.000', 2, 8.24, 'Toms Spezialiteten', 'Luisenstr. 48', 'Menster', NULL, '44087', 'Germany'),
+(10439, 'MEREP', 6, '1997-02-07 00:00:00.000', '1997-03-07 00:00:00.000', '1997-02-10 00:00:00.000', 3, 4.07, 'Mere Paillarde', '43 rue St. Laurent', 'Montreal', 'Quebec', 'H1J 1C3', 'Canada'),
+(10440, 'SAVEA', 4, '1997-02-10 00:00:00.000', '1997-03-10 00:00:00.000', '1997-02-28 00:00:00.000', 2, 86.53, 'Save-a-lot Markets', '187 Suffolk Ln.', 'Boise', 'ID', '83720', 'USA'),
+(10441, 'OLDWO', 3, '1997-02-10 00:00:00.000', '1997-03-24 00:00:00.000', '1997-03-14 00:00:00.000', 2, 73.02, 'Old World Delicatessen', '2743 Bering St.', 'Anchorage', 'AK', '99508', 'USA'),
+(10442, 'ERNSH', 3, '1997-02-11 00:00:00.000', '1997-03-11 00:00:00.000', '1997-02-18 00:00:00.000', 2, 47.94, 'Ernst Handel', 'Kirchgasse 6', 'Graz', NULL, '8010', 'Austria'),
+(10443, 'REGGC', 8, '1997-02-12 00:00:00.000', '1997-03-12 00:00:00.000', '1997-02-14 00:00:00.000', 1, 13.95, 'Reggiani Caseifici', 'Strada Provinciale 124', 'Reggio Emilia', NULL, '42100', 'Italy'),
+(10444, 'BERGS', 3, '1997-02-12 00:00:00.000', '1997-03-12 00:00:00.000', '1997-02-21 00:00:00.000', 3, 3.5, 'Berglunds snabbkep', 'Berguvsvegen e8', 'Lulee', NULL, 'S-958 22', 'Sweden'),
+(10445, 'BERGS', 3, '1997-02-13 00:00:00.000', '1997-03-13 00:00:00.000', '1997-02-20 00:00:00.000', 1, 9.3, 'Berglunds snabbkep', 'Berguvsvegen e8', 'Lulee', NULL, 'S-958 22', 'Sweden'),
+(10446, 'TOMSP', 6, '1997-02-14 00:00:00.000', '1997-03-14 00:00:00.000', '1997-02-19 00:00:00.000', 1, 14.68, 'Toms Spezialiteten', 'Luisenstr. 48', 'Menster', NULL, '44087', 'Germany'),
+(10447, 'RICAR', 4, '1997-02-14 00:00:00.000', '1997-03-14 00:00:00.000', '1997-03-07 00:00:00.000', 2, 68.66, 'Ricardo Adocicados', 'Av. Copacabana, 267', 'Rio de Janeiro', 'RJ', '02389-890', 'Brazil'),
+(10448, 'RANCH', 4, '1997-02-17 00:00:00.000', '1997-03-17 00:00:00.000', '1997-02-24 00:00:00.000', 2, 38.82, 'Rancho grande', 'Av. del Libertador 900', 'Buenos Aires', NULL, '1010', 'Argentina'),
+(10449, 'BLONP', 3, '1997-02-18 00:00:00.000', '1997-03-18 00:00:00.000', '1997-02-27 00:00:00.000', 2, 53.3, 'Blondel pere et fils', '24, place Kleber', 'Strasbourg', NULL, '67000', 'France'),
+(10450, 'VICTE', 8, '1997-02-19 00:00:00.000', '1997-03-19 00:00:00.000', '1997-03-11 00:00:00.000', 2, 7.23, 'Victuailles en stock', '2, rue du Commerce', 'Lyon', NULL, '69004', 'France'),
+(10451, 'QUICK', 4, '1997-02-19 00:00:00.000', '1997-03-05 00:00:00.000', '1997-03-12 00:00:00.000', 3, 189.09, 'QUICK-Stop', 'Taucherstraee 10', 'Cunewalde', NULL, '1307', 'Germany'),
+(10452, 'SAVEA', 8, '1997-02-20 00:00:00.000', '1997-03-20 00:00:00.000', '1997-02-26 00:00:00.000', 1, 140.26, 'Save-a-lot Markets', '187 Suffolk Ln.', 'Boise', 'ID', '83720', 'USA'),
+(10453, 'AROUT', 1, '1997-02-21 00:00:00.000', '1997-03-21 00:00:00.000', '1997-02-26 00:00:00.000', 2, 25.36, 'Around the Horn', 'Brook Farm Stratford St. Mary', 'Colchester', 'Essex', 'CO7 6JX', 'UK'),
+(10454, 'LAMAI', 4, '1997-02-21 00:00:00.000', '1997-03-21 00:00:00.000', '1997-02-25 00:00:00.000', 3, 2.74, 'La maison d-Asie', '1 rue Alsace-Lorraine', 'Toulouse', NULL, '31000', 'France'),
+(10455, 'WARTH', 8, '1997-02-24 00:00:00.000', '1997-04-07 00:00:00.000', '1997-03-03 00:00:00.000', 2, 180.45, 'Wartian Herkku', 'Torikatu 38', 'Oulu', NULL, '90110', 'Finland'),
+(10456, 'KOENE', 8, '1997-02-25 00:00:00.000', '1997-04-08 00:00:00.000', '1997-02-28 00:00:00.000', 2, 8.12, 'Keniglich Essen', 'Maubelstr. 90', 'Brandenburg', NULL, '14776', 'Germany'),
+(10457, 'KOENE', 2, '1997-02-25 00:00:00.000', '1997-03-25 00:00:00.000', '1997-03-03 00:00:00.000', 1, 11.57, 'Keniglich Essen', 'Maubelstr. 90', 'Brandenburg', NULL, '14776', 'Germany'),
+(10458, 'SUPRD', 7, '1997-02-26 00:00:00.000', '1997-03-26 00:00:00.000', '1997-03-04 00:00:00.000', 3, 147.06, 'Supremes delices', 'Boulevard Tirou, 255', 'Charleroi', NULL, 'B-6000', 'Belgium'),
+(10459, 'VICTE', 4, '1997-02-27 00:00:00.000', '1997-03-27 00:00:00.000', '1997-02-28 00:00:00.000', 2, 25.09, 'Victuailles en stock', '2, rue du Commerce', 'Lyon', NULL, '69004', 'France'),
+(10460, 'FOLKO', 8, '1997-02-28 00:00:00.000', '1997-03-28 00:00:00.000', '1997-03-03 00:00:00.000', 1, 16.27, 'Folk och fe HB', 'ekergatan 24', 'Brecke', NULL, 'S-844 67', 'Sweden'),
+(10461, 'LILAS', 1, '1997-02-28 00:00:00.000', '1997-03-28 00:00:00.000', '1997-03-05 00:00:00.000', 3, 148.61, 'LILA-Supermercado', 'Carrera 52 con Ave. Bolevar #65-98 Llano Largo', 'Barquisimeto', 'Lara', '3508', 'Venezuela'),
+(10462, 'CONSH', 2, '1997-03-03 00:00:00.000', '1997-03-31 00:00:00.000', '1997-03-18 00:00:00.000', 1, 6.17, 'Consolidated Holdings', 'Berkeley Gardens 12 eBrewery', 'London', NULL, 'WX1 6LT', 'UK'),
+(10463, 'SUPRD', 5, '1997-03-04 00:00:00.000', '1997-04-01 00:00:00.000', '1997-03-06 00:00:00.000', 3, 14.78, 'Supremes delices', 'Boulevard Tirou, 255', 'Charleroi', NULL, 'B-6000', 'Belgium'),
+(10464, 'FURIB', 4, '1997-03-04 00:00:00.000', '1997-04-01 00:00:00.000', '1997-03-14 00:00:00.000', 2, 89, 'Furia Bacalhau e Frutos do Mar', 'Jardim das rosas n. 32', 'Lisboa', NULL, '1675', 'Portugal'),
+(10465, 'VAFFE', 1, '1997-03-05 00:00:00.000', '1997-04-02 00:00:00.000', '1997-03-14 00:00:00.000', 3, 145.04, 'Vaffeljernet', 'Smagsloget 45', 'erhus', NULL, '8200', 'Denmark'),
+(10466, 'COMMI', 4, '1997-03-06 00:00:00.000', '1997-04-03 00:00:00.000', '1997-03-13 00:00:00.000', 1, 11.93, 'Comercio Mineiro', 'Av. dos Luseadas, 23', 'Sao Paulo', 'SP', '05432-043', 'Brazil'),
+(10467, 'MAGAA', 8, '1997-03-06 00:00:00.000', '1997-04-03 00:00:00.000', '1997-03-11 00:00:00.000', 2, 4.93, 'Magazzini Alimentari Riuniti', 'Via Ludovico il Moro 22', 'Bergamo', NULL, '24100', 'Italy'),
+(10468, 'KOENE', 3, '1997-03-07 00:00:00.000', '1997-04-04 00:00:00.000', '1997-03-12 00:00:00.000', 3, 44.12, 'Keniglich Essen', 'Maubelstr. 90', 'Brandenburg', NULL, '14776', 'Germany'),
+(10469, 'WHITC', 1, '1997-03-10 00:00:00.000', '1997-04-07 00:00:00.000', '1997-03-14 00:00:00.000', 1, 60.18, 'White Clover Markets', '1029 - 12th Ave. S.', 'Seattle', 'WA', '98124', 'USA'),
+(10470, 'BONAP', 4, '1997-03-11 00:00:00.000', '1997-04-08 00:00:00.000', '1997-03-14 00:00:00.000', 2, 64.56, 'Bon app-', '12, rue des Bouchers', 'Marseille', NULL, '13008', 'France'),
+(10471, 'BSBEV', 2, '1997-03-11 00:00:00.000', '1997-04-08 00:00:00.000', '1997-03-18 00:00:00.000', 3, 45.59, 'B-s Beverages', 'Fauntleroy Circus', 'London', NULL, 'EC2 5NT', 'UK'),
+(10472, 'SEVES', 8, '1997-03-12 00:00:00.000', '1997-04-09 00:00:00.000', '1997-03-19 00:00:00.000', 1, 4.2, 'Seven Seas Imports', '90 Wadhurst Rd.', 'London', NULL, 'OX15 4NB', 'UK'),
+(10473, 'ISLAT', 1, '1997-03-13 00:00:00.000', '1997-03-27 00:00:00.000', '1997-03-21 00:00:00.000', 3, 16.37, 'Island Trading', 'Garden House Crowther Way', 'Cowes', 'Isle of Wight', 'PO31 7PJ', 'UK'),
+(10474, 'PERIC', 5, '1997-03-13 00:00:00.000', '1997-04-10 00:00:00.000', '1997-03-21 00:00:00.000', 2, 83.49, 'Pericles Comidas clesicas', 'Calle Dr. Jorge Cash 321', 'Mexico D.F.', NULL, '5033', 'Mexico'),
+(10475, 'SUPRD', 9, '1997-03-14 00:00:00.000', '1997-04-11 00:00:00.000', '1997-04-04 00:00:00.000', 1, 68.52, 'Supremes delices', 'Boulevard Tirou, 255', 'Charleroi', NULL, 'B-6000', 'Belgium'),
+(10476, 'HILAA', 8, '1997-03-17 00:00:00.000', '1997-04-14 00:00:00.000', '1997-03-24 00:00:00.000', 3, 4.41, 'HILARION-Abastos', 'Carrera 22 con Ave. Carlos Soublette #8-35', 'San Cristebal', 'Techira', '5022', 'Venezuela'),
+(10477, 'PRINI', 5, '1997-03-17 00:00:00.000', '1997-04-14 00:00:00.000', '1997-03-25 00:00:00.000', 2, 13.02, 'Princesa Isabel Vinhos', 'Estrada da saede n. 58', 'Lisboa', NULL, '1756', 'Portugal'),
+(10478, 'VICTE', 2, '1997-03-18 00:00:00.000', '1997-04-01 00:00:00.000', '1997-03-26 00:00:00.000', 3, 4.81, 'Victuailles en stock', '2, rue du Commerce', 'Lyon', NULL, '69004', 'France'),
+(10479, 'RATTC', 3, '1997-03-19 00:00:00.000', '1997-04-16 00:00:00.000', '1997-03-21 00:00:00.000', 3, 708.95, 'Rattlesnake Canyon Grocery', '2817 Milton Dr.', 'Albuquerque', 'NM', '87110', 'USA'),
+(10480, 'FOLIG', 6, '1997-03-20 00:00:00.000', '1997-04-17 00:00:00.000', '1997-03-24 00:00:00.000', 2, 1.35, 'Folies gourmandes', '184, chaussee de Tournai', 'Lille', NULL, '59000', 'France'),
+(10481, 'RICAR', 8, '1997-03-20 00:00:00.000', '1997-04-17 00:00:00.000', '1997-03-25 00:00:00.000', 2, 64.33, 'Ricardo Adocicados', 'Av. Copacabana, 267', 'Rio de Janeiro', 'RJ', '02389-890', 'Brazil'),
+(10482, 'LAZYK', 1, '1997-03-21 00:00:00.000', '1997-04-18 00:00:00.000', '1997-04-10 00:00:00.000', 3, 7.48, 'Lazy K Kountry Store', '12 Orchestra Terrace', 'Walla Walla', 'WA', '99362', 'USA'),
+(10483, 'WHITC', 7, '1997-03-24 00:00:00.000', '1997-04-21 00:00:00.000', '1997-04-25 00:00:00.000', 2, 15.28, 'White Clover Markets', '1029 - 12th Ave. S.', 'Seattle', 'WA', '98124', 'USA'),
+(10484, 'BSBEV', 3, '1997-03-24 00:00:00.000', '1997-04-21 00:00:00.000', '1997-04-01 00:00:00.000', 3, 6.88, 'B-s Beverages', 'Fauntleroy Circus', 'London', NULL, 'EC2 5NT', 'UK'),
+(10485, 'LINOD', 4, '1997-03-25 00:00:00.000', '1997-04-08 00:00:00.000', '1997-03-31 00:00:00.000', 2, 64.45, 'LINO-Delicateses', 'Ave. 5 de Mayo Porlamar', 'I. de Margarita', 'Nueva Esparta', '4980', 'Venezuela'),
+(10486, 'HILAA', 1, '1997-03-26 00:00:00.000', '1997-04-23 00:00:00.000', '1997-04-02 00:00:00.000', 2, 30.53, 'HILARION-Abastos', 'Carrera 22 con Ave. Carlos Soublette #8-35', 'San Cristebal', 'Techira', '5022', 'Venezuela'),
+(10487, 'QUEEN', 2, '1997-03-26 00:00:00.000', '1997-04-23 00:00:00.000', '1997-03-28 00:00:00.000', 2, 71.07, 'Queen Cozinha', 'Alameda dos Canerios, 891', 'Sao Paulo', 'SP', '05487-020', 'Brazil'),
+(10488, 'FRANK', 8, '1997-03-27 00:00:00.000', '1997-04-24 00:00:00.000', '1997-04-02 00:00:00.000', 2, 4.93, 'Frankenversand', 'Berliner Platz 43', 'Menchen', NULL, '80805', 'Germany'),
+(10489, 'PICCO', 6, '1997-03-28 00:00:00.000', '1997-04-25 00:00:00.000', '1997-04-09 00:00:00.000', 2, 5.29, 'Piccolo und mehr', 'Geislweg 14', 'Salzburg', NULL, '5020', 'Austria'),
+(10490, 'HILAA', 7, '1997-03-31 00:00:00.000', '1997-04-28 00:00:00.000', '1997-04-03 00:00:00.000', 2, 210.19, 'HILARION-Abastos', 'Carrera 22 con Ave. Carlos Soublette #8-35', 'San Cristebal', 'Techira', '5022', 'Venezuela'),
+(10491, 'FURIB', 8, '1997-03-31 00:00:00.000', '1997-04-28 00:00:00.000', '1997-04-08 00:00:00.000', 3, 16.96, 'Furia Bacalhau e Frutos do Mar', 'Jardim das rosas n. 32', 'Lisboa', NULL, '1675', 'Portugal'),
+(10492, 'BOTTM', 3, '1997-04-01 00:00:00.000', '1997-04-29 00:00:00.000', '1997-04-11 00:00:00.000', 1, 62.89, 'Bottom-Dollar Markets', '23 Tsawassen Blvd.', 'Tsawassen', 'BC', 'T2F 8M4', 'Canada'),
+(10493, 'LAMAI', 4, '1997-04-02 00:00:00.000', '1997-04-30 00:00:00.000', '1997-04-10 00:00:00.000', 3, 10.64, 'La maison d-Asie', '1 rue Alsace-Lorraine', 'Toulouse', NULL, '31000', 'France'),
+(10494, 'COMMI', 4, '1997-04-02 00:00:00.000', '1997-04-30 00:00:00.000', '1997-04-09 00:00:00.000', 2, 65.99, 'Comercio Mineiro', 'Av. dos Luseadas, 23', 'Sao Paulo', 'SP', '05432-043', 'Brazil'),
+(10495, 'LAUGB', 3, '1997-04-03 00:00:00.000', '1997-05-01 00:00:00.000', '1997-04-11 00:00:00.000', 3, 4.65, 'Laughing Bacchus Wine Cellars', '2319 Elm St.', 'Vancouver', 'BC', 'V3F 2K1', 'Canada'),
+(10496, 'TRADH', 7, '1997-04-04 00:00:00.000', '1997-05-02 00:00:00.000', '1997-04-07 00:00:00.000', 2, 46.77, 'Tradieao Hipermercados', 'Av. Ines de Castro, 414', 'Sao Paulo', 'SP', '05634-030', 'Brazil'),
+(10497, 'LEHMS', 7, '1997-04-04 00:00:00.000', '1997-05-02 00:00:00.000', '1997-04-07 00:00:00.000', 1, 36.21, 'Lehmanns Marktstand', 'Magazinweg 7', 'Frankfurt a.M.', NULL, '60528', 'Germany'),
+(10498, 'HILAA', 8, '1997-04-07 00:00:00.000', '1997-05-05 00:00:00.000', '1997-04-11 00:00:00.000', 2, 29.75, 'HILARION-Abastos', 'Carrera 22 con Ave. Carlos Soublette #8-35', 'San Cristebal', 'Techira', '5022', 'Venezuela'),
+(10499, 'LILAS', 4, '1997-04-08 00:00:00.000', '1997-05-06 00:00:00.000', '1997-04-16 00:00:00.000', 2, 102.02, 'LILA-Supermercado', 'Carrera 52 con Ave. Bolevar #65-98 Llano Largo', 'Barquisimeto', 'Lara', '3508', 'Venezuela'),
+(10500, 'LAMAI', 6, '1997-04-09 00:00:00.000', '1997-05-07 00:00:00.000', '1997-04-17 00:00:00.000', 1, 42.68, 'La maison d-Asie', '1 rue Alsace-Lorraine', 'Toulouse', NULL, '31000', 'France'),
+(10501, 'BLAUS', 9, '1997-04-09 00:00:00.000', '1997-05-07 00:00:00.000', '1997-04-16 00:00:00.000', 3, 8.85, 'Blauer See Delikatessen', 'Forsterstr. 57', 'Mannheim', NULL, '68306', 'Germany'),
+(10502, 'PERIC', 2, '1997-04-10 00:00:00.000', '1997-05-08 00:00:00.000', '1997-04-29 00:00:00.000', 1, 69.32, 'Pericles Comidas clesicas', 'Calle Dr. Jorge Cash 321', 'Mexico D.F.', NULL, '5033', 'Mexico'),
+(10503, 'HUNGO', 6, '1997-04-11 00:00:00.000', '1997-05-09 00:00:00.000', '1997-04-16 00:00:00.000', 2, 16.74, 'Hungry Owl All-Night Grocers', '8 Johnstown Road', 'Cork', 'Co. Cork', NULL, 'Ireland'),
+(10504, 'WHITC', 4, '1997-04-11 00:00:00.000', '1997-05-09 00:00:00.000', '1997-04-18 00:00:00.000', 3, 59.13, 'White Clover Markets', '1029 - 12th Ave. S.', 'Seattle', 'WA', '98124', 'USA'),
+(10505, 'MEREP', 3, '1997-04-14 00:00:00.000', '1997-05-12 00:00:00.000', '1997-04-21 00:00:00.000', 3, 7.13, 'Mere Paillarde', '43 rue St. Laurent', 'Montreal', 'Quebec', 'H1J 1C3', 'Canada'),
+(10506, 'KOENE', 9, '1997-04-15 00:00:00.000', '1997-05-13 00:00:00.000', '1997-05-02 00:00:00.000', 2, 21.19, 'Keniglich Essen', 'Maubelstr. 90', 'Brandenburg', NULL, '14776', 'Germany'),
+(10507, 'ANTON', 7, '1997-04-15 00:00:00.000', '1997-05-13 00:00:00.000', '1997-04-22 00:00:00.000', 1, 47.45, 'Antonio Moreno Taquerea', 'Mataderos e2312', 'Mexico D.F.', NULL, '5023', 'Mexico'),
+(10508, 'OTTIK', 1, '1997-04-16 00:00:00.000', '1997-05-14 00:00:00.000', '1997-05-13 00:00:00.000', 2, 4.99, 'Ottilies Keseladen', 'Mehrheimerstr. 369', 'Keln', NULL, '50739', 'Germany'),
+(10509, 'BLAUS', 4, '1997-04-17 00:00:00.000', '1997-05-15 00:00:00.000', '1997-04-29 00:00:00.000', 1, 0.15, 'Blauer See Delikatessen', 'Forsterstr. 57', 'Mannheim', NULL, '68306', 'Germany'),
+(10510, 'SAVEA', 6, '1997-04-18 00:00:00.000', '1997-05-16 00:00:00.000', '1997-04-28 00:00:00.000', 3, 367.63, 'Save-a-lot Markets', '187 Suffolk Ln.', 'Boise', 'ID', '83720', 'USA'),
+(10511, 'BONAP', 4, '1997-04-18 00:00:00.000', '1997-05-16 00:00:00.000', '1997-04-21 00:00:00.000', 3, 350.64, 'Bon app-', '12, rue des Bouchers', 'Marseille', NULL, '13008', 'France'),
+(10512, 'FAMIA', 7, '1997-04-21 00:00:00.000', '1997-05-19 00:00:00.000', '1997-04-24 00:00:00.000', 2, 3.53, 'Familia Arquibaldo', 'Rua Ores, 92', 'Sao Paulo', 'SP', '05442-030', 'Brazil'),
+(10513, 'WANDK', 7, '1997-04-22 00:00:00.000', '1997-06-03 00:00:00.000', '1997-04-28 00:00:00.000', 1, 105.65, 'Die Wandernde Kuh', 'Adenauerallee 900', 'Stuttgart', NULL, '70563', 'Germany'),
+(10514, 'ERNSH', 3, '1997-04-22 00:00:00.000', '1997-05-20 00:00:00.000', '1997-05-16 00:00:00.000', 2, 789.95, 'Ernst Handel', 'Kirchgasse 6', 'Graz', NULL, '8010', 'Austria'),
+(10515, 'QUICK', 2, '1997-04-23 00:00:00.000', '1997-05-07 00:00:00.000', '1997-05-23 00:00:00.000', 1, 204.47, 'QUICK-Stop', 'Taucherstraee 10', 'Cunewalde', NULL, '1307', 'Germany'),
+(10516, 'HUNGO', 2, '1997-04-24 00:00:00.000', '1997-05-22 00:00:00.000', '1997-05-01 00:00:00.000', 3, 62.78, 'Hungry Owl All-Night Grocers', '8 Johnstown Road', 'Cork', 'Co. Cork', NULL, 'Ireland'),
+(10517, 'NORTS', 3, '1997-04-24 00:00:00.000', '1997-05-22 00:00:00.000', '1997-04-29 00:00:00.000', 3, 32.07, 'North/South', 'South House 300 Queensbridge', 'London', NULL, 'SW7 1RZ', 'UK'),
+(10518, 'TORTU', 4, '1997-04-25 00:00:00.000', '1997-05-09 00:00:00.000', '1997-05-05 00:00:00.000', 2, 218.15, 'Tortuga Restaurante', 'Avda. Azteca 123', 'Mexico D.F.', NULL, '5033', 'Mexico'),
+(10519, 'CHOPS', 6, '1997-04-28 00:00:00.000', '1997-05-26 00:00:00.000', '1997-05-01 00:00:00.000', 3, 91.76, 'Chop-suey Chinese', 'Hauptstr. 31', 'Bern', NULL, '3012', 'Switzerland'),
+(10520, 'SANTG', 7, '1997-04-29 00:00:00.000', '1997-05-27 00:00:00.000', '1997-05-01 00:00:00.000', 1, 13.37, 'Sante Gourmet', 'Erling Skakkes gate 78', 'Stavern', NULL, '4110', 'Norway'),
+(10521, 'CACTU', 8, '1997-04-29 00:00:00.000', '1997-05-27 00:00:00.000', '1997-05-02 00:00:00.000', 2, 17.22, 'Cactus Comidas para llevar', 'Cerrito 333', 'Buenos Aires', NULL, '1010', 'Argentina'),
+(10522, 'LEHMS', 4, '1997-04-30 00:00:00.000', '1997-05-28 00:00:00.000', '1997-05-06 00:00:00.000', 1, 45.33, 'Lehmanns Marktstand', 'Magazinweg 7', 'Frankfurt a.M.', NULL, '60528', 'Germany'),
+(10523, 'SEVES', 7, '1997-05-01 00:00:00.000', '1997-05-29 00:00:00.000', '1997-05-30 00:00:00.000', 2, 77.63, 'Seven Seas Imports', '90 Wadhurst Rd.', 'London', NULL, 'OX15 4NB', 'UK'),
+(10524, 'BERGS', 1, '1997-05-01 00:00:00.000', '1997-05-29 00:00:00.000', '1997-05-07 00:00:00.000', 2, 244.79, 'Berglunds snabbkep', 'Berguvsvegen e8', 'Lulee', NULL, 'S-958 22', 'Sweden'),
+(10525, 'BONAP', 1, '1997-05-02 00:00:00.000', '1997-05-30 00:00:00.000', '1997-05-23 00:00:00.000', 2, 11.06, 'Bon app-', '12, rue des Bouchers', 'Marseille', NULL, '13008', 'France'),
+(10526, 'WARTH', 4, '1997-05-05 00:00:00.000', '1997-06-02 00:00:00.000', '1997-05-15 00:00:00.000', 2, 58.59, 'Wartian Herkku', 'Torikatu 38', 'Oulu', NULL, '90110', 'Finland'),
+(10527, 'QUICK', 7, '1997-05-05 00:00:00.000', '1997-06-02 00:00:00.000', '1997-05-07 00:00:00.000', 1, 41.9, 'QUICK-Stop', 'Taucherstraee 10', 'Cunewalde', NULL, '1307', 'Germany'),
+(10528, 'GREAL', 6, '1997-05-06 00:00:00.000', '1997-05-20 00:00:00.000', '1997-05-09 00:00:00.000', 2, 3.35, 'Great Lakes Food Market', '2732 Baker Blvd.', 'Eugene', 'OR', '97403', 'USA'),
+(10529, 'MAISD', 5, '1997-05-07 00:00:00.000', '1997-06-04 00:00:00.000', '1997-05-09 00:00:00.000', 2, 66.69, 'Maison Dewey', 'Rue Joseph-Bens 532', 'Bruxelles', NULL, 'B-1180', 'Belgium'),
+(10530, 'PICCO', 3, '1997-05-08 00:00:00.000', '1997-06-05 00:00:00.000', '1997-05-12 00:00:00.000', 2, 339.22, 'Piccolo und mehr', 'Geislweg 14', 'Salzburg', NULL, '5020', 'Austria'),
+(10531, 'OCEAN', 7, '1997-05-08 00:00:00.000', '1997-06-05 00:00:00.000', '1997-05-19 00:00:00.000', 1, 8.12, 'Oceano Atlentico Ltda.', 'Ing. Gustavo Moncada 8585 Piso 20-A', 'Buenos Aires', NULL, '1010', 'Argentina'),
+(10532, 'EASTC', 7, '1997-05-09 00:00:00.000', '1997-06-06 00:00:00.000', '1997-05-12 00:00:00.000', 3, 74.46, 'Eastern Connection', '35 King George', 'London', NULL, 'WX3 6FW', 'UK'),
+(10533, 'FOLKO', 8, '1997-05-12 00:00:00.000', '1997-06-09 00:00:00.000', '1997-05-22 00:00:00.000', 1, 188.04, 'Folk och fe HB', 'ekergatan 24', 'Brecke', NULL, 'S-844 67', 'Sweden'),
+(10534, 'LEHMS', 8, '1997-05-12 00:00:00.000', '1997-06-09 00:00:00.000', '1997-05-14 00:00:00.000', 2, 27.94, 'Lehmanns Marktstand', 'Magazinweg 7', 'Frankfurt a.M.', NULL, '60528', 'Germany'),
+(10535, 'ANTON', 4, '1997-05-13 00:00:00.000', '1997-06-10 00:00:00.000', '1997-05-21 00:00:00.000', 1, 15.64, 'Antonio Moreno Taquerea', 'Mataderos e2312', 'Mexico D.F.', NULL, '5023', 'Mexico'),
+(10536, 'LEHMS', 3, '1997-05-14 00:00:00.000', '1997-06-11 00:00:00.000', '1997-06-06 00:00:00.000', 2, 58.88, 'Lehmanns Marktstand', 'Magazinweg 7', 'Frankfurt a.M.', NULL, '60528', 'Germany'),
+(10537, 'RICSU', 1, '1997-05-14 00:00:00.000', '1997-05-28 00:00:00.000', '1997-05-19 00:00:00.000', 1, 78.85, 'Richter Supermarkt', 'Starenweg 5', 'Geneve', NULL, '1204', 'Switzerland'),
+(10538, 'BSBEV', 9, '1997-05-15 00:00:00.000', '1997-06-12 00:00:00.000', '1997-05-16 00:00:00.000', 3, 4.87, 'B-s Beverages', 'Fauntleroy Circus', 'London', NULL, 'EC2 5NT', 'UK'),
+(10539, 'BSBEV', 6, '1997-05-16 00:00:00.000', '1997-06-13 00:00:00.000', '1997-05-23 00:00:00.000', 3, 12.36, 'B-s Beverages', 'Fauntleroy Circus', 'London', NULL, 'EC2 5NT', 'UK'),
+(10540, 'QUICK', 3, '1997-05-19 00:00:00.000', '1997-06-16 00:00:00.000', '1997-06-13 00:00:00.000', 3, 1007.64, 'QUICK-Stop', 'Taucherstraee 10', 'Cunewalde', NULL, '1307', 'Germany'),
+(10541, 'HANAR', 2, '1997-05-19 00:00:00.000', '1997-06-16 00:00:00.000', '1997-05-29 00:00:00.000', 1, 68.65, 'Hanari Carnes', 'Rua do Paeo, 67', 'Rio de Janeiro', 'RJ', '05454-876', 'Brazil'),
+(10542, 'KOENE', 1, '1997-05-20 00:00:00.000', '1997-06-17 00:00:00.000', '1997-05-26 00:00:00.000', 3, 10.95, 'Keniglich Essen', 'Maubelstr. 90', 'Brandenburg', NULL, '14776', 'Germany'),
+(10543, 'LILAS', 8, '1997-05-21 00:00:00.000', '1997-06-18 00:00:00.000', '1997-05-23 00:00:00.000', 2, 48.17, 'LILA-Supermercado', 'Carrera 52 con Ave. Bolevar #65-98 Llano Largo', 'Barquisimeto', 'Lara', '3508', 'Venezuela'),
+(10544, 'LONEP', 4, '1997-05-21 00:00:00.000', '1997-06-18 00:00:00.000', '1997-05-30 00:00:00.000', 1, 24.91, 'Lonesome Pine Restaurant', '89 Chiaroscuro Rd.', 'Portland', 'OR', '97219', 'USA'),
+(10545, 'LAZYK', 8, '1997-05-22 00:00:00.000', '1997-06-19 00:00:00.000', '1997-06-26 00:00:00.000', 2, 11.92, 'Lazy K Kountry Store', '12 Orchestra Terrace', 'Walla Walla', 'WA', '99362', 'USA'),
+(10546, 'VICTE', 1, '1997-05-23 00:00:00.000', '1997-06-20 00:00:00.000', '1997-05-27 00:00:00.000', 3, 194.72, 'Victuailles en stock', '2, rue du Commerce', 'Lyon', NULL, '69004', 'France'),
+(10547, 'SEVES', 3, '1997-05-23 00:00:00.000', '1997-06-20 00:00:00.000', '1997-06-02 00:00:00.000', 2, 178.43, 'Seven Seas Imports', '90 Wadhurst Rd.', 'London', NULL, 'OX15 4NB', 'UK'),
+(10548, 'TOMSP', 3, '1997-05-26 00:00:00.000', '1997-06-23 00:00:00.000', '1997-06-02 00:00:00.000', 2, 1.43, 'Toms Spezialiteten', 'Luisenstr. 48', 'Menster', NULL, '44087', 'Germany'),
+(10549, 'QUICK', 5, '1997-05-27 00:00:00.000', '1997-06-10 00:00:00.000', '1997-05-30 00:00:00.000', 1, 171.24, 'QUICK-Stop', 'Taucherstraee 10', 'Cunewalde', NULL, '1307', 'Germany'),
+(10550, 'GODOS', 7, '1997-05-28 00:00:00.000', '1997-06-25 00:00:00.000', '1997-06-06 00:00:00.000', 3, 4.32, 'Godos Cocina Tepica', 'C/ Romero, 33', 'Sevilla', NULL, '41101', 'Spain'),
+(10551, 'FURIB', 4, '1997-05-28 00:00:00.000', '1997-07-09 00:00:00.000', '1997-06-06 00:00:00.000', 3, 72.95, 'Furia Bacalhau e Frutos do Mar', 'Jardim das rosas n. 32', 'Lisboa', NULL, '1675', 'Portugal'),
+(10552, 'HILAA', 2, '1997-05-29 00:00:00.000', '1997-06-26 00:00:00.000', '1997-06-05 00:00:00.000', 1, 83.22, 'HILARION-Abastos', 'Carrera 22 con Ave. Carlos Soublette #8-35', 'San Cristebal', 'Techira', '5022', 'Venezuela'),
+(10553, 'WARTH', 2, '1997-05-30 00:00:00.000', '1997-06-27 00:00:00.000', '1997-06-03 00:00:00.000', 2, 149.49, 'Wartian Herkku', 'Torikatu 38', 'Oulu', NULL, '90110', 'Finland'),
+(10554, 'OTTIK', 4, '1997-05-30 00:00:00.000', '1997-06-27 00:00:00.000', '1997-06-05 00:00:00.000', 3, 120.97, 'Ottilies Keseladen', 'Mehrheimerstr. 369', 'Keln', NULL, '50739', 'Germany'),
+(10555, 'SAVEA', 6, '1997-06-02 00:00:00.000', '1997-06-30 00:00:00.000', '1997-06-04 00:00:00.000', 3, 252.49, 'Save-a-lot Markets', '187 Suffolk Ln.', 'Boise', 'ID', '83720', 'USA'),
+(10556, 'SIMOB', 2, '1997-06-03 00:00:00.000', '1997-07-15 00:00:00.000', '1997-06-13 00:00:00.000', 1, 9.8, 'Simons bistro', 'Vinbeltet 34', 'Kobenhavn', NULL, '1734', 'Denmark'),
+(10557, 'LEHMS', 9, '1997-06-03 00:00:00.000', '1997-06-17 00:00:00.000', '1997-06-06 00:00:00.000', 2, 96.72, 'Lehmanns Marktstand', 'Magazinweg 7', 'Frankfurt a.M.', NULL, '60528', 'Germany'),
+(10558, 'AROUT', 1, '1997-06-04 00:00:00.000', '1997-07-02 00:00:00.000', '1997-06-10 00:00:00.000', 2, 72.97, 'Around the Horn', 'Brook Farm Stratford St. Mary', 'Colchester', 'Essex', 'CO7 6JX', 'UK'),
+(10559, 'BLONP', 6, '1997-06-05 00:00:00.000', '1997-07-03 00:00:00.000', '1997-06-13 00:00:00.000', 1, 8.05, 'Blondel pere et fils', '24, place Kleber', 'Strasbourg', NULL, '67000', 'France'),
+(10560, 'FRANK', 8, '1997-06-06 00:00:00.000', '1997-07-04 00:00:00.000', '1997-06-09 00:00:00.000', 1, 36.65, 'Frankenversand', 'Berliner Platz 43', 'Menchen', NULL, '80805', 'Germany'),
+(10561, 'FOLKO', 2, '1997-06-06 00:00:00.000', '1997-07-04 00:00:00.000', '1997-06-09 00:00:00.000', 2, 242.21, 'Folk och fe HB', 'ekergatan 24', 'Brecke', NULL, 'S-844 67', 'Sweden'),
+(10562, 'REGGC', 1, '1997-06-09 00:00:00.000', '1997-07-07 00:00:00.000', '1997-06-12 00:00:00.000', 1, 22.95, 'Reggiani Caseifici', 'Strada Provinciale 124', 'Reggio Emilia', NULL, '42100', 'Italy'),
+(10563, 'RICAR', 2, '1997-06-10 00:00:00.000', '1997-07-22 00:00:00.000', '1997-06-24 00:00:00.000', 2, 60.43, 'Ricardo Adocicados', 'Av. Copacabana, 267', 'Rio de Janeiro', 'RJ', '02389-890', 'Brazil'),
+(10564, 'RATTC', 4, '1997-06-10 00:00:00.000', '1997-07-08 00:00:00.000', '1997-06-16 00:00:00.000', 3, 13.75, 'Rattlesnake Canyon Grocery', '2817 Milton Dr.', 'Albuquerque', 'NM', '87110', 'USA'),
+(10565, 'MEREP', 8, '1997-06-11 00:00:00.000', '1997-07-09 00:00:00.000', '1997-06-18 00:00:00.000', 2, 7.15, 'Mere Paillarde', '43 rue St. Laurent', 'Montreal', 'Quebec', 'H1J 1C3', 'Canada'),
+(10566, 'BLONP', 9, '1997-06-12 00:00:00.000', '1997-07-10 00:00:00.000', '1997-06-18 00:00:00.000', 1, 88.4, 'Blondel pere et fils', '24, place Kleber', 'Strasbourg', NULL, '67000', 'France'),
+(10567, 'HUNGO', 1, '1997-06-12 00:00:00.000', '1997-07-10 00:00:00.000', '1997-06-17 00:00:00.000', 1, 33.97, 'Hungry Owl All-Night Grocers', '8 Johnstown Road', 'Cork', 'Co. Cork', NULL, 'Ireland'),
+(10568, 'GALED', 3, '1997-06-13 00:00:00.000', '1997-07-11 00:00:00.000', '1997-07-09 00:00:00.000', 3, 6.54, 'Galerea del gastronemo', 'Rambla de Cataluea, 23', 'Barcelona', NULL, '8022', 'Spain'),
+(10569, 'RATTC', 5, '1997-06-16 00:00:00.000', '1997-07-14 00:00:00.000', '1997-07-11 00:00:00.000', 1, 58.98, 'Rattlesnake Canyon Grocery', '2817 Milton Dr.', 'Albuquerque', 'NM', '87110', 'USA'),
+(10570, 'MEREP', 3, '1997-06-17 00:00:00.000', '1997-07-15 00:00:00.000', '1997-06-19 00:00:00.000', 3, 188.99, 'Mere Paillarde', '43 rue St. Laurent', 'Montreal', 'Quebec', 'H1J 1C3', 'Canada'),
+(10571, 'ERNSH', 8, '1997-06-17 00:00:00.000', '1997-07-29 00:00:00.000', '1997-07-04 00:00:00.000', 3, 26.06, 'Ernst Handel', 'Kirchgasse 6', 'Graz', NULL, '8010', 'Austria'),
+(10572, 'BERGS', 3, '1997-06-18 00:00:00.000', '1997-07-16 00:00:00.000', '1997-06-25 00:00:00.000', 2, 116.43, 'Berglunds snabbkep', 'Berguvsvegen e8', 'Lulee', NULL, 'S-958 22', 'Sweden'),
+(10573, 'ANTON', 7, '1997-06-19 00:00:00.000', '1997-07-17 00:00:00.000', '1997-06-20 00:00:00.000', 3, 84.84, 'Antonio Moreno Taquerea', 'Mataderos e2312', 'Mexico D.F.', NULL, '5023', 'Mexico'),
+(10574, 'TRAIH', 4, '1997-06-19 00:00:00.000', '1997-07-17 00:00:00.000', '1997-06-30 00:00:00.000', 2, 37.6, 'Trail-s Head Gourmet Provisioners', '722 DaVinci Blvd.', 'Kirkland', 'WA', '98034', 'USA'),
+(10575, 'MORGK', 5, '1997-06-20 00:00:00.000', '1997-07-04 00:00:00.000', '1997-06-30 00:00:00.000', 1, 127.34, 'Morgenstern Gesundkost', 'Heerstr. 22', 'Leipzig', NULL, '4179', 'Germany'),
+(10576, 'TORTU', 3, '1997-06-23 00:00:00.000', '1997-07-07 00:00:00.000', '1997-06-30 00:00:00.000', 3, 18.56, 'Tortuga Restaurante', 'Avda. Azteca 123', 'Mexico D.F.', NULL, '5033', 'Mexico'),
+(10577, 'TRAIH', 9, '1997-06-23 00:00:00.000', '1997-08-04 00:00:00.000', '1997-06-30 00:00:00.000', 2, 25.41, 'Trail-s Head Gourmet Provisioners', '722 DaVinci Blvd.', 'Kirkland', 'WA', '98034', 'USA'),
+(10578, 'BSBEV', 4, '1997-06-24 00:00:00.000', '1997-07-22 00:00:00.000', '1997-07-25 00:00:00.000', 3, 29.6, 'B-s Beverages', 'Fauntleroy Circus', 'London', NULL, 'EC2 5NT', 'UK'),
+(10579, 'LETSS', 1, '1997-06-25 00:00:00.000', '1997-07-23 00:00:00.000', '1997-07-04 00:00:00.000', 2, 13.73, 'Let-s Stop N Shop', '87 Polk St. Suite 5', 'San Francisco', 'CA', '94117', 'USA'),
+(10580, 'OTTIK', 4, '1997-06-26 00:00:00.000', '1997-07-24 00:00:00.000', '1997-07-01 00:00:00.000', 3, 75.89, 'Ottilies Keseladen', 'Mehrheimerstr. 369', 'Keln', NULL, '50739', 'Germany'),
+(10581, 'FAMIA', 3, '1997-06-26 00:00:00.000', '1997-07-24 00:00:00.000', '1997-07-02 00:00:00.000', 1, 3.01, 'Familia Arquibaldo', 'Rua Ores, 92', 'Sao Paulo', 'SP', '05442-030', 'Brazil'),
+(10582, 'BLAUS', 3, '1997-06-27 00:00:00.000', '1997-07-25 00:00:00.000', '1997-07-14 00:00:00.000', 2, 27.71, 'Blauer See Delikatessen', 'Forsterstr. 57', 'Mannheim', NULL, '68306', 'Germany'),
+(10583, 'WARTH', 2, '1997-06-30 00:00:00.000', '1997-07-28 00:00:00.000', '1997-07-04 00:00:00.000', 2, 7.28, 'Wartian Herkku', 'Torikatu 38', 'Oulu', NULL, '90110', 'Finland'),
+(10584, 'BLONP', 4, '1997-06-30 00:00:00.000', '1997-07-28 00:00:00.000', '1997-07-04 00:00:00.000', 1, 59.14, 'Blondel pere et fils', '24, place Kleber', 'Strasbourg', NULL, '67000', 'France'),
+(10585, 'WELLI', 7, '1997-07-01 00:00:00.000', '1997-07-29 00:00:00.000', '1997-07-10 00:00:00.000', 1, 13.41, 'Wellington Importadora', 'Rua do Mercado, 12', 'Resende', 'SP', '08737-363', 'Brazil'),
+(10586, 'REGGC', 9, '1997-07-02 00:00:00.000', '1997-07-30 00:00:00.000', '1997-07-09 00:00:00.000', 1, 0.48, 'Reggiani Caseifici', 'Strada Provinciale 124', 'Reggio Emilia', NULL, '42100', 'Italy'),
+(10587, 'QUEDE', 1, '1997-07-02 00:00:00.000', '1997-07-30 00:00:00.000', '1997-07-09 00:00:00.000', 1, 62.52, 'Que Delecia', 'Rua da Panificadora, 12', 'Rio de Janeiro', 'RJ', '02389-673', 'Brazil'),
+(10588, 'QUICK', 2, '1997-07-03 00:00:00.000', '1997-07-31 00:00:00.000', '1997-07-10 00:00:00.000', 3, 194.67, 'QUICK-Stop', 'Taucherstraee 10', 'Cunewalde', NULL, '1307', 'Germany'),
+(10589, 'GREAL', 8, '1997-07-04 00:00:00.000', '1997-08-01 00:00:00.000', '1997-07-14 00:00:00.000', 2, 4.42, 'Great Lakes Food Market', '2732 Baker Blvd.', 'Eugene', 'OR', '97403', 'USA'),
+(10590, 'MEREP', 4, '1997-07-07 00:00:00.000', '1997-08-04 00:00:00.000', '1997-07-14 00:00:00.000', 3, 44.77, 'Mere Paillarde', '43 rue St. Laurent', 'Montreal', 'Quebec', 'H1J 1C3', 'Canada'),
+(10591, 'VAFFE', 1, '1997-07-07 00:00:00.000', '1997-07-21 00:00:00.000', '1997-07-16 00:00:00.000', 1, 55.92, 'Vaffeljernet', 'Smagsloget 45', 'erhus', NULL, '8200', 'Denmark'),
+(10592, 'LEHMS', 3, '1997-07-08 00:00:00.000', '1997-08-05 00:00:00.000', '1997-07-16 00:00:00.000', 1, 32.1, 'Lehmanns Marktstand', 'Magazinweg 7', 'Frankfurt a.M.', NULL, '60528', 'Germany'),
+(10593, 'LEHMS', 7, '1997-07-09 00:00:00.000', '1997-08-06 00:00:00.000', '1997-08-13 00:00:00.000', 2, 174.2, 'Lehmanns Marktstand', 'Magazinweg 7', 'Frankfurt a.M.', NULL, '60528', 'Germany'),
+(10594, 'OLDWO', 3, '1997-07-09 00:00:00.000', '1997-08-06 00:00:00.000', '1997-07-16 00:00:00.000', 2, 5.24, 'Old World Delicatessen', '2743 Bering St.', 'Anchorage', 'AK', '99508', 'USA'),
+(10595, 'ERNSH', 2, '1997-07-10 00:00:00.000', '1997-08-07 00:00:00.000', '1997-07-14 00:00:00.000', 1, 96.78, 'Ernst Handel', 'Kirchgasse 6', 'Graz', NULL, '8010', 'Austria'),
+(10596, 'WHITC', 8, '1997-07-11 00:00:00.000', '1997-08-08 00:00:00.000', '1997-08-12 00:00:00.000', 1, 16.34, 'White Clover Markets', '1029 - 12th Ave. S.', 'Seattle', 'WA', '98124', 'USA'),
+(10597, 'PICCO', 7, '1997-07-11 00:00:00.000', '1997-08-08 00:00:00.000', '1997-07-18 00:00:00.000', 3, 35.12, 'Piccolo und mehr', 'Geislweg 14', 'Salzburg', NULL, '5020', 'Austria'),
+(10598, 'RATTC', 1, '1997-07-14 00:00:00.000', '1997-08-11 00:00:00.000', '1997-07-18 00:00:00.000', 3, 44.42, 'Rattlesnake Canyon Grocery', '2817 Milton Dr.', 'Albuquerque', 'NM', '87110', 'USA'),
+(10599, 'BSBEV', 6, '1997-07-15 00:00:00.000', '1997-08-26 00:00:00.000', '1997-07-21 00:00:00.000', 3, 29.98, 'B-s Beverages', 'Fauntleroy Circus', 'London', NULL, 'EC2 5NT', 'UK'),
+(10600, 'HUNGC', 4, '1997-07-16 00:00:00.000', '1997-08-13 00:00:00.000', '1997-07-21 00:00:00.000', 1, 45.13, 'Hungry Coyote Import Store', 'City Center Plaza 516 Main St.', 'Elgin', 'OR', '97827', 'USA'),
+(10601, 'HILAA', 7, '1997-07-16 00:00:00.000', '1997-08-27 00:00:00.000', '1997-07-22 00:00:00.000', 1, 58.3, 'HILARION-Abastos', 'Carrera 22 con Ave. Carlos Soublette #8-35', 'San Cristebal', 'Techira', '5022', 'Venezuela'),
+(10602, 'VAFFE', 8, '1997-07-17 00:00:00.000', '1997-08-14 00:00:00.000', '1997-07-22 00:00:00.000', 2, 2.92, 'Vaffeljernet', 'Smagsloget 45', 'erhus', NULL, '8200', 'Denmark'),
+(10603, 'SAVEA', 8, '1997-07-18 00:00:00.000', '1997-08-15 00:00:00.000', '1997-08-08 00:00:00.000', 2, 48.77, 'Save-a-lot Markets', '187 Suffolk Ln.', 'Boise', 'ID', '83720', 'USA'),
+(10604, 'FURIB', 1, '1997-07-18 00:00:00.000', '1997-08-15 00:00:00.000', '1997-07-29 00:00:00.000', 1, 7.46, 'Furia Bacalhau e Frutos do Mar', 'Jardim das rosas n. 32', 'Lisboa', NULL, '1675', 'Portugal'),
+(10605, 'MEREP', 1, '1997-07-21 00:00:00.000', '1997-08-18 00:00:00.000', '1997-07-29 00:00:00.000', 2, 379.13, 'Mere Paillarde', '43 rue St. Laurent', 'Montreal', 'Quebec', 'H1J 1C3', 'Canada'),
+(10606, 'TRADH', 4, '1997-07-22 00:00:00.000', '1997-08-19 00:00:00.000', '1997-07-31 00:00:00.000', 3, 79.4, 'Tradieao Hipermercados', 'Av. Ines de Castro, 414', 'Sao Paulo', 'SP', '05634-030', 'Brazil'),
+(10607, 'SAVEA', 5, '1997-07-22 00:00:00.000', '1997-08-19 00:00:00.000', '1997-07-25 00:00:00.000', 1, 200.24, 'Save-a-lot Markets', '187 Suffolk Ln.', 'Boise', 'ID', '83720', 'USA'),
+(10608, 'TOMSP', 4, '1997-07-23 00:00:00.000', '1997-08-20 00:00:00.000', '1997-08-01 00:00:00.000', 2, 27.79, 'Toms Spezialiteten', 'Luisenstr. 48', 'Menster', NULL, '44087', 'Germany'),
+(10609, 'DUMON', 7, '1997-07-24 00:00:00.000', '1997-08-21 00:00:00.000', '1997-07-30 00:00:00.000', 2, 1.85, 'Du monde entier', '67, rue des Cinquante Otages', 'Nantes', NULL, '44000', 'France'),
+(10610, 'LAMAI', 8, '1997-07-25 00:00:00.000', '1997-08-22 00:00:00.000', '1997-08-06 00:00:00.000', 1, 26.78, 'La maison d-Asie', '1 rue Alsace-Lorraine', 'Toulouse', NULL, '31000', 'France'),
+(10611, 'WOLZA', 6, '1997-07-25 00:00:00.000', '1997-08-22 00:00:00.000', '1997-08-01 00:00:00.000', 2, 80.65, 'Wolski Zajazd', 'ul. Filtrowa 68', 'Warszawa', NULL, '01-012', 'Poland'),
+(10612, 'SAVEA', 1, '1997-07-28 00:00:00.000', '1997-08-25 00:00:00.000', '1997-08-01 00:00:00.000', 2, 544.08, 'Save-a-lot Markets', '187 Suffolk Ln.', 'Boise', 'ID', '83720', 'USA'),
+(10613, 'HILAA', 4, '1997-07-29 00:00:00.000', '1997-08-26 00:00:00.000', '1997-08-01 00:00:00.000', 2, 8.11, 'HILARION-Abastos', 'Carrera 22 con Ave. Carlos Soublette #8-35', 'San Cristebal', 'Techira', '5022', 'Venezuela'),
+(10614, 'BLAUS', 8, '1997-07-29 00:00:00.000', '1997-08-26 00:00:00.000', '1997-08-01 00:00:00.000', 3, 1.93, 'Blauer See Delikatessen', 'Forsterstr. 57', 'Mannheim', NULL, '68306', 'Germany'),
+(10615, 'WILMK', 2, '1997-07-30 00:00:00.000', '1997-08-27 00:00:00.000', '1997-08-06 00:00:00.000', 3, 0.75, 'Wilman Kala', 'Keskuskatu 45', 'Helsinki', NULL, '21240', 'Finland'),
+(10616, 'GREAL', 1, '1997-07-31 00:00:00.000', '1997-08-28 00:00:00.000', '1997-08-05 00:00:00.000', 2, 116.53, 'Great Lakes Food Market', '2732 Baker Blvd.', 'Eugene', 'OR', '97403', 'USA'),
+(10617, 'GREAL', 4, '1997-07-31 00:00:00.000', '1997-08-28 00:00:00.000', '1997-08-04 00:00:00.000', 2, 18.53, 'Great Lakes Food Market', '2732 Baker Blvd.', 'Eugene', 'OR', '97403', 'USA'),
+(10618, 'MEREP', 1, '1997-08-01 00:00:00.000', '1997-09-12 00:00:00.000', '1997-08-08 00:00:00.000', 1, 154.68, 'Mere Paillarde', '43 rue St. Laurent', 'Montreal', 'Quebec', 'H1J 1C3', 'Canada'),
+(10619, 'MEREP', 3, '1997-08-04 00:00:00.000', '1997-09-01 00:00:00.000', '1997-08-07 00:00:00.000', 3, 91.05, 'Mere Paillarde', '43 rue St. Laurent', 'Montreal', 'Quebec', 'H1J 1C3', 'Canada'),
+(10620, 'LAUGB', 2, '1997-08-05 00:00:00.000', '1997-09-02 00:00:00.000', '1997-08-14 00:00:00.000', 3, 0.94, 'Laughing Bacchus Wine Cellars', '2319 Elm St.', 'Vancouver', 'BC', 'V3F 2K1', 'Canada'),
+(10621, 'ISLAT', 4, '1997-08-05 00:00:00.000', '1997-09-02 00:00:00.000', '1997-08-11 00:00:00.000', 2, 23.73, 'Island Trading', 'Garden House Crowther Way', 'Cowes', 'Isle of Wight', 'PO31 7PJ', 'UK'),
+(10622, 'RICAR', 4, '1997-08-06 00:00:00.000', '1997-09-03 00:00:00.000', '1997-08-11 00:00:00.000', 3, 50.97, 'Ricardo Adocicados', 'Av. Copacabana, 267', 'Rio de Janeiro', 'RJ', '02389-890', 'Brazil'),
+(10623, 'FRANK', 8, '1997-08-07 00:00:00.000', '1997-09-04 00:00:00.000', '1997-08-12 00:00:00.000', 2, 97.18, 'Frankenversand', 'Berliner Platz 43', 'Menchen', NULL, '80805', 'Germany'),
+(10624, 'THECR', 4, '1997-08-07 00:00:00.000', '1997-09-04 00:00:00.000', '1997-08-19 00:00:00.000', 2, 94.8, 'The Cracker Box', '55 Grizzly Peak Rd.', 'Butte', 'MT', '59801', 'USA'),
+(10625, 'ANATR', 3, '1997-08-08 00:00:00.000', '1997-09-05 00:00:00.000', '1997-08-14 00:00:00.000', 1, 43.9, 'Ana Trujillo Emparedados y helados', 'Avda. de la Constitucien 2222', 'Mexico D.F.', NULL, '5021', 'Mexico'),
+(10626, 'BERGS', 1, '1997-08-11 00:00:00.000', '1997-09-08 00:00:00.000', '1997-08-20 00:00:00.000', 2, 138.69, 'Berglunds snabbkep', 'Berguvsvegen e8', 'Lulee', NULL, 'S-958 22', 'Sweden'),
+(10627, 'SAVEA', 8, '1997-08-11 00:00:00.000', '1997-09-22 00:00:00.000', '1997-08-21 00:00:00.000', 3, 107.46, 'Save-a-lot Markets', '187 Suffolk Ln.', 'Boise', 'ID', '83720', 'USA'),
+(10628, 'BLONP', 4, '1997-08-12 00:00:00.000', '1997-09-09 00:00:00.000', '1997-08-20 00:00:00.000', 3, 30.36, 'Blondel pere et fils', '24, place Kleber', 'Strasbourg', NULL, '67000', 'France'),
+(10629, 'GODOS', 4, '1997-08-12 00:00:00.000', '1997-09-09 00:00:00.000', '1997-08-20 00:00:00.000', 3, 85.46, 'Godos Cocina Tepica', 'C/ Romero, 33', 'Sevilla', NULL, '41101', 'Spain'),
+(10630, 'KOENE', 1, '1997-08-13 00:00:00.000', '1997-09-10 00:00:00.000', '1997-08-19 00:00:00.000', 2, 32.35, 'Keniglich Essen', 'Maubelstr. 90', 'Brandenburg', NULL, '14776', 'Germany'),
+(10631, 'LAMAI', 8, '1997-08-14 00:00:00.000', '1997-09-11 00:00:00.000', '1997-08-15 00:00:00.000', 1, 0.87, 'La maison d-Asie', '1 rue Alsace-Lorraine', 'Toulouse', NULL, '31000', 'France'),
+(10632, 'WANDK', 8, '1997-08-14 00:00:00.000', '1997-09-11 00:00:00.000', '1997-08-19 00:00:00.000', 1, 41.38, 'Die Wandernde Kuh', 'Adenauerallee 900', 'Stuttgart', NULL, '70563', 'Germany'),
+(10633, 'ERNSH', 7, '1997-08-15 00:00:00.000', '1997-09-12 00:00:00.000', '1997-08-18 00:00:00.000', 3, 477.9, 'Ernst Handel', 'Kirchgasse 6', 'Graz', NULL, '8010', 'Austria'),
+(10634, 'FOLIG', 4, '1997-08-15 00:00:00.000', '1997-09-12 00:00:00.000', '1997-08-21 00:00:00.000', 3, 487.38, 'Folies gourmandes', '184, chaussee de Tournai', 'Lille', NULL, '59000', 'France'),
+(10635, 'MAGAA', 8, '1997-08-18 00:00:00.000', '1997-09-15 00:00:00.000', '1997-08-21 00:00:00.000', 3, 47.46, 'Magazzini Alimentari Riuniti', 'Via Ludovico il Moro 22', 'Bergamo', NULL, '24100', 'Italy'),
+(10636, 'WARTH', 4, '1997-08-19 00:00:00.000', '1997-09-16 00:00:00.000', '1997-08-26 00:00:00.000', 1, 1.15, 'Wartian Herkku', 'Torikatu 38', 'Oulu', NULL, '90110', 'Finland'),
+(10637, 'QUEEN', 6, '1997-08-19 00:00:00.000', '1997-09-16 00:00:00.000', '1997-08-26 00:00:00.000', 1, 201.29, 'Queen Cozinha', 'Alameda dos Canerios, 891', 'Sao Paulo', 'SP', '05487-020', 'Brazil'),
+(10638, 'LINOD', 3, '1997-08-20 00:00:00.000', '1997-09-17 00:00:00.000', '1997-09-01 00:00:00.000', 1, 158.44, 'LINO-Delicateses', 'Ave. 5 de Mayo Porlamar', 'I. de Margarita', 'Nueva Esparta', '4980', 'Venezuela'),
+(10639, 'SANTG', 7, '1997-08-20 00:00:00.000', '1997-09-17 00:00:00.000', '1997-08-27 00:00:00.000', 3, 38.64, 'Sante Gourmet', 'Erling Skakkes gate 78', 'Stavern', NULL, '4110', 'Norway'),
+(10640, 'WANDK', 4, '1997-08-21 00:00:00.000', '1997-09-18 00:00:00.000', '1997-08-28 00:00:00.000', 1, 23.55, 'Die Wandernde Kuh', 'Adenauerallee 900', 'Stuttgart', NULL, '70563', 'Germany'),
+(10641, 'HILAA', 4, '1997-08-22 00:00:00.000', '1997-09-19 00:00:00.000', '1997-08-26 00:00:00.000', 2, 179.61, 'HILARION-Abastos', 'Carrera 22 con Ave. Carlos Soublette #8-35', 'San Cristebal', 'Techira', '5022', 'Venezuela'),
+(10642, 'SIMOB', 7, '1997-08-22 00:00:00.000', '1997-09-19 00:00:00.000', '1997-09-05 00:00:00.000', 3, 41.89, 'Simons bistro', 'Vinbeltet 34', 'Kobenhavn', NULL, '1734', 'Denmark'),
+(10643, 'ALFKI', 6, '1997-08-25 00:00:00.000', '1997-09-22 00:00:00.000', '1997-09-02 00:00:00.000', 1, 29.46, 'Alfreds Futterkiste', 'Obere Str. 57', 'Berlin', NULL, '12209', 'Germany'),
+(10644, 'WELLI', 3, '1997-08-25 00:00:00.000', '1997-09-22 00:00:00.000', '1997-09-01 00:00:00.000', 2, 0.14, 'Wellington Importadora', 'Rua do Mercado, 12', 'Resende', 'SP', '08737-363', 'Brazil'),
+(10645, 'HANAR', 4, '1997-08-26 00:00:00.000', '1997-09-23 00:00:00.000', '1997-09-02 00:00:00.000', 1, 12.41, 'Hanari Carnes', 'Rua do Paeo, 67', 'Rio de Janeiro', 'RJ', '05454-876', 'Brazil'),
+(10646, 'HUNGO', 9, '1997-08-27 00:00:00.000', '1997-10-08 00:00:00.000', '1997-09-03 00:00:00.000', 3, 142.33, 'Hungry Owl All-Night Grocers', '8 Johnstown Road', 'Cork', 'Co. Cork', NULL, 'Ireland'),
+(10647, 'QUEDE', 4, '1997-08-27 00:00:00.000', '1997-09-10 00:00:00.000', '1997-09-03 00:00:00.000', 2, 45.54, 'Que Delecia', 'Rua da Panificadora, 12', 'Rio de Janeiro', 'RJ', '02389-673', 'Brazil'),
+(10648, 'RICAR', 5, '1997-08-28 00:00:00.000', '1997-10-09 00:00:00.000', '1997-09-09 00:00:00.000', 2, 14.25, 'Ricardo Adocicados', 'Av. Copacabana, 267', 'Rio de Janeiro', 'RJ', '02389-890', 'Brazil'),
+(10649, 'MAISD', 5, '1997-08-28 00:00:00.000', '1997-09-25 00:00:00.000', '1997-08-29 00:00:00.000', 3, 6.2, 'Maison Dewey', 'Rue Joseph-Bens 532', 'Bruxelles', NULL, 'B-1180', 'Belgium'),
+(10650, 'FAMIA', 5, '1997-08-29 00:00:00.000', '1997-09-26 00:00:00.000', '1997-09-03 00:00:00.000', 3, 176.81, 'Familia Arquibaldo', 'Rua Ores, 92', 'Sao Paulo', 'SP', '05442-030', 'Brazil'),
+(10651, 'WANDK', 8, '1997-09-01 00:00:00.000', '1997-09-29 00:00:00.000', '1997-09-11 00:00:00.000', 2, 20.6, 'Die Wandernde Kuh', 'Adenauerallee 900', 'Stuttgart', NULL, '70563', 'Germany'),
+(10652, 'GOURL', 4, '1997-09-01 00:00:00.000', '1997-09-29 00:00:00.000', '1997-09-08 00:00:00.000', 2, 7.14, 'Gourmet Lanchonetes', 'Av. Brasil, 442', 'Campinas', 'SP', '04876-786', 'Brazil'),
+(10653, 'FRANK', 1, '1997-09-02 00:00:00.000', '1997-09-30 00:00:00.000', '1997-09-19 00:00:00.000', 1, 93.25, 'Frankenversand', 'Berliner Platz 43', 'Menchen', NULL, '80805', 'Germany'),
+(10654, 'BERGS', 5, '1997-09-02 00:00:00.000', '1997-09-30 00:00:00.000', '1997-09-11 00:00:00.000', 1, 55.26, 'Berglunds snabbkep', 'Berguvsvegen e8', 'Lulee', NULL, 'S-958 22', 'Sweden'),
+(10655, 'REGGC', 1, '1997-09-03 00:00:00.000', '1997-10-01 00:00:00.000', '1997-09-11 00:00:00.000', 2, 4.41, 'Reggiani Caseifici', 'Strada Provinciale 124', 'Reggio Emilia', NULL, '42100', 'Italy'),
+(10656, 'GREAL', 6, '1997-09-04 00:00:00.000', '1997-10-02 00:00:00.000', '1997-09-10 00:00:00.000', 1, 57.15, 'Great Lakes Food Market', '2732 Baker Blvd.', 'Eugene', 'OR', '97403', 'USA'),
+(10657, 'SAVEA', 2, '1997-09-04 00:00:00.000', '1997-10-02 00:00:00.000', '1997-09-15 00:00:00.000', 2, 352.69, 'Save-a-lot Markets', '187 Suffolk Ln.', 'Boise', 'ID', '83720', 'USA'),
+(10658, 'QUICK', 4, '1997-09-05 00:00:00.000', '1997-10-03 00:00:00.000', '1997-09-08 00:00:00.000', 1, 364.15, 'QUICK-Stop', 'Taucherstraee 10', 'Cunewalde', NULL, '1307', 'Germany'),
+(10659, 'QUEEN', 7, '1997-09-05 00:00:00.000', '1997-10-03 00:00:00.000', '1997-09-10 00:00:00.000', 2, 105.81, 'Queen Cozinha', 'Alameda dos Canerios, 891', 'Sao Paulo', 'SP', '05487-020', 'Brazil'),
+(10660, 'HUNGC', 8, '1997-09-08 00:00:00.000', '1997-10-06 00:00:00.000', '1997-10-15 00:00:00.000', 1, 111.29, 'Hungry Coyote Import Store', 'City Center Plaza 516 Main St.', 'Elgin', 'OR', '97827', 'USA'),
+(10661, 'HUNGO', 7, '1997-09-09 00:00:00.000', '1997-10-07 00:00:00.000', '1997-09-15 00:00:00.000', 3, 17.55, 'Hungry Owl All-Night Grocers', '8 Johnstown Road', 'Cork', 'Co. Cork', NULL, 'Ireland'),
+(10662, 'LONEP', 3, '1997-09-09 00:00:00.000', '1997-10-07 00:00:00.000', '1997-09-18 00:00:00.000', 2, 1.28, 'Lonesome Pine Restaurant', '89 Chiaroscuro Rd.', 'Portland', 'OR', '97219', 'USA'),
+(10663, 'BONAP', 2, '1997-09-10 00:00:00.000', '1997-09-24 00:00:00.000', '1997-10-03 00:00:00.000', 2, 113.15, 'Bon app-', '12, rue des Bouchers', 'Marseille', NULL, '13008', 'France'),
+(10664, 'FURIB', 1, '1997-09-10 00:00:00.000', '1997-10-08 00:00:00.000', '1997-09-19 00:00:00.000', 3, 1.27, 'Furia Bacalhau e Frutos do Mar', 'Jardim das rosas n. 32', 'Lisboa', NULL, '1675', 'Portugal'),
+(10665, 'LONEP', 1, '1997-09-11 00:00:00.000', '1997-10-09 00:00:00.000', '1997-09-17 00:00:00.000', 2, 26.31, 'Lonesome Pine Restaurant', '89 Chiaroscuro Rd.', 'Portland', 'OR', '97219', 'USA'),
+(10666, 'RICSU', 7, '1997-09-12 00:00:00.000', '1997-10-10 00:00:00.000', '1997-09-22 00:00:00.000', 2, 232.42, 'Richter Supermarkt', 'Starenweg 5', 'Geneve', NULL, '1204', 'Switzerland'),
+(10667, 'ERNSH', 7, '1997-09-12 00:00:00.000', '1997-10-10 00:00:00.000', '1997-09-19 00:00:00.000', 1, 78.09, 'Ernst Handel', 'Kirchgasse 6', 'Graz', NULL, '8010', 'Austria'),
+(10668, 'WANDK', 1, '1997-09-15 00:00:00.000', '1997-10-13 00:00:00.000', '1997-09-23 00:00:00.000', 2, 47.22, 'Die Wandernde Kuh', 'Adenauerallee 900', 'Stuttgart', NULL, '70563', 'Germany'),
+(10669, 'SIMOB', 2, '1997-09-15 00:00:00.000', '1997-10-13 00:00:00.000', '1997-09-22 00:00:00.000', 1, 24.39, 'Simons bistro', 'Vinbeltet 34', 'Kobenhavn', NULL, '1734', 'Denmark'),
+(10670, 'FRANK', 4, '1997-09-16 00:00:00.000', '1997-10-14 00:00:00.000', '1997-09-18 00:00:00.000', 1, 203.48, 'Frankenversand', 'Berliner Platz 43', 'Menchen', NULL, '80805', 'Germany'),
+(10671, 'FRANR', 1, '1997-09-17 00:00:00.000', '1997-10-15 00:00:00.000', '1997-09-24 00:00:00.000', 1, 30.34, 'France restauration', '54, rue Royale', 'Nantes', NULL, '44000', 'France'),
+(10672, 'BERGS', 9, '1997-09-17 00:00:00.000', '1997-10-01 00:00:00.000', '1997-09-26 00:00:00.000', 2, 95.75, 'Berglunds snabbkep', 'Berguvsvegen e8', 'Lulee', NULL, 'S-958 22', 'Sweden'),
+(10673, 'WILMK', 2, '1997-09-18 00:00:00.000', '1997-10-16 00:00:00.000', '1997-09-19 00:00:00.000', 1, 22.76, 'Wilman Kala', 'Keskuskatu 45', 'Helsinki', NULL, '21240', 'Finland'),
+(10674, 'ISLAT', 4, '1997-09-18 00:00:00.000', '1997-10-16 00:00:00.000', '1997-09-30 00:00:00.000', 2, 0.9, 'Island Trading', 'Garden House Crowther Way', 'Cowes', 'Isle of Wight', 'PO31 7PJ', 'UK'),
+(10675, 'FRANK', 5, '1997-09-19 00:00:00.000', '1997-10-17 00:00:00.000', '1997-09-23 00:00:00.000', 2, 31.85, 'Frankenversand', 'Berliner Platz 43', 'Menchen', NULL, '80805', 'Germany'),
+(10676, 'TORTU', 2, '1997-09-22 00:00:00.000', '1997-10-20 00:00:00.000', '1997-09-29 00:00:00.000', 2, 2.01, 'Tortuga Restaurante', 'Avda. Azteca 123', 'Mexico D.F.', NULL, '5033', 'Mexico'),
+(10677, 'ANTON', 1, '1997-09-22 00:00:00.000', '1997-10-20 00:00:00.000', '1997-09-26 00:00:00.000', 3, 4.03, 'Antonio Moreno Taquerea', 'Mataderos e2312', 'Mexico D.F.', NULL, '5023', 'Mexico'),
+(10678, 'SAVEA', 7, '1997-09-23 00:00:00.000', '1997-10-21 00:00:00.000', '1997-10-16 00:00:00.000', 3, 388.98, 'Save-a-lot Markets', '187 Suffolk Ln.', 'Boise', 'ID', '83720', 'USA'),
+(10679, 'BLONP', 8, '1997-09-23 00:00:00.000', '1997-10-21 00:00:00.000', '1997-09-30 00:00:00.000', 3, 27.94, 'Blondel pere et fils', '24, place Kleber', 'Strasbourg', NULL, '67000', 'France'),
+(10680, 'OLDWO', 1, '1997-09-24 00:00:00.000', '1997-10-22 00:00:00.000', '1997-09-26 00:00:00.000', 1, 26.61, 'Old World Delicatessen', '2743 Bering St.', 'Anchorage', 'AK', '99508', 'USA'),
+(10681, 'GREAL', 3, '1997-09-25 00:00:00.000', '1997-10-23 00:00:00.000', '1997-09-30 00:00:00.000', 3, 76.13, 'Great Lakes Food Market', '2732 Baker Blvd.', 'Eugene', 'OR', '97403', 'USA'),
+(10682, 'ANTON', 3, '1997-09-25 00:00:00.000', '1997-10-23 00:00:00.000', '1997-10-01 00:00:00.000', 2, 36.13, 'Antonio Moreno Taquerea', 'Mataderos e2312', 'Mexico D.F.', NULL, '5023', 'Mexico'),
+(10683, 'DUMON', 2, '1997-09-26 00:00:00.000', '1997-10-24 00:00:00.000', '1997-10-01 00:00:00.000', 1, 4.4, 'Du monde entier', '67, rue des Cinquante Otages', 'Nantes', NULL, '44000', 'France'),
+(10684, 'OTTIK', 3, '1997-09-26 00:00:00.000', '1997-10-24 00:00:00.000', '1997-09-30 00:00:00.000', 1, 145.63, 'Ottilies Keseladen', 'Mehrheimerstr. 369', 'Keln', NULL, '50739', 'Germany'),
+(10685, 'GOURL', 4, '1997-09-29 00:00:00.000', '1997-10-13 00:00:00.000', '1997-10-03 00:00:00.000', 2, 33.75, 'Gourmet Lanchonetes', 'Av. Brasil, 442', 'Campinas', 'SP', '04876-786', 'Brazil'),
+(10686, 'PICCO', 2, '1997-09-30 00:00:00.000', '1997-10-28 00:00:00.000', '1997-10-08 00:00:00.000', 1, 96.5, 'Piccolo und mehr', 'Geislweg 14', 'Salzburg', NULL, '5020', 'Austria'),
+(10687, 'HUNGO', 9, '1997-09-30 00:00:00.000', '1997-10-28 00:00:00.000', '1997-10-30 00:00:00.000', 2, 296.43, 'Hungry Owl All-Night Grocers', '8 Johnstown Road', 'Cork', 'Co. Cork', NULL, 'Ireland'),
+(10688, 'VAFFE', 4, '1997-10-01 00:00:00.000', '1997-10-15 00:00:00.000', '1997-10-07 00:00:00.000', 2, 299.09, 'Vaffeljernet', 'Smagsloget 45', 'erhus', NULL, '8200', 'Denmark'),
+(10689, 'BERGS', 1, '1997-10-01 00:00:00.000', '1997-10-29 00:00:00.000', '1997-10-07 00:00:00.000', 2, 13.42, 'Berglunds snabbkep', 'Berguvsvegen e8', 'Lulee', NULL, 'S-958 22', 'Sweden'),
+(10690, 'HANAR', 1, '1997-10-02 00:00:00.000', '1997-10-30 00:00:00.000', '1997-10-03 00:00:00.000', 1, 15.8, 'Hanari Carnes', 'Rua do Paeo, 67', 'Rio de Janeiro', 'RJ', '05454-876', 'Brazil'),
+(10691, 'QUICK', 2, '1997-10-03 00:00:00.000', '1997-11-14 00:00:00.000', '1997-10-22 00:00:00.000', 2, 810.05, 'QUICK-Stop', 'Taucherstraee 10', 'Cunewalde', NULL, '1307', 'Germany'),
+(10692, 'ALFKI', 4, '1997-10-03 00:00:00.000', '1997-10-31 00:00:00.000', '1997-10-13 00:00:00.000', 2, 61.02, 'Alfred-s Futterkiste', 'Obere Str. 57', 'Berlin', NULL, '12209', 'Germany'),
+(10693, 'WHITC', 3, '1997-10-06 00:00:00.000', '1997-10-20 00:00:00.000', '1997-10-10 00:00:00.000', 3, 139.34, 'White Clover Markets', '1029 - 12th Ave. S.', 'Seattle', 'WA', '98124', 'USA'),
+(10694, 'QUICK', 8, '1997-10-06 00:00:00.000', '1997-11-03 00:00:00.000', '1997-10-09 00:00:00.000', 3, 398.36, 'QUICK-Stop', 'Taucherstraee 10', 'Cunewalde', NULL, '1307', 'Germany'),
+(10695, 'WILMK', 7, '1997-10-07 00:00:00.000', '1997-11-18 00:00:00.000', '1997-10-14 00:00:00.000', 1, 16.72, 'Wilman Kala', 'Keskuskatu 45', 'Helsinki', NULL, '21240', 'Finland'),
+(10696, 'WHITC', 8, '1997-10-08 00:00:00.000', '1997-11-19 00:00:00.000', '1997-10-14 00:00:00.000', 3, 102.55, 'White Clover Markets', '1029 - 12th Ave. S.', 'Seattle', 'WA', '98124', 'USA'),
+(10697, 'LINOD', 3, '1997-10-08 00:00:00.000', '1997-11-05 00:00:00.000', '1997-10-14 00:00:00.000', 1, 45.52, 'LINO-Delicateses', 'Ave. 5 de Mayo Porlamar', 'I. de Margarita', 'Nueva Esparta', '4980', 'Venezuela'),
+(10698, 'ERNSH', 4, '1997-10-09 00:00:00.000', '1997-11-06 00:00:00.000', '1997-10-17 00:00:00.000', 1, 272.47, 'Ernst Handel', 'Kirchgasse 6', 'Graz', NULL, '8010', 'Austria'),
+(10699, 'MORGK', 3, '1997-10-09 00:00:00.000', '1997-11-06 00:00:00.000', '1997-10-13 00:00:00.000', 3, 0.58, 'Morgenstern Gesundkost', 'Heerstr. 22', 'Leipzig', NULL, '4179', 'Germany'),
+(10700, 'SAVEA', 3, '1997-10-10 00:00:00.000', '1997-11-07 00:00:00.000', '1997-10-16 00:00:00.000', 1, 65.1, 'Save-a-lot Markets', '187 Suffolk Ln.', 'Boise', 'ID', '83720', 'USA'),
+(10701, 'HUNGO', 6, '1997-10-13 00:00:00.000', '1997-10-27 00:00:00.000', '1997-10-15 00:00:00.000', 3, 220.31, 'Hungry Owl All-Night Grocers', '8 Johnstown Road', 'Cork', 'Co. Cork', NULL, 'Ireland'),
+(10702, 'ALFKI', 4, '1997-10-13 00:00:00.000', '1997-11-24 00:00:00.000', '1997-10-21 00:00:00.000', 1, 23.94, 'Alfred-s Futterkiste', 'Obere Str. 57', 'Berlin', NULL, '12209', 'Germany'),
+(10703, 'FOLKO', 6, '1997-10-14 00:00:00.000', '1997-11-11 00:00:00.000', '1997-10-20 00:00:00.000', 2, 152.3, 'Folk och fe HB', 'ekergatan 24', 'Brecke', NULL, 'S-844 67', 'Sweden'),
+(10704, 'QUEEN', 6, '1997-10-14 00:00:00.000', '1997-11-11 00:00:00.000', '1997-11-07 00:00:00.000', 1, 4.78, 'Queen Cozinha', 'Alameda dos Canerios, 891', 'Sao Paulo', 'SP', '05487-020', 'Brazil'),
+(10705, 'HILAA', 9, '1997-10-15 00:00:00.000', '1997-11-12 00:00:00.000', '1997-11-18 00:00:00.000', 2, 3.52, 'HILARION-Abastos', 'Carrera 22 con Ave. Carlos Soublette #8-35', 'San Cristebal', 'Techira', '5022', 'Venezuela'),
+(10706, 'OLDWO', 8, '1997-10-16 00:00:00.000', '1997-11-13 00:00:00.000', '1997-10-21 00:00:00.000', 3, 135.63, 'Old World Delicatessen', '2743 Bering St.', 'Anchorage', 'AK', '99508', 'USA'),
+(10707, 'AROUT', 4, '1997-10-16 00:00:00.000', '1997-10-30 00:00:00.000', '1997-10-23 00:00:00.000', 3, 21.74, 'Around the Horn', 'Brook Farm Stratford St. Mary', 'Colchester', 'Essex', 'CO7 6JX', 'UK'),
+(10708, 'THEBI', 6, '1997-10-17 00:00:00.000', '1997-11-28 00:00:00.000', '1997-11-05 00:00:00.000', 2, 2.96, 'The Big Cheese', '89 Jefferson Way Suite 2', 'Portland', 'OR', '97201', 'USA'),
+(10709, 'GOURL', 1, '1997-10-17 00:00:00.000', '1997-11-14 00:00:00.000', '1997-11-20 00:00:00.000', 3, 210.8, 'Gourmet Lanchonetes', 'Av. Brasil, 442', 'Campinas', 'SP', '04876-786', 'Brazil'),
+(10710, 'FRANS', 1, '1997-10-20 00:00:00.000', '1997-11-17 00:00:00.000', '1997-10-23 00:00:00.000', 1, 4.98, 'Franchi S.p.A.', 'Via Monte Bianco 34', 'Torino', NULL, '10100', 'Italy'),
+(10711, 'SAVEA', 5, '1997-10-21 00:00:00.000', '1997-12-02 00:00:00.000', '1997-10-29 00:00:00.000', 2, 52.41, 'Save-a-lot Markets', '187 Suffolk Ln.', 'Boise', 'ID', '83720', 'USA'),
+(10712, 'HUNGO', 3, '1997-10-21 00:00:00.000', '1997-11-18 00:00:00.000', '1997-10-31 00:00:00.000', 1, 89.93, 'Hungry Owl All-Night Grocers', '8 Johnstown Road', 'Cork', 'Co. Cork', NULL, 'Ireland'),
+(10713, 'SAVEA', 1, '1997-10-22 00:00:00.000', '1997-11-19 00:00:00.000', '1997-10-24 00:00:00.000', 1, 167.05, 'Save-a-lot Markets', '187 Suffolk Ln.', 'Boise', 'ID', '83720', 'USA'),
+(10714, 'SAVEA', 5, '1997-10-22 00:00:00.000', '1997-11-19 00:00:00.000', '1997-10-27 00:00:00.000', 3, 24.49, 'Save-a-lot Markets', '187 Suffolk Ln.', 'Boise', 'ID', '83720', 'USA'),
+(10715, 'BONAP', 3, '1997-10-23 00:00:00.000', '1997-11-06 00:00:00.000', '1997-10-29 00:00:00.000', 1, 63.2, 'Bon app-', '12, rue des Bouchers', 'Marseille', NULL, '13008', 'France'),
+(10716, 'RANCH', 4, '1997-10-24 00:00:00.000', '1997-11-21 00:00:00.000', '1997-10-27 00:00:00.000', 2, 22.57, 'Rancho grande', 'Av. del Libertador 900', 'Buenos Aires', NULL, '1010', 'Argentina'),
+(10717, 'FRANK', 1, '1997-10-24 00:00:00.000', '1997-11-21 00:00:00.000', '1997-10-29 00:00:00.000', 2, 59.25, 'Frankenversand', 'Berliner Platz 43', 'Menchen', NULL, '80805', 'Germany'),
+(10718, 'KOENE', 1, '1997-10-27 00:00:00.000', '1997-11-24 00:00:00.000', '1997-10-29 00:00:00.000', 3, 170.88, 'Keniglich Essen', 'Maubelstr. 90', 'Brandenburg', NULL, '14776', 'Germany'),
+(10719, 'LETSS', 8, '1997-10-27 00:00:00.000', '1997-11-24 00:00:00.000', '1997-11-05 00:00:00.000', 2, 51.44, 'Let-s Stop N Shop', '87 Polk St. Suite 5', 'San Francisco', 'CA', '94117', 'USA'),
+(10720, 'QUEDE', 8, '1997-10-28 00:00:00.000', '1997-11-11 00:00:00.000', '1997-11-05 00:00:00.000', 2, 9.53, 'Que Delecia', 'Rua da Panificadora, 12', 'Rio de Janeiro', 'RJ', '02389-673', 'Brazil'),
+(10721, 'QUICK', 5, '1997-10-29 00:00:00.000', '1997-11-26 00:00:00.000', '1997-10-31 00:00:00.000', 3, 48.92, 'QUICK-Stop', 'Taucherstraee 10', 'Cunewalde', NULL, '1307', 'Germany'),
+(10722, 'SAVEA', 8, '1997-10-29 00:00:00.000', '1997-12-10 00:00:00.000', '1997-11-04 00:00:00.000', 1, 74.58, 'Save-a-lot Markets', '187 Suffolk Ln.', 'Boise', 'ID', '83720', 'USA'),
+(10723, 'WHITC', 3, '1997-10-30 00:00:00.000', '1997-11-27 00:00:00.000', '1997-11-25 00:00:00.000', 1, 21.72, 'White Clover Markets', '1029 - 12th Ave. S.', 'Seattle', 'WA', '98124', 'USA'),
+(10724, 'MEREP', 8, '1997-10-30 00:00:00.000', '1997-12-11 00:00:00.000', '1997-11-05 00:00:00.000', 2, 57.75, 'Mere Paillarde', '43 rue St. Laurent', 'Montreal', 'Quebec', 'H1J 1C3', 'Canada'),
+(10725, 'FAMIA', 4, '1997-10-31 00:00:00.000', '1997-11-28 00:00:00.000', '1997-11-05 00:00:00.000', 3, 10.83, 'Familia Arquibaldo', 'Rua Ores, 92', 'Sao Paulo', 'SP', '05442-030', 'Brazil'),
+(10726, 'EASTC', 4, '1997-11-03 00:00:00.000', '1997-11-17 00:00:00.000', '1997-12-05 00:00:00.000', 1, 16.56, 'Eastern Connection', '35 King George', 'London', NULL, 'WX3 6FW', 'UK'),
+(10727, 'REGGC', 2, '1997-11-03 00:00:00.000', '1997-12-01 00:00:00.000', '1997-12-05 00:00:00.000', 1, 89.9, 'Reggiani Caseifici', 'Strada Provinciale 124', 'Reggio Emilia', NULL, '42100', 'Italy'),
+(10728, 'QUEEN', 4, '1997-11-04 00:00:00.000', '1997-12-02 00:00:00.000', '1997-11-11 00:00:00.000', 2, 58.33, 'Queen Cozinha', 'Alameda dos Canerios, 891', 'Sao Paulo', 'SP', '05487-020', 'Brazil'),
+(10729, 'LINOD', 8, '1997-11-04 00:00:00.000', '1997-12-16 00:00:00.000', '1997-11-14 00:00:00.000', 3, 141.06, 'LINO-Delicateses', 'Ave. 5 de Mayo Porlamar', 'I. de Margarita', 'Nueva Esparta', '4980', 'Venezuela'),
+(10730, 'BONAP', 5, '1997-11-05 00:00:00.000', '1997-12-03 00:00:00.000', '1997-11-14 00:00:00.000', 1, 20.12, 'Bon app-', '12, rue des Bouchers', 'Marseille', NULL, '13008', 'France'),
+(10731, 'CHOPS', 7, '1997-11-06 00:00:00.000', '1997-12-04 00:00:00.000', '1997-11-14 00:00:00.000', 1, 96.65, 'Chop-suey Chinese', 'Hauptstr. 31', 'Bern', NULL, '3012', 'Switzerland'),
+(10732, 'BONAP', 3, '1997-11-06 00:00:00.000', '1997-12-04 00:00:00.000', '1997-11-07 00:00:00.000', 1, 16.97, 'Bon app-', '12, rue des Bouchers', 'Marseille', NULL, '13008', 'France'),
+(10733, 'BERGS', 1, '1997-11-07 00:00:00.000', '1997-12-05 00:00:00.000', '1997-11-10 00:00:00.000', 3, 110.11, 'Berglunds snabbkep', 'Berguvsvegen e8', 'Lulee', NULL, 'S-958 22', 'Sweden'),
+(10734, 'GOURL', 2, '1997-11-07 00:00:00.000', '1997-12-05 00:00:00.000', '1997-11-12 00:00:00.000', 3, 1.63, 'Gourmet Lanchonetes', 'Av. Brasil, 442', 'Campinas', 'SP', '04876-786', 'Brazil'),
+(10735, 'LETSS', 6, '1997-11-10 00:00:00.000', '1997-12-08 00:00:00.000', '1997-11-21 00:00:00.000', 2, 45.97, 'Let-s Stop N Shop', '87 Polk St. Suite 5', 'San Francisco', 'CA', '94117', 'USA'),
+(10736, 'HUNGO', 9, '1997-11-11 00:00:00.000', '1997-12-09 00:00:00.000', '1997-11-21 00:00:00.000', 2, 44.1, 'Hungry Owl All-Night Grocers', '8 Johnstown Road', 'Cork', 'Co. Cork', NULL, 'Ireland'),
+(10737, 'VINET', 2, '1997-11-11 00:00:00.000', '1997-12-09 00:00:00.000', '1997-11-18 00:00:00.000', 2, 7.79, 'Vins et alcools Chevalier', '59 rue de l-Abbaye', 'Reims', NULL, '51100', 'France'),
+(10738, 'SPECD', 2, '1997-11-12 00:00:00.000', '1997-12-10 00:00:00.000', '1997-11-18 00:00:00.000', 1, 2.91, 'Specialites du monde', '25, rue Lauriston', 'Paris', NULL, '75016', 'France'),
+(10739, 'VINET', 3, '1997-11-12 00:00:00.000', '1997-12-10 00:00:00.000', '1997-11-17 00:00:00.000', 3, 11.08, 'Vins et alcools Chevalier', '59 rue de l-Abbaye', 'Reims', NULL, '51100', 'France'),
+(10740, 'WHITC', 4, '1997-11-13 00:00:00.000', '1997-12-11 00:00:00.000', '1997-11-25 00:00:00.000', 2, 81.88, 'White Clover Markets', '1029 - 12th Ave. S.', 'Seattle', 'WA', '98124', 'USA'),
+(10741, 'AROUT', 4, '1997-11-14 00:00:00.000', '1997-11-28 00:00:00.000', '1997-11-18 00:00:00.000', 3, 10.96, 'Around the Horn', 'Brook Farm Stratford St. Mary', 'Colchester', 'Essex', 'CO7 6JX', 'UK'),
+(10742, 'BOTTM', 3, '1997-11-14 00:00:00.000', '1997-12-12 00:00:00.000', '1997-11-18 00:00:00.000', 3, 243.73, 'Bottom-Dollar Markets', '23 Tsawassen Blvd.', 'Tsawassen', 'BC', 'T2F 8M4', 'Canada'),
+(10743, 'AROUT', 1, '1997-11-17 00:00:00.000', '1997-12-15 00:00:00.000', '1997-11-21 00:00:00.000', 2, 23.72, 'Around the Horn', 'Brook Farm Stratford St. Mary', 'Colchester', 'Essex', 'CO7 6JX', 'UK'),
+(10744, 'VAFFE', 6, '1997-11-17 00:00:00.000', '1997-12-15 00:00:00.000', '1997-11-24 00:00:00.000', 1, 69.19, 'Vaffeljernet', 'Smagsloget 45', 'erhus', NULL, '8200', 'Denmark'),
+(10745, 'QUICK', 9, '1997-11-18 00:00:00.000', '1997-12-16 00:00:00.000', '1997-11-27 00:00:00.000', 1, 3.52, 'QUICK-Stop', 'Taucherstraee 10', 'Cunewalde', NULL, '1307', 'Germany'),
+(10746, 'CHOPS', 1, '1997-11-19 00:00:00.000', '1997-12-17 00:00:00.000', '1997-11-21 00:00:00.000', 3, 31.43, 'Chop-suey Chinese', 'Hauptstr. 31', 'Bern', NULL, '3012', 'Switzerland'),
+(10747, 'PICCO', 6, '1997-11-19 00:00:00.000', '1997-12-17 00:00:00.000', '1997-11-26 00:00:00.000', 1, 117.33, 'Piccolo und mehr', 'Geislweg 14', 'Salzburg', NULL, '5020', 'Austria');
+
+INSERT INTO "Orders" ("OrderID", "CustomerID", "EmployeeID", "OrderDate", "RequiredDate", "ShippedDate", "ShipVia", "Freight", "ShipName", "ShipAddress", "ShipCity", "ShipRegion", "ShipPostalCode", "ShipCountry") VALUES
+(10748, 'SAVEA', 3, '1997-11-20 00:00:00.000', '1997-12-18 00:00:00.000', '1997-11-28 00:00:00.000', 1, 232.55, 'Save-a-lot Markets', '187 Suffolk Ln.', 'Boise', 'ID', '83720', 'USA'),
+(10749, 'ISLAT', 4, '1997-11-20 00:00:00.000', '1997-12-18 00:00:00.000', '1997-12-19 00:00:00.000', 2, 61.53, 'Island Trading', 'Garden House Crowther Way', 'Cowes', 'Isle of Wight', 'PO31 7PJ', 'UK'),
+(10750, 'WARTH', 9, '1997-11-21 00:00:00.000', '1997-12-19 00:00:00.000', '1997-11-24 00:00:00.000', 1, 79.3, 'Wartian Herkku', 'Torikatu 38', 'Oulu', NULL, '90110', 'Finland'),
+(10751, 'RICSU', 3, '1997-11-24 00:00:00.000', '1997-12-22 00:00:00.000', '1997-12-03 00:00:00.000', 3, 130.79, 'Richter Supermarkt', 'Starenweg 5', 'Geneve', NULL, '1204', 'Switzerland'),
+(10752, 'NORTS', 2, '1997-11-24 00:00:00.000', '1997-12-22 00:00:00.000', '1997-11-28 00:00:00.000', 3, 1.39, 'North/South', 'South House 300 Queensbridge', 'London', NULL, 'SW7 1RZ', 'UK'),
+(10753, 'FRANS', 3, '1997-11-25 00:00:00.000', '1997-12-23 00:00:00.000', '1997-11-27 00:00:00.000', 1, 7.7, 'Franchi S.p.A.', 'Via Monte Bianco 34', 'Torino', NULL, '10100', 'Italy'),
+(10754, 'MAGAA', 6, '1997-11-25 00:00:00.000', '1997-12-23 00:00:00.000', '1997-11-27 00:00:00.000', 3, 2.38, 'Magazzini Alimentari Riuniti', 'Via Ludovico il Moro 22', 'Bergamo', NULL, '24100', 'Italy'),
+(10755, 'BONAP', 4, '1997-11-26 00:00:00.000', '1997-12-24 00:00:00.000', '1997-11-28 00:00:00.000', 2, 16.71, 'Bon app-', '12, rue des Bouchers', 'Marseille', NULL, '13008', 'France'),
+(10756, 'SPLIR', 8, '1997-11-27 00:00:00.000', '1997-12-25 00:00:00.000', '1997-12-02 00:00:00.000', 2, 73.21, 'Split Rail Beer & Ale', 'P.O. Box 555', 'Lander', 'WY', '82520', 'USA'),
+(10757, 'SAVEA', 6, '1997-11-27 00:00:00.000', '1997-12-25 00:00:00.000', '1997-12-15 00:00:00.000', 1, 8.19, 'Save-a-lot Markets', '187 Suffolk Ln.', 'Boise', 'ID', '83720', 'USA'),
+(10758, 'RICSU', 3, '1997-11-28 00:00:00.000', '1997-12-26 00:00:00.000', '1997-12-04 00:00:00.000', 3, 138.17, 'Richter Supermarkt', 'Starenweg 5', 'Geneve', NULL, '1204', 'Switzerland'),
+(10759, 'ANATR', 3, '1997-11-28 00:00:00.000', '1997-12-26 00:00:00.000', '1997-12-12 00:00:00.000', 3, 11.99, 'Ana Trujillo Emparedados y helados', 'Avda. de la Constitucien 2222', 'Mexico D.F.', NULL, '5021', 'Mexico'),
+(10760, 'MAISD', 4, '1997-12-01 00:00:00.000', '1997-12-29 00:00:00.000', '1997-12-10 00:00:00.000', 1, 155.64, 'Maison Dewey', 'Rue Joseph-Bens 532', 'Bruxelles', NULL, 'B-1180', 'Belgium'),
+(10761, 'RATTC', 5, '1997-12-02 00:00:00.000', '1997-12-30 00:00:00.000', '1997-12-08 00:00:00.000', 2, 18.66, 'Rattlesnake Canyon Grocery', '2817 Milton Dr.', 'Albuquerque', 'NM', '87110', 'USA'),
+(10762, 'FOLKO', 3, '1997-12-02 00:00:00.000', '1997-12-30 00:00:00.000', '1997-12-09 00:00:00.000', 1, 328.74, 'Folk och fe HB', 'ekergatan 24', 'Brecke', NULL, 'S-844 67', 'Sweden'),
+(10763, 'FOLIG', 3, '1997-12-03 00:00:00.000', '1997-12-31 00:00:00.000', '1997-12-08 00:00:00.000', 3, 37.35, 'Folies gourmandes', '184, chaussee de Tournai', 'Lille', NULL, '59000', 'France'),
+(10764, 'ERNSH', 6, '1997-12-03 00:00:00.000', '1997-12-31 00:00:00.000', '1997-12-08 00:00:00.000', 3, 145.45, 'Ernst Handel', 'Kirchgasse 6', 'Graz', NULL, '8010', 'Austria'),
+(10765, 'QUICK', 3, '1997-12-04 00:00:00.000', '1998-01-01 00:00:00.000', '1997-12-09 00:00:00.000', 3, 42.74, 'QUICK-Stop', 'Taucherstraee 10', 'Cunewalde', NULL, '1307', 'Germany'),
+(10766, 'OTTIK', 4, '1997-12-05 00:00:00.000', '1998-01-02 00:00:00.000', '1997-12-09 00:00:00.000', 1, 157.55, 'Ottilies Keseladen', 'Mehrheimerstr. 369', 'Keln', NULL, '50739', 'Germany'),
+(10767, 'SUPRD', 4, '1997-12-05 00:00:00.000', '1998-01-02 00:00:00.000', '1997-12-15 00:00:00.000', 3, 1.59, 'Supremes delices', 'Boulevard Tirou, 255', 'Charleroi', NULL, 'B-6000', 'Belgium'),
+(10768, 'AROUT', 3, '1997-12-08 00:00:00.000', '1998-01-05 00:00:00.000', '1997-12-15 00:00:00.000', 2, 146.32, 'Around the Horn', 'Brook Farm Stratford St. Mary', 'Colchester', 'Essex', 'CO7 6JX', 'UK'),
+(10769, 'VAFFE', 3, '1997-12-08 00:00:00.000', '1998-01-05 00:00:00.000', '1997-12-12 00:00:00.000', 1, 65.06, 'Vaffeljernet', 'Smagsloget 45', 'erhus', NULL, '8200', 'Denmark'),
+(10770, 'HANAR', 8, '1997-12-09 00:00:00.000', '1998-01-06 00:00:00.000', '1997-12-17 00:00:00.000', 3, 5.32, 'Hanari Carnes', 'Rua do Paeo, 67', 'Rio de Janeiro', 'RJ', '05454-876', 'Brazil'),
+(10771, 'ERNSH', 9, '1997-12-10 00:00:00.000', '1998-01-07 00:00:00.000', '1998-01-02 00:00:00.000', 2, 11.19, 'Ernst Handel', 'Kirchgasse 6', 'Graz', NULL, '8010', 'Austria'),
+(10772, 'LEHMS', 3, '1997-12-10 00:00:00.000', '1998-01-07 00:00:00.000', '1997-12-19 00:00:00.000', 2, 91.28, 'Lehmanns Marktstand', 'Magazinweg 7', 'Frankfurt a.M.', NULL, '60528', 'Germany'),
+(10773, 'ERNSH', 1, '1997-12-11 00:00:00.000', '1998-01-08 00:00:00.000', '1997-12-16 00:00:00.000', 3, 96.43, 'Ernst Handel', 'Kirchgasse 6', 'Graz', NULL, '8010', 'Austria'),
+(10774, 'FOLKO', 4, '1997-12-11 00:00:00.000', '1997-12-25 00:00:00.000', '1997-12-12 00:00:00.000', 1, 48.2, 'Folk och fe HB', 'ekergatan 24', 'Brecke', NULL, 'S-844 67', 'Sweden'),
+(10775, 'THECR', 7, '1997-12-12 00:00:00.000', '1998-01-09 00:00:00.000', '1997-12-26 00:00:00.000', 1, 20.25, 'The Cracker Box', '55 Grizzly Peak Rd.', 'Butte', 'MT', '59801', 'USA'),
+(10776, 'ERNSH', 1, '1997-12-15 00:00:00.000', '1998-01-12 00:00:00.000', '1997-12-18 00:00:00.000', 3, 351.53, 'Ernst Handel', 'Kirchgasse 6', 'Graz', NULL, '8010', 'Austria'),
+(10777, 'GOURL', 7, '1997-12-15 00:00:00.000', '1997-12-29 00:00:00.000', '1998-01-21 00:00:00.000', 2, 3.01, 'Gourmet Lanchonetes', 'Av. Brasil, 442', 'Campinas', 'SP', '04876-786', 'Brazil'),
+(10778, 'BERGS', 3, '1997-12-16 00:00:00.000', '1998-01-13 00:00:00.000', '1997-12-24 00:00:00.000', 1, 6.79, 'Berglunds snabbkep', 'Berguvsvegen e8', 'Lulee', NULL, 'S-958 22', 'Sweden'),
+(10779, 'MORGK', 3, '1997-12-16 00:00:00.000', '1998-01-13 00:00:00.000', '1998-01-14 00:00:00.000', 2, 58.13, 'Morgenstern Gesundkost', 'Heerstr. 22', 'Leipzig', NULL, '4179', 'Germany'),
+(10780, 'LILAS', 2, '1997-12-16 00:00:00.000', '1997-12-30 00:00:00.000', '1997-12-25 00:00:00.000', 1, 42.13, 'LILA-Supermercado', 'Carrera 52 con Ave. Bolevar #65-98 Llano Largo', 'Barquisimeto', 'Lara', '3508', 'Venezuela'),
+(10781, 'WARTH', 2, '1997-12-17 00:00:00.000', '1998-01-14 00:00:00.000', '1997-12-19 00:00:00.000', 3, 73.16, 'Wartian Herkku', 'Torikatu 38', 'Oulu', NULL, '90110', 'Finland'),
+(10782, 'CACTU', 9, '1997-12-17 00:00:00.000', '1998-01-14 00:00:00.000', '1997-12-22 00:00:00.000', 3, 1.1, 'Cactus Comidas para llevar', 'Cerrito 333', 'Buenos Aires', NULL, '1010', 'Argentina'),
+(10783, 'HANAR', 4, '1997-12-18 00:00:00.000', '1998-01-15 00:00:00.000', '1997-12-19 00:00:00.000', 2, 124.98, 'Hanari Carnes', 'Rua do Paeo, 67', 'Rio de Janeiro', 'RJ', '05454-876', 'Brazil'),
+(10784, 'MAGAA', 4, '1997-12-18 00:00:00.000', '1998-01-15 00:00:00.000', '1997-12-22 00:00:00.000', 3, 70.09, 'Magazzini Alimentari Riuniti', 'Via Ludovico il Moro 22', 'Bergamo', NULL, '24100', 'Italy'),
+(10785, 'GROSR', 1, '1997-12-18 00:00:00.000', '1998-01-15 00:00:00.000', '1997-12-24 00:00:00.000', 3, 1.51, 'GROSELLA-Restaurante', '5e Ave. Los Palos Grandes', 'Caracas', 'DF', '1081', 'Venezuela'),
+(10786, 'QUEEN', 8, '1997-12-19 00:00:00.000', '1998-01-16 00:00:00.000', '1997-12-23 00:00:00.000', 1, 110.87, 'Queen Cozinha', 'Alameda dos Canerios, 891', 'Sao Paulo', 'SP', '05487-020', 'Brazil'),
+(10787, 'LAMAI', 2, '1997-12-19 00:00:00.000', '1998-01-02 00:00:00.000', '1997-12-26 00:00:00.000', 1, 249.93, 'La maison d-Asie', '1 rue Alsace-Lorraine', 'Toulouse', NULL, '31000', 'France'),
+(10788, 'QUICK', 1, '1997-12-22 00:00:00.000', '1998-01-19 00:00:00.000', '1998-01-19 00:00:00.000', 2, 42.7, 'QUICK-Stop', 'Taucherstraee 10', 'Cunewalde', NULL, '1307', 'Germany'),
+(10789, 'FOLIG', 1, '1997-12-22 00:00:00.000', '1998-01-19 00:00:00.000', '1997-12-31 00:00:00.000', 2, 100.6, 'Folies gourmandes', '184, chaussee de Tournai', 'Lille', NULL, '59000', 'France'),
+(10790, 'GOURL', 6, '1997-12-22 00:00:00.000', '1998-01-19 00:00:00.000', '1997-12-26 00:00:00.000', 1, 28.23, 'Gourmet Lanchonetes', 'Av. Brasil, 442', 'Campinas', 'SP', '04876-786', 'Brazil'),
+(10791, 'FRANK', 6, '1997-12-23 00:00:00.000', '1998-01-20 00:00:00.000', '1998-01-01 00:00:00.000', 2, 16.85, 'Frankenversand', 'Berliner Platz 43', 'Menchen', NULL, '80805', 'Germany'),
+(10792, 'WOLZA', 1, '1997-12-23 00:00:00.000', '1998-01-20 00:00:00.000', '1997-12-31 00:00:00.000', 3, 23.79, 'Wolski Zajazd', 'ul. Filtrowa 68', 'Warszawa', NULL, '01-012', 'Poland'),
+(10793, 'AROUT', 3, '1997-12-24 00:00:00.000', '1998-01-21 00:00:00.000', '1998-01-08 00:00:00.000', 3, 4.52, 'Around the Horn', 'Brook Farm Stratford St. Mary', 'Colchester', 'Essex', 'CO7 6JX', 'UK'),
+(10794, 'QUEDE', 6, '1997-12-24 00:00:00.000', '1998-01-21 00:00:00.000', '1998-01-02 00:00:00.000', 1, 21.49, 'Que Delecia', 'Rua da Panificadora, 12', 'Rio de Janeiro', 'RJ', '02389-673', 'Brazil'),
+(10795, 'ERNSH', 8, '1997-12-24 00:00:00.000', '1998-01-21 00:00:00.000', '1998-01-20 00:00:00.000', 2, 126.66, 'Ernst Handel', 'Kirchgasse 6', 'Graz', NULL, '8010', 'Austria'),
+(10796, 'HILAA', 3, '1997-12-25 00:00:00.000', '1998-01-22 00:00:00.000', '1998-01-14 00:00:00.000', 1, 26.52, 'HILARION-Abastos', 'Carrera 22 con Ave. Carlos Soublette #8-35', 'San Cristebal', 'Techira', '5022', 'Venezuela'),
+(10797, 'DRACD', 7, '1997-12-25 00:00:00.000', '1998-01-22 00:00:00.000', '1998-01-05 00:00:00.000', 2, 33.35, 'Drachenblut Delikatessen', 'Walserweg 21', 'Aachen', NULL, '52066', 'Germany'),
+(10798, 'ISLAT', 2, '1997-12-26 00:00:00.000', '1998-01-23 00:00:00.000', '1998-01-05 00:00:00.000', 1, 2.33, 'Island Trading', 'Garden House Crowther Way', 'Cowes', 'Isle of Wight', 'PO31 7PJ', 'UK'),
+(10799, 'KOENE', 9, '1997-12-26 00:00:00.000', '1998-02-06 00:00:00.000', '1998-01-05 00:00:00.000', 3, 30.76, 'Keniglich Essen', 'Maubelstr. 90', 'Brandenburg', NULL, '14776', 'Germany'),
+(10800, 'SEVES', 1, '1997-12-26 00:00:00.000', '1998-01-23 00:00:00.000', '1998-01-05 00:00:00.000', 3, 137.44, 'Seven Seas Imports', '90 Wadhurst Rd.', 'London', NULL, 'OX15 4NB', 'UK'),
+(10801, 'BOLID', 4, '1997-12-29 00:00:00.000', '1998-01-26 00:00:00.000', '1997-12-31 00:00:00.000', 2, 97.09, 'Belido Comidas preparadas', 'C/ Araquil, 67', 'Madrid', NULL, '28023', 'Spain'),
+(10802, 'SIMOB', 4, '1997-12-29 00:00:00.000', '1998-01-26 00:00:00.000', '1998-01-02 00:00:00.000', 2, 257.26, 'Simons bistro', 'Vinbeltet 34', 'Kobenhavn', NULL, '1734', 'Denmark'),
+(10803, 'WELLI', 4, '1997-12-30 00:00:00.000', '1998-01-27 00:00:00.000', '1998-01-06 00:00:00.000', 1, 55.23, 'Wellington Importadora', 'Rua do Mercado, 12', 'Resende', 'SP', '08737-363', 'Brazil'),
+(10804, 'SEVES', 6, '1997-12-30 00:00:00.000', '1998-01-27 00:00:00.000', '1998-01-07 00:00:00.000', 2, 27.33, 'Seven Seas Imports', '90 Wadhurst Rd.', 'London', NULL, 'OX15 4NB', 'UK'),
+(10805, 'THEBI', 2, '1997-12-30 00:00:00.000', '1998-01-27 00:00:00.000', '1998-01-09 00:00:00.000', 3, 237.34, 'The Big Cheese', '89 Jefferson Way Suite 2', 'Portland', 'OR', '97201', 'USA'),
+(10806, 'VICTE', 3, '1997-12-31 00:00:00.000', '1998-01-28 00:00:00.000', '1998-01-05 00:00:00.000', 2, 22.11, 'Victuailles en stock', '2, rue du Commerce', 'Lyon', NULL, '69004', 'France'),
+(10807, 'FRANS', 4, '1997-12-31 00:00:00.000', '1998-01-28 00:00:00.000', '1998-01-30 00:00:00.000', 1, 1.36, 'Franchi S.p.A.', 'Via Monte Bianco 34', 'Torino', NULL, '10100', 'Italy'),
+(10808, 'OLDWO', 2, '1998-01-01 00:00:00.000', '1998-01-29 00:00:00.000', '1998-01-09 00:00:00.000', 3, 45.53, 'Old World Delicatessen', '2743 Bering St.', 'Anchorage', 'AK', '99508', 'USA'),
+(10809, 'WELLI', 7, '1998-01-01 00:00:00.000', '1998-01-29 00:00:00.000', '1998-01-07 00:00:00.000', 1, 4.87, 'Wellington Importadora', 'Rua do Mercado, 12', 'Resende', 'SP', '08737-363', 'Brazil'),
+(10810, 'LAUGB', 2, '1998-01-01 00:00:00.000', '1998-01-29 00:00:00.000', '1998-01-07 00:00:00.000', 3, 4.33, 'Laughing Bacchus Wine Cellars', '2319 Elm St.', 'Vancouver', 'BC', 'V3F 2K1', 'Canada'),
+(10811, 'LINOD', 8, '1998-01-02 00:00:00.000', '1998-01-30 00:00:00.000', '1998-01-08 00:00:00.000', 1, 31.22, 'LINO-Delicateses', 'Ave. 5 de Mayo Porlamar', 'I. de Margarita', 'Nueva Esparta', '4980', 'Venezuela'),
+(10812, 'REGGC', 5, '1998-01-02 00:00:00.000', '1998-01-30 00:00:00.000', '1998-01-12 00:00:00.000', 1, 59.78, 'Reggiani Caseifici', 'Strada Provinciale 124', 'Reggio Emilia', NULL, '42100', 'Italy'),
+(10813, 'RICAR', 1, '1998-01-05 00:00:00.000', '1998-02-02 00:00:00.000', '1998-01-09 00:00:00.000', 1, 47.38, 'Ricardo Adocicados', 'Av. Copacabana, 267', 'Rio de Janeiro', 'RJ', '02389-890', 'Brazil'),
+(10814, 'VICTE', 3, '1998-01-05 00:00:00.000', '1998-02-02 00:00:00.000', '1998-01-14 00:00:00.000', 3, 130.94, 'Victuailles en stock', '2, rue du Commerce', 'Lyon', NULL, '69004', 'France'),
+(10815, 'SAVEA', 2, '1998-01-05 00:00:00.000', '1998-02-02 00:00:00.000', '1998-01-14 00:00:00.000', 3, 14.62, 'Save-a-lot Markets', '187 Suffolk Ln.', 'Boise', 'ID', '83720', 'USA'),
+(10816, 'GREAL', 4, '1998-01-06 00:00:00.000', '1998-02-03 00:00:00.000', '1998-02-04 00:00:00.000', 2, 719.78, 'Great Lakes Food Market', '2732 Baker Blvd.', 'Eugene', 'OR', '97403', 'USA'),
+(10817, 'KOENE', 3, '1998-01-06 00:00:00.000', '1998-01-20 00:00:00.000', '1998-01-13 00:00:00.000', 2, 306.07, 'Keniglich Essen', 'Maubelstr. 90', 'Brandenburg', NULL, '14776', 'Germany'),
+(10818, 'MAGAA', 7, '1998-01-07 00:00:00.000', '1998-02-04 00:00:00.000', '1998-01-12 00:00:00.000', 3, 65.48, 'Magazzini Alimentari Riuniti', 'Via Ludovico il Moro 22', 'Bergamo', NULL, '24100', 'Italy'),
+(10819, 'CACTU', 2, '1998-01-07 00:00:00.000', '1998-02-04 00:00:00.000', '1998-01-16 00:00:00.000', 3, 19.76, 'Cactus Comidas para llevar', 'Cerrito 333', 'Buenos Aires', NULL, '1010', 'Argentina'),
+(10820, 'RATTC', 3, '1998-01-07 00:00:00.000', '1998-02-04 00:00:00.000', '1998-01-13 00:00:00.000', 2, 37.52, 'Rattlesnake Canyon Grocery', '2817 Milton Dr.', 'Albuquerque', 'NM', '87110', 'USA'),
+(10821, 'SPLIR', 1, '1998-01-08 00:00:00.000', '1998-02-05 00:00:00.000', '1998-01-15 00:00:00.000', 1, 36.68, 'Split Rail Beer & Ale', 'P.O. Box 555', 'Lander', 'WY', '82520', 'USA'),
+(10822, 'TRAIH', 6, '1998-01-08 00:00:00.000', '1998-02-05 00:00:00.000', '1998-01-16 00:00:00.000', 3, 7, 'Trail-s Head Gourmet Provisioners', '722 DaVinci Blvd.', 'Kirkland', 'WA', '98034', 'USA'),
+(10823, 'LILAS', 5, '1998-01-09 00:00:00.000', '1998-02-06 00:00:00.000', '1998-01-13 00:00:00.000', 2, 163.97, 'LILA-Supermercado', 'Carrera 52 con Ave. Bolevar #65-98 Llano Largo', 'Barquisimeto', 'Lara', '3508', 'Venezuela'),
+(10824, 'FOLKO', 8, '1998-01-09 00:00:00.000', '1998-02-06 00:00:00.000', '1998-01-30 00:00:00.000', 1, 1.23, 'Folk och fe HB', 'ekergatan 24', 'Brecke', NULL, 'S-844 67', 'Sweden'),
+(10825, 'DRACD', 1, '1998-01-09 00:00:00.000', '1998-02-06 00:00:00.000', '1998-01-14 00:00:00.000', 1, 79.25, 'Drachenblut Delikatessen', 'Walserweg 21', 'Aachen', NULL, '52066', 'Germany'),
+(10826, 'BLONP', 6, '1998-01-12 00:00:00.000', '1998-02-09 00:00:00.000', '1998-02-06 00:00:00.000', 1, 7.09, 'Blondel pere et fils', '24, place Kleber', 'Strasbourg', NULL, '67000', 'France'),
+(10827, 'BONAP', 1, '1998-01-12 00:00:00.000', '1998-01-26 00:00:00.000', '1998-02-06 00:00:00.000', 2, 63.54, 'Bon app-', '12, rue des Bouchers', 'Marseille', NULL, '13008', 'France'),
+(10828, 'RANCH', 9, '1998-01-13 00:00:00.000', '1998-01-27 00:00:00.000', '1998-02-04 00:00:00.000', 1, 90.85, 'Rancho grande', 'Av. del Libertador 900', 'Buenos Aires', NULL, '1010', 'Argentina'),
+(10829, 'ISLAT', 9, '1998-01-13 00:00:00.000', '1998-02-10 00:00:00.000', '1998-01-23 00:00:00.000', 1, 154.72, 'Island Trading', 'Garden House Crowther Way', 'Cowes', 'Isle of Wight', 'PO31 7PJ', 'UK'),
+(10830, 'TRADH', 4, '1998-01-13 00:00:00.000', '1998-02-24 00:00:00.000', '1998-01-21 00:00:00.000', 2, 81.83, 'Tradieao Hipermercados', 'Av. Ines de Castro, 414', 'Sao Paulo', 'SP', '05634-030', 'Brazil'),
+(10831, 'SANTG', 3, '1998-01-14 00:00:00.000', '1998-02-11 00:00:00.000', '1998-01-23 00:00:00.000', 2, 72.19, 'Sante Gourmet', 'Erling Skakkes gate 78', 'Stavern', NULL, '4110', 'Norway'),
+(10832, 'LAMAI', 2, '1998-01-14 00:00:00.000', '1998-02-11 00:00:00.000', '1998-01-19 00:00:00.000', 2, 43.26, 'La maison d-Asie', '1 rue Alsace-Lorraine', 'Toulouse', NULL, '31000', 'France'),
+(10833, 'OTTIK', 6, '1998-01-15 00:00:00.000', '1998-02-12 00:00:00.000', '1998-01-23 00:00:00.000', 2, 71.49, 'Ottilies Keseladen', 'Mehrheimerstr. 369', 'Keln', NULL, '50739', 'Germany'),
+(10834, 'TRADH', 1, '1998-01-15 00:00:00.000', '1998-02-12 00:00:00.000', '1998-01-19 00:00:00.000', 3, 29.78, 'Tradieao Hipermercados', 'Av. Ines de Castro, 414', 'Sao Paulo', 'SP', '05634-030', 'Brazil'),
+(10835, 'ALFKI', 1, '1998-01-15 00:00:00.000', '1998-02-12 00:00:00.000', '1998-01-21 00:00:00.000', 3, 69.53, 'Alfred-s Futterkiste', 'Obere Str. 57', 'Berlin', NULL, '12209', 'Germany'),
+(10836, 'ERNSH', 7, '1998-01-16 00:00:00.000', '1998-02-13 00:00:00.000', '1998-01-21 00:00:00.000', 1, 411.88, 'Ernst Handel', 'Kirchgasse 6', 'Graz', NULL, '8010', 'Austria'),
+(10837, 'BERGS', 9, '1998-01-16 00:00:00.000', '1998-02-13 00:00:00.000', '1998-01-23 00:00:00.000', 3, 13.32, 'Berglunds snabbkep', 'Berguvsvegen e8', 'Lulee', NULL, 'S-958 22', 'Sweden'),
+(10838, 'LINOD', 3, '1998-01-19 00:00:00.000', '1998-02-16 00:00:00.000', '1998-01-23 00:00:00.000', 3, 59.28, 'LINO-Delicateses', 'Ave. 5 de Mayo Porlamar', 'I. de Margarita', 'Nueva Esparta', '4980', 'Venezuela'),
+(10839, 'TRADH', 3, '1998-01-19 00:00:00.000', '1998-02-16 00:00:00.000', '1998-01-22 00:00:00.000', 3, 35.43, 'Tradieao Hipermercados', 'Av. Ines de Castro, 414', 'Sao Paulo', 'SP', '05634-030', 'Brazil'),
+(10840, 'LINOD', 4, '1998-01-19 00:00:00.000', '1998-03-02 00:00:00.000', '1998-02-16 00:00:00.000', 2, 2.71, 'LINO-Delicateses', 'Ave. 5 de Mayo Porlamar', 'I. de Margarita', 'Nueva Esparta', '4980', 'Venezuela'),
+(10841, 'SUPRD', 5, '1998-01-20 00:00:00.000', '1998-02-17 00:00:00.000', '1998-01-29 00:00:00.000', 2, 424.3, 'Supremes delices', 'Boulevard Tirou, 255', 'Charleroi', NULL, 'B-6000', 'Belgium'),
+(10842, 'TORTU', 1, '1998-01-20 00:00:00.000', '1998-02-17 00:00:00.000', '1998-01-29 00:00:00.000', 3, 54.42, 'Tortuga Restaurante', 'Avda. Azteca 123', 'Mexico D.F.', NULL, '5033', 'Mexico'),
+(10843, 'VICTE', 4, '1998-01-21 00:00:00.000', '1998-02-18 00:00:00.000', '1998-01-26 00:00:00.000', 2, 9.26, 'Victuailles en stock', '2, rue du Commerce', 'Lyon', NULL, '69004', 'France'),
+(10844, 'PICCO', 8, '1998-01-21 00:00:00.000', '1998-02-18 00:00:00.000', '1998-01-26 00:00:00.000', 2, 25.22, 'Piccolo und mehr', 'Geislweg 14', 'Salzburg', NULL, '5020', 'Austria'),
+(10845, 'QUICK', 8, '1998-01-21 00:00:00.000', '1998-02-04 00:00:00.000', '1998-01-30 00:00:00.000', 1, 212.98, 'QUICK-Stop', 'Taucherstraee 10', 'Cunewalde', NULL, '1307', 'Germany'),
+(10846, 'SUPRD', 2, '1998-01-22 00:00:00.000', '1998-03-05 00:00:00.000', '1998-01-23 00:00:00.000', 3, 56.46, 'Supremes delices', 'Boulevard Tirou, 255', 'Charleroi', NULL, 'B-6000', 'Belgium'),
+(10847, 'SAVEA', 4, '1998-01-22 00:00:00.000', '1998-02-05 00:00:00.000', '1998-02-10 00:00:00.000', 3, 487.57, 'Save-a-lot Markets', '187 Suffolk Ln.', 'Boise', 'ID', '83720', 'USA'),
+(10848, 'CONSH', 7, '1998-01-23 00:00:00.000', '1998-02-20 00:00:00.000', '1998-01-29 00:00:00.000', 2, 38.24, 'Consolidated Holdings', 'Berkeley Gardens 12 eBrewery', 'London', NULL, 'WX1 6LT', 'UK'),
+(10849, 'KOENE', 9, '1998-01-23 00:00:00.000', '1998-02-20 00:00:00.000', '1998-01-30 00:00:00.000', 2, 0.56, 'Keniglich Essen', 'Maubelstr. 90', 'Brandenburg', NULL, '14776', 'Germany'),
+(10850, 'VICTE', 1, '1998-01-23 00:00:00.000', '1998-03-06 00:00:00.000', '1998-01-30 00:00:00.000', 1, 49.19, 'Victuailles en stock', '2, rue du Commerce', 'Lyon', NULL, '69004', 'France'),
+(10851, 'RICAR', 5, '1998-01-26 00:00:00.000', '1998-02-23 00:00:00.000', '1998-02-02 00:00:00.000', 1, 160.55, 'Ricardo Adocicados', 'Av. Copacabana, 267', 'Rio de Janeiro', 'RJ', '02389-890', 'Brazil'),
+(10852, 'RATTC', 8, '1998-01-26 00:00:00.000', '1998-02-09 00:00:00.000', '1998-01-30 00:00:00.000', 1, 174.05, 'Rattlesnake Canyon Grocery', '2817 Milton Dr.', 'Albuquerque', 'NM', '87110', 'USA'),
+(10853, 'BLAUS', 9, '1998-01-27 00:00:00.000', '1998-02-24 00:00:00.000', '1998-02-03 00:00:00.000', 2, 53.83, 'Blauer See Delikatessen', 'Forsterstr. 57', 'Mannheim', NULL, '68306', 'Germany'),
+(10854, 'ERNSH', 3, '1998-01-27 00:00:00.000', '1998-02-24 00:00:00.000', '1998-02-05 00:00:00.000', 2, 100.22, 'Ernst Handel', 'Kirchgasse 6', 'Graz', NULL, '8010', 'Austria'),
+(10855, 'OLDWO', 3, '1998-01-27 00:00:00.000', '1998-02-24 00:00:00.000', '1998-02-04 00:00:00.000', 1, 170.97, 'Old World Delicatessen', '2743 Bering St.', 'Anchorage', 'AK', '99508', 'USA'),
+(10856, 'ANTON', 3, '1998-01-28 00:00:00.000', '1998-02-25 00:00:00.000', '1998-02-10 00:00:00.000', 2, 58.43, 'Antonio Moreno Taquerea', 'Mataderos e2312', 'Mexico D.F.', NULL, '5023', 'Mexico'),
+(10857, 'BERGS', 8, '1998-01-28 00:00:00.000', '1998-02-25 00:00:00.000', '1998-02-06 00:00:00.000', 2, 188.85, 'Berglunds snabbkep', 'Berguvsvegen e8', 'Lulee', NULL, 'S-958 22', 'Sweden'),
+(10858, 'LACOR', 2, '1998-01-29 00:00:00.000', '1998-02-26 00:00:00.000', '1998-02-03 00:00:00.000', 1, 52.51, 'La corne d-abondance', '67, avenue de l-Europe', 'Versailles', NULL, '78000', 'France'),
+(10859, 'FRANK', 1, '1998-01-29 00:00:00.000', '1998-02-26 00:00:00.000', '1998-02-02 00:00:00.000', 2, 76.1, 'Frankenversand', 'Berliner Platz 43', 'Menchen', NULL, '80805', 'Germany'),
+(10860, 'FRANR', 3, '1998-01-29 00:00:00.000', '1998-02-26 00:00:00.000', '1998-02-04 00:00:00.000', 3, 19.26, 'France restauration', '54, rue Royale', 'Nantes', NULL, '44000', 'France'),
+(10861, 'WHITC', 4, '1998-01-30 00:00:00.000', '1998-02-27 00:00:00.000', '1998-02-17 00:00:00.000', 2, 14.93, 'White Clover Markets', '1029 - 12th Ave. S.', 'Seattle', 'WA', '98124', 'USA'),
+(10862, 'LEHMS', 8, '1998-01-30 00:00:00.000', '1998-03-13 00:00:00.000', '1998-02-02 00:00:00.000', 2, 53.23, 'Lehmanns Marktstand', 'Magazinweg 7', 'Frankfurt a.M.', NULL, '60528', 'Germany'),
+(10863, 'HILAA', 4, '1998-02-02 00:00:00.000', '1998-03-02 00:00:00.000', '1998-02-17 00:00:00.000', 2, 30.26, 'HILARION-Abastos', 'Carrera 22 con Ave. Carlos Soublette #8-35', 'San Cristebal', 'Techira', '5022', 'Venezuela'),
+(10864, 'AROUT', 4, '1998-02-02 00:00:00.000', '1998-03-02 00:00:00.000', '1998-02-09 00:00:00.000', 2, 3.04, 'Around the Horn', 'Brook Farm Stratford St. Mary', 'Colchester', 'Essex', 'CO7 6JX', 'UK'),
+(10865, 'QUICK', 2, '1998-02-02 00:00:00.000', '1998-02-16 00:00:00.000', '1998-02-12 00:00:00.000', 1, 348.14, 'QUICK-Stop', 'Taucherstraee 10', 'Cunewalde', NULL, '1307', 'Germany'),
+(10866, 'BERGS', 5, '1998-02-03 00:00:00.000', '1998-03-03 00:00:00.000', '1998-02-12 00:00:00.000', 1, 109.11, 'Berglunds snabbkep', 'Berguvsvegen e8', 'Lulee', NULL, 'S-958 22', 'Sweden'),
+(10867, 'LONEP', 6, '1998-02-03 00:00:00.000', '1998-03-17 00:00:00.000', '1998-02-11 00:00:00.000', 1, 1.93, 'Lonesome Pine Restaurant', '89 Chiaroscuro Rd.', 'Portland', 'OR', '97219', 'USA'),
+(10868, 'QUEEN', 7, '1998-02-04 00:00:00.000', '1998-03-04 00:00:00.000', '1998-02-23 00:00:00.000', 2, 191.27, 'Queen Cozinha', 'Alameda dos Canerios, 891', 'Sao Paulo', 'SP', '05487-020', 'Brazil'),
+(10869, 'SEVES', 5, '1998-02-04 00:00:00.000', '1998-03-04 00:00:00.000', '1998-02-09 00:00:00.000', 1, 143.28, 'Seven Seas Imports', '90 Wadhurst Rd.', 'London', NULL, 'OX15 4NB', 'UK'),
+(10870, 'WOLZA', 5, '1998-02-04 00:00:00.000', '1998-03-04 00:00:00.000', '1998-02-13 00:00:00.000', 3, 12.04, 'Wolski Zajazd', 'ul. Filtrowa 68', 'Warszawa', NULL, '01-012', 'Poland'),
+(10871, 'BONAP', 9, '1998-02-05 00:00:00.000', '1998-03-05 00:00:00.000', '1998-02-10 00:00:00.000', 2, 112.27, 'Bon app-', '12, rue des Bouchers', 'Marseille', NULL, '13008', 'France'),
+(10872, 'GODOS', 5, '1998-02-05 00:00:00.000', '1998-03-05 00:00:00.000', '1998-02-09 00:00:00.000', 2, 175.32, 'Godos Cocina Tepica', 'C/ Romero, 33', 'Sevilla', NULL, '41101', 'Spain'),
+(10873, 'WILMK', 4, '1998-02-06 00:00:00.000', '1998-03-06 00:00:00.000', '1998-02-09 00:00:00.000', 1, 0.82, 'Wilman Kala', 'Keskuskatu 45', 'Helsinki', NULL, '21240', 'Finland'),
+(10874, 'GODOS', 5, '1998-02-06 00:00:00.000', '1998-03-06 00:00:00.000', '1998-02-11 00:00:00.000', 2, 19.58, 'Godos Cocina Tepica', 'C/ Romero, 33', 'Sevilla', NULL, '41101', 'Spain'),
+(10875, 'BERGS', 4, '1998-02-06 00:00:00.000', '1998-03-06 00:00:00.000', '1998-03-03 00:00:00.000', 2, 32.37, 'Berglunds snabbkep', 'Berguvsvegen e8', 'Lulee', NULL, 'S-958 22', 'Sweden'),
+(10876, 'BONAP', 7, '1998-02-09 00:00:00.000', '1998-03-09 00:00:00.000', '1998-02-12 00:00:00.000', 3, 60.42, 'Bon app-', '12, rue des Bouchers', 'Marseille', NULL, '13008', 'France'),
+(10877, 'RICAR', 1, '1998-02-09 00:00:00.000', '1998-03-09 00:00:00.000', '1998-02-19 00:00:00.000', 1, 38.06, 'Ricardo Adocicados', 'Av. Copacabana, 267', 'Rio de Janeiro', 'RJ', '02389-890', 'Brazil'),
+(10878, 'QUICK', 4, '1998-02-10 00:00:00.000', '1998-03-10 00:00:00.000', '1998-02-12 00:00:00.000', 1, 46.69, 'QUICK-Stop', 'Taucherstraee 10', 'Cunewalde', NULL, '1307', 'Germany'),
+(10879, 'WILMK', 3, '1998-02-10 00:00:00.000', '1998-03-10 00:00:00.000', '1998-02-12 00:00:00.000', 3, 8.5, 'Wilman Kala', 'Keskuskatu 45', 'Helsinki', NULL, '21240', 'Finland'),
+(10880, 'FOLKO', 7, '1998-02-10 00:00:00.000', '1998-03-24 00:00:00.000', '1998-02-18 00:00:00.000', 1, 88.01, 'Folk och fe HB', 'ekergatan 24', 'Brecke', NULL, 'S-844 67', 'Sweden'),
+(10881, 'CACTU', 4, '1998-02-11 00:00:00.000', '1998-03-11 00:00:00.000', '1998-02-18 00:00:00.000', 1, 2.84, 'Cactus Comidas para llevar', 'Cerrito 333', 'Buenos Aires', NULL, '1010', 'Argentina'),
+(10882, 'SAVEA', 4, '1998-02-11 00:00:00.000', '1998-03-11 00:00:00.000', '1998-02-20 00:00:00.000', 3, 23.1, 'Save-a-lot Markets', '187 Suffolk Ln.', 'Boise', 'ID', '83720', 'USA'),
+(10883, 'LONEP', 8, '1998-02-12 00:00:00.000', '1998-03-12 00:00:00.000', '1998-02-20 00:00:00.000', 3, 0.53, 'Lonesome Pine Restaurant', '89 Chiaroscuro Rd.', 'Portland', 'OR', '97219', 'USA'),
+(10884, 'LETSS', 4, '1998-02-12 00:00:00.000', '1998-03-12 00:00:00.000', '1998-02-13 00:00:00.000', 2, 90.97, 'Let-s Stop N Shop', '87 Polk St. Suite 5', 'San Francisco', 'CA', '94117', 'USA'),
+(10885, 'SUPRD', 6, '1998-02-12 00:00:00.000', '1998-03-12 00:00:00.000', '1998-02-18 00:00:00.000', 3, 5.64, 'Supremes delices', 'Boulevard Tirou, 255', 'Charleroi', NULL, 'B-6000', 'Belgium'),
+(10886, 'HANAR', 1, '1998-02-13 00:00:00.000', '1998-03-13 00:00:00.000', '1998-03-02 00:00:00.000', 1, 4.99, 'Hanari Carnes', 'Rua do Paeo, 67', 'Rio de Janeiro', 'RJ', '05454-876', 'Brazil'),
+(10887, 'GALED', 8, '1998-02-13 00:00:00.000', '1998-03-13 00:00:00.000', '1998-02-16 00:00:00.000', 3, 1.25, 'Galerea del gastronemo', 'Rambla de Cataluea, 23', 'Barcelona', NULL, '8022', 'Spain'),
+(10888, 'GODOS', 1, '1998-02-16 00:00:00.000', '1998-03-16 00:00:00.000', '1998-02-23 00:00:00.000', 2, 51.87, 'Godos Cocina Tepica', 'C/ Romero, 33', 'Sevilla', NULL, '41101', 'Spain'),
+(10889, 'RATTC', 9, '1998-02-16 00:00:00.000', '1998-03-16 00:00:00.000', '1998-02-23 00:00:00.000', 3, 280.61, 'Rattlesnake Canyon Grocery', '2817 Milton Dr.', 'Albuquerque', 'NM', '87110', 'USA'),
+(10890, 'DUMON', 7, '1998-02-16 00:00:00.000', '1998-03-16 00:00:00.000', '1998-02-18 00:00:00.000', 1, 32.76, 'Du monde entier', '67, rue des Cinquante Otages', 'Nantes', NULL, '44000', 'France'),
+(10891, 'LEHMS', 7, '1998-02-17 00:00:00.000', '1998-03-17 00:00:00.000', '1998-02-19 00:00:00.000', 2, 20.37, 'Lehmanns Marktstand', 'Magazinweg 7', 'Frankfurt a.M.', NULL, '60528', 'Germany'),
+(10892, 'MAISD', 4, '1998-02-17 00:00:00.000', '1998-03-17 00:00:00.000', '1998-02-19 00:00:00.000', 2, 120.27, 'Maison Dewey', 'Rue Joseph-Bens 532', 'Bruxelles', NULL, 'B-1180', 'Belgium'),
+(10893, 'KOENE', 9, '1998-02-18 00:00:00.000', '1998-03-18 00:00:00.000', '1998-02-20 00:00:00.000', 2, 77.78, 'Keniglich Essen', 'Maubelstr. 90', 'Brandenburg', NULL, '14776', 'Germany'),
+(10894, 'SAVEA', 1, '1998-02-18 00:00:00.000', '1998-03-18 00:00:00.000', '1998-02-20 00:00:00.000', 1, 116.13, 'Save-a-lot Markets', '187 Suffolk Ln.', 'Boise', 'ID', '83720', 'USA'),
+(10895, 'ERNSH', 3, '1998-02-18 00:00:00.000', '1998-03-18 00:00:00.000', '1998-02-23 00:00:00.000', 1, 162.75, 'Ernst Handel', 'Kirchgasse 6', 'Graz', NULL, '8010', 'Austria'),
+(10896, 'MAISD', 7, '1998-02-19 00:00:00.000', '1998-03-19 00:00:00.000', '1998-02-27 00:00:00.000', 3, 32.45, 'Maison Dewey', 'Rue Joseph-Bens 532', 'Bruxelles', NULL, 'B-1180', 'Belgium'),
+(10897, 'HUNGO', 3, '1998-02-19 00:00:00.000', '1998-03-19 00:00:00.000', '1998-02-25 00:00:00.000', 2, 603.54, 'Hungry Owl All-Night Grocers', '8 Johnstown Road', 'Cork', 'Co. Cork', NULL, 'Ireland'),
+(10898, 'OCEAN', 4, '1998-02-20 00:00:00.000', '1998-03-20 00:00:00.000', '1998-03-06 00:00:00.000', 2, 1.27, 'Oceano Atlentico Ltda.', 'Ing. Gustavo Moncada 8585 Piso 20-A', 'Buenos Aires', NULL, '1010', 'Argentina'),
+(10899, 'LILAS', 5, '1998-02-20 00:00:00.000', '1998-03-20 00:00:00.000', '1998-02-26 00:00:00.000', 3, 1.21, 'LILA-Supermercado', 'Carrera 52 con Ave. Bolevar #65-98 Llano Largo', 'Barquisimeto', 'Lara', '3508', 'Venezuela'),
+(10900, 'WELLI', 1, '1998-02-20 00:00:00.000', '1998-03-20 00:00:00.000', '1998-03-04 00:00:00.000', 2, 1.66, 'Wellington Importadora', 'Rua do Mercado, 12', 'Resende', 'SP', '08737-363', 'Brazil'),
+(10901, 'HILAA', 4, '1998-02-23 00:00:00.000', '1998-03-23 00:00:00.000', '1998-02-26 00:00:00.000', 1, 62.09, 'HILARION-Abastos', 'Carrera 22 con Ave. Carlos Soublette #8-35', 'San Cristebal', 'Techira', '5022', 'Venezuela'),
+(10902, 'FOLKO', 1, '1998-02-23 00:00:00.000', '1998-03-23 00:00:00.000', '1998-03-03 00:00:00.000', 1, 44.15, 'Folk och fe HB', 'ekergatan 24', 'Brecke', NULL, 'S-844 67', 'Sweden'),
+(10903, 'HANAR', 3, '1998-02-24 00:00:00.000', '1998-03-24 00:00:00.000', '1998-03-04 00:00:00.000', 3, 36.71, 'Hanari Carnes', 'Rua do Paeo, 67', 'Rio de Janeiro', 'RJ', '05454-876', 'Brazil'),
+(10904, 'WHITC', 3, '1998-02-24 00:00:00.000', '1998-03-24 00:00:00.000', '1998-02-27 00:00:00.000', 3, 162.95, 'White Clover Markets', '1029 - 12th Ave. S.', 'Seattle', 'WA', '98124', 'USA'),
+(10905, 'WELLI', 9, '1998-02-24 00:00:00.000', '1998-03-24 00:00:00.000', '1998-03-06 00:00:00.000', 2, 13.72, 'Wellington Importadora', 'Rua do Mercado, 12', 'Resende', 'SP', '08737-363', 'Brazil'),
+(10906, 'WOLZA', 4, '1998-02-25 00:00:00.000', '1998-03-11 00:00:00.000', '1998-03-03 00:00:00.000', 3, 26.29, 'Wolski Zajazd', 'ul. Filtrowa 68', 'Warszawa', NULL, '01-012', 'Poland'),
+(10907, 'SPECD', 6, '1998-02-25 00:00:00.000', '1998-03-25 00:00:00.000', '1998-02-27 00:00:00.000', 3, 9.19, 'Specialites du monde', '25, rue Lauriston', 'Paris', NULL, '75016', 'France'),
+(10908, 'REGGC', 4, '1998-02-26 00:00:00.000', '1998-03-26 00:00:00.000', '1998-03-06 00:00:00.000', 2, 32.96, 'Reggiani Caseifici', 'Strada Provinciale 124', 'Reggio Emilia', NULL, '42100', 'Italy'),
+(10909, 'SANTG', 1, '1998-02-26 00:00:00.000', '1998-03-26 00:00:00.000', '1998-03-10 00:00:00.000', 2, 53.05, 'Sante Gourmet', 'Erling Skakkes gate 78', 'Stavern', NULL, '4110', 'Norway'),
+(10910, 'WILMK', 1, '1998-02-26 00:00:00.000', '1998-03-26 00:00:00.000', '1998-03-04 00:00:00.000', 3, 38.11, 'Wilman Kala', 'Keskuskatu 45', 'Helsinki', NULL, '21240', 'Finland'),
+(10911, 'GODOS', 3, '1998-02-26 00:00:00.000', '1998-03-26 00:00:00.000', '1998-03-05 00:00:00.000', 1, 38.19, 'Godos Cocina Tepica', 'C/ Romero, 33', 'Sevilla', NULL, '41101', 'Spain'),
+(10912, 'HUNGO', 2, '1998-02-26 00:00:00.000', '1998-03-26 00:00:00.000', '1998-03-18 00:00:00.000', 2, 580.91, 'Hungry Owl All-Night Grocers', '8 Johnstown Road', 'Cork', 'Co. Cork', NULL, 'Ireland'),
+(10913, 'QUEEN', 4, '1998-02-26 00:00:00.000', '1998-03-26 00:00:00.000', '1998-03-04 00:00:00.000', 1, 33.05, 'Queen Cozinha', 'Alameda dos Canerios, 891', 'Sao Paulo', 'SP', '05487-020', 'Brazil'),
+(10914, 'QUEEN', 6, '1998-02-27 00:00:00.000', '1998-03-27 00:00:00.000', '1998-03-02 00:00:00.000', 1, 21.19, 'Queen Cozinha', 'Alameda dos Canerios, 891', 'Sao Paulo', 'SP', '05487-020', 'Brazil'),
+(10915, 'TORTU', 2, '1998-02-27 00:00:00.000', '1998-03-27 00:00:00.000', '1998-03-02 00:00:00.000', 2, 3.51, 'Tortuga Restaurante', 'Avda. Azteca 123', 'Mexico D.F.', NULL, '5033', 'Mexico'),
+(10916, 'RANCH', 1, '1998-02-27 00:00:00.000', '1998-03-27 00:00:00.000', '1998-03-09 00:00:00.000', 2, 63.77, 'Rancho grande', 'Av. del Libertador 900', 'Buenos Aires', NULL, '1010', 'Argentina'),
+(10917, 'ROMEY', 4, '1998-03-02 00:00:00.000', '1998-03-30 00:00:00.000', '1998-03-11 00:00:00.000', 2, 8.29, 'Romero y tomillo', 'Gran Vea, 1', 'Madrid', NULL, '28001', 'Spain'),
+(10918, 'BOTTM', 3, '1998-03-02 00:00:00.000', '1998-03-30 00:00:00.000', '1998-03-11 00:00:00.000', 3, 48.83, 'Bottom-Dollar Markets', '23 Tsawassen Blvd.', 'Tsawassen', 'BC', 'T2F 8M4', 'Canada'),
+(10919, 'LINOD', 2, '1998-03-02 00:00:00.000', '1998-03-30 00:00:00.000', '1998-03-04 00:00:00.000', 2, 19.8, 'LINO-Delicateses', 'Ave. 5 de Mayo Porlamar', 'I. de Margarita', 'Nueva Esparta', '4980', 'Venezuela'),
+(10920, 'AROUT', 4, '1998-03-03 00:00:00.000', '1998-03-31 00:00:00.000', '1998-03-09 00:00:00.000', 2, 29.61, 'Around the Horn', 'Brook Farm Stratford St. Mary', 'Colchester', 'Essex', 'CO7 6JX', 'UK'),
+(10921, 'VAFFE', 1, '1998-03-03 00:00:00.000', '1998-04-14 00:00:00.000', '1998-03-09 00:00:00.000', 1, 176.48, 'Vaffeljernet', 'Smagsloget 45', 'erhus', NULL, '8200', 'Denmark'),
+(10922, 'HANAR', 5, '1998-03-03 00:00:00.000', '1998-03-31 00:00:00.000', '1998-03-05 00:00:00.000', 3, 62.74, 'Hanari Carnes', 'Rua do Paeo, 67', 'Rio de Janeiro', 'RJ', '05454-876', 'Brazil'),
+(10923, 'LAMAI', 7, '1998-03-03 00:00:00.000', '1998-04-14 00:00:00.000', '1998-03-13 00:00:00.000', 3, 68.26, 'La maison d-Asie', '1 rue Alsace-Lorraine', 'Toulouse', NULL, '31000', 'France'),
+(10924, 'BERGS', 3, '1998-03-04 00:00:00.000', '1998-04-01 00:00:00.000', '1998-04-08 00:00:00.000', 2, 151.52, 'Berglunds snabbkep', 'Berguvsvegen e8', 'Lulee', NULL, 'S-958 22', 'Sweden'),
+(10925, 'HANAR', 3, '1998-03-04 00:00:00.000', '1998-04-01 00:00:00.000', '1998-03-13 00:00:00.000', 1, 2.27, 'Hanari Carnes', 'Rua do Paeo, 67', 'Rio de Janeiro', 'RJ', '05454-876', 'Brazil'),
+(10926, 'ANATR', 4, '1998-03-04 00:00:00.000', '1998-04-01 00:00:00.000', '1998-03-11 00:00:00.000', 3, 39.92, 'Ana Trujillo Emparedados y helados', 'Avda. de la Constitucien 2222', 'Mexico D.F.', NULL, '5021', 'Mexico'),
+(10927, 'LACOR', 4, '1998-03-05 00:00:00.000', '1998-04-02 00:00:00.000', '1998-04-08 00:00:00.000', 1, 19.79, 'La corne d-abondance', '67, avenue de l-Europe', 'Versailles', NULL, '78000', 'France'),
+(10928, 'GALED', 1, '1998-03-05 00:00:00.000', '1998-04-02 00:00:00.000', '1998-03-18 00:00:00.000', 1, 1.36, 'Galerea del gastronemo', 'Rambla de Cataluea, 23', 'Barcelona', NULL, '8022', 'Spain'),
+(10929, 'FRANK', 6, '1998-03-05 00:00:00.000', '1998-04-02 00:00:00.000', '1998-03-12 00:00:00.000', 1, 33.93, 'Frankenversand', 'Berliner Platz 43', 'Menchen', NULL, '80805', 'Germany'),
+(10930, 'SUPRD', 4, '1998-03-06 00:00:00.000', '1998-04-17 00:00:00.000', '1998-03-18 00:00:00.000', 3, 15.55, 'Supremes delices', 'Boulevard Tirou, 255', 'Charleroi', NULL, 'B-6000', 'Belgium'),
+(10931, 'RICSU', 4, '1998-03-06 00:00:00.000', '1998-03-20 00:00:00.000', '1998-03-19 00:00:00.000', 2, 13.6, 'Richter Supermarkt', 'Starenweg 5', 'Geneve', NULL, '1204', 'Switzerland'),
+(10932, 'BONAP', 8, '1998-03-06 00:00:00.000', '1998-04-03 00:00:00.000', '1998-03-24 00:00:00.000', 1, 134.64, 'Bon app-', '12, rue des Bouchers', 'Marseille', NULL, '13008', 'France'),
+(10933, 'ISLAT', 6, '1998-03-06 00:00:00.000', '1998-04-03 00:00:00.000', '1998-03-16 00:00:00.000', 3, 54.15, 'Island Trading', 'Garden House Crowther Way', 'Cowes', 'Isle of Wight', 'PO31 7PJ', 'UK'),
+(10934, 'LEHMS', 3, '1998-03-09 00:00:00.000', '1998-04-06 00:00:00.000', '1998-03-12 00:00:00.000', 3, 32.01, 'Lehmanns Marktstand', 'Magazinweg 7', 'Frankfurt a.M.', NULL, '60528', 'Germany'),
+(10935, 'WELLI', 4, '1998-03-09 00:00:00.000', '1998-04-06 00:00:00.000', '1998-03-18 00:00:00.000', 3, 47.59, 'Wellington Importadora', 'Rua do Mercado, 12', 'Resende', 'SP', '08737-363', 'Brazil'),
+(10936, 'GREAL', 3, '1998-03-09 00:00:00.000', '1998-04-06 00:00:00.000', '1998-03-18 00:00:00.000', 2, 33.68, 'Great Lakes Food Market', '2732 Baker Blvd.', 'Eugene', 'OR', '97403', 'USA'),
+(10937, 'CACTU', 7, '1998-03-10 00:00:00.000', '1998-03-24 00:00:00.000', '1998-03-13 00:00:00.000', 3, 31.51, 'Cactus Comidas para llevar', 'Cerrito 333', 'Buenos Aires', NULL, '1010', 'Argentina'),
+(10938, 'QUICK', 3, '1998-03-10 00:00:00.000', '1998-04-07 00:00:00.000', '1998-03-16 00:00:00.000', 2, 31.89, 'QUICK-Stop', 'Taucherstraee 10', 'Cunewalde', NULL, '1307', 'Germany'),
+(10939, 'MAGAA', 2, '1998-03-10 00:00:00.000', '1998-04-07 00:00:00.000', '1998-03-13 00:00:00.000', 2, 76.33, 'Magazzini Alimentari Riuniti', 'Via Ludovico il Moro 22', 'Bergamo', NULL, '24100', 'Italy'),
+(10940, 'BONAP', 8, '1998-03-11 00:00:00.000', '1998-04-08 00:00:00.000', '1998-03-23 00:00:00.000', 3, 19.77, 'Bon app-', '12, rue des Bouchers', 'Marseille', NULL, '13008', 'France'),
+(10941, 'SAVEA', 7, '1998-03-11 00:00:00.000', '1998-04-08 00:00:00.000', '1998-03-20 00:00:00.000', 2, 400.81, 'Save-a-lot Markets', '187 Suffolk Ln.', 'Boise', 'ID', '83720', 'USA'),
+(10942, 'REGGC', 9, '1998-03-11 00:00:00.000', '1998-04-08 00:00:00.000', '1998-03-18 00:00:00.000', 3, 17.95, 'Reggiani Caseifici', 'Strada Provinciale 124', 'Reggio Emilia', NULL, '42100', 'Italy'),
+(10943, 'BSBEV', 4, '1998-03-11 00:00:00.000', '1998-04-08 00:00:00.000', '1998-03-19 00:00:00.000', 2, 2.17, 'B-s Beverages', 'Fauntleroy Circus', 'London', NULL, 'EC2 5NT', 'UK'),
+(10944, 'BOTTM', 6, '1998-03-12 00:00:00.000', '1998-03-26 00:00:00.000', '1998-03-13 00:00:00.000', 3, 52.92, 'Bottom-Dollar Markets', '23 Tsawassen Blvd.', 'Tsawassen', 'BC', 'T2F 8M4', 'Canada'),
+(10945, 'MORGK', 4, '1998-03-12 00:00:00.000', '1998-04-09 00:00:00.000', '1998-03-18 00:00:00.000', 1, 10.22, 'Morgenstern Gesundkost', 'Heerstr. 22', 'Leipzig', NULL, '4179', 'Germany'),
+(10946, 'VAFFE', 1, '1998-03-12 00:00:00.000', '1998-04-09 00:00:00.000', '1998-03-19 00:00:00.000', 2, 27.2, 'Vaffeljernet', 'Smagsloget 45', 'erhus', NULL, '8200', 'Denmark'),
+(10947, 'BSBEV', 3, '1998-03-13 00:00:00.000', '1998-04-10 00:00:00.000', '1998-03-16 00:00:00.000', 2, 3.26, 'B-s Beverages', 'Fauntleroy Circus', 'London', NULL, 'EC2 5NT', 'UK'),
+(10948, 'GODOS', 3, '1998-03-13 00:00:00.000', '1998-04-10 00:00:00.000', '1998-03-19 00:00:00.000', 3, 23.39, 'Godos Cocina Tepica', 'C/ Romero, 33', 'Sevilla', NULL, '41101', 'Spain'),
+(10949, 'BOTTM', 2, '1998-03-13 00:00:00.000', '1998-04-10 00:00:00.000', '1998-03-17 00:00:00.000', 3, 74.44, 'Bottom-Dollar Markets', '23 Tsawassen Blvd.', 'Tsawassen', 'BC', 'T2F 8M4', 'Canada'),
+(10950, 'MAGAA', 1, '1998-03-16 00:00:00.000', '1998-04-13 00:00:00.000', '1998-03-23 00:00:00.000', 2, 2.5, 'Magazzini Alimentari Riuniti', 'Via Ludovico il Moro 22', 'Bergamo', NULL, '24100', 'Italy'),
+(10951, 'RICSU', 9, '1998-03-16 00:00:00.000', '1998-04-27 00:00:00.000', '1998-04-07 00:00:00.000', 2, 30.85, 'Richter Supermarkt', 'Starenweg 5', 'Geneve', NULL, '1204', 'Switzerland'),
+(10952, 'ALFKI', 1, '1998-03-16 00:00:00.000', '1998-04-27 00:00:00.000', '1998-03-24 00:00:00.000', 1, 40.42, 'Alfred-s Futterkiste', 'Obere Str. 57', 'Berlin', NULL, '12209', 'Germany'),
+(10953, 'AROUT', 9, '1998-03-16 00:00:00.000', '1998-03-30 00:00:00.000', '1998-03-25 00:00:00.000', 2, 23.72, 'Around the Horn', 'Brook Farm Stratford St. Mary', 'Colchester', 'Essex', 'CO7 6JX', 'UK'),
+(10954, 'LINOD', 5, '1998-03-17 00:00:00.000', '1998-04-28 00:00:00.000', '1998-03-20 00:00:00.000', 1, 27.91, 'LINO-Delicateses', 'Ave. 5 de Mayo Porlamar', 'I. de Margarita', 'Nueva Esparta', '4980', 'Venezuela'),
+(10955, 'FOLKO', 8, '1998-03-17 00:00:00.000', '1998-04-14 00:00:00.000', '1998-03-20 00:00:00.000', 2, 3.26, 'Folk och fe HB', 'ekergatan 24', 'Brecke', NULL, 'S-844 67', 'Sweden'),
+(10956, 'BLAUS', 6, '1998-03-17 00:00:00.000', '1998-04-28 00:00:00.000', '1998-03-20 00:00:00.000', 2, 44.65, 'Blauer See Delikatessen', 'Forsterstr. 57', 'Mannheim', NULL, '68306', 'Germany'),
+(10957, 'HILAA', 8, '1998-03-18 00:00:00.000', '1998-04-15 00:00:00.000', '1998-03-27 00:00:00.000', 3, 105.36, 'HILARION-Abastos', 'Carrera 22 con Ave. Carlos Soublette #8-35', 'San Cristebal', 'Techira', '5022', 'Venezuela'),
+(10958, 'OCEAN', 7, '1998-03-18 00:00:00.000', '1998-04-15 00:00:00.000', '1998-03-27 00:00:00.000', 2, 49.56, 'Oceano Atlentico Ltda.', 'Ing. Gustavo Moncada 8585 Piso 20-A', 'Buenos Aires', NULL, '1010', 'Argentina'),
+(10959, 'GOURL', 6, '1998-03-18 00:00:00.000', '1998-04-29 00:00:00.000', '1998-03-23 00:00:00.000', 2, 4.98, 'Gourmet Lanchonetes', 'Av. Brasil, 442', 'Campinas', 'SP', '04876-786', 'Brazil'),
+(10960, 'HILAA', 3, '1998-03-19 00:00:00.000', '1998-04-02 00:00:00.000', '1998-04-08 00:00:00.000', 1, 2.08, 'HILARION-Abastos', 'Carrera 22 con Ave. Carlos Soublette #8-35', 'San Cristebal', 'Techira', '5022', 'Venezuela'),
+(10961, 'QUEEN', 8, '1998-03-19 00:00:00.000', '1998-04-16 00:00:00.000', '1998-03-30 00:00:00.000', 1, 104.47, 'Queen Cozinha', 'Alameda dos Canerios, 891', 'Sao Paulo', 'SP', '05487-020', 'Brazil'),
+(10962, 'QUICK', 8, '1998-03-19 00:00:00.000', '1998-04-16 00:00:00.000', '1998-03-23 00:00:00.000', 2, 275.79, 'QUICK-Stop', 'Taucherstraee 10', 'Cunewalde', NULL, '1307', 'Germany'),
+(10963, 'FURIB', 9, '1998-03-19 00:00:00.000', '1998-04-16 00:00:00.000', '1998-03-26 00:00:00.000', 3, 2.7, 'Furia Bacalhau e Frutos do Mar', 'Jardim das rosas n. 32', 'Lisboa', NULL, '1675', 'Portugal'),
+(10964, 'SPECD', 3, '1998-03-20 00:00:00.000', '1998-04-17 00:00:00.000', '1998-03-24 00:00:00.000', 2, 87.38, 'Specialites du monde', '25, rue Lauriston', 'Paris', NULL, '75016', 'France'),
+(10965, 'OLDWO', 6, '1998-03-20 00:00:00.000', '1998-04-17 00:00:00.000', '1998-03-30 00:00:00.000', 3, 144.38, 'Old World Delicatessen', '2743 Bering St.', 'Anchorage', 'AK', '99508', 'USA'),
+(10966, 'CHOPS', 4, '1998-03-20 00:00:00.000', '1998-04-17 00:00:00.000', '1998-04-08 00:00:00.000', 1, 27.19, 'Chop-suey Chinese', 'Hauptstr. 31', 'Bern', NULL, '3012', 'Switzerland'),
+(10967, 'TOMSP', 2, '1998-03-23 00:00:00.000', '1998-04-20 00:00:00.000', '1998-04-02 00:00:00.000', 2, 62.22, 'Toms Spezialiteten', 'Luisenstr. 48', 'Menster', NULL, '44087', 'Germany'),
+(10968, 'ERNSH', 1, '1998-03-23 00:00:00.000', '1998-04-20 00:00:00.000', '1998-04-01 00:00:00.000', 3, 74.6, 'Ernst Handel', 'Kirchgasse 6', 'Graz', NULL, '8010', 'Austria'),
+(10969, 'COMMI', 1, '1998-03-23 00:00:00.000', '1998-04-20 00:00:00.000', '1998-03-30 00:00:00.000', 2, 0.21, 'Comercio Mineiro', 'Av. dos Luseadas, 23', 'Sao Paulo', 'SP', '05432-043', 'Brazil'),
+(10970, 'BOLID', 9, '1998-03-24 00:00:00.000', '1998-04-07 00:00:00.000', '1998-04-24 00:00:00.000', 1, 16.16, 'Belido Comidas preparadas', 'C/ Araquil, 67', 'Madrid', NULL, '28023', 'Spain'),
+(10971, 'FRANR', 2, '1998-03-24 00:00:00.000', '1998-04-21 00:00:00.000', '1998-04-02 00:00:00.000', 2, 121.82, 'France restauration', '54, rue Royale', 'Nantes', NULL, '44000', 'France'),
+(10972, 'LACOR', 4, '1998-03-24 00:00:00.000', '1998-04-21 00:00:00.000', '1998-03-26 00:00:00.000', 2, 0.02, 'La corne d-abondance', '67, avenue de l-Europe', 'Versailles', NULL, '78000', 'France'),
+(10973, 'LACOR', 6, '1998-03-24 00:00:00.000', '1998-04-21 00:00:00.000', '1998-03-27 00:00:00.000', 2, 15.17, 'La corne d-abondance', '67, avenue de l-Europe', 'Versailles', NULL, '78000', 'France'),
+(10974, 'SPLIR', 3, '1998-03-25 00:00:00.000', '1998-04-08 00:00:00.000', '1998-04-03 00:00:00.000', 3, 12.96, 'Split Rail Beer & Ale', 'P.O. Box 555', 'Lander', 'WY', '82520', 'USA'),
+(10975, 'BOTTM', 1, '1998-03-25 00:00:00.000', '1998-04-22 00:00:00.000', '1998-03-27 00:00:00.000', 3, 32.27, 'Bottom-Dollar Markets', '23 Tsawassen Blvd.', 'Tsawassen', 'BC', 'T2F 8M4', 'Canada'),
+(10976, 'HILAA', 1, '1998-03-25 00:00:00.000', '1998-05-06 00:00:00.000', '1998-04-03 00:00:00.000', 1, 37.97, 'HILARION-Abastos', 'Carrera 22 con Ave. Carlos Soublette #8-35', 'San Cristebal', 'Techira', '5022', 'Venezuela'),
+(10977, 'FOLKO', 8, '1998-03-26 00:00:00.000', '1998-04-23 00:00:00.000', '1998-04-10 00:00:00.000', 3, 208.5, 'Folk och fe HB', 'ekergatan 24', 'Brecke', NULL, 'S-844 67', 'Sweden'),
+(10978, 'MAISD', 9, '1998-03-26 00:00:00.000', '1998-04-23 00:00:00.000', '1998-04-23 00:00:00.000', 2, 32.82, 'Maison Dewey', 'Rue Joseph-Bens 532', 'Bruxelles', NULL, 'B-1180', 'Belgium'),
+(10979, 'ERNSH', 8, '1998-03-26 00:00:00.000', '1998-04-23 00:00:00.000', '1998-03-31 00:00:00.000', 2, 353.07, 'Ernst Handel', 'Kirchgasse 6', 'Graz', NULL, '8010', 'Austria'),
+(10980, 'FOLKO', 4, '1998-03-27 00:00:00.000', '1998-05-08 00:00:00.000', '1998-04-17 00:00:00.000', 1, 1.26, 'Folk och fe HB', 'ekergatan 24', 'Brecke', NULL, 'S-844 67', 'Sweden'),
+(10981, 'HANAR', 1, '1998-03-27 00:00:00.000', '1998-04-24 00:00:00.000', '1998-04-02 00:00:00.000', 2, 193.37, 'Hanari Carnes', 'Rua do Paeo, 67', 'Rio de Janeiro', 'RJ', '05454-876', 'Brazil'),
+(10982, 'BOTTM', 2, '1998-03-27 00:00:00.000', '1998-04-24 00:00:00.000', '1998-04-08 00:00:00.000', 1, 14.01, 'Bottom-Dollar Markets', '23 Tsawassen Blvd.', 'Tsawassen', 'BC', 'T2F 8M4', 'Canada'),
+(10983, 'SAVEA', 2, '1998-03-27 00:00:00.000', '1998-04-24 00:00:00.000', '1998-04-06 00:00:00.000', 2, 657.54, 'Save-a-lot Markets', '187 Suffolk Ln.', 'Boise', 'ID', '83720', 'USA'),
+(10984, 'SAVEA', 1, '1998-03-30 00:00:00.000', '1998-04-27 00:00:00.000', '1998-04-03 00:00:00.000', 3, 211.22, 'Save-a-lot Markets', '187 Suffolk Ln.', 'Boise', 'ID', '83720', 'USA'),
+(10985, 'HUNGO', 2, '1998-03-30 00:00:00.000', '1998-04-27 00:00:00.000', '1998-04-02 00:00:00.000', 1, 91.51, 'Hungry Owl All-Night Grocers', '8 Johnstown Road', 'Cork', 'Co. Cork', NULL, 'Ireland'),
+(10986, 'OCEAN', 8, '1998-03-30 00:00:00.000', '1998-04-27 00:00:00.000', '1998-04-21 00:00:00.000', 2, 217.86, 'Oceano Atlentico Ltda.', 'Ing. Gustavo Moncada 8585 Piso 20-A', 'Buenos Aires', NULL, '1010', 'Argentina'),
+(10987, 'EASTC', 8, '1998-03-31 00:00:00.000', '1998-04-28 00:00:00.000', '1998-04-06 00:00:00.000', 1, 185.48, 'Eastern Connection', '35 King George', 'London', NULL, 'WX3 6FW', 'UK'),
+(10988, 'RATTC', 3, '1998-03-31 00:00:00.000', '1998-04-28 00:00:00.000', '1998-04-10 00:00:00.000', 2, 61.14, 'Rattlesnake Canyon Grocery', '2817 Milton Dr.', 'Albuquerque', 'NM', '87110', 'USA'),
+(10989, 'QUEDE', 2, '1998-03-31 00:00:00.000', '1998-04-28 00:00:00.000', '1998-04-02 00:00:00.000', 1, 34.76, 'Que Delecia', 'Rua da Panificadora, 12', 'Rio de Janeiro', 'RJ', '02389-673', 'Brazil'),
+(10990, 'ERNSH', 2, '1998-04-01 00:00:00.000', '1998-05-13 00:00:00.000', '1998-04-07 00:00:00.000', 3, 117.61, 'Ernst Handel', 'Kirchgasse 6', 'Graz', NULL, '8010', 'Austria'),
+(10991, 'QUICK', 1, '1998-04-01 00:00:00.000', '1998-04-29 00:00:00.000', '1998-04-07 00:00:00.000', 1, 38.51, 'QUICK-Stop', 'Taucherstraee 10', 'Cunewalde', NULL, '1307', 'Germany'),
+(10992, 'THEBI', 1, '1998-04-01 00:00:00.000', '1998-04-29 00:00:00.000', '1998-04-03 00:00:00.000', 3, 4.27, 'The Big Cheese', '89 Jefferson Way Suite 2', 'Portland', 'OR', '97201', 'USA'),
+(10993, 'FOLKO', 7, '1998-04-01 00:00:00.000', '1998-04-29 00:00:00.000', '1998-04-10 00:00:00.000', 3, 8.81, 'Folk och fe HB', 'ekergatan 24', 'Brecke', NULL, 'S-844 67', 'Sweden'),
+(10994, 'VAFFE', 2, '1998-04-02 00:00:00.000', '1998-04-16 00:00:00.000', '1998-04-09 00:00:00.000', 3, 65.53, 'Vaffeljernet', 'Smagsloget 45', 'erhus', NULL, '8200', 'Denmark'),
+(10995, 'PERIC', 1, '1998-04-02 00:00:00.000', '1998-04-30 00:00:00.000', '1998-04-06 00:00:00.000', 3, 46, 'Pericles Comidas clesicas', 'Calle Dr. Jorge Cash 321', 'Mexico D.F.', NULL, '5033', 'Mexico'),
+(10996, 'QUICK', 4, '1998-04-02 00:00:00.000', '1998-04-30 00:00:00.000', '1998-04-10 00:00:00.000', 2, 1.12, 'QUICK-Stop', 'Taucherstraee 10', 'Cunewalde', NULL, '1307', 'Germany'),
+(10997, 'LILAS', 8, '1998-04-03 00:00:00.000', '1998-05-15 00:00:00.000', '1998-04-13 00:00:00.000', 2, 73.91, 'LILA-Supermercado', 'Carrera 52 con Ave. Bolevar #65-98 Llano Largo', 'Barquisimeto', 'Lara', '3508', 'Venezuela'),
+(10998, 'WOLZA', 8, '1998-04-03 00:00:00.000', '1998-04-17 00:00:00.000', '1998-04-17 00:00:00.000', 2, 20.31, 'Wolski Zajazd', 'ul. Filtrowa 68', 'Warszawa', NULL, '01-012', 'Poland'),
+(10999, 'OTTIK', 6, '1998-04-03 00:00:00.000', '1998-05-01 00:00:00.000', '1998-04-10 00:00:00.000', 2, 96.35, 'Ottilies Keseladen', 'Mehrheimerstr. 369', 'Keln', NULL, '50739', 'Germany'),
+(11000, 'RATTC', 2, '1998-04-06 00:00:00.000', '1998-05-04 00:00:00.000', '1998-04-14 00:00:00.000', 3, 55.12, 'Rattlesnake Canyon Grocery', '2817 Milton Dr.', 'Albuquerque', 'NM', '87110', 'USA'),
+(11001, 'FOLKO', 2, '1998-04-06 00:00:00.000', '1998-05-04 00:00:00.000', '1998-04-14 00:00:00.000', 2, 197.3, 'Folk och fe HB', 'ekergatan 24', 'Brecke', NULL, 'S-844 67', 'Sweden'),
+(11002, 'SAVEA', 4, '1998-04-06 00:00:00.000', '1998-05-04 00:00:00.000', '1998-04-16 00:00:00.000', 1, 141.16, 'Save-a-lot Markets', '187 Suffolk Ln.', 'Boise', 'ID', '83720', 'USA'),
+(11003, 'THECR', 3, '1998-04-06 00:00:00.000', '1998-05-04 00:00:00.000', '1998-04-08 00:00:00.000', 3, 14.91, 'The Cracker Box', '55 Grizzly Peak Rd.', 'Butte', 'MT', '59801', 'USA'),
+(11004, 'MAISD', 3, '1998-04-07 00:00:00.000', '1998-05-05 00:00:00.000', '1998-04-20 00:00:00.000', 1, 44.84, 'Maison Dewey', 'Rue Joseph-Bens 532', 'Bruxelles', NULL, 'B-1180', 'Belgium'),
+(11005, 'WILMK', 2, '1998-04-07 00:00:00.000', '1998-05-05 00:00:00.000', '1998-04-10 00:00:00.000', 1, 0.75, 'Wilman Kala', 'Keskuskatu 45', 'Helsinki', NULL, '21240', 'Finland'),
+(11006, 'GREAL', 3, '1998-04-07 00:00:00.000', '1998-05-05 00:00:00.000', '1998-04-15 00:00:00.000', 2, 25.19, 'Great Lakes Food Market', '2732 Baker Blvd.', 'Eugene', 'OR', '97403', 'USA'),
+(11007, 'PRINI', 8, '1998-04-08 00:00:00.000', '1998-05-06 00:00:00.000', '1998-04-13 00:00:00.000', 2, 202.24, 'Princesa Isabel Vinhos', 'Estrada da saede n. 58', 'Lisboa', NULL, '1756', 'Portugal'),
+(11008, 'ERNSH', 7, '1998-04-08 00:00:00.000', '1998-05-06 00:00:00.000', NULL, 3, 79.46, 'Ernst Handel', 'Kirchgasse 6', 'Graz', NULL, '8010', 'Austria'),
+(11009, 'GODOS', 2, '1998-04-08 00:00:00.000', '1998-05-06 00:00:00.000', '1998-04-10 00:00:00.000', 1, 59.11, 'Godos Cocina Tepica', 'C/ Romero, 33', 'Sevilla', NULL, '41101', 'Spain'),
+(11010, 'REGGC', 2, '1998-04-09 00:00:00.000', '1998-05-07 00:00:00.000', '1998-04-21 00:00:00.000', 2, 28.71, 'Reggiani Caseifici', 'Strada Provinciale 124', 'Reggio Emilia', NULL, '42100', 'Italy'),
+(11011, 'ALFKI', 3, '1998-04-09 00:00:00.000', '1998-05-07 00:00:00.000', '1998-04-13 00:00:00.000', 1, 1.21, 'Alfred-s Futterkiste', 'Obere Str. 57', 'Berlin', NULL, '12209', 'Germany'),
+(11012, 'FRANK', 1, '1998-04-09 00:00:00.000', '1998-04-23 00:00:00.000', '1998-04-17 00:00:00.000', 3, 242.95, 'Frankenversand', 'Berliner Platz 43', 'Menchen', NULL, '80805', 'Germany'),
+(11013, 'ROMEY', 2, '1998-04-09 00:00:00.000', '1998-05-07 00:00:00.000', '1998-04-10 00:00:00.000', 1, 32.99, 'Romero y tomillo', 'Gran Vea, 1', 'Madrid', NULL, '28001', 'Spain'),
+(11014, 'LINOD', 2, '1998-04-10 00:00:00.000', '1998-05-08 00:00:00.000', '1998-04-15 00:00:00.000', 3, 23.6, 'LINO-Delicateses', 'Ave. 5 de Mayo Porlamar', 'I. de Margarita', 'Nueva Esparta', '4980', 'Venezuela'),
+(11015, 'SANTG', 2, '1998-04-10 00:00:00.000', '1998-04-24 00:00:00.000', '1998-04-20 00:00:00.000', 2, 4.62, 'Sante Gourmet', 'Erling Skakkes gate 78', 'Stavern', NULL, '4110', 'Norway'),
+(11016, 'AROUT', 9, '1998-04-10 00:00:00.000', '1998-05-08 00:00:00.000', '1998-04-13 00:00:00.000', 2, 33.8, 'Around the Horn', 'Brook Farm Stratford St. Mary', 'Colchester', 'Essex', 'CO7 6JX', 'UK'),
+(11017, 'ERNSH', 9, '1998-04-13 00:00:00.000', '1998-05-11 00:00:00.000', '1998-04-20 00:00:00.000', 2, 754.26, 'Ernst Handel', 'Kirchgasse 6', 'Graz', NULL, '8010', 'Austria'),
+(11018, 'LONEP', 4, '1998-04-13 00:00:00.000', '1998-05-11 00:00:00.000', '1998-04-16 00:00:00.000', 2, 11.65, 'Lonesome Pine Restaurant', '89 Chiaroscuro Rd.', 'Portland', 'OR', '97219', 'USA'),
+(11019, 'RANCH', 6, '1998-04-13 00:00:00.000', '1998-05-11 00:00:00.000', NULL, 3, 3.17, 'Rancho grande', 'Av. del Libertador 900', 'Buenos Aires', NULL, '1010', 'Argentina'),
+(11020, 'OTTIK', 2, '1998-04-14 00:00:00.000', '1998-05-12 00:00:00.000', '1998-04-16 00:00:00.000', 2, 43.3, 'Ottilies Keseladen', 'Mehrheimerstr. 369', 'Keln', NULL, '50739', 'Germany'),
+(11021, 'QUICK', 3, '1998-04-14 00:00:00.000', '1998-05-12 00:00:00.000', '1998-04-21 00:00:00.000', 1, 297.18, 'QUICK-Stop', 'Taucherstraee 10', 'Cunewalde', NULL, '1307', 'Germany'),
+(11022, 'HANAR', 9, '1998-04-14 00:00:00.000', '1998-05-12 00:00:00.000', '1998-05-04 00:00:00.000', 2, 6.27, 'Hanari Carnes', 'Rua do Paeo, 67', 'Rio de Janeiro', 'RJ', '05454-876', 'Brazil'),
+(11023, 'BSBEV', 1, '1998-04-14 00:00:00.000', '1998-04-28 00:00:00.000', '1998-04-24 00:00:00.000', 2, 123.83, 'B-s Beverages', 'Fauntleroy Circus', 'London', NULL, 'EC2 5NT', 'UK'),
+(11024, 'EASTC', 4, '1998-04-15 00:00:00.000', '1998-05-13 00:00:00.000', '1998-04-20 00:00:00.000', 1, 74.36, 'Eastern Connection', '35 King George', 'London', NULL, 'WX3 6FW', 'UK'),
+(11025, 'WARTH', 6, '1998-04-15 00:00:00.000', '1998-05-13 00:00:00.000', '1998-04-24 00:00:00.000', 3, 29.17, 'Wartian Herkku', 'Torikatu 38', 'Oulu', NULL, '90110', 'Finland'),
+(11026, 'FRANS', 4, '1998-04-15 00:00:00.000', '1998-05-13 00:00:00.000', '1998-04-28 00:00:00.000', 1, 47.09, 'Franchi S.p.A.', 'Via Monte Bianco 34', 'Torino', NULL, '10100', 'Italy'),
+(11027, 'BOTTM', 1, '1998-04-16 00:00:00.000', '1998-05-14 00:00:00.000', '1998-04-20 00:00:00.000', 1, 52.52, 'Bottom-Dollar Markets', '23 Tsawassen Blvd.', 'Tsawassen', 'BC', 'T2F 8M4', 'Canada'),
+(11028, 'KOENE', 2, '1998-04-16 00:00:00.000', '1998-05-14 00:00:00.000', '1998-04-22 00:00:00.000', 1, 29.59, 'Keniglich Essen', 'Maubelstr. 90', 'Brandenburg', NULL, '14776', 'Germany'),
+(11029, 'CHOPS', 4, '1998-04-16 00:00:00.000', '1998-05-14 00:00:00.000', '1998-04-27 00:00:00.000', 1, 47.84, 'Chop-suey Chinese', 'Hauptstr. 31', 'Bern', NULL, '3012', 'Switzerland'),
+(11030, 'SAVEA', 7, '1998-04-17 00:00:00.000', '1998-05-15 00:00:00.000', '1998-04-27 00:00:00.000', 2, 830.75, 'Save-a-lot Markets', '187 Suffolk Ln.', 'Boise', 'ID', '83720', 'USA'),
+(11031, 'SAVEA', 6, '1998-04-17 00:00:00.000', '1998-05-15 00:00:00.000', '1998-04-24 00:00:00.000', 2, 227.22, 'Save-a-lot Markets', '187 Suffolk Ln.', 'Boise', 'ID', '83720', 'USA'),
+(11032, 'WHITC', 2, '1998-04-17 00:00:00.000', '1998-05-15 00:00:00.000', '1998-04-23 00:00:00.000', 3, 606.19, 'White Clover Markets', '1029 - 12th Ave. S.', 'Seattle', 'WA', '98124', 'USA'),
+(11033, 'RICSU', 7, '1998-04-17 00:00:00.000', '1998-05-15 00:00:00.000', '1998-04-23 00:00:00.000', 3, 84.74, 'Richter Supermarkt', 'Starenweg 5', 'Geneve', NULL, '1204', 'Switzerland'),
+(11034, 'OLDWO', 8, '1998-04-20 00:00:00.000', '1998-06-01 00:00:00.000', '1998-04-27 00:00:00.000', 1, 40.32, 'Old World Delicatessen', '2743 Bering St.', 'Anchorage', 'AK', '99508', 'USA'),
+(11035, 'SUPRD', 2, '1998-04-20 00:00:00.000', '1998-05-18 00:00:00.000', '1998-04-24 00:00:00.000', 2, 0.17, 'Supremes delices', 'Boulevard Tirou, 255', 'Charleroi', NULL, 'B-6000', 'Belgium'),
+(11036, 'DRACD', 8, '1998-04-20 00:00:00.000', '1998-05-18 00:00:00.000', '1998-04-22 00:00:00.000', 3, 149.47, 'Drachenblut Delikatessen', 'Walserweg 21', 'Aachen', NULL, '52066', 'Germany'),
+(11037, 'GODOS', 7, '1998-04-21 00:00:00.000', '1998-05-19 00:00:00.000', '1998-04-27 00:00:00.000', 1, 3.2, 'Godos Cocina Tepica', 'C/ Romero, 33', 'Sevilla', NULL, '41101', 'Spain'),
+(11038, 'SUPRD', 1, '1998-04-21 00:00:00.000', '1998-05-19 00:00:00.000', '1998-04-30 00:00:00.000', 2, 29.59, 'Supremes delices', 'Boulevard Tirou, 255', 'Charleroi', NULL, 'B-6000', 'Belgium'),
+(11039, 'LINOD', 1, '1998-04-21 00:00:00.000', '1998-05-19 00:00:00.000', NULL, 2, 65, 'LINO-Delicateses', 'Ave. 5 de Mayo Porlamar', 'I. de Margarita', 'Nueva Esparta', '4980', 'Venezuela'),
+(11040, 'GREAL', 4, '1998-04-22 00:00:00.000', '1998-05-20 00:00:00.000', NULL, 3, 18.84, 'Great Lakes Food Market', '2732 Baker Blvd.', 'Eugene', 'OR', '97403', 'USA'),
+(11041, 'CHOPS', 3, '1998-04-22 00:00:00.000', '1998-05-20 00:00:00.000', '1998-04-28 00:00:00.000', 2, 48.22, 'Chop-suey Chinese', 'Hauptstr. 31', 'Bern', NULL, '3012', 'Switzerland'),
+(11042, 'COMMI', 2, '1998-04-22 00:00:00.000', '1998-05-06 00:00:00.000', '1998-05-01 00:00:00.000', 1, 29.99, 'Comercio Mineiro', 'Av. dos Luseadas, 23', 'Sao Paulo', 'SP', '05432-043', 'Brazil'),
+(11043, 'SPECD', 5, '1998-04-22 00:00:00.000', '1998-05-20 00:00:00.000', '1998-04-29 00:00:00.000', 2, 8.8, 'Specialites du monde', '25, rue Lauriston', 'Paris', NULL, '75016', 'France'),
+(11044, 'WOLZA', 4, '1998-04-23 00:00:00.000', '1998-05-21 00:00:00.000', '1998-05-01 00:00:00.000', 1, 8.72, 'Wolski Zajazd', 'ul. Filtrowa 68', 'Warszawa', NULL, '01-012', 'Poland'),
+(11045, 'BOTTM', 6, '1998-04-23 00:00:00.000', '1998-05-21 00:00:00.000', NULL, 2, 70.58, 'Bottom-Dollar Markets', '23 Tsawassen Blvd.', 'Tsawassen', 'BC', 'T2F 8M4', 'Canada'),
+(11046, 'WANDK', 8, '1998-04-23 00:00:00.000', '1998-05-21 00:00:00.000', '1998-04-24 00:00:00.000', 2, 71.64, 'Die Wandernde Kuh', 'Adenauerallee 900', 'Stuttgart', NULL, '70563', 'Germany'),
+(11047, 'EASTC', 7, '1998-04-24 00:00:00.000', '1998-05-22 00:00:00.000', '1998-05-01 00:00:00.000', 3, 46.62, 'Eastern Connection', '35 King George', 'London', NULL, 'WX3 6FW', 'UK'),
+(11048, 'BOTTM', 7, '1998-04-24 00:00:00.000', '1998-05-22 00:00:00.000', '1998-04-30 00:00:00.000', 3, 24.12, 'Bottom-Dollar Markets', '23 Tsawassen Blvd.', 'Tsawassen', 'BC', 'T2F 8M4', 'Canada'),
+(11049, 'GOURL', 3, '1998-04-24 00:00:00.000', '1998-05-22 00:00:00.000', '1998-05-04 00:00:00.000', 1, 8.34, 'Gourmet Lanchonetes', 'Av. Brasil, 442', 'Campinas', 'SP', '04876-786', 'Brazil'),
+(11050, 'FOLKO', 8, '1998-04-27 00:00:00.000', '1998-05-25 00:00:00.000', '1998-05-05 00:00:00.000', 2, 59.41, 'Folk och fe HB', 'ekergatan 24', 'Brecke', NULL, 'S-844 67', 'Sweden'),
+(11051, 'LAMAI', 7, '1998-04-27 00:00:00.000', '1998-05-25 00:00:00.000', NULL, 3, 2.79, 'La maison d-Asie', '1 rue Alsace-Lorraine', 'Toulouse', NULL, '31000', 'France'),
+(11052, 'HANAR', 3, '1998-04-27 00:00:00.000', '1998-05-25 00:00:00.000', '1998-05-01 00:00:00.000', 1, 67.26, 'Hanari Carnes', 'Rua do Paeo, 67', 'Rio de Janeiro', 'RJ', '05454-876', 'Brazil'),
+(11053, 'PICCO', 2, '1998-04-27 00:00:00.000', '1998-05-25 00:00:00.000', '1998-04-29 00:00:00.000', 2, 53.05, 'Piccolo und mehr', 'Geislweg 14', 'Salzburg', NULL, '5020', 'Austria'),
+(11054, 'CACTU', 8, '1998-04-28 00:00:00.000', '1998-05-26 00:00:00.000', NULL, 1, 0.33, 'Cactus Comidas para llevar', 'Cerrito 333', 'Buenos Aires', NULL, '1010', 'Argentina'),
+(11055, 'HILAA', 7, '1998-04-28 00:00:00.000', '1998-05-26 00:00:00.000', '1998-05-05 00:00:00.000', 2, 120.92, 'HILARION-Abastos', 'Carrera 22 con Ave. Carlos Soublette #8-35', 'San Cristebal', 'Techira', '5022', 'Venezuela'),
+(11056, 'EASTC', 8, '1998-04-28 00:00:00.000', '1998-05-12 00:00:00.000', '1998-05-01 00:00:00.000', 2, 278.96, 'Eastern Connection', '35 King George', 'London', NULL, 'WX3 6FW', 'UK'),
+(11057, 'NORTS', 3, '1998-04-29 00:00:00.000', '1998-05-27 00:00:00.000', '1998-05-01 00:00:00.000', 3, 4.13, 'North/South', 'South House 300 Queensbridge', 'London', NULL, 'SW7 1RZ', 'UK'),
+(11058, 'BLAUS', 9, '1998-04-29 00:00:00.000', '1998-05-27 00:00:00.000', NULL, 3, 31.14, 'Blauer See Delikatessen', 'Forsterstr. 57', 'Mannheim', NULL, '68306', 'Germany'),
+(11059, 'RICAR', 2, '1998-04-29 00:00:00.000', '1998-06-10 00:00:00.000', NULL, 2, 85.8, 'Ricardo Adocicados', 'Av. Copacabana, 267', 'Rio de Janeiro', 'RJ', '02389-890', 'Brazil'),
+(11060, 'FRANS', 2, '1998-04-30 00:00:00.000', '1998-05-28 00:00:00.000', '1998-05-04 00:00:00.000', 2, 10.98, 'Franchi S.p.A.', 'Via Monte Bianco 34', 'Torino', NULL, '10100', 'Italy'),
+(11061, 'GREAL', 4, '1998-04-30 00:00:00.000', '1998-06-11 00:00:00.000', NULL, 3, 14.01, 'Great Lakes Food Market', '2732 Baker Blvd.', 'Eugene', 'OR', '97403', 'USA'),
+(11062, 'REGGC', 4, '1998-04-30 00:00:00.000', '1998-05-28 00:00:00.000', NULL, 2, 29.93, 'Reggiani Caseifici', 'Strada Provinciale 124', 'Reggio Emilia', NULL, '42100', 'Italy'),
+(11063, 'HUNGO', 3, '1998-04-30 00:00:00.000', '1998-05-28 00:00:00.000', '1998-05-06 00:00:00.000', 2, 81.73, 'Hungry Owl All-Night Grocers', '8 Johnstown Road', 'Cork', 'Co. Cork', NULL, 'Ireland'),
+(11064, 'SAVEA', 1, '1998-05-01 00:00:00.000', '1998-05-29 00:00:00.000', '1998-05-04 00:00:00.000', 1, 30.09, 'Save-a-lot Markets', '187 Suffolk Ln.', 'Boise', 'ID', '83720', 'USA'),
+(11065, 'LILAS', 8, '1998-05-01 00:00:00.000', '1998-05-29 00:00:00.000', NULL, 1, 12.91, 'LILA-Supermercado', 'Carrera 52 con Ave. Bolevar #65-98 Llano Largo', 'Barquisimeto', 'Lara', '3508', 'Venezuela'),
+(11066, 'WHITC', 7, '1998-05-01 00:00:00.000', '1998-05-29 00:00:00.000', '1998-05-04 00:00:00.000', 2, 44.72, 'White Clover Markets', '1029 - 12th Ave. S.', 'Seattle', 'WA', '98124', 'USA'),
+(11067, 'DRACD', 1, '1998-05-04 00:00:00.000', '1998-05-18 00:00:00.000', '1998-05-06 00:00:00.000', 2, 7.98, 'Drachenblut Delikatessen', 'Walserweg 21', 'Aachen', NULL, '52066', 'Germany'),
+(11068, 'QUEEN', 8, '1998-05-04 00:00:00.000', '1998-06-01 00:00:00.000', NULL, 2, 81.75, 'Queen Cozinha', 'Alameda dos Canerios, 891', 'Sao Paulo', 'SP', '05487-020', 'Brazil'),
+(11069, 'TORTU', 1, '1998-05-04 00:00:00.000', '1998-06-01 00:00:00.000', '1998-05-06 00:00:00.000', 2, 15.67, 'Tortuga Restaurante', 'Avda. Azteca 123', 'Mexico D.F.', NULL, '5033', 'Mexico'),
+(11070, 'LEHMS', 2, '1998-05-05 00:00:00.000', '1998-06-02 00:00:00.000', NULL, 1, 136, 'Lehmanns Marktstand', 'Magazinweg 7', 'Frankfurt a.M.', NULL, '60528', 'Germany'),
+(11071, 'LILAS', 1, '1998-05-05 00:00:00.000', '1998-06-02 00:00:00.000', NULL, 1, 0.93, 'LILA-Supermercado', 'Carrera 52 con Ave. Bolevar #65-98 Llano Largo', 'Barquisimeto', 'Lara', '3508', 'Venezuela'),
+(11072, 'ERNSH', 4, '1998-05-05 00:00:00.000', '1998-06-02 00:00:00.000', NULL, 2, 258.64, 'Ernst Handel', 'Kirchgasse 6', 'Graz', NULL, '8010', 'Austria'),
+(11073, 'PERIC', 2, '1998-05-05 00:00:00.000', '1998-06-02 00:00:00.000', NULL, 2, 24.95, 'Pericles Comidas clesicas', 'Calle Dr. Jorge Cash 321', 'Mexico D.F.', NULL, '5033', 'Mexico'),
+(11074, 'SIMOB', 7, '1998-05-06 00:00:00.000', '1998-06-03 00:00:00.000', NULL, 2, 18.44, 'Simons bistro', 'Vinbeltet 34', 'Kobenhavn', NULL, '1734', 'Denmark'),
+(11075, 'RICSU', 8, '1998-05-06 00:00:00.000', '1998-06-03 00:00:00.000', NULL, 2, 6.19, 'Richter Supermarkt', 'Starenweg 5', 'Geneve', NULL, '1204', 'Switzerland'),
+(11076, 'BONAP', 4, '1998-05-06 00:00:00.000', '1998-06-03 00:00:00.000', NULL, 2, 38.28, 'Bon app-', '12, rue des Bouchers', 'Marseille', NULL, '13008', 'France'),
+(11077, 'RATTC', 1, '1998-05-06 00:00:00.000', '1998-06-03 00:00:00.000', NULL, 2, 8.53, 'Rattlesnake Canyon Grocery', '2817 Milton Dr.', 'Albuquerque', 'NM', '87110', 'USA');
+
+CREATE TABLE "Products" (
+    "ProductID" INTEGER GENERATED BY DEFAULT AS IDENTITY (START WITH 78) NOT NULL PRIMARY KEY,
+    "ProductName" VARCHAR(200) NOT NULL,
+    "SupplierID" INTEGER,
+    "CategoryID" INTEGER,
+    "QuantityPerUnit" VARCHAR(200),
+    "UnitPrice" NUMERIC(10, 0) DEFAULT 0,
+    "UnitsInStock" INTEGER DEFAULT 0,
+    "UnitsOnOrder" INTEGER DEFAULT 0,
+    "ReorderLevel" INTEGER DEFAULT 0,
+    "Discontinued" VARCHAR(200) DEFAULT '0' NOT NULL,
+    CHECK ("UnitPrice">=(0)),
+    CHECK ("ReorderLevel">=(0)),
+    CHECK ("UnitsInStock">=(0)),
+    CHECK ("UnitsOnOrder">=(0))
+);
+
+INSERT INTO "Products" ("ProductID", "ProductName", "SupplierID", "CategoryID", "QuantityPerUnit", "UnitPrice", "UnitsInStock", "UnitsOnOrder", "ReorderLevel", "Discontinued") VALUES
+(1, 'Chai', 1, 1, '10 boxes x 20 bags', 18, 39, 0, 10, '0'),
+(2, 'Chang', 1, 1, '24 - 12 oz bottles', 19, 17, 40, 25, '0'),
+(3, 'Aniseed Syrup', 1, 2, '12 - 550 ml bottles', 10, 13, 70, 25, '0'),
+(4, 'Chef Anton''s Cajun Seasoning', 2, 2, '48 - 6 oz jars', 22, 53, 0, 0, '0'),
+(5, 'Chef Anton''s Gumbo Mix', 2, 2, '36 boxes', 21.35, 0, 0, 0, '1'),
+(6, 'Grandma''s Boysenberry Spread', 3, 2, '12 - 8 oz jars', 25, 120, 0, 25, '0'),
+(7, 'Uncle Bob''s Organic Dried Pears', 3, 7, '12 - 1 lb pkgs.', 30, 15, 0, 10, '0'),
+(8, 'Northwoods Cranberry Sauce', 3, 2, '12 - 12 oz jars', 40, 6, 0, 0, '0'),
+(9, 'Mishi Kobe Niku', 4, 6, '18 - 500 g pkgs.', 97, 29, 0, 0, '1'),
+(10, 'Ikura', 4, 8, '12 - 200 ml jars', 31, 31, 0, 0, '0'),
+(11, 'Queso Cabrales', 5, 4, '1 kg pkg.', 21, 22, 30, 30, '0'),
+(12, 'Queso Manchego La Pastora', 5, 4, '10 - 500 g pkgs.', 38, 86, 0, 0, '0'),
+(13, 'Konbu', 6, 8, '2 kg box', 6, 24, 0, 5, '0'),
+(14, 'Tofu', 6, 7, '40 - 100 g pkgs.', 23.25, 35, 0, 0, '0'),
+(15, 'Genen Shouyu', 6, 2, '24 - 250 ml bottles', 15.5, 39, 0, 5, '0'),
+(16, 'Pavlova', 7, 3, '32 - 500 g boxes', 17.45, 29, 0, 10, '0'),
+(17, 'Alice Mutton', 7, 6, '20 - 1 kg tins', 39, 0, 0, 0, '1'),
+(18, 'Carnarvon Tigers', 7, 8, '16 kg pkg.', 62.5, 42, 0, 0, '0'),
+(19, 'Teatime Chocolate Biscuits', 8, 3, '10 boxes x 12 pieces', 9.2, 25, 0, 5, '0'),
+(20, 'Sir Rodney''s Marmalade', 8, 3, '30 gift boxes', 81, 40, 0, 0, '0'),
+(21, 'Sir Rodney''s Scones', 8, 3, '24 pkgs. x 4 pieces', 10, 3, 40, 5, '0'),
+(22, 'Gustaf''s Kneckebred', 9, 5, '24 - 500 g pkgs.', 21, 104, 0, 25, '0'),
+(23, 'Tunnbred', 9, 5, '12 - 250 g pkgs.', 9, 61, 0, 25, '0'),
+(24, 'Guarane Fantestica', 10, 1, '12 - 355 ml cans', 4.5, 20, 0, 0, '1'),
+(25, 'NuNuCa Nue-Nougat-Creme', 11, 3, '20 - 450 g glasses', 14, 76, 0, 30, '0'),
+(26, 'Gumber Gummiberchen', 11, 3, '100 - 250 g bags', 31.23, 15, 0, 0, '0'),
+(27, 'Schoggi Schokolade', 11, 3, '100 - 100 g pieces', 43.9, 49, 0, 30, '0'),
+(28, 'Ressle Sauerkraut', 12, 7, '25 - 825 g cans', 45.6, 26, 0, 0, '1'),
+(29, 'Theringer Rostbratwurst', 12, 6, '50 bags x 30 sausgs.', 123.79, 0, 0, 0, '1'),
+(30, 'Nord-Ost Matjeshering', 13, 8, '10 - 200 g glasses', 25.89, 10, 0, 15, '0'),
+(31, 'Gorgonzola Telino', 14, 4, '12 - 100 g pkgs', 12.5, 0, 70, 20, '0'),
+(32, 'Mascarpone Fabioli', 14, 4, '24 - 200 g pkgs.', 32, 9, 40, 25, '0'),
+(33, 'Geitost', 15, 4, '500 g', 2.5, 112, 0, 20, '0'),
+(34, 'Sasquatch Ale', 16, 1, '24 - 12 oz bottles', 14, 111, 0, 15, '0'),
+(35, 'Steeleye Stout', 16, 1, '24 - 12 oz bottles', 18, 20, 0, 15, '0'),
+(36, 'Inlagd Sill', 17, 8, '24 - 250 g  jars', 19, 112, 0, 20, '0'),
+(37, 'Gravad lax', 17, 8, '12 - 500 g pkgs.', 26, 11, 50, 25, '0'),
+(38, 'Cete de Blaye', 18, 1, '12 - 75 cl bottles', 263.5, 17, 0, 15, '0'),
+(39, 'Chartreuse verte', 18, 1, '750 cc per bottle', 18, 69, 0, 5, '0'),
+(40, 'Boston Crab Meat', 19, 8, '24 - 4 oz tins', 18.4, 123, 0, 30, '0'),
+(41, 'Jack''s New England Clam Chowder', 19, 8, '12 - 12 oz cans', 9.65, 85, 0, 10, '0'),
+(42, 'Singaporean Hokkien Fried Mee', 20, 5, '32 - 1 kg pkgs.', 14, 26, 0, 0, '1'),
+(43, 'Ipoh Coffee', 20, 1, '16 - 500 g tins', 46, 17, 10, 25, '0'),
+(44, 'Gula Malacca', 20, 2, '20 - 2 kg bags', 19.45, 27, 0, 15, '0'),
+(45, 'Rogede sild', 21, 8, '1k pkg.', 9.5, 5, 70, 15, '0'),
+(46, 'Spegesild', 21, 8, '4 - 450 g glasses', 12, 95, 0, 0, '0'),
+(47, 'Zaanse koeken', 22, 3, '10 - 4 oz boxes', 9.5, 36, 0, 0, '0'),
+(48, 'Chocolade', 22, 3, '10 pkgs.', 12.75, 15, 70, 25, '0'),
+(49, 'Maxilaku', 23, 3, '24 - 50 g pkgs.', 20, 10, 60, 15, '0'),
+(50, 'Valkoinen suklaa', 23, 3, '12 - 100 g bars', 16.25, 65, 0, 30, '0'),
+(51, 'Manjimup Dried Apples', 24, 7, '50 - 300 g pkgs.', 53, 20, 0, 10, '0'),
+(52, 'Filo Mix', 24, 5, '16 - 2 kg boxes', 7, 38, 0, 25, '0'),
+(53, 'Perth Pasties', 24, 6, '48 pieces', 32.8, 0, 0, 0, '1'),
+(54, 'Tourtiere', 25, 6, '16 pies', 7.45, 21, 0, 10, '0'),
+(55, 'Pete chinois', 25, 6, '24 boxes x 2 pies', 24, 115, 0, 20, '0'),
+(56, 'Gnocchi di nonna Alice', 26, 5, '24 - 250 g pkgs.', 38, 21, 10, 30, '0'),
+(57, 'Ravioli Angelo', 26, 5, '24 - 250 g pkgs.', 19.5, 36, 0, 20, '0'),
+(58, 'Escargots de Bourgogne', 27, 8, '24 pieces', 13.25, 62, 0, 20, '0'),
+(59, 'Raclette Courdavault', 28, 4, '5 kg pkg.', 55, 79, 0, 0, '0'),
+(60, 'Camembert Pierrot', 28, 4, '15 - 300 g rounds', 34, 19, 0, 0, '0'),
+(61, 'Sirop d''erable', 29, 2, '24 - 500 ml bottles', 28.5, 113, 0, 25, '0'),
+(62, 'Tarte au sucre', 29, 3, '48 pies', 49.3, 17, 0, 0, '0'),
+(63, 'Vegie-spread', 7, 2, '15 - 625 g jars', 43.9, 24, 0, 5, '0'),
+(64, 'Wimmers gute Semmelknedel', 12, 5, '20 bags x 4 pieces', 33.25, 22, 80, 30, '0'),
+(65, 'Louisiana Fiery Hot Pepper Sauce', 2, 2, '32 - 8 oz bottles', 21.05, 76, 0, 0, '0'),
+(66, 'Louisiana Hot Spiced Okra', 2, 2, '24 - 8 oz jars', 17, 4, 100, 20, '0'),
+(67, 'Laughing Lumberjack Lager', 16, 1, '24 - 12 oz bottles', 14, 52, 0, 10, '0'),
+(68, 'Scottish Longbreads', 8, 3, '10 boxes x 8 pieces', 12.5, 6, 10, 15, '0'),
+(69, 'Gudbrandsdalsost', 15, 4, '10 kg pkg.', 36, 26, 0, 15, '0'),
+(70, 'Outback Lager', 7, 1, '24 - 355 ml bottles', 15, 15, 10, 30, '0'),
+(71, 'Flotemysost', 15, 4, '10 - 500 g pkgs.', 21.5, 26, 0, 0, '0'),
+(72, 'Mozzarella di Giovanni', 14, 4, '24 - 200 g pkgs.', 34.8, 14, 0, 0, '0'),
+(73, 'Red Kaviar', 17, 8, '24 - 150 g jars', 15, 101, 0, 5, '0'),
+(74, 'Longlife Tofu', 4, 7, '5 kg pkg.', 10, 4, 20, 5, '0'),
+(75, 'Rhenbreu Klosterbier', 12, 1, '24 - 0.5 l bottles', 7.75, 125, 0, 25, '0'),
+(76, 'Lakkalikeeri', 23, 1, '500 ml', 18, 57, 0, 20, '0'),
+(77, 'Original Frankfurter grene Soee', 12, 2, '12 boxes', 13, 32, 0, 15, '0');
+
+CREATE TABLE "Regions" (
+    "RegionID" INTEGER NOT NULL PRIMARY KEY,
+    "RegionDescription" TEXT NOT NULL
+);
+
+INSERT INTO "Regions" ("RegionID", "RegionDescription") VALUES
+(1, 'Eastern                                           '),
+(2, 'Westerns                                           '),
+(3, 'Northern                                          '),
+(4, 'Southern                                          ');
+
+CREATE TABLE "Shippers" (
+    "ShipperID" INTEGER GENERATED BY DEFAULT AS IDENTITY (START WITH 4) NOT NULL PRIMARY KEY,
+    "CompanyName" TEXT NOT NULL,
+    "Phone" TEXT
+);
+
+INSERT INTO "Shippers" ("ShipperID", "CompanyName", "Phone") VALUES
+(1, 'Speedy Express', '(503) 555-9831'),
+(2, 'United Package', '(503) 555-3199'),
+(3, 'Federal Shipping', '(503) 555-9931');
+
+CREATE TABLE "Suppliers" (
+    "SupplierID" INTEGER GENERATED BY DEFAULT AS IDENTITY (START WITH 30) NOT NULL PRIMARY KEY,
+    "CompanyName" VARCHAR(200) NOT NULL,
+    "ContactName" VARCHAR(200),
+    "ContactTitle" VARCHAR(200),
+    "Address" VARCHAR(200),
+    "City" VARCHAR(200),
+    "Region" VARCHAR(200),
+    "PostalCode" VARCHAR(200),
+    "Country" VARCHAR(200),
+    "Phone" VARCHAR(200),
+    "Fax" VARCHAR(200),
+    "HomePage" VARCHAR(200)
+);
+
+INSERT INTO "Suppliers" ("SupplierID", "CompanyName", "ContactName", "ContactTitle", "Address", "City", "Region", "PostalCode", "Country", "Phone", "Fax", "HomePage") VALUES
+(1, 'Exotic Liquids', 'Charlotte Cooper', 'Purchasing Manager', '49 Gilbert St.', 'London', NULL, 'EC1 4SD', 'UK', '(171) 555-2222', NULL, NULL),
+(2, 'New Orleans Cajun Delights', 'Shelley Burke', 'Order Administrator', 'P.O. Box 78934', 'New Orleans', 'LA', '70117', 'USA', '(100) 555-4822', NULL, '#CAJUN.HTM#'),
+(3, 'Grandma Kelly''s Homestead', 'Regina Murphy', 'Sales Representative', '707 Oxford Rd.', 'Ann Arbor', 'MI', '48104', 'USA', '(313) 555-5735', '(313) 555-3349', NULL),
+(4, 'Tokyo Traders', 'Yoshi Nagase', 'Marketing Manager', '9-8 Sekimai
+Musashino-shi', 'Tokyo', NULL, '100', 'Japan', '(03) 3555-5011', NULL, NULL),
+(5, 'Cooperativa de Quesos ''Las Cabras''', 'Antonio del Valle Saavedra ', 'Export Administrator', 'Calle del Rosal 4', 'Oviedo', 'Asturias', '33007', 'Spain', '(98) 598 76 54', NULL, NULL),
+(6, 'Mayumi''s', 'Mayumi Ohno', 'Marketing Representative', '92 Setsuko
+Chuo-ku', 'Osaka', NULL, '545', 'Japan', '(06) 431-7877', NULL, 'Mayumi''s (on the World Wide Web)#http://www.microsoft.com/accessdev/sampleapps/mayumi.htm#'),
+(7, 'Pavlova, Ltd.', 'Ian Devling', 'Marketing Manager', '74 Rose St.
+Moonie Ponds', 'Melbourne', 'Victoria', '3058', 'Australia', '(03) 444-2343', '(03) 444-6588', NULL),
+(8, 'Specialty Biscuits, Ltd.', 'Peter Wilson', 'Sales Representative', '29 King''s Way', 'Manchester', NULL, 'M14 GSD', 'UK', '(161) 555-4448', NULL, NULL),
+(9, 'PB Kneckebred AB', 'Lars Peterson', 'Sales Agent', 'Kaloadagatan 13', 'Geteborg', NULL, 'S-345 67', 'Sweden ', '031-987 65 43', '031-987 65 91', NULL),
+(10, 'Refrescos Americanas LTDA', 'Carlos Diaz', 'Marketing Manager', 'Av. das Americanas 12.890', 'Seo Paulo', NULL, '5442', 'Brazil', '(11) 555 4640', NULL, NULL),
+(11, 'Heli Seewaren GmbH & Co. KG', 'Petra Winkler', 'Sales Manager', 'Tiergartenstraee 5', 'Berlin', NULL, '10785', 'Germany', '(010) 9984510', NULL, NULL),
+(12, 'Plutzer Lebensmittelgroemerkte AG', 'Martin Bein', 'International Marketing Mgr.', 'Bogenallee 51', 'Frankfurt', NULL, '60439', 'Germany', '(069) 992755', NULL, 'Plutzer (on the World Wide Web)#http://www.microsoft.com/accessdev/sampleapps/plutzer.htm#'),
+(13, 'Nord-Ost-Fisch Handelsgesellschaft mbH', 'Sven Petersen', 'Coordinator Foreign Markets', 'Frahmredder 112a', 'Cuxhaven', NULL, '27478', 'Germany', '(04721) 8713', '(04721) 8714', NULL),
+(14, 'Formaggi Fortini s.r.l.', 'Elio Rossi', 'Sales Representative', 'Viale Dante, 75', 'Ravenna', NULL, '48100', 'Italy', '(0544) 60323', '(0544) 60603', '#FORMAGGI.HTM#'),
+(15, 'Norske Meierier', 'Beate Vileid', 'Marketing Manager', 'Hatlevegen 5', 'Sandvika', NULL, '1320', 'Norway', '(0)2-953010', NULL, NULL),
+(16, 'Bigfoot Breweries', 'Cheryl Saylor', 'Regional Account Rep.', '3400 - 8th Avenue
+Suite 210', 'Bend', 'OR', '97101', 'USA', '(503) 555-9931', NULL, NULL),
+(17, 'Svensk Sjefeda AB', 'Michael Bjern', 'Sales Representative', 'Brovallavegen 231', 'Stockholm', NULL, 'S-123 45', 'Sweden', '08-123 45 67', NULL, NULL),
+(18, 'Aux joyeux ecclesiastiques', 'Guylene Nodier', 'Sales Manager', '203, Rue des Francs-Bourgeois', 'Paris', NULL, '75004', 'France', '(1) 03.83.00.68', '(1) 03.83.00.62', NULL),
+(19, 'New England Seafood Cannery', 'Robb Merchant', 'Wholesale Account Agent', 'Order Processing Dept.
+2100 Paul Revere Blvd.', 'Boston', 'MA', '02134', 'USA', '(617) 555-3267', '(617) 555-3389', NULL),
+(20, 'Leka Trading', 'Chandra Leka', 'Owner', '471 Serangoon Loop, Suite #402', 'Singapore', NULL, '0512', 'Singapore', '555-8787', NULL, NULL),
+(21, 'Lyngbysild', 'Niels Petersen', 'Sales Manager', 'Lyngbysild
+Fiskebakken 10', 'Lyngby', NULL, '2800', 'Denmark', '43844108', '43844115', NULL),
+(22, 'Zaanse Snoepfabriek', 'Dirk Luchte', 'Accounting Manager', 'Verkoop
+Rijnweg 22', 'Zaandam', NULL, '9999 ZZ', 'Netherlands', '(12345) 1212', '(12345) 1210', NULL),
+(23, 'Karkki Oy', 'Anne Heikkonen', 'Product Manager', 'Valtakatu 12', 'Lappeenranta', NULL, '53120', 'Finland', '(953) 10956', NULL, NULL),
+(24, 'G''day, Mate', 'Wendy Mackenzie', 'Sales Representative', '170 Prince Edward Parade
+Hunter''s Hill', 'Sydney', 'NSW', '2042', 'Australia', '(02) 555-5914', '(02) 555-4873', 'G''day Mate (on the World Wide Web)#http://www.microsoft.com/accessdev/sampleapps/gdaymate.htm#'),
+(25, 'Ma Maison', 'Jean-Guy Lauzon', 'Marketing Manager', '2960 Rue St. Laurent', 'Montreal', 'Quebec', 'H1J 1C3', 'Canada', '(514) 555-9022', NULL, NULL),
+(26, 'Pasta Buttini s.r.l.', 'Giovanni Giudici', 'Order Administrator', 'Via dei Gelsomini, 153', 'Salerno', NULL, '84100', 'Italy', '(089) 6547665', '(089) 6547667', NULL),
+(27, 'Escargots Nouveaux', 'Marie Delamare', 'Sales Manager', '22, rue H. Voiron', 'Montceau', NULL, '71300', 'France', '85.57.00.07', NULL, NULL),
+(28, 'Gai peturage', 'Eliane Noz', 'Sales Representative', 'Bat. B
+3, rue des Alpes', 'Annecy', NULL, '74000', 'France', '38.76.98.06', '38.76.98.58', NULL),
+(29, 'Forets d''erables', 'Chantal Goulet', 'Accounting Manager', '148 rue Chasseur', 'Ste-Hyacinthe', 'Quebec', 'J2S 7S8', 'Canada', '(514) 555-2955', '(514) 555-2921', NULL);
+
+CREATE TABLE "Territories" (
+    "TerritoryID" VARCHAR(200) NOT NULL,
+    "TerritoryDescription" VARCHAR(200) NOT NULL,
+    "RegionID" INTEGER NOT NULL,
+    PRIMARY KEY ("TerritoryID")
+);
+
+INSERT INTO "Territories" ("TerritoryID", "TerritoryDescription", "RegionID") VALUES
+('01581', 'Westboro                                          ', 1),
+('01730', 'Bedford                                           ', 1),
+('01833', 'Georgetow                                         ', 1),
+('02116', 'Boston                                            ', 1),
+('02139', 'Cambridge                                         ', 1),
+('02184', 'Braintree                                         ', 1),
+('02903', 'Providence                                        ', 1),
+('03049', 'Hollis                                            ', 3),
+('03801', 'Portsmouth                                        ', 3),
+('06897', 'Wilton                                            ', 1),
+('07960', 'Morristown                                        ', 1),
+('08837', 'Edison                                            ', 1),
+('10019', 'New York                                          ', 1),
+('10038', 'New York                                          ', 1),
+('11747', 'Mellvile                                          ', 1),
+('14450', 'Fairport                                          ', 1),
+('19428', 'Philadelphia                                      ', 3),
+('19713', 'Neward                                            ', 1),
+('20852', 'Rockville                                         ', 1),
+('27403', 'Greensboro                                        ', 1),
+('27511', 'Cary                                              ', 1),
+('29202', 'Columbia                                          ', 4),
+('30346', 'Atlanta                                           ', 4),
+('31406', 'Savannah                                          ', 4),
+('32859', 'Orlando                                           ', 4),
+('33607', 'Tampa                                             ', 4),
+('40222', 'Louisville                                        ', 1),
+('44122', 'Beachwood                                         ', 3),
+('45839', 'Findlay                                           ', 3),
+('48075', 'Southfield                                        ', 3),
+('48084', 'Troy                                              ', 3),
+('48304', 'Bloomfield Hills                                  ', 3),
+('53404', 'Racine                                            ', 3),
+('55113', 'Roseville                                         ', 3),
+('55439', 'Minneapolis                                       ', 3),
+('60179', 'Hoffman Estates                                   ', 2),
+('60601', 'Chicago                                           ', 2),
+('72716', 'Bentonville                                       ', 4),
+('75234', 'Dallas                                            ', 4),
+('78759', 'Austin                                            ', 4),
+('80202', 'Denver                                            ', 2),
+('80909', 'Colorado Springs                                  ', 2),
+('85014', 'Phoenix                                           ', 2),
+('85251', 'Scottsdale                                        ', 2),
+('90405', 'Santa Monica                                      ', 2),
+('94025', 'Menlo Park                                        ', 2),
+('94105', 'San Francisco                                     ', 2),
+('95008', 'Campbell                                          ', 2),
+('95054', 'Santa Clara                                       ', 2),
+('95060', 'Santa Cruz                                        ', 2),
+('98004', 'Bellevue                                          ', 2),
+('98052', 'Redmond                                           ', 2),
+('98104', 'Seattle                                           ', 2);
@@ -0,0 +1,168 @@
+'use strict';
+
+const ObjectId = require('mongodb').ObjectID;
+const createRandom = require('./seeded-random');
+
+exports = module.exports = generateAwesomeDb;
+exports.TARGET_INITIATIVE = '58af4da0b310d92314627290';
+
+const DEFAULTS = {seed: 'awesomedb', opportunities: 1000, initiatives: 5};
+const CLIENT = 'Kronos';
+const VENDORS = [
+    {name: 'ADP', value: 50},
+    {name: 'Kronos', value: 51},
+    {name: 'Ceridian', value: 52},
+    {name: 'Ultimate Software', value: 53},
+    {name: 'Workday', value: 54},
+    {name: 'Paychex', value: 55},
+    {name: 'Oracle', value: 56},
+    {name: 'SAP SuccessFactors', value: 57}
+];
+const CRITERIA = [
+    ['Implementation costs', 'This includes any up-front implementation costs paid to the solution vendor or any third party vendor.'],
+    ['Maintenance costs', 'This includes ongoing maintenance costs, license or software maintenance fees, etc.'],
+    ['Licensing or Subscription costs', ''],
+    ['Ease of use', 'How easy the solution is for the end users and the administrators.'],
+    ['Reporting and analytics', ''],
+    ['Mobile access', 'Access to the solution from phones and tablets.'],
+    ['Customer support', 'The quality and the speed of the support provided by the vendor.'],
+    ['Integration with other systems', ''],
+    ['Compliance features', 'Support of the local labor laws and regulations.'],
+    ['Scalability', ''],
+    ['Product roadmap', 'The direction the vendor develops the solution in.'],
+    ['Vendor reputation', '']
+];
+// the same scale is used by the cost (105) and the reasons (147) questions, values from 9000 are "no answer"
+const ANSWERS = {
+    1: 'More than 20% less than ' + CLIENT,
+    2: 'Between 10% and 20% less than ' + CLIENT,
+    3: 'Between 5% and 10% less than ' + CLIENT,
+    4: 'Between 1% and 5% less than ' + CLIENT,
+    5: 'About the same as ' + CLIENT,
+    6: 'Between 1% and 5% more than ' + CLIENT,
+    7: 'Between 5% and 10% more than ' + CLIENT,
+    8: 'Between 10% and 20% more than ' + CLIENT,
+    9: 'More than 20% more than ' + CLIENT,
+    9000: 'Don\'t know',
+    9001: 'Not applicable'
+};
+const FOCUS_CATEGORIES = [105, 147];
+const OTHER_CATEGORIES = [101, 110, 118, 123, 131, 140, 152, 160];
+
+/**
+ * Generates the awesomedb dataset of the optimization task: `opportunities` with nested contacts, questions,
+ * answers and loop instances, and the `clientCriteria` the task pipeline looks up.
+ * The same seed and options give the same documents, ObjectIds included, on every machine.
+ *
+ * The documents are deliberately wide: every contact has many questions and every answer has a loop instance
+ * per shortlisted vendor, so each $unwind of the unoptimized pipeline multiplies the documents.
+ *
+ * @param {object} [options]
+ * @param {number|string} [options.seed]
+ * @param {number} [options.opportunities] - the number of opportunities, the volume of the dataset
+ * @param {number} [options.initiatives] - the number of initiatives including the one of the task
+ * @return {array} [{name, documents}]
+ */
+function generateAwesomeDb(options) {
+    options = Object.assign({}, DEFAULTS, options);
+    let random = createRandom(options.seed);
+    let objectId = createObjectIds(random);
+
+    let initiatives = [new ObjectId(exports.TARGET_INITIATIVE)];
+    while (initiatives.length < options.initiatives) {
+        initiatives.push(objectId(Date.UTC(2017, 1, 1)));
+    }
+
+    let clientCriteria = CRITERIA.map((criteria, index) => ({
+        _id: objectId(Date.UTC(2017, 1, 20)),
+        value: index + 1,
+        label: criteria[0],
+        definition: criteria[1],
+        versions: initiatives.filter(() => random.next() < 0.85).map(initiativeId => {
+            let version = {initiativeId: initiativeId};
+            if (random.next() < 0.3) {
+                version.definition = `${criteria[0]} as defined for the initiative`;
+            }
+            return version;
+        })
+    }));
+
+    let opportunities = [];
+    for (let i = 0; i < options.opportunities; i++) {
+        let created = Date.UTC(2016, 0, 1) + random.int(0, 540) * 86400000;
+        opportunities.push({
+            _id: objectId(created),
+            // a third of the opportunities belong to the initiative of the task
+            initiativeId: random.next() < 1 / 3 ? initiatives[0] : random.pick(initiatives.slice(1)),
+            name: `Opportunity ${i + 1}`,
+            contacts: Array.from({length: random.int(1, 4)}, () => generateContact(random, objectId, created))
+        });
+    }
+
+    return [
+        {name: 'opportunities', documents: opportunities},
+        {name: 'clientCriteria', documents: clientCriteria}
+    ];
+}
+
+function generateContact(random, objectId, created) {
+    // the task is about ADP, so most of the shortlists have it
+    let candidates = random.next() < 0.75 ? [VENDORS[0]] : [];
+    let vendors = candidates.concat(random.sample(VENDORS.slice(1), random.int(2, 5))).map(vendor => ({
+        name: vendor.name,
+        value: vendor.value,
+        is_selected: random.next() < 0.7
+    }));
+    let winner = random.pick(vendors);
+    return {
+        id: objectId(created),
+        datePublished: random.next() < 0.8 ? new Date(created + random.int(1, 90) * 86400000) : null,
+        shortListedVendors: vendors,
+        win_vendor: {name: winner.name, value: winner.value, is_client: winner.name === CLIENT},
+        questions: Array.from({length: random.int(8, 20)}, () => generateQuestion(random, objectId, created, vendors))
+    };
+}
+
+function generateQuestion(random, objectId, created, vendors) {
+    let roll = random.next();
+    let category = roll < 0.45 ? random.pick(FOCUS_CATEGORIES) : random.pick(OTHER_CATEGORIES);
+    let criteriaValue = random.int(1, CRITERIA.length);
+    let question = {
+        id: objectId(created),
+        category_id: category,
+        label: CRITERIA[criteriaValue - 1][0],
+        raw_text: `How does the solution compare to ${CLIENT} in ${CRITERIA[criteriaValue - 1][0].toLowerCase()}?`
+    };
+    // the criteria is stored either in the question or in its answers
+    let inAnswers = random.next() < 0.3;
+    if (!inAnswers) {
+        question.criteria_value = criteriaValue;
+    }
+    question.answers = Array.from({length: random.int(1, 3)}, () => {
+        let value = random.next() < 0.85 ? random.int(1, 9) : random.pick([9000, 9001]);
+        let answer = {primary_answer_value: value, primary_answer_text: ANSWERS[value]};
+        if (inAnswers) {
+            answer.criteria_value = criteriaValue;
+        }
+        answer.loopInstances = vendors.map(vendor => ({
+            loop_instance: vendor.value,
+            loop_text: vendor.name,
+            is_selected: random.next() < 0.5
+        }));
+        return answer;
+    });
+    return question;
+}
+
+/**
+ * ObjectIds made of the given time and the seeded random bytes instead of the machine and the counter.
+ */
+function createObjectIds(random) {
+    return time => {
+        let hex = Math.floor(time / 1000).toString(16).padStart(8, '0');
+        for (let i = 0; i < 16; i++) {
+            hex += random.int(0, 15).toString(16);
+        }
+        return new ObjectId(hex);
+    };
+}
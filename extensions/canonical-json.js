@@ -0,0 +1,75 @@
+'use strict';
+
+exports = module.exports = canonicalize;
+
+/**
+ * Serializes a Mongo result to a string which is the same for the equal results only:
+ *  - the keys of the documents are sorted, the results of $project and $group have no defined key order;
+ *  - the BSON types are written with their type, i.e. {"$oid": "..."}, so ObjectId("5") is not the string "5"
+ *    and a Date is not its ISO string as they are after JSON.stringify;
+ *  - Int32, Long, Double and the JS numbers are written as numbers, MongoDB compares them by value,
+ *    -0 is 0 and NaN is written as NaN;
+ *  - undefined fields are omitted, the way they are absent from a BSON document.
+ *
+ * @param {*} value - a document, an array of documents or a value of a document
+ * @return {string}
+ */
+function canonicalize(value) {
+    if (value === undefined || value === null) {
+        return 'null';
+    }
+    if (Array.isArray(value)) {
+        return '[' + value.map(canonicalize).join(',') + ']';
+    }
+    if (typeof value === 'number') {
+        return formatNumber(value);
+    }
+    if (typeof value !== 'object') {
+        return JSON.stringify(value);
+    }
+    if (value instanceof Date) {
+        return tagged('$date', isNaN(value.getTime()) ? 'Invalid Date' : value.toISOString());
+    }
+    if (Buffer.isBuffer(value)) {
+        return tagged('$binary', value.toString('base64'));
+    }
+    switch (value._bsontype) {
+        case 'ObjectID':
+        case 'ObjectId':
+            return tagged('$oid', value.toHexString());
+        case 'Int32':
+        case 'Double':
+            return formatNumber(value.valueOf());
+        case 'Long':
+            return value.toString();
+        case 'Decimal128':
+            return tagged('$numberDecimal', value.toString());
+        case 'Binary':
+            return tagged('$binary', value.buffer.slice(0, value.position).toString('base64'));
+        case 'Timestamp':
+            return tagged('$timestamp', value.toString());
+        case 'BSONRegExp':
+            return tagged('$regex', `/${value.pattern}/${value.options}`);
+        case 'MinKey':
+        case 'MaxKey':
+            return tagged('$' + value._bsontype[0].toLowerCase() + value._bsontype.slice(1), 1);
+    }
+    if (value instanceof RegExp) {
+        return tagged('$regex', String(value));
+    }
+    return '{' + Object.keys(value).sort()
+        .filter(key => value[key] !== undefined)
+        .map(key => JSON.stringify(key) + ':' + canonicalize(value[key]))
+        .join(',') + '}';
+}
+
+function formatNumber(number) {
+    if (isNaN(number)) {
+        return 'NaN';
+    }
+    return Object.is(number, -0) ? '0' : String(number);
+}
+
+function tagged(type, text) {
+    return `{${JSON.stringify(type)}:${JSON.stringify(text)}}`;
+}
@@ -0,0 +1,201 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+
+exports = module.exports = assertColumns;
+exports.parseTaskColumns = parseTaskColumns;
+exports.checkColumns = checkColumns;
+
+const TASK_DOC = /\/\*\*([\s\S]*?)\*\/\s*(?:async\s+)?function\s+(task_\w+)/g;
+
+/**
+ * Reads the output columns declared in the doc comments of a task module, i.e.
+ *     | Order Id | Order Total Price | Total Order Discount, % |
+ *
+ * @param {string} sourcePath - path to the task module
+ * @return {Map} task id => column names, tasks without a columns row are omitted
+ */
+function parseTaskColumns(sourcePath) {
+    let source = fs.readFileSync(sourcePath, 'utf8');
+    let columnsByTask = new Map();
+    let match;
+    TASK_DOC.lastIndex = 0;
+    while ((match = TASK_DOC.exec(source))) {
+        let row = match[1].split('\n')
+            .map(line => line.replace(/^\s*\*\s?/, '').trim())
+            .find(line => line.indexOf('|') !== -1);
+        if (row) {
+            columnsByTask.set(match[2], row.split('|').map(column => column.trim()).filter(Boolean));
+        }
+    }
+    return columnsByTask;
+}
+
+/**
+ * Verifies that the result rows have exactly the declared columns and the column values have consistent types.
+ * Is called before the value comparison, so a misspelled alias is reported as is
+ * instead of a full table of cell differences.
+ *
+ * @param {array|object} actual - the task result
+ * @param {string[]} columns - the declared columns
+ * @param {array|object} [expected] - the expected result to take the column types from
+ * @param {object} [options]
+ * @param {boolean} [options.ordered=true] - whether the order of the keys has to follow the declaration
+ */
+function assertColumns(actual, columns, expected, options) {
+    let problems = checkColumns(actual, columns, expected, options);
+    if (!problems.length) {
+        return;
+    }
+    let error = new assert.AssertionError({
+        message: `Result columns do not match the task description | ${columns.join(' | ')} |:\n  `
+            + problems.join('\n  '),
+        actual: actual,
+        expected: columns,
+        operator: 'assertColumns'
+    });
+    // the report replaces mocha's diff of the whole results
+    error.showDiff = false;
+    throw error;
+}
+
+/**
+ * @return {string[]} problems found, empty if the result is fine
+ */
+function checkColumns(actual, columns, expected, options) {
+    options = Object.assign({ordered: true}, options);
+    let rows = toRows(actual);
+    let problems = [];
+
+    let missing = new Map();
+    let unexpected = new Map();
+    let misordered = -1;
+    rows.forEach((row, index) => {
+        if (row === null || typeof row !== 'object' || Array.isArray(row)) {
+            problems.push(`row ${index} is ${describeType(row)}, not an object`);
+            return;
+        }
+        let keys = Object.keys(row);
+        columns.filter(column => keys.indexOf(column) === -1).forEach(column => countRow(missing, column, index));
+        keys.filter(key => columns.indexOf(key) === -1).forEach(key => countRow(unexpected, key, index));
+        if (options.ordered && misordered === -1) {
+            let declared = keys.filter(key => columns.indexOf(key) !== -1);
+            if (declared.join('|') !== columns.filter(column => keys.indexOf(column) !== -1).join('|')) {
+                misordered = index;
+            }
+        }
+    });
+
+    missing.forEach((rowIndexes, column) =>
+        problems.push(`column "${column}" is missing${describeRows(rowIndexes, rows.length)}`));
+    unexpected.forEach((rowIndexes, column) =>
+        problems.push(`unexpected column "${column}"${describeRows(rowIndexes, rows.length)}`));
+    if (misordered !== -1) {
+        problems.push(`columns are in the wrong order in row ${misordered}: ${Object.keys(rows[misordered]).join(' | ')}`);
+    }
+
+    let expectedTypes = collectTypes(toRows(expected));
+    collectTypes(rows).forEach((actualType, column) => {
+        if (columns.indexOf(column) === -1) {
+            return;
+        }
+        let expectedType = expectedTypes.get(column);
+        // some fields of the mongo dump really mix numbers and strings, the expected result shows that
+        if (actualType.types.size > 1 && !(expectedType && expectedType.types.size > 1)) {
+            problems.push(`column "${column}" has inconsistent types: ${describeTypes(actualType.types)}`);
+        }
+        if (!expectedType || !expectedType.types.size) {
+            return;
+        }
+        actualType.types.forEach((firstRow, type) => {
+            if (!typesCompatible(type, actualType, expectedType)) {
+                problems.push(`column "${column}" is expected to be ${Array.from(expectedType.types.keys()).join(' or ')}, `
+                    + `but it is ${type} in row ${firstRow}`);
+            }
+        });
+    });
+
+    return problems;
+}
+
+function toRows(value) {
+    if (Array.isArray(value)) {
+        return value;
+    }
+    return value === undefined || value === null ? [] : [value];
+}
+
+function countRow(rowsByColumn, column, index) {
+    if (!rowsByColumn.has(column)) {
+        rowsByColumn.set(column, []);
+    }
+    rowsByColumn.get(column).push(index);
+}
+
+function describeRows(rowIndexes, total) {
+    if (rowIndexes.length === total) {
+        return '';
+    }
+    return ` in ${rowIndexes.length} of ${total} rows, first in row ${rowIndexes[0]}`;
+}
+
+/**
+ * @return {Map} column => {types: Map of non-null value type => first row of the type, numeric: boolean}
+ *               where `numeric` tells whether all the string values of the column are numbers
+ */
+function collectTypes(rows) {
+    let typesByColumn = new Map();
+    rows.forEach((row, index) => {
+        if (row === null || typeof row !== 'object') {
+            return;
+        }
+        for (let column of Object.keys(row)) {
+            if (!typesByColumn.has(column)) {
+                typesByColumn.set(column, {types: new Map(), numeric: true});
+            }
+            let value = row[column];
+            let type = describeType(value);
+            let columnType = typesByColumn.get(column);
+            if (type !== 'null' && !columnType.types.has(type)) {
+                columnType.types.set(type, index);
+            }
+            if (type === 'string' && (value.trim() === '' || !isFinite(value))) {
+                columnType.numeric = false;
+            }
+        }
+    });
+    return typesByColumn;
+}
+
+/**
+ * DECIMAL columns come from mysql2 as strings, so numeric strings and numbers are compatible.
+ */
+function typesCompatible(type, actualType, expectedType) {
+    if (expectedType.types.has(type)) {
+        return true;
+    }
+    if (type === 'string' && expectedType.types.has('number')) {
+        return actualType.numeric;
+    }
+    return type === 'number' && expectedType.types.has('string') && expectedType.numeric;
+}
+
+function describeTypes(types) {
+    let parts = [];
+    types.forEach((firstRow, type) => parts.push(`${type} in row ${firstRow}`));
+    return parts.join(', ');
+}
+
+function describeType(value) {
+    if (value === null || value === undefined) {
+        return 'null';
+    }
+    if (Array.isArray(value)) {
+        return 'array';
+    }
+    if (value instanceof Date) {
+        return 'date';
+    }
+    return typeof value;
+}
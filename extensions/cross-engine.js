@@ -0,0 +1,82 @@
+'use strict';
+
+const compareResults = require('./result-diff').compareResults;
+
+exports = module.exports = compareEngines;
+exports.normalizeResult = normalizeResult;
+
+/**
+ * Compares the results of the SQL and the Mongo implementation of the same task.
+ * Both results are brought to the SQL column names and rounded by the rule of the task,
+ * then compared like a task result with its expected one: the SQL result plays the expected one.
+ *
+ * @param {array|object} sqlResult
+ * @param {array|object} mongoResult
+ * @param {object} rule - the entry of the task in test/manifests/cross-engine.js
+ * @return {object} the report of result-diff compareResults
+ */
+function compareEngines(sqlResult, mongoResult, rule) {
+    return compareResults(
+        normalizeResult(mongoResult, rule, 'mongo'),
+        normalizeResult(sqlResult, rule, 'sql'),
+        rule.compare || {});
+}
+
+/**
+ * Brings the result of one engine to the common form:
+ *  - a single object becomes a one-row array, the values go through JSON (dates, ObjectIds);
+ *  - Mongo columns are renamed by `rule.columns` ({<SQL column>: <Mongo column>}), `rule.ignore` columns are dropped;
+ *  - numeric strings (mysql2 returns DECIMAL as string) become numbers,
+ *    `rule.round` rounds them: decimal places for all the columns or {<SQL column>: decimal places};
+ *  - `rule.dateOnly` columns keep the date part of the value only.
+ *
+ * @param {array|object} result
+ * @param {object} rule
+ * @param {string} engine - 'sql' or 'mongo'
+ * @return {object[]}
+ */
+function normalizeResult(result, rule, engine) {
+    let rows = JSON.parse(JSON.stringify(Array.isArray(result) ? result : [result]));
+    let renames = new Map();
+    if (engine === 'mongo') {
+        Object.keys(rule.columns || {}).forEach(column => renames.set(rule.columns[column], column));
+    }
+    let ignore = rule.ignore || [];
+    let dateOnly = rule.dateOnly || [];
+
+    return rows.map(row => {
+        let normalized = {};
+        for (let column of Object.keys(row)) {
+            let name = renames.has(column) ? renames.get(column) : column;
+            if (ignore.indexOf(name) !== -1) {
+                continue;
+            }
+            let value = row[column];
+            if (dateOnly.indexOf(name) !== -1 && typeof value === 'string') {
+                value = value.slice(0, 10);
+            }
+            normalized[name] = normalizeNumber(value, decimalsOf(rule.round, name));
+        }
+        return normalized;
+    });
+}
+
+function decimalsOf(round, column) {
+    if (typeof round === 'number') {
+        return round;
+    }
+    return round && typeof round[column] === 'number' ? round[column] : undefined;
+}
+
+function normalizeNumber(value, decimals) {
+    let numeric = typeof value === 'number' || (typeof value === 'string' && value.trim() !== '' && isFinite(value));
+    if (!numeric) {
+        return value;
+    }
+    let number = Number(value);
+    if (decimals === undefined) {
+        return number;
+    }
+    let factor = Math.pow(10, decimals);
+    return Math.round(number * factor) / factor;
+}
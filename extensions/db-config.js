@@ -0,0 +1,276 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+exports = module.exports = loadConfig;
+
+const ENV_PREFIX = 'DBA_';
+const DEFAULT_CONFIG_FILE = path.join(__dirname, '..', 'db.config.json');
+
+const SQL_ENGINES = ['mysql', 'sqlite'];
+
+const DEFAULTS = {
+    sqlEngine: 'mysql',
+    mysql: {host: 'localhost', port: 3306, user: 'root', password: 'password'},
+    mongo: {uri: 'mongodb://localhost:27017', options: {useUnifiedTopology: true}},
+    postgres: {host: 'localhost', port: 5432, user: 'postgres', password: 'password'},
+    databases: {
+        'sql-tasks': 'northwind',
+        'sql-advanced-tasks': 'northwind',
+        'sql-dml-tasks': 'northwind',
+        'postgres-tasks': 'northwind',
+        'mongo-tasks': 'northwind',
+        'mongo-optimization-task': 'awesomedb',
+        'mongo-dml-tasks': 'northwind',
+        // the typed collections of dumps/northwind.sql, see scripts/sql-to-mongo.js
+        'mongo-graph-tasks': 'northwind_typed'
+    }
+};
+
+/**
+ * The settings which can be overridden by the environment variables and the command line flags:
+ * `mysql-host` is read from DBA_MYSQL_HOST and --mysql-host.
+ */
+const SETTINGS = {
+    'sql-engine': 'sqlEngine',
+    'mysql-uri': 'mysql.uri',
+    'mysql-host': 'mysql.host',
+    'mysql-port': 'mysql.port',
+    'mysql-user': 'mysql.user',
+    'mysql-password': 'mysql.password',
+    'mysql-socket': 'mysql.socketPath',
+    'mysql-ssl-ca': 'mysql.ssl.ca',
+    'mysql-ssl-cert': 'mysql.ssl.cert',
+    'mysql-ssl-key': 'mysql.ssl.key',
+    'mongo-uri': 'mongo.uri',
+    'mongo-socket': 'mongo.socketPath',
+    'mongo-tls-ca': 'mongo.tls.ca',
+    'mongo-tls-cert': 'mongo.tls.cert',
+    'mongo-tls-key': 'mongo.tls.key',
+    'postgres-uri': 'postgres.uri',
+    'postgres-host': 'postgres.host',
+    'postgres-port': 'postgres.port',
+    'postgres-user': 'postgres.user',
+    'postgres-password': 'postgres.password',
+    'postgres-socket': 'postgres.socketPath',
+    'postgres-ssl-ca': 'postgres.ssl.ca',
+    'postgres-ssl-cert': 'postgres.ssl.cert',
+    'postgres-ssl-key': 'postgres.ssl.key'
+};
+
+/**
+ * The variables of the first versions of the tests, they are read when the DBA_ ones are not set.
+ * DATABASE and MONGO_DB named the database of the suites which existed then.
+ * HOST, USER_NAME and PASSWORD are not read any more: shells and CI set them for their own needs.
+ */
+const LEGACY_SETTINGS = {
+    'mongo-uri': 'MONGO_HOST'
+};
+const LEGACY_DATABASES = {
+    'sql-tasks': 'DATABASE',
+    'mongo-tasks': 'MONGO_DB',
+    'mongo-optimization-task': 'MONGO_DB'
+};
+
+/**
+ * Reads the connection settings of a test suite. Every next source overrides the previous one:
+ *  - the defaults: root / password on localhost, postgres / password for PostgreSQL;
+ *  - the project config file db.config.json (see db.config.example.json), DBA_CONFIG or --db-config set another path;
+ *  - the environment variables DBA_MYSQL_HOST, DBA_MONGO_URI and so on, see SETTINGS,
+ *    DBA_DATABASE_<SUITE> sets the database of a suite, e.g. DBA_DATABASE_SQL_TASKS,
+ *    the old DATABASE, MONGO_HOST and MONGO_DB are read when these are not set;
+ *  - the command line flags --mysql-host, --mongo-uri and so on, --database <suite>=<name>.
+ *
+ * `sqlEngine` is 'mysql' or 'sqlite': the SQL tasks run on the configured MySQL server
+ * or on the dump of their manifest loaded into an in-memory SQLite database, see sqlite-connection.
+ *
+ * @param {string} suite - the task module name, e.g. sql-tasks
+ * @param {object} [sources] - {env, argv}, process.env and process.argv by default
+ * @return {{database: string, sqlEngine: string, mysql: object, mongo: {url: string, options: object}, postgres: object}}
+ *         mysql and postgres are the mysql2 and pg connection options without the database
+ */
+function loadConfig(suite, sources) {
+    sources = Object.assign({env: process.env, argv: process.argv.slice(2)}, sources);
+    let flags = parseFlags(sources.argv);
+    let file = flags['db-config'] || sources.env[`${ENV_PREFIX}CONFIG`];
+    let fileConfig = readConfigFile(file ? path.resolve(file) : DEFAULT_CONFIG_FILE, Boolean(file));
+    let config = merge(JSON.parse(JSON.stringify(DEFAULTS)), fileConfig);
+
+    for (let name of Object.keys(SETTINGS)) {
+        let value = flags[name] !== undefined ? flags[name] : sources.env[envName(name)];
+        if (value === undefined && LEGACY_SETTINGS[name]) {
+            value = sources.env[LEGACY_SETTINGS[name]];
+        }
+        if (value !== undefined) {
+            setPath(config, SETTINGS[name], value);
+        }
+    }
+    let database = flags.databases[suite]
+        || sources.env[envName(`database-${suite}`)]
+        || LEGACY_DATABASES[suite] && sources.env[LEGACY_DATABASES[suite]]
+        || config.databases[suite];
+    if (!database) {
+        throw new Error(`There is no database for the "${suite}" suite, `
+            + `set it in db.config.json or ${envName(`database-${suite}`)}`);
+    }
+    if (!SQL_ENGINES.includes(config.sqlEngine)) {
+        throw new Error(`Unknown SQL engine "${config.sqlEngine}", expected one of ${SQL_ENGINES.join(', ')}`);
+    }
+
+    return {
+        database: database,
+        sqlEngine: config.sqlEngine,
+        mysql: mysqlOptions(config.mysql, config.baseDir, 'MySQL'),
+        mongo: mongoOptions(config.mongo, config.baseDir),
+        postgres: postgresOptions(config.postgres, config.baseDir)
+    };
+}
+
+function readConfigFile(file, required) {
+    if (!fs.existsSync(file)) {
+        if (required) {
+            throw new Error(`The config file ${file} does not exist`);
+        }
+        return {};
+    }
+    try {
+        // paths to the certificates are relative to the config file
+        return Object.assign(JSON.parse(fs.readFileSync(file, 'utf8')), {baseDir: path.dirname(file)});
+    } catch (err) {
+        throw new Error(`Cannot read the config file ${file}: ${err.message}`);
+    }
+}
+
+/**
+ * Supports `--name value` and `--name=value`, `--database` can be repeated.
+ */
+function parseFlags(argv) {
+    let flags = {databases: {}};
+    for (let i = 0; i < argv.length; i++) {
+        let match = /^--([a-z-]+)(=(.*))?$/.exec(argv[i]);
+        if (!match || match[1] !== 'database' && match[1] !== 'db-config' && !SETTINGS[match[1]]) {
+            continue;
+        }
+        let value = match[2] !== undefined ? match[3] : argv[++i];
+        if (match[1] === 'database') {
+            let pair = String(value).split('=');
+            flags.databases[pair[0]] = pair[1];
+        } else {
+            flags[match[1]] = value;
+        }
+    }
+    return flags;
+}
+
+/**
+ * The URI gives the server and the credentials only: the suites sharing it use databases of their own,
+ * so a database or parameters in it are rejected instead of being ignored.
+ */
+function mysqlOptions(settings, baseDir, engine) {
+    let options = {};
+    if (settings.uri) {
+        let url = new URL(settings.uri);
+        if (url.pathname && url.pathname !== '/') {
+            throw new Error(`The ${engine} URI names the database "${decodeURIComponent(url.pathname.slice(1))}", `
+                + 'set the databases of the suites with DBA_DATABASE_<SUITE> or --database <suite>=<name> instead');
+        }
+        if (url.search) {
+            throw new Error(`The ${engine} URI has the parameters "${url.search}", `
+                + 'set the connection options in db.config.json instead');
+        }
+        Object.assign(options, {
+            host: url.hostname,
+            port: url.port ? Number(url.port) : undefined,
+            user: decodeURIComponent(url.username),
+            password: decodeURIComponent(url.password)
+        });
+    } else {
+        Object.assign(options, {
+            host: settings.host,
+            port: Number(settings.port),
+            user: settings.user,
+            password: settings.password
+        });
+    }
+    if (settings.socketPath) {
+        // the socket replaces host and port
+        options = {socketPath: settings.socketPath, user: options.user, password: options.password};
+    }
+    if (settings.ssl) {
+        options.ssl = {
+            ca: readFile(settings.ssl.ca, baseDir),
+            cert: readFile(settings.ssl.cert, baseDir),
+            key: readFile(settings.ssl.key, baseDir),
+            rejectUnauthorized: settings.ssl.rejectUnauthorized !== false
+        };
+    }
+    return removeUndefined(options);
+}
+
+function mongoOptions(settings, baseDir) {
+    let url = settings.socketPath ? `mongodb://${encodeURIComponent(settings.socketPath)}` : settings.uri;
+    let options = Object.assign({}, settings.options);
+    if (settings.tls) {
+        Object.assign(options, removeUndefined({
+            tls: true,
+            tlsCAFile: resolveFile(settings.tls.ca, baseDir),
+            tlsCertificateKeyFile: resolveFile(settings.tls.cert, baseDir),
+            tlsCertificateKeyFilePassword: settings.tls.password,
+            tlsAllowInvalidCertificates: settings.tls.allowInvalidCertificates
+        }));
+    }
+    return {url: url, options: options};
+}
+
+function postgresOptions(settings, baseDir) {
+    // the URI and the socket are parsed the same way as the MySQL ones
+    let options = mysqlOptions(Object.assign({}, settings, {socketPath: undefined}), baseDir, 'PostgreSQL');
+    if (settings.socketPath) {
+        // pg connects to the socket of the directory given as the host
+        options = removeUndefined({host: settings.socketPath, user: options.user, password: options.password,
+            ssl: options.ssl});
+    }
+    return options;
+}
+
+function readFile(file, baseDir) {
+    return file ? fs.readFileSync(resolveFile(file, baseDir)) : undefined;
+}
+
+function resolveFile(file, baseDir) {
+    return file ? path.resolve(baseDir || process.cwd(), file) : undefined;
+}
+
+function envName(name) {
+    return ENV_PREFIX + name.toUpperCase().replace(/-/g, '_');
+}
+
+function setPath(object, keyPath, value) {
+    let keys = keyPath.split('.');
+    let last = keys.pop();
+    for (let key of keys) {
+        object = object[key] = object[key] || {};
+    }
+    object[last] = value;
+}
+
+function merge(target, source) {
+    let result = Object.assign({}, target);
+    for (let key of Object.keys(source)) {
+        let value = source[key];
+        result[key] = value && typeof value === 'object' && !Array.isArray(value) && target[key]
+            ? merge(target[key], value)
+            : value;
+    }
+    return result;
+}
+
+function removeUndefined(object) {
+    Object.keys(object).forEach(key => {
+        if (object[key] === undefined) {
+            delete object[key];
+        }
+    });
+    return object;
+}
@@ -0,0 +1,136 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const Spec = require('mocha').reporters.Spec;
+const collectTaskResults = require('./task-results');
+
+exports = module.exports = GradingReporter;
+exports.computeScore = computeScore;
+exports.renderJUnit = renderJUnit;
+exports.renderTap = renderTap;
+
+const STATUS = collectTaskResults.STATUS;
+
+/**
+ * Mocha reporter for the automatic grading. Prints the usual spec output and writes
+ * <output>/junit.xml, <output>/results.tap and <output>/score.json.
+ *
+ * Reporter options (`--reporter-option name=value`):
+ *  - output - the folder for the reports, `reports` by default;
+ *  - weights - the weights config, `grading.json` by default.
+ */
+function GradingReporter(runner, options) {
+    Spec.call(this, runner, options);
+
+    let reporterOptions = (options && (options.reporterOption || options.reporterOptions)) || {};
+    let output = path.resolve(reporterOptions.output || 'reports');
+    let weights = JSON.parse(fs.readFileSync(path.resolve(reporterOptions.weights || 'grading.json'), 'utf8'));
+
+    collectTaskResults(runner, summary => {
+        let score = computeScore(summary, weights);
+        fs.mkdirSync(output, {recursive: true});
+        fs.writeFileSync(path.join(output, 'junit.xml'), renderJUnit(summary));
+        fs.writeFileSync(path.join(output, 'results.tap'), renderTap(summary));
+        fs.writeFileSync(path.join(output, 'score.json'), JSON.stringify(score, null, 2));
+
+        console.log(`Score: ${score.points}/${score.maxPoints} (${score.percent}%)`);
+        console.log(`Written to ${path.relative(process.cwd(), output) || '.'}/{junit.xml,results.tap,score.json}\n`);
+    });
+}
+
+Object.setPrototypeOf(GradingReporter.prototype, Spec.prototype);
+
+/**
+ * Sums the weights of the passed tasks. A task weight is looked up in `weights[module][task]`,
+ * then in `moduleWeights[module]`, then `defaultWeight` is used. The skipped modules (see task-results)
+ * are left out of `maxPoints`, an optional track without its server does not lower the score.
+ *
+ * @param {object} summary - see task-results
+ * @param {{defaultWeight: number, moduleWeights: object, weights: object}} config
+ * @return {{points: number, maxPoints: number, percent: number, modules: array}}
+ */
+function computeScore(summary, config) {
+    let defaultWeight = config.defaultWeight === undefined ? 1 : config.defaultWeight;
+    let moduleWeights = config.moduleWeights || {};
+    let weights = config.weights || {};
+    let score = {points: 0, maxPoints: 0, percent: 0, modules: []};
+
+    for (let module of summary.modules) {
+        let taskWeights = weights[module.name] || {};
+        let moduleWeight = moduleWeights[module.name] === undefined ? defaultWeight : moduleWeights[module.name];
+        let moduleScore = {name: module.name, points: 0, maxPoints: 0, skipped: Boolean(module.skipped), tasks: []};
+        for (let task of module.tasks) {
+            let weight = taskWeights[task.id] === undefined ? moduleWeight : taskWeights[task.id];
+            let points = task.status === STATUS.PASSING ? weight : 0;
+            moduleScore.points += points;
+            moduleScore.maxPoints += moduleScore.skipped ? 0 : weight;
+            moduleScore.tasks.push({id: task.id, status: task.status, weight: weight, points: points});
+        }
+        score.points += moduleScore.points;
+        score.maxPoints += moduleScore.maxPoints;
+        score.modules.push(moduleScore);
+    }
+    score.percent = score.maxPoints ? Math.round(score.points * 10000 / score.maxPoints) / 100 : 0;
+    return score;
+}
+
+function renderJUnit(summary) {
+    let suites = summary.modules.map(module => {
+        let cases = module.tasks.map(task => {
+            let body = '';
+            if (task.status === STATUS.FAILING) {
+                body = `\n      <failure message="${escapeXml(firstLine(task.error))}">${escapeXml(task.error)}</failure>\n    `;
+            } else if (task.status === STATUS.NOT_STARTED) {
+                body = '<skipped message="not started"/>';
+            }
+            return `    <testcase classname="${escapeXml(module.name)}" name="${escapeXml(task.id)}" `
+                + `time="${seconds(task.duration)}">${body}</testcase>`;
+        });
+        return `  <testsuite name="${escapeXml(module.name)}" tests="${module.total}" failures="${module.failing}" `
+            + `skipped="${module.notStarted}" errors="0" time="${seconds(module.duration)}">\n`
+            + cases.join('\n') + '\n  </testsuite>';
+    });
+    return '<?xml version="1.0" encoding="UTF-8"?>\n'
+        + `<testsuites time="${seconds(summary.duration)}">\n${suites.join('\n')}\n</testsuites>\n`;
+}
+
+function renderTap(summary) {
+    let lines = [];
+    let number = 0;
+    for (let module of summary.modules) {
+        for (let task of module.tasks) {
+            number++;
+            let title = `${module.name} ${task.id}`;
+            if (task.status === STATUS.PASSING) {
+                lines.push(`ok ${number} - ${title}`);
+            } else if (task.status === STATUS.NOT_STARTED) {
+                lines.push(`ok ${number} - ${title} # SKIP not started`);
+            } else {
+                lines.push(`not ok ${number} - ${title}`);
+                lines.push('  ---');
+                lines.push('  message: |');
+                lines.push.apply(lines, String(task.error).split('\n').map(line => '    ' + line));
+                lines.push('  ...');
+            }
+        }
+    }
+    return ['TAP version 13', `1..${number}`].concat(lines).join('\n') + '\n';
+}
+
+function firstLine(text) {
+    return String(text).split('\n')[0];
+}
+
+function seconds(ms) {
+    return ((ms || 0) / 1000).toFixed(3);
+}
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
@@ -0,0 +1,154 @@
+'use strict';
+
+const assert = require('assert');
+
+exports = module.exports = explainAggregations;
+exports.summarizeExplain = summarizeExplain;
+exports.formatExecutionStats = formatExecutionStats;
+exports.assertExecutionThresholds = assertExecutionThresholds;
+
+/**
+ * Runs every aggregation the task sent with explain("executionStats"), see query-log.
+ *
+ * @param {object} db - mongodb Db, not instrumented
+ * @param {array} log - entries recorded by query-log
+ * @return {Promise<array>} [{collection, pipeline, stats}] where stats are described in summarizeExplain
+ */
+async function explainAggregations(db, log) {
+    let explained = [];
+    for (let entry of log) {
+        if (entry.engine !== 'mongo' || entry.operation !== `${entry.collection}.aggregate` || entry.error !== undefined) {
+            continue;
+        }
+        let command = Object.assign({}, entry.params, {aggregate: entry.collection, pipeline: entry.query, cursor: {}});
+        let explain = await db.command({explain: command, verbosity: 'executionStats'});
+        explained.push({collection: entry.collection, pipeline: entry.query, stats: summarizeExplain(explain)});
+    }
+    return explained;
+}
+
+/**
+ * Takes the numbers which do not depend on the hardware from the explain output.
+ * Per stage counters are reported by MongoDB 4.4+ only, with older servers `unwindFanOut` is null.
+ *
+ * @param {object} explain - the result of the explain command
+ * @return {{docsExamined: number, keysExamined: number, returned: number, firstStage: string,
+ *           unwindFanOut: number, stages: array}}
+ */
+function summarizeExplain(explain) {
+    let stages = explain.stages || [{$cursor: explain}];
+    let cursor = stages[0].$cursor || {};
+    let executionStats = cursor.executionStats || {};
+    let planner = cursor.queryPlanner || {};
+    let winningPlan = planner.winningPlan || {};
+
+    let summary = {
+        docsExamined: executionStats.totalDocsExamined,
+        keysExamined: executionStats.totalKeysExamined,
+        returned: executionStats.nReturned,
+        firstStage: scanStage(winningPlan.queryPlan || winningPlan),
+        unwindFanOut: null,
+        stages: []
+    };
+
+    let previous = stages[0].nReturned !== undefined ? stages[0].nReturned : executionStats.nReturned;
+    stages.forEach((stage, index) => {
+        let name = Object.keys(stage).find(key => key[0] === '$');
+        summary.stages.push({name: name, returned: stage.nReturned === undefined ? null : stage.nReturned});
+        if (index === 0 || stage.nReturned === undefined) {
+            return;
+        }
+        if (name === '$unwind' && previous > 0) {
+            summary.unwindFanOut = Math.max(summary.unwindFanOut || 0, stage.nReturned / previous);
+        }
+        previous = stage.nReturned;
+    });
+
+    return summary;
+}
+
+/**
+ * @return {string} COLLSCAN if any leaf of the plan scans the collection, IXSCAN if the leaves use indexes
+ */
+function scanStage(plan) {
+    let leaves = [];
+    collectLeaves(plan, leaves);
+    if (leaves.indexOf('COLLSCAN') !== -1) {
+        return 'COLLSCAN';
+    }
+    if (leaves.indexOf('IXSCAN') !== -1) {
+        return 'IXSCAN';
+    }
+    return leaves[0] || null;
+}
+
+function collectLeaves(plan, leaves) {
+    let children = [].concat(plan.inputStage || [], plan.inputStages || []);
+    if (!children.length) {
+        if (plan.stage) {
+            leaves.push(plan.stage);
+        }
+        return;
+    }
+    children.forEach(child => collectLeaves(child, leaves));
+}
+
+/**
+ * @param {array} explained - see explainAggregations
+ * @return {string}
+ */
+function formatExecutionStats(explained) {
+    if (!explained.length) {
+        return 'No aggregations to explain.';
+    }
+    let lines = [`Execution stats (${explained.length}):`];
+    explained.forEach((entry, index) => {
+        let stats = entry.stats;
+        let fanOut = stats.unwindFanOut === null ? 'unknown' : stats.unwindFanOut.toFixed(2);
+        lines.push(`  ${index + 1}. ${entry.collection}.aggregate: first stage ${stats.firstStage}, `
+            + `docs examined ${stats.docsExamined}, keys examined ${stats.keysExamined}, peak $unwind fan-out ${fanOut}`);
+        let counted = stats.stages.filter(stage => stage.returned !== null);
+        if (counted.length) {
+            lines.push('       ' + counted.map(stage => `${stage.name}: ${stage.returned}`).join(' -> '));
+        }
+    });
+    return lines.join('\n');
+}
+
+/**
+ * Fails when an aggregation of the task exceeds the thresholds of the task. Every threshold is optional.
+ *
+ * @param {array} explained - see explainAggregations
+ * @param {{maxDocsExamined: number, maxKeysExamined: number, requireIndexScan: boolean, maxUnwindFanOut: number}} thresholds
+ */
+function assertExecutionThresholds(explained, thresholds) {
+    let problems = [];
+    explained.forEach((entry, index) => {
+        let stats = entry.stats;
+        let prefix = `${index + 1}. ${entry.collection}.aggregate`;
+        if (thresholds.requireIndexScan && stats.firstStage !== 'IXSCAN') {
+            problems.push(`${prefix}: the first stage is ${stats.firstStage}, an index scan is expected`);
+        }
+        check(prefix, 'docs examined', stats.docsExamined, thresholds.maxDocsExamined);
+        check(prefix, 'keys examined', stats.keysExamined, thresholds.maxKeysExamined);
+        if (stats.unwindFanOut !== null) {
+            check(prefix, '$unwind fan-out', stats.unwindFanOut, thresholds.maxUnwindFanOut);
+        }
+    });
+    if (!problems.length) {
+        return;
+    }
+
+    let error = new assert.AssertionError({
+        message: `The aggregation needs optimization:\n  ${problems.join('\n  ')}\n${formatExecutionStats(explained)}`,
+        operator: 'assertExecutionThresholds'
+    });
+    error.showDiff = false;
+    throw error;
+
+    function check(prefix, title, value, max) {
+        if (max !== undefined && value > max) {
+            problems.push(`${prefix}: ${title} ${value}, allowed ${max}`);
+        }
+    }
+}
@@ -0,0 +1,96 @@
+'use strict';
+
+const createRandom = require('./seeded-random');
+
+exports = module.exports = perturbMongoDatabase;
+
+const CITY_SUFFIXES = ['Heights', 'Springs', 'Harbor', 'Falls', 'Junction'];
+
+/**
+ * Clones the database into a scratch one and changes the data there with seeded random perturbations,
+ * the same kinds of changes as sql-perturbation makes: product prices, copies of orders, city names.
+ *
+ * @param {object} client - connected MongoClient
+ * @param {string} source - the database to clone
+ * @param {number|string} seed
+ * @return {Promise<{database: string, changes: string[], teardown: function}>}
+ */
+async function perturbMongoDatabase(client, source, seed) {
+    let scratch = `${source}_perturbed_${process.pid}`;
+    let db = client.db(scratch);
+    try {
+        await cloneDatabase(client.db(source), db);
+        let changes = await applyPerturbations(db, createRandom(seed));
+        return {database: scratch, changes: changes, teardown: () => db.dropDatabase()};
+    } catch (err) {
+        await db.dropDatabase();
+        throw err;
+    }
+}
+
+async function cloneDatabase(source, target) {
+    await target.dropDatabase();
+    let collections = await source.listCollections({type: 'collection'}, {nameOnly: true}).toArray();
+    for (let collection of collections.filter(collection => !collection.name.startsWith('system.'))) {
+        let documents = await source.collection(collection.name).find().toArray();
+        if (documents.length) {
+            await target.collection(collection.name).insertMany(documents);
+        } else {
+            await target.createCollection(collection.name);
+        }
+        let indexes = await source.collection(collection.name).listIndexes().toArray();
+        for (let index of indexes.filter(index => index.name !== '_id_')) {
+            await target.collection(collection.name)
+                .createIndex(index.key, {name: index.name, unique: Boolean(index.unique)});
+        }
+    }
+}
+
+/**
+ * @return {Promise<string[]>} the descriptions of the changes
+ */
+async function applyPerturbations(db, random) {
+    let changes = [];
+
+    let products = await db.collection('products').find({}, {projection: {ProductID: 1, UnitPrice: 1}})
+        .sort({ProductID: 1}).toArray();
+    let raised = random.sample(products, Math.ceil(products.length / 5));
+    for (let product of raised) {
+        await db.collection('products').updateOne({_id: product._id},
+            {$set: {UnitPrice: Number(product.UnitPrice) + random.int(1, 10)}});
+    }
+    changes.push(`raised UnitPrice of ${raised.length} products`);
+
+    let orders = await db.collection('orders').find().sort({OrderID: 1}).toArray();
+    let customers = await db.collection('customers').distinct('CustomerID');
+    customers.sort();
+    let nextId = orders[orders.length - 1].OrderID + 1;
+    let copied = random.sample(orders, random.int(3, 6));
+    for (let order of copied) {
+        let copy = Object.assign({}, order, {OrderID: nextId++, CustomerID: random.pick(customers)});
+        delete copy._id;
+        await db.collection('orders').insertOne(copy);
+        let details = await db.collection('order-details').find({OrderID: order.OrderID}).toArray();
+        if (details.length) {
+            await db.collection('order-details').insertMany(details.map(detail => {
+                let detailCopy = Object.assign({}, detail, {OrderID: copy.OrderID});
+                delete detailCopy._id;
+                return detailCopy;
+            }));
+        }
+    }
+    changes.push(`added ${copied.length} copies of orders with their details for other customers`);
+
+    let cities = Array.from(new Set((await db.collection('customers').distinct('City'))
+        .concat(await db.collection('employees').distinct('City'))))
+        .filter(city => typeof city === 'string')
+        .sort();
+    let renamed = random.sample(cities, 3).map(city => [city, `${city} ${random.pick(CITY_SUFFIXES)}`]);
+    for (let names of renamed) {
+        await db.collection('customers').updateMany({City: names[0]}, {$set: {City: names[1]}});
+        await db.collection('employees').updateMany({City: names[0]}, {$set: {City: names[1]}});
+    }
+    changes.push(`renamed cities ${renamed.map(names => `${names[0]} -> ${names[1]}`).join(', ')}`);
+
+    return changes;
+}
@@ -0,0 +1,188 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const BSON = require('bson');
+
+exports = module.exports = provisionMongoDatabase;
+exports.provisionCollections = provisionMongoCollections;
+exports.readBsonFile = readBsonFile;
+exports.writeBsonDump = writeBsonDump;
+exports.loadCollections = loadCollections;
+
+const INDEXES_FILE = 'system.indexes.bson';
+const INSERT_BATCH_SIZE = 1000;
+const bson = new BSON();
+
+/**
+ * Makes sure the tests get a database with the data of the mongodump folder.
+ * The database is used as is when it has every collection of the dump with the same number of documents,
+ * otherwise the dump is loaded into a throwaway database which is dropped by `teardown`.
+ *
+ * @param {object} client - connected MongoClient
+ * @param {string} database - the database the tests are expected to use
+ * @param {string} dumpDir - folder with <collection>.bson files, e.g. dumps/northwind_mongodb/northwind
+ * @return {Promise<{database: string, provisioned: boolean, teardown: function}>}
+ */
+async function provisionMongoDatabase(client, database, dumpDir) {
+    let files = fs.readdirSync(dumpDir).filter(file => path.extname(file) === '.bson' && file !== INDEXES_FILE);
+    let counts = {};
+    files.forEach(file => {
+        counts[path.basename(file, '.bson')] = countBsonDocuments(fs.readFileSync(path.join(dumpDir, file)));
+    });
+
+    return provision(client, database, counts, dumpDir, db => loadDump(db, dumpDir, files));
+}
+
+/**
+ * The same as provisionMongoDatabase for the collections built in memory, i.e. by extensions/awesomedb-generator.js.
+ *
+ * @param {object} client - connected MongoClient
+ * @param {string} database - the database the tests are expected to use
+ * @param {array} collections - [{name, documents}]
+ * @param {string} source - what the collections are made of, for the log
+ * @return {Promise<{database: string, provisioned: boolean, teardown: function}>}
+ */
+async function provisionMongoCollections(client, database, collections, source) {
+    let counts = {};
+    collections.forEach(collection => {
+        counts[collection.name] = collection.documents.length;
+    });
+    return provision(client, database, counts, source, async db => {
+        await db.dropDatabase();
+        await loadCollections(db, collections);
+    });
+}
+
+async function provision(client, database, counts, source, load) {
+    let problems = await checkDatabase(client.db(database), counts);
+    if (!problems.length) {
+        return {database: database, provisioned: false, teardown: async () => {}};
+    }
+
+    let throwaway = `${database}_tmp_${process.pid}`;
+    console.log(`Database "${database}" does not match ${source} (${problems[0]}), `
+        + `loading the data into "${throwaway}"`);
+    let db = client.db(throwaway);
+    try {
+        await load(db);
+    } catch (err) {
+        await db.dropDatabase();
+        throw err;
+    }
+    return {
+        database: throwaway,
+        provisioned: true,
+        teardown: () => db.dropDatabase()
+    };
+}
+
+/**
+ * Reads the documents of a mongodump .bson file: the documents are stored one after another,
+ * each starts with its length.
+ *
+ * @param {string} file
+ * @return {array}
+ */
+function readBsonFile(file) {
+    let buffer = fs.readFileSync(file);
+    let documents = [];
+    for (let offset = 0; offset < buffer.length;) {
+        let size = buffer.readInt32LE(offset);
+        documents.push(bson.deserialize(buffer.slice(offset, offset + size)));
+        offset += size;
+    }
+    return documents;
+}
+
+function countBsonDocuments(buffer) {
+    let count = 0;
+    for (let offset = 0; offset < buffer.length; offset += buffer.readInt32LE(offset)) {
+        count++;
+    }
+    return count;
+}
+
+/**
+ * Writes the collections in the mongodump layout, <dir>/<collection>.bson,
+ * which mongorestore and provisionMongoDatabase load.
+ *
+ * @param {array} collections - [{name, documents}]
+ * @param {string} dir
+ */
+function writeBsonDump(collections, dir) {
+    fs.mkdirSync(dir, {recursive: true});
+    for (let collection of collections) {
+        let buffers = collection.documents.map(document => bson.serialize(document));
+        fs.writeFileSync(path.join(dir, `${collection.name}.bson`), Buffer.concat(buffers));
+    }
+}
+
+/**
+ * Inserts the collections into the database, the existing collections of the same names are dropped.
+ *
+ * @param {object} db - mongodb Db
+ * @param {array} collections - [{name, documents}]
+ */
+async function loadCollections(db, collections) {
+    let existing = (await db.listCollections({}, {nameOnly: true}).toArray()).map(collection => collection.name);
+    for (let collection of collections) {
+        if (existing.indexOf(collection.name) !== -1) {
+            await db.collection(collection.name).drop();
+        }
+        if (!collection.documents.length) {
+            await db.createCollection(collection.name);
+        }
+        for (let i = 0; i < collection.documents.length; i += INSERT_BATCH_SIZE) {
+            await db.collection(collection.name).insertMany(collection.documents.slice(i, i + INSERT_BATCH_SIZE));
+        }
+    }
+}
+
+/**
+ * @return {Promise<string[]>} the differences from the dump, empty if the database matches it
+ */
+async function checkDatabase(db, counts) {
+    let existing = (await db.listCollections({}, {nameOnly: true}).toArray()).map(collection => collection.name);
+    if (!existing.length) {
+        return [`there is no database "${db.databaseName}"`];
+    }
+
+    let problems = [];
+    for (let name of Object.keys(counts)) {
+        if (existing.indexOf(name) === -1) {
+            problems.push(`there is no collection ${name}`);
+            continue;
+        }
+        let count = await db.collection(name).countDocuments();
+        if (count !== counts[name]) {
+            problems.push(`${name} has ${count} documents instead of ${counts[name]}`);
+        }
+    }
+    return problems;
+}
+
+async function loadDump(db, dumpDir, files) {
+    await db.dropDatabase();
+    for (let file of files) {
+        let documents = readBsonFile(path.join(dumpDir, file));
+        let name = path.basename(file, '.bson');
+        if (!documents.length) {
+            await db.createCollection(name);
+        }
+        let collection = db.collection(name);
+        for (let i = 0; i < documents.length; i += INSERT_BATCH_SIZE) {
+            await collection.insertMany(documents.slice(i, i + INSERT_BATCH_SIZE));
+        }
+    }
+
+    // system.indexes.bson of the old servers lists the indexes with the namespace they belong to
+    let indexesFile = path.join(dumpDir, INDEXES_FILE);
+    let indexes = fs.existsSync(indexesFile) ? readBsonFile(indexesFile) : [];
+    for (let index of indexes) {
+        if (index.name !== '_id_') {
+            let collection = index.ns.slice(index.ns.indexOf('.') + 1);
+            await db.collection(collection).createIndex(index.key, {name: index.name, unique: Boolean(index.unique)});
+        }
+    }
+}
@@ -0,0 +1,125 @@
+'use strict';
+
+const readSqlDump = require('./sql-to-mongo').readSqlDump;
+
+exports = module.exports = convertSqlDump;
+exports.convertTables = convertTables;
+
+const INSERT_BATCH_SIZE = 500;
+const NUMBER = /^-?\d+(\.\d+)?([eE][-+]?\d+)?$/;
+const KEPT_CONSTRAINT = /^(primary\s+key|unique|check)\b/i;
+
+/**
+ * Converts a MySQL dump into a PostgreSQL one with the same tables and rows, see convertTables.
+ *
+ * @param {string} sql - the MySQL dump text, e.g. dumps/northwind.sql read as latin1
+ * @return {string} the PostgreSQL dump
+ */
+function convertSqlDump(sql) {
+    return convertTables(readSqlDump(sql));
+}
+
+/**
+ * Writes the tables as PostgreSQL statements. The identifiers keep their case in double quotes,
+ * so the tasks name the same tables and columns: SELECT "ProductName" FROM "Products".
+ * The columns get the types which store the values the way MySQL does: DECIMAL without the scale
+ * is NUMERIC(10, 0), REAL is DOUBLE PRECISION, AUTO_INCREMENT is an identity column which continues
+ * after the dumped ids. The primary keys, unique and check constraints are kept, the foreign keys are not:
+ * the MySQL dump is loaded without the foreign key checks and does not satisfy them.
+ * The views are left out, they are written in the dialect of MS SQL.
+ *
+ * @param {array} tables - see readSqlDump
+ * @return {string}
+ */
+function convertTables(tables) {
+    let statements = [
+        'SET client_encoding = \'UTF8\';',
+        tables.map(table => `DROP TABLE IF EXISTS ${quoteIdentifier(table.name)} CASCADE;`).join('\n')
+    ];
+    for (let table of tables) {
+        statements.push(createTable(table));
+        let names = table.columns.map(column => quoteIdentifier(column.name)).join(', ');
+        for (let start = 0; start < table.rows.length; start += INSERT_BATCH_SIZE) {
+            let rows = table.rows.slice(start, start + INSERT_BATCH_SIZE).map(row =>
+                '(' + table.columns.map(column => formatValue(row[column.name], column)).join(', ') + ')');
+            statements.push(`INSERT INTO ${quoteIdentifier(table.name)} (${names}) VALUES\n${rows.join(',\n')};`);
+        }
+    }
+    return statements.join('\n\n') + '\n';
+}
+
+function createTable(table) {
+    let definitions = table.columns.map(column => {
+        let definition = `${quoteIdentifier(column.name)} ${columnType(column)}`;
+        if (column.autoIncrement) {
+            definition += ` GENERATED BY DEFAULT AS IDENTITY (START WITH ${table.nextId || 1})`;
+        }
+        if (column.default !== undefined) {
+            definition += ` DEFAULT ${column.default}`;
+        }
+        if (column.notNull) {
+            definition += ' NOT NULL';
+        }
+        if (column.primaryKey) {
+            definition += ' PRIMARY KEY';
+        }
+        return definition;
+    });
+    definitions = definitions.concat(table.constraints
+        .filter(constraint => KEPT_CONSTRAINT.test(constraint))
+        .map(constraint => constraint.replace(/`([^`]*)`/g, (match, name) => quoteIdentifier(name))));
+    return `CREATE TABLE ${quoteIdentifier(table.name)} (\n    ${definitions.join(',\n    ')}\n);`;
+}
+
+function columnType(column) {
+    switch (column.type) {
+        case 'int': case 'integer': case 'tinyint': case 'smallint': case 'mediumint':
+            return 'INTEGER';
+        case 'bigint':
+            return 'BIGINT';
+        case 'decimal': case 'numeric':
+            // DECIMAL without the precision is DECIMAL(10, 0) in MySQL
+            return `NUMERIC(${column.length || 10}, ${column.scale || 0})`;
+        case 'real': case 'double':
+            return 'DOUBLE PRECISION';
+        case 'float':
+            return 'REAL';
+        case 'date':
+            return 'DATE';
+        case 'datetime': case 'timestamp':
+            return 'TIMESTAMP';
+        case 'time':
+            return 'TIME';
+        case 'blob': case 'tinyblob': case 'mediumblob': case 'longblob': case 'binary': case 'varbinary':
+            return 'BYTEA';
+        case 'varchar': case 'char':
+            return column.length ? `${column.type.toUpperCase()}(${column.length})` : 'TEXT';
+        default:
+            return 'TEXT';
+    }
+}
+
+function formatValue(value, column) {
+    if (value === null || value === undefined) {
+        return 'NULL';
+    }
+    if (Buffer.isBuffer(value)) {
+        return `decode('${value.toString('hex')}', 'hex')`;
+    }
+    if (columnType(column) !== 'TEXT' && !/CHAR/.test(columnType(column)) && NUMBER.test(value)) {
+        return String(value);
+    }
+    return quoteLiteral(String(value));
+}
+
+/**
+ * The strings with a backslash are written as E'...', the others as the standard strings.
+ */
+function quoteLiteral(text) {
+    let quoted = text.replace(/'/g, '\'\'');
+    return text.indexOf('\\') === -1 ? `'${quoted}'` : `E'${quoted.replace(/\\/g, '\\\\')}'`;
+}
+
+function quoteIdentifier(name) {
+    return '"' + String(name).replace(/"/g, '""') + '"';
+}
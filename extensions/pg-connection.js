@@ -0,0 +1,42 @@
+'use strict';
+
+exports = module.exports = openPgConnection;
+
+const TYPES = {bigint: 20, numeric: 1700, date: 1082, timestamp: 1114, timestamptz: 1184};
+
+let pg;
+
+/**
+ * Connects a pg client whose rows compare with the expected results of the SQL tasks:
+ *  - BIGINT (COUNT, SUM of integers) and NUMERIC are numbers, pg returns them as strings;
+ *  - DATE and TIMESTAMP are the strings PostgreSQL writes, '1996-07-04 00:00:00', pg returns a Date
+ *    in the local time zone.
+ *
+ * @param {object} config - pg connection options without the database, see db-config
+ * @param {string} database
+ * @return {Promise<object>} the connected pg.Client, `end` closes it
+ */
+async function openPgConnection(config, database) {
+    // pg is loaded on the first connection, the runs without the PostgreSQL track do not need it
+    pg = pg || require('pg');
+    let client = new pg.Client(Object.assign({database: database, types: {getTypeParser: getTypeParser}}, config));
+    await client.connect();
+    return client;
+}
+
+function getTypeParser(oid, format) {
+    if (format === 'binary') {
+        return pg.types.getTypeParser(oid, format);
+    }
+    switch (oid) {
+        case TYPES.bigint:
+        case TYPES.numeric:
+            return Number;
+        case TYPES.date:
+        case TYPES.timestamp:
+        case TYPES.timestamptz:
+            return text => text;
+        default:
+            return pg.types.getTypeParser(oid, format);
+    }
+}
@@ -0,0 +1,89 @@
+'use strict';
+
+const fs = require('fs');
+const openPgConnection = require('./pg-connection');
+const parseSqlDump = require('./sql-provision').parseSqlDump;
+
+exports = module.exports = provisionPgDatabase;
+
+// the database every PostgreSQL server has, the throwaway databases are created and dropped from there
+const MAINTENANCE_DATABASE = 'postgres';
+const UNDEFINED_DATABASE = '3D000';
+
+/**
+ * The PostgreSQL version of sql-provision: the database is used as is when it has every table of the dump
+ * with the same number of rows, otherwise the dump is loaded into a throwaway database which is dropped
+ * by `teardown`.
+ *
+ * @param {object} config - pg connection options without the database, see db-config
+ * @param {string} database - the database the tests are expected to use
+ * @param {string} dumpPath - e.g. dumps/northwind_postgres.sql
+ * @return {Promise<{database: string, provisioned: boolean, teardown: function}>}
+ */
+async function provisionPgDatabase(config, database, dumpPath) {
+    let dump = parseSqlDump(fs.readFileSync(dumpPath, 'utf8'), {ansiQuotes: true});
+    let problems = await checkDatabase(config, database, dump.rowCounts);
+    if (!problems.length) {
+        return {database: database, provisioned: false, teardown: async () => {}};
+    }
+
+    let throwaway = `${database}_tmp_${process.pid}`;
+    console.log(`Database "${database}" does not match ${dumpPath} (${problems[0]}), `
+        + `loading the dump into "${throwaway}"`);
+    let dropThrowaway = () => withConnection(config, MAINTENANCE_DATABASE,
+        connection => connection.query(`DROP DATABASE IF EXISTS ${connection.escapeIdentifier(throwaway)}`));
+    await dropThrowaway();
+    await withConnection(config, MAINTENANCE_DATABASE,
+        connection => connection.query(`CREATE DATABASE ${connection.escapeIdentifier(throwaway)}`));
+    try {
+        await withConnection(config, throwaway, async connection => {
+            for (let statement of dump.statements) {
+                await connection.query(statement.text);
+            }
+        });
+    } catch (err) {
+        await dropThrowaway();
+        throw err;
+    }
+    return {database: throwaway, provisioned: true, teardown: dropThrowaway};
+}
+
+/**
+ * @return {Promise<string[]>} the differences from the dump, empty if the database matches it
+ */
+async function checkDatabase(config, database, rowCounts) {
+    try {
+        return await withConnection(config, database, async connection => {
+            let existing = (await connection.query(
+                'SELECT table_name AS name FROM information_schema.tables WHERE table_schema = $1 AND table_type = $2',
+                ['public', 'BASE TABLE'])).rows.map(row => row.name);
+            let problems = [];
+            for (let table of Object.keys(rowCounts)) {
+                if (existing.indexOf(table) === -1) {
+                    problems.push(`there is no table ${table}`);
+                    continue;
+                }
+                let count = (await connection.query(
+                    `SELECT COUNT(*) AS count FROM ${connection.escapeIdentifier(table)}`)).rows[0].count;
+                if (count !== rowCounts[table]) {
+                    problems.push(`${table} has ${count} rows instead of ${rowCounts[table]}`);
+                }
+            }
+            return problems;
+        });
+    } catch (err) {
+        if (err.code === UNDEFINED_DATABASE) {
+            return [`there is no database "${database}"`];
+        }
+        throw err;
+    }
+}
+
+async function withConnection(config, database, run) {
+    let connection = await openPgConnection(config, database);
+    try {
+        return await run(connection);
+    } finally {
+        await connection.end();
+    }
+}
@@ -0,0 +1,126 @@
+'use strict';
+
+const canonicalize = require('./canonical-json');
+
+exports = module.exports = measure;
+exports.percentile = percentile;
+exports.compareCanonical = compareCanonical;
+exports.formatBenchmark = formatBenchmark;
+
+/**
+ * Runs the function the given number of times one after another and collects the durations.
+ *
+ * @param {function} run - async function() returning the result to check
+ * @param {number} runs
+ * @return {Promise<{times: number[], median: number, p95: number, result: *}>}
+ *         times in milliseconds, result of the first run
+ */
+async function measure(run, runs) {
+    let times = [];
+    let result;
+    for (let i = 0; i < runs; i++) {
+        let start = process.hrtime();
+        let value = await run();
+        let duration = process.hrtime(start);
+        times.push(duration[0] * 1e3 + duration[1] / 1e6);
+        if (i === 0) {
+            result = value;
+        }
+    }
+    return {times: times, median: percentile(times, 50), p95: percentile(times, 95), result: result};
+}
+
+/**
+ * Nearest-rank percentile, i.e. the 95th percentile of 5 runs is the slowest one.
+ *
+ * @param {number[]} values
+ * @param {number} p - from 0 to 100
+ * @return {number}
+ */
+function percentile(values, p) {
+    if (!values.length) {
+        return NaN;
+    }
+    let sorted = values.slice().sort((a, b) => a - b);
+    let rank = Math.ceil(p / 100 * sorted.length);
+    return sorted[Math.min(sorted.length, Math.max(rank, 1)) - 1];
+}
+
+/**
+ * Compares two results by their canonical serialization, see canonical-json.
+ * With the sort keys the rows are expected in the same order of the keys,
+ * the rows with the equal keys may go in any order.
+ *
+ * @param {*} expected - the baseline result
+ * @param {*} actual
+ * @param {string[]} [sortKeys] - dotted paths of the fields the result is sorted by
+ * @return {{identical: boolean, reason: string}} the reason describes the first difference
+ */
+function compareCanonical(expected, actual, sortKeys) {
+    if (!Array.isArray(expected) || !Array.isArray(actual)) {
+        return canonicalize(expected) === canonicalize(actual)
+            ? {identical: true, reason: ''}
+            : {identical: false, reason: 'the results are different'};
+    }
+    if (expected.length !== actual.length) {
+        return {identical: false, reason: `${actual.length} rows instead of ${expected.length}`};
+    }
+
+    sortKeys = sortKeys || [];
+    let keyOf = row => canonicalize(sortKeys.map(key => valueAt(row, key)));
+    let start = 0;
+    while (start < expected.length) {
+        let key = keyOf(expected[start]);
+        let end = start + 1;
+        while (sortKeys.length && end < expected.length && keyOf(expected[end]) === key) {
+            end++;
+        }
+        for (let i = start; i < end; i++) {
+            if (keyOf(actual[i]) !== key) {
+                return {identical: false, reason: `row ${i} is out of order`};
+            }
+        }
+        let expectedRows = expected.slice(start, end).map(canonicalize).sort();
+        let actualRows = actual.slice(start, end).map(canonicalize).sort();
+        let index = expectedRows.findIndex((row, i) => row !== actualRows[i]);
+        if (index !== -1) {
+            return {identical: false, reason: `row ${start} ${end - start > 1 ? `or one of the next ${end - start - 1} ` : ''}`
+                + `differs: ${actualRows[index]} instead of ${expectedRows[index]}`};
+        }
+        start = end;
+    }
+    return {identical: true, reason: ''};
+}
+
+/**
+ * @param {{id: string, runs: number, baseline: object, solution: object, comparison: object}} report
+ *        baseline and solution are the results of measure with the formatted `executionStats`,
+ *        solution and comparison are null when the task is not implemented
+ * @return {string}
+ */
+function formatBenchmark(report) {
+    let lines = [`${report.id}, ${report.runs} runs each:`];
+    lines.push(formatTimes('baseline', report.baseline));
+    if (!report.solution) {
+        lines.push('  solution: not implemented');
+    } else {
+        lines.push(formatTimes('solution', report.solution));
+        lines.push(`  speedup: ${(report.baseline.median / report.solution.median).toFixed(2)}x by the median, `
+            + `${(report.baseline.p95 / report.solution.p95).toFixed(2)}x by p95`);
+        lines.push(`  results: ${report.comparison.identical ? 'identical' : `different, ${report.comparison.reason}`}`);
+    }
+    lines.push('', 'Baseline:', report.baseline.executionStats);
+    if (report.solution) {
+        lines.push('', 'Solution:', report.solution.executionStats);
+    }
+    return lines.join('\n');
+}
+
+function formatTimes(label, measured) {
+    return `  ${label}: median ${measured.median.toFixed(1)} ms, p95 ${measured.p95.toFixed(1)} ms, `
+        + `min ${Math.min.apply(null, measured.times).toFixed(1)} ms`;
+}
+
+function valueAt(row, path) {
+    return path.split('.').reduce((value, key) => value !== null && typeof value === 'object' ? value[key] : undefined, row);
+}
@@ -0,0 +1,132 @@
+'use strict';
+
+const BSON = require('bson');
+const summarizeExplain = require('./mongo-explain').summarizeExplain;
+
+exports = module.exports = profilePipeline;
+exports.formatProfile = formatProfile;
+
+const SAMPLE_SIZE = 20;
+const EXPLOSION_FACTOR = 2;
+const INDEXABLE_STAGES = ['$match', '$sort'];
+const bson = new BSON();
+
+/**
+ * Runs every prefix of the pipeline: the first stage, the first two stages and so on,
+ * to find out what every stage does with the data.
+ *
+ * @param {object} db - mongodb Db
+ * @param {string} collection
+ * @param {array} pipeline
+ * @param {object} [options]
+ * @param {number} [options.explosionFactor=2] - growth of the documents count which is reported as explosion
+ * @return {Promise<{collection: string, stages: array, explosions: array, indexLostAt: object}>}
+ *         every stage is {index, name, count, avgSize, elapsed, sample, growth, plan, inMemory}
+ */
+async function profilePipeline(db, collection, pipeline, options) {
+    options = Object.assign({explosionFactor: EXPLOSION_FACTOR}, options);
+    let profile = {collection: collection, stages: [], explosions: [], indexLostAt: null};
+    let previousCount = await db.collection(collection).estimatedDocumentCount();
+
+    for (let i = 0; i < pipeline.length; i++) {
+        let prefix = pipeline.slice(0, i + 1);
+        let name = Object.keys(pipeline[i])[0];
+        if (name === '$out' || name === '$merge') {
+            break;
+        }
+
+        let startedAt = Date.now();
+        let facet = await db.collection(collection).aggregate(prefix.concat({
+            $facet: {
+                count: [{$count: 'value'}],
+                sample: [{$limit: SAMPLE_SIZE}]
+            }
+        }), {allowDiskUse: true}).toArray();
+        let elapsed = Date.now() - startedAt;
+
+        let count = facet[0].count.length ? facet[0].count[0].value : 0;
+        let sample = facet[0].sample;
+        let explain = summarizeExplain(await db.command({
+            explain: {aggregate: collection, pipeline: prefix, cursor: {}},
+            verbosity: 'queryPlanner'
+        }));
+
+        let stage = {
+            index: i + 1,
+            name: name,
+            count: count,
+            avgSize: sample.length
+                ? Math.round(sample.reduce((sum, doc) => sum + bson.calculateObjectSize(doc), 0) / sample.length)
+                : 0,
+            elapsed: elapsed,
+            sample: sample[0],
+            growth: previousCount ? count / previousCount : null,
+            plan: explain.firstStage,
+            // the stage is left in the pipeline instead of being pushed down to the query of the collection
+            inMemory: explain.stages.length > 1 && explain.stages[explain.stages.length - 1].name === name
+        };
+        profile.stages.push(stage);
+
+        if (stage.growth !== null && stage.growth >= options.explosionFactor) {
+            profile.explosions.push(stage);
+        }
+        if (!profile.indexLostAt && (stage.plan === 'COLLSCAN' && i === 0
+            || stage.inMemory && INDEXABLE_STAGES.indexOf(name) !== -1)) {
+            profile.indexLostAt = stage;
+        }
+        previousCount = count;
+    }
+
+    return profile;
+}
+
+/**
+ * @param {object} profile - see profilePipeline
+ * @param {object} [options]
+ * @param {boolean} [options.samples=true] - print a sample document of every stage
+ * @return {string}
+ */
+function formatProfile(profile, options) {
+    options = Object.assign({samples: true}, options);
+    let rows = profile.stages.map(stage => [
+        String(stage.index),
+        stage.name,
+        String(stage.count),
+        stage.growth === null ? '-' : `x${stage.growth.toFixed(2)}`,
+        formatSize(stage.avgSize),
+        String(stage.elapsed),
+        stage.inMemory ? 'in memory' : String(stage.plan)
+    ]);
+    let header = ['#', 'stage', 'docs', 'growth', 'avg size', 'time, ms', 'plan'];
+    let widths = header.map((title, i) => Math.max(title.length, ...rows.map(row => row[i].length)));
+    let formatLine = cells => cells.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd();
+
+    let lines = [`Pipeline on "${profile.collection}":`, formatLine(header)];
+    profile.stages.forEach((stage, i) => {
+        lines.push(formatLine(rows[i]));
+        if (options.samples && stage.sample) {
+            lines.push(`    sample: ${truncate(JSON.stringify(stage.sample), 200)}`);
+        }
+    });
+
+    for (let stage of profile.explosions) {
+        let previous = profile.stages[stage.index - 2];
+        lines.push(`Data explodes at stage ${stage.index} (${stage.name}): `
+            + `${previous ? previous.count : 'collection'} -> ${stage.count} documents (x${stage.growth.toFixed(2)})`);
+    }
+    if (profile.indexLostAt) {
+        let stage = profile.indexLostAt;
+        lines.push(stage.inMemory
+            ? `Indexes stop being used at stage ${stage.index} (${stage.name}): it runs in memory`
+            : `Indexes are not used: stage ${stage.index} (${stage.name}) scans the whole collection`);
+    }
+    return lines.join('\n');
+}
+
+function formatSize(bytes) {
+    return bytes >= 1024 ? `${(bytes / 1024).toFixed(1)} KB` : `${bytes} B`;
+}
+
+function truncate(text, length) {
+    return text.length > length ? text.slice(0, length - 3) + '...' : text;
+}
@@ -0,0 +1,315 @@
+'use strict';
+
+exports = module.exports = instrumentDb;
+exports.formatQueryLog = formatQueryLog;
+
+const MONGO_CURSOR_METHODS = ['find', 'aggregate', 'listIndexes'];
+const MONGO_PROMISE_METHODS = ['findOne', 'countDocuments', 'estimatedDocumentCount', 'count', 'distinct'];
+// the cursor methods which fetch the documents and the number of the documents each call returns
+const MONGO_CURSOR_READERS = {toArray: countResult, next: countResult, hasNext: () => 0, forEach: () => 0};
+// the number of the arguments which describe the write, the options follow them
+const MONGO_WRITE_METHODS = {
+    insertOne: 1, insertMany: 1, updateOne: 2, updateMany: 2, replaceOne: 2, deleteOne: 1, deleteMany: 1,
+    findOneAndUpdate: 2, findOneAndReplace: 2, findOneAndDelete: 1, bulkWrite: 1
+};
+const MAX_QUERY_LENGTH = 2000;
+
+/**
+ * Wraps the connection handed to a task so every query it sends is recorded to the log:
+ *  - mysql2/promise connection or pg client: `query` and `execute` with the SQL text and the bound parameters;
+ *  - mongodb Db: `find`, `aggregate` and the other reads of the collections with the filters and pipelines,
+ *    the writes of the data-modification tasks with the filters and the changes,
+ *    the database-level `aggregate` and `command` with the pipelines and the commands.
+ * Every entry has the duration and the number of rows (documents) returned or changed.
+ *
+ * @param {object} db - mysql2/promise connection, pg client or mongodb Db
+ * @param {array} log - receives the entries
+ * @return {object} a proxy which behaves like the original connection
+ */
+function instrumentDb(db, log) {
+    if (db && typeof db.collection === 'function') {
+        return instrumentMongoDb(db, log);
+    }
+    if (db && typeof db.query === 'function') {
+        return instrumentSqlConnection(db, log);
+    }
+    return db;
+}
+
+function instrumentSqlConnection(connection, log) {
+    return wrapMethods(connection, {
+        query: original => recordSql(original, 'query'),
+        execute: original => recordSql(original, 'execute')
+    });
+
+    function recordSql(original, operation) {
+        return async function(sql, values) {
+            let entry = {
+                engine: 'sql',
+                operation: operation,
+                // pg takes {text, values}
+                query: typeof sql === 'object' && sql !== null ? sql.sql || sql.text : sql,
+                params: values !== undefined ? values : (sql && sql.values)
+            };
+            return record(log, entry, () => original.apply(connection, arguments), result => {
+                let rows = Array.isArray(result) ? result[0] : (result && result.rows) || result;
+                return Array.isArray(rows) ? rows.length : rows && rows.affectedRows;
+            });
+        };
+    }
+}
+
+function instrumentMongoDb(db, log) {
+    return wrapMethods(db, {
+        collection: original => function(name) {
+            return instrumentCollection(original.apply(db, arguments), name, log);
+        },
+        // $documents, $currentOp and the other collection-less pipelines
+        aggregate: original => function() {
+            let entry = {
+                engine: 'mongo',
+                operation: 'db.aggregate',
+                query: arguments[0],
+                params: arguments[1],
+                modifiers: []
+            };
+            return instrumentCursor(original.apply(db, arguments), entry, log);
+        },
+        command: original => function() {
+            let args = arguments;
+            let entry = {
+                engine: 'mongo',
+                operation: 'db.command',
+                query: args[0],
+                params: args[1]
+            };
+            return record(log, entry, () => original.apply(db, args), countCommand);
+        }
+    });
+}
+
+function instrumentCollection(collection, name, log) {
+    let wrappers = {};
+    MONGO_CURSOR_METHODS.forEach(operation => {
+        wrappers[operation] = original => function() {
+            let entry = {
+                engine: 'mongo',
+                collection: name,
+                operation: `${name}.${operation}`,
+                query: arguments[0],
+                params: arguments[1],
+                modifiers: []
+            };
+            return instrumentCursor(original.apply(collection, arguments), entry, log);
+        };
+    });
+    MONGO_PROMISE_METHODS.forEach(operation => {
+        wrappers[operation] = original => function() {
+            let args = arguments;
+            let entry = {
+                engine: 'mongo',
+                collection: name,
+                operation: `${name}.${operation}`,
+                query: args[0],
+                params: args[1]
+            };
+            return record(log, entry, () => original.apply(collection, args), countResult);
+        };
+    });
+    Object.keys(MONGO_WRITE_METHODS).forEach(operation => {
+        wrappers[operation] = original => function() {
+            let args = arguments;
+            let count = MONGO_WRITE_METHODS[operation];
+            let entry = {
+                engine: 'mongo',
+                collection: name,
+                operation: `${name}.${operation}`,
+                query: count === 1 ? args[0] : Array.from(args).slice(0, count)
+            };
+            return record(log, entry, () => original.apply(collection, args), countWrite);
+        };
+    });
+    return wrapMethods(collection, wrappers);
+}
+
+/**
+ * Cursor modifiers like sort/limit/project are remembered and the query is logged when the cursor is read
+ * for the first time. A cursor is one query however it is read: `toArray`, `next` in a loop, `forEach`
+ * or `for await`, so it gets one entry which sums up the documents and the time of all the reads.
+ */
+function instrumentCursor(cursor, entry, log) {
+    let logged = false;
+    let fetch = (run, countRows) => {
+        if (!logged) {
+            logged = true;
+            entry.rows = 0;
+            entry.duration = 0;
+            log.push(entry);
+        }
+        return accumulate(entry, run, countRows);
+    };
+    let proxy = new Proxy(cursor, {
+        get(target, property) {
+            let value = target[property];
+            if (typeof value !== 'function') {
+                return value;
+            }
+            if (property === Symbol.asyncIterator) {
+                return function() {
+                    let iterator = value.apply(target, arguments);
+                    return {
+                        next: () => fetch(() => iterator.next(), step => step.done ? 0 : 1),
+                        return: () => iterator.return ? iterator.return() : Promise.resolve({done: true}),
+                        [Symbol.asyncIterator]() {
+                            return this;
+                        }
+                    };
+                };
+            }
+            if (Object.prototype.hasOwnProperty.call(MONGO_CURSOR_READERS, property)) {
+                return function() {
+                    let args = Array.from(arguments);
+                    if (property === 'forEach' && typeof args[0] === 'function') {
+                        let iterator = args[0];
+                        args[0] = function() {
+                            entry.rows++;
+                            return iterator.apply(this, arguments);
+                        };
+                    }
+                    return fetch(() => value.apply(target, args), MONGO_CURSOR_READERS[property]);
+                };
+            }
+            return function() {
+                let result = value.apply(target, arguments);
+                if (result === target) {
+                    entry.modifiers.push({[property]: arguments[0]});
+                    return proxy;
+                }
+                return result;
+            };
+        }
+    });
+    return proxy;
+}
+
+function wrapMethods(target, wrappers) {
+    return new Proxy(target, {
+        get(object, property) {
+            let value = object[property];
+            if (typeof value === 'function' && Object.prototype.hasOwnProperty.call(wrappers, property)) {
+                return wrappers[property](value);
+            }
+            return typeof value === 'function' ? value.bind(object) : value;
+        }
+    });
+}
+
+async function record(log, entry, run, countRows) {
+    let startedAt = Date.now();
+    log.push(entry);
+    try {
+        let result = await run();
+        entry.rows = countRows(result);
+        return result;
+    } catch (err) {
+        entry.error = err.message;
+        throw err;
+    } finally {
+        entry.duration = Date.now() - startedAt;
+    }
+}
+
+/**
+ * Adds the rows and the time of one more read of a cursor to its entry.
+ */
+async function accumulate(entry, run, countRows) {
+    let startedAt = Date.now();
+    try {
+        let result = await run();
+        entry.rows += countRows(result);
+        return result;
+    } catch (err) {
+        entry.error = err.message;
+        throw err;
+    } finally {
+        entry.duration += Date.now() - startedAt;
+    }
+}
+
+function countResult(result) {
+    if (Array.isArray(result)) {
+        return result.length;
+    }
+    if (typeof result === 'number') {
+        return result;
+    }
+    return result === null || result === undefined ? 0 : 1;
+}
+
+/**
+ * A command returns one document, the documents it found are in its first batch or in `n`.
+ */
+function countCommand(result) {
+    if (result && result.cursor && Array.isArray(result.cursor.firstBatch)) {
+        return result.cursor.firstBatch.length;
+    }
+    return result && typeof result.n === 'number' ? result.n : countResult(result);
+}
+
+function countWrite(result) {
+    if (result && result.value !== undefined) {
+        // findOneAnd* resolve to the document
+        return result.value === null ? 0 : 1;
+    }
+    return ['insertedCount', 'upsertedCount', 'modifiedCount', 'deletedCount']
+        .reduce((count, field) => count + (result && result[field] || 0), 0);
+}
+
+/**
+ * @param {array} log - entries recorded by instrumentDb
+ * @return {string}
+ */
+function formatQueryLog(log) {
+    if (!log.length) {
+        return 'The task did not send any queries.';
+    }
+    let lines = [`Queries sent by the task (${log.length}):`];
+    log.forEach((entry, index) => {
+        let outcome = entry.error !== undefined ? `failed: ${entry.error}` : `${entry.rows} row(s)`;
+        lines.push(`  ${index + 1}. ${entry.engine} ${entry.operation}, ${entry.duration} ms, ${outcome}`);
+        lines.push(indent(formatQuery(entry.query), '       '));
+        if (entry.params !== undefined) {
+            let label = entry.engine === 'sql' ? 'params' : 'options';
+            lines.push(`       ${label}: ${truncate(JSON.stringify(entry.params))}`);
+        }
+        if (entry.modifiers && entry.modifiers.length) {
+            lines.push(`       cursor: ${truncate(JSON.stringify(entry.modifiers))}`);
+        }
+    });
+    return lines.join('\n');
+}
+
+function formatQuery(query) {
+    if (typeof query === 'string') {
+        return truncate(dedent(query));
+    }
+    return truncate(JSON.stringify(query));
+}
+
+function dedent(text) {
+    let lines = text.replace(/^\s*\n/, '').replace(/\s+$/, '').split('\n');
+    if (!lines.some(line => line.trim())) {
+        return text;
+    }
+    let margin = Math.min(...lines.filter(line => line.trim()).map(line => line.match(/^\s*/)[0].length));
+    return lines.map(line => line.slice(margin)).join('\n');
+}
+
+function indent(text, prefix) {
+    return text.split('\n').map(line => prefix + line).join('\n');
+}
+
+function truncate(text) {
+    text = String(text);
+    return text.length > MAX_QUERY_LENGTH ? text.slice(0, MAX_QUERY_LENGTH - 3) + '...' : text;
+}
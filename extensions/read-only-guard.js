@@ -0,0 +1,259 @@
+'use strict';
+
+const splitStatements = require('./sql-statements');
+
+exports = module.exports = guardDb;
+exports.findForbiddenStatement = findForbiddenStatement;
+
+const SQL_ALLOWED = /^(\(|select|with|show|describe|desc|explain|set|table|values|begin|start\s+transaction|commit|rollback)\b/i;
+// SET GLOBAL x = 1, SET @a = 1, PERSIST x = 1, SET @@GLOBAL.x = 1 and SET PASSWORD
+const SQL_SERVER_SETTINGS = /^set\s+password\b|(^set\s+|,\s*)(global|persist|persist_only)\b|@@(global|persist|persist_only)\s*\./i;
+// SELECT ... INTO OUTFILE writes a file on the server
+const SQL_FILE_WRITE = /\binto\s+(outfile|dumpfile)\b/i;
+const SQL_CREATE_INDEX = /^create\s+((unique|fulltext|spatial)\s+)?index\b/i;
+// the statement which follows the common table expressions
+const SQL_WITH_WRITE = /\)\s*(insert|update|delete|replace)\b/i;
+const SQL_DATA_WRITE = /^(insert|update|delete|replace)\b/i;
+// end or change the transaction of the test
+const SQL_TRANSACTION = /^(begin|start\s+transaction|commit|rollback|savepoint|release|set\s+(@@(session\.)?)?autocommit|set\s+(session\s+)?transaction)\b/i;
+
+// the methods which end the transaction of a data-modification test
+const SQL_TRANSACTION_METHODS = ['beginTransaction', 'commit', 'rollback'];
+// the properties which lead to the unguarded connection, mysql2 and pg have the raw one in `connection`
+const SQL_RAW_PROPERTIES = ['connection'];
+
+const MONGO_DB_WRITES = [
+    'dropDatabase', 'dropCollection', 'createCollection', 'renameCollection', 'addUser', 'removeUser', 'eval',
+    'setProfilingLevel'
+];
+const MONGO_COLLECTION_WRITES = [
+    'insert', 'insertOne', 'insertMany', 'update', 'updateOne', 'updateMany', 'replaceOne', 'save',
+    'remove', 'removeOne', 'removeMany', 'deleteOne', 'deleteMany', 'findOneAndUpdate', 'findOneAndReplace',
+    'findOneAndDelete', 'findAndModify', '_findAndModify', 'findAndRemove', 'bulkWrite', 'initializeOrderedBulkOp',
+    'initializeUnorderedBulkOp', 'mapReduce', 'drop', 'rename', 'dropIndex', 'dropIndexes', 'dropAllIndexes', 'reIndex'
+];
+// the driver internals, `s` holds the unguarded Db and the topology runs any command
+const MONGO_RAW_PROPERTIES = ['s', 'topology'];
+const MONGO_INDEX_CREATION = ['createIndex', 'createIndexes', 'ensureIndex'];
+// the server takes the command names in any case, they are compared in lower case
+const MONGO_READ_COMMANDS = [
+    'aggregate', 'find', 'getmore', 'killcursors', 'count', 'distinct', 'explain', 'geosearch', 'listcollections',
+    'listindexes', 'listdatabases', 'collstats', 'dbstats', 'datasize', 'dbhash', 'buildinfo', 'hostinfo', 'ping',
+    'ismaster', 'hello', 'connectionstatus', 'serverstatus', 'currentop', 'getparameter'
+];
+const MONGO_WRITE_STAGES = ['$out', '$merge'];
+// the writes the session of the test is passed to, see task-transaction
+const MONGO_DATA_WRITES = [
+    'insertOne', 'insertMany', 'updateOne', 'updateMany', 'replaceOne', 'deleteOne', 'deleteMany',
+    'findOneAndUpdate', 'findOneAndReplace', 'findOneAndDelete', 'bulkWrite'
+];
+const MONGO_DATA_WRITE_COMMANDS = ['insert', 'update', 'delete', 'findandmodify'];
+const MAX_STATEMENT_LENGTH = 200;
+
+/**
+ * Wraps the connection handed to a task so it can only read: the northwind databases are shared
+ * by all the test runs, and a changed row breaks the expected results of every later run.
+ *  - mysql2/promise connection or pg client: DDL and DML statements, the server settings
+ *    and SELECT ... INTO OUTFILE are rejected;
+ *  - mongodb Db: inserts, updates, deletes, drops and aggregations with $out/$merge are rejected,
+ *    only the commands which read are run, the admin commands are checked the same way and `db.admin()` is rejected.
+ * The properties which lead to the raw connection or the driver internals are not available at all.
+ * The rejected statement is named in the error.
+ * The data-modification tasks run in a transaction of the test which is rolled back, with `allowWrites`
+ * they may change the rows, but not the schema or the transaction itself.
+ *
+ * @param {object} db - mysql2/promise connection, pg client or mongodb Db
+ * @param {object} [options]
+ * @param {boolean} [options.allowIndexes=false] - allow index creation, for the `before` hooks of the modules
+ * @param {boolean} [options.allowWrites=false] - allow INSERT, UPDATE, DELETE and the Mongo CRUD writes,
+ *                                               forbid the statements which end the transaction
+ * @return {object} a proxy which behaves like the original connection
+ */
+function guardDb(db, options) {
+    options = Object.assign({allowIndexes: false, allowWrites: false}, options);
+    if (db && typeof db.collection === 'function') {
+        return guardMongoDb(db, options);
+    }
+    if (db && typeof db.query === 'function') {
+        return guardSqlConnection(db, options);
+    }
+    return db;
+}
+
+function guardSqlConnection(connection, options) {
+    let check = original => function(sql) {
+        // pg takes {text, values}
+        let text = typeof sql === 'object' && sql !== null ? sql.sql || sql.text : sql;
+        let statement = findForbiddenStatement(text, options);
+        if (statement !== null) {
+            return Promise.reject(forbidden(`SQL statement "${truncate(statement)}"`, options));
+        }
+        return original.apply(connection, arguments);
+    };
+    let wrappers = {query: check, execute: check, prepare: check};
+    if (options.allowWrites) {
+        SQL_TRANSACTION_METHODS.forEach(method => {
+            wrappers[method] = () => reject(`db.${method}()`, options);
+        });
+    }
+    return guard(connection, wrappers, hideProperties(SQL_RAW_PROPERTIES, 'db', options));
+}
+
+/**
+ * @param {string} sql - one or several statements separated by semicolons
+ * @param {object} [options] - see guardDb
+ * @return {string} the first statement which changes the data or the schema, null if there are none
+ */
+function findForbiddenStatement(sql, options) {
+    let allowIndexes = Boolean(options && options.allowIndexes);
+    let allowWrites = Boolean(options && options.allowWrites);
+    for (let statement of splitStatements(String(sql))) {
+        let code = statement.code;
+        let settings = /^set\b/i.test(code) && SQL_SERVER_SETTINGS.test(code);
+        let allowed = allowWrites
+            ? (SQL_ALLOWED.test(code) || SQL_DATA_WRITE.test(code)) && !SQL_TRANSACTION.test(code) && !settings
+            : SQL_ALLOWED.test(code) && !settings && !(/^with\b/i.test(code) && SQL_WITH_WRITE.test(code));
+        allowed = allowed && !SQL_FILE_WRITE.test(code);
+        if (!allowed && !(allowIndexes && SQL_CREATE_INDEX.test(code))) {
+            return statement.text;
+        }
+    }
+    return null;
+}
+
+function guardMongoDb(db, options) {
+    let checkCommand = original => function(command) {
+        try {
+            checkMongoCommand(command, options);
+        } catch (err) {
+            return Promise.reject(err);
+        }
+        return original.apply(db, arguments);
+    };
+    let wrappers = {
+        collection: original => function(name) {
+            return guardCollection(original.apply(db, arguments), name, options);
+        },
+        collections: original => async function() {
+            let collections = await original.apply(db, arguments);
+            return collections.map(collection => guardCollection(collection, collection.collectionName, options));
+        },
+        aggregate: original => function(pipeline) {
+            let stage = findWriteStage(pipeline);
+            if (stage) {
+                throw forbidden(`db.aggregate with the stage ${truncate(JSON.stringify(stage))}`, options);
+            }
+            return original.apply(db, arguments);
+        },
+        command: checkCommand,
+        executeDbAdminCommand: checkCommand,
+        // the Admin object runs the commands on the admin database, there is nothing to read there for a task
+        admin: () => function() {
+            throw forbidden('db.admin()', options);
+        }
+    };
+    MONGO_DB_WRITES.forEach(operation => {
+        wrappers[operation] = () => reject(`db.${operation}`, options);
+    });
+    MONGO_INDEX_CREATION.forEach(operation => {
+        if (!options.allowIndexes) {
+            wrappers[operation] = () => reject(`db.${operation}`, options);
+        }
+    });
+    return guard(db, wrappers, hideProperties(MONGO_RAW_PROPERTIES, 'db', options));
+}
+
+function guardCollection(collection, name, options) {
+    let wrappers = {
+        aggregate: original => function(pipeline) {
+            let stage = findWriteStage(pipeline);
+            if (stage) {
+                throw forbidden(`${name}.aggregate with the stage ${truncate(JSON.stringify(stage))}`, options);
+            }
+            return original.apply(collection, arguments);
+        }
+    };
+    MONGO_COLLECTION_WRITES.forEach(operation => {
+        if (!options.allowWrites || MONGO_DATA_WRITES.indexOf(operation) === -1) {
+            wrappers[operation] = () => reject(`${name}.${operation}`, options);
+        }
+    });
+    MONGO_INDEX_CREATION.forEach(operation => {
+        if (!options.allowIndexes) {
+            wrappers[operation] = () => reject(`${name}.${operation}`, options);
+        }
+    });
+    return guard(collection, wrappers, hideProperties(MONGO_RAW_PROPERTIES, name, options));
+}
+
+/**
+ * Lets through the commands which read, the data writes with `allowWrites` and the index creation
+ * with `allowIndexes`; an explained command is checked the same way.
+ */
+function checkMongoCommand(command, options) {
+    let name = String(command && Object.keys(command)[0]).toLowerCase();
+    let allowed = MONGO_READ_COMMANDS.indexOf(name) !== -1
+        || options.allowWrites && MONGO_DATA_WRITE_COMMANDS.indexOf(name) !== -1
+        || options.allowIndexes && name === 'createindexes';
+    if (!allowed) {
+        throw forbidden(`command ${truncate(JSON.stringify(command))}`, options);
+    }
+    if (name === 'explain') {
+        checkMongoCommand(command[Object.keys(command)[0]], options);
+    }
+    let stage = name === 'aggregate' ? findWriteStage(command.pipeline) : undefined;
+    if (stage) {
+        throw forbidden(`command ${name} with the stage ${truncate(JSON.stringify(stage))}`, options);
+    }
+}
+
+function findWriteStage(pipeline) {
+    return (Array.isArray(pipeline) ? pipeline : [])
+        .find(stage => stage && MONGO_WRITE_STAGES.some(write => stage[write] !== undefined));
+}
+
+function reject(operation, options) {
+    return function() {
+        return Promise.reject(forbidden(operation, options));
+    };
+}
+
+/**
+ * @return {function} throws when the property is one of `properties`
+ */
+function hideProperties(properties, owner, options) {
+    return property => {
+        if (properties.indexOf(property) !== -1) {
+            throw forbidden(`${owner}.${property}`, options);
+        }
+    };
+}
+
+function forbidden(what, options) {
+    if (options && options.allowWrites) {
+        return new Error(`The connection runs in the transaction of the test: ${what} is not allowed. `
+            + 'The transaction is rolled back after the test, tasks may only change the rows of the existing tables'
+            + ' and may not end the transaction.');
+    }
+    return new Error(`The connection is read-only: ${what} is not allowed. `
+        + 'The database is shared by all the tests, tasks may only read the data'
+        + ' and indexes may only be created in the `before` function of the module.');
+}
+
+function guard(target, wrappers, hide) {
+    return new Proxy(target, {
+        get(object, property) {
+            hide(property);
+            let value = object[property];
+            if (typeof value === 'function' && Object.prototype.hasOwnProperty.call(wrappers, property)) {
+                return wrappers[property](value);
+            }
+            return typeof value === 'function' ? value.bind(object) : value;
+        }
+    });
+}
+
+function truncate(text) {
+    text = String(text).replace(/\s+/g, ' ');
+    return text.length > MAX_STATEMENT_LENGTH ? text.slice(0, MAX_STATEMENT_LENGTH - 3) + '...' : text;
+}
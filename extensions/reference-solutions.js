@@ -0,0 +1,42 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const guardDb = require('./read-only-guard');
+
+exports = module.exports = loadReference;
+exports.computeExpected = computeExpected;
+exports.serializeExpected = serializeExpected;
+exports.REFERENCE_DIR = process.env.REFERENCE_DIR || path.join(__dirname, '..', 'reference');
+
+/**
+ * The reference solutions mirror the task modules: reference/sql-tasks.js exports `task_1_1` and so on
+ * like task/sql-tasks.js does. The folder is not committed, REFERENCE_DIR points to another location.
+ *
+ * @param {object} manifest - see test/manifests
+ * @return {object} the exports of the reference module of the manifest, null if there is no such module
+ */
+function loadReference(manifest) {
+    let file = path.join(exports.REFERENCE_DIR, path.basename(manifest.source));
+    return fs.existsSync(file) ? require(file) : null;
+}
+
+/**
+ * Runs the reference solution against the database the task uses.
+ * The result goes through JSON the same way as the expected files, so both are compared alike.
+ *
+ * @param {function} solution - the reference function of the task
+ * @param {object} db - the connection opened in the `before` hook
+ * @param {object} [params] - the values of the params set the task is called with
+ * @return {Promise<*>}
+ */
+async function computeExpected(solution, db, params) {
+    return JSON.parse(serializeExpected(await solution(guardDb(db), params)));
+}
+
+/**
+ * @return {string} the text of an expected json file
+ */
+function serializeExpected(result) {
+    return JSON.stringify(result, null, 2);
+}
@@ -0,0 +1,442 @@
+'use strict';
+
+const assert = require('assert');
+const canonicalize = require('./canonical-json');
+
+exports = module.exports = assertResultsEqual;
+exports.compareResults = compareResults;
+exports.formatReport = formatReport;
+
+const MAX_LISTED = 10;
+const MAX_CELL_WIDTH = 40;
+const MAX_FUZZY_PAIRS = 1000000;
+const EPSILON = 1e-9;
+
+/**
+ * Compares a task result with the expected one and throws an AssertionError
+ * with a row-level report instead of dumping both arrays.
+ *
+ * @param {array|object} actual
+ * @param {array|object} expected
+ * @param {object|string} [options] - comparison options or just a message
+ * @param {string} [options.message] - a prefix for the report
+ * @param {string} [options.order] - 'ordered' (default) or 'unordered' to compare rows as a multiset
+ * @param {string[]} [options.sortKeys] - only the order of these columns matters,
+ *                                        rows with equal keys may go in any order,
+ *                                        a dotted key is a path into the nested documents
+ * @param {number} [options.tolerance] - max allowed difference of numeric values
+ */
+function assertResultsEqual(actual, expected, options) {
+    options = typeof options === 'string' ? {message: options} : (options || {});
+    let message = options.message;
+    let report = compareResults(actual, expected, options);
+    if (report.equal) {
+        return;
+    }
+    let error = new assert.AssertionError({
+        message: (message ? message + '\n' : '') + formatReport(report, options),
+        actual: actual,
+        expected: expected,
+        operator: 'assertResultsEqual'
+    });
+    // the report replaces mocha's diff of the whole results
+    error.showDiff = false;
+    throw error;
+}
+
+/**
+ * Builds a structured difference between the task result and the expected one.
+ * Single objects are compared as one-row results.
+ * Values are compared the same way as assert.deepEqual does, i.e. "3.5" equals 3.5,
+ * unless the numeric tolerance is specified.
+ *
+ * @param {array|object} actual
+ * @param {array|object} expected
+ * @param {object} [options] - see assertResultsEqual
+ * @return {{equal: boolean, shapeMismatch: boolean, actualCount: number, expectedCount: number,
+ *           firstDiffRow: number, sortKeysMismatch: boolean,
+ *           missingColumns: string[], unexpectedColumns: string[], renamedColumns: object[],
+ *           missingRows: object[], extraRows: object[], cells: object[]}}
+ */
+function compareResults(actual, expected, options) {
+    options = options || {};
+    let actualRows = toRows(actual);
+    let expectedRows = toRows(expected);
+    let sortKeys = options.sortKeys || [];
+
+    let report = {
+        equal: true,
+        shapeMismatch: Array.isArray(actual) !== Array.isArray(expected),
+        actualShape: describeShape(actual),
+        expectedShape: describeShape(expected),
+        actualCount: actualRows.length,
+        expectedCount: expectedRows.length,
+        firstDiffRow: -1,
+        sortKeysMismatch: false,
+        missingColumns: [],
+        unexpectedColumns: [],
+        renamedColumns: [],
+        missingRows: [],
+        extraRows: [],
+        cells: []
+    };
+
+    if (options.order === 'unordered') {
+        let rowDiff = diffRowSets(actualRows, expectedRows, options);
+        if (!rowDiff.missing.length && !rowDiff.extra.length && !report.shapeMismatch) {
+            return report;
+        }
+        report.equal = false;
+        report.missingRows = rowDiff.missing;
+        report.extraRows = rowDiff.extra;
+        describeColumns(report, actualRows, expectedRows, options);
+        return report;
+    }
+
+    if (sortKeys.length) {
+        report.firstDiffRow = findFirstDifference(actualRows, expectedRows, row => pick(row, sortKeys), options);
+        report.sortKeysMismatch = report.firstDiffRow !== -1;
+        if (!report.sortKeysMismatch) {
+            report.firstDiffRow = findFirstGroupDifference(actualRows, expectedRows, sortKeys, options);
+        }
+    } else {
+        report.firstDiffRow = findFirstDifference(actualRows, expectedRows, row => row, options);
+    }
+    if (report.firstDiffRow === -1 && report.shapeMismatch) {
+        report.firstDiffRow = 0;
+    }
+    if (report.firstDiffRow === -1) {
+        return report;
+    }
+    report.equal = false;
+
+    let comparedColumns = describeColumns(report, actualRows, expectedRows, options);
+    let rowDiff = diffRowSets(actualRows, expectedRows, options);
+    report.missingRows = rowDiff.missing;
+    report.extraRows = rowDiff.extra;
+
+    // inside of the groups of equal sort keys a position of a row means nothing
+    if (sortKeys.length && !report.sortKeysMismatch) {
+        return report;
+    }
+    let cellColumns = sortKeys.length ? comparedColumns.filter(column => sortKeys.indexOf(column) !== -1) : comparedColumns;
+    let commonCount = Math.min(actualRows.length, expectedRows.length);
+    for (let i = report.firstDiffRow; i < commonCount; i++) {
+        for (let column of cellColumns) {
+            let actualValue = cellOf(actualRows[i], column);
+            let expectedValue = cellOf(expectedRows[i], column);
+            if (!valuesEqual(actualValue, expectedValue, options)) {
+                report.cells.push({row: i, column: column, expected: expectedValue, actual: actualValue});
+            }
+        }
+    }
+
+    return report;
+}
+
+/**
+ * @param {object} report - see compareResults
+ * @param {object} [options] - the options the results were compared with
+ * @return {string}
+ */
+function formatReport(report, options) {
+    options = options || {};
+    let lines = [];
+    lines.push(`Results are different: ${report.expectedCount} row(s) expected, ${report.actualCount} returned.`);
+    if (options.order === 'unordered') {
+        lines.push('Rows are compared in any order.');
+    } else if (options.sortKeys && options.sortKeys.length) {
+        lines.push(`Rows are compared by the order of ${options.sortKeys.map(quote).join(', ')} only.`);
+    }
+    if (options.tolerance) {
+        lines.push(`Numbers are compared with tolerance ${options.tolerance}.`);
+    }
+    if (report.shapeMismatch) {
+        lines.push(`Expected ${report.expectedShape}, but the task returned ${report.actualShape}.`);
+    }
+    if (report.firstDiffRow !== -1) {
+        lines.push(report.sortKeysMismatch
+            ? `Rows are not in the expected order starting from row ${report.firstDiffRow}.`
+            : `First difference at row ${report.firstDiffRow}.`);
+    }
+
+    if (report.missingColumns.length) {
+        lines.push(`Missing columns: ${report.missingColumns.map(quote).join(', ')}`);
+    }
+    if (report.unexpectedColumns.length) {
+        lines.push(`Unexpected columns: ${report.unexpectedColumns.map(quote).join(', ')}`);
+    }
+    for (let rename of report.renamedColumns) {
+        lines.push(`Column ${quote(rename.actual)} looks like a renamed ${quote(rename.expected)}`);
+    }
+
+    if (report.missingRows.length) {
+        lines.push(`Missing rows (${report.missingRows.length}):`);
+        lines.push.apply(lines, listRows(report.missingRows));
+    }
+    if (report.extraRows.length) {
+        lines.push(`Extra rows (${report.extraRows.length}):`);
+        lines.push.apply(lines, listRows(report.extraRows));
+    }
+
+    if (report.cells.length) {
+        let shown = report.cells.slice(0, MAX_LISTED);
+        lines.push(`Cell differences (${shown.length} of ${report.cells.length}):`);
+        lines.push.apply(lines, formatTable(
+            ['row', 'column', 'expected', 'actual'],
+            shown.map(cell => [String(cell.row), cell.column, formatValue(cell.expected), formatValue(cell.actual)])
+        ));
+    }
+
+    return lines.join('\n');
+}
+
+function listRows(rows) {
+    let lines = rows.slice(0, MAX_LISTED).map(entry => `  #${entry.index} ${formatValue(entry.row, 120)}`);
+    if (rows.length > MAX_LISTED) {
+        lines.push(`  ... and ${rows.length - MAX_LISTED} more`);
+    }
+    return lines;
+}
+
+function formatTable(header, rows) {
+    let widths = header.map((title, i) => Math.max(title.length, ...rows.map(row => row[i].length)));
+    let formatLine = cells => '  | ' + cells.map((cell, i) => cell.padEnd(widths[i])).join(' | ') + ' |';
+    return [formatLine(header)].concat(rows.map(formatLine));
+}
+
+function formatValue(value, width) {
+    width = width || MAX_CELL_WIDTH;
+    let text = value === undefined ? 'undefined' : JSON.stringify(value);
+    return text.length > width ? text.slice(0, width - 3) + '...' : text;
+}
+
+function quote(column) {
+    return `"${column}"`;
+}
+
+function toRows(value) {
+    if (Array.isArray(value)) {
+        return value;
+    }
+    return value === undefined || value === null ? [] : [value];
+}
+
+function describeShape(value) {
+    return Array.isArray(value) ? 'an array of rows' : `a single ${value === null ? 'null' : typeof value}`;
+}
+
+function cellOf(row, column) {
+    if (row === null || typeof row !== 'object') {
+        return row;
+    }
+    if (column in row || column.indexOf('.') === -1) {
+        return row[column];
+    }
+    // a path into the nested documents of the Mongo results, i.e. answers.question_id
+    return column.split('.').reduce((value, key) => value !== null && typeof value === 'object' ? value[key] : undefined, row);
+}
+
+function pick(row, columns) {
+    return columns.map(column => cellOf(row, column));
+}
+
+/**
+ * @return {number} index of the first row which differs, the length of the shorter list
+ *                  if one list is a prefix of another one or -1 if the lists are equal
+ */
+function findFirstDifference(actualRows, expectedRows, project, options) {
+    let commonCount = Math.min(actualRows.length, expectedRows.length);
+    for (let i = 0; i < commonCount; i++) {
+        if (!valuesEqual(project(actualRows[i]), project(expectedRows[i]), options)) {
+            return i;
+        }
+    }
+    return actualRows.length !== expectedRows.length ? commonCount : -1;
+}
+
+/**
+ * Both lists have the same sort keys row by row here,
+ * so the groups of equal keys are at the same positions and compared as multisets.
+ */
+function findFirstGroupDifference(actualRows, expectedRows, sortKeys, options) {
+    let start = 0;
+    while (start < expectedRows.length) {
+        let end = start + 1;
+        while (end < expectedRows.length
+            && valuesEqual(pick(expectedRows[end], sortKeys), pick(expectedRows[start], sortKeys), options)) {
+            end++;
+        }
+        let rowDiff = diffRowSets(actualRows.slice(start, end), expectedRows.slice(start, end), options);
+        if (rowDiff.missing.length || rowDiff.extra.length) {
+            return start;
+        }
+        start = end;
+    }
+    return -1;
+}
+
+/**
+ * Fills the column differences of the report.
+ * @return {string[]} columns which are present in both results
+ */
+function describeColumns(report, actualRows, expectedRows, options) {
+    let actualColumns = collectColumns(actualRows);
+    let expectedColumns = collectColumns(expectedRows);
+    report.missingColumns = expectedColumns.filter(column => actualColumns.indexOf(column) === -1);
+    report.unexpectedColumns = actualColumns.filter(column => expectedColumns.indexOf(column) === -1);
+    report.renamedColumns = findRenames(actualRows, expectedRows, report.missingColumns, report.unexpectedColumns, options);
+    return expectedColumns.filter(column => actualColumns.indexOf(column) !== -1);
+}
+
+function collectColumns(rows) {
+    let columns = [];
+    for (let row of rows) {
+        if (row === null || typeof row !== 'object') {
+            continue;
+        }
+        for (let column of Object.keys(row)) {
+            if (columns.indexOf(column) === -1) {
+                columns.push(column);
+            }
+        }
+    }
+    return columns;
+}
+
+/**
+ * A missing column is treated as renamed when an unexpected column holds the same values in every row.
+ */
+function findRenames(actualRows, expectedRows, missingColumns, unexpectedColumns, options) {
+    let commonCount = Math.min(actualRows.length, expectedRows.length);
+    let renames = [];
+    if (!commonCount) {
+        return renames;
+    }
+    let candidates = unexpectedColumns.slice();
+    for (let expectedColumn of missingColumns) {
+        let index = candidates.findIndex(actualColumn => {
+            for (let i = 0; i < commonCount; i++) {
+                if (!valuesEqual(cellOf(actualRows[i], actualColumn), cellOf(expectedRows[i], expectedColumn), options)) {
+                    return false;
+                }
+            }
+            return true;
+        });
+        if (index !== -1) {
+            renames.push({expected: expectedColumn, actual: candidates[index]});
+            candidates.splice(index, 1);
+        }
+    }
+    return renames;
+}
+
+/**
+ * Matches rows regardless of their position, so a single missing row
+ * is reported once instead of shifting every following row.
+ * With a numeric tolerance the rows left after matching by rounded values are matched pairwise.
+ */
+function diffRowSets(actualRows, expectedRows, options) {
+    let decimals = toleranceDecimals(options);
+    let pending = new Map();
+    actualRows.forEach((row, index) => {
+        let key = canonicalKey(row, decimals);
+        if (!pending.has(key)) {
+            pending.set(key, []);
+        }
+        pending.get(key).push(index);
+    });
+
+    let missing = [];
+    expectedRows.forEach((row, index) => {
+        let matches = pending.get(canonicalKey(row, decimals));
+        if (matches && matches.length) {
+            matches.shift();
+        } else {
+            missing.push({index: index, row: row});
+        }
+    });
+
+    let extra = [];
+    pending.forEach(indexes => indexes.forEach(index => extra.push({index: index, row: actualRows[index]})));
+    extra.sort((a, b) => a.index - b.index);
+
+    if (decimals !== undefined && missing.length * extra.length <= MAX_FUZZY_PAIRS) {
+        missing = missing.filter(entry => {
+            let index = extra.findIndex(candidate => valuesEqual(candidate.row, entry.row, options));
+            if (index === -1) {
+                return true;
+            }
+            extra.splice(index, 1);
+            return false;
+        });
+    }
+
+    return {missing: missing, extra: extra};
+}
+
+function toleranceDecimals(options) {
+    if (!options || !options.tolerance) {
+        return undefined;
+    }
+    return Math.max(0, Math.ceil(-Math.log10(options.tolerance)));
+}
+
+/**
+ * Serializes a row with canonical-json, so null is not "null" and a Date is not its ISO string.
+ * Numeric strings become numbers, assert.deepEqual of the ordered mode compares them by value too,
+ * i.e. mysql2 returns DECIMAL "3.50" for 3.5. Numbers are rounded when the number of decimals is specified.
+ */
+function canonicalKey(value, decimals) {
+    return canonicalize(normalizeNumbers(value, decimals));
+}
+
+function normalizeNumbers(value, decimals) {
+    if (isNumeric(value)) {
+        return decimals === undefined ? Number(value) : Number(Number(value).toFixed(decimals));
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => normalizeNumbers(item, decimals));
+    }
+    // dates, buffers and BSON values are left to canonical-json
+    if (isPlainObject(value) && !Buffer.isBuffer(value) && value._bsontype === undefined) {
+        let normalized = {};
+        Object.keys(value).forEach(key => {
+            normalized[key] = normalizeNumbers(value[key], decimals);
+        });
+        return normalized;
+    }
+    return value;
+}
+
+function isNumeric(value) {
+    if (typeof value === 'number') {
+        return isFinite(value);
+    }
+    return typeof value === 'string' && value.trim() !== '' && isFinite(value);
+}
+
+function isPlainObject(value) {
+    // dates are compared by deepEqual below, they have no keys to compare one by one
+    return value !== null && typeof value === 'object' && !(value instanceof Date);
+}
+
+function valuesEqual(actual, expected, options) {
+    let tolerance = options && options.tolerance;
+    if (tolerance && isNumeric(actual) && isNumeric(expected)) {
+        return Math.abs(Number(actual) - Number(expected)) <= tolerance + EPSILON;
+    }
+    if (tolerance && isPlainObject(actual) && isPlainObject(expected)) {
+        let keys = Object.keys(expected);
+        return Array.isArray(actual) === Array.isArray(expected)
+            && Object.keys(actual).length === keys.length
+            && keys.every(key => Object.prototype.hasOwnProperty.call(actual, key)
+                && valuesEqual(actual[key], expected[key], options));
+    }
+    try {
+        assert.deepEqual(actual, expected);
+        return true;
+    } catch (err) {
+        return false;
+    }
+}
@@ -0,0 +1,93 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const Spec = require('mocha').reporters.Spec;
+const collectTaskResults = require('./task-results');
+
+exports = module.exports = ScoreboardReporter;
+exports.renderHtml = renderHtml;
+
+const STATUS = collectTaskResults.STATUS;
+
+/**
+ * Mocha reporter which prints the usual spec output and writes the progress of the trainee
+ * to <output>/scoreboard.json and <output>/scoreboard.html.
+ * The output folder is `reports` unless `--reporter-option output=<folder>` is passed.
+ */
+function ScoreboardReporter(runner, options) {
+    Spec.call(this, runner, options);
+
+    let reporterOptions = (options && (options.reporterOption || options.reporterOptions)) || {};
+    let output = path.resolve(reporterOptions.output || 'reports');
+
+    collectTaskResults(runner, summary => {
+        fs.mkdirSync(output, {recursive: true});
+        fs.writeFileSync(path.join(output, 'scoreboard.json'), JSON.stringify(summary, null, 2));
+        fs.writeFileSync(path.join(output, 'scoreboard.html'), renderHtml(summary));
+
+        console.log('Scoreboard:');
+        for (let module of summary.modules) {
+            console.log(`  ${module.label}: ${module.passing}/${module.total} passing, `
+                + `${module.failing} failing, ${module.notStarted} not started`);
+        }
+        console.log(`Written to ${path.relative(process.cwd(), output) || '.'}/scoreboard.{json,html}\n`);
+    });
+}
+
+Object.setPrototypeOf(ScoreboardReporter.prototype, Spec.prototype);
+
+function renderHtml(summary) {
+    let modules = summary.modules.map(module => `
+    <section>
+        <h2>${escapeHtml(module.label)} <span class="score">${module.passing}/${module.total}</span></h2>
+        <div class="progress"><div style="width: ${percent(module.passing, module.total)}%"></div></div>
+        <p>${module.failing} failing, ${module.notStarted} not started, ${module.duration} ms</p>
+        <table>
+            <tr><th>Task</th><th>Status</th><th>Time, ms</th><th>Error</th></tr>${module.tasks.map(task => `
+            <tr class="${task.status.replace(' ', '-')}">
+                <td>${escapeHtml(task.id)}</td>
+                <td>${task.status}</td>
+                <td>${task.status === STATUS.NOT_STARTED ? '' : task.duration}</td>
+                <td><pre>${escapeHtml(task.error || '')}</pre></td>
+            </tr>`).join('')}
+        </table>
+    </section>`).join('');
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <title>DB Assignments scoreboard</title>
+    <style>
+        body { font-family: sans-serif; margin: 2em; }
+        .score { color: #555; font-weight: normal; }
+        .progress { background: #eee; height: 10px; width: 400px; }
+        .progress div { background: #2ea44f; height: 100%; }
+        table { border-collapse: collapse; }
+        th, td { border: 1px solid #ddd; padding: 4px 8px; text-align: left; vertical-align: top; }
+        pre { margin: 0; max-height: 12em; overflow: auto; }
+        .passing td:nth-child(2) { color: #2ea44f; }
+        .failing td:nth-child(2) { color: #d73a49; }
+        .not-started td:nth-child(2) { color: #999; }
+    </style>
+</head>
+<body>
+    <h1>DB Assignments scoreboard</h1>
+    <p>Generated at ${escapeHtml(summary.generatedAt)} in ${summary.duration} ms</p>${modules}
+</body>
+</html>
+`;
+}
+
+function percent(value, total) {
+    return total ? Math.round(value * 100 / total) : 0;
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
@@ -0,0 +1,52 @@
+'use strict';
+
+exports = module.exports = createRandom;
+
+/**
+ * A reproducible random generator (mulberry32): the same seed gives the same sequence on every machine.
+ *
+ * @param {number|string} seed
+ * @return {{next: function, int: function, pick: function, sample: function}}
+ *         next() is in [0, 1), int(min, max) includes both bounds, pick(array) returns an item,
+ *         sample(array, count) returns `count` distinct items in the order of the array
+ */
+function createRandom(seed) {
+    let state = hashSeed(String(seed));
+
+    function next() {
+        state = (state + 0x6D2B79F5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    function int(min, max) {
+        return min + Math.floor(next() * (max - min + 1));
+    }
+
+    function pick(array) {
+        return array[int(0, array.length - 1)];
+    }
+
+    function sample(array, count) {
+        let indexes = array.map((item, index) => index);
+        for (let i = indexes.length - 1; i > 0; i--) {
+            let j = int(0, i);
+            [indexes[i], indexes[j]] = [indexes[j], indexes[i]];
+        }
+        return indexes.slice(0, count).sort((a, b) => a - b).map(index => array[index]);
+    }
+
+    return {next: next, int: int, pick: pick, sample: sample};
+}
+
+/**
+ * FNV-1a hash of the seed text
+ */
+function hashSeed(text) {
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < text.length; i++) {
+        hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+    }
+    return hash >>> 0;
+}
@@ -0,0 +1,134 @@
+'use strict';
+
+const assert = require('assert');
+
+exports = module.exports = explainQueries;
+exports.summarizePlan = summarizePlan;
+exports.formatPlans = formatPlans;
+exports.assertPlanThresholds = assertPlanThresholds;
+
+const EXPLAINABLE = /^\s*(\(\s*)*(select|with)\b/i;
+
+/**
+ * Runs EXPLAIN FORMAT=JSON for every SELECT the task sent, see query-log.
+ *
+ * @param {object} connection - mysql2/promise connection, not instrumented
+ * @param {array} log - entries recorded by query-log
+ * @return {Promise<array>} [{query, plan}] where plan is described in summarizePlan
+ */
+async function explainQueries(connection, log) {
+    let plans = [];
+    for (let entry of log) {
+        if (entry.engine !== 'sql' || entry.error !== undefined || !EXPLAINABLE.test(entry.query)) {
+            continue;
+        }
+        let result = await connection.query(`EXPLAIN FORMAT=JSON ${entry.query}`, entry.params);
+        let row = result[0][0];
+        plans.push({query: entry.query, plan: summarizePlan(JSON.parse(row.EXPLAIN || row[Object.keys(row)[0]]))});
+    }
+    return plans;
+}
+
+/**
+ * Collects the parts of a MySQL JSON plan which usually mean a slow query.
+ *
+ * @param {object} plan - parsed EXPLAIN FORMAT=JSON output
+ * @return {{cost: number, fullScans: string[], filesorts: number, temporaryTables: number,
+ *           estimatedRows: number, tables: array}}
+ */
+function summarizePlan(plan) {
+    let summary = {
+        cost: Number(plan.query_block && plan.query_block.cost_info && plan.query_block.cost_info.query_cost) || 0,
+        fullScans: [],
+        filesorts: 0,
+        temporaryTables: 0,
+        estimatedRows: 0,
+        tables: []
+    };
+    walk(plan, node => {
+        if (node.using_filesort === true) {
+            summary.filesorts++;
+        }
+        if (node.using_temporary_table === true) {
+            summary.temporaryTables++;
+        }
+        let table = node.table;
+        if (table && typeof table === 'object' && table.table_name) {
+            let rows = Number(table.rows_examined_per_scan) || 0;
+            summary.tables.push({name: table.table_name, access: table.access_type, key: table.key || null, rows: rows});
+            summary.estimatedRows += rows;
+            if (table.access_type === 'ALL') {
+                summary.fullScans.push(table.table_name);
+            }
+        }
+    });
+    return summary;
+}
+
+function walk(node, visit) {
+    if (Array.isArray(node)) {
+        node.forEach(child => walk(child, visit));
+    } else if (node !== null && typeof node === 'object') {
+        visit(node);
+        Object.keys(node).forEach(key => walk(node[key], visit));
+    }
+}
+
+/**
+ * @param {array} plans - see explainQueries
+ * @return {string}
+ */
+function formatPlans(plans) {
+    if (!plans.length) {
+        return 'No SELECT queries to explain.';
+    }
+    let lines = [`Query plans (${plans.length}):`];
+    plans.forEach((entry, index) => {
+        let plan = entry.plan;
+        lines.push(`  ${index + 1}. cost ${plan.cost}, estimated rows ${plan.estimatedRows}, `
+            + `full table scans: ${plan.fullScans.length ? plan.fullScans.join(', ') : 'none'}, `
+            + `filesorts: ${plan.filesorts}, temporary tables: ${plan.temporaryTables}`);
+        for (let table of plan.tables) {
+            lines.push(`       ${table.name}: ${table.access}${table.key ? ` by ${table.key}` : ''}, ${table.rows} row(s)`);
+        }
+    });
+    return lines.join('\n');
+}
+
+/**
+ * Fails when the plans of the task queries exceed the thresholds of the task.
+ * Every threshold is optional and is checked against the sum over all the queries of the task.
+ *
+ * @param {array} plans - see explainQueries
+ * @param {{maxFullScans: number, maxFilesorts: number, maxTemporaryTables: number, maxRows: number}} thresholds
+ */
+function assertPlanThresholds(plans, thresholds) {
+    let total = plans.reduce((sum, entry) => ({
+        fullScans: sum.fullScans + entry.plan.fullScans.length,
+        filesorts: sum.filesorts + entry.plan.filesorts,
+        temporaryTables: sum.temporaryTables + entry.plan.temporaryTables,
+        estimatedRows: sum.estimatedRows + entry.plan.estimatedRows
+    }), {fullScans: 0, filesorts: 0, temporaryTables: 0, estimatedRows: 0});
+
+    let problems = [];
+    check('full table scans', total.fullScans, thresholds.maxFullScans);
+    check('filesorts', total.filesorts, thresholds.maxFilesorts);
+    check('temporary tables', total.temporaryTables, thresholds.maxTemporaryTables);
+    check('estimated rows', total.estimatedRows, thresholds.maxRows);
+    if (!problems.length) {
+        return;
+    }
+
+    let error = new assert.AssertionError({
+        message: `The query plan needs optimization:\n  ${problems.join('\n  ')}\n${formatPlans(plans)}`,
+        operator: 'assertPlanThresholds'
+    });
+    error.showDiff = false;
+    throw error;
+
+    function check(title, value, max) {
+        if (max !== undefined && value > max) {
+            problems.push(`${title}: ${value}, allowed ${max}`);
+        }
+    }
+}
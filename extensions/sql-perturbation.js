@@ -0,0 +1,119 @@
+'use strict';
+
+const mysql = require('mysql2/promise');
+const createRandom = require('./seeded-random');
+
+exports = module.exports = perturbSqlDatabase;
+
+const CITY_SUFFIXES = ['Heights', 'Springs', 'Harbor', 'Falls', 'Junction'];
+
+/**
+ * Clones the database into a scratch one and changes the data there with seeded random perturbations:
+ * raises the prices of some products, adds copies of some orders with their details for other customers
+ * and renames some cities. A task which returns hard-coded answers does not follow these changes.
+ *
+ * @param {object} config - mysql2 connection options without the database
+ * @param {string} source - the database to clone
+ * @param {number|string} seed
+ * @return {Promise<{database: string, changes: string[], teardown: function}>}
+ */
+async function perturbSqlDatabase(config, source, seed) {
+    let scratch = `${source}_perturbed_${process.pid}`;
+    let connection = await mysql.createConnection(config);
+    try {
+        await cloneDatabase(connection, source, scratch);
+        await connection.query('USE ??', [scratch]);
+        let changes = await applyPerturbations(connection, createRandom(seed));
+        return {
+            database: scratch,
+            changes: changes,
+            teardown: async () => {
+                let cleanup = await mysql.createConnection(config);
+                try {
+                    await cleanup.query('DROP DATABASE IF EXISTS ??', [scratch]);
+                } finally {
+                    await cleanup.end();
+                }
+            }
+        };
+    } catch (err) {
+        await connection.query('DROP DATABASE IF EXISTS ??', [scratch]);
+        throw err;
+    } finally {
+        await connection.end();
+    }
+}
+
+async function cloneDatabase(connection, source, target) {
+    await connection.query('DROP DATABASE IF EXISTS ??', [target]);
+    await connection.query('CREATE DATABASE ??', [target]);
+    let objects = (await connection.query(
+        'SELECT TABLE_NAME AS name, TABLE_TYPE AS type FROM information_schema.TABLES WHERE TABLE_SCHEMA = ?',
+        [source]))[0];
+
+    for (let table of objects.filter(object => object.type === 'BASE TABLE')) {
+        await connection.query('CREATE TABLE ??.?? LIKE ??.??', [target, table.name, source, table.name]);
+        await connection.query('INSERT INTO ??.?? SELECT * FROM ??.??', [target, table.name, source, table.name]);
+    }
+
+    // views may use other views, the ones which fail are retried until nothing changes
+    let views = objects.filter(object => object.type === 'VIEW');
+    let sourcePrefix = new RegExp('`' + source.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') + '`\\.', 'g');
+    while (views.length) {
+        let failed = [];
+        for (let view of views) {
+            let definition = (await connection.query('SHOW CREATE VIEW ??.??', [source, view.name]))[0][0]['Create View'];
+            try {
+                await connection.query(definition
+                    .replace(/DEFINER=\S+\s+(SQL SECURITY \w+\s+)?/, '')
+                    .replace(sourcePrefix, '`' + target + '`.'));
+            } catch (err) {
+                failed.push(Object.assign({error: err}, view));
+            }
+        }
+        if (failed.length === views.length) {
+            throw failed[0].error;
+        }
+        views = failed;
+    }
+}
+
+/**
+ * @return {Promise<string[]>} the descriptions of the changes
+ */
+async function applyPerturbations(connection, random) {
+    let query = async (sql, values) => (await connection.query(sql, values))[0];
+    let changes = [];
+
+    let products = await query('SELECT ProductID, UnitPrice FROM Products ORDER BY ProductID');
+    let raised = random.sample(products, Math.ceil(products.length / 5));
+    for (let product of raised) {
+        await query('UPDATE Products SET UnitPrice = ? WHERE ProductID = ?',
+            [Number(product.UnitPrice) + random.int(1, 10), product.ProductID]);
+    }
+    changes.push(`raised UnitPrice of ${raised.length} products`);
+
+    let orders = await query('SELECT * FROM Orders ORDER BY OrderID');
+    let customers = await query('SELECT CustomerID FROM Customers ORDER BY CustomerID');
+    let nextId = orders[orders.length - 1].OrderID + 1;
+    let copied = random.sample(orders, random.int(3, 6));
+    for (let order of copied) {
+        let copy = Object.assign({}, order, {OrderID: nextId++, CustomerID: random.pick(customers).CustomerID});
+        await query('INSERT INTO Orders SET ?', [copy]);
+        await query(`INSERT INTO OrderDetails (OrderID, ProductID, UnitPrice, Quantity, Discount)
+                     SELECT ?, ProductID, UnitPrice, Quantity, Discount FROM OrderDetails WHERE OrderID = ?`,
+            [copy.OrderID, order.OrderID]);
+    }
+    changes.push(`added ${copied.length} copies of orders with their details for other customers`);
+
+    let cities = await query(`SELECT City FROM Customers WHERE City IS NOT NULL
+                              UNION SELECT City FROM Employees WHERE City IS NOT NULL ORDER BY City`);
+    let renamed = random.sample(cities, 3).map(row => [row.City, `${row.City} ${random.pick(CITY_SUFFIXES)}`]);
+    for (let names of renamed) {
+        await query('UPDATE Customers SET City = ? WHERE City = ?', [names[1], names[0]]);
+        await query('UPDATE Employees SET City = ? WHERE City = ?', [names[1], names[0]]);
+    }
+    changes.push(`renamed cities ${renamed.map(names => `${names[0]} -> ${names[1]}`).join(', ')}`);
+
+    return changes;
+}
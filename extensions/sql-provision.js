@@ -0,0 +1,140 @@
+'use strict';
+
+const fs = require('fs');
+const mysql = require('mysql2/promise');
+const splitStatements = require('./sql-statements');
+
+exports = module.exports = provisionSqlDatabase;
+exports.parseSqlDump = parseSqlDump;
+
+const SCHEMA_STATEMENT = /^(drop|create)\s+(schema|database)\b|^use\b/i;
+const CREATE_TABLE = /^create\s+table\s+(if\s+not\s+exists\s+)?[`"]?([^`"\s(]+)[`"]?/i;
+const INSERT = /^insert\s+into\s+[`"]?([^`"\s(]+)[`"]?\s*(\([^)]*\)\s*)?values\s*/i;
+
+/**
+ * Makes sure the tests get a database with the data of the dump.
+ * The database is used as is when it has every table of the dump with the same number of rows,
+ * otherwise the dump is loaded into a throwaway database which is dropped by `teardown`.
+ *
+ * @param {object} config - mysql2 connection options without the database
+ * @param {string} database - the database the tests are expected to use
+ * @param {string} dumpPath - e.g. dumps/northwind.sql
+ * @return {Promise<{database: string, provisioned: boolean, teardown: function}>}
+ */
+async function provisionSqlDatabase(config, database, dumpPath) {
+    let dump = parseSqlDump(fs.readFileSync(dumpPath, 'latin1'));
+    let connection = await mysql.createConnection(config);
+    try {
+        let problems = await checkDatabase(connection, database, dump.rowCounts);
+        if (!problems.length) {
+            return {database: database, provisioned: false, teardown: async () => {}};
+        }
+
+        let throwaway = `${database}_tmp_${process.pid}`;
+        console.log(`Database "${database}" does not match ${dumpPath} (${problems[0]}), `
+            + `loading the dump into "${throwaway}"`);
+        try {
+            await loadDump(connection, throwaway, dump.statements);
+        } catch (err) {
+            await connection.query('DROP DATABASE IF EXISTS ??', [throwaway]);
+            throw err;
+        }
+        return {
+            database: throwaway,
+            provisioned: true,
+            teardown: async () => {
+                let cleanup = await mysql.createConnection(config);
+                try {
+                    await cleanup.query('DROP DATABASE IF EXISTS ??', [throwaway]);
+                } finally {
+                    await cleanup.end();
+                }
+            }
+        };
+    } finally {
+        await connection.end();
+    }
+}
+
+/**
+ * @param {string} sql - the dump text
+ * @param {object} [options] - see sql-statements, {ansiQuotes: true} for the PostgreSQL dumps
+ * @return {{statements: string[], rowCounts: object}} rowCounts maps every table of the dump to the number of
+ *         rows it inserts
+ */
+function parseSqlDump(sql, options) {
+    let statements = [];
+    let rowCounts = {};
+    for (let statement of splitStatements(sql, options)) {
+        let table = CREATE_TABLE.exec(statement.code);
+        if (table) {
+            rowCounts[table[2]] = 0;
+        }
+        let insert = INSERT.exec(statement.code);
+        if (insert) {
+            rowCounts[insert[1]] = (rowCounts[insert[1]] || 0)
+                + countTuples(statement.code.slice(insert[0].length));
+        }
+        statements.push(statement);
+    }
+    return {statements: statements, rowCounts: rowCounts};
+}
+
+/**
+ * Counts the parenthesized groups at the top level, string literals are already emptied.
+ */
+function countTuples(values) {
+    let depth = 0;
+    let count = 0;
+    for (let char of values) {
+        if (char === '(') {
+            count += depth === 0 ? 1 : 0;
+            depth++;
+        } else if (char === ')') {
+            depth--;
+        }
+    }
+    return count;
+}
+
+/**
+ * @return {Promise<string[]>} the differences from the dump, empty if the database matches it
+ */
+async function checkDatabase(connection, database, rowCounts) {
+    let result = await connection.query(
+        'SELECT TABLE_NAME AS name FROM information_schema.TABLES WHERE TABLE_SCHEMA = ? AND TABLE_TYPE = ?',
+        [database, 'BASE TABLE']);
+    let existing = result[0].map(row => row.name);
+    if (!existing.length) {
+        return [`there is no database "${database}"`];
+    }
+
+    let problems = [];
+    for (let table of Object.keys(rowCounts)) {
+        let name = existing.find(name => name.toLowerCase() === table.toLowerCase());
+        if (!name) {
+            problems.push(`there is no table ${table}`);
+            continue;
+        }
+        let count = (await connection.query('SELECT COUNT(*) AS count FROM ??.??', [database, name]))[0][0].count;
+        if (count !== rowCounts[table]) {
+            problems.push(`${table} has ${count} rows instead of ${rowCounts[table]}`);
+        }
+    }
+    return problems;
+}
+
+/**
+ * Runs the dump statements in the given database, the dump's own schema statements are replaced.
+ * The dump changes the session settings, so it gets the connection which is not used by the tests.
+ */
+async function loadDump(connection, database, statements) {
+    await connection.query('DROP DATABASE IF EXISTS ??', [database]);
+    await connection.query('CREATE DATABASE ?? DEFAULT CHARACTER SET latin1', [database]);
+    await connection.query('USE ??', [database]);
+    for (let statement of statements) {
+        if (!SCHEMA_STATEMENT.test(statement.code)) {
+            await connection.query(statement.text);
+        }
+    }
+}
@@ -0,0 +1,58 @@
+'use strict';
+
+exports = module.exports = splitStatements;
+
+/**
+ * Splits the SQL by the semicolons which are not in strings or comments.
+ * `code` of every statement has the comments removed and the string literals emptied so keywords are not
+ * looked for inside them, `text` is the statement as it was written.
+ *
+ * @param {string} sql
+ * @param {object} [options]
+ * @param {boolean} [options.ansiQuotes=false] - "name" is an identifier as in PostgreSQL, not a string
+ * @return {array} [{code, text}]
+ */
+function splitStatements(sql, options) {
+    let identifierQuotes = options && options.ansiQuotes ? ['`', '"'] : ['`'];
+    let statements = [];
+    let code = '';
+    let start = 0;
+    let i = 0;
+    while (i < sql.length) {
+        let char = sql[i];
+        let next = sql[i + 1];
+        if (char === '\'' || char === '"' || char === '`') {
+            let end = i + 1;
+            while (end < sql.length && sql[end] !== char) {
+                end += sql[end] === '\\' ? 2 : 1;
+            }
+            // identifiers are kept, string literals are emptied
+            code += identifierQuotes.indexOf(char) !== -1 ? sql.slice(i, end + 1) : char + char;
+            i = end + 1;
+        } else if (char === '-' && next === '-' || char === '#') {
+            let end = sql.indexOf('\n', i);
+            i = end === -1 ? sql.length : end;
+        } else if (char === '/' && next === '*' && sql[i + 2] === '!') {
+            // MySQL executes the content of /*! ... */ comments, so the markers are dropped and the content is kept
+            let match = /^\/\*!\d*/.exec(sql.slice(i));
+            code += ' ';
+            i += match[0].length;
+        } else if (char === '/' && next === '*') {
+            let end = sql.indexOf('*/', i + 2);
+            code += ' ';
+            i = end === -1 ? sql.length : end + 2;
+        } else if (char === '*' && next === '/') {
+            code += ' ';
+            i += 2;
+        } else if (char === ';') {
+            statements.push({code: code.trim(), text: sql.slice(start, i).trim()});
+            code = '';
+            start = ++i;
+        } else {
+            code += char;
+            i++;
+        }
+    }
+    statements.push({code: code.trim(), text: sql.slice(start).trim()});
+    return statements.filter(statement => statement.code);
+}
@@ -0,0 +1,360 @@
+'use strict';
+
+const fs = require('fs');
+const BSON = require('bson');
+const splitStatements = require('./sql-statements');
+
+exports = module.exports = convertTables;
+exports.readSqlDump = readSqlDump;
+exports.readMysqlTables = readMysqlTables;
+exports.convertDumpFile = convertDumpFile;
+
+const CREATE_TABLE = /^create\s+table\s+(if\s+not\s+exists\s+)?`?([^`\s(]+)`?/i;
+const COLUMN = /^`?(\w+)`?\s*([a-z]+)\s*(\(\s*(\d+)\s*(,\s*(\d+)\s*)?\))?/i;
+const COLUMN_DEFAULT = /\bdefault\s+('(?:[^'\\]|\\.|'')*'|-?[\d.]+|null\b|\w+)/i;
+const NOT_A_COLUMN = /^(primary|foreign|unique|key|index|check|constraint|fulltext)\b/i;
+const LEGACY_NUMBER = /^-?\d+(\.\d+)?$/;
+
+/**
+ * Converts the tables of the SQL database into Mongo collections, one document per row.
+ * The values are stored the way MySQL stores them in the column types, then written with one of the typings:
+ *  - 'typed' - DATE/DATETIME become Date, NULL becomes null, BLOB becomes binary data;
+ *  - 'legacy' - the typing of dumps/northwind_mongodb: dates are strings like "1996-07-04 00:00:00.000",
+ *    NULL is the string "NULL", numeric strings (postal codes) become numbers, BLOB is a hex string.
+ * The collections are named after the tables in kebab case: OrderDetails becomes order-details.
+ *
+ * @param {array} tables - [{name, columns: [{name, type, scale}], rows}], see readSqlDump and readMysqlTables
+ * @param {object} [options]
+ * @param {string} [options.typing] - 'typed' (default) or 'legacy'
+ * @param {boolean} [options.embedDetails] - embed the OrderDetails rows into their orders as `OrderDetails`
+ *                                           instead of the order-details collection
+ * @return {array} [{name, documents}]
+ */
+function convertTables(tables, options) {
+    options = Object.assign({}, options);
+    options.typing = options.typing || 'typed';
+    if (options.typing !== 'typed' && options.typing !== 'legacy') {
+        throw new Error(`Unknown typing "${options.typing}", expected typed or legacy`);
+    }
+
+    let collections = tables.map(table => ({
+        name: collectionName(table.name),
+        documents: table.rows.map(row => {
+            let document = {_id: new BSON.ObjectID()};
+            for (let column of table.columns) {
+                document[column.name] = convertValue(row[column.name], column, options.typing);
+            }
+            return document;
+        })
+    }));
+
+    if (options.embedDetails) {
+        let orders = collections.find(collection => collection.name === 'orders');
+        let details = collections.find(collection => collection.name === 'order-details');
+        if (!orders || !details) {
+            throw new Error('There are no Orders and OrderDetails tables to embed the details');
+        }
+        let byOrder = new Map(orders.documents.map(order => {
+            order.OrderDetails = [];
+            return [order.OrderID, order.OrderDetails];
+        }));
+        for (let detail of details.documents) {
+            let embedded = Object.assign({}, detail);
+            delete embedded._id;
+            delete embedded.OrderID;
+            if (!byOrder.has(detail.OrderID)) {
+                throw new Error(`OrderDetails refer to the missing order ${detail.OrderID}`);
+            }
+            byOrder.get(detail.OrderID).push(embedded);
+        }
+        collections.splice(collections.indexOf(details), 1);
+    }
+    return collections;
+}
+
+/**
+ * Reads the tables and rows of a SQL dump without a database: the columns of CREATE TABLE statements
+ * and the values of INSERT statements. AUTO_INCREMENT columns get their values the way MySQL assigns them.
+ *
+ * @param {string} sql - the dump text
+ * @return {array} [{name, columns: [{name, type, length, scale, autoIncrement, notNull, primaryKey, default}],
+ *         constraints, rows}], the values are strings, null or Buffer (X'..'), `constraints` are the definitions
+ *         of the table which are not columns, i.e. "PRIMARY KEY (`OrderID`,`ProductID`)"
+ */
+function readSqlDump(sql) {
+    let tables = new Map();
+    for (let statement of splitStatements(sql)) {
+        let create = CREATE_TABLE.exec(statement.code);
+        if (create) {
+            let definitions = parseDefinitions(statement.text);
+            tables.set(create[2].toLowerCase(), {
+                name: create[2],
+                columns: parseColumns(definitions),
+                constraints: definitions.filter(part => NOT_A_COLUMN.test(part)),
+                rows: []
+            });
+            continue;
+        }
+        if (/^insert\b/i.test(statement.code)) {
+            let insert = parseInsert(statement.text);
+            let table = tables.get(insert.table.toLowerCase());
+            if (!table) {
+                throw new Error(`INSERT INTO ${insert.table} goes before CREATE TABLE ${insert.table}`);
+            }
+            let names = insert.columns || table.columns.map(column => column.name);
+            for (let values of insert.rows) {
+                if (values.length !== names.length) {
+                    throw new Error(`INSERT INTO ${insert.table} has ${values.length} values for ${names.length} columns`);
+                }
+                let row = {};
+                names.forEach((name, i) => {
+                    row[name] = values[i];
+                });
+                table.rows.push(assignAutoIncrement(table, row));
+            }
+        }
+    }
+    return Array.from(tables.values());
+}
+
+/**
+ * Converts the tables of the SQL dump file, for the modules which run on the collections built from dumps/northwind.sql.
+ *
+ * @param {string} dumpPath
+ * @param {object} [options] - see convertTables
+ * @return {array} [{name, documents}]
+ */
+function convertDumpFile(dumpPath, options) {
+    return convertTables(readSqlDump(fs.readFileSync(dumpPath, 'latin1')), options);
+}
+
+/**
+ * Reads the tables and rows of a live MySQL database.
+ * The connection has to be opened with `dateStrings: true`, otherwise the dates are shifted by the time zone.
+ *
+ * @param {object} connection - mysql2/promise connection
+ * @param {string} database
+ * @return {Promise<array>} the same as readSqlDump
+ */
+async function readMysqlTables(connection, database) {
+    let columns = (await connection.query(
+        `SELECT c.TABLE_NAME AS tableName, c.COLUMN_NAME AS name, c.DATA_TYPE AS type, c.NUMERIC_SCALE AS scale
+         FROM information_schema.COLUMNS c
+         JOIN information_schema.TABLES t ON t.TABLE_SCHEMA = c.TABLE_SCHEMA AND t.TABLE_NAME = c.TABLE_NAME
+         WHERE c.TABLE_SCHEMA = ? AND t.TABLE_TYPE = 'BASE TABLE'
+         ORDER BY c.TABLE_NAME, c.ORDINAL_POSITION`, [database]))[0];
+
+    let tables = new Map();
+    for (let column of columns) {
+        if (!tables.has(column.tableName)) {
+            tables.set(column.tableName, {name: column.tableName, columns: [], rows: []});
+        }
+        tables.get(column.tableName).columns.push({name: column.name, type: column.type.toLowerCase(), scale: column.scale});
+    }
+    for (let table of tables.values()) {
+        table.rows = (await connection.query('SELECT * FROM ??.??', [database, table.name]))[0];
+    }
+    return Array.from(tables.values());
+}
+
+function collectionName(table) {
+    return table.replace(/([a-z0-9])([A-Z])/g, '$1-$2').toLowerCase();
+}
+
+function convertValue(value, column, typing) {
+    if (value === null || value === undefined) {
+        return typing === 'legacy' ? 'NULL' : null;
+    }
+    switch (column.type) {
+        case 'int': case 'integer': case 'tinyint': case 'smallint': case 'mediumint': case 'bigint':
+            return Math.round(Number(value));
+        case 'decimal': case 'numeric': {
+            // DECIMAL without the scale keeps no decimal places, i.e. the prices of northwind.sql lose the cents
+            let factor = Math.pow(10, column.scale || 0);
+            let number = Number(value);
+            return Math.sign(number) * Math.round(Math.abs(number) * factor) / factor;
+        }
+        case 'real': case 'double': case 'float':
+            return Number(value);
+        case 'date': case 'datetime': case 'timestamp': {
+            let date = new Date(`${String(value).replace(' ', 'T').slice(0, 23)}${/\d\d:\d\d/.test(value) ? '' : 'T00:00'}Z`);
+            if (isNaN(date.getTime())) {
+                // zero dates of ALLOW_INVALID_DATES have no Date
+                return String(value);
+            }
+            return typing === 'legacy' ? date.toISOString().replace('T', ' ').replace('Z', '') : date;
+        }
+        case 'blob': case 'tinyblob': case 'mediumblob': case 'longblob': case 'binary': case 'varbinary':
+            return typing === 'legacy' ? '0x' + Buffer.from(value).toString('hex').toUpperCase() : Buffer.from(value);
+        default:
+            value = String(value);
+            return typing === 'legacy' && LEGACY_NUMBER.test(value) ? Number(value) : value;
+    }
+}
+
+function assignAutoIncrement(table, row) {
+    let column = table.columns.find(column => column.autoIncrement);
+    if (!column) {
+        return row;
+    }
+    let value = row[column.name];
+    if (value === null || value === undefined || Number(value) === 0) {
+        row[column.name] = String(table.nextId || 1);
+    }
+    table.nextId = Math.max(table.nextId || 1, Number(row[column.name]) + 1);
+    return row;
+}
+
+/**
+ * @param {string} code - CREATE TABLE statement as it is written in the dump, the defaults keep their strings
+ * @return {string[]} the column and constraint definitions
+ */
+function parseDefinitions(code) {
+    let body = code.slice(code.indexOf('(') + 1, code.lastIndexOf(')'));
+    let parts = [];
+    let depth = 0;
+    let start = 0;
+    for (let i = 0; i < body.length; i++) {
+        if (body[i] === '(') {
+            depth++;
+        } else if (body[i] === ')') {
+            depth--;
+        } else if (body[i] === ',' && depth === 0) {
+            parts.push(body.slice(start, i));
+            start = i + 1;
+        }
+    }
+    parts.push(body.slice(start));
+    return parts.map(part => part.trim()).filter(part => part);
+}
+
+/**
+ * @param {string[]} definitions - see parseDefinitions
+ * @return {array} [{name, type, length, scale, autoIncrement, notNull, primaryKey, default}],
+ *         `default` is the SQL text of the DEFAULT value
+ */
+function parseColumns(definitions) {
+    return definitions.filter(part => !NOT_A_COLUMN.test(part)).map(part => {
+        let match = COLUMN.exec(part);
+        if (!match) {
+            throw new Error(`Can not parse the column definition "${part}"`);
+        }
+        let defaultValue = COLUMN_DEFAULT.exec(part);
+        return {
+            name: match[1],
+            type: match[2].toLowerCase(),
+            length: match[4] === undefined ? undefined : Number(match[4]),
+            scale: match[6] === undefined ? undefined : Number(match[6]),
+            autoIncrement: /\bauto_increment\b/i.test(part),
+            notNull: /\bnot\s+null\b/i.test(part),
+            primaryKey: /\bprimary\s+key\b/i.test(part),
+            default: defaultValue ? defaultValue[1] : undefined
+        };
+    });
+}
+
+/**
+ * @param {string} text - INSERT statement as it is written in the dump
+ * @return {{table: string, columns: string[], rows: array[]}} columns is undefined when the statement has no column list
+ */
+function parseInsert(text) {
+    let tokens = tokenize(text);
+    let position = 0;
+    let next = () => tokens[position++] || {type: 'end', value: ''};
+    let is = (token, value) => token.type !== 'string' && String(token.value).toLowerCase() === value;
+    let expect = value => {
+        let token = next();
+        if (!is(token, value)) {
+            throw new Error(`Expected "${value}" instead of "${token.value}" in ${text.slice(0, 80)}`);
+        }
+    };
+
+    expect('insert');
+    expect('into');
+    let insert = {table: next().value, columns: undefined, rows: []};
+    if (is(tokens[position] || {}, '(')) {
+        position++;
+        insert.columns = [];
+        for (let token = next(); !is(token, ')'); token = next()) {
+            if (!is(token, ',')) {
+                insert.columns.push(token.value);
+            }
+        }
+    }
+    expect('values');
+    do {
+        expect('(');
+        let values = [];
+        for (let token = next(); !is(token, ')'); token = next()) {
+            if (token.type === 'end') {
+                throw new Error(`Unterminated VALUES in ${text.slice(0, 80)}`);
+            }
+            if (!is(token, ',')) {
+                values.push(token.type === 'null' ? null : token.value);
+            }
+        }
+        insert.rows.push(values);
+    } while (is(next(), ','));
+    return insert;
+}
+
+/**
+ * Splits the statement into words, punctuation and literals, the comments are skipped.
+ * String literals are unescaped, X'..' literals become Buffers.
+ */
+function tokenize(text) {
+    let tokens = [];
+    let i = 0;
+    while (i < text.length) {
+        let char = text[i];
+        let rest = text.slice(i, i + 2);
+        if (/\s/.test(char)) {
+            i++;
+        } else if (char === '#' || rest === '--') {
+            let end = text.indexOf('\n', i);
+            i = end === -1 ? text.length : end;
+        } else if (rest === '/*') {
+            let end = text.indexOf('*/', i + 2);
+            i = end === -1 ? text.length : end + 2;
+        } else if (/^x'/i.test(rest)) {
+            let end = text.indexOf('\'', i + 2);
+            tokens.push({type: 'binary', value: Buffer.from(text.slice(i + 2, end), 'hex')});
+            i = end + 1;
+        } else if (char === '\'' || char === '"') {
+            let value = '';
+            let end = i + 1;
+            while (end < text.length) {
+                if (text[end] === '\\') {
+                    value += unescape(text[end + 1]);
+                    end += 2;
+                } else if (text[end] === char && text[end + 1] === char) {
+                    value += char;
+                    end += 2;
+                } else if (text[end] === char) {
+                    break;
+                } else {
+                    value += text[end++];
+                }
+            }
+            tokens.push({type: 'string', value: value});
+            i = end + 1;
+        } else if (char === '`') {
+            let end = text.indexOf('`', i + 1);
+            tokens.push({type: 'word', value: text.slice(i + 1, end)});
+            i = end + 1;
+        } else if (/[(),;]/.test(char)) {
+            tokens.push({type: 'punctuation', value: char});
+            i++;
+        } else {
+            let match = /^[^\s(),;'"`]+/.exec(text.slice(i));
+            let word = match[0];
+            tokens.push(/^null$/i.test(word) ? {type: 'null', value: null} : {type: 'word', value: word});
+            i += word.length;
+        }
+    }
+    return tokens;
+}
+
+function unescape(char) {
+    return {'0': '\0', 'b': '\b', 'n': '\n', 'r': '\r', 't': '\t', 'Z': '\x1a'}[char] || char;
+}
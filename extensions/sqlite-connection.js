@@ -0,0 +1,923 @@
+'use strict';
+
+const fs = require('fs');
+const splitStatements = require('./sql-statements');
+const readSqlDump = require('./sql-to-mongo').readSqlDump;
+
+exports = module.exports = openSqliteConnection;
+exports.translateQuery = translateQuery;
+
+const CREATE_VIEW = /^create\s+(or\s+replace\s+)?(algorithm\s*=\s*\w+\s+)?(definer\s*=\s*\S+\s+)?(sql\s+security\s+\w+\s+)?view\b/i;
+const DROP_VIEW = /^drop\s+view\b/i;
+const MYSQL_ONLY = /^(explain|describe|desc|show|use|lock|unlock)\b/i;
+const KEY_CONSTRAINT = /^(primary\s+key|unique)\b/i;
+const DATE_PARTS = /^(\d{4})-(\d{1,2})-(\d{1,2})(?:[ T](\d{1,2}):(\d{1,2})(?::(\d{1,2})(?:\.(\d{1,6}))?)?)?$/;
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October',
+    'November', 'December'];
+const DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const CAST_TYPES = {
+    signed: 'INTEGER', unsigned: 'INTEGER', integer: 'INTEGER', int: 'INTEGER',
+    decimal: 'REAL', numeric: 'REAL', double: 'REAL', float: 'REAL', real: 'REAL',
+    char: 'TEXT', varchar: 'TEXT', nchar: 'TEXT', date: 'TEXT', datetime: 'TEXT', binary: 'BLOB'
+};
+
+let sqlJs;
+
+/**
+ * Loads the dump into an in-memory SQLite database and returns a connection which behaves like
+ * a mysql2/promise one: `query` and `execute` resolve to [rows, fields] for SELECT
+ * and to [{affectedRows, insertId}] for the other statements, so the tasks run without a MySQL server.
+ *
+ * The MySQL dialect is translated where SQLite differs: backtick identifiers, strings in double quotes,
+ * `/` always divides without truncation, `||` and `&&` are OR and AND, GROUP_CONCAT(... SEPARATOR ...),
+ * EXTRACT(unit FROM ...), CAST(... AS SIGNED | DECIMAL(m, d)), DATE_ADD(..., INTERVAL n unit),
+ * INSERT IGNORE and ON DUPLICATE KEY UPDATE, the names of ORDER BY are looked up in the select list first
+ * (see resolveOrderByNames), and the MySQL functions the tasks use are added,
+ * see registerMysqlFunctions. AVG and ROUND round
+ * the way MySQL does, see rewriteAverage and round, the other arithmetic is the one of the doubles.
+ * The text columns compare case-insensitively as in the default MySQL collations.
+ * Dates are stored as 'YYYY-MM-DD HH:MM:SS' strings and returned as strings.
+ * The tables keep the primary keys, the unique keys, NOT NULL and the defaults of the dump,
+ * the DECIMAL columns round the written values to their scale, see loadTables.
+ *
+ * @param {string} dumpPath - e.g. dumps/northwind.sql
+ * @return {Promise<object>} the connection, `end` closes the database
+ */
+async function openSqliteConnection(dumpPath) {
+    // sql.js is loaded on the first connection, the MySQL runs do not need it
+    sqlJs = sqlJs || require('sql.js')();
+    let SQL = await sqlJs;
+    let db = new SQL.Database();
+    try {
+        registerMysqlFunctions(db);
+        let sql = fs.readFileSync(dumpPath, 'latin1');
+        loadTables(db, readSqlDump(sql));
+        loadViews(db, sql);
+    } catch (err) {
+        db.close();
+        throw err;
+    }
+    return createConnection(db);
+}
+
+function createConnection(db) {
+    let closed = false;
+    let close = () => {
+        if (!closed) {
+            closed = true;
+            db.close();
+        }
+    };
+    let run = async (sql, values) => {
+        if (sql !== null && typeof sql === 'object') {
+            values = values !== undefined ? values : sql.values;
+            sql = sql.sql;
+        }
+        try {
+            return runStatement(db, translateQuery(sql, values));
+        } catch (err) {
+            // the same fields as the errors of mysql2
+            err.sqlMessage = err.message;
+            err.sql = sql;
+            throw err;
+        }
+    };
+    return {
+        query: run,
+        execute: run,
+        beginTransaction: () => run('BEGIN'),
+        commit: () => run('COMMIT'),
+        rollback: () => run('ROLLBACK'),
+        end: async () => close(),
+        close: close,
+        destroy: close
+    };
+}
+
+function runStatement(db, translated) {
+    let statement = db.prepare(translated.sql, translated.params);
+    try {
+        let names = statement.getColumnNames();
+        if (!names.length) {
+            statement.step();
+            let insertId = db.exec('SELECT last_insert_rowid()')[0].values[0][0];
+            return [{fieldCount: 0, affectedRows: db.getRowsModified(), insertId: insertId, warningStatus: 0}, undefined];
+        }
+        let rows = [];
+        while (statement.step()) {
+            let values = statement.get();
+            let row = {};
+            names.forEach((name, i) => {
+                row[name] = values[i] instanceof Uint8Array ? Buffer.from(values[i]) : values[i];
+            });
+            rows.push(row);
+        }
+        return [rows, names.map(name => ({name: name}))];
+    } finally {
+        statement.free();
+    }
+}
+
+/**
+ * Translates a MySQL statement to SQLite and inlines the placeholders the way mysql2 does:
+ * an array value of `?` becomes a list, `??` is an identifier.
+ *
+ * @param {string} sql
+ * @param {array} [values]
+ * @return {{sql: string, params: array}}
+ */
+function translateQuery(sql, values) {
+    let statements = splitStatements(sql).filter(statement => statement.code.trim());
+    if (statements.length > 1) {
+        throw new Error('Only one statement can be sent at once');
+    }
+    let code = statements.length ? statements[0].code.trim() : '';
+    if (MYSQL_ONLY.test(code)) {
+        throw new Error(`"${code.split(/\s+/)[0].toUpperCase()}" is not supported by the SQLite engine, run it on MySQL`);
+    }
+    let params = [];
+    let pending = (values || []).slice();
+    let tokens = tokenize(sql).map(token => {
+        if (token.type !== 'placeholder') {
+            return token;
+        }
+        if (!pending.length) {
+            throw new Error('There are more placeholders than values');
+        }
+        let value = pending.shift();
+        if (token.value === '??') {
+            let names = Array.isArray(value) ? value : [value];
+            return {type: 'raw', value: names.map(name => String(name).split('.').map(quoteIdentifier).join('.')).join(', ')};
+        }
+        // numbered, the rewrites may repeat an expression
+        let list = Array.isArray(value) ? value : [value];
+        return {type: 'raw', value: list.map(item => '?' + params.push(toSqliteValue(item))).join(', ')};
+    });
+    return {sql: render(rewriteUpsert(rewrite(group(tokens)))), params: params};
+}
+
+/**
+ * MySQL tokens: strings with backslash escapes, `identifiers`, comments with -- , # and /* *\/.
+ */
+function tokenize(sql) {
+    let tokens = [];
+    let i = 0;
+    while (i < sql.length) {
+        let rest = sql.slice(i);
+        let char = sql[i];
+        let match;
+        if (char === '\'' || char === '"') {
+            let value = '';
+            let end = i + 1;
+            while (end < sql.length) {
+                if (sql[end] === '\\' && end + 1 < sql.length) {
+                    value += unescape(sql[end + 1]);
+                    end += 2;
+                } else if (sql[end] === char && sql[end + 1] === char) {
+                    value += char;
+                    end += 2;
+                } else if (sql[end] === char) {
+                    break;
+                } else {
+                    value += sql[end++];
+                }
+            }
+            if (end >= sql.length) {
+                throw new Error(`Unterminated string in ${truncate(sql)}`);
+            }
+            tokens.push({type: 'string', value: value});
+            i = end + 1;
+        } else if (char === '`') {
+            let end = sql.indexOf('`', i + 1);
+            if (end === -1) {
+                throw new Error(`Unterminated identifier in ${truncate(sql)}`);
+            }
+            tokens.push({type: 'identifier', value: sql.slice(i + 1, end)});
+            i = end + 1;
+        } else if ((match = /^(--(\s|$)|#)[^\n]*/.exec(rest)) || (match = /^\/\*(?!!)[\s\S]*?(\*\/|$)/.exec(rest))) {
+            tokens.push({type: 'space', value: ' '});
+            i += match[0].length;
+        } else if ((match = /^\/\*!\d*/.exec(rest)) || (match = /^\*\//.exec(rest))) {
+            // MySQL runs the content of /*! ... */ comments
+            tokens.push({type: 'space', value: ' '});
+            i += match[0].length;
+        } else if ((match = /^\s+/.exec(rest))) {
+            tokens.push({type: 'space', value: match[0]});
+            i += match[0].length;
+        } else if ((match = /^(\d+(\.\d*)?|\.\d+)(e[+-]?\d+)?/i.exec(rest))) {
+            tokens.push({type: 'number', value: match[0]});
+            i += match[0].length;
+        } else if ((match = /^[a-z_$@][\w$@]*/i.exec(rest))) {
+            tokens.push({type: 'word', value: match[0]});
+            i += match[0].length;
+        } else if ((match = /^\?\??/.exec(rest))) {
+            tokens.push({type: 'placeholder', value: match[0]});
+            i += match[0].length;
+        } else if ((match = /^(<=>|<=|>=|<>|!=|\|\||&&|:=|<<|>>)/.exec(rest))) {
+            tokens.push({type: 'operator', value: match[0]});
+            i += match[0].length;
+        } else {
+            tokens.push({type: char === '(' || char === ')' || char === ',' ? char : 'operator', value: char});
+            i++;
+        }
+    }
+    return tokens;
+}
+
+function unescape(char) {
+    return {'0': '\0', 'b': '\b', 'n': '\n', 'r': '\r', 't': '\t', 'Z': '\x1a'}[char] || char;
+}
+
+/**
+ * Nests the tokens between the parentheses into {type: 'group', children}.
+ */
+function group(tokens) {
+    let root = {type: 'group', children: []};
+    let stack = [root];
+    for (let token of tokens) {
+        if (token.type === '(') {
+            let node = {type: 'group', children: []};
+            stack[stack.length - 1].children.push(node);
+            stack.push(node);
+        } else if (token.type === ')') {
+            if (stack.length === 1) {
+                throw new Error('Unbalanced parentheses');
+            }
+            stack.pop();
+        } else {
+            stack[stack.length - 1].children.push(token);
+        }
+    }
+    if (stack.length !== 1) {
+        throw new Error('Unbalanced parentheses');
+    }
+    return root.children;
+}
+
+function rewrite(nodes) {
+    let result = [];
+    for (let index = 0; index < nodes.length; index++) {
+        let node = nodes[index];
+        if (node.type === 'group') {
+            let call = previousWord(result);
+            if (isWord(call, 'avg') && !isWord(nodes.slice(index + 1).find(next => next.type !== 'space'), 'over')) {
+                renameCall(result, 'MYSQL_AVG');
+                result.push({type: 'group', children: rewriteAverage(rewrite(node.children))});
+                continue;
+            }
+            let children = rewriteCall(call ? call.value.toLowerCase() : '', node.children, result);
+            result.push({type: 'group', children: rewrite(children)});
+            continue;
+        }
+        if (node.type === 'operator' && node.value === '/') {
+            // MySQL never truncates the quotient of integers
+            result.push({type: 'raw', value: '* 1.0 /'});
+        } else if (node.type === 'operator' && (node.value === '||' || node.value === '&&')) {
+            result.push({type: 'raw', value: node.value === '||' ? 'OR' : 'AND'});
+        } else if (node.type === 'operator' && node.value === '<=>') {
+            result.push({type: 'raw', value: 'IS'});
+        } else if (isWord(node, 'div')) {
+            result.push({type: 'raw', value: '/'});
+        } else if (isWord(node, 'rlike')) {
+            result.push({type: 'raw', value: 'REGEXP'});
+        } else {
+            result.push(node);
+        }
+    }
+    return resolveOrderByNames(result);
+}
+
+/**
+ * MySQL looks the names of ORDER BY up in the select list first, SQLite in the tables first, so
+ * `SELECT c.CustomerID ... JOIN Orders o ... ORDER BY CustomerID` is ambiguous in SQLite only.
+ * Such a name is replaced with the position of the column, e.g. ORDER BY 1.
+ * The names of several columns of the select list stay as they are, MySQL rejects them too.
+ */
+function resolveOrderByNames(nodes) {
+    let words = nodes.filter(node => node.type !== 'space');
+    let select = words.findIndex(node => isWord(node, 'select'));
+    let order = words.findIndex((node, i) => i > select && isWord(node, 'order') && isWord(words[i + 1], 'by'));
+    if (select === -1 || order === -1) {
+        return nodes;
+    }
+    let from = words.findIndex((node, i) => i > select && isWord(node, 'from'));
+    let columns = splitArguments(words.slice(select + 1, from === -1 ? order : from));
+    let names = columns.map(column => {
+        let parts = column.filter(node => !['distinct', 'distinctrow', 'all'].some(word => isWord(node, word)));
+        let qualified = parts.length >= 3 && parts.every((node, i) => i % 2
+            ? node.type === 'operator' && node.value === '.'
+            : node.type === 'word' || node.type === 'identifier');
+        return qualified ? parts[parts.length - 1].value.toLowerCase() : null;
+    });
+    // the alias or the column name ends every column of the select list
+    let outputNames = columns.map(column => column[column.length - 1])
+        .filter(node => node && (node.type === 'word' || node.type === 'identifier'))
+        .map(node => node.value.toLowerCase());
+
+    let end = words.findIndex((node, i) => i > order && ['limit', 'for', 'lock'].some(word => isWord(node, word)));
+    let terms = splitArguments(words.slice(order + 2, end === -1 ? words.length : end));
+    let result = nodes.slice();
+    for (let term of terms) {
+        let name = term[0];
+        if (!name || name.type !== 'word' && name.type !== 'identifier'
+            || term.length > 2 || term.length === 2 && !isWord(term[1], 'asc') && !isWord(term[1], 'desc')) {
+            continue;
+        }
+        let key = name.value.toLowerCase();
+        let position = names.indexOf(key);
+        // an alias of the name is resolved by SQLite itself
+        if (position !== -1 && outputNames.filter(outputName => outputName === key).length === 1) {
+            result[result.indexOf(name)] = {type: 'number', value: String(position + 1)};
+        }
+    }
+    return result;
+}
+
+/**
+ * INSERT IGNORE -> INSERT OR IGNORE,
+ * ON DUPLICATE KEY UPDATE x = VALUES(x) -> ON CONFLICT DO UPDATE SET x = excluded.x.
+ * SQLite needs a WHERE in INSERT ... SELECT ... ON CONFLICT, i.e. WHERE true.
+ */
+function rewriteUpsert(nodes) {
+    let words = nodes.filter(node => node.type !== 'space');
+    if (isWord(words[0], 'insert') && isWord(words[1], 'ignore')) {
+        words[1].value = 'OR IGNORE';
+    }
+    let start = words.findIndex((node, i) => isWord(node, 'on') && isWord(words[i + 1], 'duplicate')
+        && isWord(words[i + 2], 'key') && isWord(words[i + 3], 'update'));
+    if (start === -1) {
+        return nodes;
+    }
+    let on = nodes.indexOf(words[start]);
+    let update = nodes.indexOf(words[start + 3]);
+    let result = nodes.slice(0, on).concat({type: 'raw', value: 'ON CONFLICT DO UPDATE SET'});
+    for (let index = update + 1; index < nodes.length; index++) {
+        let next = nodes.slice(index + 1).find(node => node.type !== 'space');
+        if (isWord(nodes[index], 'values') && next && next.type === 'group') {
+            result.push({type: 'raw', value: 'excluded.'}, ...next.children.filter(node => node.type !== 'space'));
+            index = nodes.indexOf(next);
+        } else {
+            result.push(nodes[index]);
+        }
+    }
+    return result;
+}
+
+/**
+ * Rewrites the arguments of the MySQL functions with a syntax of their own.
+ * `before` are the rewritten nodes before the call, the function name may be replaced there.
+ */
+function rewriteCall(name, children, before) {
+    let args = splitArguments(children);
+    switch (name) {
+        case 'extract': {
+            // EXTRACT(YEAR FROM date) -> EXTRACT('YEAR', date)
+            let from = children.findIndex(node => isWord(node, 'from'));
+            return [unitString(children.slice(0, from)), {type: ','}].concat(children.slice(from + 1));
+        }
+        case 'timestampdiff':
+        case 'timestampadd':
+            return [unitString(args[0]), {type: ','}].concat(children.slice(args[0].length + 1));
+        case 'date_add':
+        case 'date_sub':
+        case 'adddate':
+        case 'subdate': {
+            // DATE_ADD(date, INTERVAL 1 DAY) -> DATE_ADD(date, 1, 'DAY')
+            let interval = args[1] || [];
+            let start = interval.findIndex(node => isWord(node, 'interval'));
+            if (start === -1) {
+                return children;
+            }
+            let rest = interval.slice(start + 1).filter(node => node.type !== 'space');
+            let unit = rest.pop();
+            return args[0].concat({type: ','}, rest, {type: ','}, unitString([unit]));
+        }
+        case 'cast': {
+            // CAST(x AS DECIMAL(10, 2)) -> ROUND(CAST(x AS REAL), 2)
+            let as = children.map((node, i) => isWord(node, 'as') ? i : -1).filter(i => i !== -1).pop();
+            if (as === undefined) {
+                return children;
+            }
+            let target = children.slice(as + 1).filter(node => node.type !== 'space');
+            let type = target[0] && target[0].type === 'word' ? target[0].value.toLowerCase() : '';
+            if (CAST_TYPES[type] === 'INTEGER') {
+                // CAST(x AS SIGNED) -> CAST_INTEGER(x), MySQL rounds the numbers and truncates the strings
+                renameCall(before, 'CAST_INTEGER');
+                return children.slice(0, as);
+            }
+            let expression = children.slice(0, as + 1).concat({type: 'space', value: ' '},
+                {type: 'raw', value: CAST_TYPES[type] || 'TEXT'});
+            let precision = target.find(node => node.type === 'group');
+            let scale = precision ? splitArguments(precision.children)[1] : undefined;
+            if ((type === 'decimal' || type === 'numeric') && (!precision || scale)) {
+                // DECIMAL without the scale is DECIMAL(10, 0)
+                renameCall(before, 'ROUND');
+                return [{type: 'word', value: 'CAST'}, {type: 'group', children: expression},
+                    {type: ','}].concat(scale || [{type: 'number', value: '0'}]);
+            }
+            return expression;
+        }
+        case 'convert':
+            // CONVERT(x, SIGNED) -> CAST(x AS SIGNED)
+            if (args.length === 2) {
+                renameCall(before, 'CAST');
+                return rewriteCall('cast', args[0].concat({type: 'space', value: ' '}, {type: 'word', value: 'AS'},
+                    {type: 'space', value: ' '}, args[1]), before);
+            }
+            return children;
+        case 'substring':
+        case 'substr':
+        case 'mid':
+            // SUBSTRING(s FROM 2 FOR 3) -> SUBSTRING(s, 2, 3)
+            return children.map(node => isWord(node, 'from') || isWord(node, 'for') ? {type: ','} : node);
+        case 'position': {
+            // POSITION(sub IN s) -> INSTR(s, sub)
+            let within = children.findIndex(node => isWord(node, 'in'));
+            if (within === -1) {
+                return children;
+            }
+            renameCall(before, 'INSTR');
+            return children.slice(within + 1).concat({type: ','}, children.slice(0, within));
+        }
+        case 'group_concat':
+            return rewriteGroupConcat(children);
+        default:
+            return children;
+    }
+}
+
+/**
+ * AVG(x) -> MYSQL_AVG(AVG(x), MAX(typeof(x) = 'real')): MySQL averages the exact values with 4 more decimals
+ * and the doubles as doubles. The window AVG stays the one of SQLite.
+ */
+function rewriteAverage(children) {
+    let distinct = children.findIndex(node => node.type !== 'space');
+    let values = isWord(children[distinct], 'distinct') ? children.slice(distinct + 1) : children;
+    return [{type: 'raw', value: 'AVG'}, {type: 'group', children: children}, {type: ','},
+        {type: 'raw', value: 'MAX'}, {type: 'group', children: [
+            {type: 'raw', value: 'typeof'}, {type: 'group', children: values}, {type: 'raw', value: ' = \'real\''}]}];
+}
+
+/**
+ * GROUP_CONCAT(DISTINCT x ORDER BY y SEPARATOR ', ') -> GROUP_CONCAT(DISTINCT x, ', ' ORDER BY y),
+ * the separator of MySQL is a comma without a space.
+ */
+function rewriteGroupConcat(children) {
+    let separator = children.findIndex(node => isWord(node, 'separator'));
+    let separatorValue = separator === -1 ? [{type: 'string', value: ','}] : children.slice(separator + 1);
+    let rest = separator === -1 ? children : children.slice(0, separator);
+    let order = rest.findIndex((node, i) => isWord(node, 'order') && rest.slice(i + 1).some(next => isWord(next, 'by')));
+    let expression = order === -1 ? rest : rest.slice(0, order);
+    let ordering = order === -1 ? [] : rest.slice(order);
+    if (expression.some(node => isWord(node, 'distinct'))) {
+        // SQLite does not take a separator with DISTINCT, the comma is the only separator then
+        return expression.concat(ordering);
+    }
+    return expression.concat({type: ','}, separatorValue, {type: 'space', value: ' '}, ordering);
+}
+
+function splitArguments(children) {
+    let args = [[]];
+    for (let node of children) {
+        if (node.type === ',') {
+            args.push([]);
+        } else {
+            args[args.length - 1].push(node);
+        }
+    }
+    return args;
+}
+
+function unitString(nodes) {
+    let unit = nodes.filter(node => node.type !== 'space').map(node => node.value).join('');
+    return {type: 'string', value: unit.toUpperCase()};
+}
+
+function renameCall(nodes, name) {
+    let index = nodes.length - 1;
+    while (index >= 0 && nodes[index].type === 'space') {
+        index--;
+    }
+    nodes[index] = {type: 'raw', value: name};
+}
+
+function previousWord(nodes) {
+    for (let i = nodes.length - 1; i >= 0; i--) {
+        if (nodes[i].type !== 'space') {
+            return nodes[i].type === 'word' || nodes[i].type === 'raw' ? nodes[i] : null;
+        }
+    }
+    return null;
+}
+
+function isWord(node, value) {
+    return node && node.type === 'word' && node.value.toLowerCase() === value;
+}
+
+function render(nodes) {
+    return nodes.map(node => {
+        switch (node.type) {
+            case 'group':
+                return '(' + render(node.children) + ')';
+            case 'string':
+                return '\'' + node.value.replace(/'/g, '\'\'') + '\'';
+            case 'identifier':
+                return quoteIdentifier(node.value);
+            case ',':
+                return ',';
+            default:
+                return node.value;
+        }
+    }).join('');
+}
+
+function quoteIdentifier(name) {
+    return '"' + String(name).replace(/"/g, '""') + '"';
+}
+
+function toSqliteValue(value) {
+    if (value === undefined) {
+        return null;
+    }
+    if (typeof value === 'boolean') {
+        return value ? 1 : 0;
+    }
+    if (value instanceof Date) {
+        // mysql2 sends the dates in the local time zone
+        let pad = number => String(number).padStart(2, '0');
+        return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())} `
+            + `${pad(value.getHours())}:${pad(value.getMinutes())}:${pad(value.getSeconds())}`;
+    }
+    if (Buffer.isBuffer(value)) {
+        return new Uint8Array(value);
+    }
+    return value;
+}
+
+function truncate(sql) {
+    return sql.length > 80 ? sql.slice(0, 80) + '...' : sql;
+}
+
+/**
+ * Creates the tables with their keys and loads the rows. The DECIMAL columns get triggers
+ * which round the inserted and updated values to the scale of the column the way MySQL stores them,
+ * i.e. UnitPrice * 1.08 is stored without the cents.
+ */
+function loadTables(db, tables) {
+    for (let table of tables) {
+        let definitions = table.columns.map(columnDefinition).concat(table.constraints
+            .filter(constraint => KEY_CONSTRAINT.test(constraint))
+            .map(constraint => constraint.replace(/`([^`]*)`/g, (match, name) => quoteIdentifier(name))));
+        db.run(`CREATE TABLE ${quoteIdentifier(table.name)} (${definitions.join(', ')})`);
+        if (table.rows.length) {
+            loadRows(db, table);
+        }
+        for (let column of table.columns.filter(column => column.type === 'decimal' || column.type === 'numeric')) {
+            for (let event of ['INSERT', `UPDATE OF ${quoteIdentifier(column.name)}`]) {
+                let name = quoteIdentifier(`${table.name}_${column.name}_${event.split(' ')[0].toLowerCase()}`);
+                let stored = `MYSQL_DECIMAL(NEW.${quoteIdentifier(column.name)}, ${column.scale || 0})`;
+                db.run(`CREATE TRIGGER ${name} AFTER ${event} ON ${quoteIdentifier(table.name)}
+                    WHEN NEW.${quoteIdentifier(column.name)} <> ${stored}
+                    BEGIN
+                        UPDATE ${quoteIdentifier(table.name)} SET ${quoteIdentifier(column.name)} = ${stored}
+                        WHERE rowid = NEW.rowid;
+                    END`);
+            }
+        }
+    }
+}
+
+function loadRows(db, table) {
+    let insert = db.prepare(`INSERT INTO ${quoteIdentifier(table.name)} VALUES (${table.columns.map(() => '?').join(', ')})`);
+    try {
+        db.run('BEGIN');
+        for (let row of table.rows) {
+            insert.run(table.columns.map(column => storedValue(row[column.name], column)));
+        }
+        db.run('COMMIT');
+    } finally {
+        insert.free();
+    }
+}
+
+/**
+ * Runs the view statements of the dump in their order, the dump recreates some of the views.
+ */
+function loadViews(db, sql) {
+    for (let statement of splitStatements(sql)) {
+        let code = statement.code.trim();
+        if (CREATE_VIEW.test(code) || DROP_VIEW.test(code)) {
+            db.run(translateQuery(statement.text.trim().replace(CREATE_VIEW, 'CREATE VIEW')).sql);
+        }
+    }
+}
+
+function columnDefinition(column) {
+    let definition = `${quoteIdentifier(column.name)} ${columnType(column)}`;
+    if (column.primaryKey && !column.autoIncrement) {
+        definition += ' PRIMARY KEY';
+    }
+    if (column.notNull) {
+        definition += ' NOT NULL';
+    }
+    if (column.default !== undefined) {
+        definition += ` DEFAULT ${column.default}`;
+    }
+    return definition;
+}
+
+function columnType(column) {
+    switch (column.type) {
+        case 'int': case 'integer': case 'tinyint': case 'smallint': case 'mediumint': case 'bigint':
+            return column.autoIncrement ? 'INTEGER PRIMARY KEY' : 'INTEGER';
+        case 'decimal': case 'numeric':
+            return 'NUMERIC';
+        case 'real': case 'double': case 'float':
+            return 'REAL';
+        case 'date': case 'datetime': case 'timestamp':
+            return 'TEXT';
+        case 'blob': case 'tinyblob': case 'mediumblob': case 'longblob': case 'binary': case 'varbinary':
+            return 'BLOB';
+        default:
+            return 'TEXT COLLATE NOCASE';
+    }
+}
+
+/**
+ * The value the way MySQL stores it in the column, see readSqlDump.
+ */
+function storedValue(value, column) {
+    if (value === null || value === undefined) {
+        return null;
+    }
+    switch (column.type) {
+        case 'int': case 'integer': case 'tinyint': case 'smallint': case 'mediumint': case 'bigint':
+            return Math.round(Number(value));
+        case 'decimal': case 'numeric': {
+            // DECIMAL without the scale keeps no decimal places, i.e. the prices of northwind.sql lose the cents
+            let factor = Math.pow(10, column.scale || 0);
+            let number = Number(value);
+            return Math.sign(number) * Math.round(Math.abs(number) * factor) / factor;
+        }
+        case 'real': case 'double': case 'float':
+            return Number(value);
+        case 'date': case 'datetime': case 'timestamp': {
+            let date = parseDate(String(value));
+            return date ? formatDate(date, '%Y-%m-%d %T') : String(value);
+        }
+        case 'blob': case 'tinyblob': case 'mediumblob': case 'longblob': case 'binary': case 'varbinary':
+            return new Uint8Array(Buffer.from(value));
+        default:
+            return String(value);
+    }
+}
+
+/**
+ * The MySQL functions SQLite does not have or has with another behavior.
+ * Every function returns NULL for a NULL argument the way MySQL does, CONCAT included.
+ */
+function registerMysqlFunctions(db) {
+    let functions = {
+        concat: variadic(args => args.some(isNull) ? null : args.map(String).join('')),
+        concat_ws: variadic(args => isNull(args[0]) ? null : args.slice(1).filter(arg => !isNull(arg)).join(args[0])),
+        greatest: variadic(args => args.some(isNull) ? null : args.reduce((a, b) => b > a ? b : a)),
+        least: variadic(args => args.some(isNull) ? null : args.reduce((a, b) => b < a ? b : a)),
+        left: nullable((text, length) => String(text).slice(0, Math.max(0, length))),
+        right: nullable((text, length) => length > 0 ? String(text).slice(-length) : ''),
+        lpad: nullable((text, length, filler) => pad(String(text), length, filler, true)),
+        rpad: nullable((text, length, filler) => pad(String(text), length, filler, false)),
+        locate: variadic(args => args.slice(0, 3).some(isNull) ? null
+            : String(args[1]).toLowerCase().indexOf(String(args[0]).toLowerCase(), (args[2] || 1) - 1) + 1),
+        substring_index: nullable(substringIndex),
+        char_length: nullable(text => String(text).length),
+        character_length: nullable(text => String(text).length),
+        lcase: nullable(text => String(text).toLowerCase()),
+        ucase: nullable(text => String(text).toUpperCase()),
+        reverse: nullable(text => Array.from(String(text)).reverse().join('')),
+        repeat: nullable((text, count) => String(text).repeat(Math.max(0, count))),
+        space: nullable(count => ' '.repeat(Math.max(0, count))),
+        format: nullable((number, decimals) => Number(number).toLocaleString('en-US', {
+            minimumFractionDigits: Math.max(0, decimals),
+            maximumFractionDigits: Math.max(0, decimals)
+        })),
+        truncate: nullable((number, decimals) => {
+            let factor = Math.pow(10, decimals);
+            return Math.trunc(number * factor) / factor;
+        }),
+        date_format: nullable((value, format) => withDate(value, date => formatDate(date, String(format)))),
+        year: nullable(value => withDate(value, date => date.year)),
+        month: nullable(value => withDate(value, date => date.month)),
+        day: nullable(value => withDate(value, date => date.day)),
+        dayofmonth: nullable(value => withDate(value, date => date.day)),
+        hour: nullable(value => withDate(value, date => date.hour)),
+        minute: nullable(value => withDate(value, date => date.minute)),
+        second: nullable(value => withDate(value, date => date.second)),
+        quarter: nullable(value => withDate(value, date => Math.ceil(date.month / 3))),
+        dayofweek: nullable(value => withDate(value, date => weekday(date) + 1)),
+        weekday: nullable(value => withDate(value, date => (weekday(date) + 6) % 7)),
+        dayofyear: nullable(value => withDate(value, date => (utc(date) - Date.UTC(date.year, 0, 1)) / 86400000 + 1)),
+        dayname: nullable(value => withDate(value, date => DAYS[weekday(date)])),
+        monthname: nullable(value => withDate(value, date => MONTHS[date.month - 1])),
+        extract: nullable((unit, value) => withDate(value, date => extract(String(unit), date))),
+        datediff: nullable((a, b) => withDate(a, first => withDate(b, second =>
+            (Date.UTC(first.year, first.month - 1, first.day) - Date.UTC(second.year, second.month - 1, second.day))
+            / 86400000))),
+        timestampdiff: nullable((unit, a, b) => withDate(a, first => withDate(b, second =>
+            timestampDiff(String(unit), first, second)))),
+        date_add: nullable((value, amount, unit) => withDate(value, date => addInterval(date, amount, String(unit)))),
+        date_sub: nullable((value, amount, unit) => withDate(value, date => addInterval(date, -amount, String(unit)))),
+        now: () => formatDate(fromJsDate(new Date()), '%Y-%m-%d %T'),
+        curdate: () => formatDate(fromJsDate(new Date()), '%Y-%m-%d'),
+        regexp: (pattern, text) => isNull(pattern) || isNull(text) ? null
+            : Number(new RegExp(String(pattern), 'i').test(String(text))),
+        cast_integer: nullable(value => typeof value === 'number' ? round(value, 0)
+            : parseInt(String(value).trim(), 10) || 0),
+        mysql_decimal: nullable((value, scale) => storedValue(value, {type: 'decimal', scale: scale})),
+        mysql_avg: (average, inexact) => isNull(average) || inexact ? average : round(average, 4, true),
+        round: variadic(args => args.some(isNull) ? null : round(Number(args[0]), args.length > 1 ? args[1] : 0))
+    };
+    functions.adddate = functions.date_add;
+    functions.subdate = functions.date_sub;
+    functions.current_date = functions.curdate;
+    functions.sysdate = functions.now;
+    for (let name of Object.keys(functions)) {
+        db.create_function(name, functions[name]);
+    }
+
+    function pad(text, length, filler, left) {
+        if (text.length >= length) {
+            return text.slice(0, length);
+        }
+        let padding = String(filler).repeat(length).slice(0, length - text.length);
+        return left ? padding + text : text + padding;
+    }
+}
+
+/**
+ * sql.js registers a function with the number of its declared parameters, -1 is any number.
+ */
+function variadic(fn) {
+    let wrapper = function() {
+        return fn(Array.from(arguments));
+    };
+    Object.defineProperty(wrapper, 'length', {value: -1});
+    return wrapper;
+}
+
+function nullable(fn) {
+    let wrapper = function() {
+        return Array.from(arguments).some(isNull) ? null : fn.apply(null, arguments);
+    };
+    Object.defineProperty(wrapper, 'length', {value: fn.length});
+    return wrapper;
+}
+
+/**
+ * ROUND of MySQL: the halves of the integers go away from zero as for the exact values,
+ * the halves of the other numbers go to the even digit as for the doubles, i.e. ROUND(1.5625, 3) is 1.562.
+ */
+function round(number, decimals, exact) {
+    let factor = Math.pow(10, Math.abs(decimals));
+    let scaled = decimals >= 0 ? number * factor : number / factor;
+    let rounded;
+    if (exact || Number.isInteger(number)) {
+        rounded = Math.sign(scaled) * Math.round(Math.abs(scaled));
+    } else {
+        rounded = Math.abs(scaled % 1) === 0.5 ? 2 * Math.round(scaled / 2) : Math.round(scaled);
+    }
+    return decimals >= 0 ? rounded / factor : rounded * factor;
+}
+
+function isNull(value) {
+    return value === null || value === undefined;
+}
+
+function substringIndex(text, delimiter, count) {
+    let parts = String(text).split(String(delimiter));
+    return count >= 0 ? parts.slice(0, count).join(delimiter) : parts.slice(count).join(delimiter);
+}
+
+function withDate(value, fn) {
+    let date = parseDate(String(value));
+    return date ? fn(date) : null;
+}
+
+function parseDate(text) {
+    let match = DATE_PARTS.exec(text.trim());
+    if (!match) {
+        return null;
+    }
+    return {
+        year: Number(match[1]), month: Number(match[2]), day: Number(match[3]),
+        hour: Number(match[4] || 0), minute: Number(match[5] || 0), second: Number(match[6] || 0),
+        microsecond: Number((match[7] || '').padEnd(6, '0'))
+    };
+}
+
+function fromJsDate(value) {
+    return {
+        year: value.getFullYear(), month: value.getMonth() + 1, day: value.getDate(),
+        hour: value.getHours(), minute: value.getMinutes(), second: value.getSeconds(), microsecond: 0
+    };
+}
+
+function utc(date) {
+    return Date.UTC(date.year, date.month - 1, date.day, date.hour, date.minute, date.second);
+}
+
+function weekday(date) {
+    return new Date(Date.UTC(date.year, date.month - 1, date.day)).getUTCDay();
+}
+
+/**
+ * The specifiers of MySQL DATE_FORMAT, an unknown one is written without the %.
+ */
+function formatDate(date, format) {
+    let pad = (number, length) => String(number).padStart(length || 2, '0');
+    let hour12 = date.hour % 12 || 12;
+    let ordinal = date.day % 10 === 1 && date.day !== 11 ? 'st' : date.day % 10 === 2 && date.day !== 12 ? 'nd'
+        : date.day % 10 === 3 && date.day !== 13 ? 'rd' : 'th';
+    let specifiers = {
+        Y: pad(date.year, 4), y: pad(date.year % 100), m: pad(date.month), c: date.month, d: pad(date.day), e: date.day,
+        H: pad(date.hour), k: date.hour, h: pad(hour12), I: pad(hour12), l: hour12, i: pad(date.minute),
+        s: pad(date.second), S: pad(date.second), f: pad(date.microsecond, 6), p: date.hour < 12 ? 'AM' : 'PM',
+        T: `${pad(date.hour)}:${pad(date.minute)}:${pad(date.second)}`,
+        r: `${pad(hour12)}:${pad(date.minute)}:${pad(date.second)} ${date.hour < 12 ? 'AM' : 'PM'}`,
+        M: MONTHS[date.month - 1], b: MONTHS[date.month - 1].slice(0, 3),
+        W: DAYS[weekday(date)], a: DAYS[weekday(date)].slice(0, 3), w: weekday(date), D: date.day + ordinal,
+        j: pad((Date.UTC(date.year, date.month - 1, date.day) - Date.UTC(date.year, 0, 1)) / 86400000 + 1, 3)
+    };
+    return format.replace(/%(.)/g, (all, specifier) => specifiers[specifier] !== undefined
+        ? String(specifiers[specifier])
+        : specifier);
+}
+
+function extract(unit, date) {
+    switch (unit.toUpperCase()) {
+        case 'YEAR': return date.year;
+        case 'QUARTER': return Math.ceil(date.month / 3);
+        case 'MONTH': return date.month;
+        case 'DAY': return date.day;
+        case 'HOUR': return date.hour;
+        case 'MINUTE': return date.minute;
+        case 'SECOND': return date.second;
+        case 'YEAR_MONTH': return date.year * 100 + date.month;
+        default: throw new Error(`EXTRACT(${unit} FROM ...) is not supported by the SQLite engine`);
+    }
+}
+
+function addInterval(date, amount, unit) {
+    amount = Number(amount);
+    let result = Object.assign({}, date);
+    switch (unit.toUpperCase()) {
+        case 'YEAR': return clampDay(Object.assign(result, {year: date.year + amount}));
+        case 'QUARTER': return addInterval(date, amount * 3, 'MONTH');
+        case 'MONTH': {
+            let months = date.year * 12 + date.month - 1 + amount;
+            return clampDay(Object.assign(result, {year: Math.floor(months / 12), month: months % 12 + 1}));
+        }
+        case 'WEEK': return addInterval(date, amount * 7, 'DAY');
+        case 'DAY': return shift(date, amount * 86400000);
+        case 'HOUR': return shift(date, amount * 3600000);
+        case 'MINUTE': return shift(date, amount * 60000);
+        case 'SECOND': return shift(date, amount * 1000);
+        default: throw new Error(`INTERVAL ${unit} is not supported by the SQLite engine`);
+    }
+
+    function clampDay(value) {
+        let last = new Date(Date.UTC(value.year, value.month, 0)).getUTCDate();
+        value.day = Math.min(value.day, last);
+        return formatDate(value, '%Y-%m-%d %T');
+    }
+
+    function shift(value, milliseconds) {
+        let moved = new Date(utc(value) + milliseconds);
+        return formatDate({
+            year: moved.getUTCFullYear(), month: moved.getUTCMonth() + 1, day: moved.getUTCDate(),
+            hour: moved.getUTCHours(), minute: moved.getUTCMinutes(), second: moved.getUTCSeconds(), microsecond: 0
+        }, '%Y-%m-%d %T');
+    }
+}
+
+function timestampDiff(unit, first, second) {
+    let months = (second.year - first.year) * 12 + second.month - first.month;
+    // a month is complete when the rest of the second date reaches the rest of the first one
+    let rest = date => ((((date.day * 24 + date.hour) * 60 + date.minute) * 60) + date.second);
+    if (months > 0 && rest(second) < rest(first)) {
+        months--;
+    } else if (months < 0 && rest(second) > rest(first)) {
+        months++;
+    }
+    let milliseconds = utc(second) - utc(first);
+    switch (unit.toUpperCase()) {
+        case 'YEAR': return Math.trunc(months / 12);
+        case 'QUARTER': return Math.trunc(months / 3);
+        case 'MONTH': return months;
+        case 'WEEK': return Math.trunc(milliseconds / 604800000);
+        case 'DAY': return Math.trunc(milliseconds / 86400000);
+        case 'HOUR': return Math.trunc(milliseconds / 3600000);
+        case 'MINUTE': return Math.trunc(milliseconds / 60000);
+        case 'SECOND': return Math.trunc(milliseconds / 1000);
+        default: throw new Error(`TIMESTAMPDIFF(${unit}, ...) is not supported by the SQLite engine`);
+    }
+}
@@ -0,0 +1,210 @@
+'use strict';
+
+const mysql = require('mysql2/promise');
+const MongoClient = require('mongodb').MongoClient;
+const loadConfig = require('./db-config');
+const provisionSqlDatabase = require('./sql-provision');
+const provisionMongoDatabase = require('./mongo-provision');
+const generateAwesomeDb = require('./awesomedb-generator');
+const convertTables = require('./sql-to-mongo');
+const openSqliteConnection = require('./sqlite-connection');
+const provisionPgDatabase = require('./pg-provision');
+const openPgConnection = require('./pg-connection');
+const perturbSqlDatabase = require('./sql-perturbation');
+const perturbMongoDatabase = require('./mongo-perturbation');
+const guardDb = require('./read-only-guard');
+
+exports = module.exports = withTaskDatabase;
+exports.openTaskDatabase = openTaskDatabase;
+exports.setupTaskDatabase = setupTaskDatabase;
+
+/**
+ * Opens the connection of the task module the same way its test does, for the scripts which run tasks
+ * outside of mocha, see openTaskDatabase.
+ *
+ * @param {string} name - the task module name, see db-config
+ * @param {object} manifest - see test/manifests
+ * @param {function} run - async function(db, client), db is a mysql2 connection, its SQLite equivalent, a pg client
+ *                        or a mongodb Db, client is the MongoClient of the Db
+ * @return {Promise} resolves when `run` finishes and the connection is closed
+ */
+async function withTaskDatabase(name, manifest, run) {
+    let database = await openTaskDatabase(name, manifest);
+    try {
+        return await run(database.db, database.client);
+    } finally {
+        await database.close();
+    }
+}
+
+/**
+ * Opens the connection of the task module: the database is checked against the dump, the converted SQL dump
+ * or the generated data of the manifest and provisioned if needed. With the sqlite SQL engine the dump is loaded
+ * into an in-memory database. With `perturbationSeed` the tasks which read get a perturbed copy of the MySQL
+ * or the northwind_mongodb data, the generated data is not perturbed.
+ *
+ * @param {string} name - the task module name, see db-config
+ * @param {object} manifest - see test/manifests
+ * @param {object} [options]
+ * @param {number|string} [options.perturbationSeed] - see sql-perturbation and mongo-perturbation
+ * @param {boolean} [options.explain=false] - the plans of the SQL queries are explained, MySQL only
+ * @return {Promise<{db: object, client: object, changes: string[], close: function}>} client is the MongoClient
+ *         of the Mongo modules, changes describe the perturbation, `close` closes the connection
+ *         and drops the databases it provisioned
+ */
+async function openTaskDatabase(name, manifest, options) {
+    options = Object.assign({explain: false}, options);
+    let config = loadConfig(name);
+    let unsupported = findUnsupportedOption(manifest, config, options);
+    if (unsupported !== null) {
+        throw new Error(unsupported);
+    }
+    let seed = manifest.writes ? undefined : options.perturbationSeed;
+    // the databases and the connection are closed in the reverse order of their opening
+    let teardowns = [];
+    let close = async () => {
+        while (teardowns.length) {
+            await teardowns.pop()();
+        }
+    };
+    try {
+        if (manifest.engine === 'mysql' && config.sqlEngine === 'sqlite') {
+            let connection = await openSqliteConnection(manifest.dump);
+            teardowns.push(() => connection.end());
+            return {db: connection, close: close};
+        }
+        if (manifest.engine === 'postgres') {
+            let database = await provisionPgDatabase(config.postgres, config.database, manifest.dump);
+            teardowns.push(() => database.teardown());
+            let connection = await openPgConnection(config.postgres, database.database);
+            teardowns.push(() => connection.end());
+            return {db: connection, close: close};
+        }
+        if (manifest.engine === 'mysql') {
+            let database = manifest.dump
+                ? await provisionSqlDatabase(config.mysql, config.database, manifest.dump)
+                : {database: config.database, teardown: async () => {}};
+            teardowns.push(() => database.teardown());
+            let perturbed = seed ? await perturbSqlDatabase(config.mysql, database.database, seed) : null;
+            if (perturbed) {
+                teardowns.push(() => perturbed.teardown());
+            }
+            let connection = await mysql.createConnection(
+                Object.assign({database: (perturbed || database).database}, config.mysql));
+            teardowns.push(() => connection.end());
+            return {db: connection, changes: perturbed ? perturbed.changes : undefined, close: close};
+        }
+
+        let client = await MongoClient.connect(config.mongo.url, config.mongo.options);
+        teardowns.push(() => client.close());
+        let database = {database: config.database, teardown: async () => {}};
+        if (manifest.dump) {
+            database = await provisionMongoDatabase(client, config.database, manifest.dump);
+        } else if (manifest.generator) {
+            database = await provisionMongoDatabase.provisionCollections(client, config.database,
+                generateAwesomeDb(manifest.generator), 'the generated awesomedb');
+        } else if (manifest.sqlDump) {
+            database = await provisionMongoDatabase.provisionCollections(client, config.database,
+                convertTables.convertDumpFile(manifest.sqlDump), 'the converted SQL dump');
+        }
+        teardowns.push(() => database.teardown());
+        let perturbed = seed && manifest.dump ? await perturbMongoDatabase(client, database.database, seed) : null;
+        if (perturbed) {
+            teardowns.push(() => perturbed.teardown());
+        }
+        return {
+            db: client.db((perturbed || database).database),
+            client: client,
+            changes: perturbed ? perturbed.changes : undefined,
+            close: close
+        };
+    } catch (err) {
+        await close();
+        throw err;
+    }
+}
+
+/**
+ * Declares the `before` and `after` hooks which open and close the database of a task module in its test,
+ * must be called inside `describe`. The options of the run are taken from PERTURBATION_SEED and SQL_EXPLAIN.
+ * The module is skipped, with the reason printed, when its engine does not support them, when there is
+ * no PostgreSQL server for the optional PostgreSQL track, and when MongoDB is not a replica set
+ * for the transactions of the Mongo data-modification tasks.
+ *
+ * @param {string} name - the task module name, see db-config
+ * @param {object} manifest - see test/manifests
+ * @param {function} [prepare] - async function(db), the `before` of the task module, it may create indexes
+ * @return {{getDb: function, getClient: function}} the getters generateTaskTests takes
+ */
+function setupTaskDatabase(name, manifest, prepare) {
+    let database;
+
+    before(async function() {
+        this.timeout(120000);
+        let options = {perturbationSeed: process.env.PERTURBATION_SEED, explain: Boolean(process.env.SQL_EXPLAIN)};
+        let unsupported = findUnsupportedOption(manifest, loadConfig(name), options);
+        if (unsupported !== null) {
+            console.log(`${unsupported}, the ${manifest.name} are skipped`);
+            this.skip();
+        }
+        try {
+            database = await openTaskDatabase(name, manifest, options);
+        } catch (err) {
+            // the PostgreSQL track is optional, the other suites run without the server
+            if (manifest.engine !== 'postgres' || err.code !== 'ECONNREFUSED' && err.code !== 'ENOENT') {
+                throw err;
+            }
+            console.log(`PostgreSQL is not available (${err.message}), the ${manifest.name} are skipped`);
+            this.skip();
+        }
+        if (database.changes) {
+            console.log(`Perturbed data: ${database.changes.join('; ')}`);
+        }
+        if (manifest.engine === 'mongo' && manifest.writes && !await isReplicaSet(database.client)) {
+            await database.close();
+            database = undefined;
+            console.log(`MongoDB is not a replica set, the ${manifest.name} are skipped`);
+            this.skip();
+        }
+        if (prepare) {
+            await prepare(guardDb(database.db, {allowIndexes: true}));
+        }
+    });
+
+    after(async function() {
+        this.timeout(60000);
+        if (database) {
+            await database.close();
+        }
+    });
+
+    return {
+        getDb: () => database && database.db,
+        getClient: () => database && database.client
+    };
+}
+
+/**
+ * @return {string} why the engine of the module does not support the options, null if it does
+ */
+function findUnsupportedOption(manifest, config, options) {
+    let perturbed = Boolean(options.perturbationSeed) && !manifest.writes;
+    if (manifest.engine === 'mongo') {
+        return perturbed && manifest.sqlDump ? 'PERTURBATION_SEED supports the northwind_mongodb dump only' : null;
+    }
+    if (manifest.engine === 'mysql' && config.sqlEngine === 'mysql') {
+        return null;
+    }
+    if (perturbed || options.explain) {
+        return `${perturbed ? 'PERTURBATION_SEED' : 'SQL_EXPLAIN'} needs the MySQL engine`;
+    }
+    return null;
+}
+
+/**
+ * The transactions of the tests need a replica set or a sharded cluster.
+ */
+async function isReplicaSet(client) {
+    let server = await client.db('admin').command({isMaster: 1});
+    return Boolean(server.setName) || server.msg === 'isdbgrid';
+}
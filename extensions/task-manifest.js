@@ -0,0 +1,108 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const parseTaskColumns = require('./column-schema').parseTaskColumns;
+
+exports = module.exports = resolveTasks;
+exports.discoverTasks = discoverTasks;
+exports.resolveParamSets = resolveParamSets;
+
+const TASK_NAME = /^task_/;
+
+/**
+ * Merges the exported `task_*` functions of a task module with its manifest.
+ * Throws when a task function has no expected result or an expected result has no task function,
+ * so a forgotten file breaks the whole run instead of silently dropping a test.
+ *
+ * @param {object} manifest - see test/manifests
+ * @param {object} tasks - the task module exports
+ * @return {array} [{id, fn, expectedPath, paramSets, timeout, normalize, compare, columns, schema, explain, executionStats,
+ *         snapshot}] in the order of the exports, expectedPath is the expected result of the first params set
+ */
+function resolveTasks(manifest, tasks) {
+    let defaults = manifest.defaults || {};
+    let entries = new Map((manifest.tasks || []).map(entry => [entry.id, entry]));
+    let discovered = discoverTasks(tasks);
+    let columnsByTask = manifest.source ? parseTaskColumns(manifest.source) : new Map();
+    let errors = [];
+
+    entries.forEach((entry, id) => {
+        if (discovered.indexOf(id) === -1) {
+            errors.push(`${id} is listed in the ${manifest.name} manifest but is not exported by the task module`);
+        }
+    });
+
+    let resolved = discovered.map(id => {
+        let entry = entries.get(id) || {};
+        let paramSets = resolveParamSets(manifest, id, entry, errors);
+        for (let set of paramSets) {
+            if (!fs.existsSync(set.expectedPath)) {
+                errors.push(`${id} has no expected result ${path.relative(process.cwd(), set.expectedPath)}`);
+            }
+        }
+        return {
+            id: id,
+            fn: tasks[id],
+            expectedPath: paramSets[0].expectedPath,
+            paramSets: paramSets,
+            timeout: entry.timeout || defaults.timeout,
+            normalize: entry.normalize || defaults.normalize,
+            compare: Object.assign({}, defaults.compare, entry.compare),
+            // `schema: false` turns off the check of the columns declared in the task description
+            columns: entry.schema === false ? undefined : columnsByTask.get(id),
+            schema: Object.assign({}, defaults.schema, entry.schema),
+            explain: Object.assign({}, defaults.explain, entry.explain),
+            executionStats: entry.executionStats || defaults.executionStats,
+            // the tables a data-modification task changes, see task-transaction
+            snapshot: entry.snapshot
+        };
+    });
+
+    let claimed = [].concat(...resolved.map(task => task.paramSets.map(set => path.basename(set.expectedPath))));
+    let pattern = manifest.expectedPattern || /^task_.*\.json$/;
+    for (let file of fs.readdirSync(manifest.expectedDir)) {
+        if (pattern.test(file) && claimed.indexOf(file) === -1) {
+            errors.push(`${file} in ${path.relative(process.cwd(), manifest.expectedDir)} has no task function`);
+        }
+    }
+
+    if (errors.length) {
+        throw new Error(`Task manifest "${manifest.name}" is inconsistent:\n  ` + errors.join('\n  '));
+    }
+    return resolved;
+}
+
+/**
+ * A task with `params: [{values, expected}]` in its entry is called as `task(db, values)` once for every set.
+ * The first set may omit `expected` and uses the expected file of the entry, the other sets have to name
+ * their own files. A task without `params` is called with the db only, as a single set with no values.
+ *
+ * @param {object} manifest - see test/manifests
+ * @param {string} id - the task id
+ * @param {object} entry - the manifest entry of the task, {} if there is none
+ * @param {string[]} errors - the problems of the manifest are pushed here
+ * @return {array} [{values, expectedPath}]
+ */
+function resolveParamSets(manifest, id, entry, errors) {
+    let defaultPath = path.join(manifest.expectedDir, entry.expected || `${id}.json`);
+    if (!entry.params || !entry.params.length) {
+        return [{values: undefined, expectedPath: defaultPath}];
+    }
+    return entry.params.map((set, index) => {
+        if (!set.expected && index > 0) {
+            errors.push(`${id} params set ${JSON.stringify(set.values)} has no expected result file`);
+        }
+        return {
+            values: set.values,
+            expectedPath: set.expected ? path.join(manifest.expectedDir, set.expected) : defaultPath
+        };
+    });
+}
+
+/**
+ * @return {string[]} names of the exported task functions
+ */
+function discoverTasks(tasks) {
+    return Object.keys(tasks).filter(name => TASK_NAME.test(name) && typeof tasks[name] === 'function');
+}
@@ -0,0 +1,145 @@
+'use strict';
+
+const Runner = require('mocha').Runner;
+
+exports = module.exports = collectTaskResults;
+exports.STATUS = {
+    PASSING: 'passing',
+    FAILING: 'failing',
+    NOT_STARTED: 'not started'
+};
+
+const STATUS = exports.STATUS;
+const EVENTS = Runner.constants;
+
+const MODULE_LABELS = {
+    'sql-tasks': 'SQL',
+    'sql-advanced-tasks': 'Advanced SQL',
+    'sql-dml-tasks': 'SQL data modification',
+    'mongo-tasks': 'Mongo',
+    'mongo-dml-tasks': 'Mongo data modification',
+    'mongo-graph-tasks': 'Mongo graph',
+    'postgres-tasks': 'PostgreSQL',
+    'mongo-optimization-tasks': 'Mongo optimization'
+};
+
+/**
+ * Tracks the status of every task test of a mocha run, grouped by the top level suites (task modules).
+ * Tasks skipped by it.optional are "not started". Tasks which did not run because a hook
+ * of their module failed (i.e. there is no database) are failing with the error of the hook.
+ * A module whose `before` hook skipped all of its tasks (an optional track without its server) is `skipped`.
+ *
+ * @param {Runner} runner
+ * @param {function} onEnd - receives the summary, see summarize
+ */
+function collectTaskResults(runner, onEnd) {
+    let results = new Map();
+    let startedAt;
+
+    runner.once(EVENTS.EVENT_RUN_BEGIN, function() {
+        startedAt = Date.now();
+        forEachTest(runner.suite, test => results.set(test, {
+            module: moduleOf(test),
+            id: test.title,
+            status: STATUS.NOT_STARTED,
+            duration: 0,
+            error: null,
+            ran: false,
+            skipped: false
+        }));
+    });
+
+    runner.on(EVENTS.EVENT_HOOK_END, function(hook) {
+        // this.skip() in a `before` hook skips every test of the suite
+        if (hook.pending && hook.title.indexOf('"before all" hook') === 0) {
+            forEachTest(hook.parent, child => {
+                let result = results.get(child);
+                if (result) {
+                    result.skipped = true;
+                }
+            });
+        }
+    });
+
+    runner.on(EVENTS.EVENT_TEST_PASS, function(test) {
+        update(test, {status: STATUS.PASSING, duration: test.duration || 0});
+    });
+
+    runner.on(EVENTS.EVENT_TEST_PENDING, function(test) {
+        update(test, {status: STATUS.NOT_STARTED, duration: test.duration || 0});
+    });
+
+    runner.on(EVENTS.EVENT_TEST_FAIL, function(test, err) {
+        if (test.type === 'hook') {
+            forEachTest(test.parent, child => {
+                let result = results.get(child);
+                if (result && !result.ran && !result.error) {
+                    Object.assign(result, {status: STATUS.FAILING, error: `${test.title}: ${err.message}`});
+                }
+            });
+            return;
+        }
+        update(test, {status: STATUS.FAILING, duration: test.duration || 0, error: err.message});
+    });
+
+    runner.once(EVENTS.EVENT_RUN_END, function() {
+        onEnd(summarize(Array.from(results.values()), Date.now() - startedAt));
+    });
+
+    function update(test, fields) {
+        let result = results.get(test);
+        if (result) {
+            Object.assign(result, fields, {ran: true});
+        }
+    }
+}
+
+/**
+ * @return {{generatedAt: string, duration: number, modules: array}}
+ *         every module is {name, label, total, passing, failing, notStarted, skipped, duration, tasks},
+ *         `skipped` tells that the module did not run at all
+ */
+function summarize(results, duration) {
+    let modules = new Map();
+    for (let result of results) {
+        if (!modules.has(result.module)) {
+            modules.set(result.module, {
+                name: result.module,
+                label: MODULE_LABELS[result.module] || result.module,
+                total: 0,
+                passing: 0,
+                failing: 0,
+                notStarted: 0,
+                skipped: true,
+                duration: 0,
+                tasks: []
+            });
+        }
+        let summary = modules.get(result.module);
+        summary.total++;
+        summary.duration += result.duration;
+        summary.skipped = summary.skipped && result.skipped;
+        if (result.status === STATUS.PASSING) {
+            summary.passing++;
+        } else if (result.status === STATUS.FAILING) {
+            summary.failing++;
+        } else {
+            summary.notStarted++;
+        }
+        summary.tasks.push({id: result.id, status: result.status, duration: result.duration, error: result.error});
+    }
+    return {
+        generatedAt: new Date().toISOString(),
+        duration: duration,
+        modules: Array.from(modules.values())
+    };
+}
+
+function forEachTest(suite, fn) {
+    suite.tests.forEach(fn);
+    suite.suites.forEach(child => forEachTest(child, fn));
+}
+
+function moduleOf(test) {
+    return test.titlePath()[0];
+}
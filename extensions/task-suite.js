@@ -0,0 +1,193 @@
+'use strict';
+
+const resolveTasks = require('./task-manifest');
+const assert = require('assert');
+const assertResultsEqual = require('./result-diff');
+const assertColumns = require('./column-schema');
+const instrumentDb = require('./query-log');
+const guardDb = require('./read-only-guard');
+const loadReference = require('./reference-solutions');
+const explainQueries = require('./sql-explain');
+const explainAggregations = require('./mongo-explain');
+const testOptional = require('./it-optional');
+const runInTransaction = require('./task-transaction');
+
+exports = module.exports = generateTaskTests;
+
+/**
+ * Declares an optional test for every task of the module described by the manifest.
+ * Must be called inside `describe`.
+ * Tasks get a read-only connection, see read-only-guard.
+ * A task with `params` sets in the manifest is run and checked with every set, see task-manifest.
+ * LIVE_EXPECTED=1 computes the expected results with the reference solutions instead of the json files,
+ * the tasks without a reference solution still use the files.
+ * PERTURBATION_SEED is the anti-cheat mode: the `before` hook runs the tasks on a perturbed copy of the data
+ * and a task which still returns the result of the original data, or reads its expected file, is flagged.
+ * The queries sent by a task are appended to the failure message, QUERY_LOG=1 prints them for every task.
+ * SQL_EXPLAIN=1 prints the plans of the SQL queries of every passed task and checks the `explain` thresholds.
+ * The aggregations of a passed task with `executionStats` thresholds are explained and checked,
+ * MONGO_EXPLAIN=1 prints the execution stats for every passed task.
+ *
+ * The tasks of a manifest with `writes: true` change the data instead of returning it: every params set
+ * runs in a transaction which is rolled back, and the `snapshot` of the changed tables is compared
+ * with the expected file instead of the result, see task-transaction.
+ *
+ * @param {object} manifest - see test/manifests
+ * @param {object} tasks - the task module exports
+ * @param {function} getDb - returns the connection opened in the `before` hook
+ * @param {function} [getClient] - returns the MongoClient of the connection, the transactions of MongoDB need it
+ */
+function generateTaskTests(manifest, tasks, getDb, getClient) {
+    // a data-modification task returns nothing to hard-code, its snapshots are checked as usual
+    let perturbed = Boolean(process.env.PERTURBATION_SEED) && !manifest.writes;
+    let live = Boolean(process.env.LIVE_EXPECTED) || perturbed;
+    let reference = live ? loadReference(manifest) : null;
+    if (live && !reference) {
+        throw new Error(`${perturbed ? 'PERTURBATION_SEED' : 'LIVE_EXPECTED'} is set but there is no reference solution `
+            + `for ${manifest.name} in ${loadReference.REFERENCE_DIR}`);
+    }
+
+    for (let task of resolveTasks(manifest, tasks)) {
+        if (manifest.writes && !task.snapshot) {
+            throw new Error(`${task.id} has no snapshot in the ${manifest.name} manifest`);
+        }
+        testOptional(task.id, async function() {
+            if (perturbed && typeof reference[task.id] !== 'function') {
+                // the expected file describes the original data only
+                this.skip();
+            }
+            for (let set of task.paramSets) {
+                if (task.timeout) {
+                    this.timeout(task.timeout);
+                }
+                let log = [];
+                try {
+                    await checkParamSet.call(this, task, set, log);
+                } catch (err) {
+                    if (err && err.message !== 'Not implemented') {
+                        appendToMessage(err, instrumentDb.formatQueryLog(log));
+                        if (set.values !== undefined) {
+                            prependToMessage(err, `With params ${JSON.stringify(set.values)}:`);
+                        }
+                    }
+                    throw err;
+                }
+                if (process.env.QUERY_LOG) {
+                    console.log(instrumentDb.formatQueryLog(log));
+                }
+            }
+        });
+    }
+
+    /**
+     * Runs the task with one set of params and checks its result, `this` is the mocha context.
+     */
+    async function checkParamSet(task, set, log) {
+        if (manifest.writes) {
+            return checkSnapshot.call(this, task, set, log);
+        }
+        delete require.cache[set.expectedPath];
+        let result = normalize(await task.fn(instrumentDb(guardDb(getDb()), log), set.values), task.normalize);
+        if (perturbed && require.cache[set.expectedPath]) {
+            throw flagged(task, 'the task reads its expected result file');
+        }
+        let expected;
+        if (reference && typeof reference[task.id] === 'function') {
+            // the reference solution queries the database once again, so it gets its own time budget
+            if (task.timeout) {
+                this.timeout(task.timeout);
+            }
+            expected = await loadReference.computeExpected(reference[task.id], getDb(), set.values);
+        } else {
+            expected = require(set.expectedPath);
+        }
+        if (task.columns) {
+            assertColumns(result, task.columns, expected, task.schema);
+        }
+        if (perturbed && !assertResultsEqual.compareResults(result, expected, task.compare).equal
+            && assertResultsEqual.compareResults(result, require(set.expectedPath), task.compare).equal) {
+            throw flagged(task, 'the task returns the result of the original data, not of the perturbed one');
+        }
+        assertResultsEqual(result, expected, task.compare);
+        if (process.env.SQL_EXPLAIN) {
+            let plans = await explainQueries(getDb(), log);
+            if (plans.length) {
+                explainQueries.assertPlanThresholds(plans, task.explain);
+                console.log(explainQueries.formatPlans(plans));
+            }
+        }
+        if (task.executionStats || process.env.MONGO_EXPLAIN) {
+            // explain runs the pipeline once again, so it gets its own time budget
+            if (task.timeout) {
+                this.timeout(task.timeout);
+            }
+            let explained = await explainAggregations(getDb(), log);
+            if (explained.length) {
+                explainAggregations.assertExecutionThresholds(explained, task.executionStats || {});
+                console.log(explainAggregations.formatExecutionStats(explained));
+            }
+        }
+    }
+
+    /**
+     * Runs a data-modification task with one set of params in a transaction and checks the snapshot
+     * of the tables it changes, `this` is the mocha context.
+     */
+    async function checkSnapshot(task, set, log) {
+        let client = getClient && getClient();
+        let result = await runInTransaction(getDb(), client, task.snapshot,
+            db => task.fn(instrumentDb(db, log), set.values));
+        let expected;
+        if (reference && typeof reference[task.id] === 'function') {
+            if (task.timeout) {
+                this.timeout(task.timeout);
+            }
+            expected = await runInTransaction(getDb(), client, task.snapshot, db => reference[task.id](db, set.values));
+        } else {
+            expected = require(set.expectedPath);
+        }
+        for (let name of Object.keys(task.snapshot)) {
+            try {
+                assertResultsEqual(result[name], expected[name], task.compare);
+            } catch (err) {
+                prependToMessage(err, `Snapshot ${name}:`);
+                throw err;
+            }
+        }
+    }
+}
+
+function flagged(task, reason) {
+    let error = new assert.AssertionError({
+        message: `${task.id} is flagged as hard-coded: ${reason} (PERTURBATION_SEED=${process.env.PERTURBATION_SEED})`,
+        operator: 'perturbation'
+    });
+    error.showDiff = false;
+    return error;
+}
+
+/**
+ * Keeps the stack in sync with the message, otherwise mocha prints the original message twice.
+ */
+function appendToMessage(err, text) {
+    replaceMessage(err, `${err.message}\n\n${text}`);
+}
+
+function prependToMessage(err, text) {
+    replaceMessage(err, `${text}\n${err.message}`);
+}
+
+function replaceMessage(err, text) {
+    let message = err.message;
+    err.message = text;
+    if (typeof err.stack === 'string') {
+        err.stack = err.stack.replace(message, err.message);
+    }
+}
+
+function normalize(result, mode) {
+    if (mode === 'json') {
+        return JSON.parse(JSON.stringify(result));
+    }
+    return result;
+}
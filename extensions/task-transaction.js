@@ -0,0 +1,142 @@
+'use strict';
+
+const guardDb = require('./read-only-guard');
+const serializeExpected = require('./reference-solutions').serializeExpected;
+
+exports = module.exports = runInTransaction;
+exports.beginTransaction = beginTransaction;
+exports.takeSnapshot = takeSnapshot;
+
+// the position of the options argument of the collection methods, the session is added there
+const SESSION_OPTIONS = {
+    find: 1, findOne: 1, aggregate: 1, countDocuments: 1, distinct: 2,
+    insertOne: 1, insertMany: 1, updateOne: 2, updateMany: 2, replaceOne: 2, deleteOne: 1, deleteMany: 1,
+    findOneAndUpdate: 2, findOneAndReplace: 2, findOneAndDelete: 1, bulkWrite: 1
+};
+
+/**
+ * Runs a data-modification task in a transaction: the task gets a connection which may change the rows
+ * (see read-only-guard), then the snapshot of the changed tables is read and the transaction is rolled back,
+ * so the shared database stays the same for the next tests.
+ *
+ * @param {object} db - the connection opened in the `before` hook
+ * @param {object} [client] - the MongoClient of the db, for MongoDB
+ * @param {object} snapshot - see takeSnapshot
+ * @param {function} run - async function(db), runs the task
+ * @return {Promise<object>} {<snapshot name>: rows}, the rows go through JSON the same way as the expected files
+ */
+async function runInTransaction(db, client, snapshot, run) {
+    let transaction = await beginTransaction(db, client);
+    try {
+        await run(guardDb(transaction.db, {allowWrites: true}));
+        return JSON.parse(serializeExpected(await takeSnapshot(transaction.db, snapshot)));
+    } finally {
+        await transaction.rollback();
+    }
+}
+
+/**
+ * Starts the transaction:
+ *  - mysql2/promise connection, its SQLite equivalent or pg client: BEGIN ... ROLLBACK;
+ *  - mongodb Db: a session of the client with a transaction, the returned db passes the session to every
+ *    collection method, so the tasks use the collections as usual. MongoDB runs the transactions
+ *    on replica sets only, a single node replica set will do.
+ *
+ * @param {object} db
+ * @param {object} [client] - the MongoClient of the db, for MongoDB
+ * @return {Promise<{db: object, rollback: function}>} db is the connection to work in the transaction with
+ */
+async function beginTransaction(db, client) {
+    if (typeof db.collection !== 'function') {
+        await db.query('BEGIN');
+        return {db: db, rollback: () => db.query('ROLLBACK')};
+    }
+    let session = client.startSession();
+    session.startTransaction();
+    return {
+        db: bindSession(db, session),
+        rollback: async () => {
+            try {
+                await session.abortTransaction();
+            } finally {
+                session.endSession();
+            }
+        }
+    };
+}
+
+/**
+ * Reads the tables a task changes.
+ *
+ * @param {object} db
+ * @param {object} snapshot - {<name>: query}, the query is SQL text for the SQL connections
+ *                            and {collection, filter, projection, sort} or {collection, pipeline} for MongoDB,
+ *                            `_id` is left out unless the projection includes it
+ * @return {Promise<object>} {<name>: rows}
+ */
+async function takeSnapshot(db, snapshot) {
+    let result = {};
+    for (let name of Object.keys(snapshot)) {
+        let query = snapshot[name];
+        if (typeof query === 'string') {
+            let rows = await db.query(query);
+            // pg resolves to {rows}, mysql2 to [rows, fields]
+            result[name] = Array.isArray(rows) ? rows[0] : rows.rows;
+        } else if (query.pipeline) {
+            result[name] = await db.collection(query.collection).aggregate(query.pipeline).toArray();
+        } else {
+            result[name] = await db.collection(query.collection).find(query.filter || {}, {
+                projection: Object.assign({_id: 0}, query.projection),
+                sort: query.sort
+            }).toArray();
+        }
+    }
+    return result;
+}
+
+function bindSession(db, session) {
+    return new Proxy(db, {
+        get(object, property) {
+            let value = object[property];
+            if (property === 'collection') {
+                return function() {
+                    return bindCollection(value.apply(object, arguments), session);
+                };
+            }
+            if (property === 'command') {
+                return withSession(value, object, 1, session);
+            }
+            return typeof value === 'function' ? value.bind(object) : value;
+        }
+    });
+}
+
+function bindCollection(collection, session) {
+    return new Proxy(collection, {
+        get(object, property) {
+            let value = object[property];
+            if (typeof value === 'function' && Object.prototype.hasOwnProperty.call(SESSION_OPTIONS, property)) {
+                return withSession(value, object, SESSION_OPTIONS[property], session);
+            }
+            return typeof value === 'function' ? value.bind(object) : value;
+        }
+    });
+}
+
+/**
+ * Adds the session to the options argument at `position`, the options are optional in the driver.
+ */
+function withSession(method, target, position, session) {
+    return function() {
+        let args = Array.from(arguments);
+        if (typeof args[position] === 'function') {
+            // the callback takes the place of the options
+            args.splice(position, 0, {});
+        }
+        while (args.length < position) {
+            args.push(undefined);
+        }
+        args[position] = Object.assign({}, args[position], {session: session});
+        return method.apply(target, args);
+    };
+}
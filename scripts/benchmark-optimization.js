@@ -0,0 +1,105 @@
+'use strict';
+
+/********************************************************************************************
+ * Measures the solution of the optimization task against the original pipeline of the      *
+ * task: the median and the 95th percentile of the time, the explain("executionStats") of   *
+ * both and the speedup. The result of the solution has to be the same as the baseline one. *
+ *                                                                                          *
+ * Usage:                                                                                   *
+ *   npm run benchmark-optimization                                                         *
+ *   npm run benchmark-optimization -- --task task_3_1 --runs 10                            *
+ *                                                                                          *
+ * --runs is the number of runs of each pipeline, 5 by default. The baseline pipelines are  *
+ * in test/baselines, the data is the one of the tests, see test/manifests/                 *
+ * mongo-optimization-task.js. Connection: see extensions/db-config.js.                     *
+ ********************************************************************************************/
+
+const manifest = require('../test/manifests/mongo-optimization-task');
+const instrumentDb = require('../extensions/query-log');
+const guardDb = require('../extensions/read-only-guard');
+const explainAggregations = require('../extensions/mongo-explain');
+const withTaskDatabase = require('../extensions/task-database');
+const measure = require('../extensions/pipeline-benchmark');
+
+const DEFAULT_RUNS = 5;
+
+async function main(args) {
+    let options = parseArgs(args);
+    let entries = manifest.tasks.filter(entry => entry.baseline && (!options.task || entry.id === options.task));
+    if (!entries.length) {
+        throw new Error(`${options.task || 'No task'} has no baseline in test/manifests/mongo-optimization-task.js`);
+    }
+    let tasks = require(manifest.source);
+
+    await withTaskDatabase('mongo-optimization-task', manifest, async db => {
+        if (typeof tasks.before === 'function') {
+            await tasks.before(guardDb(db, {allowIndexes: true}));
+        }
+        for (let entry of entries) {
+            let report = await benchmarkTask(db, tasks, entry, options.runs);
+            console.log(measure.formatBenchmark(report) + '\n');
+            if (report.comparison && !report.comparison.identical) {
+                process.exitCode = 1;
+            }
+        }
+    });
+}
+
+/**
+ * Runs the baseline and the solution of the task `runs` times each and explains the aggregations of both.
+ * The indexes of `before` are created for both, so the speedup is the one of the pipeline only.
+ */
+async function benchmarkTask(db, tasks, entry, runs) {
+    let baseline = require(entry.baseline);
+    let baselineLog = [{
+        engine: 'mongo',
+        operation: `${baseline.collection}.aggregate`,
+        collection: baseline.collection,
+        query: baseline.pipeline,
+        params: baseline.options
+    }];
+    let report = {id: entry.id, runs: runs, solution: null, comparison: null};
+    report.baseline = await measure(
+        () => db.collection(baseline.collection).aggregate(baseline.pipeline, baseline.options).toArray(), runs);
+    report.baseline.executionStats = explainAggregations.formatExecutionStats(await explainAggregations(db, baselineLog));
+
+    if (typeof tasks[entry.id] !== 'function') {
+        throw new Error(`${entry.id} is not exported by ${manifest.name}`);
+    }
+    let log = [];
+    try {
+        report.solution = await measure(() => {
+            log = [];
+            return tasks[entry.id](instrumentDb(guardDb(db), log));
+        }, runs);
+    } catch (err) {
+        if (err && err.message === 'Not implemented') {
+            return report;
+        }
+        throw err;
+    }
+    report.solution.executionStats = explainAggregations.formatExecutionStats(await explainAggregations(db, log));
+    report.comparison = measure.compareCanonical(report.baseline.result, report.solution.result,
+        (entry.compare || {}).sortKeys);
+    return report;
+}
+
+function parseArgs(args) {
+    let options = {runs: DEFAULT_RUNS};
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--task') {
+            options.task = args[++i];
+        } else if (args[i] === '--runs') {
+            options.runs = Number(args[++i]);
+            if (!Number.isInteger(options.runs) || options.runs < 1) {
+                throw new Error(`--runs expects a positive integer, got ${args[i]}`);
+            }
+        }
+    }
+    return options;
+}
+
+main(process.argv.slice(2)).catch(err => {
+    console.error(err.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,159 @@
+'use strict';
+
+/********************************************************************************************
+ * Runs the SQL and the Mongo implementation of every task_1_x and reports where their      *
+ * answers disagree, i.e. to catch the differences between dumps/northwind.sql and          *
+ * dumps/northwind_mongodb.                                                                 *
+ *                                                                                          *
+ * Usage:                                                                                   *
+ *   npm run compare-engines                                                                *
+ *   npm run compare-engines -- --task task_1_4                                             *
+ *   npm run compare-engines -- --reference                                                 *
+ *   npm run compare-engines -- --expected                                                  *
+ *                                                                                          *
+ * By default the task modules are run, --reference runs the reference solutions instead,   *
+ * --expected compares the expected json files without connecting to the databases.         *
+ * The column mapping and the rounding rules are in test/manifests/cross-engine.js.         *
+ ********************************************************************************************/
+
+const path = require('path');
+const loadReference = require('../extensions/reference-solutions');
+const resolveParamSets = require('../extensions/task-manifest').resolveParamSets;
+const guardDb = require('../extensions/read-only-guard');
+const withTaskDatabase = require('../extensions/task-database');
+const compareEngines = require('../extensions/cross-engine');
+const formatReport = require('../extensions/result-diff').formatReport;
+const rules = require('../test/manifests/cross-engine');
+
+async function main(args) {
+    let options = parseArgs(args);
+    let manifests = {
+        sql: require(path.join('..', 'test', 'manifests', rules.sql)),
+        mongo: require(path.join('..', 'test', 'manifests', rules.mongo))
+    };
+    let selected = rules.tasks.filter(rule => !options.task || rule.id === options.task);
+    if (!selected.length) {
+        throw new Error(`${options.task} has no rule in test/manifests/cross-engine.js`);
+    }
+
+    let counts = {consistent: 0, different: 0, skipped: 0};
+    let check = async (runners) => {
+        for (let rule of selected) {
+            let status = await checkTask(rule, manifests, runners);
+            counts[status]++;
+        }
+    };
+
+    if (options.expected) {
+        await check({sql: readExpected, mongo: readExpected});
+    } else {
+        let modules = {
+            sql: loadModule(manifests.sql, options.reference),
+            mongo: loadModule(manifests.mongo, options.reference)
+        };
+        await withTaskDatabase(rules.sql, manifests.sql, sqlDb =>
+            withTaskDatabase(rules.mongo, manifests.mongo, async mongoDb => {
+                if (typeof modules.mongo.before === 'function') {
+                    await modules.mongo.before(guardDb(mongoDb, {allowIndexes: true}));
+                }
+                await check({
+                    sql: (rule, set) => runTask(modules.sql, manifests.sql, rule.id, guardDb(sqlDb), set.values),
+                    mongo: (rule, set) => runTask(modules.mongo, manifests.mongo, rule.id, guardDb(mongoDb), set.values)
+                });
+            }));
+    }
+
+    console.log(`\n${counts.consistent} consistent, ${counts.different} different, ${counts.skipped} skipped`);
+    if (counts.different) {
+        process.exitCode = 1;
+    }
+}
+
+/**
+ * Compares the answers of both engines with every params set of the task and prints the outcome.
+ *
+ * @return {Promise<string>} 'consistent', 'different' or 'skipped'
+ */
+async function checkTask(rule, manifests, runners) {
+    if (rule.skip) {
+        console.log(`${rule.id}: skipped, ${rule.skip}`);
+        return 'skipped';
+    }
+    let sets = {
+        sql: paramSetsOf(manifests.sql, rule.id),
+        mongo: paramSetsOf(manifests.mongo, rule.id)
+    };
+    let status = 'consistent';
+    for (let i = 0; i < sets.sql.length; i++) {
+        let values = sets.sql[i].values;
+        let label = rule.id + (values !== undefined ? ` with params ${JSON.stringify(values)}` : '');
+        let results = {};
+        for (let engine of ['sql', 'mongo']) {
+            // the SQL params are the source of truth, the Mongo set only contributes its expected file
+            let set = Object.assign({}, sets[engine][i] || sets.sql[i], {values: values});
+            try {
+                results[engine] = await runners[engine](rule, set);
+            } catch (err) {
+                let reason = err && err.message === 'Not implemented' ? 'not implemented' : `failed: ${err && err.message}`;
+                console.log(`${label}: skipped, ${manifests[engine].name} ${reason}`);
+                return 'skipped';
+            }
+        }
+        let report = compareEngines(results.sql, results.mongo, rule);
+        if (report.equal) {
+            console.log(`${label}: consistent`);
+            continue;
+        }
+        status = 'different';
+        let text = formatReport(report, rule.compare);
+        console.log(`${label}: different, the SQL result is the expected one and the Mongo result is the actual one\n  `
+            + text.split('\n').join('\n  '));
+    }
+    return status;
+}
+
+function paramSetsOf(manifest, id) {
+    let entry = (manifest.tasks || []).find(entry => entry.id === id) || {};
+    let errors = [];
+    let sets = resolveParamSets(manifest, id, entry, errors);
+    if (errors.length) {
+        throw new Error(errors.join('\n'));
+    }
+    return sets;
+}
+
+function readExpected(rule, set) {
+    return require(set.expectedPath);
+}
+
+function loadModule(manifest, reference) {
+    let tasks = reference ? loadReference(manifest) : require(manifest.source);
+    if (!tasks) {
+        throw new Error(`There is no reference solution for ${manifest.name} in ${loadReference.REFERENCE_DIR}`);
+    }
+    return tasks;
+}
+
+async function runTask(tasks, manifest, id, db, values) {
+    if (typeof tasks[id] !== 'function') {
+        throw new Error(`${id} is not exported by ${manifest.name}`);
+    }
+    return tasks[id](db, values);
+}
+
+function parseArgs(args) {
+    let options = {};
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--task') {
+            options.task = args[++i];
+        } else if (args[i] === '--reference' || args[i] === '--expected') {
+            options[args[i].slice(2)] = true;
+        }
+    }
+    return options;
+}
+
+main(process.argv.slice(2)).catch(err => {
+    console.error(err.message);
+    process.exitCode = 1;
+});
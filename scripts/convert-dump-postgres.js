@@ -0,0 +1,45 @@
+'use strict';
+
+/********************************************************************************************
+ * Converts the MySQL dump of northwind into the PostgreSQL dump of the postgres-tasks      *
+ * module, so both tracks have the same data.                                               *
+ *                                                                                          *
+ * Usage:                                                                                   *
+ *   npm run convert-dump-postgres                                                          *
+ *   npm run convert-dump-postgres -- --dump <mysql dump> --out <postgres dump>             *
+ *                                                                                          *
+ * --dump is dumps/northwind.sql and --out is dumps/northwind_postgres.sql by default.      *
+ * Load the result with `psql -d northwind -f dumps/northwind_postgres.sql`, the tests load *
+ * it themselves when the database does not match it. See extensions/mysql-to-postgres.js. *
+ ********************************************************************************************/
+
+const fs = require('fs');
+const path = require('path');
+const convertSqlDump = require('../extensions/mysql-to-postgres');
+
+const DEFAULT_DUMP = path.join(__dirname, '..', 'dumps', 'northwind.sql');
+const DEFAULT_OUT = path.join(__dirname, '..', 'dumps', 'northwind_postgres.sql');
+
+function main(args) {
+    let options = parseArgs(args);
+    let sql = convertSqlDump(fs.readFileSync(options.dump || DEFAULT_DUMP, 'latin1'));
+    fs.writeFileSync(options.out || DEFAULT_OUT, sql, 'utf8');
+    console.log(`Wrote ${options.out || DEFAULT_OUT}`);
+}
+
+function parseArgs(args) {
+    let options = {};
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--dump' || args[i] === '--out') {
+            options[args[i].slice(2)] = args[++i];
+        }
+    }
+    return options;
+}
+
+try {
+    main(process.argv.slice(2));
+} catch (err) {
+    console.error(err.message);
+    process.exitCode = 1;
+}
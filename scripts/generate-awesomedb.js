@@ -0,0 +1,70 @@
+'use strict';
+
+/********************************************************************************************
+ * Generates the awesomedb collections of the optimization task, the same seed and options  *
+ * give the same documents, see extensions/awesomedb-generator.js.                          *
+ *                                                                                          *
+ * Usage:                                                                                   *
+ *   npm run generate-awesomedb -- --target awesomedb                                       *
+ *   npm run generate-awesomedb -- --opportunities 5000 --target awesomedb_big              *
+ *   npm run generate-awesomedb -- --out dumps/awesomedb_mongodb/awesomedb                  *
+ *                                                                                          *
+ * --seed and --opportunities default to the generator of                                   *
+ * test/manifests/mongo-optimization-task.js, test/mongo_json/task_3_1.json is the result   *
+ * of the task for them. --out writes a mongodump folder, --target loads the collections    *
+ * into a Mongo database and replaces the collections it has.                               *
+ * Connection: see extensions/db-config.js.                                                 *
+ ********************************************************************************************/
+
+const MongoClient = require('mongodb').MongoClient;
+const loadConfig = require('../extensions/db-config');
+const generateAwesomeDb = require('../extensions/awesomedb-generator');
+const provisionMongoDatabase = require('../extensions/mongo-provision');
+const manifest = require('../test/manifests/mongo-optimization-task');
+
+async function main(args) {
+    let options = Object.assign({}, manifest.generator, parseArgs(args));
+    if (!options.out && !options.target) {
+        throw new Error('Specify --out <folder> or --target <mongo database>');
+    }
+
+    let collections = generateAwesomeDb({seed: options.seed, opportunities: options.opportunities});
+
+    if (options.out) {
+        provisionMongoDatabase.writeBsonDump(collections, options.out);
+        console.log(`Wrote ${collections.length} collections to ${options.out}`);
+    }
+    if (options.target) {
+        let config = loadConfig('mongo-optimization-task');
+        let client = await MongoClient.connect(config.mongo.url, config.mongo.options);
+        try {
+            await provisionMongoDatabase.loadCollections(client.db(options.target), collections);
+        } finally {
+            await client.close();
+        }
+        console.log(`Loaded ${collections.length} collections into ${options.target}`);
+    }
+    for (let collection of collections) {
+        console.log(`  ${collection.name}: ${collection.documents.length} documents`);
+    }
+}
+
+function parseArgs(args) {
+    let options = {};
+    for (let i = 0; i < args.length; i++) {
+        if (['--seed', '--out', '--target'].indexOf(args[i]) !== -1) {
+            options[args[i].slice(2)] = args[++i];
+        } else if (args[i] === '--opportunities') {
+            options.opportunities = Number(args[++i]);
+            if (!Number.isInteger(options.opportunities) || options.opportunities < 1) {
+                throw new Error(`--opportunities expects a positive integer, got ${args[i]}`);
+            }
+        }
+    }
+    return options;
+}
+
+main(process.argv.slice(2)).catch(err => {
+    console.error(err.message);
+    process.exitCode = 1;
+});
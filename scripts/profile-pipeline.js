@@ -0,0 +1,95 @@
+'use strict';
+
+/********************************************************************************************
+ * Runs an aggregation pipeline stage by stage and reports documents count, average         *
+ * document size, time and a sample document after every stage.                             *
+ *                                                                                          *
+ * Usage:                                                                                   *
+ *   npm run profile-pipeline -- --task mongo-tasks:task_1_6                                *
+ *   npm run profile-pipeline -- --collection orders --pipeline ./pipeline.json             *
+ *                                                                                          *
+ * --task runs the task function and profiles every aggregation it sends.                   *
+ * --pipeline is a JSON file or a JS module exporting the pipeline (to use ObjectId).       *
+ * --no-samples hides the sample documents.                                                 *
+ * Connection: see extensions/db-config.js, --collection uses the database of mongo-tasks.  *
+ ********************************************************************************************/
+
+const path = require('path');
+const MongoClient = require('mongodb').MongoClient;
+const instrumentDb = require('../extensions/query-log');
+const guardDb = require('../extensions/read-only-guard');
+const profilePipeline = require('../extensions/pipeline-profiler');
+const loadConfig = require('../extensions/db-config');
+
+async function main(args) {
+    let options = parseArgs(args);
+    if (!options.task && !(options.collection && options.pipeline)) {
+        throw new Error('Specify --task <module>:<task> or --collection <name> --pipeline <file>');
+    }
+
+    let moduleName = options.task ? options.task.split(':')[0] : 'mongo-tasks';
+    // the same connection and database the test module uses
+    let config = loadConfig(moduleName);
+    let client = await MongoClient.connect(config.mongo.url, config.mongo.options);
+    try {
+        let db = client.db(config.database);
+        let pipelines = options.task
+            ? await capturePipelines(db, moduleName, options.task.split(':')[1])
+            : [{collection: options.collection, pipeline: loadPipeline(options.pipeline)}];
+
+        for (let entry of pipelines) {
+            let profile = await profilePipeline(db, entry.collection, entry.pipeline);
+            console.log(profilePipeline.formatProfile(profile, {samples: options.samples}) + '\n');
+        }
+    } finally {
+        await client.close();
+    }
+}
+
+/**
+ * Runs the task with the instrumented connection and returns the aggregations it sent.
+ */
+async function capturePipelines(db, moduleName, taskName) {
+    let tasks = require(path.join('..', 'task', moduleName));
+    if (typeof tasks[taskName] !== 'function') {
+        throw new Error(`${taskName} is not exported by task/${moduleName}.js`);
+    }
+    let log = [];
+    try {
+        await tasks[taskName](instrumentDb(guardDb(db), log));
+    } catch (err) {
+        console.log(`${taskName} failed: ${err.message}, profiling the aggregations it sent before`);
+    }
+    let pipelines = log
+        .filter(entry => entry.operation === `${entry.collection}.aggregate`)
+        .map(entry => ({collection: entry.collection, pipeline: entry.query}));
+    if (!pipelines.length) {
+        throw new Error(`${taskName} did not send any aggregations`);
+    }
+    return pipelines;
+}
+
+function loadPipeline(file) {
+    let pipeline = require(path.resolve(file));
+    if (!Array.isArray(pipeline)) {
+        throw new Error(`${file} does not contain a pipeline array`);
+    }
+    return pipeline;
+}
+
+function parseArgs(args) {
+    let options = {samples: true};
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--no-samples') {
+            options.samples = false;
+        } else if (args[i].startsWith('--')) {
+            options[args[i].slice(2)] = args[++i];
+        }
+    }
+    return options;
+}
+
+main(process.argv.slice(2)).catch(err => {
+    console.error(err.message);
+    process.exitCode = 1;
+});
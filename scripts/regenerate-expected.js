@@ -0,0 +1,89 @@
+'use strict';
+
+/********************************************************************************************
+ * Rewrites the expected results of every task module (test/sql_json, test/mongo_json and   *
+ * so on) with the results of the reference solutions, e.g. after the dumps are updated.    *
+ *                                                                                          *
+ * Usage:                                                                                   *
+ *   npm run regenerate-expected                                                            *
+ *   npm run regenerate-expected -- --module sql-tasks --task task_1_1                      *
+ *                                                                                          *
+ * The reference solutions are looked up in reference/<task module>.js, see                 *
+ * extensions/reference-solutions.js. The tasks without a reference solution are skipped.   *
+ * A task with params sets in its manifest gets a file for every set. The data-modification *
+ * tasks run in a transaction which is rolled back, their files are the snapshots.          *
+ * The database is checked against the dump and provisioned the same way as in the tests.   *
+ ********************************************************************************************/
+
+const fs = require('fs');
+const path = require('path');
+const loadReference = require('../extensions/reference-solutions');
+const discoverTasks = require('../extensions/task-manifest').discoverTasks;
+const resolveParamSets = require('../extensions/task-manifest').resolveParamSets;
+const guardDb = require('../extensions/read-only-guard');
+const withTaskDatabase = require('../extensions/task-database');
+const runInTransaction = require('../extensions/task-transaction');
+
+const MODULES = [
+    'sql-tasks', 'sql-advanced-tasks', 'sql-dml-tasks', 'postgres-tasks',
+    'mongo-tasks', 'mongo-optimization-task', 'mongo-dml-tasks', 'mongo-graph-tasks'
+];
+
+async function main(args) {
+    let options = parseArgs(args);
+    let modules = options.module ? [options.module] : MODULES;
+    if (modules.some(name => MODULES.indexOf(name) === -1)) {
+        throw new Error(`Unknown module ${options.module}, expected one of ${MODULES.join(', ')}`);
+    }
+
+    for (let name of modules) {
+        let manifest = require(path.join('..', 'test', 'manifests', name));
+        let reference = loadReference(manifest);
+        if (!reference) {
+            console.log(`${name}: no reference solutions in ${loadReference.REFERENCE_DIR}, skipped`);
+            continue;
+        }
+        let ids = discoverTasks(reference).filter(id => !options.task || id === options.task);
+        await withTaskDatabase(name, manifest, async (db, client) => {
+            if (typeof reference.before === 'function') {
+                await reference.before(guardDb(db, {allowIndexes: true}));
+            }
+            for (let id of ids) {
+                let entry = (manifest.tasks || []).find(entry => entry.id === id) || {};
+                let errors = [];
+                let paramSets = resolveParamSets(manifest, id, entry, errors);
+                if (errors.length) {
+                    throw new Error(errors.join('\n'));
+                }
+                for (let set of paramSets) {
+                    let file = set.expectedPath;
+                    // the data-modification tasks are checked by the snapshot of the tables they change
+                    let text = loadReference.serializeExpected(manifest.writes
+                        ? await runInTransaction(db, client, entry.snapshot, tx => reference[id](tx, set.values))
+                        : await reference[id](guardDb(db), set.values));
+                    let status = !fs.existsSync(file) ? 'created'
+                        : fs.readFileSync(file, 'utf8') === text ? 'unchanged' : 'updated';
+                    if (status !== 'unchanged') {
+                        fs.writeFileSync(file, text);
+                    }
+                    console.log(`${name}: ${id} ${status} ${path.relative(process.cwd(), file)}`);
+                }
+            }
+        });
+    }
+}
+
+function parseArgs(args) {
+    let options = {};
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--module' || args[i] === '--task') {
+            options[args[i].slice(2)] = args[++i];
+        }
+    }
+    return options;
+}
+
+main(process.argv.slice(2)).catch(err => {
+    console.error(err.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,90 @@
+'use strict';
+
+/********************************************************************************************
+ * Builds the Mongo collections of northwind from the SQL data, so the Mongo track does not *
+ * drift from dumps/northwind.sql.                                                          *
+ *                                                                                          *
+ * Usage:                                                                                   *
+ *   npm run sql-to-mongo -- --out dumps/northwind_mongodb_typed/northwind                  *
+ *   npm run sql-to-mongo -- --live --target northwind_typed                                *
+ *   npm run sql-to-mongo -- --typing legacy --embed-details --out <folder>                 *
+ *                                                                                          *
+ * --dump reads another SQL dump (dumps/northwind.sql by default), --live reads the MySQL   *
+ * database of sql-tasks instead. --typing typed (default) stores Date and null, legacy     *
+ * keeps the string dates and "NULL" strings of dumps/northwind_mongodb. --embed-details    *
+ * puts the order details into their orders. --out writes a mongodump folder, --target      *
+ * loads the collections into a Mongo database and replaces the collections it has.         *
+ * Connection: see extensions/db-config.js.                                                 *
+ ********************************************************************************************/
+
+const fs = require('fs');
+const path = require('path');
+const mysql = require('mysql2/promise');
+const MongoClient = require('mongodb').MongoClient;
+const loadConfig = require('../extensions/db-config');
+const convertTables = require('../extensions/sql-to-mongo');
+const provisionMongoDatabase = require('../extensions/mongo-provision');
+
+const DEFAULT_DUMP = path.join(__dirname, '..', 'dumps', 'northwind.sql');
+
+async function main(args) {
+    let options = parseArgs(args);
+    if (!options.out && !options.target) {
+        throw new Error('Specify --out <folder> or --target <mongo database>');
+    }
+
+    let config = loadConfig('mongo-tasks');
+    if (options.target === config.database) {
+        throw new Error(`"${options.target}" is the database of the mongo-tasks tests, choose another --target`);
+    }
+
+    let tables = options.live
+        ? await readLiveTables()
+        : convertTables.readSqlDump(fs.readFileSync(options.dump || DEFAULT_DUMP, 'latin1'));
+    let collections = convertTables(tables, {typing: options.typing, embedDetails: options['embed-details']});
+
+    if (options.out) {
+        provisionMongoDatabase.writeBsonDump(collections, options.out);
+        console.log(`Wrote ${collections.length} collections to ${options.out}`);
+    }
+    if (options.target) {
+        let client = await MongoClient.connect(config.mongo.url, config.mongo.options);
+        try {
+            await provisionMongoDatabase.loadCollections(client.db(options.target), collections);
+        } finally {
+            await client.close();
+        }
+        console.log(`Loaded ${collections.length} collections into ${options.target}`);
+    }
+    for (let collection of collections) {
+        console.log(`  ${collection.name}: ${collection.documents.length} documents`);
+    }
+}
+
+async function readLiveTables() {
+    let config = loadConfig('sql-tasks');
+    // the dates are read as they are stored, without the time zone of this machine
+    let connection = await mysql.createConnection(Object.assign({dateStrings: true}, config.mysql));
+    try {
+        return await convertTables.readMysqlTables(connection, config.database);
+    } finally {
+        await connection.end();
+    }
+}
+
+function parseArgs(args) {
+    let options = {};
+    for (let i = 0; i < args.length; i++) {
+        if (['--dump', '--typing', '--out', '--target'].indexOf(args[i]) !== -1) {
+            options[args[i].slice(2)] = args[++i];
+        } else if (args[i] === '--live' || args[i] === '--embed-details') {
+            options[args[i].slice(2)] = true;
+        }
+    }
+    return options;
+}
+
+main(process.argv.slice(2)).catch(err => {
+    console.error(err.message);
+    process.exitCode = 1;
+});
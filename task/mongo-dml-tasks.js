@@ -0,0 +1,96 @@
+'use strict';
+
+/********************************************************************************************
+ *                                                                                          *
+ * The tasks change the data of northwind with inserts, updates, deletes and upserts.       *
+ * https://docs.mongodb.com/manual/crud/                                                    *
+ * https://docs.mongodb.com/manual/reference/operator/update/                               *
+ *                                                                                          *
+ * The tasks return nothing, the test checks the collections they change. Every test runs   *
+ * its task in a transaction and aborts it, so the data stays the same for the next run.    *
+ * Do not drop collections or create indexes in the tasks, the connection rejects it.       *
+ * MongoDB runs the transactions on replica sets only, a single node replica set will do,   *
+ * see README. The update pipelines and $round need MongoDB 4.2.                            *
+ *                                                                                          *
+ ********************************************************************************************/
+
+
+/**
+ * Raise the prices of the products of the category params.category by params.percent percents,
+ * round the new prices to 2 decimal places.
+ *
+ * The test runs the task with several categories, e.g. {category: 'Beverages', percent: 8},
+ * use the params as values of the query, do not build the query from strings
+ *
+ * HINT: an update with a pipeline computes the new value from the old one
+ *       https://docs.mongodb.com/manual/tutorial/update-documents-with-aggregation-pipeline/
+ */
+async function task_3_1(db, params) {
+    // The first task is example, please follow the style in the next functions.
+    const category = await db.collection('categories').findOne({CategoryName: params.category});
+    await db.collection('products').updateMany(
+        {CategoryID: category.CategoryID},
+        [{$set: {UnitPrice: {$round: [{$multiply: ['$UnitPrice', (100 + params.percent) / 100]}, 2]}}}]
+    );
+}
+
+/**
+ * Place the order of params.customerId taken by params.employeeId on params.orderDate:
+ *  - insert the order into orders: {OrderID, CustomerID, EmployeeID, OrderDate}, OrderID is the largest OrderID
+ *    of the orders plus 1, OrderDate is a string like in the other orders, '1998-06-01 00:00:00.000';
+ *  - insert a document into order-details for every item of params.items:
+ *    {OrderID, ProductID, UnitPrice, Quantity, Discount}, UnitPrice is the current price of the product, Discount is 0;
+ *  - decrease UnitsInStock of the ordered products by the ordered quantities.
+ *
+ * The test runs the task with several orders, e.g.
+ * {customerId: 'ALFKI', employeeId: 1, orderDate: '1998-06-01', items: [{productId: 1, quantity: 10}]}
+ *
+ * HINT: $inc changes a number by the given amount
+ */
+async function task_3_2(db, params) {
+    throw new Error("Not implemented");
+}
+
+/**
+ * Discontinue (set Discontinued to 1) the products which are not discontinued yet, have no units on order
+ * and were not ordered since params.date, i.e. there are no orders of the product with OrderDate >= params.date.
+ *
+ * NOTES: OrderDate is a string, '1998-04-01 00:00:00.000' >= '1998-04-01' as strings.
+ * The test runs the task with several dates, e.g. {date: '1998-04-01'}
+ */
+async function task_3_3(db, params) {
+    throw new Error("Not implemented");
+}
+
+/**
+ * Delete the order params.orderId with all its details.
+ *
+ * NOTES: there are no foreign keys in MongoDB, nothing stops you from leaving the details of a deleted order.
+ * The test runs the task with several orders, e.g. {orderId: 10248}
+ */
+async function task_3_4(db, params) {
+    throw new Error("Not implemented");
+}
+
+/**
+ * Save params.customer: insert the customer if there is no customer with its CustomerID, otherwise update
+ * CompanyName, ContactName, City, Country and Phone of the customer. The other fields stay as they are.
+ *
+ * The test runs the task with a new and an existing customer, e.g.
+ * {customer: {CustomerID: 'ALFKI', CompanyName: 'Alfreds Futterkiste GmbH', ContactName: 'Maria Anders',
+ *  City: 'Berlin', Country: 'Germany', Phone: '030-0074322'}}
+ *
+ * HINT: the upsert option of updateOne inserts the document when the filter matches nothing,
+ *       replaceOne would remove the other fields.
+ */
+async function task_3_5(db, params) {
+    throw new Error("Not implemented");
+}
+
+module.exports = {
+    task_3_1: task_3_1,
+    task_3_2: task_3_2,
+    task_3_3: task_3_3,
+    task_3_4: task_3_4,
+    task_3_5: task_3_5
+};
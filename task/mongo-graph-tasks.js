@@ -0,0 +1,128 @@
+'use strict';
+
+/********************************************************************************************
+ *                                                                                          *
+ * The tasks follow the chains of relations in northwind with $graphLookup: the reporting   *
+ * lines of the employees (ReportsTo) and the regions of the territories they cover.        *
+ * https://docs.mongodb.com/manual/reference/operator/aggregation/graphLookup/              *
+ *                                                                                          *
+ * The module runs on the collections converted from dumps/northwind.sql with typed values  *
+ * (npm run sql-to-mongo), not on dumps/northwind_mongodb: the CSV import lost ReportsTo of *
+ * several employees there. Missing values are null, see README.                            *
+ *                                                                                          *
+ ********************************************************************************************/
+
+
+/**
+ * Create a query to return the level of every employee in the hierarchy:
+ * | EmployeeID | Employee Full Name | Level |
+ *
+ * The employees who report to nobody (ReportsTo is null) are on Level 1, their subordinates on Level 2 and so on.
+ * Order by EmployeeID.
+ */
+async function task_4_1(db) {
+    // The first task is example, please follow the style in the next functions.
+    const result = await db.collection('employees').aggregate([
+        {
+            $graphLookup: {
+                from: 'employees',
+                startWith: '$ReportsTo',
+                connectFromField: 'ReportsTo',
+                connectToField: 'EmployeeID',
+                as: 'managers'
+            }
+        },
+        {
+            $project: {
+                _id: 0,
+                EmployeeID: 1,
+                "Employee Full Name": {$concat: ["$FirstName", " ", "$LastName"]},
+                Level: {$add: [{$size: "$managers"}, 1]}
+            }
+        },
+        {$sort: {EmployeeID: 1}}
+    ]).toArray();
+    return result;
+}
+
+/**
+ * Create a query to return the full management chain of every employee:
+ * | EmployeeID | Employee Full Name | Management Chain |
+ *
+ * Management Chain lists the full names from the top manager down to the employee separated by ' > ',
+ * e.g. 'Andrew Fuller > Steven Buchanan > Michael Suyama'. Order by EmployeeID.
+ *
+ * HINT: the documents found by $graphLookup go in no particular order, depthField tells how far each of them is
+ */
+async function task_4_2(db) {
+    throw new Error("Not implemented");
+}
+
+/**
+ * Create a query to count the subordinates of every employee:
+ * | EmployeeID | Employee Full Name | Direct Reports | All Reports |
+ *
+ * Direct Reports are the employees who report to the employee, All Reports also count their subordinates
+ * at every level below. The employees without subordinates have 0 in both columns.
+ * Order by "All Reports" descending, then by EmployeeID.
+ */
+async function task_4_3(db) {
+    throw new Error("Not implemented");
+}
+
+/**
+ * Create a query to return the subordinates of the employee params.employeeId down to params.depth levels:
+ * | EmployeeID | Employee Full Name | Depth |
+ *
+ * The direct reports of the employee have Depth 1, their subordinates Depth 2 and so on,
+ * the subordinates deeper than params.depth are left out.
+ * Order by Depth, then by EmployeeID.
+ * The test runs the task with several employees and depths, e.g. {employeeId: 2, depth: 1},
+ * use the params as values of the query, do not build the query from strings
+ *
+ * HINT: maxDepth of $graphLookup limits the recursion, maxDepth 0 finds the direct matches only
+ */
+async function task_4_4(db, params) {
+    throw new Error("Not implemented");
+}
+
+/**
+ * Create a query to return the territories and the employees of every region:
+ * | Region | Territories Count | Employees Count | Employees |
+ *
+ * Region is RegionDescription. Territories Count counts all territories of the region, Employees Count
+ * counts the employees who cover at least one of them (employee-territories).
+ * Employees lists their full names in alphabetical order separated by ', ', an empty string if there are none.
+ * Order by Region.
+ *
+ * NOTES: RegionDescription and TerritoryDescription are NCHAR(50) in the SQL dump, they are padded with spaces,
+ *        $trim them.
+ */
+async function task_4_5(db) {
+    throw new Error("Not implemented");
+}
+
+/**
+ * Create a query to return the coverage of the team of every employee:
+ * | EmployeeID | Employee Full Name | Team Size | Territories Count | Regions |
+ *
+ * The team is the employee with all subordinates at every level. Team Size counts its members,
+ * Territories Count counts the different territories covered by the members of the team,
+ * Regions lists the different regions of these territories in alphabetical order separated by ', '.
+ * Order by "Territories Count" descending, then by EmployeeID.
+ *
+ * NOTES: trim the region names the same way as in task_4_5.
+ * HINT: $lookup matches an array in localField against the values of foreignField
+ */
+async function task_4_6(db) {
+    throw new Error("Not implemented");
+}
+
+module.exports = {
+    task_4_1: task_4_1,
+    task_4_2: task_4_2,
+    task_4_3: task_4_3,
+    task_4_4: task_4_4,
+    task_4_5: task_4_5,
+    task_4_6: task_4_6
+};
@@ -6,8 +6,8 @@ const ObjectId = require('mongodb').ObjectID;
  * Before implementing the task, please read what mongodb documentation say us about that:
  * https://docs.mongodb.com/manual/core/aggregation-pipeline-optimization/
  *
- * You will find a dump for the task in dumps/awesomedb_mongodb/awesomedb.zip
- * To restore the dump unzip it and execute mongorestore
+ * The data of the task is generated by the test, to get it in your database execute
+ * npm run generate-awesomedb -- --target awesomedb
  ********************************************************************************************/
 
 /**
@@ -22,6 +22,7 @@ async function before(db) {
  *  Query bellow could return correct response but this one is extremely slow and need a lot of resources.
  *  At the task you don't really need to involve in the logic of the query but you need to optimize it
  *  to get the result in less than 6 seconds. (The best solution is 1-1.5 seconds)
+ *  The test also explains the aggregation: no more than 300 documents and 300 index keys may be examined.
  *
  *  HINTS which should allow you to execute the query. In priority order:
  *   1. $unwind is really big pain here - after the first $unwind all indexes will be lost.
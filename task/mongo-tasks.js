@@ -26,7 +26,7 @@ async function before(db) {
 
 /**
  *  Create a query to return next data ordered by city and then by name:
- * | Employy Id | Employee Full Name | Title | City |
+ * | EmployeeID | Employee Full Name | Title | City |
  *
  * NOTES: if City is null - show city as "Unspecified"
  */
@@ -148,12 +148,14 @@ async function task_1_10(db) {
 }
 
 /**
- * Create a query to get Product list (name, unit price) where products cost between $5 and $15:
+ * Create a query to get Product list (name, unit price) where products cost between params.minPrice and params.maxPrice:
  * | ProductName | UnitPrice |
  *
  * Order by UnitPrice then by ProductName
+ * The test runs the task with several price ranges, e.g. {minPrice: 5, maxPrice: 15},
+ * use the params as values of the query, do not build the query from strings
  */
-async function task_1_11(db) {
+async function task_1_11(db, params) {
     throw new Error("Not implemented");
 }
 
@@ -190,13 +192,15 @@ async function task_1_14(db) {
 }
 
 /**
- * Create a query to return the total number of orders for every month in 1997 year:
- * | January | February | March | April | May | June | July | August | September | November | December |
+ * Create a query to return the total number of orders for every month in params.year year:
+ * | January | February | March | April | May | June | July | August | September | October | November | December |
+ *
+ * The test runs the task with several years, e.g. {year: 1997}
  *
  * HINT: see $dateFromString
  *       https://docs.mongodb.com/manual/reference/operator/aggregation/dateFromString/
  */
-async function task_1_15(db) {
+async function task_1_15(db, params) {
     throw new Error("Not implemented");
 }
 
@@ -221,17 +225,18 @@ async function task_1_17(db) {
 }
 
 /**
- * Create a query to calcualte total orders count by each day in 1998:
+ * Create a query to calcualte total orders count by each day in params.year:
  * | Order Date | Total Number of Orders |
  *
  * Order Date needs to be in the format '%Y-%m-%d'
  * Order by Order Date
+ * The test runs the task with several years, e.g. {year: 1998}
  *
  * HINT: see $dateFromString, $dateToString
  *       https://docs.mongodb.com/manual/reference/operator/aggregation/dateToString/
  *       https://docs.mongodb.com/manual/reference/operator/aggregation/dateFromString/
  */
-async function task_1_18(db) {
+async function task_1_18(db, params) {
     throw new Error("Not implemented");
 }
 
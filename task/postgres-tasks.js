@@ -0,0 +1,323 @@
+'use strict';
+
+/********************************************************************************************
+ *                                                                                          *
+ * The tasks of sql-tasks.js for PostgreSQL: the same data and the same results, the SQL    *
+ * of another dialect.                                                                      *
+ * https://www.postgresql.org/docs/current/functions.html                                   *
+ *                                                                                          *
+ * The differences from MySQL you will meet:                                                *
+ *  - the table and column names keep their case in double quotes: "Products"."UnitPrice",  *
+ *    the names without quotes are lowercased, strings are in single quotes only;           *
+ *  - the aliases are in double quotes too, and ORDER BY can use them, HAVING can not;      *
+ *  - db.query(sql, values) has $1, $2 placeholders and resolves to {rows, fields},         *
+ *    return result.rows;                                                                   *
+ *  - the standard concatenation operator is a double pipe, to_char formats the dates,      *
+ *    / of integers truncates.                                                              *
+ *                                                                                          *
+ ********************************************************************************************/
+
+
+/**
+ *  Create a SQL query to return next data ordered by city and then by name:
+ * | Employee Id | Employee Full Name | Title | City |
+ *
+ * @return {array}
+ *
+ */
+async function task_1_1(db) {
+    // The first task is example, please follow the style in the next functions.
+    let result = await db.query(`
+        SELECT
+           "EmployeeID" AS "Employee Id",
+           "FirstName" || ' ' || "LastName" AS "Employee Full Name",
+           "Title" AS "Title",
+           "City" AS "City"
+        FROM "Employees"
+        ORDER BY "City", "Employee Full Name"
+    `);
+    return result.rows;
+}
+
+/**
+ *  Create a query to return an Order list ordered by order id descending:
+ * | Order Id | Order Total Price | Total Order Discount, % |
+ *
+ * NOTES: Discount in OrderDetails is a discount($) per Unit.
+ * @return {array}
+ *
+ */
+async function task_1_2(db) {
+    throw new Error("Not implemented");
+}
+
+/**
+ *  Create a query to return all customers from USA without Fax:
+ * | CustomerId | CompanyName |
+ *
+ * @return {array}
+ *
+ */
+async function task_1_3(db) {
+    throw new Error("Not implemented");
+}
+
+/**
+ * Create a query to return:
+ * | Customer Id | Total number of Orders | % of all orders |
+ *
+ * order data by % - higher percent at the top, then by CustomerID asc
+ *
+ * @return {array}
+ *
+ */
+async function task_1_4(db) {
+    throw new Error("Not implemented");
+}
+
+/**
+ * Return all products where product name starts with 'A', 'B', .... 'F' ordered by name.
+ * | ProductId | ProductName | QuantityPerUnit |
+ *
+ * @return {array}
+ *
+ */
+async function task_1_5(db) {
+    throw new Error("Not implemented");
+}
+
+/**
+ *
+ * Create a query to return all products with category and supplier company names:
+ * | ProductName | CategoryName | SupplierCompanyName |
+ *
+ * Order by ProductName then by SupplierCompanyName
+ * @return {array}
+ *
+ */
+async function task_1_6(db) {
+    throw new Error("Not implemented");
+}
+
+/**
+ *
+ * Create a query to return all employees and full name of person to whom this employee reports to:
+ * | EmployeeId | FullName | ReportsTo |
+ *
+ * Order data by EmployeeId.
+ * Reports To - Full name. If the employee does not report to anybody leave "-" in the column.
+ * @return {array}
+ *
+ */
+async function task_1_7(db) {
+    throw new Error("Not implemented");
+}
+
+/**
+ *
+ * Create a query to return:
+ * | CategoryName | TotalNumberOfProducts |
+ *
+ * @return {array}
+ *
+ */
+async function task_1_8(db) {
+    throw new Error("Not implemented");
+}
+
+/**
+ *
+ * Create a SQL query to find those customers whose contact name containing the 1st character is 'F' and the 4th character is 'n' and rests may be any character.
+ * | CustomerID | ContactName |
+ *
+ * @return {array}
+ *
+ */
+async function task_1_9(db) {
+    throw new Error("Not implemented");
+}
+
+/**
+ * Write a query to get discontinued Product list:
+ * | ProductID | ProductName |
+ *
+ * @return {array}
+ *
+ */
+async function task_1_10(db) {
+    throw new Error("Not implemented");
+}
+
+/**
+ * Create a SQL query to get Product list (name, unit price) where products cost between params.minPrice and params.maxPrice:
+ * | ProductName | UnitPrice |
+ *
+ * Order by UnitPrice then by ProductName
+ * The test runs the task with several price ranges, e.g. {minPrice: 5, maxPrice: 15},
+ * pass the params to the query as placeholders: db.query('... BETWEEN $1 AND $2 ...', [params.minPrice, params.maxPrice])
+ *
+ * @param {object} params - {minPrice, maxPrice}
+ * @return {array}
+ *
+ */
+async function task_1_11(db, params) {
+    throw new Error("Not implemented");
+}
+
+/**
+ * Write a SQL query to get Product list of twenty most expensive products:
+ * | ProductName | UnitPrice |
+ *
+ * Order products by price then by ProductName.
+ *
+ * @return {array}
+ *
+ */
+async function task_1_12(db) {
+    throw new Error("Not implemented");
+}
+
+/**
+ * Create a SQL query to count current and discontinued products:
+ * | TotalOfCurrentProducts | TotalOfDiscontinuedProducts |
+ *
+ * @return {array}
+ *
+ */
+async function task_1_13(db) {
+    throw new Error("Not implemented");
+}
+
+/**
+ * Create a SQL query to get Product list of stock is less than the quantity on order:
+ * | ProductName | UnitsOnOrder| UnitsInStock |
+ *
+ * @return {array}
+ *
+ */
+async function task_1_14(db) {
+    throw new Error("Not implemented");
+}
+
+/**
+ * Create a SQL query to return the total number of orders for every month in params.year year:
+ * | January | February | March | April | May | June | July | August | September | October | November | December |
+ *
+ * The test runs the task with several years, e.g. {year: 1997}, pass the year to the query as the $1 placeholder
+ *
+ * @param {object} params - {year}
+ * @return {array}
+ *
+ */
+async function task_1_15(db, params) {
+    throw new Error("Not implemented");
+}
+
+/**
+ * Create a SQL query to return all orders where ship postal code is provided:
+ * | OrderID | CustomerID | ShipCountry |
+ *
+ * @return {array}
+ *
+ */
+async function task_1_16(db) {
+    throw new Error("Not implemented");
+}
+
+/**
+ * Create SQL query to display the average price of each categories's products:
+ * | CategoryName | AvgPrice |
+ *
+ * @return {array}
+ *
+ * Order by AvgPrice descending then by CategoryName
+ *
+ */
+async function task_1_17(db) {
+    throw new Error("Not implemented");
+}
+
+/**
+ * Create a SQL query to calcualte total orders count by each day in params.year:
+ * | OrderDate | Total Number of Orders |
+ *
+ * OrderDate needs to be in the format 'YYYY-MM-DD HH24:MI:SS'
+ * The test runs the task with several years, e.g. {year: 1998}, pass the year to the query as the $1 placeholder
+ *
+ * @param {object} params - {year}
+ * @return {array}
+ *
+ */
+async function task_1_18(db, params) {
+    throw new Error("Not implemented");
+}
+
+/**
+ * Create a SQL query to display customer details whose total orders amount is more than 10000$:
+ * | CustomerID | CompanyName | TotalOrdersAmount, $ |
+ *
+ * Order by "TotalOrdersAmount, $" descending then by CustomerID
+ * @return {array}
+ *
+ */
+async function task_1_19(db) {
+    throw new Error("Not implemented");
+}
+
+/**
+ *
+ * Create a SQL query to find the employee that sold products for the largest amount:
+ * | EmployeeID | Employee Full Name | Amount, $ |
+ *
+ * @return {array}
+ *
+ */
+async function task_1_20(db) {
+    throw new Error("Not implemented");
+}
+
+/**
+ * Write a SQL statement to get the maximum purchase amount of all the orders.
+ * | OrderID | Maximum Purchase Amount, $ |
+ *
+ * @return {array}
+ */
+async function task_1_21(db) {
+    throw new Error("Not implemented");
+}
+
+/**
+ * Create a SQL query to display the name of each customer along with their most expensive purchased product:
+ * | CompanyName | ProductName | PricePerItem |
+ *
+ * order by PricePerItem descending and them by CompanyName and ProductName acceding
+ * @return {array}
+ */
+async function task_1_22(db) {
+    throw new Error("Not implemented");
+}
+
+module.exports = {
+    task_1_1: task_1_1,
+    task_1_2: task_1_2,
+    task_1_3: task_1_3,
+    task_1_4: task_1_4,
+    task_1_5: task_1_5,
+    task_1_6: task_1_6,
+    task_1_7: task_1_7,
+    task_1_8: task_1_8,
+    task_1_9: task_1_9,
+    task_1_10: task_1_10,
+    task_1_11: task_1_11,
+    task_1_12: task_1_12,
+    task_1_13: task_1_13,
+    task_1_14: task_1_14,
+    task_1_15: task_1_15,
+    task_1_16: task_1_16,
+    task_1_17: task_1_17,
+    task_1_18: task_1_18,
+    task_1_19: task_1_19,
+    task_1_20: task_1_20,
+    task_1_21: task_1_21,
+    task_1_22: task_1_22
+};
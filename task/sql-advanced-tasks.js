@@ -0,0 +1,184 @@
+'use strict';
+
+/********************************************************************************************
+ *                                                                                          *
+ * The tasks continue task/sql-tasks.js with the features of MySQL 8: window functions,     *
+ * common table expressions (WITH), recursive queries and pivoting with conditional         *
+ * aggregation.                                                                             *
+ * https://dev.mysql.com/doc/refman/8.0/en/window-functions.html                            *
+ * https://dev.mysql.com/doc/refman/8.0/en/with.html                                        *
+ *                                                                                          *
+ * The tasks need MySQL 8.0, MySQL 5.7 has neither window functions nor WITH.               *
+ *                                                                                          *
+ ********************************************************************************************/
+
+
+/**
+ *  Create a SQL query to rank the products of every category by price, the most expensive first:
+ * | CategoryName | ProductName | UnitPrice | Price Rank |
+ *
+ * Products with the same price share the rank, the next rank skips the shared places (1, 2, 2, 4).
+ * Order by CategoryName, then by Price Rank, then by ProductName.
+ *
+ * @return {array}
+ *
+ */
+async function task_2_1(db) {
+    // The first task is example, please follow the style in the next functions.
+    let result = await db.query(`
+        SELECT
+            c.CategoryName AS "CategoryName",
+            p.ProductName AS "ProductName",
+            p.UnitPrice AS "UnitPrice",
+            RANK() OVER (PARTITION BY p.CategoryID ORDER BY p.UnitPrice DESC) AS "Price Rank"
+        FROM Products p
+        JOIN Categories c ON c.CategoryID = p.CategoryID
+        ORDER BY c.CategoryName, \`Price Rank\`, p.ProductName
+    `);
+    return result[0];
+}
+
+/**
+ * Create a SQL query to find the employee that sold products for the largest amount in every year:
+ * | Year | EmployeeID | Employee Full Name | Amount, $ |
+ *
+ * The amount is the sum of UnitPrice * Quantity of the order details, the year is the year of OrderDate.
+ * If several employees have the same amount, take the one with the lowest EmployeeID.
+ * Order by Year.
+ *
+ * HINT: ROW_NUMBER() OVER (PARTITION BY ...) numbers the rows of every year.
+ * @return {array}
+ *
+ */
+async function task_2_2(db) {
+    throw new Error("Not implemented");
+}
+
+/**
+ * Create a SQL query to return three best selling products of every category:
+ * | CategoryName | ProductName | Units Sold | Sales Rank |
+ *
+ * Units Sold is the sum of Quantity of the order details, Sales Rank is 1, 2, 3 inside the category,
+ * products with the same Units Sold are ranked by ProductName.
+ * Order by CategoryName, then by Sales Rank.
+ *
+ * @return {array}
+ *
+ */
+async function task_2_3(db) {
+    throw new Error("Not implemented");
+}
+
+/**
+ * Create a SQL query to display the customers whose total orders amount is above the average
+ * total orders amount of the customers:
+ * | CustomerID | CompanyName | TotalOrdersAmount, $ | Average, $ |
+ *
+ * The amounts are sums of UnitPrice * Quantity, the average is calculated over the customers having orders
+ * and rounded to 2 decimal places.
+ * Order by "TotalOrdersAmount, $" descending, then by CustomerID.
+ *
+ * HINT: WITH totals AS (...), average AS (...) SELECT ... names the steps of the query.
+ * @return {array}
+ *
+ */
+async function task_2_4(db) {
+    throw new Error("Not implemented");
+}
+
+/**
+ * Create a SQL query to return the orders of the customers from params.country with the running totals:
+ * | CustomerID | OrderID | OrderDate | Order Total, $ | Running Total, $ |
+ *
+ * Order Total is the sum of UnitPrice * Quantity of the order, Running Total is the sum of Order Total
+ * of this and all previous orders of the customer.
+ * OrderDate needs to be in the format '%Y-%m-%d'.
+ * Order by CustomerID, then by OrderDate, then by OrderID, the running totals follow the same order.
+ * The test runs the task with several countries, e.g. {country: 'Germany'}, pass the country to the query
+ * as a placeholder
+ *
+ * @param {object} params - {country}
+ * @return {array}
+ *
+ */
+async function task_2_5(db, params) {
+    throw new Error("Not implemented");
+}
+
+/**
+ * Create a SQL query to compare the number of orders of every month with the previous month:
+ * | Year | Month | Orders Count | Previous Month Orders Count | Change, % |
+ *
+ * Change, % is (Orders Count - Previous Month Orders Count) * 100 / Previous Month Orders Count
+ * rounded to 2 decimal places. The first month has no previous month, both columns are NULL.
+ * Order by Year, then by Month.
+ *
+ * HINT: LAG() returns the value of the previous row.
+ * @return {array}
+ *
+ */
+async function task_2_6(db) {
+    throw new Error("Not implemented");
+}
+
+/**
+ * Create a SQL query to return the full management chain of every employee:
+ * | EmployeeID | Employee Full Name | Level | Management Chain |
+ *
+ * The employees who report to nobody (ReportsTo is NULL) are on Level 1, their subordinates on Level 2 and so on.
+ * Management Chain lists the full names from the top manager down to the employee separated by ' > ',
+ * e.g. 'Andrew Fuller > Steven Buchanan > Michael Suyama'.
+ * Order by EmployeeID.
+ *
+ * HINT: WITH RECURSIVE; the type of a column comes from the first SELECT of the recursive CTE,
+ *       CAST the chain to a long enough CHAR.
+ * @return {array}
+ *
+ */
+async function task_2_7(db) {
+    throw new Error("Not implemented");
+}
+
+/**
+ * Create a SQL query to count the subordinates of every employee:
+ * | EmployeeID | Employee Full Name | Direct Reports | All Reports |
+ *
+ * Direct Reports are the employees who report to the employee, All Reports also count their subordinates
+ * at every level below. The employees without subordinates have 0 in both columns.
+ * Order by "All Reports" descending, then by EmployeeID.
+ *
+ * @return {array}
+ *
+ */
+async function task_2_8(db) {
+    throw new Error("Not implemented");
+}
+
+/**
+ * Create a SQL query to return the sales of every category by quarters of params.year:
+ * | CategoryName | Q1 | Q2 | Q3 | Q4 | Total |
+ *
+ * The sales are sums of UnitPrice * Quantity of the order details, the quarter is the quarter of OrderDate.
+ * A quarter without sales is 0. Order by CategoryName.
+ * The test runs the task with several years, e.g. {year: 1997}, pass the year to the query as a placeholder
+ *
+ * HINT: SUM(CASE WHEN ... THEN ... ELSE 0 END) sums only the rows of one quarter.
+ * @param {object} params - {year}
+ * @return {array}
+ *
+ */
+async function task_2_9(db, params) {
+    throw new Error("Not implemented");
+}
+
+module.exports = {
+    task_2_1: task_2_1,
+    task_2_2: task_2_2,
+    task_2_3: task_2_3,
+    task_2_4: task_2_4,
+    task_2_5: task_2_5,
+    task_2_6: task_2_6,
+    task_2_7: task_2_7,
+    task_2_8: task_2_8,
+    task_2_9: task_2_9
+};
@@ -0,0 +1,106 @@
+'use strict';
+
+/********************************************************************************************
+ *                                                                                          *
+ * The tasks change the data of northwind with INSERT, UPDATE, DELETE and upserts.          *
+ * https://dev.mysql.com/doc/refman/8.0/en/sql-data-manipulation-statements.html            *
+ *                                                                                          *
+ * The tasks return nothing, the test checks the tables they change. Every test runs its    *
+ * task in a transaction and rolls it back, so the data stays the same for the next run.    *
+ * Do not commit, roll back or change the schema in the tasks, the connection rejects it.   *
+ * With the SQLite engine write UPDATE and DELETE with subqueries instead of the joins.     *
+ *                                                                                          *
+ ********************************************************************************************/
+
+
+/**
+ * Raise the prices of the products of the category params.category by params.percent percents.
+ *
+ * UnitPrice is DECIMAL(10, 0), the new prices are rounded to whole dollars when they are stored.
+ * The test runs the task with several categories, e.g. {category: 'Beverages', percent: 8},
+ * pass the values to the query as placeholders.
+ *
+ * @param {object} params - {category, percent}
+ * @return {Promise}
+ *
+ */
+async function task_3_1(db, params) {
+    // The first task is example, please follow the style in the next functions.
+    await db.execute(`
+        UPDATE Products
+        SET UnitPrice = UnitPrice * (100 + ?) / 100
+        WHERE CategoryID = (SELECT CategoryID FROM Categories WHERE CategoryName = ?)
+    `, [params.percent, params.category]);
+}
+
+/**
+ * Place the order of params.customerId taken by params.employeeId on params.orderDate:
+ *  - insert the order into Orders, OrderID is generated by the table (AUTO_INCREMENT);
+ *  - insert a row into OrderDetails for every item of params.items, UnitPrice is the current price
+ *    of the product, Discount is 0;
+ *  - decrease UnitsInStock of the ordered products by the ordered quantities.
+ *
+ * The test runs the task with several orders, e.g.
+ * {customerId: 'ALFKI', employeeId: 1, orderDate: '1998-06-01', items: [{productId: 1, quantity: 10}]}
+ *
+ * HINT: the result of INSERT has the generated id, (await db.execute(sql, values))[0].insertId
+ * @param {object} params - {customerId, employeeId, orderDate, items: [{productId, quantity}]}
+ * @return {Promise}
+ *
+ */
+async function task_3_2(db, params) {
+    throw new Error("Not implemented");
+}
+
+/**
+ * Discontinue (set Discontinued to 1) the products which are not discontinued yet, have no units on order
+ * and were not ordered since params.date, i.e. there are no orders of the product with OrderDate >= params.date.
+ *
+ * The test runs the task with several dates, e.g. {date: '1998-04-01'}, pass the date to the query as a placeholder
+ *
+ * @param {object} params - {date}
+ * @return {Promise}
+ *
+ */
+async function task_3_3(db, params) {
+    throw new Error("Not implemented");
+}
+
+/**
+ * Delete the order params.orderId with all its details.
+ *
+ * NOTES: OrderDetails references Orders with a foreign key, delete the details first.
+ * The test runs the task with several orders, e.g. {orderId: 10248}
+ *
+ * @param {object} params - {orderId}
+ * @return {Promise}
+ *
+ */
+async function task_3_4(db, params) {
+    throw new Error("Not implemented");
+}
+
+/**
+ * Save params.customer: insert the customer if there is no customer with its CustomerID, otherwise update
+ * CompanyName, ContactName, City, Country and Phone of the customer. The other columns stay as they are.
+ *
+ * The test runs the task with a new and an existing customer, e.g.
+ * {customer: {CustomerID: 'ALFKI', CompanyName: 'Alfreds Futterkiste GmbH', ContactName: 'Maria Anders',
+ *  City: 'Berlin', Country: 'Germany', Phone: '030-0074322'}}
+ *
+ * HINT: INSERT ... ON DUPLICATE KEY UPDATE does it with one statement, REPLACE deletes the other columns.
+ * @param {object} params - {customer: {CustomerID, CompanyName, ContactName, City, Country, Phone}}
+ * @return {Promise}
+ *
+ */
+async function task_3_5(db, params) {
+    throw new Error("Not implemented");
+}
+
+module.exports = {
+    task_3_1: task_3_1,
+    task_3_2: task_3_2,
+    task_3_3: task_3_3,
+    task_3_4: task_3_4,
+    task_3_5: task_3_5
+};
@@ -15,7 +15,7 @@
 
 /**
  *  Create a SQL query to return next data ordered by city and then by name:
- * | Employy Id | Employee Full Name | Title | City |
+ * | Employee Id | Employee Full Name | Title | City |
  *
  * @return {array}
  *
@@ -29,7 +29,7 @@ async function task_1_1(db) {
            Title as "Title",
            City as "City"
         FROM Employees
-        ORDER BY City, "Employee Full Name"
+        ORDER BY City, \`Employee Full Name\`
     `);
     return result[0];
 }
@@ -144,15 +144,18 @@ async function task_1_10(db) {
 }
 
 /**
- * Create a SQL query to get Product list (name, unit price) where products cost between $5 and $15:
+ * Create a SQL query to get Product list (name, unit price) where products cost between params.minPrice and params.maxPrice:
  * | ProductName | UnitPrice |
  *
  * Order by UnitPrice then by ProductName
+ * The test runs the task with several price ranges, e.g. {minPrice: 5, maxPrice: 15},
+ * pass the params to the query as placeholders: db.execute(sql, [params.minPrice, params.maxPrice])
  *
+ * @param {object} params - {minPrice, maxPrice}
  * @return {array}
  *
  */
-async function task_1_11(db) {
+async function task_1_11(db, params) {
     throw new Error("Not implemented");
 }
 
@@ -192,13 +195,16 @@ async function task_1_14(db) {
 }
 
 /**
- * Create a SQL query to return the total number of orders for every month in 1997 year:
- * | January | February | March | April | May | June | July | August | September | November | December |
+ * Create a SQL query to return the total number of orders for every month in params.year year:
+ * | January | February | March | April | May | June | July | August | September | October | November | December |
  *
+ * The test runs the task with several years, e.g. {year: 1997}, pass the year to the query as a placeholder
+ *
+ * @param {object} params - {year}
  * @return {array}
  *
  */
-async function task_1_15(db) {
+async function task_1_15(db, params) {
     throw new Error("Not implemented");
 }
 
@@ -227,14 +233,17 @@ async function task_1_17(db) {
 }
 
 /**
- * Create a SQL query to calcualte total orders count by each day in 1998:
+ * Create a SQL query to calcualte total orders count by each day in params.year:
  * | OrderDate | Total Number of Orders |
  *
  * OrderDate needs to be in the format '%Y-%m-%d %T'
+ * The test runs the task with several years, e.g. {year: 1998}, pass the year to the query as a placeholder
+ *
+ * @param {object} params - {year}
  * @return {array}
  *
  */
-async function task_1_18(db) {
+async function task_1_18(db, params) {
     throw new Error("Not implemented");
 }
 
@@ -0,0 +1,50 @@
+'use strict';
+
+/**
+ * Rules to compare the SQL and the Mongo implementations of the same task, see scripts/compare-engines.js.
+ * The task texts ask for nearly the same tables, the rules describe where they legitimately differ:
+ *  - columns - {<SQL column>: <Mongo column>} for the columns named differently;
+ *  - ignore - SQL names of the columns only one engine returns or defines differently;
+ *  - round - decimal places for all the columns or {<SQL column>: decimal places},
+ *    i.e. the prices of the SQL dump are DECIMAL(10,0) while Mongo keeps the cents;
+ *  - dateOnly - columns compared by the date part only;
+ *  - compare - the result-diff options, see test/manifests/sql-tasks.js;
+ *  - skip - the reason the tasks can not be compared, i.e. the texts ask for different data.
+ * The params sets of the sql-tasks manifest are used for both engines.
+ */
+module.exports = {
+    name: 'cross-engine',
+    sql: 'sql-tasks',
+    mongo: 'mongo-tasks',
+    tasks: [
+        {id: 'task_1_1', columns: {'Employee Id': 'EmployeeID'}, compare: {sortKeys: ['City', 'Employee Full Name']}},
+        {id: 'task_1_2', round: {'Order Total Price': 0}},
+        {id: 'task_1_3', skip: 'the SQL task returns the customers from USA only'},
+        {id: 'task_1_4', round: {'% of all orders': 3}},
+        {id: 'task_1_5', columns: {ProductId: 'ProductID'}},
+        {id: 'task_1_6'},
+        // the Mongo task adds the title of courtesy to FullName
+        {id: 'task_1_7', columns: {EmployeeId: 'EmployeeID'}, ignore: ['FullName']},
+        {id: 'task_1_8', compare: {order: 'unordered'}},
+        {id: 'task_1_9', compare: {order: 'unordered'}},
+        {id: 'task_1_10', compare: {order: 'unordered'}},
+        {id: 'task_1_11', round: {UnitPrice: 0}, compare: {sortKeys: ['UnitPrice']}},
+        {id: 'task_1_12', round: {UnitPrice: 0}, compare: {sortKeys: ['UnitPrice']}},
+        {id: 'task_1_13'},
+        {id: 'task_1_14', compare: {order: 'unordered'}},
+        {id: 'task_1_15'},
+        {id: 'task_1_16', compare: {order: 'unordered'}},
+        {id: 'task_1_17', round: {AvgPrice: 0}, compare: {order: 'unordered'}},
+        {
+            id: 'task_1_18',
+            columns: {OrderDate: 'Order Date'},
+            dateOnly: ['OrderDate'],
+            compare: {order: 'unordered'}
+        },
+        {id: 'task_1_19', round: {'TotalOrdersAmount, $': 0}, compare: {order: 'unordered'}},
+        {id: 'task_1_20', round: {'Amount, $': 0}},
+        {id: 'task_1_21', round: {'Maximum Purchase Amount, $': 0}},
+        // only the Mongo task returns CustomerID
+        {id: 'task_1_22', ignore: ['CustomerID'], round: {PricePerItem: 0}, compare: {sortKeys: ['PricePerItem']}}
+    ]
+};
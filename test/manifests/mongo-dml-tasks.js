@@ -0,0 +1,130 @@
+'use strict';
+
+const path = require('path');
+
+const PRODUCT_PRICES = {
+    collection: 'products',
+    projection: {ProductID: 1, ProductName: 1, CategoryID: 1, UnitPrice: 1},
+    sort: {ProductID: 1}
+};
+const PRODUCT_STOCK = {collection: 'products', projection: {ProductID: 1, UnitsInStock: 1}, sort: {ProductID: 1}};
+
+/**
+ * Tasks of task/mongo-dml-tasks.js, they change the data instead of returning it (`writes: true`),
+ * see test/manifests/sql-dml-tasks.js. The transactions need a replica set, the tests are skipped without it.
+ *
+ * `snapshot: {<name>: query}` - {collection, filter, projection, sort} or {collection, pipeline},
+ * test/mongo_dml_json/<task id>.json has the expected documents of every query, {<name>: documents}.
+ * Unlike AUTO_INCREMENT the OrderID of task_3_2 is computed by the task, so the snapshots include it.
+ *
+ * The percents of task_3_1 are multiples of 4, so no new price ends with exactly half a cent.
+ */
+module.exports = {
+    name: 'mongo-dml-tasks',
+    engine: 'mongo',
+    writes: true,
+    source: path.join(__dirname, '..', '..', 'task', 'mongo-dml-tasks.js'),
+    // loaded into a throwaway database when the configured one does not match it
+    dump: path.join(__dirname, '..', '..', 'dumps', 'northwind_mongodb', 'northwind'),
+    expectedDir: path.join(__dirname, '..', 'mongo_dml_json'),
+    defaults: {
+        timeout: 2000,
+        compare: {}
+    },
+    tasks: [
+        {
+            id: 'task_3_1',
+            expected: 'task_3_1.json',
+            snapshot: {products: PRODUCT_PRICES},
+            params: [
+                {values: {category: 'Beverages', percent: 8}},
+                {values: {category: 'Seafood', percent: 12}, expected: 'task_3_1.seafood_12.json'}
+            ]
+        },
+        {
+            id: 'task_3_2',
+            expected: 'task_3_2.json',
+            snapshot: {
+                orders: {
+                    collection: 'orders',
+                    filter: {OrderDate: {$gte: '1998-06-01'}},
+                    projection: {OrderID: 1, CustomerID: 1, EmployeeID: 1, OrderDate: 1},
+                    sort: {OrderID: 1}
+                },
+                'order-details': {
+                    collection: 'order-details',
+                    filter: {OrderID: {$gt: 11077}},
+                    projection: {OrderID: 1, ProductID: 1, UnitPrice: 1, Quantity: 1, Discount: 1},
+                    sort: {OrderID: 1, ProductID: 1}
+                },
+                products: PRODUCT_STOCK
+            },
+            params: [
+                {values: {customerId: 'ALFKI', employeeId: 1, orderDate: '1998-06-01', items: [
+                    {productId: 1, quantity: 10},
+                    {productId: 42, quantity: 6}
+                ]}},
+                {values: {customerId: 'BONAP', employeeId: 4, orderDate: '1998-06-02', items: [
+                    {productId: 2, quantity: 5},
+                    {productId: 11, quantity: 12},
+                    {productId: 72, quantity: 14}
+                ]}, expected: 'task_3_2.bonap.json'}
+            ]
+        },
+        {
+            id: 'task_3_3',
+            expected: 'task_3_3.json',
+            snapshot: {
+                products: {
+                    collection: 'products',
+                    projection: {ProductID: 1, ProductName: 1, Discontinued: 1},
+                    sort: {ProductID: 1}
+                }
+            },
+            params: [
+                {values: {date: '1998-04-01'}},
+                {values: {date: '1998-03-01'}, expected: 'task_3_3.date_1998_03_01.json'}
+            ]
+        },
+        {
+            id: 'task_3_4',
+            expected: 'task_3_4.json',
+            snapshot: {
+                orders: {collection: 'orders', filter: {CustomerID: 'VINET'}, projection: {OrderID: 1}, sort: {OrderID: 1}},
+                // the details of both tested orders, the deleted one has none left
+                'order-details': {
+                    collection: 'order-details',
+                    filter: {OrderID: {$in: [10248, 10739]}},
+                    projection: {OrderID: 1, ProductID: 1},
+                    sort: {OrderID: 1, ProductID: 1}
+                }
+            },
+            params: [
+                {values: {orderId: 10248}},
+                {values: {orderId: 10739}, expected: 'task_3_4.order_10739.json'}
+            ]
+        },
+        {
+            id: 'task_3_5',
+            expected: 'task_3_5.json',
+            snapshot: {
+                customers: {
+                    collection: 'customers',
+                    filter: {CustomerID: {$in: ['ALFKI', 'NWCST']}},
+                    projection: {
+                        CustomerID: 1, CompanyName: 1, ContactName: 1, ContactTitle: 1, Address: 1, City: 1,
+                        Country: 1, Phone: 1
+                    },
+                    sort: {CustomerID: 1}
+                },
+                count: {collection: 'customers', pipeline: [{$count: 'Customers'}]}
+            },
+            params: [
+                {values: {customer: {CustomerID: 'ALFKI', CompanyName: 'Alfreds Futterkiste GmbH',
+                    ContactName: 'Maria Anders', City: 'Berlin', Country: 'Germany', Phone: '030-0074322'}}},
+                {values: {customer: {CustomerID: 'NWCST', CompanyName: 'Northwind Coast', ContactName: 'Ann Devon',
+                    City: 'Portland', Country: 'USA', Phone: '(503) 555-0199'}}, expected: 'task_3_5.new_customer.json'}
+            ]
+        }
+    ]
+};
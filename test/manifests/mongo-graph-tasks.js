@@ -0,0 +1,41 @@
+'use strict';
+
+const path = require('path');
+
+/**
+ * Tasks of task/mongo-graph-tasks.js: $graphLookup over the reporting lines and the territories.
+ * Every exported `task_*` function gets a test, see test/manifests/mongo-tasks.js for `compare` and `params`.
+ * Expected results are looked up in test/mongo_graph_json/<task id>.json unless `expected` is specified.
+ *
+ * The collections are converted from `sqlDump` with extensions/sql-to-mongo.js (typed values) and loaded
+ * into a throwaway database when the configured one does not match them.
+ */
+module.exports = {
+    name: 'mongo-graph-tasks',
+    engine: 'mongo',
+    source: path.join(__dirname, '..', '..', 'task', 'mongo-graph-tasks.js'),
+    sqlDump: path.join(__dirname, '..', '..', 'dumps', 'northwind.sql'),
+    expectedDir: path.join(__dirname, '..', 'mongo_graph_json'),
+    defaults: {
+        timeout: 2000,
+        compare: {},
+        // $project keeps the order of the source document fields, so only the set of the columns is checked
+        schema: {ordered: false}
+    },
+    tasks: [
+        {id: 'task_4_1', expected: 'task_4_1.json'},
+        {id: 'task_4_2', expected: 'task_4_2.json'},
+        {id: 'task_4_3', expected: 'task_4_3.json'},
+        {
+            id: 'task_4_4',
+            expected: 'task_4_4.json',
+            params: [
+                {values: {employeeId: 2, depth: 1}},
+                {values: {employeeId: 2, depth: 2}, expected: 'task_4_4.depth_2.json'},
+                {values: {employeeId: 5, depth: 3}, expected: 'task_4_4.employee_5.json'}
+            ]
+        },
+        {id: 'task_4_5', expected: 'task_4_5.json'},
+        {id: 'task_4_6', expected: 'task_4_6.json'}
+    ]
+};
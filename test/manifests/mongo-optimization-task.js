@@ -0,0 +1,53 @@
+'use strict';
+
+const path = require('path');
+
+/**
+ * Tasks of task/mongo-optimization-task.js.
+ * Every exported `task_*` function gets a test, the entries below only override the defaults.
+ * Expected results are looked up in test/mongo_json/<task id>.json unless `expected` is specified.
+ *
+ * A passed task is graded by explain("executionStats") of its aggregations instead of the wall-clock time only.
+ * `executionStats` thresholds: requireIndexScan, maxDocsExamined, maxKeysExamined and maxUnwindFanOut, all optional.
+ * `baseline` is the module with the pipeline of the task before the optimization, see scripts/benchmark-optimization.js.
+ */
+module.exports = {
+    name: 'mongo-optimization-tasks',
+    engine: 'mongo',
+    source: path.join(__dirname, '..', '..', 'task', 'mongo-optimization-task.js'),
+    expectedDir: path.join(__dirname, '..', 'mongo_json'),
+    // task_1_x results in the same folder belong to the mongo-tasks module
+    expectedPattern: /^task_3_\d+(\..+)?\.json$/,
+    // options of extensions/awesomedb-generator.js, the generated collections are loaded into a throwaway database
+    // when the configured one does not match them
+    generator: {seed: 'awesomedb', opportunities: 1000},
+    defaults: {
+        timeout: 6000,
+        compare: {},
+        schema: {ordered: true}
+    },
+    tasks: [
+        {
+            id: 'task_3_1',
+            expected: 'task_3_1.json',
+            baseline: path.join(__dirname, '..', 'baselines', 'task_3_1.js'),
+            // ObjectIds are compared by their string form the same way as in the expected json
+            normalize: 'json',
+            // The generated data has 337 opportunities of the initiative, the baseline fetches all of them with
+            // the {initiativeId: 1} index of before(). An index which also bounds the selected ADP shortlists,
+            // e.g. {initiativeId: 1, 'contacts.shortListedVendors.name': 1, 'contacts.shortListedVendors.is_selected': 1}
+            // with the vendors $elemMatch repeated before the first $unwind, examines 266 keys and documents.
+            // maxUnwindFanOut is not set: MongoDB before 4.4 does not report it.
+            executionStats: {
+                requireIndexScan: true,
+                maxDocsExamined: 300,
+                maxKeysExamined: 300
+            },
+            compare: {
+                message: 'Results are different, please check. It looks like query was broken!',
+                // the sort of the task leaves the rows of the same question and answer in any order
+                sortKeys: ['answer_text', 'answers.question_id', 'answers.answer_value']
+            }
+        }
+    ]
+};
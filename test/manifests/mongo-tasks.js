@@ -0,0 +1,73 @@
+'use strict';
+
+const path = require('path');
+
+/**
+ * Tasks of task/mongo-tasks.js.
+ * Every exported `task_*` function gets a test, the entries below only override the defaults.
+ * Expected results are looked up in test/mongo_json/<task id>.json unless `expected` is specified.
+ *
+ * `compare` describes what the task text promises about the result, see test/manifests/sql-tasks.js.
+ * "Round all values to MAX N decimal places" tasks are compared with the tolerance of the last decimal place.
+ */
+module.exports = {
+    name: 'mongo-tasks',
+    engine: 'mongo',
+    source: path.join(__dirname, '..', '..', 'task', 'mongo-tasks.js'),
+    // loaded into a throwaway database when the configured one does not match it
+    dump: path.join(__dirname, '..', '..', 'dumps', 'northwind_mongodb', 'northwind'),
+    expectedDir: path.join(__dirname, '..', 'mongo_json'),
+    // task_3_x results in the same folder belong to the optimization module
+    expectedPattern: /^task_1_\d+(\..+)?\.json$/,
+    defaults: {
+        timeout: 2000,
+        compare: {},
+        // $project keeps the order of the source document fields, so only the set of the columns is checked
+        schema: {ordered: false}
+    },
+    tasks: [
+        {id: 'task_1_1', expected: 'task_1_1.json'},
+        {id: 'task_1_2', expected: 'task_1_2.json', compare: {tolerance: 0.001}},
+        {id: 'task_1_3', expected: 'task_1_3.json'},
+        {id: 'task_1_4', expected: 'task_1_4.json', compare: {tolerance: 0.001}},
+        {id: 'task_1_5', expected: 'task_1_5.json'},
+        {id: 'task_1_6', expected: 'task_1_6.json'},
+        {id: 'task_1_7', expected: 'task_1_7.json'},
+        {id: 'task_1_8', expected: 'task_1_8.json'},
+        {id: 'task_1_9', expected: 'task_1_9.json'},
+        {id: 'task_1_10', expected: 'task_1_10.json'},
+        {
+            id: 'task_1_11',
+            expected: 'task_1_11.json',
+            params: [
+                {values: {minPrice: 5, maxPrice: 15}},
+                {values: {minPrice: 20, maxPrice: 30}, expected: 'task_1_11.price_20_30.json'}
+            ]
+        },
+        {id: 'task_1_12', expected: 'task_1_12.json'},
+        {id: 'task_1_13', expected: 'task_1_13.json'},
+        {id: 'task_1_14', expected: 'task_1_14.json'},
+        {
+            id: 'task_1_15',
+            expected: 'task_1_15.json',
+            params: [
+                {values: {year: 1997}},
+                {values: {year: 1996}, expected: 'task_1_15.year_1996.json'}
+            ]
+        },
+        {id: 'task_1_16', expected: 'task_1_16.json'},
+        {id: 'task_1_17', expected: 'task_1_17.json', compare: {tolerance: 0.01}},
+        {
+            id: 'task_1_18',
+            expected: 'task_1_18.json',
+            params: [
+                {values: {year: 1998}},
+                {values: {year: 1997}, expected: 'task_1_18.year_1997.json'}
+            ]
+        },
+        {id: 'task_1_19', expected: 'task_1_19.json', compare: {tolerance: 0.01}},
+        {id: 'task_1_20', expected: 'task_1_20.json'},
+        {id: 'task_1_21', expected: 'task_1_21.json'},
+        {id: 'task_1_22', expected: 'task_1_22.json'}
+    ]
+};
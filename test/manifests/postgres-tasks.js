@@ -0,0 +1,73 @@
+'use strict';
+
+const path = require('path');
+
+/**
+ * Tasks of task/postgres-tasks.js, the tasks of task/sql-tasks.js written for PostgreSQL.
+ * Every exported `task_*` function gets a test, the entries below only override the defaults,
+ * see test/manifests/sql-tasks.js for `compare`, `schema` and `params`.
+ * Expected results are looked up in test/postgres_json/<task id>.json unless `expected` is specified.
+ * They are the results of test/sql_json with the values PostgreSQL computes: ROUND of NUMERIC rounds
+ * the halves up (task_1_2) and AVG of NUMERIC keeps all the decimals (task_1_17).
+ * The connection returns the numbers and the dates the way the expected files have them, see pg-connection.
+ */
+module.exports = {
+    name: 'postgres-tasks',
+    engine: 'postgres',
+    source: path.join(__dirname, '..', '..', 'task', 'postgres-tasks.js'),
+    // loaded into a throwaway database when the configured one does not match it, see scripts/convert-dump-postgres.js
+    dump: path.join(__dirname, '..', '..', 'dumps', 'northwind_postgres.sql'),
+    expectedDir: path.join(__dirname, '..', 'postgres_json'),
+    defaults: {
+        timeout: 2000,
+        compare: {},
+        schema: {ordered: true}
+    },
+    tasks: [
+        {id: 'task_1_1', expected: 'task_1_1.json', compare: {sortKeys: ['City', 'Employee Full Name']}},
+        {id: 'task_1_2', expected: 'task_1_2.json'},
+        {id: 'task_1_3', expected: 'task_1_3.json', compare: {order: 'unordered'}},
+        {id: 'task_1_4', expected: 'task_1_4.json'},
+        {id: 'task_1_5', expected: 'task_1_5.json'},
+        {id: 'task_1_6', expected: 'task_1_6.json'},
+        {id: 'task_1_7', expected: 'task_1_7.json'},
+        {id: 'task_1_8', expected: 'task_1_8.json', compare: {order: 'unordered'}},
+        {id: 'task_1_9', expected: 'task_1_9.json', compare: {order: 'unordered'}},
+        {id: 'task_1_10', expected: 'task_1_10.json', compare: {order: 'unordered'}},
+        {
+            id: 'task_1_11',
+            expected: 'task_1_11.json',
+            params: [
+                {values: {minPrice: 5, maxPrice: 15}},
+                {values: {minPrice: 20, maxPrice: 30}, expected: 'task_1_11.price_20_30.json'}
+            ]
+        },
+        {id: 'task_1_12', expected: 'task_1_12.json'},
+        {id: 'task_1_13', expected: 'task_1_13.json'},
+        {id: 'task_1_14', expected: 'task_1_14.json', compare: {order: 'unordered'}},
+        {
+            id: 'task_1_15',
+            expected: 'task_1_15.json',
+            params: [
+                {values: {year: 1997}},
+                {values: {year: 1996}, expected: 'task_1_15.year_1996.json'}
+            ]
+        },
+        {id: 'task_1_16', expected: 'task_1_16.json', compare: {order: 'unordered'}},
+        {id: 'task_1_17', expected: 'task_1_17.json'},
+        {
+            id: 'task_1_18',
+            expected: 'task_1_18.json',
+            compare: {order: 'unordered'},
+            params: [
+                {values: {year: 1998}},
+                {values: {year: 1997}, expected: 'task_1_18.year_1997.json'}
+            ]
+        },
+        {id: 'task_1_19', expected: 'task_1_19.json'},
+        {id: 'task_1_20', expected: 'task_1_20.json'},
+        {id: 'task_1_21', expected: 'task_1_21.json'},
+        // the order of the company names with the same price depends on the collation of the database
+        {id: 'task_1_22', expected: 'task_1_22.json', compare: {sortKeys: ['PricePerItem']}}
+    ]
+};
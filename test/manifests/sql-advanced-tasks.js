@@ -0,0 +1,49 @@
+'use strict';
+
+const path = require('path');
+
+/**
+ * Tasks of task/sql-advanced-tasks.js: window functions, CTEs and recursive queries of MySQL 8.
+ * Every exported `task_*` function gets a test, the entries below only override the defaults,
+ * see test/manifests/sql-tasks.js for `compare`, `schema`, `params` and `explain`.
+ * Expected results are looked up in test/sql_advanced_json/<task id>.json unless `expected` is specified.
+ */
+module.exports = {
+    name: 'sql-advanced-tasks',
+    engine: 'mysql',
+    source: path.join(__dirname, '..', '..', 'task', 'sql-advanced-tasks.js'),
+    // loaded into a throwaway database when the configured one does not match it
+    dump: path.join(__dirname, '..', '..', 'dumps', 'northwind.sql'),
+    expectedDir: path.join(__dirname, '..', 'sql_advanced_json'),
+    defaults: {
+        timeout: 2000,
+        compare: {},
+        schema: {ordered: true},
+        explain: {}
+    },
+    tasks: [
+        {id: 'task_2_1', expected: 'task_2_1.json'},
+        {id: 'task_2_2', expected: 'task_2_2.json'},
+        {id: 'task_2_3', expected: 'task_2_3.json'},
+        {id: 'task_2_4', expected: 'task_2_4.json'},
+        {
+            id: 'task_2_5',
+            expected: 'task_2_5.json',
+            params: [
+                {values: {country: 'Germany'}},
+                {values: {country: 'Brazil'}, expected: 'task_2_5.country_brazil.json'}
+            ]
+        },
+        {id: 'task_2_6', expected: 'task_2_6.json'},
+        {id: 'task_2_7', expected: 'task_2_7.json'},
+        {id: 'task_2_8', expected: 'task_2_8.json'},
+        {
+            id: 'task_2_9',
+            expected: 'task_2_9.json',
+            params: [
+                {values: {year: 1997}},
+                {values: {year: 1996}, expected: 'task_2_9.year_1996.json'}
+            ]
+        }
+    ]
+};
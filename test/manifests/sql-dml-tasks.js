@@ -0,0 +1,114 @@
+'use strict';
+
+const path = require('path');
+
+const PRODUCT_PRICES = 'SELECT ProductID, ProductName, CategoryID, UnitPrice FROM Products ORDER BY ProductID';
+const PRODUCT_STOCK = 'SELECT ProductID, UnitsInStock FROM Products ORDER BY ProductID';
+
+/**
+ * Tasks of task/sql-dml-tasks.js, they change the data instead of returning it (`writes: true`).
+ * Every exported `task_*` function gets a test, see test/manifests/sql-tasks.js for `compare` and `params`.
+ * Every params set runs in a transaction which is rolled back after the check, see extensions/task-transaction.js.
+ *
+ * `snapshot: {<name>: query}` - the queries which read the tables the task changes, they run in the transaction
+ * after the task. test/sql_dml_json/<task id>.json has the expected rows of every query, {<name>: rows}.
+ * The snapshots leave out the generated OrderID, AUTO_INCREMENT of MySQL is not rolled back.
+ *
+ * The percents of task_3_1 are multiples of 4, so no new price ends with exactly half a dollar
+ * and both engines round the prices alike.
+ */
+module.exports = {
+    name: 'sql-dml-tasks',
+    engine: 'mysql',
+    writes: true,
+    source: path.join(__dirname, '..', '..', 'task', 'sql-dml-tasks.js'),
+    // loaded into a throwaway database when the configured one does not match it
+    dump: path.join(__dirname, '..', '..', 'dumps', 'northwind.sql'),
+    expectedDir: path.join(__dirname, '..', 'sql_dml_json'),
+    defaults: {
+        timeout: 2000,
+        compare: {}
+    },
+    tasks: [
+        {
+            id: 'task_3_1',
+            expected: 'task_3_1.json',
+            snapshot: {Products: PRODUCT_PRICES},
+            params: [
+                {values: {category: 'Beverages', percent: 8}},
+                {values: {category: 'Seafood', percent: 12}, expected: 'task_3_1.seafood_12.json'}
+            ]
+        },
+        {
+            id: 'task_3_2',
+            expected: 'task_3_2.json',
+            snapshot: {
+                Orders: `
+                    SELECT o.CustomerID, o.EmployeeID, DATE_FORMAT(o.OrderDate, '%Y-%m-%d') AS OrderDate,
+                        od.ProductID, od.UnitPrice, od.Quantity, od.Discount
+                    FROM Orders o
+                    JOIN OrderDetails od ON od.OrderID = o.OrderID
+                    WHERE o.OrderDate >= '1998-06-01'
+                    ORDER BY o.OrderDate, od.ProductID`,
+                Products: PRODUCT_STOCK
+            },
+            params: [
+                {values: {customerId: 'ALFKI', employeeId: 1, orderDate: '1998-06-01', items: [
+                    {productId: 1, quantity: 10},
+                    {productId: 42, quantity: 6}
+                ]}},
+                {values: {customerId: 'BONAP', employeeId: 4, orderDate: '1998-06-02', items: [
+                    {productId: 2, quantity: 5},
+                    {productId: 11, quantity: 12},
+                    {productId: 72, quantity: 14}
+                ]}, expected: 'task_3_2.bonap.json'}
+            ]
+        },
+        {
+            id: 'task_3_3',
+            expected: 'task_3_3.json',
+            snapshot: {Products: 'SELECT ProductID, ProductName, Discontinued FROM Products ORDER BY ProductID'},
+            params: [
+                {values: {date: '1998-04-01'}},
+                {values: {date: '1998-03-01'}, expected: 'task_3_3.date_1998_03_01.json'}
+            ]
+        },
+        {
+            id: 'task_3_4',
+            expected: 'task_3_4.json',
+            snapshot: {
+                Orders: `
+                    SELECT o.OrderID, COUNT(od.ProductID) AS Details
+                    FROM Orders o
+                    LEFT JOIN OrderDetails od ON od.OrderID = o.OrderID
+                    WHERE o.CustomerID = 'VINET'
+                    GROUP BY o.OrderID
+                    ORDER BY o.OrderID`,
+                // the details left without their order
+                OrderDetails: 'SELECT COUNT(*) AS Orphans FROM OrderDetails WHERE OrderID NOT IN (SELECT OrderID FROM Orders)'
+            },
+            params: [
+                {values: {orderId: 10248}},
+                {values: {orderId: 10739}, expected: 'task_3_4.order_10739.json'}
+            ]
+        },
+        {
+            id: 'task_3_5',
+            expected: 'task_3_5.json',
+            snapshot: {
+                Customers: `
+                    SELECT CustomerID, CompanyName, ContactName, ContactTitle, Address, City, Country, Phone
+                    FROM Customers
+                    WHERE CustomerID IN ('ALFKI', 'NWCST')
+                    ORDER BY CustomerID`,
+                Count: 'SELECT COUNT(*) AS Customers FROM Customers'
+            },
+            params: [
+                {values: {customer: {CustomerID: 'ALFKI', CompanyName: 'Alfreds Futterkiste GmbH',
+                    ContactName: 'Maria Anders', City: 'Berlin', Country: 'Germany', Phone: '030-0074322'}}},
+                {values: {customer: {CustomerID: 'NWCST', CompanyName: 'Northwind Coast', ContactName: 'Ann Devon',
+                    City: 'Portland', Country: 'USA', Phone: '(503) 555-0199'}}, expected: 'task_3_5.new_customer.json'}
+            ]
+        }
+    ]
+};
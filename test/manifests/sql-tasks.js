@@ -0,0 +1,83 @@
+'use strict';
+
+const path = require('path');
+
+/**
+ * Tasks of task/sql-tasks.js.
+ * Every exported `task_*` function gets a test, the entries below only override the defaults.
+ * Expected results are looked up in test/sql_json/<task id>.json unless `expected` is specified.
+ *
+ * `compare` describes what the task text promises about the result:
+ *  - order: 'unordered' - the task does not specify ORDER BY, rows are compared as a multiset;
+ *  - sortKeys - only the order of these columns is specified, rows with equal keys may go in any order;
+ *  - tolerance - max allowed difference of numeric values.
+ *
+ * Before the values are compared the result is checked against the columns row of the task doc comment.
+ * `schema: {ordered: false}` allows any order of the columns, `schema: false` turns the check off.
+ *
+ * `params: [{values, expected}]` runs the task once for every set as `task(db, values)`, the first set may omit
+ * `expected` and uses the file of the entry, the other sets are checked against test/sql_json/<expected>.
+ *
+ * With SQL_EXPLAIN=1 the queries of a passed task are explained and checked against `explain` thresholds:
+ * maxFullScans, maxFilesorts, maxTemporaryTables and maxRows (estimated rows to examine), all optional.
+ */
+module.exports = {
+    name: 'sql-tasks',
+    engine: 'mysql',
+    source: path.join(__dirname, '..', '..', 'task', 'sql-tasks.js'),
+    // loaded into a throwaway database when the configured one does not match it
+    dump: path.join(__dirname, '..', '..', 'dumps', 'northwind.sql'),
+    expectedDir: path.join(__dirname, '..', 'sql_json'),
+    defaults: {
+        timeout: 2000,
+        compare: {},
+        schema: {ordered: true},
+        explain: {}
+    },
+    tasks: [
+        {id: 'task_1_1', expected: 'task_1_1.json', compare: {sortKeys: ['City', 'Employee Full Name']}},
+        {id: 'task_1_2', expected: 'task_1_2.json'},
+        {id: 'task_1_3', expected: 'task_1_3.json', compare: {order: 'unordered'}},
+        {id: 'task_1_4', expected: 'task_1_4.json'},
+        {id: 'task_1_5', expected: 'task_1_5.json'},
+        {id: 'task_1_6', expected: 'task_1_6.json'},
+        {id: 'task_1_7', expected: 'task_1_7.json'},
+        {id: 'task_1_8', expected: 'task_1_8.json', compare: {order: 'unordered'}},
+        {id: 'task_1_9', expected: 'task_1_9.json', compare: {order: 'unordered'}},
+        {id: 'task_1_10', expected: 'task_1_10.json', compare: {order: 'unordered'}},
+        {
+            id: 'task_1_11',
+            expected: 'task_1_11.json',
+            params: [
+                {values: {minPrice: 5, maxPrice: 15}},
+                {values: {minPrice: 20, maxPrice: 30}, expected: 'task_1_11.price_20_30.json'}
+            ]
+        },
+        {id: 'task_1_12', expected: 'task_1_12.json'},
+        {id: 'task_1_13', expected: 'task_1_13.json'},
+        {id: 'task_1_14', expected: 'task_1_14.json', compare: {order: 'unordered'}},
+        {
+            id: 'task_1_15',
+            expected: 'task_1_15.json',
+            params: [
+                {values: {year: 1997}},
+                {values: {year: 1996}, expected: 'task_1_15.year_1996.json'}
+            ]
+        },
+        {id: 'task_1_16', expected: 'task_1_16.json', compare: {order: 'unordered'}},
+        {id: 'task_1_17', expected: 'task_1_17.json'},
+        {
+            id: 'task_1_18',
+            expected: 'task_1_18.json',
+            compare: {order: 'unordered'},
+            params: [
+                {values: {year: 1998}},
+                {values: {year: 1997}, expected: 'task_1_18.year_1997.json'}
+            ]
+        },
+        {id: 'task_1_19', expected: 'task_1_19.json'},
+        {id: 'task_1_20', expected: 'task_1_20.json'},
+        {id: 'task_1_21', expected: 'task_1_21.json'},
+        {id: 'task_1_22', expected: 'task_1_22.json'}
+    ]
+};
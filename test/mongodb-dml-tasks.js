@@ -0,0 +1,11 @@
+const tasks = require('../task/mongo-dml-tasks');
+const manifest = require('./manifests/mongo-dml-tasks');
+const generateTaskTests = require('../extensions/task-suite');
+const setupTaskDatabase = require('../extensions/task-database').setupTaskDatabase;
+
+
+describe('mongo-dml-tasks', async function() {
+    const database = setupTaskDatabase('mongo-dml-tasks', manifest);
+
+    generateTaskTests(manifest, tasks, database.getDb, database.getClient);
+});
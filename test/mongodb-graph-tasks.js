@@ -0,0 +1,11 @@
+const tasks = require('../task/mongo-graph-tasks');
+const manifest = require('./manifests/mongo-graph-tasks');
+const generateTaskTests = require('../extensions/task-suite');
+const setupTaskDatabase = require('../extensions/task-database').setupTaskDatabase;
+
+
+describe('mongo-graph-tasks', async function() {
+    const database = setupTaskDatabase('mongo-graph-tasks', manifest);
+
+    generateTaskTests(manifest, tasks, database.getDb);
+});
@@ -0,0 +1,11 @@
+const tasks = require('../task/postgres-tasks');
+const manifest = require('./manifests/postgres-tasks');
+const generateTaskTests = require('../extensions/task-suite');
+const setupTaskDatabase = require('../extensions/task-database').setupTaskDatabase;
+
+
+describe('postgres-tasks', function() {
+    const database = setupTaskDatabase('postgres-tasks', manifest);
+
+    generateTaskTests(manifest, tasks, database.getDb);
+});
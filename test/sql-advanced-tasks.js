@@ -0,0 +1,11 @@
+const tasks = require('../task/sql-advanced-tasks');
+const manifest = require('./manifests/sql-advanced-tasks');
+const generateTaskTests = require('../extensions/task-suite');
+const setupTaskDatabase = require('../extensions/task-database').setupTaskDatabase;
+
+
+describe('sql-advanced-tasks', function() {
+    const database = setupTaskDatabase('sql-advanced-tasks', manifest);
+
+    generateTaskTests(manifest, tasks, database.getDb);
+});
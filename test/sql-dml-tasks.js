@@ -0,0 +1,11 @@
+const tasks = require('../task/sql-dml-tasks');
+const manifest = require('./manifests/sql-dml-tasks');
+const generateTaskTests = require('../extensions/task-suite');
+const setupTaskDatabase = require('../extensions/task-database').setupTaskDatabase;
+
+
+describe('sql-dml-tasks', function() {
+    const database = setupTaskDatabase('sql-dml-tasks', manifest);
+
+    generateTaskTests(manifest, tasks, database.getDb);
+});
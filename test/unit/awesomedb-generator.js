@@ -0,0 +1,33 @@
+const assert = require('assert');
+const crypto = require('crypto');
+const generateAwesomeDb = require('../../extensions/awesomedb-generator');
+const manifest = require('../manifests/mongo-optimization-task');
+
+
+describe('awesomedb-generator', function() {
+    it('gives the same documents for the same seed', function() {
+        let options = {seed: 'unit', opportunities: 20};
+        assert.deepStrictEqual(generateAwesomeDb(options), generateAwesomeDb(options));
+        assert.notDeepStrictEqual(generateAwesomeDb(options), generateAwesomeDb({seed: 'other', opportunities: 20}));
+    });
+
+    // test/mongo_json/task_3_1.json is the result of the task on these documents, it has to be regenerated
+    // with the dataset
+    it('keeps the dataset of the task', function() {
+        this.timeout(10000);
+        let collections = generateAwesomeDb(manifest.generator);
+        let hash = crypto.createHash('sha256').update(JSON.stringify(collections)).digest('hex');
+        assert.strictEqual(hash, '31f7177a65745d3cb2b7b83571588c62fe326da29a6c731c3fe44d93aaf91301');
+    });
+
+    it('puts a third of the opportunities into the initiative of the task', function() {
+        let collections = generateAwesomeDb({seed: 'unit', opportunities: 300, initiatives: 3});
+        assert.deepStrictEqual(collections.map(collection => [collection.name, collection.documents.length]),
+            [['opportunities', 300], ['clientCriteria', 12]]);
+        let initiatives = new Set(collections[0].documents.map(opportunity => opportunity.initiativeId.toHexString()));
+        assert.strictEqual(initiatives.size, 3);
+        let target = collections[0].documents
+            .filter(opportunity => opportunity.initiativeId.toHexString() === generateAwesomeDb.TARGET_INITIATIVE);
+        assert.ok(target.length > 70 && target.length < 130, `${target.length} opportunities of the task initiative`);
+    });
+});
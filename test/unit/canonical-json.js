@@ -0,0 +1,28 @@
+const assert = require('assert');
+const BSON = require('bson');
+const canonicalize = require('../../extensions/canonical-json');
+
+
+describe('canonical-json', function() {
+    it('sorts the keys and omits the undefined fields', function() {
+        assert.strictEqual(canonicalize({b: 1, a: {d: [2, {y: 1, x: 2}], c: undefined}}), '{"a":{"d":[2,{"x":2,"y":1}]},"b":1}');
+        assert.strictEqual(canonicalize([undefined, null]), '[null,null]');
+    });
+
+    it('keeps the BSON types apart from the strings', function() {
+        let id = '5834dc00c250acf4f3f8c34d';
+        assert.strictEqual(canonicalize(new BSON.ObjectID(id)), `{"$oid":"${id}"}`);
+        assert.notStrictEqual(canonicalize(new BSON.ObjectID(id)), canonicalize(id));
+        assert.strictEqual(canonicalize(new Date(0)), '{"$date":"1970-01-01T00:00:00.000Z"}');
+        assert.notStrictEqual(canonicalize(new Date(0)), canonicalize(new Date(0).toISOString()));
+        assert.strictEqual(canonicalize(BSON.Decimal128.fromString('1.10')), '{"$numberDecimal":"1.10"}');
+        assert.strictEqual(canonicalize(Buffer.from('ab')), '{"$binary":"YWI="}');
+        assert.strictEqual(canonicalize(/^A/i), '{"$regex":"/^A/i"}');
+    });
+
+    it('writes all the numeric types as numbers', function() {
+        assert.strictEqual(canonicalize([new BSON.Int32(5), BSON.Long.fromNumber(5), new BSON.Double(5), 5]), '[5,5,5,5]');
+        assert.strictEqual(canonicalize([-0, NaN, 1.5]), '[0,NaN,1.5]');
+        assert.notStrictEqual(canonicalize(5), canonicalize('5'));
+    });
+});
@@ -0,0 +1,120 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const assertColumns = require('../../extensions/column-schema');
+const checkColumns = assertColumns.checkColumns;
+const parseTaskColumns = assertColumns.parseTaskColumns;
+
+
+describe('column-schema', function() {
+    describe('parseTaskColumns', function() {
+        let dir;
+
+        before(function() {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'column-schema-'));
+            fs.writeFileSync(path.join(dir, 'tasks.js'), [
+                '/**',
+                ' * Create a SQL query to return the orders:',
+                ' * | Order Id | Order Total Price | Total Order Discount, % |',
+                ' *',
+                ' * @return {array}',
+                ' */',
+                'async function task_1_1(db) {}',
+                '',
+                '/**',
+                ' * A task without the columns row.',
+                ' */',
+                'function task_1_2(db) {}',
+                '',
+                '/**',
+                ' *  | ProductName | UnitsOnOrder| UnitsInStock |',
+                ' */',
+                'async function task_1_3(db, params) {}'
+            ].join('\n'));
+        });
+
+        after(function() {
+            fs.unlinkSync(path.join(dir, 'tasks.js'));
+            fs.rmdirSync(dir);
+        });
+
+        it('reads the columns row of every task', function() {
+            let columns = parseTaskColumns(path.join(dir, 'tasks.js'));
+            assert.deepStrictEqual(Array.from(columns.keys()), ['task_1_1', 'task_1_3']);
+            assert.deepStrictEqual(columns.get('task_1_1'), ['Order Id', 'Order Total Price', 'Total Order Discount, %']);
+            assert.deepStrictEqual(columns.get('task_1_3'), ['ProductName', 'UnitsOnOrder', 'UnitsInStock']);
+        });
+    });
+
+    describe('checkColumns', function() {
+        const columns = ['ProductName', 'UnitPrice'];
+
+        it('accepts the declared columns', function() {
+            assert.deepStrictEqual(checkColumns([{ProductName: 'Chai', UnitPrice: 18}], columns), []);
+            assert.deepStrictEqual(checkColumns({ProductName: 'Chai', UnitPrice: 18}, columns), []);
+            assert.deepStrictEqual(checkColumns([], columns), []);
+        });
+
+        it('reports the missing and the unexpected columns', function() {
+            let rows = [{ProductName: 'Chai', Price: 18}, {ProductName: 'Chang', UnitPrice: 19}];
+            assert.deepStrictEqual(checkColumns(rows, columns), [
+                'column "UnitPrice" is missing in 1 of 2 rows, first in row 0',
+                'unexpected column "Price" in 1 of 2 rows, first in row 0'
+            ]);
+        });
+
+        it('reports the columns in the wrong order unless the order is free', function() {
+            let rows = [{UnitPrice: 18, ProductName: 'Chai'}];
+            assert.deepStrictEqual(checkColumns(rows, columns),
+                ['columns are in the wrong order in row 0: UnitPrice | ProductName']);
+            assert.deepStrictEqual(checkColumns(rows, columns, undefined, {ordered: false}), []);
+        });
+
+        it('reports the rows which are not objects', function() {
+            assert.deepStrictEqual(checkColumns([['Chai', 18], null], columns),
+                ['row 0 is array, not an object', 'row 1 is null, not an object']);
+        });
+
+        it('reports a column of mixed types', function() {
+            let rows = [{ProductName: 'Chai', UnitPrice: 18}, {ProductName: 'Chang', UnitPrice: true}];
+            assert.deepStrictEqual(checkColumns(rows, columns),
+                ['column "UnitPrice" has inconsistent types: number in row 0, boolean in row 1']);
+        });
+
+        it('accepts the mixed types the expected result has too', function() {
+            let rows = [{ProductName: 'Chai', UnitPrice: 18}, {ProductName: 'Chang', UnitPrice: 'n/a'}];
+            assert.deepStrictEqual(checkColumns(rows, columns, rows), []);
+        });
+
+        it('compares the types with the expected result', function() {
+            let expected = [{ProductName: 'Chai', UnitPrice: 18}];
+            assert.deepStrictEqual(checkColumns([{ProductName: 1, UnitPrice: 18}], columns, expected),
+                ['column "ProductName" is expected to be string, but it is number in row 0']);
+            assert.deepStrictEqual(checkColumns([{ProductName: 'Chai', UnitPrice: null}], columns, expected), []);
+        });
+
+        it('treats the numeric strings as numbers', function() {
+            assert.deepStrictEqual(checkColumns([{ProductName: 'Chai', UnitPrice: '18.00'}], columns,
+                [{ProductName: 'Chai', UnitPrice: 18}]), []);
+            assert.deepStrictEqual(checkColumns([{ProductName: 'Chai', UnitPrice: 18}], columns,
+                [{ProductName: 'Chai', UnitPrice: '18.00'}]), []);
+            assert.deepStrictEqual(checkColumns([{ProductName: 'Chai', UnitPrice: '18 $'}], columns,
+                [{ProductName: 'Chai', UnitPrice: 18}]),
+                ['column "UnitPrice" is expected to be number, but it is string in row 0']);
+        });
+    });
+
+    describe('assertColumns', function() {
+        it('throws an AssertionError listing the problems', function() {
+            assert.throws(() => assertColumns([{Name: 'Chai'}], ['ProductName']), err => {
+                assert.strictEqual(err.name, 'AssertionError');
+                assert.strictEqual(err.showDiff, false);
+                assert.strictEqual(err.message, 'Result columns do not match the task description | ProductName |:\n'
+                    + '  column "ProductName" is missing\n'
+                    + '  unexpected column "Name"');
+                return true;
+            });
+        });
+    });
+});
@@ -0,0 +1,45 @@
+const assert = require('assert');
+const compareEngines = require('../../extensions/cross-engine');
+const normalizeResult = compareEngines.normalizeResult;
+
+
+describe('cross-engine', function() {
+    describe('normalizeResult', function() {
+        const rule = {
+            columns: {OrderDate: 'Order Date', 'Employee Id': 'EmployeeID'},
+            ignore: ['FullName'],
+            round: {'Amount, $': 0},
+            dateOnly: ['OrderDate']
+        };
+
+        it('renames the Mongo columns and drops the ignored ones', function() {
+            assert.deepStrictEqual(normalizeResult({EmployeeID: 1, FullName: 'Ms. Nancy Davolio', City: 'Seattle'}, rule, 'mongo'),
+                [{'Employee Id': 1, City: 'Seattle'}]);
+            assert.deepStrictEqual(normalizeResult([{EmployeeID: 1}], rule, 'sql'), [{EmployeeID: 1}]);
+        });
+
+        it('turns the numeric strings to numbers and rounds them by the rule', function() {
+            assert.deepStrictEqual(normalizeResult([{'Amount, $': '1234.56', Discount: '0.15', PostalCode: ' ', Phone: '(5) 555-4729'}],
+                rule, 'sql'), [{'Amount, $': 1235, Discount: 0.15, PostalCode: ' ', Phone: '(5) 555-4729'}]);
+            assert.deepStrictEqual(normalizeResult([{Price: 18.456}], {round: 1}, 'mongo'), [{Price: 18.5}]);
+        });
+
+        it('keeps the date part of the dateOnly columns', function() {
+            assert.deepStrictEqual(normalizeResult([{'Order Date': new Date('1996-07-04T00:00:00Z')}], rule, 'mongo'),
+                [{OrderDate: '1996-07-04'}]);
+        });
+    });
+
+    describe('compareEngines', function() {
+        it('compares the Mongo result with the SQL one by the rule of the task', function() {
+            let rule = {columns: {ProductId: 'ProductID'}, round: 0, compare: {order: 'unordered'}};
+            let sql = [{ProductId: 1, UnitPrice: '18'}, {ProductId: 2, UnitPrice: '19'}];
+            assert.strictEqual(compareEngines(sql, [{ProductID: 2, UnitPrice: 19}, {ProductID: 1, UnitPrice: 18.4}], rule).equal, true);
+
+            let report = compareEngines(sql, [{ProductID: 1, UnitPrice: 18}, {ProductID: 3, UnitPrice: 10}], rule);
+            assert.strictEqual(report.equal, false);
+            assert.deepStrictEqual(report.missingRows, [{index: 1, row: {ProductId: 2, UnitPrice: 19}}]);
+            assert.deepStrictEqual(report.extraRows, [{index: 1, row: {ProductId: 3, UnitPrice: 10}}]);
+        });
+    });
+});
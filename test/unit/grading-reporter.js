@@ -0,0 +1,122 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const Mocha = require('mocha');
+const collectTaskResults = require('../../extensions/task-results');
+const computeScore = require('../../extensions/grading-reporter').computeScore;
+const STATUS = collectTaskResults.STATUS;
+
+
+/**
+ * Runs the suites made by `define(root)` in a mocha instance of its own and resolves to the summary of task-results.
+ */
+function summarizeRun(define) {
+    return new Promise(resolve => {
+        let mocha = new Mocha({reporter: function(runner) {
+            collectTaskResults(runner, resolve);
+        }});
+        define(mocha.suite);
+        mocha.run();
+    });
+}
+
+function addModule(root, name, tasks, before) {
+    let suite = Mocha.Suite.create(root, name);
+    if (before) {
+        suite.beforeAll(before);
+    }
+    Object.keys(tasks).forEach(id => suite.addTest(new Mocha.Test(id, tasks[id])));
+    return suite;
+}
+
+describe('grading-reporter', function() {
+    describe('task-results', function() {
+        let summary;
+
+        before(async function() {
+            summary = await summarizeRun(root => {
+                addModule(root, 'sql-tasks', {
+                    task_1_1: () => {},
+                    task_1_2: () => assert.fail('wrong rows'),
+                    task_1_3: function() {
+                        // it.optional skips the tasks which are not implemented
+                        this.skip();
+                    }
+                });
+                addModule(root, 'postgres-tasks', {task_1_1: () => {}, task_1_2: () => {}}, function() {
+                    this.skip();
+                });
+                addModule(root, 'mongo-tasks', {task_1_1: () => {}}, () => {
+                    throw new Error('connect ECONNREFUSED');
+                });
+            });
+        });
+
+        it('counts the tasks of every module', function() {
+            assert.deepStrictEqual(summary.modules.map(module =>
+                [module.name, module.total, module.passing, module.failing, module.notStarted]), [
+                ['sql-tasks', 3, 1, 1, 1],
+                ['postgres-tasks', 2, 0, 0, 2],
+                ['mongo-tasks', 1, 0, 1, 0]
+            ]);
+            assert.strictEqual(summary.modules[2].tasks[0].error, '"before all" hook for "task_1_1": connect ECONNREFUSED');
+        });
+
+        it('marks the modules skipped by their before hook only', function() {
+            assert.deepStrictEqual(summary.modules.map(module => module.skipped), [false, true, false]);
+            assert.deepStrictEqual(summary.modules[1].tasks.map(task => task.status),
+                [STATUS.NOT_STARTED, STATUS.NOT_STARTED]);
+        });
+    });
+
+    describe('computeScore', function() {
+        function module(name, statuses, skipped) {
+            return {
+                name: name,
+                skipped: skipped,
+                tasks: Object.keys(statuses).map(id => ({id: id, status: statuses[id]}))
+            };
+        }
+
+        const summary = {
+            modules: [
+                module('sql-tasks', {task_1_1: STATUS.PASSING, task_1_2: STATUS.PASSING, task_1_3: STATUS.FAILING}, false),
+                module('mongo-tasks', {task_1_1: STATUS.NOT_STARTED, task_1_2: STATUS.NOT_STARTED}, false),
+                module('postgres-tasks', {task_1_1: STATUS.NOT_STARTED, task_1_2: STATUS.NOT_STARTED}, true)
+            ]
+        };
+
+        it('sums the weights of the passed tasks', function() {
+            let score = computeScore(summary, {defaultWeight: 2, weights: {'sql-tasks': {task_1_1: 0, task_1_3: 5}}});
+            assert.deepStrictEqual([score.points, score.maxPoints, score.percent], [2, 11, 18.18]);
+            assert.deepStrictEqual(score.modules[0].tasks.map(task => [task.id, task.weight, task.points]),
+                [['task_1_1', 0, 0], ['task_1_2', 2, 2], ['task_1_3', 5, 0]]);
+        });
+
+        it('leaves the skipped modules out of the max points', function() {
+            let score = computeScore(summary, {});
+            assert.deepStrictEqual(score.modules.map(module => [module.name, module.maxPoints, module.skipped]),
+                [['sql-tasks', 3, false], ['mongo-tasks', 2, false], ['postgres-tasks', 0, true]]);
+            assert.deepStrictEqual([score.points, score.maxPoints, score.percent], [2, 5, 40]);
+        });
+
+        it('takes the weight of the module before the default one', function() {
+            let score = computeScore(summary, {
+                defaultWeight: 2,
+                moduleWeights: {'sql-tasks': 3, 'mongo-tasks': 0},
+                weights: {'sql-tasks': {task_1_3: 1}}
+            });
+            assert.deepStrictEqual(score.modules.map(module => module.tasks.map(task => task.weight)),
+                [[3, 3, 1], [0, 0], [2, 2]]);
+            assert.deepStrictEqual([score.points, score.maxPoints], [6, 7]);
+        });
+
+        it('has a weight for every module in grading.json', function() {
+            let config = JSON.parse(fs.readFileSync(path.join(__dirname, '../../grading.json'), 'utf8'));
+            let testDir = path.join(__dirname, '..');
+            let modules = fs.readdirSync(testDir).filter(file => path.extname(file) === '.js')
+                .map(file => /^describe\('([^']+)'/m.exec(fs.readFileSync(path.join(testDir, file), 'utf8'))[1]);
+            assert.deepStrictEqual(modules.filter(name => typeof config.moduleWeights[name] !== 'number'), []);
+        });
+    });
+});
@@ -0,0 +1,114 @@
+const assert = require('assert');
+const explainAggregations = require('../../extensions/mongo-explain');
+const summarizeExplain = explainAggregations.summarizeExplain;
+const formatExecutionStats = explainAggregations.formatExecutionStats;
+const assertExecutionThresholds = explainAggregations.assertExecutionThresholds;
+
+
+/**
+ * explain("executionStats") of a pipeline of MongoDB 4.4+, which reports the documents returned by every stage.
+ */
+const EXPLAIN = {
+    stages: [
+        {
+            $cursor: {
+                queryPlanner: {winningPlan: {stage: 'FETCH', inputStage: {stage: 'IXSCAN', indexName: 'initiativeId_1'}}},
+                executionStats: {nReturned: 10, totalDocsExamined: 10, totalKeysExamined: 12}
+            },
+            nReturned: 10
+        },
+        {$unwind: {path: '$participants'}, nReturned: 40},
+        {$match: {'participants.active': true}, nReturned: 25},
+        {$unwind: {path: '$participants.projects'}, nReturned: 50}
+    ]
+};
+
+describe('mongo-explain', function() {
+    describe('summarizeExplain', function() {
+        it('takes the examined documents and the fan-out of the $unwind stages', function() {
+            assert.deepStrictEqual(summarizeExplain(EXPLAIN), {
+                docsExamined: 10,
+                keysExamined: 12,
+                returned: 10,
+                firstStage: 'IXSCAN',
+                unwindFanOut: 4,
+                stages: [
+                    {name: '$cursor', returned: 10},
+                    {name: '$unwind', returned: 40},
+                    {name: '$match', returned: 25},
+                    {name: '$unwind', returned: 50}
+                ]
+            });
+        });
+
+        it('reads the explain of a pipeline run as a single query by older servers', function() {
+            let summary = summarizeExplain({
+                queryPlanner: {winningPlan: {stage: 'OR', inputStages: [{stage: 'IXSCAN'}, {stage: 'COLLSCAN'}]}},
+                executionStats: {nReturned: 3, totalDocsExamined: 100, totalKeysExamined: 0}
+            });
+            assert.strictEqual(summary.firstStage, 'COLLSCAN');
+            assert.strictEqual(summary.docsExamined, 100);
+            assert.strictEqual(summary.unwindFanOut, null);
+        });
+    });
+
+    describe('explainAggregations', function() {
+        it('explains the successful aggregations of the log with their options', async function() {
+            let commands = [];
+            let db = {command: async command => {
+                commands.push(command);
+                return EXPLAIN;
+            }};
+            let explained = await explainAggregations(db, [
+                {engine: 'mongo', collection: 'initiatives', operation: 'initiatives.aggregate',
+                    query: [{$match: {}}], params: {allowDiskUse: true}},
+                {engine: 'mongo', collection: 'initiatives', operation: 'initiatives.find', query: {}},
+                {engine: 'mongo', collection: 'initiatives', operation: 'initiatives.aggregate', query: [{$foo: 1}],
+                    error: 'Unrecognized pipeline stage name: \'$foo\''},
+                {engine: 'sql', query: 'SELECT 1'}
+            ]);
+            assert.deepStrictEqual(commands, [{
+                explain: {allowDiskUse: true, aggregate: 'initiatives', pipeline: [{$match: {}}], cursor: {}},
+                verbosity: 'executionStats'
+            }]);
+            assert.deepStrictEqual(explained.map(entry => [entry.collection, entry.stats.docsExamined]), [['initiatives', 10]]);
+        });
+    });
+
+    describe('assertExecutionThresholds', function() {
+        const explained = [{collection: 'initiatives', pipeline: [], stats: summarizeExplain(EXPLAIN)}];
+
+        it('passes the aggregations within the thresholds', function() {
+            assertExecutionThresholds(explained, {requireIndexScan: true, maxDocsExamined: 10, maxUnwindFanOut: 4});
+        });
+
+        it('reports every exceeded threshold', function() {
+            assert.throws(() => assertExecutionThresholds(explained, {maxKeysExamined: 10, maxUnwindFanOut: 2}), err => {
+                assert.strictEqual(err.showDiff, false);
+                assert.strictEqual(err.message.split('\n').slice(0, 3).join('\n'), [
+                    'The aggregation needs optimization:',
+                    '  1. initiatives.aggregate: keys examined 12, allowed 10',
+                    '  1. initiatives.aggregate: $unwind fan-out 4, allowed 2'
+                ].join('\n'));
+                return true;
+            });
+        });
+
+        it('requires an index scan when asked', function() {
+            let scanned = [{collection: 'initiatives', stats: Object.assign({}, explained[0].stats, {firstStage: 'COLLSCAN'})}];
+            assert.throws(() => assertExecutionThresholds(scanned, {requireIndexScan: true}),
+                /1\. initiatives\.aggregate: the first stage is COLLSCAN, an index scan is expected/);
+        });
+    });
+
+    describe('formatExecutionStats', function() {
+        it('lists the documents returned by the stages', function() {
+            assert.strictEqual(formatExecutionStats([{collection: 'initiatives', stats: summarizeExplain(EXPLAIN)}]), [
+                'Execution stats (1):',
+                '  1. initiatives.aggregate: first stage IXSCAN, docs examined 10, keys examined 12, peak $unwind fan-out 4.00',
+                '       $cursor: 10 -> $unwind: 40 -> $match: 25 -> $unwind: 50'
+            ].join('\n'));
+            assert.strictEqual(formatExecutionStats([]), 'No aggregations to explain.');
+        });
+    });
+});
@@ -0,0 +1,42 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const BSON = require('bson');
+const readBsonFile = require('../../extensions/mongo-provision').readBsonFile;
+
+
+describe('mongo-provision', function() {
+    describe('readBsonFile', function() {
+        let dir;
+
+        before(function() {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mongo-provision-'));
+        });
+
+        after(function() {
+            fs.readdirSync(dir).forEach(file => fs.unlinkSync(path.join(dir, file)));
+            fs.rmdirSync(dir);
+        });
+
+        it('reads the documents stored one after another', function() {
+            let bson = new BSON();
+            let documents = [{ShipperID: 1, CompanyName: 'Speedy Express'}, {ShipperID: 2, Phone: null}, {}];
+            let file = path.join(dir, 'shippers.bson');
+            fs.writeFileSync(file, Buffer.concat(documents.map(document => bson.serialize(document))));
+            assert.deepStrictEqual(readBsonFile(file), documents);
+        });
+
+        it('reads an empty collection', function() {
+            let file = path.join(dir, 'empty.bson');
+            fs.writeFileSync(file, Buffer.alloc(0));
+            assert.deepStrictEqual(readBsonFile(file), []);
+        });
+
+        it('reads the bundled northwind dump', function() {
+            let orders = readBsonFile(path.join(__dirname, '../../dumps/northwind_mongodb/northwind/orders.bson'));
+            assert.strictEqual(orders.length, 830);
+            assert.strictEqual(orders[0].OrderID, 10248);
+        });
+    });
+});
@@ -0,0 +1,72 @@
+const assert = require('assert');
+const measure = require('../../extensions/pipeline-benchmark');
+const percentile = measure.percentile;
+const compareCanonical = measure.compareCanonical;
+const formatBenchmark = measure.formatBenchmark;
+
+
+describe('pipeline-benchmark', function() {
+    describe('measure', function() {
+        it('runs the function one time after another and keeps the first result', async function() {
+            let calls = 0;
+            let measured = await measure(async () => ++calls, 3);
+            assert.strictEqual(calls, 3);
+            assert.strictEqual(measured.result, 1);
+            assert.strictEqual(measured.times.length, 3);
+            assert.ok(measured.median <= measured.p95);
+        });
+    });
+
+    describe('percentile', function() {
+        it('takes the nearest rank', function() {
+            let values = [5, 1, 4, 2, 3];
+            assert.deepStrictEqual([percentile(values, 50), percentile(values, 95), percentile(values, 0)], [3, 5, 1]);
+            assert.ok(isNaN(percentile([], 50)));
+        });
+    });
+
+    describe('compareCanonical', function() {
+        const expected = [{score: 3, name: 'a', _id: 1}, {score: 3, name: 'b', _id: 2}, {score: 1, name: 'c', _id: 3}];
+
+        it('lets the rows of the equal sort keys go in any order', function() {
+            let actual = [{_id: 2, name: 'b', score: 3}, {name: 'a', score: 3, _id: 1}, {score: 1, name: 'c', _id: 3}];
+            assert.deepStrictEqual(compareCanonical(expected, actual, ['score']), {identical: true, reason: ''});
+            assert.deepStrictEqual(compareCanonical(expected, actual), {identical: false,
+                reason: 'row 0 differs: {"_id":2,"name":"b","score":3} instead of {"_id":1,"name":"a","score":3}'});
+        });
+
+        it('describes the first difference', function() {
+            assert.strictEqual(compareCanonical(expected, expected.slice(1), ['score']).reason, '2 rows instead of 3');
+            assert.strictEqual(compareCanonical(expected, [expected[2], expected[0], expected[1]], ['score']).reason,
+                'row 0 is out of order');
+            assert.strictEqual(compareCanonical(expected, [expected[0], {score: 3, name: 'B', _id: 2}, expected[2]], ['score']).reason,
+                'row 0 or one of the next 1 differs: {"_id":2,"name":"B","score":3} instead of {"_id":2,"name":"b","score":3}');
+            assert.deepStrictEqual(compareCanonical({total: 1}, {total: 1}), {identical: true, reason: ''});
+        });
+    });
+
+    describe('formatBenchmark', function() {
+        it('reports the speedup and the comparison of the results', function() {
+            let lines = formatBenchmark({
+                id: 'task_3_1',
+                runs: 2,
+                baseline: {times: [40, 60], median: 40, p95: 60, executionStats: 'baseline stats'},
+                solution: {times: [10, 20], median: 10, p95: 20, executionStats: 'solution stats'},
+                comparison: {identical: true, reason: ''}
+            }).split('\n');
+            assert.deepStrictEqual(lines, [
+                'task_3_1, 2 runs each:',
+                '  baseline: median 40.0 ms, p95 60.0 ms, min 40.0 ms',
+                '  solution: median 10.0 ms, p95 20.0 ms, min 10.0 ms',
+                '  speedup: 4.00x by the median, 3.00x by p95',
+                '  results: identical',
+                '',
+                'Baseline:',
+                'baseline stats',
+                '',
+                'Solution:',
+                'solution stats'
+            ]);
+        });
+    });
+});
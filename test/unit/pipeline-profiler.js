@@ -0,0 +1,75 @@
+const assert = require('assert');
+const profilePipeline = require('../../extensions/pipeline-profiler');
+const formatProfile = profilePipeline.formatProfile;
+
+
+/**
+ * Answers the profiler like a collection of 10 documents:
+ * the $unwind stage makes 40 documents of them and the $match after it runs in memory.
+ */
+function fakeMongoDb(commands) {
+    const counts = [10, 40, 4];
+    return {
+        collection: () => ({
+            estimatedDocumentCount: async () => 10,
+            aggregate: pipeline => ({
+                toArray: async () => {
+                    let count = counts[pipeline.length - 2];
+                    return [{count: count ? [{value: count}] : [], sample: count ? [{_id: 1, name: 'a'}] : []}];
+                }
+            })
+        }),
+        command: async command => {
+            commands.push(command);
+            let stages = command.explain.pipeline.length;
+            return {
+                stages: [{$cursor: {queryPlanner: {winningPlan: {stage: 'FETCH', inputStage: {stage: 'IXSCAN'}}}}}]
+                    .concat(command.explain.pipeline.slice(1).map((stage, index) => stages > 1 && index === stages - 2
+                        ? stage : {$project: {}}))
+            };
+        }
+    };
+}
+
+describe('pipeline-profiler', function() {
+    const pipeline = [{$match: {initiativeId: 1}}, {$unwind: '$participants'}, {$match: {'participants.active': true}}];
+    let commands;
+    let profile;
+
+    before(async function() {
+        commands = [];
+        profile = await profilePipeline(fakeMongoDb(commands), 'initiatives', pipeline.concat({$out: 'copy'}));
+    });
+
+    describe('profilePipeline', function() {
+        it('runs every prefix of the pipeline up to $out', function() {
+            assert.deepStrictEqual(commands.map(command => command.explain.pipeline.length), [1, 2, 3]);
+            assert.deepStrictEqual(profile.stages.map(stage => [stage.index, stage.name, stage.count, stage.growth]),
+                [[1, '$match', 10, 1], [2, '$unwind', 40, 4], [3, '$match', 4, 0.1]]);
+            assert.deepStrictEqual(profile.stages[0].sample, {_id: 1, name: 'a'});
+        });
+
+        it('finds the explosions and the stage which loses the indexes', function() {
+            assert.deepStrictEqual(profile.explosions.map(stage => stage.index), [2]);
+            assert.strictEqual(profile.indexLostAt.index, 3);
+            assert.deepStrictEqual(profile.stages.map(stage => [stage.plan, stage.inMemory]),
+                [['IXSCAN', false], ['IXSCAN', true], ['IXSCAN', true]]);
+        });
+    });
+
+    describe('formatProfile', function() {
+        it('tells where the data explodes and where the indexes are lost', function() {
+            let stages = profile.stages.map(stage => Object.assign({}, stage, {elapsed: 1}));
+            let lines = formatProfile(Object.assign({}, profile, {stages: stages}), {samples: false}).split('\n');
+            assert.deepStrictEqual(lines.slice(0, 2), [
+                'Pipeline on "initiatives":',
+                '#  stage    docs  growth  avg size  time, ms  plan'
+            ]);
+            assert.strictEqual(lines[3], '2  $unwind  40    x4.00   26 B      1         in memory');
+            assert.deepStrictEqual(lines.slice(5), [
+                'Data explodes at stage 2 ($unwind): 10 -> 40 documents (x4.00)',
+                'Indexes stop being used at stage 3 ($match): it runs in memory'
+            ]);
+        });
+    });
+});
@@ -0,0 +1,201 @@
+const assert = require('assert');
+const instrumentDb = require('../../extensions/query-log');
+const formatQueryLog = instrumentDb.formatQueryLog;
+
+
+/**
+ * Reads like a cursor of the mongodb driver: the documents are fetched one by one.
+ */
+class FakeCursor {
+    constructor(documents) {
+        this.documents = documents.slice();
+        this.fetches = 0;
+    }
+
+    sort() {
+        return this;
+    }
+
+    async next() {
+        this.fetches++;
+        return this.documents.length ? this.documents.shift() : null;
+    }
+
+    async hasNext() {
+        return this.documents.length > 0;
+    }
+
+    async toArray() {
+        this.fetches++;
+        return this.documents.splice(0);
+    }
+
+    async forEach(iterator) {
+        while (this.documents.length) {
+            iterator(await this.next());
+        }
+    }
+
+    [Symbol.asyncIterator]() {
+        return {
+            next: async () => {
+                let document = await this.next();
+                return document === null ? {done: true, value: undefined} : {done: false, value: document};
+            }
+        };
+    }
+}
+
+function fakeMongoDb(documents) {
+    return {
+        collection: () => ({
+            find: () => new FakeCursor(documents),
+            aggregate: () => new FakeCursor(documents),
+            countDocuments: async () => documents.length,
+            updateMany: async () => ({matchedCount: 2, modifiedCount: 2})
+        }),
+        aggregate: () => new FakeCursor(documents),
+        command: async command => command.count ? {n: documents.length, ok: 1} : {ok: 1}
+    };
+}
+
+describe('query-log', function() {
+    const documents = [{EmployeeID: 1}, {EmployeeID: 2}, {EmployeeID: 3}];
+    let log;
+    let db;
+
+    beforeEach(function() {
+        log = [];
+        db = instrumentDb(fakeMongoDb(documents), log);
+    });
+
+    describe('mongo cursors', function() {
+        it('logs a cursor read with toArray', async function() {
+            let result = await db.collection('employees').find({City: 'London'}).sort({EmployeeID: 1}).toArray();
+            assert.deepStrictEqual(result, documents);
+            assert.strictEqual(log.length, 1);
+            assert.strictEqual(log[0].operation, 'employees.find');
+            assert.deepStrictEqual(log[0].query, {City: 'London'});
+            assert.deepStrictEqual(log[0].modifiers, [{sort: {EmployeeID: 1}}]);
+            assert.strictEqual(log[0].rows, 3);
+        });
+
+        it('logs a cursor read with next once', async function() {
+            let cursor = db.collection('employees').aggregate([{$match: {}}]);
+            while (await cursor.hasNext()) {
+                await cursor.next();
+            }
+            assert.strictEqual(await cursor.next(), null);
+            assert.strictEqual(log.length, 1);
+            assert.strictEqual(log[0].operation, 'employees.aggregate');
+            assert.deepStrictEqual(log[0].query, [{$match: {}}]);
+            assert.strictEqual(log[0].rows, 3);
+        });
+
+        it('logs a cursor read with forEach once', async function() {
+            let ids = [];
+            await db.collection('employees').find({}).forEach(document => ids.push(document.EmployeeID));
+            assert.deepStrictEqual(ids, [1, 2, 3]);
+            assert.strictEqual(log.length, 1);
+            assert.strictEqual(log[0].rows, 3);
+        });
+
+        it('logs a cursor read with for await once', async function() {
+            let ids = [];
+            for await (let document of db.collection('employees').aggregate([])) {
+                ids.push(document.EmployeeID);
+            }
+            assert.deepStrictEqual(ids, [1, 2, 3]);
+            assert.strictEqual(log.length, 1);
+            assert.strictEqual(log[0].operation, 'employees.aggregate');
+            assert.strictEqual(log[0].rows, 3);
+        });
+
+        it('does not log a cursor which is never read', function() {
+            db.collection('employees').find({});
+            assert.deepStrictEqual(log, []);
+        });
+
+        it('logs every cursor separately', async function() {
+            await db.collection('employees').find({}).toArray();
+            await db.collection('employees').find({EmployeeID: 1}).next();
+            assert.deepStrictEqual(log.map(entry => [entry.query, entry.rows]), [[{}, 3], [{EmployeeID: 1}, 1]]);
+        });
+
+        it('logs the failed read', async function() {
+            let failing = {collection: () => ({find: () => ({toArray: async () => {
+                throw new Error('unknown operator: $foo');
+            }})})};
+            let instrumented = instrumentDb(failing, log);
+            await assert.rejects(instrumented.collection('employees').find({$foo: 1}).toArray(), /unknown operator/);
+            assert.strictEqual(log.length, 1);
+            assert.strictEqual(log[0].error, 'unknown operator: $foo');
+        });
+    });
+
+    describe('mongo promises and writes', function() {
+        it('logs the count and the number of the changed documents', async function() {
+            assert.strictEqual(await db.collection('employees').countDocuments({}), 3);
+            await db.collection('employees').updateMany({City: 'London'}, {$set: {Country: 'UK'}});
+            assert.deepStrictEqual(log.map(entry => [entry.operation, entry.rows]),
+                [['employees.countDocuments', 3], ['employees.updateMany', 2]]);
+            assert.deepStrictEqual(log[1].query, [{City: 'London'}, {$set: {Country: 'UK'}}]);
+        });
+    });
+
+    describe('mongo database', function() {
+        it('logs the aggregations and the commands of the database', async function() {
+            let pipeline = [{$documents: documents}, {$match: {EmployeeID: {$gt: 1}}}];
+            assert.deepStrictEqual(await db.aggregate(pipeline).toArray(), documents);
+            assert.deepStrictEqual(await db.command({count: 'employees', query: {City: 'London'}}), {n: 3, ok: 1});
+            await db.command({ping: 1});
+            assert.deepStrictEqual(log.map(entry => [entry.operation, entry.query, entry.rows]), [
+                ['db.aggregate', pipeline, 3],
+                ['db.command', {count: 'employees', query: {City: 'London'}}, 3],
+                ['db.command', {ping: 1}, 1]
+            ]);
+        });
+
+        it('logs the failed command', async function() {
+            let failing = {collection: () => ({}), command: async () => {
+                throw new Error('no such command: \'fsyncUnlock\'');
+            }};
+            let instrumented = instrumentDb(failing, log);
+            await assert.rejects(instrumented.command({fsyncUnlock: 1}), /no such command/);
+            assert.deepStrictEqual(log.map(entry => [entry.operation, entry.error]),
+                [['db.command', 'no such command: \'fsyncUnlock\'']]);
+        });
+    });
+
+    describe('sql', function() {
+        it('logs the queries with their params', async function() {
+            let connection = {
+                query: async () => [[{ProductName: 'Chai'}, {ProductName: 'Chang'}], []],
+                execute: async () => [{affectedRows: 5}]
+            };
+            let instrumented = instrumentDb(connection, log);
+            await instrumented.query('SELECT ProductName FROM Products');
+            await instrumented.execute('UPDATE Products SET UnitPrice = ? WHERE CategoryID = ?', [10, 1]);
+            assert.deepStrictEqual(log.map(entry => [entry.operation, entry.rows, entry.params]),
+                [['query', 2, undefined], ['execute', 5, [10, 1]]]);
+        });
+    });
+
+    describe('formatQueryLog', function() {
+        it('lists the queries with the cursor modifiers', async function() {
+            await db.collection('employees').find({City: 'London'}, {projection: {_id: 0}}).sort({EmployeeID: 1}).toArray();
+            log[0].duration = 4;
+            assert.strictEqual(formatQueryLog(log), [
+                'Queries sent by the task (1):',
+                '  1. mongo employees.find, 4 ms, 3 row(s)',
+                '       {"City":"London"}',
+                '       options: {"projection":{"_id":0}}',
+                '       cursor: [{"sort":{"EmployeeID":1}}]'
+            ].join('\n'));
+        });
+
+        it('tells that there were no queries', function() {
+            assert.strictEqual(formatQueryLog([]), 'The task did not send any queries.');
+        });
+    });
+});
@@ -0,0 +1,188 @@
+const assert = require('assert');
+const guardDb = require('../../extensions/read-only-guard');
+const findForbiddenStatement = guardDb.findForbiddenStatement;
+
+
+/**
+ * Remembers the calls which reach the database.
+ */
+function fakeSqlConnection(calls) {
+    let raw = {query: sql => calls.push(['raw', sql])};
+    return {
+        connection: raw,
+        query: async sql => calls.push(['query', sql]),
+        execute: async sql => calls.push(['execute', sql]),
+        commit: async () => calls.push(['commit'])
+    };
+}
+
+function fakeCollection(name, calls) {
+    return {
+        collectionName: name,
+        s: {db: {}},
+        find: () => calls.push([name, 'find']),
+        aggregate: () => calls.push([name, 'aggregate']),
+        deleteMany: async () => calls.push([name, 'deleteMany']),
+        removeMany: async () => calls.push([name, 'removeMany']),
+        createIndex: async () => calls.push([name, 'createIndex'])
+    };
+}
+
+function fakeMongoDb(calls) {
+    return {
+        s: {},
+        topology: {command: () => calls.push(['topology', 'command'])},
+        collection: name => fakeCollection(name, calls),
+        collections: async () => [fakeCollection('orders', calls), fakeCollection('products', calls)],
+        aggregate: () => calls.push(['db', 'aggregate']),
+        command: async command => calls.push(['command', command]),
+        executeDbAdminCommand: async command => calls.push(['admin command', command]),
+        admin: () => ({command: async command => calls.push(['admin', command])}),
+        eval: async () => calls.push(['eval'])
+    };
+}
+
+function readOnly(err) {
+    return err.message.startsWith('The connection is read-only: ');
+}
+
+describe('read-only-guard', function() {
+    let calls;
+
+    beforeEach(function() {
+        calls = [];
+    });
+
+    describe('findForbiddenStatement', function() {
+        it('lets the reads through', function() {
+            assert.strictEqual(findForbiddenStatement('SELECT 1; WITH t AS (SELECT 1) SELECT * FROM t'), null);
+        });
+
+        it('finds the writes, the schema changes and the server settings', function() {
+            assert.strictEqual(findForbiddenStatement('SELECT 1; DELETE FROM Orders'), 'DELETE FROM Orders');
+            assert.strictEqual(findForbiddenStatement('DROP TABLE Orders'), 'DROP TABLE Orders');
+            assert.strictEqual(findForbiddenStatement('SET GLOBAL max_connections = 1'), 'SET GLOBAL max_connections = 1');
+        });
+
+        it('finds the server settings written in any form', function() {
+            for (let sql of ['SET @@GLOBAL.max_connections = 1', 'set @@persist.max_connections = 1',
+                'SET @@persist_only.max_connections = 1', 'SET @a = 1, GLOBAL max_connections = 1',
+                'SET PERSIST max_connections = 1', 'SET PASSWORD = \'x\'']) {
+                assert.strictEqual(findForbiddenStatement(sql), sql);
+                assert.strictEqual(findForbiddenStatement(sql, {allowWrites: true}), sql);
+            }
+            assert.strictEqual(findForbiddenStatement('SELECT @@GLOBAL.max_connections; SET @@SESSION.sql_mode = \'\''), null);
+            assert.strictEqual(findForbiddenStatement('SET @note = \', GLOBAL x\''), null);
+        });
+
+        it('finds the reads which write a file', function() {
+            for (let sql of ['SELECT * FROM Orders INTO OUTFILE \'/tmp/orders\'',
+                'SELECT * INTO DUMPFILE \'/tmp/orders\' FROM Orders', 'TABLE Orders INTO OUTFILE \'/tmp/orders\'']) {
+                assert.strictEqual(findForbiddenStatement(sql), sql);
+                assert.strictEqual(findForbiddenStatement(sql, {allowWrites: true}), sql);
+            }
+            assert.strictEqual(findForbiddenStatement('SELECT COUNT(*) INTO @count FROM Orders'), null);
+        });
+
+        it('allows the indexes and the data writes when asked', function() {
+            assert.strictEqual(findForbiddenStatement('CREATE INDEX i ON Orders (ShipCity)', {allowIndexes: true}), null);
+            assert.strictEqual(findForbiddenStatement('UPDATE Products SET UnitPrice = 1', {allowWrites: true}), null);
+            assert.strictEqual(findForbiddenStatement('COMMIT', {allowWrites: true}), 'COMMIT');
+        });
+    });
+
+    describe('sql connection', function() {
+        it('rejects the writes and lets the reads through', async function() {
+            let db = guardDb(fakeSqlConnection(calls));
+            await db.query('SELECT * FROM Orders');
+            await assert.rejects(db.execute('UPDATE Orders SET Freight = 0'), readOnly);
+            assert.deepStrictEqual(calls, [['query', 'SELECT * FROM Orders']]);
+        });
+
+        it('hides the raw connection', function() {
+            let db = guardDb(fakeSqlConnection(calls));
+            assert.throws(() => db.connection.query('DELETE FROM Orders'),
+                err => readOnly(err) && err.message.indexOf('db.connection is not allowed') !== -1);
+            assert.deepStrictEqual(calls, []);
+        });
+
+        it('does not let a data-modification task end the transaction', async function() {
+            let db = guardDb(fakeSqlConnection(calls), {allowWrites: true});
+            await db.execute('DELETE FROM Orders');
+            await assert.rejects(db.commit(), /The connection runs in the transaction of the test: db.commit\(\)/);
+            assert.throws(() => db.connection, /db.connection is not allowed/);
+            assert.deepStrictEqual(calls, [['execute', 'DELETE FROM Orders']]);
+        });
+    });
+
+    describe('mongo db', function() {
+        it('rejects the writes of the collections', async function() {
+            let db = guardDb(fakeMongoDb(calls));
+            db.collection('orders').find({});
+            await assert.rejects(db.collection('orders').deleteMany({}), readOnly);
+            await assert.rejects(db.collection('orders').removeMany({}), readOnly);
+            await assert.rejects(db.collection('orders').createIndex({OrderID: 1}), readOnly);
+            assert.throws(() => db.collection('orders').aggregate([{$out: 'copy'}]), readOnly);
+            assert.deepStrictEqual(calls, [['orders', 'find']]);
+        });
+
+        it('guards the collections listed by collections()', async function() {
+            let collections = await guardDb(fakeMongoDb(calls)).collections();
+            assert.deepStrictEqual(collections.map(collection => collection.collectionName), ['orders', 'products']);
+            await assert.rejects(collections[1].deleteMany({}), err => readOnly(err)
+                && err.message.indexOf('products.deleteMany is not allowed') !== -1);
+            assert.deepStrictEqual(calls, []);
+        });
+
+        it('rejects admin()', function() {
+            let db = guardDb(fakeMongoDb(calls));
+            assert.throws(() => db.admin().command({shutdown: 1}), readOnly);
+            assert.deepStrictEqual(calls, []);
+        });
+
+        it('checks the admin commands the same way as the commands', async function() {
+            let db = guardDb(fakeMongoDb(calls));
+            await assert.rejects(db.executeDbAdminCommand({dropDatabase: 1}), readOnly);
+            await assert.rejects(db.command({drop: 'orders'}), readOnly);
+            await db.executeDbAdminCommand({listDatabases: 1});
+            assert.deepStrictEqual(calls, [['admin command', {listDatabases: 1}]]);
+        });
+
+        it('runs only the commands which read, whatever the case of their names', async function() {
+            let db = guardDb(fakeMongoDb(calls));
+            for (let command of [{findandmodify: 'orders', remove: true}, {applyOps: []}, {emptycapped: 'orders'},
+                {compact: 'orders'}, {DROP: 'orders'}, {explain: {delete: 'orders', deletes: []}},
+                {AGGREGATE: 'orders', pipeline: [{$out: 'copy'}]}]) {
+                await assert.rejects(db.command(command), readOnly, JSON.stringify(command));
+            }
+            await db.command({Count: 'orders'});
+            await db.command({explain: {find: 'orders'}, verbosity: 'executionStats'});
+            assert.deepStrictEqual(calls.map(call => Object.keys(call[1])[0]), ['Count', 'explain']);
+        });
+
+        it('rejects the database aggregations which write', function() {
+            let db = guardDb(fakeMongoDb(calls));
+            assert.throws(() => db.aggregate([{$currentOp: {}}, {$merge: 'ops'}]), readOnly);
+            db.aggregate([{$currentOp: {}}]);
+            assert.deepStrictEqual(calls, [['db', 'aggregate']]);
+        });
+
+        it('hides the driver internals', async function() {
+            let db = guardDb(fakeMongoDb(calls));
+            assert.throws(() => db.topology.command({dropDatabase: 1}), /db.topology is not allowed/);
+            assert.throws(() => db.s, /db.s is not allowed/);
+            assert.throws(() => db.collection('orders').s.db, /orders.s is not allowed/);
+            await assert.rejects(db.eval('db.orders.remove({})'), readOnly);
+            assert.deepStrictEqual(calls, []);
+        });
+
+        it('allows the data writes of the transaction but not the schema changes', async function() {
+            let db = guardDb(fakeMongoDb(calls), {allowWrites: true});
+            await db.collection('orders').deleteMany({});
+            await assert.rejects(db.command({dropDatabase: 1}), /runs in the transaction of the test/);
+            await assert.rejects(db.command({applyOps: []}), /runs in the transaction of the test/);
+            await db.command({findAndModify: 'orders', remove: true});
+            assert.deepStrictEqual(calls, [['orders', 'deleteMany'], ['command', {findAndModify: 'orders', remove: true}]]);
+        });
+    });
+});
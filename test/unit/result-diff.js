@@ -0,0 +1,172 @@
+const assert = require('assert');
+const assertResultsEqual = require('../../extensions/result-diff');
+const compareResults = assertResultsEqual.compareResults;
+const formatReport = assertResultsEqual.formatReport;
+
+
+describe('result-diff', function() {
+    const employees = [
+        {City: 'Kirkland', Name: 'Janet Leverling'},
+        {City: 'London', Name: 'Anne Dodsworth'},
+        {City: 'London', Name: 'Michael Suyama'},
+        {City: 'Redmond', Name: 'Margaret Peacock'}
+    ];
+
+    describe('ordered', function() {
+        it('accepts equal rows and numeric strings for numbers', function() {
+            assertResultsEqual([{Total: '3.50', Count: 2}], [{Total: 3.5, Count: '2'}]);
+        });
+
+        it('reports the first swapped row', function() {
+            let report = compareResults([employees[0], employees[2], employees[1], employees[3]], employees);
+            assert.strictEqual(report.equal, false);
+            assert.strictEqual(report.firstDiffRow, 1);
+            assert.deepStrictEqual(report.missingRows, []);
+            assert.deepStrictEqual(report.extraRows, []);
+            assert.deepStrictEqual(report.cells.map(cell => [cell.row, cell.column]),
+                [[1, 'Name'], [2, 'Name']]);
+        });
+
+        it('reports a missing row once instead of shifting the following rows', function() {
+            let report = compareResults([employees[0], employees[2], employees[3]], employees);
+            assert.strictEqual(report.firstDiffRow, 1);
+            assert.deepStrictEqual(report.missingRows, [{index: 1, row: employees[1]}]);
+            assert.deepStrictEqual(report.extraRows, []);
+        });
+
+        it('compares a single object with a single object only', function() {
+            let report = compareResults([{Count: 1}], {Count: 1});
+            assert.strictEqual(report.equal, false);
+            assert.strictEqual(report.shapeMismatch, true);
+        });
+    });
+
+    describe('unordered', function() {
+        const options = {order: 'unordered'};
+
+        it('accepts the rows in any order', function() {
+            assertResultsEqual(employees.slice().reverse(), employees, options);
+        });
+
+        it('compares the rows as a multiset', function() {
+            let report = compareResults([employees[0], employees[0]], [employees[0], employees[1]], options);
+            assert.strictEqual(report.equal, false);
+            assert.deepStrictEqual(report.missingRows, [{index: 1, row: employees[1]}]);
+            assert.deepStrictEqual(report.extraRows, [{index: 1, row: employees[0]}]);
+        });
+
+        it('tells the rows which differ in a date only', function() {
+            let actual = [{OrderID: 1, OrderDate: new Date('1996-07-04T00:00:00Z')}];
+            let expected = [{OrderID: 1, OrderDate: new Date('1996-07-05T00:00:00Z')}];
+            assert.strictEqual(compareResults(actual, expected, options).equal, false);
+            assert.strictEqual(compareResults(actual, actual.map(row => Object.assign({}, row)), options).equal, true);
+        });
+
+        it('tells the values apart the same way as the ordered mode', function() {
+            const pairs = [
+                [{Region: null}, {Region: 'null'}, false],
+                [{OrderDate: new Date(0)}, {OrderDate: new Date(0).toISOString()}, false],
+                [{Items: [1, 2]}, {Items: '1,2'}, false],
+                [{Total: '3.50'}, {Total: 3.5}, true],
+                [{Count: 1, Nested: {Sum: '2'}}, {Count: '1', Nested: {Sum: 2}}, true]
+            ];
+            for (let pair of pairs) {
+                assert.strictEqual(compareResults([pair[0]], [pair[1]]).equal, pair[2], JSON.stringify(pair));
+                assert.strictEqual(compareResults([pair[0]], [pair[1]], options).equal, pair[2], JSON.stringify(pair));
+            }
+        });
+    });
+
+    describe('sortKeys', function() {
+        const options = {sortKeys: ['City']};
+
+        it('accepts any order inside of the groups of equal keys', function() {
+            assertResultsEqual([employees[0], employees[2], employees[1], employees[3]], employees, options);
+        });
+
+        it('reports the rows out of the order of the keys', function() {
+            let report = compareResults([employees[1], employees[0], employees[2], employees[3]], employees, options);
+            assert.strictEqual(report.equal, false);
+            assert.strictEqual(report.sortKeysMismatch, true);
+            assert.strictEqual(report.firstDiffRow, 0);
+            assert.deepStrictEqual(report.cells.map(cell => cell.column), ['City', 'City']);
+        });
+
+        it('reports a different row inside of a group', function() {
+            let actual = employees.slice();
+            actual[2] = {City: 'London', Name: 'Robert King'};
+            let report = compareResults(actual, employees, options);
+            assert.strictEqual(report.sortKeysMismatch, false);
+            assert.strictEqual(report.firstDiffRow, 1);
+            assert.deepStrictEqual(report.missingRows, [{index: 2, row: employees[2]}]);
+            assert.deepStrictEqual(report.extraRows, [{index: 2, row: actual[2]}]);
+        });
+
+        it('follows the dotted keys into the nested documents', function() {
+            let expected = [{answer: {id: 1}, n: 1}, {answer: {id: 2}, n: 2}];
+            assert.strictEqual(compareResults(expected.slice().reverse(), expected, {sortKeys: ['answer.id']}).equal, false);
+        });
+    });
+
+    describe('tolerance', function() {
+        it('accepts the numbers within the tolerance', function() {
+            assertResultsEqual([{Price: 10.004, Nested: {Sum: '2.001'}}], [{Price: 10, Nested: {Sum: 2}}], {tolerance: 0.01});
+        });
+
+        it('rejects the numbers out of the tolerance', function() {
+            let report = compareResults([{Price: 10.02}], [{Price: 10}], {tolerance: 0.01});
+            assert.strictEqual(report.equal, false);
+            assert.deepStrictEqual(report.cells, [{row: 0, column: 'Price', expected: 10, actual: 10.02}]);
+        });
+
+        it('matches the rows by rounded values in any order', function() {
+            assertResultsEqual([{Price: 2.001}, {Price: 0.999}], [{Price: 1}, {Price: 2}], {order: 'unordered', tolerance: 0.01});
+        });
+
+        it('compares the dates by their time', function() {
+            let report = compareResults([{Date: new Date('1996-07-04')}], [{Date: new Date('1996-07-05')}], {tolerance: 0.01});
+            assert.strictEqual(report.equal, false);
+        });
+    });
+
+    describe('report', function() {
+        it('lists the columns, the rows and the cells which differ', function() {
+            let actual = [{City: 'Kirkland', FullName: 'Janet Leverling'}, {City: 'Paris', FullName: 'Anne Dodsworth'}];
+            let expected = [{City: 'Kirkland', Name: 'Janet Leverling'}, {City: 'London', Name: 'Anne Dodsworth'}];
+            let text = formatReport(compareResults(actual, expected), {});
+            assert.strictEqual(text, [
+                'Results are different: 2 row(s) expected, 2 returned.',
+                'First difference at row 0.',
+                'Missing columns: "Name"',
+                'Unexpected columns: "FullName"',
+                'Column "FullName" looks like a renamed "Name"',
+                'Missing rows (2):',
+                '  #0 {"City":"Kirkland","Name":"Janet Leverling"}',
+                '  #1 {"City":"London","Name":"Anne Dodsworth"}',
+                'Extra rows (2):',
+                '  #0 {"City":"Kirkland","FullName":"Janet Leverling"}',
+                '  #1 {"City":"Paris","FullName":"Anne Dodsworth"}',
+                'Cell differences (1 of 1):',
+                '  | row | column | expected | actual  |',
+                '  | 1   | City   | "London" | "Paris" |'
+            ].join('\n'));
+        });
+
+        it('names the comparison mode', function() {
+            let report = compareResults([{Price: 1}], [{Price: 2}], {sortKeys: ['Price'], tolerance: 0.1});
+            let lines = formatReport(report, {sortKeys: ['Price'], tolerance: 0.1}).split('\n');
+            assert.strictEqual(lines[1], 'Rows are compared by the order of "Price" only.');
+            assert.strictEqual(lines[2], 'Numbers are compared with tolerance 0.1.');
+            assert.strictEqual(lines[3], 'Rows are not in the expected order starting from row 0.');
+        });
+
+        it('throws an AssertionError with the report instead of the mocha diff', function() {
+            assert.throws(() => assertResultsEqual([{Count: 1}], [{Count: 2}], 'task_1_1'), err => {
+                assert.strictEqual(err.name, 'AssertionError');
+                assert.strictEqual(err.showDiff, false);
+                assert.ok(err.message.startsWith('task_1_1\nResults are different: 1 row(s) expected, 1 returned.'));
+                return true;
+            });
+        });
+    });
+});
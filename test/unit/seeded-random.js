@@ -0,0 +1,35 @@
+const assert = require('assert');
+const createRandom = require('../../extensions/seeded-random');
+
+
+describe('seeded-random', function() {
+    it('gives the same sequence for the same seed', function() {
+        let random = createRandom(42);
+        assert.deepStrictEqual([random.next(), random.next()], [0.3077305785845965, 0.3676118436269462]);
+        assert.strictEqual(createRandom('42').next(), 0.3077305785845965);
+        assert.notStrictEqual(createRandom(43).next(), 0.3077305785845965);
+    });
+
+    it('keeps int and pick within the bounds', function() {
+        let random = createRandom('bounds');
+        let seen = new Set();
+        for (let i = 0; i < 200; i++) {
+            let value = random.int(1, 6);
+            assert.ok(Number.isInteger(value) && value >= 1 && value <= 6, `${value} is out of 1..6`);
+            seen.add(value);
+            assert.notStrictEqual(['a', 'b'].indexOf(random.pick(['a', 'b'])), -1);
+        }
+        assert.strictEqual(seen.size, 6);
+    });
+
+    it('samples distinct items in the order of the array', function() {
+        let items = [1, 2, 3, 4, 5, 6, 7, 8];
+        assert.deepStrictEqual(createRandom(42).sample(items, 3), [4, 6, 7]);
+        for (let seed = 0; seed < 20; seed++) {
+            let sample = createRandom(seed).sample(items, 3);
+            assert.strictEqual(new Set(sample).size, 3);
+            assert.deepStrictEqual(sample, sample.slice().sort((a, b) => a - b));
+        }
+        assert.deepStrictEqual(createRandom(1).sample(items, 20), items);
+    });
+});
@@ -0,0 +1,103 @@
+const assert = require('assert');
+const explainQueries = require('../../extensions/sql-explain');
+const summarizePlan = explainQueries.summarizePlan;
+const formatPlans = explainQueries.formatPlans;
+const assertPlanThresholds = explainQueries.assertPlanThresholds;
+
+
+/**
+ * EXPLAIN FORMAT=JSON of a join of Orders, scanned with a filesort, and Customers, read by the primary key.
+ */
+const JOIN_PLAN = {
+    query_block: {
+        select_id: 1,
+        cost_info: {query_cost: '1045.30'},
+        ordering_operation: {
+            using_filesort: true,
+            grouping_operation: {
+                using_temporary_table: true,
+                nested_loop: [
+                    {table: {table_name: 'o', access_type: 'ALL', rows_examined_per_scan: 830}},
+                    {table: {table_name: 'c', access_type: 'eq_ref', key: 'PRIMARY', rows_examined_per_scan: 1}}
+                ]
+            }
+        }
+    }
+};
+
+describe('sql-explain', function() {
+    describe('summarizePlan', function() {
+        it('collects the scans, the filesorts and the temporary tables', function() {
+            assert.deepStrictEqual(summarizePlan(JOIN_PLAN), {
+                cost: 1045.3,
+                fullScans: ['o'],
+                filesorts: 1,
+                temporaryTables: 1,
+                estimatedRows: 831,
+                tables: [
+                    {name: 'o', access: 'ALL', key: null, rows: 830},
+                    {name: 'c', access: 'eq_ref', key: 'PRIMARY', rows: 1}
+                ]
+            });
+        });
+
+        it('reads the plan of a query without tables', function() {
+            assert.deepStrictEqual(summarizePlan({query_block: {select_id: 1, message: 'No tables used'}}),
+                {cost: 0, fullScans: [], filesorts: 0, temporaryTables: 0, estimatedRows: 0, tables: []});
+        });
+    });
+
+    describe('explainQueries', function() {
+        it('explains the successful SELECT queries of the log only', async function() {
+            let sent = [];
+            let connection = {
+                query: async (sql, params) => {
+                    sent.push([sql, params]);
+                    return [[{EXPLAIN: JSON.stringify(JOIN_PLAN)}], []];
+                }
+            };
+            let plans = await explainQueries(connection, [
+                {engine: 'sql', query: 'SELECT * FROM Orders WHERE OrderID = ?', params: [10248]},
+                {engine: 'sql', query: 'UPDATE Orders SET Freight = 0'},
+                {engine: 'sql', query: 'SELECT * FROM Ordrs', error: 'Table \'Ordrs\' doesn\'t exist'},
+                {engine: 'mongo', query: {}}
+            ]);
+            assert.deepStrictEqual(sent, [['EXPLAIN FORMAT=JSON SELECT * FROM Orders WHERE OrderID = ?', [10248]]]);
+            assert.strictEqual(plans.length, 1);
+            assert.deepStrictEqual(plans[0].plan.fullScans, ['o']);
+        });
+    });
+
+    describe('assertPlanThresholds', function() {
+        const plans = [{query: 'SELECT 1', plan: summarizePlan(JOIN_PLAN)}, {query: 'SELECT 2', plan: summarizePlan(JOIN_PLAN)}];
+
+        it('passes the plans within the thresholds', function() {
+            assertPlanThresholds(plans, {maxFullScans: 2, maxFilesorts: 2, maxRows: 2000});
+            assertPlanThresholds(plans, {});
+        });
+
+        it('sums the plans of all the queries and reports every exceeded threshold', function() {
+            assert.throws(() => assertPlanThresholds(plans, {maxFullScans: 1, maxTemporaryTables: 2, maxRows: 1000}), err => {
+                assert.strictEqual(err.showDiff, false);
+                assert.strictEqual(err.message.split('\n').slice(0, 3).join('\n'), [
+                    'The query plan needs optimization:',
+                    '  full table scans: 2, allowed 1',
+                    '  estimated rows: 1662, allowed 1000'
+                ].join('\n'));
+                return true;
+            });
+        });
+    });
+
+    describe('formatPlans', function() {
+        it('lists the tables of every plan', function() {
+            assert.strictEqual(formatPlans([{plan: summarizePlan(JOIN_PLAN)}]), [
+                'Query plans (1):',
+                '  1. cost 1045.3, estimated rows 831, full table scans: o, filesorts: 1, temporary tables: 1',
+                '       o: ALL, 830 row(s)',
+                '       c: eq_ref by PRIMARY, 1 row(s)'
+            ].join('\n'));
+            assert.strictEqual(formatPlans([]), 'No SELECT queries to explain.');
+        });
+    });
+});
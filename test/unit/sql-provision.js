@@ -0,0 +1,29 @@
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs');
+const parseSqlDump = require('../../extensions/sql-provision').parseSqlDump;
+
+
+describe('sql-provision', function() {
+    describe('parseSqlDump', function() {
+        it('counts the rows every table gets', function() {
+            let dump = parseSqlDump([
+                'DROP SCHEMA IF EXISTS northwind;',
+                'CREATE TABLE `Shippers` (ShipperID INT, CompanyName VARCHAR(40));',
+                'CREATE TABLE IF NOT EXISTS Regions (RegionID INT);',
+                'INSERT INTO `Shippers` (ShipperID, CompanyName) VALUES (1, \'(Speedy)\'), (2, CONCAT(\'United\', \'Package\'));',
+                'INSERT INTO Shippers VALUES(3, \'Federal Shipping\');'
+            ].join('\n'));
+            assert.deepStrictEqual(dump.rowCounts, {Shippers: 3, Regions: 0});
+            assert.strictEqual(dump.statements.length, 5);
+            assert.ok(dump.statements[3].text.endsWith('CONCAT(\'United\', \'Package\'))'));
+        });
+
+        it('reads the bundled northwind dump', function() {
+            let dump = parseSqlDump(fs.readFileSync(path.join(__dirname, '../../dumps/northwind.sql'), 'latin1'));
+            assert.strictEqual(dump.rowCounts.Orders, 830);
+            assert.strictEqual(dump.rowCounts.OrderDetails, 2155);
+            assert.strictEqual(dump.rowCounts.CustomerDemographics, 0);
+        });
+    });
+});
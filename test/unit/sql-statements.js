@@ -0,0 +1,24 @@
+const assert = require('assert');
+const splitStatements = require('../../extensions/sql-statements');
+
+
+describe('sql-statements', function() {
+    it('splits by the semicolons outside the strings and the comments', function() {
+        let statements = splitStatements([
+            'INSERT INTO Shippers VALUES (1, \'Speedy; Express\', "it\\"s");',
+            '-- DROP TABLE Orders;',
+            '/* DELETE FROM Orders; */ SELECT `a;b` FROM t # trailing;',
+            ';'
+        ].join('\n'));
+        assert.deepStrictEqual(statements.map(statement => statement.code), [
+            'INSERT INTO Shippers VALUES (1, \'\', "")',
+            'SELECT `a;b` FROM t'
+        ]);
+        assert.strictEqual(statements[0].text, 'INSERT INTO Shippers VALUES (1, \'Speedy; Express\', "it\\"s")');
+    });
+
+    it('keeps the content of the MySQL executable comments', function() {
+        assert.deepStrictEqual(splitStatements('/*!40101 SET NAMES utf8 */; /*!SET @a = 1*/').map(statement => statement.code),
+            ['SET NAMES utf8', 'SET @a = 1']);
+    });
+});
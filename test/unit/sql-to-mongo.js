@@ -0,0 +1,109 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const convertTables = require('../../extensions/sql-to-mongo');
+const readSqlDump = convertTables.readSqlDump;
+const readBsonFile = require('../../extensions/mongo-provision').readBsonFile;
+
+
+const DUMP = [
+    'CREATE TABLE `Orders` (',
+    '  `OrderID` INT NOT NULL AUTO_INCREMENT,',
+    '  `CustomerID` VARCHAR(5),',
+    '  `OrderDate` DATETIME,',
+    '  `ShipPostalCode` VARCHAR(10),',
+    '  `Freight` DECIMAL(10,2) DEFAULT 0,',
+    '  PRIMARY KEY (`OrderID`)',
+    ');',
+    'CREATE TABLE OrderDetails (OrderID INT, ProductID INT, UnitPrice DECIMAL(10,0), Picture BLOB);',
+    'INSERT INTO `Orders` VALUES (NULL, \'VINET\', \'1996-07-04 00:00:00\', \'51100\', 32.38),',
+    '  (0, \'O\\\'Brien\', \'1996-07-05\', NULL, 11.61);',
+    'INSERT INTO OrderDetails (OrderID, ProductID, UnitPrice, Picture) VALUES',
+    '  (1, 11, 14.4, X\'FFD8\'), (1, 42, \'9.8\', NULL), (2, 72, 34.8, NULL);'
+].join('\n');
+
+describe('sql-to-mongo', function() {
+    let tables;
+
+    before(function() {
+        tables = readSqlDump(DUMP);
+    });
+
+    describe('readSqlDump', function() {
+        it('reads the columns and the rows of the tables', function() {
+            assert.deepStrictEqual(tables.map(table => table.name), ['Orders', 'OrderDetails']);
+            assert.deepStrictEqual(tables[0].columns.map(column => [column.name, column.type, column.scale, column.autoIncrement]), [
+                ['OrderID', 'int', undefined, true],
+                ['CustomerID', 'varchar', undefined, false],
+                ['OrderDate', 'datetime', undefined, false],
+                ['ShipPostalCode', 'varchar', undefined, false],
+                ['Freight', 'decimal', 2, false]
+            ]);
+            assert.deepStrictEqual(tables[1].rows[0], {OrderID: '1', ProductID: '11', UnitPrice: '14.4', Picture: Buffer.from([0xFF, 0xD8])});
+        });
+
+        it('assigns the AUTO_INCREMENT values and unescapes the strings', function() {
+            assert.deepStrictEqual(tables[0].rows.map(row => [row.OrderID, row.CustomerID, row.ShipPostalCode]),
+                [['1', 'VINET', '51100'], ['2', 'O\'Brien', null]]);
+        });
+
+        it('rejects the rows which do not fit the columns', function() {
+            assert.throws(() => readSqlDump('CREATE TABLE t (a INT, b INT); INSERT INTO t VALUES (1);'),
+                /INSERT INTO t has 1 values for 2 columns/);
+            assert.throws(() => readSqlDump('INSERT INTO t VALUES (1);'), /INSERT INTO t goes before CREATE TABLE t/);
+        });
+    });
+
+    describe('convertTables', function() {
+        function withoutIds(documents) {
+            return documents.map(document => {
+                assert.ok(document._id, 'every document has _id');
+                let copy = Object.assign({}, document);
+                delete copy._id;
+                return copy;
+            });
+        }
+
+        it('stores the values in the types of the columns', function() {
+            let collections = convertTables(tables);
+            assert.deepStrictEqual(collections.map(collection => collection.name), ['orders', 'order-details']);
+            assert.deepStrictEqual(withoutIds(collections[0].documents)[0], {
+                OrderID: 1,
+                CustomerID: 'VINET',
+                OrderDate: new Date('1996-07-04T00:00:00Z'),
+                ShipPostalCode: '51100',
+                Freight: 32.38
+            });
+            assert.deepStrictEqual(withoutIds(collections[1].documents).map(detail => [detail.UnitPrice, detail.Picture]),
+                [[14, Buffer.from([0xFF, 0xD8])], [10, null], [35, null]]);
+        });
+
+        it('writes the legacy typing of the bundled mongo dump', function() {
+            let order = withoutIds(convertTables(tables, {typing: 'legacy'})[0].documents)[1];
+            assert.deepStrictEqual(order, {
+                OrderID: 2,
+                CustomerID: 'O\'Brien',
+                OrderDate: '1996-07-05 00:00:00.000',
+                ShipPostalCode: 'NULL',
+                Freight: 11.61
+            });
+
+            let dumps = path.join(__dirname, '../../dumps');
+            let shippers = convertTables(readSqlDump(fs.readFileSync(path.join(dumps, 'northwind.sql'), 'latin1'))
+                .filter(table => table.name === 'Shippers'), {typing: 'legacy'})[0];
+            assert.deepStrictEqual(withoutIds(shippers.documents),
+                withoutIds(readBsonFile(path.join(dumps, 'northwind_mongodb/northwind/shippers.bson'))));
+        });
+
+        it('embeds the order details into their orders', function() {
+            let collections = convertTables(tables, {embedDetails: true});
+            assert.deepStrictEqual(collections.map(collection => collection.name), ['orders']);
+            assert.deepStrictEqual(collections[0].documents.map(order => order.OrderDetails.map(detail => detail.ProductID)),
+                [[11, 42], [72]]);
+        });
+
+        it('rejects an unknown typing', function() {
+            assert.throws(() => convertTables(tables, {typing: 'bson'}), /Unknown typing "bson", expected typed or legacy/);
+        });
+    });
+});
@@ -0,0 +1,54 @@
+const assert = require('assert');
+const translateQuery = require('../../extensions/sqlite-connection').translateQuery;
+
+
+describe('sqlite-connection', function() {
+    function translate(sql, values) {
+        return translateQuery(sql, values).sql;
+    }
+
+    describe('translateQuery', function() {
+        it('translates the MySQL quoting and operators', function() {
+            assert.strictEqual(translate('SELECT `Order Id`, "text" FROM Orders WHERE a || b && c / 2'),
+                'SELECT "Order Id", \'text\' FROM Orders WHERE a OR b AND c * 1.0 / 2');
+        });
+
+        it('numbers the placeholders and expands the lists', function() {
+            assert.deepStrictEqual(translateQuery('SELECT * FROM ?? WHERE CategoryID IN (?) AND UnitPrice > ?',
+                ['Products', [1, 2], 10]), {
+                sql: 'SELECT * FROM "Products" WHERE CategoryID IN (?1, ?2) AND UnitPrice > ?3',
+                params: [1, 2, 10]
+            });
+        });
+
+        describe('ORDER BY', function() {
+            const join = 'FROM Customers c JOIN Orders o ON o.CustomerID = c.CustomerID GROUP BY c.CustomerID';
+
+            it('resolves the names of the qualified columns to their positions', function() {
+                assert.strictEqual(translate(`SELECT c.CustomerID, COUNT(*) AS n ${join} ORDER BY 2 DESC, CustomerID`),
+                    `SELECT c.CustomerID, COUNT(*) AS n ${join} ORDER BY 2 DESC, 1`);
+                assert.strictEqual(translate(`SELECT DISTINCT c.CustomerID ${join} ORDER BY \`customerid\` DESC LIMIT 5`),
+                    `SELECT DISTINCT c.CustomerID ${join} ORDER BY 1 DESC LIMIT 5`);
+            });
+
+            it('resolves the names in the subqueries', function() {
+                assert.strictEqual(translate(`SELECT * FROM (SELECT c.CustomerID ${join} ORDER BY CustomerID LIMIT 3) t`),
+                    `SELECT * FROM (SELECT c.CustomerID ${join} ORDER BY 1 LIMIT 3) t`);
+            });
+
+            it('leaves the aliases, the expressions and the names of several columns to SQLite', function() {
+                for (let sql of [
+                    `SELECT c.CustomerID, COUNT(*) AS Total ${join} ORDER BY Total`,
+                    `SELECT c.CustomerID, o.OrderID AS CustomerID ${join} ORDER BY CustomerID`,
+                    `SELECT c.CustomerID, o.CustomerID ${join} ORDER BY CustomerID`,
+                    `SELECT c.CustomerID ${join} ORDER BY LOWER(CustomerID)`,
+                    'SELECT ProductName FROM Products ORDER BY ProductName'
+                ]) {
+                    assert.strictEqual(translate(sql), sql);
+                }
+                assert.strictEqual(translate('SELECT GROUP_CONCAT(p.ProductName ORDER BY ProductName) FROM Products p'),
+                    'SELECT GROUP_CONCAT(p.ProductName ,\',\' ORDER BY ProductName) FROM Products p');
+            });
+        });
+    });
+});
@@ -0,0 +1,102 @@
+const assert = require('assert');
+const withTaskDatabase = require('../../extensions/task-database');
+const openTaskDatabase = withTaskDatabase.openTaskDatabase;
+const setupTaskDatabase = withTaskDatabase.setupTaskDatabase;
+const manifest = require('../manifests/sql-tasks');
+
+
+/**
+ * Calls `define` with the mocha hooks replaced, so the hooks it declares can be run by the test.
+ */
+function captureHooks(define) {
+    let hooks = {};
+    let saved = {before: global.before, after: global.after};
+    global.before = fn => {
+        hooks.before = fn;
+    };
+    global.after = fn => {
+        hooks.after = fn;
+    };
+    try {
+        hooks.result = define();
+    } finally {
+        Object.assign(global, saved);
+    }
+    return hooks;
+}
+
+/**
+ * Stands for `this` of a mocha hook, `skip` throws the same way as the mocha one.
+ */
+const hookContext = {
+    timeout: () => {},
+    skip: () => {
+        throw new Error('skipped');
+    }
+};
+
+describe('task-database', function() {
+    const env = {DBA_SQL_ENGINE: 'sqlite', SQL_EXPLAIN: undefined, PERTURBATION_SEED: undefined};
+    let saved = {};
+
+    // the SQL tasks run on the dump loaded into SQLite, no server is needed
+    before(function() {
+        Object.keys(env).forEach(name => {
+            saved[name] = process.env[name];
+            setEnv(name, env[name]);
+        });
+    });
+
+    after(function() {
+        Object.keys(saved).forEach(name => setEnv(name, saved[name]));
+    });
+
+    function setEnv(name, value) {
+        if (value === undefined) {
+            delete process.env[name];
+        } else {
+            process.env[name] = value;
+        }
+    }
+
+    describe('withTaskDatabase', function() {
+        it('runs the function with the database of the manifest', async function() {
+            this.timeout(10000);
+            let rows = await withTaskDatabase('sql-tasks', manifest, async db => (await db.query(
+                'SELECT COUNT(*) AS Orders FROM Orders'))[0]);
+            assert.deepStrictEqual(rows, [{Orders: 830}]);
+        });
+    });
+
+    describe('openTaskDatabase', function() {
+        it('rejects the options the engine does not support', async function() {
+            await assert.rejects(openTaskDatabase('sql-tasks', manifest, {perturbationSeed: 1}),
+                /^Error: PERTURBATION_SEED needs the MySQL engine$/);
+            await assert.rejects(openTaskDatabase('sql-tasks', manifest, {explain: true}),
+                /^Error: SQL_EXPLAIN needs the MySQL engine$/);
+        });
+    });
+
+    describe('setupTaskDatabase', function() {
+        it('opens the database in the before hook and closes it in the after one', async function() {
+            this.timeout(10000);
+            let hooks = captureHooks(() => setupTaskDatabase('sql-tasks', manifest));
+            await hooks.before.call(hookContext);
+            let db = hooks.result.getDb();
+            assert.deepStrictEqual((await db.query('SELECT COUNT(*) AS Products FROM Products'))[0], [{Products: 77}]);
+            await hooks.after.call(hookContext);
+            await assert.rejects(db.query('SELECT 1'));
+        });
+
+        it('skips the module when the engine does not support the options of the run', async function() {
+            let hooks = captureHooks(() => setupTaskDatabase('sql-tasks', manifest));
+            process.env.SQL_EXPLAIN = '1';
+            try {
+                await assert.rejects(hooks.before.call(hookContext), /^Error: skipped$/);
+            } finally {
+                delete process.env.SQL_EXPLAIN;
+            }
+            assert.strictEqual(hooks.result.getDb(), undefined);
+        });
+    });
+});
@@ -0,0 +1,111 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const resolveTasks = require('../../extensions/task-manifest');
+
+
+describe('task-manifest', function() {
+    let dir;
+    let tasks;
+
+    function manifest(overrides) {
+        return Object.assign({
+            name: 'unit-tasks',
+            source: path.join(dir, 'tasks.js'),
+            expectedDir: path.join(dir, 'json'),
+            defaults: {timeout: 2000, compare: {}, schema: {ordered: true}},
+            tasks: [
+                {id: 'task_1_1', compare: {order: 'unordered'}},
+                {
+                    id: 'task_1_2',
+                    params: [
+                        {values: {year: 1997}},
+                        {values: {year: 1996}, expected: 'task_1_2.year_1996.json'}
+                    ]
+                }
+            ]
+        }, overrides);
+    }
+
+    function inconsistency(message) {
+        return err => {
+            assert.strictEqual(err.message.split('\n')[0], 'Task manifest "unit-tasks" is inconsistent:');
+            assert.ok(err.message.indexOf(message) !== -1, err.message);
+            return true;
+        };
+    }
+
+    before(function() {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'task-manifest-'));
+        fs.mkdirSync(path.join(dir, 'json'));
+        for (let file of ['task_1_1.json', 'task_1_2.json', 'task_1_2.year_1996.json']) {
+            fs.writeFileSync(path.join(dir, 'json', file), '[]');
+        }
+        fs.writeFileSync(path.join(dir, 'tasks.js'), [
+            '/**',
+            ' * | ProductName | UnitPrice |',
+            ' */',
+            'async function task_1_1(db) {}'
+        ].join('\n'));
+        tasks = {task_1_1: async () => [], task_1_2: async () => [], helper: () => null};
+    });
+
+    after(function() {
+        for (let file of fs.readdirSync(path.join(dir, 'json'))) {
+            fs.unlinkSync(path.join(dir, 'json', file));
+        }
+        fs.rmdirSync(path.join(dir, 'json'));
+        fs.unlinkSync(path.join(dir, 'tasks.js'));
+        fs.rmdirSync(dir);
+    });
+
+    it('merges the exported tasks with their entries and the defaults', function() {
+        let resolved = resolveTasks(manifest(), tasks);
+        assert.deepStrictEqual(resolved.map(task => task.id), ['task_1_1', 'task_1_2']);
+        assert.strictEqual(resolved[0].fn, tasks.task_1_1);
+        assert.strictEqual(resolved[0].timeout, 2000);
+        assert.deepStrictEqual(resolved[0].compare, {order: 'unordered'});
+        assert.deepStrictEqual(resolved[0].columns, ['ProductName', 'UnitPrice']);
+        assert.strictEqual(resolved[1].columns, undefined);
+        assert.deepStrictEqual(resolved[1].paramSets, [
+            {values: {year: 1997}, expectedPath: path.join(dir, 'json', 'task_1_2.json')},
+            {values: {year: 1996}, expectedPath: path.join(dir, 'json', 'task_1_2.year_1996.json')}
+        ]);
+    });
+
+    it('turns the columns check off with `schema: false`', function() {
+        let resolved = resolveTasks(manifest({tasks: [{id: 'task_1_1', schema: false}, {
+            id: 'task_1_2', params: [{values: {}}, {values: {}, expected: 'task_1_2.year_1996.json'}]
+        }]}), tasks);
+        assert.strictEqual(resolved[0].columns, undefined);
+    });
+
+    it('rejects an entry without a task function', function() {
+        let entries = manifest().tasks.concat({id: 'task_1_3'});
+        assert.throws(() => resolveTasks(manifest({tasks: entries}), tasks),
+            inconsistency('task_1_3 is listed in the unit-tasks manifest but is not exported by the task module'));
+    });
+
+    it('rejects a task function without an expected result', function() {
+        let withExtra = Object.assign({task_1_4: async () => []}, tasks);
+        assert.throws(() => resolveTasks(manifest(), withExtra), inconsistency('task_1_4 has no expected result'));
+    });
+
+    it('rejects an expected result without a task function', function() {
+        fs.writeFileSync(path.join(dir, 'json', 'task_1_5.json'), '[]');
+        try {
+            assert.throws(() => resolveTasks(manifest(), tasks),
+                inconsistency('task_1_5.json in ' + path.relative(process.cwd(), path.join(dir, 'json'))
+                    + ' has no task function'));
+        } finally {
+            fs.unlinkSync(path.join(dir, 'json', 'task_1_5.json'));
+        }
+    });
+
+    it('rejects a params set without its own expected result', function() {
+        let entries = [{id: 'task_1_1'}, {id: 'task_1_2', params: [{values: {year: 1997}}, {values: {year: 1996}}]}];
+        assert.throws(() => resolveTasks(manifest({tasks: entries}), tasks),
+            inconsistency('task_1_2 params set {"year":1996} has no expected result file'));
+    });
+});
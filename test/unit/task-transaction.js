@@ -0,0 +1,110 @@
+const assert = require('assert');
+const runInTransaction = require('../../extensions/task-transaction');
+const beginTransaction = runInTransaction.beginTransaction;
+const takeSnapshot = runInTransaction.takeSnapshot;
+
+
+/**
+ * Remembers the calls with their arguments, the queries return the rows in the mysql2 shape.
+ */
+function fakeSqlConnection(calls, rows) {
+    return {query: async sql => {
+        calls.push(sql);
+        return [rows || [], []];
+    }};
+}
+
+function fakeMongo(calls) {
+    let cursor = documents => ({toArray: async () => documents});
+    let db = {
+        collection: name => ({
+            find: (filter, options) => {
+                calls.push([name, 'find', filter, options]);
+                return cursor([{OrderID: 1}]);
+            },
+            aggregate: (pipeline, options) => {
+                calls.push([name, 'aggregate', pipeline, options]);
+                return cursor([{total: 2}]);
+            },
+            updateMany: async (filter, update, options) => calls.push([name, 'updateMany', filter, update, options]),
+            deleteOne: async (filter, options, callback) => calls.push([name, 'deleteOne', filter, options, callback])
+        }),
+        command: async (command, options) => calls.push(['command', command, options])
+    };
+    let session = {
+        startTransaction: () => calls.push(['startTransaction']),
+        abortTransaction: async () => calls.push(['abortTransaction']),
+        endSession: () => calls.push(['endSession'])
+    };
+    return {db: db, client: {startSession: () => session}, session: session};
+}
+
+describe('task-transaction', function() {
+    let calls;
+
+    beforeEach(function() {
+        calls = [];
+    });
+
+    describe('takeSnapshot', function() {
+        it('reads the SQL tables of mysql2 and pg', async function() {
+            let snapshot = {orders: 'SELECT * FROM Orders ORDER BY OrderID'};
+            assert.deepStrictEqual(await takeSnapshot(fakeSqlConnection(calls, [{OrderID: 1}]), snapshot), {orders: [{OrderID: 1}]});
+            let pg = {query: async () => ({rows: [{orderid: 1}]})};
+            assert.deepStrictEqual(await takeSnapshot(pg, snapshot), {orders: [{orderid: 1}]});
+            assert.deepStrictEqual(calls, ['SELECT * FROM Orders ORDER BY OrderID']);
+        });
+
+        it('reads the Mongo collections without _id', async function() {
+            let mongo = fakeMongo(calls);
+            let result = await takeSnapshot(mongo.db, {
+                orders: {collection: 'orders', filter: {CustomerID: 'VINET'}, sort: {OrderID: 1}},
+                totals: {collection: 'order-details', pipeline: [{$count: 'total'}]}
+            });
+            assert.deepStrictEqual(result, {orders: [{OrderID: 1}], totals: [{total: 2}]});
+            assert.deepStrictEqual(calls, [
+                ['orders', 'find', {CustomerID: 'VINET'}, {projection: {_id: 0}, sort: {OrderID: 1}}],
+                ['order-details', 'aggregate', [{$count: 'total'}], undefined]
+            ]);
+        });
+    });
+
+    describe('beginTransaction', function() {
+        it('passes the session to the collection methods and the commands', async function() {
+            let mongo = fakeMongo(calls);
+            let transaction = await beginTransaction(mongo.db, mongo.client);
+            await transaction.db.collection('orders').updateMany({OrderID: 1}, {$set: {Freight: 0}});
+            let callback = () => {};
+            await transaction.db.collection('orders').deleteOne({OrderID: 1}, callback);
+            await transaction.db.command({ping: 1});
+            await transaction.rollback();
+            assert.deepStrictEqual(calls, [
+                ['startTransaction'],
+                ['orders', 'updateMany', {OrderID: 1}, {$set: {Freight: 0}}, {session: mongo.session}],
+                ['orders', 'deleteOne', {OrderID: 1}, {session: mongo.session}, callback],
+                ['command', {ping: 1}, {session: mongo.session}],
+                ['abortTransaction'],
+                ['endSession']
+            ]);
+        });
+    });
+
+    describe('runInTransaction', function() {
+        const snapshot = {products: 'SELECT ProductID, UnitPrice FROM Products'};
+
+        it('takes the snapshot of the changes and rolls them back', async function() {
+            let connection = fakeSqlConnection(calls, [{ProductID: 1, UnitPrice: '20.00', Updated: new Date(0)}]);
+            let result = await runInTransaction(connection, null, snapshot,
+                db => db.query('UPDATE Products SET UnitPrice = 20 WHERE ProductID = 1'));
+            assert.deepStrictEqual(result, {products: [{ProductID: 1, UnitPrice: '20.00', Updated: '1970-01-01T00:00:00.000Z'}]});
+            assert.deepStrictEqual(calls, ['BEGIN', 'UPDATE Products SET UnitPrice = 20 WHERE ProductID = 1',
+                'SELECT ProductID, UnitPrice FROM Products', 'ROLLBACK']);
+        });
+
+        it('rolls back when the task fails and does not let it drop the tables', async function() {
+            await assert.rejects(runInTransaction(fakeSqlConnection(calls), null, snapshot, db => db.query('DROP TABLE Products')),
+                /The connection runs in the transaction of the test: SQL statement "DROP TABLE Products" is not allowed/);
+            assert.deepStrictEqual(calls, ['BEGIN', 'ROLLBACK']);
+        });
+    });
+});